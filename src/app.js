@@ -15,6 +15,8 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const { supabase, databaseManager } = require('./database/supabaseConnection');
 const redisClient = require('./utils/redis');
+const realtimeService = require('./services/realtime');
+const webhookQueue = require('./services/webhookQueue');
 const errorHandler = require('./middleware/errorHandler');
 const { testSSLConnections } = require('./utils/sslTest');
 const { initializeDataPlans } = require('./database/self-healing-tables');
@@ -52,6 +54,8 @@ const testRoutes = require('./routes/test');
 const testWhatsAppRoutes = require('./routes/testWhatsApp');
 const mobileRoutes = require('./routes/mobile');
 const webRoutes = require('./routes/web');
+const payLinkRoutes = require('./routes/payLink');
+const verifyRoutes = require('./routes/verify');
 
 const app = express();
 
@@ -121,14 +125,17 @@ const defaultAllowedHeaders = [
   'x-admin-name',
   'x-session-token',
   'x-device-id',
-  'x-organization-id'
+  'x-organization-id',
+  'Idempotency-Key'
 ];
 
 const defaultExposedHeaders = [
   'x-admin-email',
   'x-admin-role',
   'x-admin-id',
-  'x-admin-name'
+  'x-admin-name',
+  'Idempotency-Key',
+  'Idempotent-Replayed'
 ];
 
 const buildCorsOptions = (req, callback) => {
@@ -358,6 +365,12 @@ app.use('/api/mobile', mobileRoutes);
 app.use('/api/mobile/mobile', mobileRoutes);
 app.use('/api/web', webRoutes);
 
+// Public pay link pages for payment requests
+app.use('/pay', payLinkRoutes);
+
+// Public receipt verification pages (QR code on every receipt)
+app.use('/verify', verifyRoutes);
+
 // Serve admin dashboard
 app.get('/admin*', (req, res) => {
   res.sendFile(path.join(__dirname, '../admin/index.html'));
@@ -377,6 +390,12 @@ let server; // Declare server variable for graceful shutdown
 async function startServer() {
   try {
     logger.info('🚀 Starting MiiMii Fintech Platform...');
+
+    // Receipts signed with a missing or throwaway key could never be verified
+    if (config.getServerConfig().nodeEnv === 'production' && !config.getReceiptConfig().signingSecret) {
+      logger.error('❌ RECEIPT_SIGNING_SECRET is required in production');
+      process.exit(1);
+    }
     
     // Log environment information for debugging
     logger.info('Environment Configuration:', {
@@ -414,6 +433,9 @@ async function startServer() {
       logger.info('🏥 Health check available at: /healthz');
     });
 
+    // Live chat, balance, transaction and notification updates for the mobile app
+    realtimeService.attach(server, { isAllowedOrigin });
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.syscall !== 'listen') {
@@ -566,6 +588,9 @@ async function initializeRedisConnection() {
       message: 'Application will run with limited caching functionality'
     });
   }
+
+  // Process queued provider webhooks; polls the database when Redis is unavailable
+  webhookQueue.start();
 }
 
 // Handle unhandled promise rejections
@@ -585,7 +610,13 @@ async function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully`);
   
   try {
-    // Close HTTP server first
+    // Stop taking queued webhooks; anything mid-attempt is recovered by the maintenance sweep
+    webhookQueue.stop();
+
+    // Disconnect sockets first; the HTTP server would otherwise wait on them
+    await realtimeService.close();
+
+    // Then close the HTTP server
     if (server) {
       await new Promise((resolve) => {
         server.close(resolve);
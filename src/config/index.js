@@ -98,6 +98,173 @@ class Config {
       maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
     };
 
+    // Idempotency Configuration (money-moving requests)
+    this.idempotency = {
+      requireKey: process.env.IDEMPOTENCY_KEY_REQUIRED === 'true',
+      ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24
+    };
+
+    // Referral Programme Configuration
+    this.referral = {
+      referrerBonus: parseFloat(process.env.REFERRAL_REFERRER_BONUS) || 500,
+      refereeBonus: parseFloat(process.env.REFERRAL_REFEREE_BONUS) || 0,
+      minQualifyingAmount: parseFloat(process.env.REFERRAL_MIN_QUALIFYING_AMOUNT) || 1000,
+      maxRewardedReferrals: parseInt(process.env.REFERRAL_MAX_REWARDED) || 100,
+      botNumber: process.env.BOT_DISPLAY_NUMBER
+    };
+
+    // Group Collections Configuration (bill splits, pots and rotating ajo savings)
+    this.groupCollections = {
+      maxMembers: parseInt(process.env.GROUP_COLLECTION_MAX_MEMBERS) || 50,
+      maxAjoMembers: parseInt(process.env.GROUP_COLLECTION_MAX_AJO_MEMBERS) || 30,
+      minContribution: parseFloat(process.env.GROUP_COLLECTION_MIN_CONTRIBUTION) || 100
+    };
+
+    // Payment Requests Configuration (asking for money, pay links)
+    this.paymentRequests = {
+      minAmount: parseFloat(process.env.PAYMENT_REQUEST_MIN_AMOUNT) || 100,
+      maxAmount: parseFloat(process.env.PAYMENT_REQUEST_MAX_AMOUNT) || 1000000,
+      expiryHours: parseInt(process.env.PAYMENT_REQUEST_EXPIRY_HOURS) || 72,
+      maxExpiryHours: parseInt(process.env.PAYMENT_REQUEST_MAX_EXPIRY_HOURS) || 720,
+      reminderAfterHours: parseInt(process.env.PAYMENT_REQUEST_REMINDER_HOURS) || 24,
+      maxReminders: parseInt(process.env.PAYMENT_REQUEST_MAX_REMINDERS) || 2,
+      payLinkBaseUrl: process.env.PAY_LINK_BASE_URL || `${(process.env.BASE_URL || '').replace(/\/$/, '')}/pay`
+    };
+
+    // Receipt Verification Configuration (QR code and signed code on receipts)
+    this.receipts = {
+      verifyBaseUrl: process.env.RECEIPT_VERIFY_BASE_URL || `${(process.env.BASE_URL || '').replace(/\/$/, '')}/verify`,
+      // Required in production and never derived from APP_SECRET; changing it invalidates codes already issued
+      signingSecret: process.env.RECEIPT_SIGNING_SECRET || null
+    };
+
+    // Collection Accounts Configuration (per-transaction virtual accounts)
+    this.collectionAccounts = {
+      minAmount: parseFloat(process.env.COLLECTION_ACCOUNT_MIN_AMOUNT) || 100,
+      maxAmount: parseFloat(process.env.COLLECTION_ACCOUNT_MAX_AMOUNT) || 5000000,
+      expiryMinutes: parseInt(process.env.COLLECTION_ACCOUNT_EXPIRY_MINUTES) || 30,
+      minExpiryMinutes: parseInt(process.env.COLLECTION_ACCOUNT_MIN_EXPIRY_MINUTES) || 5,
+      maxExpiryMinutes: parseInt(process.env.COLLECTION_ACCOUNT_MAX_EXPIRY_MINUTES) || 1440,
+      // Rubies accountAmountControl: EXACT makes the bank bounce other amounts
+      amountControl: process.env.COLLECTION_ACCOUNT_AMOUNT_CONTROL || 'EXACT'
+    };
+
+    // Transaction Risk Engine Configuration
+    this.risk = {
+      enabled: process.env.RISK_ENGINE_ENABLED !== 'false',
+      stepUpThreshold: parseFloat(process.env.RISK_STEP_UP_THRESHOLD) || 0.4,
+      holdThreshold: parseFloat(process.env.RISK_HOLD_THRESHOLD) || 0.7,
+      challengeTtlSeconds: parseInt(process.env.RISK_CHALLENGE_TTL_SECONDS) || 300,
+      maxChallengeAttempts: parseInt(process.env.RISK_MAX_CHALLENGE_ATTEMPTS) || 3,
+      // Held transactions nobody reviews in time are released ('reject') or let through ('approve')
+      autoReleaseHours: parseFloat(process.env.RISK_HOLD_AUTO_RELEASE_HOURS) || 24,
+      autoReleaseAction: process.env.RISK_HOLD_AUTO_RELEASE_ACTION === 'approve' ? 'approve' : 'reject'
+    };
+
+    // Wallet Funds Hold Configuration (authorise before a provider call, capture on success)
+    this.walletHolds = {
+      // Synchronous provider calls settle within seconds; this only catches crashed requests
+      ttlMinutes: parseInt(process.env.WALLET_HOLD_TTL_MINUTES) || 30,
+      // Transfers confirmed later by webhook keep their hold until the provider reports back
+      webhookTtlMinutes: parseInt(process.env.WALLET_HOLD_WEBHOOK_TTL_MINUTES) || 1440
+    };
+
+    // Provider Reconciliation Configuration (daily statement vs transactions table)
+    this.reconciliation = {
+      enabled: process.env.RECONCILIATION_ENABLED !== 'false',
+      amountTolerance: parseFloat(process.env.RECONCILIATION_AMOUNT_TOLERANCE) || 0.01,
+      maxStatementPages: parseInt(process.env.RECONCILIATION_MAX_STATEMENT_PAGES) || 50,
+      // What the daily run does with exceptions; admins can override per run
+      raiseTickets: process.env.RECONCILIATION_RAISE_TICKETS === 'true',
+      autoRequery: process.env.RECONCILIATION_AUTO_REQUERY === 'true'
+    };
+
+    // Transfer Rail Configuration (which provider sends a bank transfer)
+    this.transferRails = {
+      // Rails in order of preference when cost and health are equal
+      rails: (process.env.TRANSFER_RAILS || 'rubies,bellbank').split(',').map(rail => rail.trim()).filter(Boolean),
+      failover: process.env.TRANSFER_RAIL_FAILOVER !== 'false',
+      // What one transfer costs us on each rail, in naira
+      costs: {
+        rubies: parseFloat(process.env.TRANSFER_RAIL_COST_RUBIES) || 10,
+        bellbank: parseFloat(process.env.TRANSFER_RAIL_COST_BELLBANK) || 20
+      },
+      // Destination banks a rail settles in-house, e.g. '090175:rubies,000023:bellbank'
+      bankRoutes: Object.fromEntries((process.env.TRANSFER_RAIL_BANK_ROUTES || '090175:rubies,000023:bellbank')
+        .split(',').map(pair => pair.split(':').map(part => part.trim())).filter(([code, rail]) => code && rail)),
+      // Naira added to a rail's cost at a 100% failure rate, pro rata below that
+      failurePenalty: parseFloat(process.env.TRANSFER_RAIL_FAILURE_PENALTY) || 100,
+      // Health is judged on the last healthWindow transfers within healthWindowMinutes
+      healthWindow: parseInt(process.env.TRANSFER_RAIL_HEALTH_WINDOW) || 20,
+      healthWindowMinutes: parseInt(process.env.TRANSFER_RAIL_HEALTH_WINDOW_MINUTES) || 15,
+      // Pause before asking a rail whether a transfer that timed out went through
+      requeryDelayMs: parseInt(process.env.TRANSFER_RAIL_REQUERY_DELAY_MS) || 5000,
+      breakerThreshold: parseInt(process.env.TRANSFER_RAIL_BREAKER_THRESHOLD) || 3,
+      breakerResetMs: parseInt(process.env.TRANSFER_RAIL_BREAKER_RESET_MS) || 300000
+    };
+
+    // VAS Gateway Configuration (airtime, data and electricity providers)
+    this.vasGateway = {
+      // Providers in order of preference when health is equal
+      providers: (process.env.VAS_PROVIDERS || 'bilal,rubies').split(',').map(provider => provider.trim()).filter(Boolean),
+      failover: process.env.VAS_FAILOVER !== 'false',
+      // Service-wide or per network/disco routes, e.g. 'airtime:MTN:bilal,electricity:IKEJA:rubies,data:bilal'
+      routes: Object.fromEntries((process.env.VAS_ROUTES || '')
+        .split(',').map(rule => rule.split(':').map(part => part.trim().toUpperCase()))
+        .filter(parts => parts.length >= 2 && parts.every(Boolean))
+        .map(parts => [parts.slice(0, -1).join(':'), parts[parts.length - 1].toLowerCase()])),
+      // A provider this much less reliable than the next one is ranked below it
+      reliabilityMargin: parseFloat(process.env.VAS_RELIABILITY_MARGIN) || 0.2,
+      // Success rates are judged on the last healthWindow purchases within healthWindowMinutes
+      healthWindow: parseInt(process.env.VAS_HEALTH_WINDOW) || 20,
+      healthWindowMinutes: parseInt(process.env.VAS_HEALTH_WINDOW_MINUTES) || 30,
+      breakerThreshold: parseInt(process.env.VAS_BREAKER_THRESHOLD) || 3,
+      breakerResetMs: parseInt(process.env.VAS_BREAKER_RESET_MS) || 300000
+    };
+
+    // Webhook Queue Configuration (provider callbacks processed after acknowledgement)
+    this.webhookQueue = {
+      // Attempts before an event is parked in the dead-letter queue
+      maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 8,
+      // Retry n waits baseDelayMs * 2^(n-1), capped at maxDelayMs
+      baseDelayMs: parseInt(process.env.WEBHOOK_QUEUE_BASE_DELAY_MS) || 5000,
+      maxDelayMs: parseInt(process.env.WEBHOOK_QUEUE_MAX_DELAY_MS) || 3600000,
+      pollIntervalMs: parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS) || 1000,
+      batchSize: parseInt(process.env.WEBHOOK_QUEUE_BATCH_SIZE) || 10,
+      // An event claimed this long ago without finishing is assumed lost with its worker
+      processingTimeoutMs: parseInt(process.env.WEBHOOK_QUEUE_PROCESSING_TIMEOUT_MS) || 300000,
+      // Synthetic provider events move real money, so production only dry-runs them unless enabled
+      allowSyntheticEvents: process.env.WEBHOOK_SYNTHETIC_EVENTS_ENABLED === 'true' || process.env.NODE_ENV !== 'production'
+    };
+
+    // Conversation Flow Configuration (state machines for money flows)
+    this.conversationFlows = {
+      stepTimeoutSeconds: parseInt(process.env.CONVERSATION_STEP_TIMEOUT_SECONDS) || 600,
+      // Shorter, so an unattended chat is not left one PIN away from sending money
+      pinTimeoutSeconds: parseInt(process.env.CONVERSATION_PIN_TIMEOUT_SECONDS) || 300
+    };
+
+    // Real-time Configuration (Socket.IO namespace for the mobile app)
+    this.realtime = {
+      enabled: process.env.REALTIME_ENABLED !== 'false',
+      path: process.env.REALTIME_PATH || '/socket.io',
+      namespace: process.env.REALTIME_NAMESPACE || '/mobile'
+    };
+
+    // AI Provider Configuration (intent analysis and generated replies)
+    this.ai = {
+      // openai, openai_compatible (a local server speaking the same API) or local (no model calls)
+      provider: (process.env.AI_PROVIDER || 'openai').trim().toLowerCase(),
+      compatibleBaseUrl: process.env.AI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+      compatibleModel: process.env.AI_COMPATIBLE_MODEL || 'llama3.1',
+      compatibleApiKey: process.env.AI_COMPATIBLE_API_KEY || null,
+      requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 30000,
+      // The offline classifier answers on its own from this confidence up; below it the model is asked
+      escalateBelowConfidence: parseFloat(process.env.AI_ESCALATE_BELOW_CONFIDENCE) || 0.8,
+      // With no model to ask, classifier answers below this become 'unknown'
+      minLocalConfidence: parseFloat(process.env.AI_MIN_LOCAL_CONFIDENCE) || 0.45
+    };
+
     // Other Configuration
     this.webhookSecret = process.env.WEBHOOK_SECRET;
     this.adminEmail = process.env.ADMIN_EMAIL;
@@ -155,6 +322,16 @@ class Config {
       }
     }
 
+    // Receipt codes need a key of their own; outside production a per-process one will do
+    if (!this.receipts.signingSecret) {
+      if (this.server.nodeEnv === 'production') {
+        logger.error('CRITICAL: RECEIPT_SIGNING_SECRET environment variable is required in production');
+      } else {
+        this.receipts.signingSecret = 'fallback-receipt-secret-' + require('crypto').randomBytes(16).toString('hex');
+        logger.warn('Using fallback receipt signing secret for development - set RECEIPT_SIGNING_SECRET for production');
+      }
+    }
+
     // Warn about critical missing environment variables
     const missingCritical = [];
     
@@ -178,7 +355,11 @@ class Config {
       logger.error('APP_SECRET environment variable is required in production');
     }
     
-    if (!this.openai.apiKey) {
+    if (this.server.nodeEnv === 'production' && !this.receipts.signingSecret) {
+      missingCritical.push('Receipt signing secret (RECEIPT_SIGNING_SECRET)');
+    }
+    
+    if (!this.openai.apiKey && this.ai.provider === 'openai') {
       missingCritical.push('OpenAI API Key (AI_API_KEY)');
       logger.warn('AI_API_KEY environment variable is missing - AI features will use fallback processing');
     }
@@ -252,6 +433,66 @@ class Config {
     return this.rateLimit;
   }
 
+  getIdempotencyConfig() {
+    return this.idempotency;
+  }
+
+  getReferralConfig() {
+    return this.referral;
+  }
+
+  getGroupCollectionConfig() {
+    return this.groupCollections;
+  }
+
+  getPaymentRequestConfig() {
+    return this.paymentRequests;
+  }
+
+  getReceiptConfig() {
+    return this.receipts;
+  }
+
+  getCollectionAccountConfig() {
+    return this.collectionAccounts;
+  }
+
+  getRiskConfig() {
+    return this.risk;
+  }
+
+  getWalletHoldConfig() {
+    return this.walletHolds;
+  }
+
+  getReconciliationConfig() {
+    return this.reconciliation;
+  }
+
+  getTransferRailConfig() {
+    return this.transferRails;
+  }
+
+  getVasGatewayConfig() {
+    return this.vasGateway;
+  }
+
+  getWebhookQueueConfig() {
+    return this.webhookQueue;
+  }
+
+  getConversationFlowConfig() {
+    return this.conversationFlows;
+  }
+
+  getAIConfig() {
+    return this.ai;
+  }
+
+  getRealtimeConfig() {
+    return this.realtime;
+  }
+
   getWebhookSecret() {
     return this.webhookSecret;
   }
@@ -0,0 +1,130 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('savingsAccounts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      accountNumber: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      accountName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      accountType: {
+        type: DataTypes.ENUM('flexible', 'fixed', 'target'),
+        allowNull: false,
+        defaultValue: 'flexible'
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'suspended', 'matured', 'closed'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      balance: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      targetAmount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: true
+      },
+      interestRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false
+      },
+      duration: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      maturityDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      savingsGoal: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      accruedInterest: {
+        type: DataTypes.DECIMAL(15, 4),
+        allowNull: false,
+        defaultValue: 0
+      },
+      interestEarned: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalDeposits: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalWithdrawals: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastInterestAccrualAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      lastInterestPostedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      maturedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('savingsAccounts', ['userId']);
+    await queryInterface.addIndex('savingsAccounts', ['status', 'accountType']);
+    await queryInterface.addIndex('savingsAccounts', ['maturityDate']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('savingsAccounts');
+  }
+};
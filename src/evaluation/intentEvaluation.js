@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Intent evaluation
+ *
+ * Scores an intent classifier against the labelled corpus in
+ * intentCorpus.json: overall and per-language accuracy, per-intent
+ * precision/recall/F1, entity accuracy per field, and the list of misses
+ * (with `regression`-tagged cases called out, since those guard the prompt's
+ * CRITICAL/OVERRIDE rules).
+ *
+ * A classifier is any `async (text, testCase) => ({ intent, extractedData, confidence })`.
+ * Built in:
+ * - local:     the offline classifier on its own (intentClassifier.js)
+ * - fallback:  aiAssistant.basicIntentAnalysis, i.e. what users get with no model
+ * - assistant: aiAssistant.analyzeUserIntent with the configured AI provider
+ * - recorded:  replays responses saved from an earlier `assistant` run, so a
+ *              prompt change can be scored without calling the model again
+ */
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, 'intentCorpus.json');
+
+const EVALUATION_USER = {
+  id: 'intent-evaluation',
+  whatsappNumber: '2348000000000',
+  firstName: 'Evaluation',
+  onboardingStep: 'completed'
+};
+
+// The assistant reports these under older names; score them as the names the corpus uses
+const INTENT_ALIASES = {
+  balance_inquiry: 'balance',
+  transfer: 'bank_transfer',
+  account_info: 'account_details'
+};
+
+function loadCorpus(corpusPath = DEFAULT_CORPUS_PATH) {
+  const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+  if (!Number.isInteger(corpus.version) || !Array.isArray(corpus.cases)) {
+    throw new Error(`${corpusPath} is not an intent corpus (needs an integer version and a cases array)`);
+  }
+
+  const seen = new Set();
+  for (const testCase of corpus.cases) {
+    if (!testCase.id || !testCase.text || !testCase.intent) {
+      throw new Error(`Corpus case ${JSON.stringify(testCase)} needs id, text and intent`);
+    }
+    if (seen.has(testCase.id)) {
+      throw new Error(`Duplicate corpus case id ${testCase.id}`);
+    }
+    seen.add(testCase.id);
+  }
+  return corpus;
+}
+
+/**
+ * Corpus cases the offline classifier was trained on: the same words as an
+ * intentExamples entry once entities become placeholders, so they score as
+ * exact matches and say nothing about unseen messages. The corpus should
+ * hold out every case.
+ */
+function findTrainingOverlap(corpus, examples = require('../services/intentExamples')) {
+  const intentClassifier = require('../services/intentClassifier');
+  const trained = new Map();
+  for (const [intent, texts] of Object.entries(examples)) {
+    for (const example of texts) {
+      const key = intentClassifier.exampleKey(example);
+      if (!trained.has(key)) trained.set(key, { intent, example });
+    }
+  }
+
+  return corpus.cases
+    .map(testCase => ({ testCase, match: trained.get(intentClassifier.exampleKey(testCase.text)) }))
+    .filter(({ match }) => match)
+    .map(({ testCase, match }) => ({ id: testCase.id, text: testCase.text, example: match.example, exampleIntent: match.intent }));
+}
+
+function loadRecordings(recordingsPath) {
+  const recordings = JSON.parse(fs.readFileSync(recordingsPath, 'utf8'));
+  if (!recordings.responses || typeof recordings.responses !== 'object') {
+    throw new Error(`${recordingsPath} has no recorded responses`);
+  }
+  return recordings;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function createClassifier(name, { recordings = null } = {}) {
+  switch (name) {
+    case 'local': {
+      const intentClassifier = require('../services/intentClassifier');
+      return async text => intentClassifier.classify(text);
+    }
+    case 'fallback': {
+      const aiAssistant = require('../services/aiAssistant');
+      return async text => aiAssistant.basicIntentAnalysis(text);
+    }
+    case 'assistant': {
+      const aiAssistant = require('../services/aiAssistant');
+      return async text => aiAssistant.analyzeUserIntent(text, EVALUATION_USER);
+    }
+    case 'recorded': {
+      if (!recordings) throw new Error('The recorded classifier needs --recordings=<file>');
+      return async (text, testCase) => {
+        const recorded = recordings.responses[testCase.id];
+        if (!recorded) throw new Error('No recorded response for this case');
+        if (recorded.text !== text) throw new Error('Recorded for different text; re-record');
+        return recorded.analysis;
+      };
+    }
+    default:
+      throw new Error(`Unknown classifier "${name}" (local, fallback, assistant or recorded)`);
+  }
+}
+
+/** Settings that identify what produced a recording, so stale ones are visible. */
+function describeAssistant() {
+  const aiProvider = require('../services/aiProvider');
+  const aiAssistant = require('../services/aiAssistant');
+  return {
+    provider: aiProvider.describe(),
+    systemPromptSha256: sha256(aiAssistant.systemPrompt)
+  };
+}
+
+// Entities are compared after the same normalisation the offline classifier applies,
+// so "gtb", "GTBank" and "GTBANK" all match
+function normalizeEntity(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const intentClassifier = require('../services/intentClassifier');
+
+  switch (field) {
+    case 'amount': {
+      if (typeof value === 'number') return value;
+      const parsed = intentClassifier.extractEntities(String(value)).amount;
+      return parsed === undefined ? String(value) : parsed;
+    }
+    case 'phoneNumber':
+    case 'accountNumber': {
+      const digits = String(value).replace(/\D/g, '');
+      if (field === 'phoneNumber' && digits.length >= 10) return digits.slice(-10);
+      return digits.length >= 8 ? digits : String(value).trim().toLowerCase();
+    }
+    case 'bankName':
+      return intentClassifier.extractEntities(String(value)).bankName || String(value).trim().toLowerCase();
+    case 'network':
+      return intentClassifier.extractEntities(String(value)).network || String(value).trim().toUpperCase();
+    case 'dataSize':
+      return String(value).replace(/\s+/g, '').toUpperCase();
+    default:
+      return String(value).trim().toLowerCase();
+  }
+}
+
+function compareEntities(expected = {}, actual = {}) {
+  const mismatches = [];
+  for (const [field, value] of Object.entries(expected)) {
+    const want = normalizeEntity(field, value);
+    const got = normalizeEntity(field, actual ? actual[field] : null);
+    if (want !== got) {
+      mismatches.push({ field, expected: value, actual: actual ? actual[field] ?? null : null });
+    }
+  }
+  return mismatches;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Run `classify` over every case (one at a time, in corpus order) and build the report.
+ * `filter` keeps a subset, e.g. `testCase => testCase.language === 'ha'`.
+ */
+async function evaluateIntents(corpus, classify, { filter = null, onResult = null } = {}) {
+  const cases = filter ? corpus.cases.filter(filter) : corpus.cases;
+  const results = [];
+
+  for (const testCase of cases) {
+    let analysis = null;
+    let error = null;
+    try {
+      analysis = await classify(testCase.text, testCase);
+    } catch (err) {
+      error = err.message;
+    }
+
+    const rawIntent = analysis && analysis.intent ? analysis.intent : 'error';
+    const predicted = INTENT_ALIASES[rawIntent] || rawIntent;
+    const entityMismatches = analysis ? compareEntities(testCase.entities, analysis.extractedData) : [];
+    const result = {
+      id: testCase.id,
+      text: testCase.text,
+      language: testCase.language || 'unknown',
+      tags: testCase.tags || [],
+      expected: testCase.intent,
+      predicted,
+      confidence: analysis ? analysis.confidence ?? null : null,
+      intentCorrect: predicted === testCase.intent,
+      entityChecks: Object.keys(testCase.entities || {}).length,
+      entityMismatches,
+      analysis,
+      error
+    };
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+
+  return buildReport(corpus, results);
+}
+
+function buildReport(corpus, results) {
+  const intents = new Set();
+  results.forEach(result => { intents.add(result.expected); intents.add(result.predicted); });
+
+  const perIntent = {};
+  for (const intent of [...intents].sort()) {
+    const truePositives = results.filter(r => r.expected === intent && r.predicted === intent).length;
+    const support = results.filter(r => r.expected === intent).length;
+    const predicted = results.filter(r => r.predicted === intent).length;
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    perIntent[intent] = {
+      support,
+      predicted,
+      truePositives,
+      precision,
+      recall,
+      f1: precision && recall ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : (support || predicted ? 0 : null)
+    };
+  }
+
+  const byLanguage = {};
+  for (const result of results) {
+    const language = byLanguage[result.language] || (byLanguage[result.language] = { total: 0, correct: 0 });
+    language.total++;
+    if (result.intentCorrect) language.correct++;
+  }
+  Object.values(byLanguage).forEach(language => { language.accuracy = ratio(language.correct, language.total); });
+
+  // Entities only count where the intent was right; a wrong intent is already a miss
+  const entities = {};
+  for (const result of results.filter(r => r.intentCorrect && r.entityChecks)) {
+    const testCase = corpus.cases.find(c => c.id === result.id);
+    for (const field of Object.keys(testCase.entities)) {
+      const entry = entities[field] || (entities[field] = { checked: 0, correct: 0 });
+      entry.checked++;
+      if (!result.entityMismatches.some(m => m.field === field)) entry.correct++;
+    }
+  }
+  Object.values(entities).forEach(entry => { entry.accuracy = ratio(entry.correct, entry.checked); });
+
+  const confusion = {};
+  for (const result of results.filter(r => !r.intentCorrect)) {
+    const key = `${result.expected} → ${result.predicted}`;
+    confusion[key] = (confusion[key] || 0) + 1;
+  }
+
+  const failures = results
+    .filter(r => !r.intentCorrect || r.entityMismatches.length || r.error)
+    .map(({ analysis, ...failure }) => failure);
+  const correct = results.filter(r => r.intentCorrect).length;
+  const scoredIntents = Object.values(perIntent).filter(m => m.support > 0);
+
+  return {
+    corpusVersion: corpus.version,
+    total: results.length,
+    correct,
+    accuracy: ratio(correct, results.length),
+    macro: {
+      precision: ratio(scoredIntents.reduce((sum, m) => sum + (m.precision || 0), 0), scoredIntents.length),
+      recall: ratio(scoredIntents.reduce((sum, m) => sum + (m.recall || 0), 0), scoredIntents.length),
+      f1: ratio(scoredIntents.reduce((sum, m) => sum + (m.f1 || 0), 0), scoredIntents.length)
+    },
+    perIntent,
+    byLanguage,
+    entities,
+    confusion: Object.fromEntries(Object.entries(confusion).sort((a, b) => b[1] - a[1])),
+    failures,
+    regressions: failures.filter(f => f.tags.includes('regression')),
+    errors: results.filter(r => r.error).length,
+    results
+  };
+}
+
+/** A recording of the classifier's answers, replayable with the `recorded` classifier. */
+function buildRecording(corpus, report, meta = {}) {
+  return {
+    corpusVersion: corpus.version,
+    recordedAt: new Date().toISOString(),
+    ...meta,
+    responses: Object.fromEntries(report.results
+      .filter(result => result.analysis)
+      .map(result => [result.id, {
+        text: result.text,
+        analysis: {
+          intent: result.analysis.intent,
+          confidence: result.analysis.confidence ?? null,
+          extractedData: result.analysis.extractedData || {}
+        }
+      }]))
+  };
+}
+
+function pct(value) {
+  return value === null || value === undefined ? '  -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatReport(report, { title = 'Intent evaluation' } = {}) {
+  const lines = [];
+  lines.push(`${title} — corpus v${report.corpusVersion}`);
+  lines.push(`Accuracy ${pct(report.accuracy)} (${report.correct}/${report.total})   macro P ${pct(report.macro.precision)}  R ${pct(report.macro.recall)}  F1 ${pct(report.macro.f1)}${report.errors ? `   errors ${report.errors}` : ''}`);
+  lines.push('');
+  lines.push(`${'intent'.padEnd(22)} ${'support'.padStart(7)} ${'precision'.padStart(9)} ${'recall'.padStart(7)} ${'f1'.padStart(7)}`);
+  for (const [intent, m] of Object.entries(report.perIntent)) {
+    lines.push(`${intent.padEnd(22)} ${String(m.support).padStart(7)} ${pct(m.precision).padStart(9)} ${pct(m.recall).padStart(7)} ${pct(m.f1).padStart(7)}`);
+  }
+
+  lines.push('');
+  lines.push('By language: ' + Object.entries(report.byLanguage)
+    .map(([language, m]) => `${language} ${pct(m.accuracy).trim()} (${m.correct}/${m.total})`)
+    .join(', '));
+  if (Object.keys(report.entities).length) {
+    lines.push('Entities:    ' + Object.entries(report.entities)
+      .map(([field, m]) => `${field} ${pct(m.accuracy).trim()} (${m.correct}/${m.checked})`)
+      .join(', '));
+  }
+
+  if (Object.keys(report.confusion).length) {
+    lines.push('');
+    lines.push('Most confused:');
+    Object.entries(report.confusion).slice(0, 10).forEach(([pair, count]) => lines.push(`  ${count}× ${pair}`));
+  }
+
+  if (report.failures.length) {
+    lines.push('');
+    lines.push('Misses:');
+    for (const failure of report.failures) {
+      const marker = failure.tags.includes('regression') ? '!' : '-';
+      const detail = failure.error
+        ? `error: ${failure.error}`
+        : failure.intentCorrect
+          ? failure.entityMismatches.map(m => `${m.field} ${JSON.stringify(m.actual)} ≠ ${JSON.stringify(m.expected)}`).join(', ')
+          : `${failure.predicted} (${failure.confidence ?? '?'}) ≠ ${failure.expected}`;
+      lines.push(`  ${marker} ${failure.id.padEnd(22)} ${JSON.stringify(failure.text)} → ${detail}`);
+    }
+  }
+
+  if (report.regressions.length) {
+    lines.push('');
+    lines.push(`${report.regressions.length} regression case(s) failed (marked !)`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CORPUS_PATH,
+  loadCorpus,
+  loadRecordings,
+  findTrainingOverlap,
+  createClassifier,
+  describeAssistant,
+  evaluateIntents,
+  buildRecording,
+  formatReport,
+  compareEntities
+};
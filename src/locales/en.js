@@ -0,0 +1,89 @@
+/**
+ * English copy — the reference catalogue. Every key used in code must exist
+ * here; the other languages fall back to it key by key.
+ *
+ * Placeholders: {name} inserts a value as-is, {name:naira} formats a number
+ * as ₦1,234.50. A value given as { one, other } is picked by the `count` param.
+ */
+
+module.exports = {
+  'language.name': 'English',
+  'language.prompt': 'Which language should I use? You can change it any time by typing "change language".',
+  'language.button': 'Choose language',
+  'language.section': 'Languages',
+  'language.changed': "Done! I'll reply in English from now on.",
+
+  'reply.greeting_reply': 'Hi {firstName}! What would you like to do today — check your balance, send money, buy airtime or data, or pay a bill?',
+  'reply.help_overview': "I'm here to help. I can check your balance, send money, buy airtime or data, pay bills and show your account details — just tell me what you need.",
+  'reply.menu_overview': 'I can help with your balance, transfers, airtime, data, bills and account details — what would you like to do?',
+  'reply.balance_success': 'Available {availableFormatted}, total {totalFormatted}.',
+  'reply.balance_success_pending': 'Available {availableFormatted}, pending {pendingFormatted}, total {totalFormatted}.',
+  'reply.balance_need_onboarding': "Let's finish setting up your account first, then I'll show your balance.",
+  'reply.balance_wallet_missing': "I couldn't find your wallet — please contact support.",
+  'reply.balance_fetch_error': "I couldn't load your balance right now. Please try again shortly.",
+  'reply.onboarding_start_failed': "I couldn't start your account setup. Please try again or type help.",
+  'reply.voice_failed': "Sorry, I didn't catch that. Please repeat a bit slower or type your message.",
+  'reply.voice_failed_multilingual': "Sorry, I didn't catch that. Please repeat or type in English, Hausa, Yoruba, Igbo or Pidgin.",
+  'reply.message_unclear': "I didn't quite get that — please try again or type help.",
+  'reply.unsupported_format': 'Please send a text, a voice note or a picture with a caption.',
+  'reply.processing_error': 'Something went wrong on our side. Please try again.',
+  'reply.transfer_need_amount': 'How much would you like to send? For example 1000 or 5k.',
+  'reply.transfer_need_details': 'Please send the amount, account number and bank name, e.g. "send 5k to 0123456789 GTBank".',
+  'reply.transfer_processing_error': "I couldn't process that transfer. Please resend the amount, account number and bank name.",
+
+  'help.menu': '🤖 *MiiMii Help*\n\n💰 *Money Transfer*\n• "Send 5000 to John 08123456789"\n• "Transfer 2000 to GTB 0123456789"\n\n📱 *Airtime & Data*\n• "Buy 1000 airtime for 08123456789"\n• "Buy 1GB data for 08123456789"\n\n⚡ *Bill Payments*\n• "Pay 5000 electricity EKEDC 12345"\n• "Pay 3000 cable DStv 123456789"\n\n📊 *Account*\n• "Check balance"\n• "Show transactions"\n• "Account details"\n\n💡 *Tips*\n• Send voice notes - I understand speech!\n• Send images of bills - I can read them!\n• Send photos of bank details for transfers!\n• Just type naturally - I\'m smart! 😊\n• Type "change language" to switch language\n\nNeed help? Type "support" 💬',
+  'menu.services': '📱 *Available Services*\n\n💰 Check Balance\n💸 Send Money\n🏦 Bank Transfer\n📱 Buy Airtime\n🌐 Buy Data\n💳 Pay Bills\n📊 Transaction History\n📄 Account Statement (PDF)\n📋 My Beneficiaries\n🔐 PIN Settings\n🌍 Change Language\n\nWhat would you like to do?',
+
+  'notification.credit.title': '💰 Money Received',
+  'notification.credit.message': 'You received {amount:naira}',
+  'notification.transfer.title': '💸 Transfer Sent',
+  'notification.transfer.message': 'You sent {amount:naira}',
+  'notification.transfer.message_to': 'You sent {amount:naira} to {accountNumber}',
+  'notification.airtime.title': '📱 Airtime Purchased',
+  'notification.airtime.message': 'You purchased {amount:naira} airtime',
+  'notification.data.title': '📶 Data Purchased',
+  'notification.data.message': 'You purchased {amount:naira} data',
+  'notification.bill.title': '💡 Bill Paid',
+  'notification.bill.message': 'You paid {amount:naira}',
+  'notification.other.title': '💸 Transaction Completed',
+  'notification.other.message': '{amount:naira}',
+  'notification.transfer_failed.title': '❌ Transfer Failed',
+  'notification.transfer_failed.message': 'Your transfer of {amount:naira} failed. {reason}',
+  'notification.transfer_failed.default_reason': 'Please try again.',
+
+  'maintenance.months': { one: '{count} month', other: '{count} months' },
+  'maintenance.charged': '📋 *Maintenance Fee Charged*\n\nAmount: {amount:naira} ({months})\nNew Balance: {balance:naira}\n\nYour monthly maintenance fee of {fee:naira} has been applied. If your balance is negative, the fee will be deducted when you fund your wallet.',
+
+  'receipt.title': 'Transaction Receipt',
+  'receipt.generated_on': 'Generated from The MiiMii AI on {date}',
+  'receipt.amount': 'Transaction Amount',
+  'receipt.type': 'Transaction Type',
+  'receipt.date': 'Transaction Date',
+  'receipt.sender': 'Sender',
+  'receipt.beneficiary': 'Beneficiary',
+  'receipt.bank': 'Bank',
+  'receipt.remark': 'Remark',
+  'receipt.fee': 'Transaction Fee',
+  'receipt.total': 'Total Amount',
+  'receipt.reference': 'Transaction Reference',
+  'receipt.status': 'Transaction Status',
+  'receipt.recipient_name': 'Recipient Name',
+  'receipt.recipient_bank': 'Recipient Bank',
+  'receipt.recipient_account': 'Recipient Account',
+  'receipt.phone': 'Phone Number',
+  'receipt.network': 'Network',
+  'receipt.data_plan': 'Data Plan',
+  'receipt.disco': 'Disco',
+  'receipt.charges': 'Charges',
+  'receipt.meter_type': 'Meter Type',
+  'receipt.meter_number': 'Meter Number',
+  'receipt.meter_token': 'Meter Token',
+  'receipt.support': 'Support: contactcenter@chatmiimii.com',
+  'receipt.brand': 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp',
+  'receipt.type.bank_transfer': 'Bank Transfer',
+  'receipt.type.airtime': 'Airtime Purchase',
+  'receipt.type.data': 'Data Purchase',
+  'receipt.type.electricity': 'Electricity Bill Payment',
+  'receipt.verify_title': 'Verify this receipt',
+  'receipt.verify_hint': 'Scan the QR code or open the link to confirm it'
+};
@@ -0,0 +1,85 @@
+/**
+ * Hausa copy. Missing keys fall back to en.js.
+ */
+
+module.exports = {
+  'language.name': 'Hausa',
+  'language.prompt': 'Wane yare kake so in yi amfani da shi? Za ka iya canzawa a kowane lokaci ta rubuta "canza yare".',
+  'language.button': 'Zaɓi yare',
+  'language.section': 'Yaruka',
+  'language.changed': 'Shi ke nan! Daga yanzu zan ba ka amsa da Hausa.',
+
+  'reply.greeting_reply': 'Sannu {firstName}! Me kake so mu yi yau — duba kuɗinka, tura kuɗi, sayen katin waya ko data, ko biyan kuɗin wuta?',
+  'reply.help_overview': 'Ina nan don taimaka maka. Zan iya duba kuɗinka, tura kuɗi, sayen katin waya ko data, biyan kuɗaɗe da nuna bayanan asusunka — faɗa mini abin da kake buƙata.',
+  'reply.menu_overview': 'Zan iya taimaka maka da duba kuɗi, tura kuɗi, katin waya, data, biyan kuɗaɗe da bayanan asusu — me kake so ka yi?',
+  'reply.balance_success': 'Kuɗin da ke akwai {availableFormatted}, jimilla {totalFormatted}.',
+  'reply.balance_success_pending': 'Kuɗin da ke akwai {availableFormatted}, masu jiran tabbaci {pendingFormatted}, jimilla {totalFormatted}.',
+  'reply.balance_need_onboarding': 'Bari mu kammala buɗe asusunka tukuna, sannan in nuna maka kuɗinka.',
+  'reply.balance_wallet_missing': 'Ban sami walat ɗinka ba — don Allah tuntuɓi masu taimako.',
+  'reply.balance_fetch_error': 'Ban iya duba kuɗinka yanzu ba. Don Allah sake gwadawa nan gaba kaɗan.',
+  'reply.onboarding_start_failed': 'Ban iya fara buɗe asusunka ba. Don Allah sake gwadawa ko rubuta help.',
+  'reply.voice_failed': 'Yi haƙuri, ban ji sosai ba. Don Allah maimaita a hankali ko ka rubuta saƙonka.',
+  'reply.voice_failed_multilingual': 'Yi haƙuri, ban ji sosai ba. Don Allah maimaita ko rubuta da Turanci, Hausa, Yoruba, Igbo ko Pidgin.',
+  'reply.message_unclear': 'Ban gane sosai ba — don Allah sake gwadawa ko rubuta help.',
+  'reply.unsupported_format': 'Don Allah aiko da rubutu, saƙon murya ko hoto mai bayani.',
+  'reply.processing_error': 'An sami matsala a ɓangarenmu. Don Allah sake gwadawa.',
+  'reply.transfer_need_amount': 'Nawa kake so ka tura? Misali 1000 ko 5k.',
+  'reply.transfer_need_details': 'Don Allah aiko da adadin kuɗi, lambar asusu da sunan banki, misali "tura 5k zuwa 0123456789 GTBank".',
+  'reply.transfer_processing_error': 'Ban iya aiwatar da wannan turawar ba. Don Allah sake aiko da adadin kuɗi, lambar asusu da sunan banki.',
+
+  'help.menu': '🤖 *Taimakon MiiMii*\n\n💰 *Tura Kuɗi*\n• "Tura 5000 zuwa 0123456789 GTBank"\n• "Send 2000 to GTB 0123456789"\n\n📱 *Katin Waya da Data*\n• "Buy 1000 airtime for 08123456789"\n• "Buy 1GB data for 08123456789"\n\n⚡ *Biyan Kuɗaɗe*\n• "Pay 5000 electricity EKEDC 12345"\n• "Pay 3000 cable DStv 123456789"\n\n📊 *Asusu*\n• "Nawa ne balance"\n• "Show transactions"\n• "Account details"\n\n💡 *Shawarwari*\n• Aiko da saƙon murya — ina fahimtar magana!\n• Aiko da hoton lissafin kuɗi — zan iya karanta shi!\n• Aiko da hoton bayanan banki don turawa!\n• Rubuta kamar yadda kake magana! 😊\n• Rubuta "canza yare" don canza yare\n\nKana buƙatar taimako? Rubuta "support" 💬',
+  'menu.services': '📱 *Ayyukan da Ake Da Su*\n\n💰 Duba Kuɗi\n💸 Tura Kuɗi\n🏦 Turawar Banki\n📱 Sayi Katin Waya\n🌐 Sayi Data\n💳 Biya Kuɗaɗe\n📊 Tarihin Ciniki\n📄 Bayanin Asusu (PDF)\n📋 Masu Karɓa Na\n🔐 Saitunan PIN\n🌍 Canza Yare\n\nMe kake so ka yi?',
+
+  'notification.credit.title': '💰 An Karɓi Kuɗi',
+  'notification.credit.message': 'Ka karɓi {amount:naira}',
+  'notification.transfer.title': '💸 An Tura Kuɗi',
+  'notification.transfer.message': 'Ka tura {amount:naira}',
+  'notification.transfer.message_to': 'Ka tura {amount:naira} zuwa {accountNumber}',
+  'notification.airtime.title': '📱 An Sayi Katin Waya',
+  'notification.airtime.message': 'Ka sayi katin waya na {amount:naira}',
+  'notification.data.title': '📶 An Sayi Data',
+  'notification.data.message': 'Ka sayi data ta {amount:naira}',
+  'notification.bill.title': '💡 An Biya Kuɗi',
+  'notification.bill.message': 'Ka biya {amount:naira}',
+  'notification.other.title': '💸 An Kammala Ciniki',
+  'notification.other.message': '{amount:naira}',
+  'notification.transfer_failed.title': '❌ Turawa Ta Gaza',
+  'notification.transfer_failed.message': 'Turawar {amount:naira} ta gaza. {reason}',
+  'notification.transfer_failed.default_reason': 'Don Allah sake gwadawa.',
+
+  'maintenance.months': { one: 'wata {count}', other: 'watanni {count}' },
+  'maintenance.charged': '📋 *An Cire Kuɗin Kula da Asusu*\n\nAdadi: {amount:naira} ({months})\nSabon Kuɗi: {balance:naira}\n\nAn cire kuɗin kula da asusu na wata-wata {fee:naira}. Idan kuɗinka ya yi ƙasa da sifili, za a cire kuɗin lokacin da ka saka kuɗi a walat ɗinka.',
+
+  'receipt.title': 'Rasidin Ciniki',
+  'receipt.generated_on': 'An samar daga The MiiMii AI a ranar {date}',
+  'receipt.amount': 'Adadin Kuɗi',
+  'receipt.type': 'Nau\'in Ciniki',
+  'receipt.date': 'Ranar Ciniki',
+  'receipt.sender': 'Mai Turawa',
+  'receipt.beneficiary': 'Mai Karɓa',
+  'receipt.bank': 'Banki',
+  'receipt.remark': 'Bayani',
+  'receipt.fee': 'Kuɗin Ciniki',
+  'receipt.total': 'Jimillar Kuɗi',
+  'receipt.reference': 'Lambar Ciniki',
+  'receipt.status': 'Matsayin Ciniki',
+  'receipt.recipient_name': 'Sunan Mai Karɓa',
+  'receipt.recipient_bank': 'Bankin Mai Karɓa',
+  'receipt.recipient_account': 'Asusun Mai Karɓa',
+  'receipt.phone': 'Lambar Waya',
+  'receipt.network': 'Kamfanin Waya',
+  'receipt.data_plan': 'Tsarin Data',
+  'receipt.disco': 'Kamfanin Wuta',
+  'receipt.charges': 'Caji',
+  'receipt.meter_type': 'Nau\'in Mita',
+  'receipt.meter_number': 'Lambar Mita',
+  'receipt.meter_token': 'Token na Mita',
+  'receipt.support': 'Taimako: contactcenter@chatmiimii.com',
+  'receipt.brand': 'MiiMii tana aiki tare da abokin hulɗa mai lasisin CBN kuma NDIC ta ba da inshora. Tura kuɗi, sayi katin waya, sayi data, biya kuɗaɗenka da na talabijin ta hanyar hira a cikin WhatsApp',
+  'receipt.type.bank_transfer': 'Turawar Banki',
+  'receipt.type.airtime': 'Sayen Katin Waya',
+  'receipt.type.data': 'Sayen Data',
+  'receipt.type.electricity': 'Biyan Kuɗin Wuta',
+  'receipt.verify_title': 'Tabbatar da wannan rasidi',
+  'receipt.verify_hint': 'Duba lambar QR ko buɗe mahaɗin don tabbatarwa'
+};
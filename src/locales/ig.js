@@ -0,0 +1,85 @@
+/**
+ * Igbo copy. Missing keys fall back to en.js.
+ */
+
+module.exports = {
+  'language.name': 'Igbo',
+  'language.prompt': 'Kedu asụsụ ị chọrọ ka m jiri? Ị nwere ike ịgbanwe ya mgbe ọ bụla site n\'ide "gbanwee asusu".',
+  'language.button': 'Họrọ asụsụ',
+  'language.section': 'Asụsụ',
+  'language.changed': 'O mechaala! Site ugbu a, m ga-aza gị n\'Igbo.',
+
+  'reply.greeting_reply': 'Ndewo {firstName}! Gịnị ka ị chọrọ ime taa — lelee ego gị, zipu ego, zụta kaadị oku ma ọ bụ data, ma ọ bụ kwụọ ụgwọ?',
+  'reply.help_overview': 'Anọ m ebe a inyere gị aka. Enwere m ike ilele ego gị, zipu ego, zụta kaadị oku ma ọ bụ data, kwụọ ụgwọ ma gosi gị nkọwa akaụntụ gị — gwa m ihe ị chọrọ.',
+  'reply.menu_overview': 'Enwere m ike inyere gị aka maka ego gị, izipu ego, kaadị oku, data, ụgwọ na nkọwa akaụntụ — gịnị ka ị chọrọ ime?',
+  'reply.balance_success': 'Ego dị {availableFormatted}, ngụkọta {totalFormatted}.',
+  'reply.balance_success_pending': 'Ego dị {availableFormatted}, nke na-echere {pendingFormatted}, ngụkọta {totalFormatted}.',
+  'reply.balance_need_onboarding': 'Ka anyị buru ụzọ mechaa imeghe akaụntụ gị, mgbe ahụ m ga-egosi gị ego gị.',
+  'reply.balance_wallet_missing': 'Ahụghị m obere akpa ego gị — biko kpọtụrụ ndị nkwado.',
+  'reply.balance_fetch_error': 'Enweghị m ike ilele ego gị ugbu a. Biko nwaa ọzọ n\'oge na-adịghị anya.',
+  'reply.onboarding_start_failed': 'Enweghị m ike ịmalite imeghe akaụntụ gị. Biko nwaa ọzọ ma ọ bụ dee help.',
+  'reply.voice_failed': 'Ndo, anụghị m nke ọma. Biko kwughachi ya nwayọ ma ọ bụ dee ozi gị.',
+  'reply.voice_failed_multilingual': 'Ndo, anụghị m nke ọma. Biko kwughachi ma ọ bụ dee n\'Bekee, Hausa, Yoruba, Igbo ma ọ bụ Pidgin.',
+  'reply.message_unclear': 'Aghọtaghị m nke ọma — biko nwaa ọzọ ma ọ bụ dee help.',
+  'reply.unsupported_format': 'Biko zite ederede, ozi olu ma ọ bụ foto nwere nkọwa.',
+  'reply.processing_error': 'Nsogbu mere n\'akụkụ anyị. Biko nwaa ọzọ.',
+  'reply.transfer_need_amount': 'Ego ole ka ị chọrọ izipu? Dịka ọmụmaatụ 1000 ma ọ bụ 5k.',
+  'reply.transfer_need_details': 'Biko zite ego ole, nọmba akaụntụ na aha ụlọ akụ, dịka "zipu 5k na 0123456789 GTBank".',
+  'reply.transfer_processing_error': 'Enweghị m ike ime nzipu ahụ. Biko zighachi ego ole, nọmba akaụntụ na aha ụlọ akụ.',
+
+  'help.menu': '🤖 *Enyemaka MiiMii*\n\n💰 *Izipu Ego*\n• "Zipu 5000 na 0123456789 GTBank"\n• "Send 2000 to GTB 0123456789"\n\n📱 *Kaadị Oku na Data*\n• "Buy 1000 airtime for 08123456789"\n• "Buy 1GB data for 08123456789"\n\n⚡ *Ịkwụ Ụgwọ*\n• "Pay 5000 electricity EKEDC 12345"\n• "Pay 3000 cable DStv 123456789"\n\n📊 *Akaụntụ*\n• "Ego m ole fọdụrụ"\n• "Show transactions"\n• "Account details"\n\n💡 *Ndụmọdụ*\n• Zite ozi olu — a na m aghọta okwu!\n• Zite foto ụgwọ — enwere m ike ịgụ ya!\n• Zite foto nkọwa ụlọ akụ maka nzipu!\n• Dee ka i si ekwu okwu! 😊\n• Dee "gbanwee asusu" iji gbanwee asụsụ\n\nỊ chọrọ enyemaka? Dee "support" 💬',
+  'menu.services': '📱 *Ọrụ Dị*\n\n💰 Lelee Ego\n💸 Zipu Ego\n🏦 Nzipu Ụlọ Akụ\n📱 Zụta Kaadị Oku\n🌐 Zụta Data\n💳 Kwụọ Ụgwọ\n📊 Akụkọ Azụmahịa\n📄 Nkọwa Akaụntụ (PDF)\n📋 Ndị Natara M\n🔐 Ntọala PIN\n🌍 Gbanwee Asụsụ\n\nGịnị ka ị chọrọ ime?',
+
+  'notification.credit.title': '💰 Ego Abatala',
+  'notification.credit.message': 'Ị natara {amount:naira}',
+  'notification.transfer.title': '💸 Ezipụla Ego',
+  'notification.transfer.message': 'Ị zipụrụ {amount:naira}',
+  'notification.transfer.message_to': 'Ị zipụrụ {amount:naira} na {accountNumber}',
+  'notification.airtime.title': '📱 Ịzụtala Kaadị Oku',
+  'notification.airtime.message': 'Ị zụtara kaadị oku {amount:naira}',
+  'notification.data.title': '📶 Ịzụtala Data',
+  'notification.data.message': 'Ị zụtara data {amount:naira}',
+  'notification.bill.title': '💡 Akwụọla Ụgwọ',
+  'notification.bill.message': 'Ị kwụrụ {amount:naira}',
+  'notification.other.title': '💸 Azụmahịa Agwụla',
+  'notification.other.message': '{amount:naira}',
+  'notification.transfer_failed.title': '❌ Nzipu Adaghị',
+  'notification.transfer_failed.message': 'Nzipu {amount:naira} gị adaghị. {reason}',
+  'notification.transfer_failed.default_reason': 'Biko nwaa ọzọ.',
+
+  'maintenance.months': { one: 'ọnwa {count}', other: 'ọnwa {count}' },
+  'maintenance.charged': '📋 *Ewerela Ụgwọ Nlekọta*\n\nEgo: {amount:naira} ({months})\nEgo Fọdụrụ: {balance:naira}\n\nEwerela ụgwọ nlekọta akaụntụ gị kwa ọnwa {fee:naira}. Ọ bụrụ na ego gị dị n\'okpuru efu, a ga-ewepụ ụgwọ ahụ mgbe ị tinyere ego n\'akpa gị.',
+
+  'receipt.title': 'Akwụkwọ Azụmahịa',
+  'receipt.generated_on': 'Sitere na The MiiMii AI na {date}',
+  'receipt.amount': 'Ego Azụmahịa',
+  'receipt.type': 'Ụdị Azụmahịa',
+  'receipt.date': 'Ụbọchị Azụmahịa',
+  'receipt.sender': 'Onye Zitere',
+  'receipt.beneficiary': 'Onye Natara',
+  'receipt.bank': 'Ụlọ Akụ',
+  'receipt.remark': 'Nkọwa',
+  'receipt.fee': 'Ụgwọ Azụmahịa',
+  'receipt.total': 'Ngụkọta Ego',
+  'receipt.reference': 'Nọmba Azụmahịa',
+  'receipt.status': 'Ọnọdụ Azụmahịa',
+  'receipt.recipient_name': 'Aha Onye Natara',
+  'receipt.recipient_bank': 'Ụlọ Akụ Onye Natara',
+  'receipt.recipient_account': 'Akaụntụ Onye Natara',
+  'receipt.phone': 'Nọmba Ekwentị',
+  'receipt.network': 'Netwọk',
+  'receipt.data_plan': 'Atụmatụ Data',
+  'receipt.disco': 'Ụlọ Ọrụ Ọkụ',
+  'receipt.charges': 'Ụgwọ',
+  'receipt.meter_type': 'Ụdị Mita',
+  'receipt.meter_number': 'Nọmba Mita',
+  'receipt.meter_token': 'Tokin Mita',
+  'receipt.support': 'Nkwado: contactcenter@chatmiimii.com',
+  'receipt.brand': 'MiiMii na-arụ ọrụ na onye mmekọ nwere ikike CBN, NDIC na-echekwa ya. Zipu ego, zụta kaadị oku, zụta data, kwụọ ụgwọ ọkụ na tiivi gị site na mkparịta ụka n\'ime WhatsApp',
+  'receipt.type.bank_transfer': 'Nzipu Ụlọ Akụ',
+  'receipt.type.airtime': 'Ịzụ Kaadị Oku',
+  'receipt.type.data': 'Ịzụ Data',
+  'receipt.type.electricity': 'Ịkwụ Ụgwọ Ọkụ',
+  'receipt.verify_title': 'Nyochaa akwụkwọ ọnụahịa a',
+  'receipt.verify_hint': 'Nyochaa koodu QR ma ọ bụ mepee njikọ ahụ iji kwado ya'
+};
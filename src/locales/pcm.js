@@ -0,0 +1,85 @@
+/**
+ * Nigerian Pidgin copy. Missing keys fall back to en.js.
+ */
+
+module.exports = {
+  'language.name': 'Pidgin',
+  'language.prompt': 'Which language you wan make I dey use? You fit change am anytime, just type "change language".',
+  'language.button': 'Pick language',
+  'language.section': 'Languages',
+  'language.changed': 'E don set! From now I go dey reply you for Pidgin.',
+
+  'reply.greeting_reply': 'How far {firstName}! Wetin we go do today — check balance, send money, buy airtime or data, or pay bill?',
+  'reply.help_overview': 'I dey here for you. I fit check your balance, send money, buy airtime or data, pay bills and show your account details — just talk wetin you want.',
+  'reply.menu_overview': 'I fit help with balance, transfer, airtime, data, bills and your account details — wetin you wan do?',
+  'reply.balance_success': 'Wetin dey available na {availableFormatted}, total na {totalFormatted}.',
+  'reply.balance_success_pending': 'Wetin dey available na {availableFormatted}, pending na {pendingFormatted}, total na {totalFormatted}.',
+  'reply.balance_need_onboarding': 'Make we finish your account setup first, then I go show you your balance.',
+  'reply.balance_wallet_missing': 'I no see your wallet — abeg contact support.',
+  'reply.balance_fetch_error': 'I no fit load your balance now. Abeg try again small time.',
+  'reply.onboarding_start_failed': 'Setup no gree start. Abeg try again or type help.',
+  'reply.voice_failed': 'Sorry, I no hear am well. Abeg talk am again small small or type your message.',
+  'reply.voice_failed_multilingual': 'Sorry, I no hear am well. Abeg talk am again or type am for English, Hausa, Yoruba, Igbo or Pidgin.',
+  'reply.message_unclear': 'I no catch wetin you mean — abeg try again or type help.',
+  'reply.unsupported_format': 'Abeg send am as text, voice note or picture with caption.',
+  'reply.processing_error': 'Small wahala happen for our side. Abeg try again.',
+  'reply.transfer_need_amount': 'How much you wan send? Like 1000 or 5k.',
+  'reply.transfer_need_details': 'Abeg send the amount, account number and bank name, like "send 5k to 0123456789 GTBank".',
+  'reply.transfer_processing_error': 'I no fit process that transfer. Abeg send the amount, account number and bank name again.',
+
+  'help.menu': '🤖 *MiiMii Help*\n\n💰 *Send Money*\n• "Send 5000 to John 08123456789"\n• "Transfer 2000 to GTB 0123456789"\n\n📱 *Airtime & Data*\n• "Buy 1000 airtime for 08123456789"\n• "Buy 1GB data for 08123456789"\n\n⚡ *Pay Bills*\n• "Pay 5000 electricity EKEDC 12345"\n• "Pay 3000 cable DStv 123456789"\n\n📊 *Account*\n• "Wetin i get for account"\n• "Show transactions"\n• "Account details"\n\n💡 *Tips*\n• Send voice note - I dey understand am!\n• Snap your bill send - I fit read am!\n• Snap bank details send for transfer!\n• Just type am anyhow you talk am! 😊\n• Type "change language" to change language\n\nYou need help? Type "support" 💬',
+  'menu.services': '📱 *Wetin I Fit Do*\n\n💰 Check Balance\n💸 Send Money\n🏦 Bank Transfer\n📱 Buy Airtime\n🌐 Buy Data\n💳 Pay Bills\n📊 Transaction History\n📄 Account Statement (PDF)\n📋 My Beneficiaries\n🔐 PIN Settings\n🌍 Change Language\n\nWetin you wan do?',
+
+  'notification.credit.title': '💰 Money Don Land',
+  'notification.credit.message': 'You don receive {amount:naira}',
+  'notification.transfer.title': '💸 Transfer Don Go',
+  'notification.transfer.message': 'You don send {amount:naira}',
+  'notification.transfer.message_to': 'You don send {amount:naira} to {accountNumber}',
+  'notification.airtime.title': '📱 Airtime Don Enter',
+  'notification.airtime.message': 'You don buy {amount:naira} airtime',
+  'notification.data.title': '📶 Data Don Enter',
+  'notification.data.message': 'You don buy {amount:naira} data',
+  'notification.bill.title': '💡 Bill Don Pay',
+  'notification.bill.message': 'You don pay {amount:naira}',
+  'notification.other.title': '💸 Transaction Don Complete',
+  'notification.other.message': '{amount:naira}',
+  'notification.transfer_failed.title': '❌ Transfer No Go',
+  'notification.transfer_failed.message': 'Your transfer of {amount:naira} no go through. {reason}',
+  'notification.transfer_failed.default_reason': 'Abeg try again.',
+
+  'maintenance.months': { one: '{count} month', other: '{count} months' },
+  'maintenance.charged': '📋 *Maintenance Fee Don Comot*\n\nAmount: {amount:naira} ({months})\nNew Balance: {balance:naira}\n\nYour monthly maintenance fee of {fee:naira} don comot. If your balance don go negative, we go remove the fee when you fund your wallet.',
+
+  'receipt.title': 'Transaction Receipt',
+  'receipt.generated_on': 'From The MiiMii AI on {date}',
+  'receipt.amount': 'How Much',
+  'receipt.type': 'Wetin You Do',
+  'receipt.date': 'Date',
+  'receipt.sender': 'Who Send Am',
+  'receipt.beneficiary': 'Who Collect Am',
+  'receipt.bank': 'Bank',
+  'receipt.remark': 'Talk',
+  'receipt.fee': 'Charge',
+  'receipt.total': 'Total Money',
+  'receipt.reference': 'Reference',
+  'receipt.status': 'How E Take Go',
+  'receipt.recipient_name': 'Who Collect Am',
+  'receipt.recipient_bank': 'Their Bank',
+  'receipt.recipient_account': 'Their Account',
+  'receipt.phone': 'Phone Number',
+  'receipt.network': 'Network',
+  'receipt.data_plan': 'Data Plan',
+  'receipt.disco': 'Light Company',
+  'receipt.charges': 'Charges',
+  'receipt.meter_type': 'Meter Type',
+  'receipt.meter_number': 'Meter Number',
+  'receipt.meter_token': 'Meter Token',
+  'receipt.support': 'Support: contactcenter@chatmiimii.com',
+  'receipt.brand': 'MiiMii dey work with CBN licensed partner and NDIC dey insure am. Send money, buy airtime, buy data, pay your bills and cable subscription with just chat inside WhatsApp',
+  'receipt.type.bank_transfer': 'Bank Transfer',
+  'receipt.type.airtime': 'Airtime Wey You Buy',
+  'receipt.type.data': 'Data Wey You Buy',
+  'receipt.type.electricity': 'Light Bill Wey You Pay',
+  'receipt.verify_title': 'Check say this receipt correct',
+  'receipt.verify_hint': 'Scan the QR code or open the link to confirm am'
+};
@@ -0,0 +1,85 @@
+/**
+ * Yoruba copy. Missing keys fall back to en.js.
+ */
+
+module.exports = {
+  'language.name': 'Yorùbá',
+  'language.prompt': 'Èdè wo ni kí n máa lò? O lè yí i padà nígbàkígbà tí o bá kọ "yi ede pada".',
+  'language.button': 'Yan èdè',
+  'language.section': 'Àwọn èdè',
+  'language.changed': 'Ó ti di ṣíṣe! Màá máa dá ọ lóhùn ní Yorùbá láti ìsinsìnyí lọ.',
+
+  'reply.greeting_reply': 'Ẹ n lẹ {firstName}! Kí lo fẹ́ ṣe lónìí — wo owó rẹ, fi owó ránṣẹ́, ra káàdì ìpè tàbí dátà, tàbí san owó iná?',
+  'reply.help_overview': 'Mo wà níbí láti ràn ọ́ lọ́wọ́. Mo lè wo owó rẹ, fi owó ránṣẹ́, ra káàdì ìpè tàbí dátà, san owó àti fi àlàyé àkáǹtì rẹ hàn — sọ ohun tí o nílò fún mi.',
+  'reply.menu_overview': 'Mo lè ràn ọ́ lọ́wọ́ pẹ̀lú owó rẹ, fífi owó ránṣẹ́, káàdì ìpè, dátà, owó iná àti àlàyé àkáǹtì — kí lo fẹ́ ṣe?',
+  'reply.balance_success': 'Owó tó wà {availableFormatted}, àpapọ̀ {totalFormatted}.',
+  'reply.balance_success_pending': 'Owó tó wà {availableFormatted}, èyí tó ń dúró {pendingFormatted}, àpapọ̀ {totalFormatted}.',
+  'reply.balance_need_onboarding': 'Jẹ́ ká parí ṣíṣí àkáǹtì rẹ ná, lẹ́yìn náà màá fi owó rẹ hàn ọ́.',
+  'reply.balance_wallet_missing': 'Mi ò rí àpò owó rẹ — jọ̀wọ́ kàn sí àwọn olùrànlọ́wọ́.',
+  'reply.balance_fetch_error': 'Mi ò lè wo owó rẹ báyìí. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i láìpẹ́.',
+  'reply.onboarding_start_failed': 'Mi ò lè bẹ̀rẹ̀ ṣíṣí àkáǹtì rẹ. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i tàbí kọ help.',
+  'reply.voice_failed': 'Má bínú, mi ò gbọ́ dáadáa. Jọ̀wọ́ tún un sọ díẹ̀díẹ̀ tàbí kọ ọ̀rọ̀ rẹ.',
+  'reply.voice_failed_multilingual': 'Má bínú, mi ò gbọ́ dáadáa. Jọ̀wọ́ tún un sọ tàbí kọ ọ́ ní Gẹ̀ẹ́sì, Hausa, Yorùbá, Igbo tàbí Pidgin.',
+  'reply.message_unclear': 'Kò yé mi dáadáa — jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i tàbí kọ help.',
+  'reply.unsupported_format': 'Jọ̀wọ́ fi ọ̀rọ̀, ohùn tàbí àwòrán pẹ̀lú àkọlé ránṣẹ́.',
+  'reply.processing_error': 'Ìṣòro kan ṣẹlẹ̀ ní ọ̀dọ̀ wa. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i.',
+  'reply.transfer_need_amount': 'Èló lo fẹ́ fi ránṣẹ́? Fún àpẹẹrẹ 1000 tàbí 5k.',
+  'reply.transfer_need_details': 'Jọ̀wọ́ fi iye owó, nọ́ńbà àkáǹtì àti orúkọ báńkì ránṣẹ́, bí àpẹẹrẹ "fi 5k ranse si 0123456789 GTBank".',
+  'reply.transfer_processing_error': 'Mi ò lè ṣe ìfiránṣẹ́ yẹn. Jọ̀wọ́ tún iye owó, nọ́ńbà àkáǹtì àti orúkọ báńkì fi ránṣẹ́.',
+
+  'help.menu': '🤖 *Ìrànlọ́wọ́ MiiMii*\n\n💰 *Fífi Owó Ránṣẹ́*\n• "Fi 5000 ranse si 0123456789 GTBank"\n• "Send 2000 to GTB 0123456789"\n\n📱 *Káàdì Ìpè àti Dátà*\n• "Buy 1000 airtime for 08123456789"\n• "Buy 1GB data for 08123456789"\n\n⚡ *Sísan Owó*\n• "Pay 5000 electricity EKEDC 12345"\n• "Pay 3000 cable DStv 123456789"\n\n📊 *Àkáǹtì*\n• "Owo mi melo lo ku"\n• "Show transactions"\n• "Account details"\n\n💡 *Ìmọ̀ràn*\n• Fi ohùn ránṣẹ́ — mo ń gbọ́ ọ̀rọ̀!\n• Fi àwòrán bílì ránṣẹ́ — mo lè kà á!\n• Fi àwòrán àlàyé báńkì ránṣẹ́ fún ìfiránṣẹ́!\n• Kọ̀wé bí o ṣe ń sọ̀rọ̀! 😊\n• Kọ "yi ede pada" láti yí èdè padà\n\nṢé o nílò ìrànlọ́wọ́? Kọ "support" 💬',
+  'menu.services': '📱 *Àwọn Iṣẹ́ Tó Wà*\n\n💰 Wo Owó Rẹ\n💸 Fi Owó Ránṣẹ́\n🏦 Ìfiránṣẹ́ sí Báńkì\n📱 Ra Káàdì Ìpè\n🌐 Ra Dátà\n💳 San Owó\n📊 Ìtàn Ìdúnàádúrà\n📄 Ìwé Àkáǹtì (PDF)\n📋 Àwọn Olùgbà Mi\n🔐 Ètò PIN\n🌍 Yí Èdè Padà\n\nKí lo fẹ́ ṣe?',
+
+  'notification.credit.title': '💰 Owó Ti Wọlé',
+  'notification.credit.message': 'O gba {amount:naira}',
+  'notification.transfer.title': '💸 Owó Ti Lọ',
+  'notification.transfer.message': 'O fi {amount:naira} ránṣẹ́',
+  'notification.transfer.message_to': 'O fi {amount:naira} ránṣẹ́ sí {accountNumber}',
+  'notification.airtime.title': '📱 O Ti Ra Káàdì Ìpè',
+  'notification.airtime.message': 'O ra káàdì ìpè {amount:naira}',
+  'notification.data.title': '📶 O Ti Ra Dátà',
+  'notification.data.message': 'O ra dátà {amount:naira}',
+  'notification.bill.title': '💡 O Ti San Owó',
+  'notification.bill.message': 'O san {amount:naira}',
+  'notification.other.title': '💸 Ìdúnàádúrà Ti Parí',
+  'notification.other.message': '{amount:naira}',
+  'notification.transfer_failed.title': '❌ Ìfiránṣẹ́ Kò Ṣeé Ṣe',
+  'notification.transfer_failed.message': 'Ìfiránṣẹ́ {amount:naira} rẹ kò ṣeé ṣe. {reason}',
+  'notification.transfer_failed.default_reason': 'Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i.',
+
+  'maintenance.months': { one: 'oṣù {count}', other: 'oṣù {count}' },
+  'maintenance.charged': '📋 *A Ti Gba Owó Ìtọ́jú Àkáǹtì*\n\nIye: {amount:naira} ({months})\nOwó Tuntun: {balance:naira}\n\nA ti gba owó ìtọ́jú àkáǹtì oṣooṣù rẹ {fee:naira}. Tí owó rẹ bá wà nísàlẹ̀ òdo, a ó yọ owó náà nígbà tí o bá fi owó sínú àpò rẹ.',
+
+  'receipt.title': 'Ìwé Ẹ̀rí Ìdúnàádúrà',
+  'receipt.generated_on': 'Láti ọ̀dọ̀ The MiiMii AI ní {date}',
+  'receipt.amount': 'Iye Owó',
+  'receipt.type': 'Irú Ìdúnàádúrà',
+  'receipt.date': 'Ọjọ́ Ìdúnàádúrà',
+  'receipt.sender': 'Olùfiránṣẹ́',
+  'receipt.beneficiary': 'Olùgbà',
+  'receipt.bank': 'Báńkì',
+  'receipt.remark': 'Àkíyèsí',
+  'receipt.fee': 'Owó Iṣẹ́',
+  'receipt.total': 'Àpapọ̀ Owó',
+  'receipt.reference': 'Nọ́ńbà Ìdúnàádúrà',
+  'receipt.status': 'Ipò Ìdúnàádúrà',
+  'receipt.recipient_name': 'Orúkọ Olùgbà',
+  'receipt.recipient_bank': 'Báńkì Olùgbà',
+  'receipt.recipient_account': 'Àkáǹtì Olùgbà',
+  'receipt.phone': 'Nọ́ńbà Fóònù',
+  'receipt.network': 'Nẹ́tíwọ̀ọ̀kì',
+  'receipt.data_plan': 'Ètò Dátà',
+  'receipt.disco': 'Ilé-iṣẹ́ Iná',
+  'receipt.charges': 'Owó Iṣẹ́',
+  'receipt.meter_type': 'Irú Mítà',
+  'receipt.meter_number': 'Nọ́ńbà Mítà',
+  'receipt.meter_token': 'Tókìnì Mítà',
+  'receipt.support': 'Ìrànlọ́wọ́: contactcenter@chatmiimii.com',
+  'receipt.brand': 'MiiMii ń ṣiṣẹ́ pẹ̀lú alábàáṣiṣẹ́ tí CBN fún ní ìwé àṣẹ, NDIC sì ń dáàbò bò ó. Fi owó ránṣẹ́, ra káàdì ìpè, ra dátà, san owó iná àti tẹlifíṣọ̀n nípasẹ̀ ìjíròrò nínú WhatsApp',
+  'receipt.type.bank_transfer': 'Ìfiránṣẹ́ sí Báńkì',
+  'receipt.type.airtime': 'Ríra Káàdì Ìpè',
+  'receipt.type.data': 'Ríra Dátà',
+  'receipt.type.electricity': 'Sísan Owó Iná',
+  'receipt.verify_title': 'Ṣàyẹ̀wò ìwé-ẹ̀rí yìí',
+  'receipt.verify_hint': 'Ṣàyẹ̀wò kóòdù QR tàbí ṣí líǹkì náà láti fìdí rẹ̀ múlẹ̀'
+};
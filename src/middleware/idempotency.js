@@ -0,0 +1,66 @@
+const idempotencyService = require('../services/idempotency');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware factory guarding a money-moving route with the Idempotency-Key header.
+ * Must run after authentication (keys are per user) and request validation.
+ * The first 2xx response is stored and replayed for retries with the same key;
+ * error responses release the key so it can be retried, unless the handler set
+ * res.locals.idempotencyOutcomeUnknown.
+ */
+module.exports = function idempotency(scope) {
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      if (config.getIdempotencyConfig().requireKey) {
+        return res.status(400).json({ error: 'Idempotency-Key header is required' });
+      }
+      return next();
+    }
+
+    let reservation;
+    try {
+      reservation = await idempotencyService.begin({
+        userId: req.user.id,
+        scope,
+        key,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.name === 'IdempotencyError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Idempotency key reservation failed', { error: error.message, scope, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to process request' });
+    }
+
+    const { replay, record } = reservation;
+    res.set('Idempotency-Key', key);
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus || 200).json(record.responseBody);
+    }
+
+    // Store the response before it leaves so a fast retry already sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = sendJson;
+      let settle;
+      if (res.statusCode < 400) {
+        settle = idempotencyService.complete(record, res.statusCode, body);
+      } else if (res.locals.idempotencyOutcomeUnknown) {
+        // Money may have moved: leave the key locked rather than allow a re-run
+        settle = Promise.resolve();
+      } else {
+        settle = idempotencyService.fail(record, res.statusCode, body);
+      }
+      settle.finally(() => sendJson(body));
+      return res;
+    };
+
+    return next();
+  };
+};
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A short-lived virtual account that expects one payment, so a merchant can
+// tell which customer paid. Credits to it are matched back here, not to the
+// merchant's static account.
+const CollectionAccount = sequelize.define('CollectionAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Our reference, sent to the provider when the account is opened'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'rubies'
+  },
+  accountNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  accountName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  bankName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  bankCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  purpose: {
+    type: DataTypes.ENUM('invoice', 'payment_request'),
+    allowNull: false,
+    defaultValue: 'invoice'
+  },
+  paymentRequestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'paymentRequests',
+      key: 'id'
+    }
+  },
+  invoiceReference: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: "The merchant's own invoice or order number"
+  },
+  description: {
+    type: DataTypes.STRING(140),
+    allowNull: true
+  },
+  customerName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  expectedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  amountReceived: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'partially_paid', 'paid', 'overpaid', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  payments: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Each credit received: reference, amount, sender, receivedAt, late'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the account was cancelled or expired'
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'app'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'collectionAccounts',
+  timestamps: true,
+  indexes: [
+    { fields: ['reference'], unique: true },
+    { fields: ['accountNumber'] },
+    { fields: ['userId', 'status'] },
+    { fields: ['paymentRequestId'] },
+    { fields: ['status', 'expiresAt'] }
+  ]
+});
+
+module.exports = CollectionAccount;
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A pot the owner collects into from a group (bill split, contribution), or a
+// rotating ajo/esusu where every member pays in each round and one member
+// takes the round's payout. Ajo rounds are run by the maintenance worker.
+const GroupCollection = sequelize.define('GroupCollection', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('pot', 'ajo'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  targetAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Pots: total to collect from members'
+  },
+  contributionAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Ajo: what each member pays per round. Pots: default share per member'
+  },
+  collectedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  dueDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+    allowNull: true
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 6
+    }
+  },
+  dayOfMonth: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 31
+    }
+  },
+  timeOfDay: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:mm, Africa/Lagos'
+  },
+  currentCycle: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Ajo: the round that runs next (1-based); 0 until the ajo starts'
+  },
+  totalCycles: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  nextPayoutAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastPayoutAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'app'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'groupCollections',
+  timestamps: true,
+  indexes: [
+    { fields: ['ownerId'] },
+    { fields: ['type', 'status', 'nextPayoutAt'] }
+  ]
+});
+
+module.exports = GroupCollection;
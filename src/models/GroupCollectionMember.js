@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// Someone asked to pay into a group collection. Members are added by phone
+// number and linked to a user once that number belongs to a MiiMii account.
+const GroupCollectionMember = sequelize.define('GroupCollectionMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  groupCollectionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'groupCollections',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('invited', 'active', 'paid', 'declined', 'removed'),
+    allowNull: false,
+    defaultValue: 'invited'
+  },
+  amountDue: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Pots: this member\'s share; null lets them pay any amount'
+  },
+  amountPaid: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  payoutPosition: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Ajo: the round in which this member takes the payout'
+  },
+  pinAuthorization: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  authorizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  requestSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastPaidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paidOutAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'groupCollectionMembers',
+  timestamps: true,
+  indexes: [
+    { fields: ['groupCollectionId', 'phoneNumber'], unique: true },
+    { fields: ['userId'] },
+    { fields: ['phoneNumber'] }
+  ]
+});
+
+module.exports = GroupCollectionMember;
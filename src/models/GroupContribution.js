@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// One payment into a group collection: a member paying a pot, or one
+// member's share of an ajo round paid to that round's recipient.
+const GroupContribution = sequelize.define('GroupContribution', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  groupCollectionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'groupCollections',
+      key: 'id'
+    }
+  },
+  memberId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'groupCollectionMembers',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  recipientUserId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  cycle: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Ajo round; null for pots'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('success', 'failed', 'unknown'),
+    allowNull: false
+  },
+  transactionReference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'groupContributions',
+  timestamps: true,
+  indexes: [
+    { fields: ['groupCollectionId', 'cycle'] },
+    { fields: ['memberId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = GroupContribution;
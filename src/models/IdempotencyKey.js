@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A client-supplied key guarding one money-moving request, with its first response.
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  scope: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'e.g. mobile.transfers, mobile.airtime, whatsapp.bank_transfer'
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'processing'
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotencyKeys',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'scope', 'key'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// One line of a double-entry journal. Postings sharing a journalId balance.
+const LedgerPosting = sequelize.define('LedgerPosting', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  accountCode: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'e.g. wallet:<walletId>, fee_income, provider_float:rubies, suspense'
+  },
+  accountType: {
+    type: DataTypes.ENUM('asset', 'liability', 'income', 'expense'),
+    allowNull: false
+  },
+  direction: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING,
+    defaultValue: 'NGN'
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'transactions',
+      key: 'id'
+    }
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ledgerPostings',
+  timestamps: true,
+  indexes: [
+    { fields: ['journalId'] },
+    { fields: ['accountCode', 'postedAt'] },
+    { fields: ['transactionId'] },
+    { fields: ['reference'] }
+  ]
+});
+
+module.exports = LedgerPosting;
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// One user asking for money. A MiiMii payer settles it from their wallet;
+// anyone else pays the requester's virtual account through the pay link.
+const PaymentRequest = sequelize.define('PaymentRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true,
+    comment: 'Public pay link code, also used as the bank transfer narration'
+  },
+  requesterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  payerUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  payerPhone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Null for an open pay link anyone can settle'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(140),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'paid', 'declined', 'cancelled', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  paymentMethod: {
+    type: DataTypes.ENUM('wallet', 'bank_transfer'),
+    allowNull: true
+  },
+  paidByName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  transactionReference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the request was declined, cancelled or expired'
+  },
+  reminderCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastReminderAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'whatsapp'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'paymentRequests',
+  timestamps: true,
+  indexes: [
+    { fields: ['code'], unique: true },
+    { fields: ['requesterId', 'status'] },
+    { fields: ['payerUserId', 'status'] },
+    { fields: ['payerPhone'] },
+    { fields: ['status', 'expiresAt'] }
+  ]
+});
+
+module.exports = PaymentRequest;
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A user who signed up with someone else's referral code. Bonuses are paid
+// once, when the referee has completed KYC and a first qualifying transaction.
+const Referral = sequelize.define('Referral', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  referrerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refereeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  referralCode: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.ENUM('whatsapp', 'app'),
+    allowNull: false,
+    defaultValue: 'whatsapp'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'rewarded', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  rejectionReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  refereeDeviceId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  refereeBvnHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the referee BVN, kept to spot the same person re-registering'
+  },
+  qualifyingTransactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'transactions',
+      key: 'id'
+    }
+  },
+  referrerReward: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  refereeReward: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  rewardedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'referrals',
+  timestamps: true,
+  indexes: [
+    { fields: ['referrerId'] },
+    { fields: ['refereeId'], unique: true },
+    { fields: ['status'] },
+    { fields: ['refereeDeviceId'] },
+    { fields: ['refereeBvnHash'] }
+  ]
+});
+
+module.exports = Referral;
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A flexible, fixed or target savings plan. Money here has left the wallet;
+// interest accrues daily into accruedInterest and is posted to the balance.
+const SavingsAccount = sequelize.define('SavingsAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  accountNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  accountName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  accountType: {
+    type: DataTypes.ENUM('flexible', 'fixed', 'target'),
+    allowNull: false,
+    defaultValue: 'flexible'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'suspended', 'matured', 'closed'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: {
+      min: 0
+    }
+  },
+  targetAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  interestRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    comment: 'Percent per annum'
+  },
+  duration: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Fixed plans only: 3_months, 6_months or 12_months'
+  },
+  maturityDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  savingsGoal: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  accruedInterest: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Interest accrued daily but not yet posted to the balance'
+  },
+  interestEarned: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  totalDeposits: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  totalWithdrawals: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  lastInterestAccrualAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastInterestPostedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  maturedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Optimistic-locking version for balance updates'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'savingsAccounts',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status', 'accountType'] },
+    { fields: ['maturityDate'] }
+  ]
+});
+
+module.exports = SavingsAccount;
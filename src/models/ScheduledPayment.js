@@ -0,0 +1,148 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+// A one-off or recurring transfer, airtime, data or bill payment run by the
+// maintenance worker. Runs are authorised by the PIN given at creation time.
+const ScheduledPayment = sequelize.define('ScheduledPayment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('bank_transfer', 'airtime', 'data', 'bill'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused', 'completed', 'cancelled', 'failed'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Type-specific payee: account/bank, phone/network, plan or biller/customer'
+  },
+  frequency: {
+    type: DataTypes.ENUM('once', 'daily', 'weekly', 'monthly'),
+    allowNull: false
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 6
+    }
+  },
+  dayOfMonth: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 31
+    }
+  },
+  timeOfDay: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '09:00',
+    comment: 'HH:mm, Africa/Lagos'
+  },
+  startAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxRuns: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastTransactionReference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  runCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  consecutiveFailures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  pinAuthorization: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  authorizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'app'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduledPayments',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status', 'nextRunAt'] }
+  ]
+});
+
+module.exports = ScheduledPayment;
@@ -75,7 +75,7 @@ const Transaction = sequelize.define('Transaction', {
   status: {
     type: DataTypes.ENUM(
       'pending', 'processing', 'completed', 'failed', 
-      'cancelled', 'reversed', 'disputed', 'refunded'
+      'cancelled', 'reversed', 'disputed', 'refunded', 'superseded'
     ),
     defaultValue: 'pending'
   },
@@ -169,6 +169,12 @@ const Transaction = sequelize.define('Transaction', {
     allowNull: true,
     comment: 'Fraud detection results'
   },
+  verificationCode: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    unique: true,
+    comment: 'Signed code printed on the receipt, checked at /verify/:code'
+  },
   complianceCheck: {
     type: DataTypes.JSONB,
     allowNull: true,
@@ -108,7 +108,7 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     defaultValue: 'en',
     validate: {
-      isIn: [['en', 'ha', 'yo', 'ig']] // English, Hausa, Yoruba, Igbo
+      isIn: [['en', 'ha', 'yo', 'ig', 'pcm']] // English, Hausa, Yoruba, Igbo, Nigerian Pidgin
     }
   },
   isActive: {
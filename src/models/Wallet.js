@@ -155,6 +155,12 @@ const Wallet = sequelize.define('Wallet', {
   metadata: {
     type: DataTypes.JSONB,
     allowNull: true
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Incremented on every balance change; used for compare-and-swap updates'
   }
 }, {
   tableName: 'wallets',
@@ -8,7 +8,7 @@ const WebhookLog = sequelize.define('WebhookLog', {
     primaryKey: true
   },
   provider: {
-    type: DataTypes.ENUM('whatsapp', 'bellbank', 'bilal', 'dojah', 'rubies'),
+    type: DataTypes.ENUM('whatsapp', 'bellbank', 'bilal', 'dojah', 'rubies', 'fincra'),
     allowNull: false
   },
   event: {
@@ -50,6 +50,30 @@ const WebhookLog = sequelize.define('WebhookLog', {
   retryCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'processing', 'retrying', 'processed', 'dead'),
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deadLetteredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'webhook_logs',
@@ -58,7 +82,9 @@ const WebhookLog = sequelize.define('WebhookLog', {
     { fields: ['provider'] },
     { fields: ['event'] },
     { fields: ['processed'] },
-    { fields: ['createdAt'] }
+    { fields: ['createdAt'] },
+    { fields: ['provider', 'eventId'], unique: true },
+    { fields: ['status', 'nextAttemptAt'] }
   ]
 });
 
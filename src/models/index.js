@@ -14,6 +14,16 @@ const ActivityLog = require('./ActivityLog');
 const DataPlan = require('./DataPlan');
 const ChatMessage = require('./ChatMessage');
 const Notification = require('./Notification');
+const LedgerPosting = require('./LedgerPosting');
+const IdempotencyKey = require('./IdempotencyKey');
+const ScheduledPayment = require('./ScheduledPayment');
+const SavingsAccount = require('./SavingsAccount');
+const Referral = require('./Referral');
+const GroupCollection = require('./GroupCollection');
+const GroupCollectionMember = require('./GroupCollectionMember');
+const GroupContribution = require('./GroupContribution');
+const PaymentRequest = require('./PaymentRequest');
+const CollectionAccount = require('./CollectionAccount');
 
 // Define relationships
 // User relationships
@@ -156,6 +166,139 @@ ChatMessage.belongsTo(User, {
   as: 'user'
 });
 
+// LedgerPosting relationships
+Transaction.hasMany(LedgerPosting, {
+  foreignKey: 'transactionId',
+  as: 'ledgerPostings'
+});
+
+LedgerPosting.belongsTo(Transaction, {
+  foreignKey: 'transactionId',
+  as: 'transaction'
+});
+
+// IdempotencyKey relationships
+IdempotencyKey.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// ScheduledPayment relationships
+User.hasMany(ScheduledPayment, {
+  foreignKey: 'userId',
+  as: 'scheduledPayments'
+});
+
+ScheduledPayment.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// SavingsAccount relationships
+User.hasMany(SavingsAccount, {
+  foreignKey: 'userId',
+  as: 'savingsAccounts'
+});
+
+SavingsAccount.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Referral relationships
+User.hasMany(Referral, {
+  foreignKey: 'referrerId',
+  as: 'referralRecords'
+});
+
+Referral.belongsTo(User, {
+  foreignKey: 'referrerId',
+  as: 'referrer'
+});
+
+Referral.belongsTo(User, {
+  foreignKey: 'refereeId',
+  as: 'referee'
+});
+
+// GroupCollection relationships
+User.hasMany(GroupCollection, {
+  foreignKey: 'ownerId',
+  as: 'groupCollections'
+});
+
+GroupCollection.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner'
+});
+
+GroupCollection.hasMany(GroupCollectionMember, {
+  foreignKey: 'groupCollectionId',
+  as: 'members'
+});
+
+GroupCollectionMember.belongsTo(GroupCollection, {
+  foreignKey: 'groupCollectionId',
+  as: 'groupCollection'
+});
+
+GroupCollectionMember.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+GroupCollection.hasMany(GroupContribution, {
+  foreignKey: 'groupCollectionId',
+  as: 'contributions'
+});
+
+GroupContribution.belongsTo(GroupCollection, {
+  foreignKey: 'groupCollectionId',
+  as: 'groupCollection'
+});
+
+GroupContribution.belongsTo(GroupCollectionMember, {
+  foreignKey: 'memberId',
+  as: 'member'
+});
+
+// PaymentRequest relationships
+User.hasMany(PaymentRequest, {
+  foreignKey: 'requesterId',
+  as: 'paymentRequests'
+});
+
+PaymentRequest.belongsTo(User, {
+  foreignKey: 'requesterId',
+  as: 'requester'
+});
+
+PaymentRequest.belongsTo(User, {
+  foreignKey: 'payerUserId',
+  as: 'payer'
+});
+
+// CollectionAccount relationships
+User.hasMany(CollectionAccount, {
+  foreignKey: 'userId',
+  as: 'collectionAccounts'
+});
+
+CollectionAccount.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+PaymentRequest.hasMany(CollectionAccount, {
+  foreignKey: 'paymentRequestId',
+  as: 'collectionAccounts'
+});
+
+CollectionAccount.belongsTo(PaymentRequest, {
+  foreignKey: 'paymentRequestId',
+  as: 'paymentRequest'
+});
+
 // Export all models
 module.exports = {
   sequelize,
@@ -171,5 +314,15 @@ module.exports = {
   KVStore,
   DataPlan,
   ChatMessage,
-  Notification
+  Notification,
+  LedgerPosting,
+  IdempotencyKey,
+  ScheduledPayment,
+  SavingsAccount,
+  Referral,
+  GroupCollection,
+  GroupCollectionMember,
+  GroupContribution,
+  PaymentRequest,
+  CollectionAccount
 };
\ No newline at end of file
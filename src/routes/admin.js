@@ -104,6 +104,11 @@ router.get('/dashboard', async (req, res) => {
       volume: data.volume
     }));
 
+    // Circuit breaker and recent health of each bank transfer rail
+    const transferRails = require('../services/transferRails').getStatus();
+    // ...and of each airtime, data and electricity provider
+    const vasProviders = require('../services/vasGateway').getStatus();
+
     res.json({
       success: true,
       overview: {
@@ -116,6 +121,8 @@ router.get('/dashboard', async (req, res) => {
       },
       kycStats: kycStats,
       transactionTypes: transactionTypesArray,
+      transferRails,
+      vasProviders,
       recentTransactions: recentTransactions.map(tx => ({
         reference: tx.reference,
         type: tx.type,
@@ -2237,4 +2244,516 @@ router.get('/data-plans',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+// Ledger trial balance - proves debits equal credits across all accounts
+router.get('/ledger/trial-balance',
+  query('asOf').optional().isISO8601(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ledgerService = require('../services/ledger');
+      const trialBalance = await ledgerService.getTrialBalance({ asOf: req.query.asOf || null });
+
+      res.json({ success: true, trialBalance });
+    } catch (error) {
+      logger.error('Failed to get ledger trial balance', { error: error.message });
+      res.status(500).json({ error: 'Failed to get ledger trial balance' });
+    }
+  }
+);
+
+// Ledger balance of a user's wallet at any point in time
+router.get('/users/:userId/ledger',
+  param('userId').isUUID(),
+  query('asOf').optional().isISO8601(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ledgerService = require('../services/ledger');
+      const wallet = await walletService.getUserWallet(req.params.userId);
+      const ledgerBalance = await ledgerService.getWalletLedgerBalance(wallet.id, { asOf: req.query.asOf || null });
+
+      res.json({
+        success: true,
+        walletId: wallet.id,
+        asOf: req.query.asOf || new Date().toISOString(),
+        ledgerBalance,
+        cachedBalance: parseFloat(wallet.balance || 0)
+      });
+    } catch (error) {
+      logger.error('Failed to get wallet ledger balance', { error: error.message });
+      res.status(500).json({ error: 'Failed to get wallet ledger balance' });
+    }
+  }
+);
+
+// Rebuild a wallet's cached balance from its ledger postings
+router.post('/users/:userId/ledger/rebuild',
+  param('userId').isUUID(),
+  body('apply').optional().isBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ledgerService = require('../services/ledger');
+      const activityLogger = require('../services/activityLogger');
+      const { userId } = req.params;
+      const apply = req.body.apply === true;
+
+      const wallet = await walletService.getUserWallet(userId);
+      const result = await ledgerService.rebuildWalletBalance(wallet.id, { apply });
+
+      if (result.applied) {
+        await activityLogger.logAdminAction(req.admin?.id, userId, 'wallet_balance_rebuilt_from_ledger', {
+          description: 'Wallet balance rebuilt from ledger postings',
+          oldValues: { balance: result.cachedBalance },
+          newValues: { balance: result.ledgerBalance },
+          adminEmail: req.admin?.email
+        });
+      }
+
+      res.json({ success: true, result });
+    } catch (error) {
+      logger.error('Failed to rebuild wallet balance from ledger', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Ledger postings for a transaction
+router.get('/transactions/:transactionId/ledger',
+  param('transactionId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ledgerService = require('../services/ledger');
+      const postings = await ledgerService.getJournalsForTransaction(req.params.transactionId);
+
+      res.json({ success: true, postings });
+    } catch (error) {
+      logger.error('Failed to get transaction ledger postings', { error: error.message });
+      res.status(500).json({ error: 'Failed to get transaction ledger postings' });
+    }
+  }
+);
+
+// Transactions held by the risk engine, oldest first, with each user's risk context
+router.get('/risk/holds',
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const riskService = require('../services/risk');
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { total, items } = await riskService.listHeldTransactions({ limit, offset });
+
+      res.json({ success: true, total, limit, offset, holds: items });
+    } catch (error) {
+      logger.error('Failed to list risk holds', { error: error.message });
+      res.status(500).json({ error: 'Failed to list risk holds' });
+    }
+  }
+);
+
+router.get('/risk/holds/:transactionId',
+  param('transactionId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const riskService = require('../services/risk');
+      const hold = await riskService.getHeldTransaction(req.params.transactionId);
+
+      res.json({ success: true, hold });
+    } catch (error) {
+      logger.error('Failed to get risk hold', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get risk hold' });
+    }
+  }
+);
+
+// Approve a held transaction; the original payment is sent straight away
+router.post('/risk/holds/:transactionId/approve',
+  param('transactionId').isUUID(),
+  body('note').optional().isString().isLength({ max: 500 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const riskService = require('../services/risk');
+      const result = await riskService.approveHeld(req.params.transactionId, {
+        admin: req.admin,
+        note: req.body.note || null
+      });
+
+      res.json({ success: true, result });
+    } catch (error) {
+      logger.error('Failed to approve risk hold', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
+  }
+);
+
+// Reject a held transaction and give the money back
+router.post('/risk/holds/:transactionId/reject',
+  param('transactionId').isUUID(),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }),
+  body('flagWallet').optional().isBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const riskService = require('../services/risk');
+      const result = await riskService.rejectHeld(req.params.transactionId, {
+        admin: req.admin,
+        reason: req.body.reason,
+        flagWallet: req.body.flagWallet === true
+      });
+
+      res.json({ success: true, result });
+    } catch (error) {
+      logger.error('Failed to reject risk hold', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
+  }
+);
+
+
+// Run reconciliation for a day (defaults to yesterday) against one or more providers
+router.post('/reconciliation/run',
+  body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+  body('providers').optional().isArray(),
+  body('providers.*').optional().isIn(['rubies', 'bellbank', 'bilal']),
+  body('raiseTickets').optional().isBoolean(),
+  body('autoRequery').optional().isBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const reconciliationService = require('../services/reconciliation');
+      const reports = await reconciliationService.reconcileDay(req.body.date || reconciliationService.previousDay(), {
+        providers: req.body.providers,
+        raiseTickets: req.body.raiseTickets,
+        autoRequery: req.body.autoRequery,
+        triggeredBy: req.admin?.email || req.admin?.id || 'admin'
+      });
+
+      res.json({ success: true, reports });
+    } catch (error) {
+      logger.error('Failed to run reconciliation', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
+  }
+);
+
+router.get('/reconciliation/reports',
+  query('provider').optional().isIn(['rubies', 'bellbank', 'bilal']),
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const reconciliationService = require('../services/reconciliation');
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { total, reports } = await reconciliationService.listReports({
+        provider: req.query.provider,
+        date: req.query.date,
+        limit,
+        offset
+      });
+
+      res.json({ success: true, total, limit, offset, reports });
+    } catch (error) {
+      logger.error('Failed to list reconciliation reports', { error: error.message });
+      res.status(500).json({ error: 'Failed to list reconciliation reports' });
+    }
+  }
+);
+
+router.get('/reconciliation/reports/:reportId',
+  param('reportId').isUUID(),
+  query('classification').optional().isIn(['matched', 'missing_locally', 'missing_at_provider', 'amount_mismatch']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const reconciliationService = require('../services/reconciliation');
+      const { report, items } = await reconciliationService.getReport(req.params.reportId, {
+        classification: req.query.classification
+      });
+
+      res.json({ success: true, report, items });
+    } catch (error) {
+      logger.error('Failed to get reconciliation report', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get reconciliation report' });
+    }
+  }
+);
+
+// Download a report as CSV (default) or JSON
+router.get('/reconciliation/reports/:reportId/download',
+  param('reportId').isUUID(),
+  query('format').optional().isIn(['csv', 'json']),
+  query('classification').optional().isIn(['matched', 'missing_locally', 'missing_at_provider', 'amount_mismatch']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const reconciliationService = require('../services/reconciliation');
+      const { report, items } = await reconciliationService.getReport(req.params.reportId, {
+        classification: req.query.classification
+      });
+      const fileName = `reconciliation_${report.provider}_${report.reportDate}`;
+
+      if (req.query.format === 'json') {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+        return res.send(JSON.stringify({ report, items }, null, 2));
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      res.send(reconciliationService.toCsv(items));
+    } catch (error) {
+      logger.error('Failed to download reconciliation report', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to download reconciliation report' });
+    }
+  }
+);
+
+// Transfer rails: breaker state, health and routing, plus transfers another
+// rail paid whose Rubies wallet sweep is still outstanding
+router.get('/transfer-rails', async (req, res) => {
+  try {
+    const transferRailService = require('../services/transferRails');
+    const pendingSweeps = await transferRailService.pendingSettlements({ limit: 100 });
+
+    res.json({
+      success: true,
+      ...transferRailService.getStatus(),
+      pendingSweeps: pendingSweeps.map(txn => ({
+        reference: txn.reference,
+        userId: txn.userId,
+        amount: parseFloat(txn.amount),
+        status: txn.status,
+        rail: txn.metadata?.provider,
+        railSettlement: txn.metadata?.railSettlement,
+        attempts: txn.metadata?.railSettlementAttempts || 0,
+        lastError: txn.metadata?.railSettlementError || null,
+        createdAt: txn.createdAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to get transfer rail status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get transfer rail status' });
+  }
+});
+
+// Close a rail's circuit breaker by hand once the provider is back
+router.post('/transfer-rails/:rail/reset',
+  param('rail').isIn(['rubies', 'bellbank']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const transferRailService = require('../services/transferRails');
+      const activityLogger = require('../services/activityLogger');
+      const before = transferRailService.getStatus().rails.find(rail => rail.name === req.params.rail);
+      const rail = transferRailService.resetBreaker(req.params.rail);
+
+      await activityLogger.logAdminAction(req.admin?.id, null, 'transfer_rail_breaker_reset', {
+        description: `Circuit breaker for the ${rail.label} transfer rail reset`,
+        oldValues: { state: before.breaker.state, failureCount: before.breaker.failureCount },
+        newValues: { state: rail.breaker.state },
+        adminEmail: req.admin?.email
+      });
+
+      res.json({ success: true, rail });
+    } catch (error) {
+      logger.error('Failed to reset transfer rail breaker', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// VAS providers (Bilal, Rubies VAS): routes, breaker state and success rates
+router.get('/vas-providers', async (req, res) => {
+  try {
+    const vasGateway = require('../services/vasGateway');
+    res.json({ success: true, ...vasGateway.getStatus() });
+  } catch (error) {
+    logger.error('Failed to get VAS provider status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get VAS provider status' });
+  }
+});
+
+// Close a VAS provider's circuit breaker by hand once it is back or topped up
+router.post('/vas-providers/:provider/reset',
+  param('provider').isIn(['bilal', 'rubies']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const vasGateway = require('../services/vasGateway');
+      const activityLogger = require('../services/activityLogger');
+      const before = vasGateway.getStatus().providers.find(provider => provider.name === req.params.provider);
+      const provider = vasGateway.resetBreaker(req.params.provider);
+
+      await activityLogger.logAdminAction(req.admin?.id, null, 'vas_provider_breaker_reset', {
+        description: `Circuit breaker for the ${provider.label} VAS provider reset`,
+        oldValues: { state: before.breaker.state, failureCount: before.breaker.failureCount },
+        newValues: { state: provider.breaker.state },
+        adminEmail: req.admin?.email
+      });
+
+      res.json({ success: true, provider });
+    } catch (error) {
+      logger.error('Failed to reset VAS provider breaker', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Webhook queue depth by status, and whether this instance is consuming it
+router.get('/webhooks/queue', async (req, res) => {
+  try {
+    const webhookQueue = require('../services/webhookQueue');
+    res.json({ success: true, ...(await webhookQueue.getStats()) });
+  } catch (error) {
+    logger.error('Failed to get webhook queue stats', { error: error.message });
+    res.status(500).json({ error: 'Failed to get webhook queue stats' });
+  }
+});
+
+// Provider callbacks that failed every attempt
+router.get('/webhooks/dead-letter',
+  query('source').optional().isIn(['rubies', 'bellbank', 'bilal', 'fincra', 'dojah']),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const webhookQueue = require('../services/webhookQueue');
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { total, events } = await webhookQueue.listDeadLetters({
+        source: req.query.source,
+        limit,
+        offset
+      });
+
+      res.json({ success: true, total, limit, offset, events });
+    } catch (error) {
+      logger.error('Failed to list dead-lettered webhooks', { error: error.message });
+      res.status(500).json({ error: 'Failed to list dead-lettered webhooks' });
+    }
+  }
+);
+
+router.get('/webhooks/dead-letter/:eventId',
+  param('eventId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const webhookQueue = require('../services/webhookQueue');
+      const event = await webhookQueue.getEvent(req.params.eventId);
+      res.json({ success: true, event });
+    } catch (error) {
+      logger.error('Failed to get webhook event', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get webhook event' });
+    }
+  }
+);
+
+// Send a dead-lettered callback back through the queue once the cause is fixed
+router.post('/webhooks/dead-letter/:eventId/replay',
+  param('eventId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const webhookQueue = require('../services/webhookQueue');
+      const activityLogger = require('../services/activityLogger');
+      const event = await webhookQueue.replay(req.params.eventId, { adminId: req.admin?.id || null });
+
+      await activityLogger.logAdminAction(req.admin?.id, null, 'webhook_dead_letter_replay', {
+        description: `Dead-lettered ${event.source} webhook ${event.eventId} replayed`,
+        oldValues: { status: 'dead', attempts: event.metadata?.replays?.slice(-1)[0]?.attempts },
+        newValues: { status: event.status },
+        adminEmail: req.admin?.email
+      });
+
+      res.json({ success: true, event });
+    } catch (error) {
+      logger.error('Failed to replay webhook event', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to replay webhook event' });
+    }
+  }
+);
+
+// Re-run a stored provider webhook through its handler; a dry run (the
+// default) only reports the wallet and transaction changes it would make
+router.post('/webhooks/:eventId/replay',
+  param('eventId').isUUID(),
+  body('dryRun').optional().isBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const webhookReplay = require('../services/webhookReplay');
+      const activityLogger = require('../services/activityLogger');
+      const dryRun = req.body.dryRun !== false;
+      const result = await webhookReplay.replay(req.params.eventId, { dryRun, adminId: req.admin?.id || null });
+
+      await activityLogger.logAdminAction(req.admin?.id, result.plan.wallets[0]?.userId || null, 'webhook_replay', {
+        description: `${dryRun ? 'Dry-run replay' : 'Replay'} of ${result.event.source} webhook ${result.event.eventId || result.event.id}: ${result.plan.summary}`,
+        newValues: { dryRun, webhookLogId: result.event.id, handler: result.handler, outcome: result.outcome || 'planned', error: result.error },
+        adminEmail: req.admin?.email
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Failed to replay webhook', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to replay webhook' });
+    }
+  }
+);
+
+// Craft a provider event, e.g. a BellBank credit to a virtual account, for
+// support and local development. Dry run by default; production only
+// allows dry runs unless WEBHOOK_SYNTHETIC_EVENTS_ENABLED is set.
+const CREDIT_EVENT_TYPES = ['rubies_credit', 'bellbank_credit'];
+router.post('/webhooks/simulate',
+  body('type').isIn(['rubies_credit', 'bellbank_credit', 'rubies_transfer', 'bellbank_transfer', 'bilal_callback']),
+  body('dryRun').optional().isBoolean(),
+  body('accountNumber').if(body('type').isIn(CREDIT_EVENT_TYPES)).matches(/^\d{10}$/),
+  body('amount').if(body('type').isIn(CREDIT_EVENT_TYPES)).isFloat({ min: 1 }),
+  body('amount').optional().isFloat({ min: 1 }),
+  body('reference').if(body('type').not().isIn(CREDIT_EVENT_TYPES)).isString().notEmpty(),
+  body('status').optional().isIn(['successful', 'failed']),
+  body('senderName').optional().isString().isLength({ max: 100 }),
+  body('senderBank').optional().isString().isLength({ max: 100 }),
+  body('narration').optional().isString().isLength({ max: 140 }),
+  body('reason').optional().isString().isLength({ max: 255 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const webhookReplay = require('../services/webhookReplay');
+      const activityLogger = require('../services/activityLogger');
+      const dryRun = req.body.dryRun !== false;
+      const { type, accountNumber, amount, reference, status, senderName, senderBank, narration, reason } = req.body;
+
+      const result = await webhookReplay.simulate(type, {
+        accountNumber, amount, reference, status, senderName, senderBank, narration, reason
+      }, { dryRun, adminId: req.admin?.id || null });
+
+      await activityLogger.logAdminAction(req.admin?.id, result.plan.wallets[0]?.userId || null, 'webhook_simulation', {
+        description: `${dryRun ? 'Dry-run' : 'Processed'} synthetic ${type} event: ${result.plan.summary}`,
+        newValues: { dryRun, type, body: result.body, webhookLogId: result.event?.id || null, outcome: result.outcome || 'planned', error: result.error },
+        adminEmail: req.admin?.email
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Failed to simulate webhook', { error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to simulate webhook' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1937,10 +1937,10 @@ async function processDataPurchaseInBackground(processingKey, processingData) {
       throw new Error('User not found for background data purchase processing');
     }
     
-    // Process the data purchase
+    // Process the data purchase (the PIN was kept beside the purchase data, not in it)
     let result;
     try {
-      result = await bilalService.purchaseData(user, dataPurchaseData, user.whatsappNumber);
+      result = await bilalService.purchaseData(user, { ...dataPurchaseData, pin }, user.whatsappNumber);
     } catch (error) {
       logger.error('Bilal API call failed', { error: error.message, userId: user.id });
       result = {
@@ -2615,6 +2615,7 @@ async function processTransferInBackground(processingKey, processingData) {
     // Get user and process transfer
     const userService = require('../services/user');
     const bankTransferService = require('../services/bankTransfer');
+    const idempotencyService = require('../services/idempotency');
     const whatsappService = require('../services/whatsapp');
     
     const user = await userService.getUserById(userId);
@@ -2623,7 +2624,10 @@ async function processTransferInBackground(processingKey, processingData) {
     }
     
     // Process the bank transfer
-    const result = await bankTransferService.processBankTransfer(user.id, transferData, pin);
+    const result = await bankTransferService.processBankTransfer(user.id, transferData, pin, {
+      idempotencyKey: idempotencyService.conversationKey('whatsapp', transferData.reference || flowToken),
+      idempotencyScope: 'whatsapp.bank_transfer'
+    });
     
     if (result.success) {
       logger.info('Background transfer processed successfully', {
@@ -3465,6 +3469,7 @@ async function handleServicePinScreen(data, userId, tokenData, flowToken) {
 // Export functions for use in other modules
 module.exports = {
   router,
+  processFlowRequest,
   handleCompleteAction,
   generateDataPlanOptions,
   getAllDataPlansForNetwork,
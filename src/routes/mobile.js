@@ -12,6 +12,12 @@ const airtimeService = require('../services/airtime');
 const dataService = require('../services/data');
 const utilityService = require('../services/utility');
 const beneficiaryService = require('../services/beneficiary');
+const scheduledPaymentService = require('../services/scheduledPayment');
+const savingsService = require('../services/savings');
+const groupCollectionService = require('../services/groupCollection');
+const paymentRequestService = require('../services/paymentRequest');
+const collectionAccountService = require('../services/collectionAccount');
+const referralService = require('../services/referral');
 const kycService = require('../services/kyc');
 const rubiesWalletService = require('../services/rubiesWalletService');
 const rubiesService = require('../services/rubies');
@@ -20,6 +26,7 @@ const imageProcessingService = require('../services/imageProcessing');
 const notificationService = require('../services/notificationService');
 const { ActivityLog } = require('../models');
 const mobileAuth = require('../middleware/mobileAuth');
+const idempotency = require('../middleware/idempotency');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -48,6 +55,29 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Risk engine outcomes keep their status and code so the app can ask for
+// the OTP or show the payment as under review
+const sendRiskError = (res, error) => {
+  res.locals.idempotencyOutcomeUnknown = !!error.outcomeUnknown;
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    ...(error.transactionReference ? { reference: error.transactionReference } : {})
+  });
+};
+
+// A purchase the provider may still complete is accepted as pending; the
+// idempotency key stays locked so a retry cannot buy it a second time
+const sendPendingPurchase = (res, error) => {
+  res.locals.idempotencyOutcomeUnknown = true;
+  return res.status(202).json({
+    success: true,
+    pending: true,
+    message: error.message,
+    ...(error.transactionReference ? { reference: error.transactionReference } : {})
+  });
+};
+
 const ensureJwtSecret = () => {
   if (!process.env.MOBILE_JWT_SECRET) {
     throw new Error('MOBILE_JWT_SECRET is not configured');
@@ -107,6 +137,7 @@ const buildUserProfile = async (user) => {
     isBanned: freshUser.isBanned,
     hasPin: !!freshUser.pin,
     pinEnabled: freshUser.pinEnabled,
+    referralCode: freshUser.referralCode || null,
     canTransact: freshUser.canPerformTransactions(),
     createdAt: freshUser.createdAt,
     updatedAt: freshUser.updatedAt,
@@ -213,12 +244,18 @@ router.post('/auth/signup',
   body('phoneNumber').optional().isMobilePhone('any'),
   body('firstName').optional().isString().trim(),
   body('lastName').optional().isString().trim(),
+  body('referralCode').optional().isString().trim().isLength({ min: 4, max: 20 }),
+  body('deviceId').optional().isString().trim().isLength({ max: 255 }),
   validateRequest,
   async (req, res) => {
     try {
-      const { email, password, phoneNumber, firstName, lastName } = req.body;
+      const { email, password, phoneNumber, firstName, lastName, referralCode, deviceId } = req.body;
       const normalizedEmail = email.toLowerCase();
 
+      if (referralCode && !(await referralService.findReferrerByCode(referralCode))) {
+        return res.status(400).json({ error: 'Invalid referral code' });
+      }
+
       // Check if email is already registered (check both appEmail and email fields)
       const existingByAppEmail = await userService.findByAppEmail(normalizedEmail);
       if (existingByAppEmail) {
@@ -264,6 +301,7 @@ router.post('/auth/signup',
       const updates = { appEmail: normalizedEmail };
       if (firstName) updates.firstName = firstName;
       if (lastName) updates.lastName = lastName;
+      if (deviceId) updates.deviceInfo = { ...(user.deviceInfo || {}), deviceId };
 
       // Hash password
       const passwordHash = await bcrypt.hash(password, 12);
@@ -272,6 +310,16 @@ router.post('/auth/signup',
       // Update user with email and password
       await userService.updateUser(user.id, updates);
 
+      // Referral code and attribution never block the signup itself
+      try {
+        await referralService.ensureReferralCode({ ...user, ...updates });
+        if (referralCode) {
+          await referralService.captureReferral({ ...user, ...updates }, referralCode, { channel: 'app', deviceId });
+        }
+      } catch (referralError) {
+        logger.warn('Referral setup failed during signup', { error: referralError.message, userId: user.id });
+      }
+
       const initialStep = (firstName && lastName && updates.address) ? 'kyc_submission' : 'profile_setup';
       user = await setOnboardingStepIfAhead(user, initialStep);
 
@@ -739,6 +787,7 @@ router.post('/chat/send',
         intent: result.intent,
         requiresAction: result.requiresAction,
         actionData: result.actionData,
+        messages: result.messages,
         meta: {
           userMessageId: result.userMessage?.id,
           botMessageId: result.botMessage?.id
@@ -1386,17 +1435,19 @@ router.post('/transfers',
   body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
   body('narration').optional().isString().trim(),
   body('reference').optional().isString().trim(),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
   validateRequest,
+  idempotency('mobile.transfers'),
   async (req, res) => {
     try {
-      const { pin, ...transferData } = req.body;
+      const { pin, otp, ...transferData } = req.body;
       // Ensure PIN is a string to preserve leading zeros
       // If PIN is a number (e.g., 550), convert to string and pad. If it's already a string, use as-is
       const pinString = typeof pin === 'string' ? pin : String(pin).padStart(4, '0');
       if (!/^\d{4}$/.test(pinString)) {
         return res.status(400).json({ error: 'PIN must be exactly 4 digits' });
       }
-      const result = await bankTransferService.processBankTransfer(req.user.id, transferData, pinString);
+      const result = await bankTransferService.processBankTransfer(req.user.id, transferData, pinString, { riskOtp: otp });
 
       return res.json({
         success: true,
@@ -1404,6 +1455,10 @@ router.post('/transfers',
         transfer: result
       });
     } catch (error) {
+      if (error.name === 'RiskError') {
+        return sendRiskError(res, error);
+      }
+      res.locals.idempotencyOutcomeUnknown = !!error.outcomeUnknown;
       logger.error('Bank transfer failed (mobile)', {
         error: error.message,
         userId: req.user.id,
@@ -1558,19 +1613,27 @@ router.post('/airtime/purchase',
   body('network').isIn(['mtn', 'airtel', 'glo', '9mobile', 'MTN', 'AIRTEL', 'GLO', '9MOBILE']),
   body('amount').isFloat({ min: 50 }),
   body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
   validateRequest,
+  idempotency('mobile.airtime'),
   async (req, res) => {
     try {
-      const { phoneNumber, network, amount, pin } = req.body;
+      const { phoneNumber, network, amount, pin, otp } = req.body;
       // Ensure PIN is a string to preserve leading zeros
       // If PIN is a number (e.g., 550), convert to string and pad. If it's already a string, use as-is
       const pinString = typeof pin === 'string' ? pin : String(pin).padStart(4, '0');
       if (!/^\d{4}$/.test(pinString)) {
         return res.status(400).json({ error: 'PIN must be exactly 4 digits' });
       }
-      const result = await airtimeService.purchaseAirtime(req.user.id, phoneNumber, network, amount, pinString);
+      const result = await airtimeService.purchaseAirtime(req.user.id, phoneNumber, network, amount, pinString, { riskOtp: otp });
       return res.json({ success: true, purchase: result });
     } catch (error) {
+      if (error.name === 'RiskError') {
+        return sendRiskError(res, error);
+      }
+      if (error.outcomeUnknown) {
+        return sendPendingPurchase(res, error);
+      }
       logger.error('Airtime purchase failed', { error: error.message, userId: req.user.id });
       return res.status(400).json({ error: error.message });
     }
@@ -1640,18 +1703,26 @@ router.post('/data/purchase',
   body('network').isIn(['mtn', 'airtel', 'glo', '9mobile', 'MTN', 'AIRTEL', 'GLO', '9MOBILE']),
   body('planId').notEmpty(),
   body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
   validateRequest,
+  idempotency('mobile.data'),
   async (req, res) => {
     try {
-      const { phoneNumber, network, planId, pin } = req.body;
+      const { phoneNumber, network, planId, pin, otp } = req.body;
       // Ensure PIN is a string to preserve leading zeros
       const pinString = typeof pin === 'string' ? pin : String(pin).padStart(4, '0');
       if (!/^\d{4}$/.test(pinString)) {
         return res.status(400).json({ error: 'PIN must be exactly 4 digits' });
       }
-      const result = await dataService.purchaseData(req.user.id, phoneNumber, network, planId, pinString);
+      const result = await dataService.purchaseData(req.user.id, phoneNumber, network, planId, pinString, { riskOtp: otp });
       return res.json({ success: true, purchase: result });
     } catch (error) {
+      if (error.name === 'RiskError') {
+        return sendRiskError(res, error);
+      }
+      if (error.outcomeUnknown) {
+        return sendPendingPurchase(res, error);
+      }
       logger.error('Data purchase failed', { error: error.message, userId: req.user.id });
       return res.status(400).json({ error: error.message });
     }
@@ -1725,18 +1796,27 @@ router.post('/bills/pay',
   body('amount').isFloat({ min: 100 }),
   body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
   body('planId').optional().isString(),
+  body('meterType').optional().isIn(['prepaid', 'postpaid']),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
   validateRequest,
+  idempotency('mobile.bills'),
   async (req, res) => {
     try {
-      const { category, provider, customerNumber, amount, pin, planId } = req.body;
+      const { category, provider, customerNumber, amount, pin, planId, meterType, otp } = req.body;
       // Ensure PIN is a string to preserve leading zeros
       const pinString = typeof pin === 'string' ? pin : String(pin).padStart(4, '0');
       if (!/^\d{4}$/.test(pinString)) {
         return res.status(400).json({ error: 'PIN must be exactly 4 digits' });
       }
-      const payment = await utilityService.payBill(req.user.id, category, provider, customerNumber, amount, pinString, planId);
+      const payment = await utilityService.payBill(req.user.id, category, provider, customerNumber, amount, pinString, planId, { riskOtp: otp, meterType });
       return res.json({ success: true, payment });
     } catch (error) {
+      if (error.name === 'RiskError') {
+        return sendRiskError(res, error);
+      }
+      if (error.outcomeUnknown) {
+        return sendPendingPurchase(res, error);
+      }
       logger.error('Utility payment failed', { error: error.message, userId: req.user.id });
       return res.status(400).json({ error: error.message });
     }
@@ -1832,6 +1912,627 @@ router.delete('/beneficiaries/:id',
   }
 );
 
+// ===== Scheduled Payments =====
+router.get('/scheduled-payments',
+  mobileAuth,
+  query('status').optional().isIn(['active', 'paused', 'completed', 'cancelled', 'failed']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const schedules = await scheduledPaymentService.listSchedules(req.user.id, { status: req.query.status || null });
+      return res.json({ success: true, schedules: schedules.map(schedule => scheduledPaymentService.toPublic(schedule)) });
+    } catch (error) {
+      logger.error('Failed to fetch scheduled payments', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch scheduled payments' });
+    }
+  }
+);
+
+router.post('/scheduled-payments',
+  mobileAuth,
+  body('type').isIn(['bank_transfer', 'airtime', 'data', 'bill']),
+  body('amount').optional().isFloat({ min: 50 }),
+  body('frequency').isIn(['once', 'daily', 'weekly', 'monthly']),
+  body('timeOfDay').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('timeOfDay must be HH:mm'),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt(),
+  body('startAt').optional().isISO8601(),
+  body('endsAt').optional().isISO8601(),
+  body('maxRuns').optional().isInt({ min: 1 }).toInt(),
+  body('label').optional().isString().isLength({ max: 100 }),
+  body('details').isObject(),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { pin, ...input } = req.body;
+      if (input.type !== 'data' && !input.amount) {
+        return res.status(400).json({ error: 'amount is required' });
+      }
+      const schedule = await scheduledPaymentService.createSchedule(req.user.id, input, String(pin), { source: 'app' });
+      return res.status(201).json({ success: true, schedule: scheduledPaymentService.toPublic(schedule) });
+    } catch (error) {
+      logger.error('Failed to create scheduled payment', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/scheduled-payments/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const schedule = await scheduledPaymentService.getSchedule(req.user.id, req.params.id);
+      return res.json({ success: true, schedule: scheduledPaymentService.toPublic(schedule) });
+    } catch (error) {
+      logger.error('Failed to fetch scheduled payment', { error: error.message, userId: req.user.id });
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+router.patch('/scheduled-payments/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  body('status').optional().isIn(['active', 'paused']),
+  body('amount').optional().isFloat({ min: 50 }),
+  body('frequency').optional().isIn(['once', 'daily', 'weekly', 'monthly']),
+  body('timeOfDay').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('timeOfDay must be HH:mm'),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt(),
+  body('startAt').optional().isISO8601(),
+  body('endsAt').optional({ nullable: true }).isISO8601(),
+  body('maxRuns').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('label').optional().isString().isLength({ max: 100 }),
+  body('pin').optional().matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { pin, ...changes } = req.body;
+      const schedule = await scheduledPaymentService.updateSchedule(req.user.id, req.params.id, changes, pin ? String(pin) : null);
+      return res.json({ success: true, schedule: scheduledPaymentService.toPublic(schedule) });
+    } catch (error) {
+      logger.error('Failed to update scheduled payment', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.delete('/scheduled-payments/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const schedule = await scheduledPaymentService.cancelSchedule(req.user.id, req.params.id);
+      return res.json({ success: true, message: 'Scheduled payment cancelled', schedule: scheduledPaymentService.toPublic(schedule) });
+    } catch (error) {
+      logger.error('Failed to cancel scheduled payment', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// ===== Referrals =====
+router.get('/referrals',
+  mobileAuth,
+  async (req, res) => {
+    try {
+      const summary = await referralService.getReferralSummary(req.user);
+      return res.json({ success: true, ...summary });
+    } catch (error) {
+      logger.error('Failed to fetch referrals', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch referrals' });
+    }
+  }
+);
+
+// ===== Savings =====
+router.get('/savings',
+  mobileAuth,
+  async (req, res) => {
+    try {
+      const accounts = await savingsService.getUserSavingsAccounts(req.user.id);
+      return res.json({ success: true, accounts });
+    } catch (error) {
+      logger.error('Failed to fetch savings accounts', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch savings accounts' });
+    }
+  }
+);
+
+router.get('/savings/summary',
+  mobileAuth,
+  async (req, res) => {
+    try {
+      const summary = await savingsService.getSavingsSummary(req.user.id);
+      return res.json({ success: true, summary });
+    } catch (error) {
+      logger.error('Failed to fetch savings summary', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch savings summary' });
+    }
+  }
+);
+
+router.post('/savings',
+  mobileAuth,
+  body('accountType').isIn(['flexible', 'fixed', 'target']),
+  body('accountName').optional().isString().isLength({ max: 100 }),
+  body('duration').optional().isIn(['3_months', '6_months', '12_months']),
+  body('targetAmount').optional().isFloat({ min: 1000 }),
+  body('initialDeposit').optional().isFloat({ min: 0 }),
+  body('savingsGoal').optional().isString().isLength({ max: 500 }),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  idempotency('mobile.savings.create'),
+  async (req, res) => {
+    try {
+      const { pin, ...accountData } = req.body;
+      const result = await savingsService.createSavingsAccount(req.user.id, accountData, String(pin));
+      return res.status(201).json({ success: true, account: result.account });
+    } catch (error) {
+      logger.error('Failed to create savings account', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/savings/:id/deposit',
+  mobileAuth,
+  param('id').isUUID(),
+  body('amount').isFloat({ min: 100 }),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  idempotency('mobile.savings.deposit'),
+  async (req, res) => {
+    try {
+      const result = await savingsService.depositToSavings(req.user.id, req.params.id, parseFloat(req.body.amount), String(req.body.pin));
+      return res.json({ success: true, deposit: result.account });
+    } catch (error) {
+      logger.error('Savings deposit failed', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/savings/:id/withdraw',
+  mobileAuth,
+  param('id').isUUID(),
+  body('amount').isFloat({ min: 1 }),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  idempotency('mobile.savings.withdraw'),
+  async (req, res) => {
+    try {
+      const result = await savingsService.withdrawFromSavings(req.user.id, req.params.id, parseFloat(req.body.amount), String(req.body.pin));
+      return res.json({ success: true, withdrawal: result.withdrawal });
+    } catch (error) {
+      logger.error('Savings withdrawal failed', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/savings/:id/transactions',
+  mobileAuth,
+  param('id').isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { limit = 10, offset = 0 } = req.query;
+      const result = await savingsService.getSavingsTransactions(req.user.id, req.params.id, limit, offset);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Failed to fetch savings transactions', { error: error.message, userId: req.user.id });
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+// ===== Group Collections (pots, bill splits and ajo) =====
+const groupMemberValidators = [
+  body('members').isArray({ min: 1 }),
+  body('members.*.phoneNumber').isString().notEmpty(),
+  body('members.*.name').optional().isString().isLength({ max: 100 }),
+  body('members.*.amount').optional().isFloat({ min: 1 })
+];
+
+router.get('/group-collections',
+  mobileAuth,
+  query('includeClosed').optional().isBoolean().toBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const groups = await groupCollectionService.listForUser(req.user, { includeClosed: !!req.query.includeClosed });
+      return res.json({ success: true, groups: groups.map(group => groupCollectionService.toPublic(group)) });
+    } catch (error) {
+      logger.error('Failed to fetch group collections', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch group collections' });
+    }
+  }
+);
+
+router.post('/group-collections/pots',
+  mobileAuth,
+  body('title').isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('targetAmount').optional().isFloat({ min: 1 }),
+  body('amountPerMember').optional().isFloat({ min: 1 }),
+  body('dueDate').optional().isISO8601(),
+  ...groupMemberValidators,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await groupCollectionService.createPot(req.user.id, req.body, { source: 'app' });
+      return res.status(201).json({ success: true, group: groupCollectionService.toPublic(result) });
+    } catch (error) {
+      logger.error('Failed to create group pot', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/group-collections/ajo',
+  mobileAuth,
+  body('title').isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('contributionAmount').isFloat({ min: 1 }),
+  body('frequency').isIn(['daily', 'weekly', 'monthly']),
+  body('timeOfDay').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('timeOfDay must be HH:mm'),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt(),
+  body('ownerPosition').optional().isInt({ min: 1 }).toInt(),
+  ...groupMemberValidators,
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { pin, ...input } = req.body;
+      const result = await groupCollectionService.createAjo(req.user.id, input, String(pin), { source: 'app' });
+      return res.status(201).json({ success: true, group: groupCollectionService.toPublic(result) });
+    } catch (error) {
+      logger.error('Failed to create ajo', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/group-collections/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const group = await groupCollectionService.getGroupForUser(req.user, req.params.id);
+      return res.json({ success: true, group: groupCollectionService.toPublic(group) });
+    } catch (error) {
+      logger.error('Failed to fetch group collection', { error: error.message, userId: req.user.id });
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/group-collections/:id/contributions',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const contributions = await groupCollectionService.getContributions(req.user, req.params.id);
+      return res.json({ success: true, contributions });
+    } catch (error) {
+      logger.error('Failed to fetch group contributions', { error: error.message, userId: req.user.id });
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/group-collections/:id/members',
+  mobileAuth,
+  param('id').isUUID(),
+  ...groupMemberValidators,
+  validateRequest,
+  async (req, res) => {
+    try {
+      await groupCollectionService.addMembers(req.user.id, req.params.id, req.body.members);
+      const group = await groupCollectionService.getGroupForUser(req.user, req.params.id);
+      return res.json({ success: true, group: groupCollectionService.toPublic(group) });
+    } catch (error) {
+      logger.error('Failed to add group members', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.delete('/group-collections/:id/members/:memberId',
+  mobileAuth,
+  param('id').isUUID(),
+  param('memberId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await groupCollectionService.removeMember(req.user.id, req.params.id, req.params.memberId);
+      const group = await groupCollectionService.getGroupForUser(req.user, req.params.id);
+      return res.json({ success: true, group: groupCollectionService.toPublic(group) });
+    } catch (error) {
+      logger.error('Failed to remove group member', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.delete('/group-collections/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await groupCollectionService.cancelGroup(req.user.id, req.params.id);
+      const group = await groupCollectionService.getGroupForUser(req.user, req.params.id);
+      return res.json({ success: true, message: 'Group collection cancelled', group: groupCollectionService.toPublic(group) });
+    } catch (error) {
+      logger.error('Failed to cancel group collection', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Members act on their own request by membership id (from the list or the WhatsApp request)
+router.post('/group-collections/members/:memberId/pay',
+  mobileAuth,
+  param('memberId').isUUID(),
+  body('amount').optional().isFloat({ min: 1 }),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  idempotency('mobile.group_collection.pay'),
+  async (req, res) => {
+    try {
+      const result = await groupCollectionService.payContribution(req.user.id, req.params.memberId, String(req.body.pin), {
+        amount: req.body.amount ? parseFloat(req.body.amount) : null
+      });
+      return res.json({
+        success: true,
+        amount: result.amount,
+        reference: result.reference || null,
+        settled: result.settled || null,
+        progress: result.progress
+      });
+    } catch (error) {
+      logger.error('Group contribution failed', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/group-collections/members/:memberId/join',
+  mobileAuth,
+  param('memberId').isUUID(),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await groupCollectionService.joinAjo(req.user.id, req.params.memberId, String(req.body.pin));
+      return res.json({ success: true, started: result.started, progress: result.progress });
+    } catch (error) {
+      logger.error('Failed to join ajo', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/group-collections/members/:memberId/decline',
+  mobileAuth,
+  param('memberId').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await groupCollectionService.declineRequest(req.user.id, req.params.memberId);
+      return res.json({ success: true, message: 'Request declined' });
+    } catch (error) {
+      logger.error('Failed to decline group request', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// ===== Payment Requests and pay links =====
+router.get('/payment-requests',
+  mobileAuth,
+  query('role').optional().isIn(['all', 'incoming', 'outgoing']),
+  query('status').optional().isIn(['pending', 'paid', 'declined', 'cancelled', 'expired']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const requests = await paymentRequestService.listForUser(req.user, {
+        role: req.query.role || 'all',
+        status: req.query.status || null
+      });
+      return res.json({ success: true, requests: requests.map(request => paymentRequestService.toPublic(request, req.user)) });
+    } catch (error) {
+      logger.error('Failed to fetch payment requests', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch payment requests' });
+    }
+  }
+);
+
+router.post('/payment-requests',
+  mobileAuth,
+  body('amount').isFloat({ min: 1 }),
+  body('payerPhone').optional().isString().notEmpty(),
+  body('note').optional().isString().isLength({ max: 140 }),
+  body('expiresInHours').optional().isInt({ min: 1 }),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { request } = await paymentRequestService.createRequest(req.user.id, req.body, { source: 'app' });
+      return res.status(201).json({ success: true, request: paymentRequestService.toPublic(request, req.user) });
+    } catch (error) {
+      logger.error('Failed to create payment request', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/payment-requests/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const request = await paymentRequestService.getRequestForUser(req.user, req.params.id);
+      return res.json({ success: true, request: paymentRequestService.toPublic(request, req.user) });
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+// The pay link as a QR code, for the requester to show or share
+router.get('/payment-requests/:id/qr',
+  mobileAuth,
+  param('id').isUUID(),
+  query('format').optional().isIn(['png', 'svg']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const request = await paymentRequestService.getRequestForUser(req.user, req.params.id);
+      if (req.query.format === 'svg') {
+        res.type('image/svg+xml');
+        return res.send(await paymentRequestService.getQrCode(request, { format: 'svg' }));
+      }
+      res.type('image/png');
+      return res.send(await paymentRequestService.getQrCode(request));
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/payment-requests/:id/pay',
+  mobileAuth,
+  param('id').isUUID(),
+  body('pin').matches(/^\d{4}$/).withMessage('PIN must be exactly 4 digits'),
+  validateRequest,
+  idempotency('mobile.payment_request.pay'),
+  async (req, res) => {
+    try {
+      const result = await paymentRequestService.payRequest(req.user.id, req.params.id, String(req.body.pin));
+      return res.json({
+        success: true,
+        amount: result.amount,
+        reference: result.reference,
+        request: paymentRequestService.toPublic(result.request, req.user)
+      });
+    } catch (error) {
+      logger.error('Payment request payment failed', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post('/payment-requests/:id/decline',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await paymentRequestService.declineRequest(req.user.id, req.params.id);
+      return res.json({ success: true, message: 'Request declined' });
+    } catch (error) {
+      logger.error('Failed to decline payment request', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.delete('/payment-requests/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await paymentRequestService.cancelRequest(req.user.id, req.params.id);
+      return res.json({ success: true, message: 'Request cancelled' });
+    } catch (error) {
+      logger.error('Failed to cancel payment request', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// ===== Collection accounts (one-off virtual accounts per invoice or payment request) =====
+router.get('/collection-accounts',
+  mobileAuth,
+  query('status').optional().isIn(['active', 'partially_paid', 'paid', 'overpaid', 'expired', 'cancelled']),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const accounts = await collectionAccountService.listForUser(req.user.id, { status: req.query.status || null });
+      return res.json({ success: true, accounts: accounts.map(account => collectionAccountService.toPublic(account)) });
+    } catch (error) {
+      logger.error('Failed to fetch collection accounts', { error: error.message, userId: req.user.id });
+      return res.status(500).json({ error: 'Failed to fetch collection accounts' });
+    }
+  }
+);
+
+router.post('/collection-accounts',
+  mobileAuth,
+  body('amount').optional().isFloat({ min: 1 }),
+  body('paymentRequestId').optional().isUUID(),
+  body('expiresInMinutes').optional().isInt({ min: 1 }),
+  body('description').optional().isString().isLength({ max: 140 }),
+  body('invoiceReference').optional().isString().isLength({ max: 64 }),
+  body('customerName').optional().isString().isLength({ max: 255 }),
+  body('customerPhone').optional().isString().notEmpty(),
+  validateRequest,
+  async (req, res) => {
+    if (req.body.amount === undefined && !req.body.paymentRequestId) {
+      return res.status(400).json({ error: 'amount or paymentRequestId is required' });
+    }
+    try {
+      const account = await collectionAccountService.createAccount(req.user.id, req.body, { source: 'app' });
+      return res.status(201).json({ success: true, account: collectionAccountService.toPublic(account) });
+    } catch (error) {
+      logger.error('Failed to create collection account', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get('/collection-accounts/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const account = await collectionAccountService.getAccountForUser(req.user.id, req.params.id);
+      return res.json({ success: true, account: collectionAccountService.toPublic(account) });
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+router.delete('/collection-accounts/:id',
+  mobileAuth,
+  param('id').isUUID(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await collectionAccountService.cancelAccount(req.user.id, req.params.id);
+      return res.json({ success: true, message: 'Collection account cancelled' });
+    } catch (error) {
+      logger.error('Failed to cancel collection account', { error: error.message, userId: req.user.id });
+      return res.status(400).json({ error: error.message });
+    }
+  }
+);
+
 // ===== Notifications =====
 router.get('/notifications',
   mobileAuth,
@@ -0,0 +1,59 @@
+const express = require('express');
+const paymentRequestService = require('../services/paymentRequest');
+const logger = require('../utils/logger');
+const { escapeHtml, renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+// Public pay link pages: whoever has the link sees the amount and the
+// requester's account to transfer to. JSON for the website lives in web.js.
+
+router.get('/:code', async (req, res) => {
+  try {
+    const details = await paymentRequestService.getPublicDetails(req.params.code);
+    const amount = `₦${details.amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+    let body = `<h1>${escapeHtml(details.requesterName || 'A MiiMii user')} is requesting</h1>
+<div class="amount">${escapeHtml(amount)}</div>
+${details.note ? `<p>${escapeHtml(details.note)}</p>` : ''}`;
+
+    if (details.bankTransfer) {
+      body += `<p class="muted">Pay by bank transfer from any bank app:</p>
+<dl>
+  <dt>Account</dt><dd>${escapeHtml(details.bankTransfer.accountNumber)}</dd>
+  <dt>Bank</dt><dd>${escapeHtml(details.bankTransfer.bankName)}</dd>
+  <dt>Name</dt><dd>${escapeHtml(details.bankTransfer.accountName)}</dd>
+  <dt>Narration</dt><dd>${escapeHtml(details.bankTransfer.narration)}</dd>
+</dl>
+<p class="muted">Send exactly ${escapeHtml(amount)} and put ${escapeHtml(details.bankTransfer.narration)} in the narration so the payment is matched to this request. Expires ${escapeHtml(new Date(details.expiresAt).toLocaleString('en-GB', { timeZone: 'Africa/Lagos' }))}.</p>
+<img src="${escapeHtml(`${req.baseUrl}/${details.code}/qr.png`)}" alt="QR code for this pay link">`;
+    } else {
+      body += `<p><span class="status">${escapeHtml(details.status === 'pending' ? 'Unavailable' : details.status)}</span></p>
+<p class="muted">This request can no longer be paid by bank transfer.</p>`;
+    }
+
+    res.type('html');
+    return res.send(renderPage(`Pay ${details.requesterName || 'MiiMii user'}`, body));
+  } catch (error) {
+    if (error.message !== 'Payment request not found') {
+      logger.error('Failed to render pay link', { error: error.message, code: req.params.code });
+    }
+    res.status(404).type('html');
+    return res.send(renderPage('Payment request not found', '<h1>Payment request not found</h1><p class="muted">Check the link and try again.</p>'));
+  }
+});
+
+router.get('/:code/qr.png', async (req, res) => {
+  try {
+    const request = await paymentRequestService.getByCode(req.params.code);
+    if (!request) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+    res.type('image/png');
+    return res.send(await paymentRequestService.getQrCode(request));
+  } catch (error) {
+    logger.error('Failed to render pay link QR code', { error: error.message, code: req.params.code });
+    return res.status(500).json({ error: 'Failed to render QR code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const receiptVerification = require('../services/receiptVerification');
+const logger = require('../utils/logger');
+const { escapeHtml, renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+// Public receipt verification: the QR code on every receipt opens this page,
+// which shows the transaction as the database has it, not as the receipt
+// says. JSON for the website lives in web.js.
+
+const STATUS_LABELS = {
+  completed: ['Successful', 'ok'],
+  pending: ['Pending', ''],
+  processing: ['Processing', ''],
+  failed: ['Failed', 'bad'],
+  cancelled: ['Cancelled', 'bad'],
+  reversed: ['Reversed', 'bad'],
+  refunded: ['Refunded', 'bad'],
+  disputed: ['Disputed', 'bad']
+};
+
+function naira(amount) {
+  return `₦${amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+}
+
+function describeParty(party = {}) {
+  if (party.phoneNumber) {
+    return [party.phoneNumber, party.network].filter(Boolean).join(' · ');
+  }
+  if (party.meterNumber) {
+    return [`Meter ${party.meterNumber}`, party.disco].filter(Boolean).join(' · ');
+  }
+  return [party.name, party.accountNumber, party.bank].filter(Boolean).join(' · ') || 'Not recorded';
+}
+
+router.get('/:code', async (req, res) => {
+  try {
+    const receipt = await receiptVerification.verify(req.params.code);
+    const [statusLabel, statusClass] = STATUS_LABELS[receipt.status] || [receipt.status, ''];
+    const date = new Date(receipt.date).toLocaleString('en-GB', { timeZone: 'Africa/Lagos' });
+
+    let body = `<h1>Receipt found</h1>
+<p class="muted">${escapeHtml(receipt.description)} on MiiMii</p>
+<div class="amount">${escapeHtml(naira(receipt.amount))}</div>
+<p><span class="status ${statusClass}">${escapeHtml(statusLabel)}</span></p>
+<dl>
+  <dt>Date</dt><dd>${escapeHtml(date)}</dd>
+  <dt>From</dt><dd>${escapeHtml(describeParty(receipt.sender))}</dd>
+  <dt>To</dt><dd>${escapeHtml(describeParty(receipt.recipient))}</dd>
+  ${receipt.fee > 0 ? `<dt>Fee</dt><dd>${escapeHtml(naira(receipt.fee))}</dd>` : ''}
+  <dt>Reference</dt><dd>${escapeHtml(receipt.reference)}</dd>
+  <dt>Code</dt><dd>${escapeHtml(receipt.code)}</dd>
+</dl>`;
+
+    if (receipt.status !== 'completed') {
+      body += `<p class="muted">This transaction is ${escapeHtml(statusLabel.toLowerCase())}. A receipt showing it as successful is not genuine.</p>`;
+    }
+    body += '<p class="muted">Check that the amount, date and names match the receipt you were shown. If any differ, the receipt has been edited.</p>';
+
+    res.type('html');
+    return res.send(renderPage('Verify receipt', body));
+  } catch (error) {
+    if (error.message !== 'Receipt not found') {
+      // Never call a receipt fake because we couldn't check it
+      logger.error('Failed to render receipt verification', { error: error.message, code: req.params.code });
+      res.status(500).type('html');
+      return res.send(renderPage('Verify receipt', '<h1>We couldn\'t check this receipt</h1><p class="muted">Please try again in a few minutes.</p>'));
+    }
+    res.status(404).type('html');
+    return res.send(renderPage('Receipt not found', '<h1>Receipt not found</h1><p><span class="status bad">Not verified</span></p><p class="muted">No MiiMii transaction has this code. Check the code on the receipt; if it is correct, the receipt is not genuine.</p>'));
+  }
+});
+
+module.exports = router;
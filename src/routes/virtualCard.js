@@ -113,17 +113,18 @@ router.post('/fund',
   body('cardId').isUUID(),
   body('amount').isFloat({ min: 100, max: 100000 }),
   body('pin').isLength({ min: 4, max: 4 }).isNumeric(),
+  body('otp').optional().matches(/^\d{6}$/),
   validateRequest,
   async (req, res) => {
     try {
-      const { userPhone, cardId, amount, pin } = req.body;
+      const { userPhone, cardId, amount, pin, otp } = req.body;
       
       const user = await userService.getUserByPhoneNumber(userPhone);
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      const result = await virtualCardService.fundCard(user.id, cardId, amount, pin);
+      const result = await virtualCardService.fundCard(user.id, cardId, amount, pin, { riskOtp: otp });
       
       res.json({
         success: true,
@@ -131,6 +132,9 @@ router.post('/fund',
         data: result
       });
     } catch (error) {
+      if (error.name === 'RiskError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, reference: error.transactionReference });
+      }
       logger.error('Card funding failed', { error: error.message, body: req.body });
       res.status(500).json({ error: error.message });
     }
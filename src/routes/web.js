@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { SupportTicket, User } = require('../models');
 const userService = require('../services/user');
+const paymentRequestService = require('../services/paymentRequest');
+const receiptVerification = require('../services/receiptVerification');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -251,5 +253,37 @@ router.get('/support/tickets/:ticketNumber',
   }
 );
 
+// Get Payment Request by pay link code (Public)
+router.get('/pay/:code',
+  async (req, res) => {
+    try {
+      const details = await paymentRequestService.getPublicDetails(req.params.code);
+      return res.json({ success: true, request: details });
+    } catch (error) {
+      if (error.message === 'Payment request not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Failed to fetch pay link details', { error: error.message, code: req.params.code });
+      return res.status(500).json({ error: 'Failed to fetch payment request' });
+    }
+  }
+);
+
+// Verify a receipt by the code printed under its QR code (Public)
+router.get('/receipts/verify/:code',
+  async (req, res) => {
+    try {
+      const receipt = await receiptVerification.verify(req.params.code);
+      return res.json({ success: true, verified: true, receipt });
+    } catch (error) {
+      if (error.message === 'Receipt not found') {
+        return res.status(404).json({ success: false, verified: false, error: error.message });
+      }
+      logger.error('Failed to verify receipt', { error: error.message, code: req.params.code });
+      return res.status(500).json({ error: 'Failed to verify receipt' });
+    }
+  }
+);
+
 module.exports = router;
 
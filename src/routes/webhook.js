@@ -7,6 +7,7 @@ const logger = require('../utils/logger');
 const databaseService = require('../services/database');
 const supabaseHelper = require('../services/supabaseHelper');
 const userService = require('../services/user');
+const webhookQueue = require('../services/webhookQueue');
 
 const router = express.Router();
 
@@ -285,451 +286,72 @@ router.post('/whatsapp', logWebhook('whatsapp'), async (req, res) => {
   }
 });
 
+// Provider callbacks are persisted and queued, then acknowledged; the
+// webhook queue does the processing with retries and a dead-letter queue.
+// A 500 here means the event was not stored, so the provider should retry.
+const acceptWebhook = (handler) => async (req, res) => {
+  try {
+    const result = await webhookQueue.accept(handler, req);
+
+    logger.info('Webhook accepted', {
+      handler,
+      eventId: result.eventId,
+      webhookLogId: result.id,
+      duplicate: result.duplicate
+    });
+
+    res.status(200).json({
+      success: true,
+      status: result.duplicate ? 'duplicate' : 'queued'
+    });
+  } catch (error) {
+    logger.error('Failed to accept webhook', {
+      handler,
+      error: error.message,
+      body: req.body
+    });
+    res.status(500).json({ success: false, error: 'Webhook not accepted' });
+  }
+};
+
 // Rubies webhook endpoint
 router.post('/rubies',
   // Temporarily disable signature validation for testing
   // verifyWebhookSignature('rubies'),
-  logWebhook('rubies'),
-  async (req, res) => {
-    try {
-      logger.info('Rubies webhook received', {
-        body: req.body,
-        headers: req.headers,
-        responseCode: req.body?.responseCode,
-        reference: req.body?.reference || req.body?.contractReference
-      });
-
-      const rubiesService = require('../services/rubies');
-      
-      // Process the webhook event
-      const result = await rubiesService.processWebhookEvent(req.body);
-      
-      logger.info('Rubies webhook processed successfully', {
-        result,
-        responseCode: req.body?.responseCode
-      });
-
-      // Update webhook log status
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString()
-            }, { id: req.webhookLogId });
-          });
-        } catch (logError) {
-          logger.error('Failed to update webhook log', { error: logError.message });
-        }
-      }
-
-      res.status(200).json({
-        success: true,
-        message: 'Webhook processed successfully'
-      });
-    } catch (error) {
-      logger.error('Rubies webhook processing failed', {
-        error: error.message,
-        body: req.body,
-        stack: error.stack
-      });
-
-      // Update webhook log status
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              processedAt: new Date().toISOString(),
-              errorMessage: error.message
-            }, { id: req.webhookLogId });
-          });
-        } catch (logError) {
-          logger.error('Failed to update webhook log', { error: logError.message });
-        }
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Webhook processing failed'
-      });
-    }
-  }
+  acceptWebhook('rubies')
 );
 
 // BellBank webhook endpoints (Legacy)
 router.post('/bellbank',
   verifyWebhookSignature('bellbank'),
-  logWebhook('bellbank'),
-  async (req, res) => {
-    try {
-      const { type, data } = req.body;
-
-      switch (type) {
-        case 'virtual_account.credit':
-          await handleVirtualAccountCredit(data);
-          break;
-        case 'transfer.completed':
-          await handleTransferCompleted(data);
-          break;
-        case 'transfer.failed':
-          await handleTransferFailed(data);
-          break;
-        default:
-          logger.info('Unhandled BellBank webhook event', { type, data });
-      }
-
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString(),
-              responseCode: 200
-            }, { id: req.webhookLogId });
-          });
-        } catch (error) {
-          logger.warn('Failed to update webhook log status', { 
-            error: error.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(200).json({ success: true });
-    } catch (error) {
-      logger.error('BellBank webhook processing failed', { error: error.message });
-      
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              errorMessage: error.message,
-              responseCode: 500
-            }, { id: req.webhookLogId });
-          });
-        } catch (dbError) {
-          logger.warn('Failed to update webhook log with error status', { 
-            error: dbError.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+  acceptWebhook('bellbank')
 );
 
-// BellBank incoming transfer webhook
+// BellBank incoming transfer webhook (Rubies payload format)
 router.post('/bellbank/incoming',
   // Temporarily disable signature validation for testing
   // verifyWebhookSignature('bellbank'),
-  logWebhook('bellbank'),
-  async (req, res) => {
-    try {
-      logger.info('Rubies webhook received', {
-        body: req.body,
-        headers: req.headers,
-        responseCode: req.body?.responseCode,
-        reference: req.body?.reference || req.body?.contractReference
-      });
-
-      const rubiesService = require('../services/rubies');
-      
-      // Process the webhook event
-      const result = await rubiesService.processWebhookEvent(req.body);
-      
-      logger.info('Rubies webhook processed successfully', {
-        result,
-        responseCode: req.body?.responseCode
-      });
-
-      // Update webhook log status
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString(),
-              responseCode: 200
-            }, { id: req.webhookLogId });
-          });
-        } catch (error) {
-          logger.warn('Failed to update webhook log status', { 
-            error: error.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(200).json({ 
-        success: true, 
-        message: 'Webhook processed successfully',
-        result 
-      });
-
-    } catch (error) {
-      logger.error('BellBank incoming transfer webhook failed', {
-        error: error.message,
-        body: req.body
-      });
-
-      // Update webhook log with error status
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              errorMessage: error.message,
-              responseCode: 500
-            }, { id: req.webhookLogId });
-          });
-        } catch (dbError) {
-          logger.warn('Failed to update webhook log with error status', { 
-            error: dbError.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(500).json({ 
-        success: false, 
-        error: 'Webhook processing failed',
-        message: error.message 
-      });
-    }
-  }
+  acceptWebhook('bellbank_incoming')
 );
 
 // Bilal webhook endpoints
 router.post('/bilal',
   verifyWebhookSignature('bilal'),
-  logWebhook('bilal'),
-  async (req, res) => {
-    try {
-      // Bilal webhook format: { status, request-id, response }
-      const webhookData = req.body;
-      
-      if (webhookData.status && webhookData['request-id']) {
-        await handleBilalCallback(webhookData);
-      } else {
-        logger.warn('Invalid Bilal webhook format', { webhookData });
-      }
-
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString(),
-              responseCode: 200
-            }, { id: req.webhookLogId });
-          });
-        } catch (error) {
-          logger.warn('Failed to update webhook log status', { 
-            error: error.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(200).json({ success: true });
-    } catch (error) {
-      logger.error('Bilal webhook processing failed', { error: error.message });
-      
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              errorMessage: error.message,
-              responseCode: 500
-            }, { id: req.webhookLogId });
-          });
-        } catch (dbError) {
-          logger.warn('Failed to update webhook log with error status', { 
-            error: dbError.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+  acceptWebhook('bilal')
 );
 
 // Fincra webhook endpoints (for BVN verification updates)
 router.post('/fincra',
   verifyWebhookSignature('fincra'),
-  logWebhook('fincra'),
-  async (req, res) => {
-    try {
-      const { event, data } = req.body;
-
-      switch (event) {
-        case 'bvn.verified':
-          await handleBvnVerified(data);
-          break;
-        case 'bvn.rejected':
-          await handleBvnRejected(data);
-          break;
-        default:
-          logger.info('Unhandled Fincra webhook event', { event, data });
-      }
-
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString(),
-              responseCode: 200
-            }, { id: req.webhookLogId });
-          });
-        } catch (error) {
-          logger.warn('Failed to update webhook log status', { 
-            error: error.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(200).json({ success: true });
-    } catch (error) {
-      logger.error('Fincra webhook processing failed', { error: error.message });
-      
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              errorMessage: error.message,
-              responseCode: 500
-            }, { id: req.webhookLogId });
-          });
-        } catch (dbError) {
-          logger.warn('Failed to update webhook log with error status', { 
-            error: dbError.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+  acceptWebhook('fincra')
 );
 
 // Dojah webhook endpoints (for KYC status updates) - keeping for backward compatibility
 router.post('/dojah',
   verifyWebhookSignature('dojah'),
-  logWebhook('dojah'),
-  async (req, res) => {
-    try {
-      const { event, data } = req.body;
-
-      switch (event) {
-        case 'kyc.verified':
-          await handleKycVerified(data);
-          break;
-        case 'kyc.rejected':
-          await handleKycRejected(data);
-          break;
-        default:
-          logger.info('Unhandled Dojah webhook event', { event, data });
-      }
-
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: true,
-              processedAt: new Date().toISOString(),
-              responseCode: 200
-            }, { id: req.webhookLogId });
-          });
-        } catch (error) {
-          logger.warn('Failed to update webhook log status', { 
-            error: error.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(200).json({ success: true });
-    } catch (error) {
-      logger.error('Dojah webhook processing failed', { error: error.message });
-      
-      if (req.webhookLogId) {
-        try {
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('webhookLogs', {
-              processed: false,
-              errorMessage: error.message,
-              responseCode: 500
-            }, { id: req.webhookLogId });
-          });
-        } catch (dbError) {
-          logger.warn('Failed to update webhook log with error status', { 
-            error: dbError.message, 
-            webhookLogId: req.webhookLogId 
-          });
-        }
-      }
-
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  }
+  acceptWebhook('dojah')
 );
 
-// Webhook handler functions
-async function handleVirtualAccountCredit(data) {
-  // Handle Rubies webhook notification format
-  const rubiesService = require('../services/rubies');
-  const processedData = await rubiesService.processWebhookEvent(data);
-
-  const walletService = require('../services/wallet');
-  await walletService.creditWalletFromVirtualAccount(processedData);
-}
-
-async function handleTransferCompleted(data) {
-  const transactionService = require('../services/transaction');
-  await transactionService.handleBellBankTransferComplete(data);
-}
-
-async function handleTransferFailed(data) {
-  const transactionService = require('../services/transaction');
-  await transactionService.handleBellBankTransferFailed(data);
-}
-
-async function handleBilalCallback(data) {
-  const bilalService = require('../services/bilal');
-  await bilalService.handleBilalCallback(data);
-}
-
-async function handleKycVerified(data) {
-  const kycService = require('../services/kyc');
-  await kycService.handleKycVerified(data);
-}
-
-async function handleKycRejected(data) {
-  const kycService = require('../services/kyc');
-  await kycService.handleKycRejected(data);
-}
-
-async function handleBvnVerified(data) {
-  const fincraService = require('../services/fincra');
-  await fincraService.handleBvnVerified(data);
-}
-
-async function handleBvnRejected(data) {
-  const fincraService = require('../services/fincra');
-  await fincraService.handleBvnRejected(data);
-}
-
 // Validate BellBank webhook signature
 async function validateBellBankWebhookSignature(req) {
   try {
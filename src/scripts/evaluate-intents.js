@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Score an intent classifier against the labelled corpus (src/evaluation/intentCorpus.json).
+ *
+ *   npm run eval:intents                                   # offline classifier
+ *   npm run eval:intents -- --classifier=fallback          # what users get with no model
+ *   npm run eval:intents -- --classifier=assistant --record=intent-run.json
+ *                                                          # live model, answers saved
+ *   npm run eval:intents -- --classifier=recorded --recordings=intent-run.json
+ *
+ * Options: --corpus=<file>, --language=<code>, --tag=<tag>, --min-accuracy=<0..1>,
+ * --json (print the report as JSON), --allow-overlap. Exits 1 when accuracy is
+ * below --min-accuracy, any `regression`-tagged case is missed, or a corpus
+ * case repeats an intentExamples training phrase (unless --allow-overlap).
+ */
+
+const fs = require('fs');
+const {
+  DEFAULT_CORPUS_PATH,
+  loadCorpus,
+  loadRecordings,
+  findTrainingOverlap,
+  createClassifier,
+  describeAssistant,
+  evaluateIntents,
+  buildRecording,
+  formatReport
+} = require('../evaluation/intentEvaluation');
+
+const OPTIONS = ['classifier', 'corpus', 'recordings', 'record', 'language', 'tag', 'min-accuracy', 'allow-overlap', 'json'];
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match || !OPTIONS.includes(match[1])) throw new Error(`Unrecognised argument ${arg}`);
+    options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return options;
+}
+
+async function runIntentEvaluation(options = {}) {
+  const classifierName = options.classifier || 'local';
+  const corpus = loadCorpus(options.corpus || DEFAULT_CORPUS_PATH);
+  const recordings = options.recordings ? loadRecordings(options.recordings) : null;
+  const classify = createClassifier(classifierName, { recordings });
+
+  const filter = (options.language || options.tag)
+    ? testCase => (!options.language || testCase.language === options.language) &&
+      (!options.tag || (testCase.tags || []).includes(options.tag))
+    : null;
+
+  const report = await evaluateIntents(corpus, classify, { filter });
+
+  report.warnings = [];
+  if (recordings && recordings.corpusVersion !== corpus.version) {
+    report.warnings.push(`Recordings were made against corpus v${recordings.corpusVersion}`);
+  }
+
+  // A case the offline classifier was trained on scores as an exact match
+  report.overlap = findTrainingOverlap(corpus);
+  for (const { id, example } of report.overlap) {
+    report.warnings.push(`${id} repeats the training example "${example}"`);
+  }
+
+  if (options.record) {
+    const meta = { classifier: classifierName };
+    if (classifierName === 'assistant') Object.assign(meta, describeAssistant());
+    fs.writeFileSync(options.record, JSON.stringify(buildRecording(corpus, report, meta), null, 2));
+  }
+
+  return { classifierName, report };
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  runIntentEvaluation(options)
+    .then(({ classifierName, report }) => {
+      if (options.json) {
+        const { results, ...summary } = report;
+        console.log(JSON.stringify(summary, null, 2));
+      } else {
+        console.log(formatReport(report, { title: `Intent evaluation (${classifierName})` }));
+        report.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+        if (options.record) console.log(`Recorded responses to ${options.record}`);
+      }
+
+      const minAccuracy = options['min-accuracy'] !== undefined ? parseFloat(options['min-accuracy']) : null;
+      const belowMinimum = minAccuracy !== null && report.accuracy < minAccuracy;
+      const overlapping = report.overlap.length > 0 && !options['allow-overlap'];
+      process.exit(belowMinimum || report.regressions.length || overlapping ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Intent evaluation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runIntentEvaluation };
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Concurrency check for wallet balance mutations.
+ *
+ * Fires parallel credits and debits at one wallet and verifies that the final
+ * balance is exactly initial + successful credits - successful debits, and
+ * that the ledger moved by the same amount. Run against a staging database
+ * with a dedicated test user that has no Rubies account (a Rubies sync would
+ * overwrite the balance mid-run):
+ *
+ *   WALLET_CHECK_USER_ID=<uuid> node src/scripts/wallet-concurrency-check.js [operations] [amount]
+ *
+ * test/services/walletConcurrency.test.js runs the same check on every test
+ * run, against the simulator's in-memory database.
+ */
+
+const walletService = require('../services/wallet');
+const ledgerService = require('../services/ledger');
+const logger = require('../utils/logger');
+
+async function checkWalletConcurrency(userId, operations = 20, amount = 10) {
+  const wallet = await walletService.getUserWallet(userId);
+  if (wallet.virtualAccountBank === 'Rubies MFB') {
+    throw new Error('Test wallet has a Rubies account; balance syncs would skew the result');
+  }
+
+  const initialBalance = parseFloat(wallet.balance || 0);
+  const initialLedger = await ledgerService.getWalletLedgerBalance(wallet.id);
+  logger.info('🔍 Starting wallet concurrency check', { userId, operations, amount, initialBalance, initialLedger });
+
+  // Interleave credits and debits so they genuinely race each other
+  const tasks = [];
+  for (let i = 0; i < operations; i++) {
+    tasks.push({ type: 'credit', run: () => walletService.creditWallet(userId, amount, `Concurrency check credit ${i + 1}`, { category: 'admin_adjustment', concurrencyCheck: true }) });
+    tasks.push({ type: 'debit', run: () => walletService.debitWallet(userId, amount, `Concurrency check debit ${i + 1}`, { category: 'wallet_transfer', concurrencyCheck: true }) });
+  }
+
+  const results = await Promise.allSettled(tasks.map(task => task.run()));
+
+  const tally = { credit: 0, debit: 0, failed: 0, conflicts: 0, insufficient: 0 };
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      tally[tasks[index].type]++;
+      return;
+    }
+    tally.failed++;
+    if (result.reason?.name === 'WalletConflictError') tally.conflicts++;
+    if (result.reason?.message === 'Insufficient balance') tally.insufficient++;
+  });
+
+  const finalWallet = await walletService.getUserWallet(userId);
+  const finalBalance = parseFloat(finalWallet.balance || 0);
+  const finalLedger = await ledgerService.getWalletLedgerBalance(wallet.id);
+
+  const toKobo = value => Math.round(value * 100);
+  const expectedBalance = (toKobo(initialBalance) + (tally.credit - tally.debit) * toKobo(amount)) / 100;
+  const balanceExact = toKobo(finalBalance) === toKobo(expectedBalance);
+  const ledgerExact = toKobo(finalLedger - initialLedger) === toKobo(finalBalance - initialBalance);
+
+  const report = { ...tally, initialBalance, expectedBalance, finalBalance, initialLedger, finalLedger, balanceExact, ledgerExact };
+
+  if (balanceExact && ledgerExact) {
+    logger.info('✅ Wallet concurrency check passed', report);
+  } else {
+    logger.error('❌ Wallet concurrency check failed', report);
+  }
+
+  return report;
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const userId = process.env.WALLET_CHECK_USER_ID;
+  const operations = parseInt(process.argv[2], 10) || 20;
+  const amount = parseFloat(process.argv[3]) || 10;
+
+  if (!userId) {
+    logger.error('❌ Set WALLET_CHECK_USER_ID to a dedicated test user');
+    process.exit(1);
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    logger.error('❌ Refusing to run the wallet concurrency check in production');
+    process.exit(1);
+  }
+
+  checkWalletConcurrency(userId, operations, amount)
+    .then(report => process.exit(report.balanceExact && report.ledgerExact ? 0 : 1))
+    .catch(error => {
+      logger.error('❌ Error running wallet concurrency check:', { error: error.message, stack: error.stack });
+      process.exit(1);
+    });
+}
+
+module.exports = { checkWalletConcurrency };
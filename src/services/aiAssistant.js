@@ -1,6 +1,5 @@
-const axios = require('axios');
-const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
+const messaging = require('./messaging');
 const userService = require('./user');
 const walletService = require('./wallet');
 const bankTransferService = require('./bankTransfer');
@@ -8,64 +7,38 @@ const dataService = require('./data');
 const airtimeService = require('./airtime');
 const utilityService = require('./utility');
 const transactionService = require('./transaction');
+const transferFlow = require('./transferFlow');
+const aiProvider = require('./aiProvider');
+const i18n = require('./i18n');
 // Models removed - using activityLogger service instead
 const sessionManager = require('../utils/sessionManager');
 const redisClient = require('../utils/redis');
 
 class AIAssistantService {
   constructor() {
-    // Use ONLY AI_API_KEY - remove OPENAI_API_KEY fallback
-    this.openaiApiKey = process.env.AI_API_KEY;
-    this.openaiBaseUrl = process.env.AI_BASE_URL || 'https://api.openai.com/v1';
-    // Use a valid default model; sanitize unsupported env values (e.g., gpt-5*)
-    const envModel = (process.env.AI_MODEL || '').trim();
-    this.model = envModel && !/gpt-5/i.test(envModel) ? envModel : 'gpt-4o-mini';
-    
-    // Enhanced logging for API key debugging
-    const mask = (v) => {
-      if (!v) return 'NOT_SET';
-      if (v.length < 8) return 'TOO_SHORT';
-      return `${v.slice(0, 4)}***${v.slice(-4)}`;
-    };
-    
-    // Log all relevant environment variables for debugging
-    logger.info('AI Assistant Environment Variables', {
-      AI_API_KEY: mask(process.env.AI_API_KEY),
-      AI_BASE_URL: process.env.AI_BASE_URL || 'DEFAULT',
-      AI_MODEL: process.env.AI_MODEL || 'DEFAULT',
-      NODE_ENV: process.env.NODE_ENV || 'NOT_SET'
-    });
-    
-    // Validate OpenAI configuration
-    this.isConfigured = !!this.openaiApiKey;
-    if (!this.isConfigured) {
+    // Model calls go through the selected AI provider (AI_PROVIDER); these
+    // mirror its settings for logging
+    const llm = aiProvider.llm();
+    this.openaiApiKey = llm ? llm.apiKey : null;
+    this.openaiBaseUrl = llm ? llm.baseUrl : null;
+    this.model = llm ? llm.model : null;
+
+    if (!llm) {
+      logger.info('AI_PROVIDER=local - intents come from the offline classifier, replies use fallback texts');
+    } else if (!aiProvider.hasLLM()) {
       logger.warn('AI_API_KEY not configured - AI features will use fallback processing');
     } else {
       // Validate API key format - be more flexible with different providers
-      if (!this.openaiApiKey.startsWith('sk-') && !this.openaiApiKey.startsWith('gsk_') && !this.openaiApiKey.startsWith('gsk-')) {
+      if (llm.requiresKey && !this.openaiApiKey.startsWith('sk-') && !this.openaiApiKey.startsWith('gsk_') && !this.openaiApiKey.startsWith('gsk-')) {
         logger.warn('AI_API_KEY format may be unusual - expected to start with "sk-", "gsk_", or "gsk-"', {
-          apiKeyPreview: mask(this.openaiApiKey),
+          apiKeyPreview: llm.describe().apiKeyPreview,
           apiKeyLength: this.openaiApiKey.length,
           apiKeyPrefix: this.openaiApiKey.substring(0, 4)
         });
         // Don't disable - just warn, as different providers may use different formats
-      } else if (this.openaiApiKey.length !== 51 && this.openaiApiKey.length !== 164) {
-        logger.warn('AI_API_KEY length is unusual - expected 51 or 164 characters', {
-          apiKeyPreview: mask(this.openaiApiKey),
-          apiKeyLength: this.openaiApiKey.length,
-          expectedLengths: [51, 164]
-        });
       }
-      
-      logger.info('AI assistant initialized', {
-        model: this.model,
-        baseUrl: this.openaiBaseUrl,
-        hasKey: !!this.openaiApiKey,
-        apiKeyPreview: mask(this.openaiApiKey),
-        apiKeyLength: this.openaiApiKey ? this.openaiApiKey.length : 0,
-        apiKeyStartsWith: this.openaiApiKey ? this.openaiApiKey.substring(0, 3) : 'N/A',
-        isValidFormat: this.openaiApiKey ? this.openaiApiKey.startsWith('sk-') : false
-      });
+
+      logger.info('AI assistant initialized', llm.describe());
     }
     
     // Enhanced intent patterns for better recognition
@@ -475,16 +448,10 @@ Keep responses natural, friendly, and human-like while correctly understanding N
    */
   async makeResponseNatural(message, context = {}) {
     try {
-      if (!this.openaiApiKey) {
-        return message; // Return original if no AI key
+      if (!aiProvider.hasLLM()) {
+        return message; // Return original if no AI model
       }
 
-      const openai = require('openai');
-      const client = new openai.OpenAI({
-        apiKey: this.openaiApiKey,
-        baseURL: this.openaiBaseUrl
-      });
-
       const userUtterance =
         context.userUtterance ||
         context.originalMessage ||
@@ -519,8 +486,7 @@ Rules:
 Return only the final message, no quotes or labels.
 `;
 
-      const response = await client.chat.completions.create({
-        model: this.model,
+      const response = await aiProvider.chatCompletion({
         messages: [
           {
             role: 'system',
@@ -536,7 +502,7 @@ Return only the final message, no quotes or labels.
         max_tokens: 180
       });
 
-      const naturalResponse = response.choices[0].message.content.trim();
+      const naturalResponse = response.data.choices[0].message.content.trim();
 
       // Remove quotes if AI wrapped the response
       return naturalResponse.replace(/^["']|["']$/g, '');
@@ -552,7 +518,7 @@ Return only the final message, no quotes or labels.
   async mirrorReplyToUserLanguage(userUtterance, draftReply) {
     const u = String(userUtterance || '').trim();
     const d = String(draftReply || '').trim();
-    if (!u || !d || !this.openaiApiKey) {
+    if (!u || !d || !aiProvider.hasLLM()) {
       return d || draftReply;
     }
     const forcedLanguage = this.detectLocalLanguage(u);
@@ -595,142 +561,38 @@ Return only the final message, no quotes or labels.
   }
 
   /**
-   * One short WhatsApp reply; mirrors userUtterance language when present.
-   * Used for voice fallbacks, balance copy, and other paths that must not be hardcoded English blocks.
+   * One short WhatsApp reply from the message catalogue, in the user's saved
+   * language or the language of userUtterance. Used for voice fallbacks,
+   * balance copy, help and menu — replies common enough that they should not
+   * wait on a model call.
    */
-  async generateShortReply({ userUtterance = '', scenario, facts = null } = {}) {
-    if (!this.openaiApiKey) {
-      return this._generateShortReplyFallback(scenario, facts);
+  async generateShortReply({ userUtterance = '', scenario, facts = null, user = null } = {}) {
+    const language = i18n.languageOf(user, userUtterance);
+
+    if (scenario === 'balance_success') {
+      const balance = this._balanceReplyFacts(facts);
+      if (balance) {
+        const key = balance.includePending ? 'reply.balance_success_pending' : 'reply.balance_success';
+        return i18n.t(language, key, balance);
+      }
     }
 
-    const scenarioGuide = {
-      voice_failed:
-        'User sent a voice note but transcription failed or was empty. ONE short polite sentence in simple, neutral English (not Pidgin): ask them to repeat slowly or type. Say they may use English, Hausa, Yoruba, Igbo, or Pidgin.',
-      voice_failed_multilingual:
-        'Same as voice_failed: neutral simple English only; mention they can speak or type in English, Hausa, Yoruba, Igbo, or Nigerian Pidgin.',
-      message_unclear:
-        'We could not get usable text. ONE short sentence in the same language as userUtterance if it is clearly Hausa/Yoruba/Igbo/Pidgin/English; otherwise simple neutral English. Invite retry or typing help.',
-      unsupported_format:
-        'They used an unsupported message type. ONE sentence: say you handle text, voice notes, and images and ask them to resend that way. Match userUtterance language if present.',
-      processing_error:
-        'Something went wrong on our side. ONE short apology and ask to try again. Match userUtterance language if present.',
-      balance_success: `Tell them their wallet balances in a natural ONE or TWO short sentences. You MUST include these exact figures verbatim (copy the strings exactly, including ₦ and commas): ${facts ? JSON.stringify(facts) : '{}'}. Mirror the language of userUtterance.`,
-      balance_need_onboarding:
-        'They asked for balance but onboarding is not finished. ONE or TWO short friendly sentences: you will show balance after quick setup, invite them to continue. Mirror userUtterance language.',
-      balance_wallet_missing:
-        'Wallet record missing; they should contact support. ONE short sentence, mirror userUtterance language. Stay calm.',
-      balance_fetch_error:
-        'Balance could not be loaded. ONE short sentence: try again later. Mirror userUtterance language.',
-      onboarding_start_failed:
-        'We failed to start account setup. ONE sentence: type help or try again. Mirror userUtterance language if any.',
-      greeting_reply:
-        'User greeted or said hello. ONE or TWO short warm sentences back; use facts.firstName if present. Entire reply MUST be in the same language as userUtterance (Hausa→Hausa, etc.).',
-      help_overview:
-        'User asked for help. In ONE or TWO sentences, say you can help with balance, transfers, airtime, data, bills, account — entirely in the same language as userUtterance.',
-      menu_overview:
-        'User asked for menu or services. In ONE or TWO sentences summarize what MiiMii does; entirely in the same language as userUtterance.',
-      transfer_need_amount:
-        'User wants transfer but amount is missing. ONE short sentence asking for amount, with a tiny natural example. Same language as userUtterance.',
-      transfer_need_details:
-        'User wants transfer but details are incomplete. ONE short sentence asking for amount + account number + bank name. Same language as userUtterance.',
-      transfer_processing_error:
-        'Transfer parsing/processing failed. ONE short apology + ask user to resend transfer details. Same language as userUtterance.'
-    };
-
-    const guide = scenarioGuide[scenario] || scenarioGuide.processing_error;
-
-    const userPayload = {
-      scenario,
-      instruction: guide,
-      userUtterance: String(userUtterance).slice(0, 1000),
-      facts: facts || undefined
-    };
-
-    try {
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content:
-                'You are MiiMii on WhatsApp for Nigeria. Output ONLY one short natural sentence (two only if unavoidable), no bullets or markdown. If userUtterance is non-empty, the ENTIRE reply must be in that same language (Hausa, Yoruba, Igbo, Pidgin, or English) — never answer Hausa in English. Never invent amounts or balances.'
-            },
-            {
-              role: 'user',
-              content: JSON.stringify(userPayload)
-            }
-          ],
-          temperature: 0.55,
-          max_tokens: 200
-        },
-        {
-          ...axiosConfig,
-          headers: {
-            ...axiosConfig.headers,
-            Authorization: `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 20000
-        }
-      );
-
-      const text = (response.data?.choices?.[0]?.message?.content || '').trim();
-      const cleaned = text.replace(/^["']|["']$/g, '');
-      return cleaned || this._generateShortReplyFallback(scenario, facts);
-    } catch (error) {
-      logger.error('generateShortReply failed', {
-        error: error.message,
-        scenario
-      });
-      return this._generateShortReplyFallback(scenario, facts);
-    }
+    const key = `reply.${scenario}`;
+    return i18n.t(language, i18n.has(key) ? key : 'reply.processing_error', facts || {});
   }
 
-  _generateShortReplyFallback(scenario, facts) {
-    if (scenario === 'balance_success' && facts) {
-      if (facts.availableFormatted) {
-        if (facts.includePending) {
-          return `Available ${facts.availableFormatted}, pending ${facts.pendingFormatted}, total ${facts.totalFormatted}.`;
-        }
-        return `Available ${facts.availableFormatted}, total ${facts.totalFormatted}.`;
-      }
-      const { available, pending, total } = facts;
-      if (available != null && total != null) {
-        const fmt = (n) =>
-          `₦${Number(n).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
-        if (pending > 0) {
-          return `Available ${fmt(available)}, pending ${fmt(pending)}, total ${fmt(total)}.`;
-        }
-        return `Available ${fmt(available)}, total ${fmt(total)}.`;
-      }
-    }
-    const fallbacks = {
-      voice_failed:
-        "Sorry, I didn't catch that. Please repeat a bit slower or type your message — English, Hausa, Yoruba, Igbo, or Pidgin is fine.",
-      voice_failed_multilingual:
-        "Sorry, I didn't catch that. Please repeat or type in English, Hausa, Yoruba, Igbo, or Pidgin.",
-      message_unclear: 'No catch wetin you mean — abeg try again or type help.',
-      unsupported_format: 'Send as text, voice note, or picture with caption abeg.',
-      processing_error: 'Small issue dey — abeg try again.',
-      balance_need_onboarding: 'Make we finish setup first, then I go show your balance.',
-      balance_wallet_missing: 'Wallet no dey — abeg contact support.',
-      balance_fetch_error: 'I no fit load balance now — try again later.',
-      onboarding_start_failed: 'Setup no start — type help if you need hand.',
-      greeting_reply: 'How far! Wetin we go do today?',
-      help_overview:
-        'I dey here — I fit help you check balance, send money, buy airtime or data, pay bills, or look your account. Talk wetin you want.',
-      menu_overview:
-        'I fit help with balance, transfers, airtime, data, bills, and your account — say wetin you need.',
-      transfer_need_amount:
-        'Please send the amount you want transfer, e.g. 1000 or 5k.',
-      transfer_need_details:
-        'Please send transfer details: amount, account number, and bank name.',
-      transfer_processing_error:
-        'I no process that transfer well. Abeg resend amount, account number, and bank name.'
+  /** balance_success facts with formatted figures, from either formatted or raw amounts. */
+  _balanceReplyFacts(facts) {
+    if (!facts) return null;
+    if (facts.availableFormatted) return facts;
+    const { available, pending, total } = facts;
+    if (available == null || total == null) return null;
+    return {
+      availableFormatted: i18n.formatNaira(available),
+      pendingFormatted: i18n.formatNaira(pending || 0),
+      totalFormatted: i18n.formatNaira(total),
+      includePending: pending > 0
     };
-    return fallbacks[scenario] || fallbacks.processing_error;
   }
 
   /**
@@ -819,32 +681,30 @@ Return only the final message, no quotes or labels.
 
   // Add API key validation method
   async validateApiKey() {
-    if (!this.isConfigured || !this.openaiApiKey) {
-      logger.warn('Skipping API key validation - AI_API_KEY not configured');
+    const llm = aiProvider.llm();
+    if (!llm || !aiProvider.hasLLM()) {
+      logger.warn('Skipping API key validation - no AI model configured', { provider: aiProvider.providerName });
       return false;
     }
 
+    const { apiKeyPreview } = llm.describe();
     try {
-      logger.info('Validating AI_API_KEY with OpenAI...');
+      logger.info('Validating AI provider connection...', { provider: llm.name, baseUrl: llm.baseUrl });
       
-      const response = await axios.get(`${this.openaiBaseUrl}/models`, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+      const response = await llm.listModels({ timeout: 10000 });
 
       if (response.status === 200) {
-        logger.info('✅ AI_API_KEY validation successful', {
-          apiKeyPreview: `${this.openaiApiKey.substring(0, 4)}***${this.openaiApiKey.substring(this.openaiApiKey.length - 4)}`,
+        logger.info('✅ AI provider validation successful', {
+          provider: llm.name,
+          apiKeyPreview,
           availableModels: response.data.data?.length || 0
         });
         return true;
       } else {
-        logger.error('❌ AI_API_KEY validation failed - unexpected status', {
+        logger.error('❌ AI provider validation failed - unexpected status', {
+          provider: llm.name,
           status: response.status,
-          apiKeyPreview: `${this.openaiApiKey.substring(0, 4)}***${this.openaiApiKey.substring(this.openaiApiKey.length - 4)}`
+          apiKeyPreview
         });
         return false;
       }
@@ -852,16 +712,16 @@ Return only the final message, no quotes or labels.
       const status = error.response?.status;
       const errorMessage = error.response?.data?.error?.message || error.message;
       
-      logger.error('❌ AI_API_KEY validation failed', {
+      logger.error('❌ AI provider validation failed', {
+        provider: llm.name,
         status: status || 'unknown',
         error: errorMessage,
-        apiKeyPreview: `${this.openaiApiKey.substring(0, 4)}***${this.openaiApiKey.substring(this.openaiApiKey.length - 4)}`,
-        apiKeyLength: this.openaiApiKey.length
+        apiKeyPreview
       });
 
       if (status === 401) {
         logger.error('🔑 AI_API_KEY is invalid or expired - AI features will use fallback processing');
-        this.isConfigured = false;
+        aiProvider.suspend(Infinity, 'invalid_api_key');
       } else if (status === 429) {
         logger.warn('⚠️ Rate limit exceeded during API key validation - this is normal');
       } else {
@@ -918,9 +778,9 @@ Return only the final message, no quotes or labels.
 
   async getAIResponse(message, user, extractedData = null) {
     try {
-      // Check if OpenAI is configured
-      if (!this.isConfigured) {
-        logger.info('OpenAI not configured, using fallback processing', { 
+      // Check if an AI model is available
+      if (!aiProvider.hasLLM()) {
+        logger.info('AI model not available, using fallback processing', { 
           phoneNumber: user.whatsappNumber,
           messageType: 'text'
         });
@@ -960,8 +820,7 @@ Extract intent and data from this message. Consider the user context and any ext
         apiKeyStartsWith: this.openaiApiKey ? this.openaiApiKey.substring(0, 3) : 'N/A'
       });
 
-      const response = await axios.post(`${this.openaiBaseUrl}/chat/completions`, {
-        model: this.model,
+      const response = await aiProvider.chatCompletion({
         messages: [
           { role: 'system', content: this.systemPrompt },
           { role: 'user', content: userPrompt }
@@ -969,15 +828,7 @@ Extract intent and data from this message. Consider the user context and any ext
         temperature: 0.1,
         max_tokens: 1000,
         response_format: { type: "json_object" }
-      }, {
-        ...axiosConfig,
-        headers: {
-          ...axiosConfig.headers,
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      });
+      }, { timeout: 30000 });
 
       const aiResult = JSON.parse(response.data.choices[0].message.content);
       
@@ -1083,7 +934,7 @@ Extract intent and data from this message. Consider the user context and any ext
           return await this.handleMoneyTransfer(user, extractedData, aiResponse);
           
         case 'bank_transfer':
-          return await this.handleBankTransfer(user, extractedData, aiResponse, originalMessage);
+          return await this.handleBankTransfer(user, extractedData);
           
         case 'airtime':
           return await this.handleAirtimePurchase(user, extractedData, aiResponse);
@@ -1125,11 +976,47 @@ Extract intent and data from this message. Consider the user context and any ext
           
         case 'beneficiaries':
           return await this.handleBeneficiariesList(user);
+
+        case 'schedule':
+          return await this.handleScheduleRequest(user, originalMessage || '');
+
+        case 'list_schedules':
+          return await this.handleListSchedules(user);
+
+        case 'cancel_schedule':
+          return await this.handleCancelSchedule(user);
+
+        case 'savings_deposit':
+          return await this.handleSavingsDeposit(user, extractedData, originalMessage);
+
+        case 'savings_withdraw':
+          return await this.handleSavingsWithdraw(user, extractedData, originalMessage);
+
+        case 'savings_summary':
+          return await this.handleSavingsSummary(user);
+
+        case 'referrals':
+          return await this.handleReferrals(user);
+
+        case 'group_create':
+          return await this.handleGroupCreate(user, extractedData, originalMessage);
+
+        case 'group_status':
+          return await this.handleGroupStatus(user);
+
+        case 'group_pay':
+          return await this.handleGroupPay(user, originalMessage);
+
+        case 'request_money':
+          return await this.handleRequestMoney(user, extractedData, originalMessage);
+
+        case 'payment_requests':
+          return await this.handlePaymentRequestsList(user);
           
         case 'menu':
           return {
             intent: 'menu',
-            message: aiResponse.message || "📱 *Available Services*\n\n💰 Check Balance\n💸 Send Money\n🏦 Bank Transfer\n📱 Buy Airtime\n🌐 Buy Data\n💳 Pay Bills\n📊 Transaction History\n📄 Account Statement (PDF)\n📋 My Beneficiaries\n🔐 PIN Settings\n\nWhat would you like to do?",
+            message: aiResponse.message || i18n.t(i18n.languageOf(user, originalMessage), 'menu.services'),
             requiresAction: 'NONE'
           };
           
@@ -1261,441 +1148,15 @@ Extract intent and data from this message. Consider the user context and any ext
     };
   }
 
-  async handleBankTransfer(user, extractedData, aiResponse, originalMessage = '') {
-    let { amount, accountNumber, bankName, bankCode, beneficiaryNickname, recipientName } = extractedData;
-    
-    // Check if bank details were extracted from image
-    const imageBankDetails = extractedData.bankDetails;
-    
-    // FIX: AI often puts the name in recipientName instead of accountNumber
-    // If accountNumber is missing but recipientName is provided, it's likely a beneficiary lookup
-    if ((!accountNumber || accountNumber === null) && recipientName) {
-      logger.info('AI extracted name in recipientName field, moving to accountNumber for beneficiary lookup', {
-        recipientName,
-        originalAccountNumber: accountNumber
-      });
-      accountNumber = recipientName;
-      recipientName = null; // Clear recipientName since we're searching by name
-    }
-    
-    // Debug: Log the extracted data
-    logger.info('handleBankTransfer called with extracted data', {
-      extractedData,
-      amount,
-      accountNumber,
-      bankName,
-      bankCode,
-      beneficiaryNickname,
-      recipientName,
-      hasImageBankDetails: !!imageBankDetails,
-      aiResponse
+  // Bank transfers run in the transfer state machine, which sends its own replies
+  async handleBankTransfer(user, extractedData) {
+    const imageDetails = extractedData.bankDetails || {};
+    await transferFlow.start(user, {
+      ...extractedData,
+      accountNumber: extractedData.accountNumber || imageDetails.accountNumber,
+      bankName: extractedData.bankName || imageDetails.bankName
     });
-    
-    // Check if accountNumber looks like a name (not a valid account number)
-    const isAccountNumberValid = accountNumber && /^\d{8,11}$/.test(accountNumber.toString().trim());
-    
-    // If accountNumber is not valid digits, it might be a beneficiary name
-    if (accountNumber && !isAccountNumberValid) {
-      const beneficiaryService = require('./beneficiary');
-      
-      logger.info('Searching for beneficiary by name', {
-        userId: user.id,
-        searchTerm: accountNumber
-      });
-      
-      // Search beneficiaries by name
-      const beneficiary = await beneficiaryService.searchBeneficiaries(user.id, accountNumber);
-      
-      if (beneficiary && beneficiary.length > 0) {
-        const match = beneficiary[0]; // Use first/best match
-        
-        logger.info('Found saved beneficiary by name', {
-          userId: user.id,
-          searchTerm: accountNumber,
-          beneficiaryId: match.id,
-          beneficiaryName: match.name,
-          accountNumber: match.accountNumber,
-          bankName: match.bankName
-        });
-        
-        // Use saved beneficiary details
-        extractedData.accountNumber = match.accountNumber;
-        extractedData.bankCode = match.bankCode;
-        extractedData.bankName = match.bankName;
-        extractedData.recipientName = match.name;
-        extractedData.beneficiaryId = match.id;
-        
-        // Update variables for continued processing
-        accountNumber = match.accountNumber;
-        bankCode = match.bankCode;
-        bankName = match.bankName;
-        
-        logger.info('Using saved beneficiary for transfer', {
-          beneficiaryName: match.name,
-          accountNumber: match.accountNumber,
-          bankName: match.bankName
-        });
-      } else {
-        return {
-          intent: 'bank_transfer',
-          message: `I couldn't find "${accountNumber}" in your saved beneficiaries.\n\nPlease provide the full details:\n\n📝 Example: 'Send 10k to ${accountNumber} 9072874728 Opay'`,
-          awaitingInput: 'bank_transfer_details',
-          context: 'bank_transfer'
-        };
-      }
-    }
-    
-    // If we have bank details from image, use them
-    const finalAccountNumber = accountNumber || (imageBankDetails && imageBankDetails.accountNumber);
-    let finalBankName = bankName || (imageBankDetails && imageBankDetails.bankName);
-    
-    // Enhanced OCR bank name parsing
-    if (imageBankDetails && imageBankDetails.bankName) {
-      // Clean up OCR bank name (remove extra spaces, normalize case)
-      finalBankName = imageBankDetails.bankName.trim().replace(/\s+/g, ' ');
-      logger.info('Using bank name from OCR data', { 
-        originalBankName: imageBankDetails.bankName, 
-        cleanedBankName: finalBankName 
-      });
-    }
-    
-    if (!amount || !finalAccountNumber) {
-      logger.warn('Missing required data for bank transfer', {
-        hasAmount: !!amount,
-        amount: amount,
-        hasAccountNumber: !!finalAccountNumber,
-        finalAccountNumber: finalAccountNumber,
-        hasImageBankDetails: !!imageBankDetails,
-        imageBankDetails: imageBankDetails,
-        extractedData: extractedData
-      });
-      return {
-        intent: 'bank_transfer',
-        message: "To transfer to a bank account, I need the amount, bank name, and account number.\n\n📝 Example: 'Transfer 10000 to GTBank 0123456789' or 'Send 4k to 9072874728 Opay Bank'\n\n💡 Tip: You can save beneficiaries! Try: 'Send 10k to my mom 9072874728 Opay'",
-        awaitingInput: 'bank_transfer_details',
-        context: 'bank_transfer'
-      };
-    }
-
-    try {
-      const transferAmount = this.parseAmount(amount);
-      
-      // Validate amount
-      if (transferAmount < 100) {
-        return {
-          intent: 'bank_transfer',
-          message: "Minimum transfer amount is ₦100. Please specify a valid amount.",
-          awaitingInput: 'bank_transfer_details',
-          context: 'bank_transfer'
-        };
-      }
-
-      // Check wallet balance with auto-sync
-      const wallet = await walletService.getUserWallet(user.id);
-      
-      const totalBalance = parseFloat(wallet.balance || 0);
-      const availableBalance = parseFloat(wallet.availableBalance || 0);
-      const pendingBalance = parseFloat(wallet.pendingBalance || 0);
-      
-      // Auto-sync available balance if it's 0 but total balance is sufficient
-      if (availableBalance === 0 && totalBalance >= transferAmount) {
-        // Use walletService to update wallet (wallet is a plain object, not Sequelize instance)
-        const { supabase } = require('../database/connection');
-        await supabase
-          .from('wallets')
-          .update({
-            availableBalance: totalBalance,
-            updatedAt: new Date().toISOString()
-          })
-          .eq('id', wallet.id);
-        
-        logger.info('Auto-synced available balance for transfer', {
-          userId: user.id,
-          oldAvailableBalance: availableBalance,
-          newAvailableBalance: totalBalance,
-          totalBalance
-        });
-        // Update local wallet object
-        wallet.availableBalance = totalBalance;
-      }
-      
-      // Check if user can perform the transfer
-      const canPerformTransfer = !wallet.isFrozen && 
-                                wallet.isActive && 
-                                wallet.complianceStatus === 'compliant' &&
-                                (availableBalance >= transferAmount || totalBalance >= transferAmount);
-      
-      if (!canPerformTransfer) {
-        let errorMessage = `❌ *Transfer Not Allowed*\n\n`;
-        errorMessage += `💰 You need: ₦${transferAmount.toLocaleString()}\n`;
-        errorMessage += `💵 Available: ₦${availableBalance.toLocaleString()}\n`;
-        
-        if (pendingBalance > 0) {
-          errorMessage += `⏳ Pending: ₦${pendingBalance.toLocaleString()}\n`;
-        }
-        
-        errorMessage += `📊 Total: ₦${totalBalance.toLocaleString()}\n\n`;
-        
-        if (wallet.isFrozen) {
-          errorMessage += `❄️ Your wallet is frozen. Please contact support.`;
-        } else if (!wallet.isActive) {
-          errorMessage += `🚫 Your wallet is inactive. Please contact support.`;
-        } else if (wallet.complianceStatus !== 'compliant') {
-          errorMessage += `⚠️ Your account needs verification. Please complete KYC.`;
-        } else if (pendingBalance > 0) {
-          errorMessage += `You have ₦${pendingBalance.toLocaleString()} in pending transactions. Please wait for them to complete.`;
-        } else if (totalBalance >= transferAmount) {
-          errorMessage += `You have sufficient total balance but some funds may be held. Please contact support if this persists.`;
-        } else {
-          errorMessage += `Please fund your wallet to continue.`;
-        }
-        
-        return {
-          intent: 'bank_transfer',
-          message: errorMessage,
-          requiresAction: 'FUND_WALLET'
-        };
-      }
-
-      // Resolve bank code with flexible prefix/synonym detection (Rubies API mapping first)
-      let resolvedBankCode = bankCode;
-      let resolvedBankName = bankName;
-      const rubiesService = require('./rubies');
-
-      // 1) If we already have a bankName, try resolve directly
-      if (!resolvedBankCode && bankName) {
-        const rubiesService = require('./rubies');
-        // Try new resolver which supports 3-letter prefixes and synonyms
-        resolvedBankCode = await rubiesService.resolveInstitutionCode(bankName);
-        
-        // Preserve the original bank name if resolution was successful
-        if (resolvedBankCode) {
-          resolvedBankName = bankName; // Keep the original bank name from image processing
-          logger.info('Bank name resolved successfully', { 
-            originalBankName: bankName, 
-            resolvedBankCode, 
-            resolvedBankName 
-          });
-        } else {
-          // Fallback: try explicit bank list scanning
-          try {
-            logger.info('Fallback: scanning Rubies bank list for bank name', { bankName });
-            const bankListResponse = await rubiesService.getBankList();
-            if (bankListResponse.success && bankListResponse.banks) {
-              const bankNameLower = bankName.toLowerCase().trim();
-              const matchingBank = bankListResponse.banks.find(bank => {
-                const institutionName = bank.institutionName.toLowerCase();
-                return institutionName.includes(bankNameLower) || bankNameLower.includes(institutionName);
-              });
-              if (matchingBank) {
-                resolvedBankCode = matchingBank.institutionCode;
-                resolvedBankName = matchingBank.institutionName;
-                logger.info('Bank name resolved via bank list scan', { 
-                  originalBankName: bankName, 
-                  resolvedBankCode, 
-                  resolvedBankName: matchingBank.institutionName 
-                });
-              }
-            }
-          } catch (e) {
-            logger.warn('Fallback bank list scan failed', { error: e.message });
-            
-            // Final fallback: use static bank mapping with proper names
-            const staticBankMapping = {
-              'rubies mfb': { code: '100004', name: 'Rubies MFB' },
-              'rubies': { code: '100004', name: 'Rubies MFB' },
-              'mfb': { code: '100004', name: 'Rubies MFB' },
-              '9 payment': { code: '100004', name: '9 Payment' },
-              '9pay': { code: '100004', name: '9 Payment' },
-              'opay': { code: '100004', name: 'Opay' },
-              'moniepoint': { code: '100004', name: 'Moniepoint' },
-              'monie': { code: '100004', name: 'Moniepoint' },
-              'gtbank': { code: '000058', name: 'GTBank' },
-              'gtb': { code: '000058', name: 'GTBank' },
-              'gt bank': { code: '000058', name: 'GTBank' },
-              'access': { code: '000014', name: 'Access Bank' },
-              'first bank': { code: '000016', name: 'First Bank' },
-              'firstbank': { code: '000016', name: 'First Bank' },
-              'zenith': { code: '000057', name: 'Zenith Bank' },
-              'uba': { code: '000033', name: 'UBA' },
-              'keystone': { code: '000082', name: 'Keystone Bank' },
-              'stanbic': { code: '000221', name: 'Stanbic IBTC' },
-              'ecobank': { code: '000050', name: 'Ecobank' },
-              'fidelity': { code: '000070', name: 'Fidelity Bank' },
-              'union': { code: '000032', name: 'Union Bank' },
-              'wema': { code: '000035', name: 'Wema Bank' },
-              'sterling': { code: '000232', name: 'Sterling Bank' },
-              'kuda': { code: '000090', name: 'Kuda Bank' },
-              'palm pay': { code: '000091', name: 'PalmPay' },
-              'palmpay': { code: '000091', name: 'PalmPay' }
-            };
-            
-            const bankNameLower = bankName.toLowerCase().trim();
-            const mappedBank = staticBankMapping[bankNameLower];
-            if (mappedBank) {
-              logger.info('Using static bank mapping fallback', { bankName, mappedBank });
-              resolvedBankCode = mappedBank.code;
-              resolvedBankName = mappedBank.name;
-            }
-          }
-        }
-      }
-
-      // 2) If bankName missing or 'unknown', try inferring from message tokens
-      if (!resolvedBankCode && originalMessage) {
-        try {
-          const lower = originalMessage.toLowerCase();
-          const tokens = lower.split(/[^a-z0-9]+/).filter(t => t && t.length >= 3);
-          for (const token of tokens) {
-            const code = await rubiesService.resolveInstitutionCode(token);
-            if (code) {
-              resolvedBankCode = code;
-              resolvedBankName = token;
-              break;
-            }
-          }
-        } catch (err) {
-          logger.warn('Bank inference from original message failed', { error: err.message });
-          
-          // Fallback: try static bank mapping for tokens
-          const staticBankMapping = {
-            'opay': { code: '100004', name: 'Opay' },
-            'moniepoint': { code: '100004', name: 'Moniepoint' }, 
-            'gtbank': { code: '000058', name: 'GTBank' },
-            'gtb': { code: '000058', name: 'GTBank' },
-            'access': { code: '000014', name: 'Access Bank' },
-            'first bank': { code: '000016', name: 'First Bank' },
-            'firstbank': { code: '000016', name: 'First Bank' },
-            'zenith': { code: '000057', name: 'Zenith Bank' },
-            'uba': { code: '000033', name: 'UBA' },
-            'keystone': { code: '000082', name: 'Keystone Bank' },
-            'stanbic': { code: '000221', name: 'Stanbic IBTC' },
-            'ecobank': { code: '000050', name: 'Ecobank' },
-            'fidelity': { code: '000070', name: 'Fidelity Bank' },
-            'union': { code: '000032', name: 'Union Bank' },
-            'wema': { code: '000035', name: 'Wema Bank' },
-            'sterling': { code: '000232', name: 'Sterling Bank' },
-            'kuda': { code: '000090', name: 'Kuda Bank' },
-            'palm pay': { code: '000091', name: 'PalmPay' },
-            'palmpay': { code: '000091', name: 'PalmPay' }
-          };
-          
-          const lower = originalMessage.toLowerCase();
-          const tokens = lower.split(/[^a-z0-9]+/).filter(t => t && t.length >= 3);
-          for (const token of tokens) {
-            const mappedBank = staticBankMapping[token];
-            if (mappedBank) {
-              logger.info('Using static bank mapping for token', { token, mappedBank });
-              resolvedBankCode = mappedBank.code;
-              resolvedBankName = mappedBank.name;
-              break;
-            }
-          }
-        }
-      }
-      
-      if (!resolvedBankCode) {
-        return {
-          intent: 'bank_transfer',
-          message: `I couldn't identify the bank "${finalBankName}". Please specify a valid bank name like GTBank, Access, UBA, Zenith, Keystone, Opay, etc.`,
-          awaitingInput: 'bank_transfer_details',
-          context: 'bank_transfer'
-        };
-      }
-
-      // Validate account and get recipient name via Rubies name enquiry
-      const bankTransferService = require('./bankTransfer');
-      const validation = await bankTransferService.validateBankAccount(finalAccountNumber, resolvedBankCode);
-      
-      // Update resolved bank name with the actual bank name from validation
-      if (validation.valid && validation.bankName) {
-        resolvedBankName = validation.bankName;
-        logger.info('Bank name updated from account validation', { 
-          originalBankName: bankName, 
-          resolvedBankName: validation.bankName 
-        });
-      }
-      
-      if (!validation.valid) {
-        return {
-          intent: 'bank_transfer',
-          message: `❌ Invalid account details. Please check the account number and bank name.`,
-          awaitingInput: 'bank_transfer_details',
-          context: 'bank_transfer'
-        };
-      }
-
-      // Calculate fees
-      const feeInfo = bankTransferService.calculateTransferFee(transferAmount, bankTransferService.transferTypes.WALLET_TO_BANK);
-      
-      // Store transaction details and request confirmation
-      await user.updateConversationState({
-        intent: 'bank_transfer',
-        awaitingInput: 'confirm_transfer',
-        context: 'bank_transfer_confirmation',
-        step: 1,
-        data: {
-          accountNumber: finalAccountNumber,
-          bankCode: resolvedBankCode,
-          bankName: resolvedBankName,
-          amount: transferAmount,
-          totalFee: feeInfo.totalFee,
-          totalAmount: feeInfo.totalAmount,
-          narration: 'Wallet transfer',
-          reference: this.generateReference(),
-          recipientName: validation.accountName,
-          beneficiaryNickname: beneficiaryNickname || null // Save nickname for auto-save
-        }
-      });
-
-      // Generate AI confirmation message
-      const confirmationMessage = await this.generateTransferConfirmationMessage({
-        amount: transferAmount,
-        fee: feeInfo.totalFee,
-        totalAmount: feeInfo.totalAmount,
-        recipientName: validation.accountName,
-        bankName: resolvedBankName,
-        accountNumber: finalAccountNumber,
-        originalUserMessage: originalMessage
-      });
-
-      return {
-        intent: 'bank_transfer',
-        message: confirmationMessage,
-        messageType: 'buttons',  // Signal to use interactive buttons
-        buttons: this.getTransferConfirmationButtons(originalMessage),
-        awaitingInput: 'confirm_transfer',
-        context: 'bank_transfer_confirmation',
-        transactionDetails: {
-          amount: transferAmount,
-          fee: feeInfo.totalFee,
-          totalAmount: feeInfo.totalAmount,
-          recipientName: validation.accountName,
-          bankName: resolvedBankName,
-          accountNumber: finalAccountNumber
-        }
-      };
-
-    } catch (error) {
-      logger.error('Bank transfer handling failed', { 
-        error: error.message, 
-        stack: error.stack,
-        userId: user.id,
-        extractedData 
-      });
-      
-      // Surface provider or validation error to user for clarity
-      const safeMessage = error.message && typeof error.message === 'string'
-        ? error.message
-        : 'I encountered an unexpected error. Please try again.';
-      
-      return {
-        intent: 'bank_transfer',
-        message: `❌ ${safeMessage}`,
-        awaitingInput: 'bank_transfer_details',
-        context: 'bank_transfer'
-      };
-    }
+    return { intent: 'bank_transfer', message: null, handledByFlow: true };
   }
 
   // Resolve bank code from bank name
@@ -1907,12 +1368,12 @@ Extract intent and data from this message. Consider the user context and any ext
     
     // Use the complete data purchase flow
     const whatsappService = require('./whatsapp');
-    await whatsappService.sendDataPurchaseFlow(user.whatsappNumber, {
+    await messaging.sendFlowMessage(user.whatsappNumber, whatsappService.buildDataPurchaseFlow({
       id: user.id,
       phoneNumber: targetPhone,
       network: detectedNetwork,
       dataPlan: selectedPlan
-    });
+    }));
 
     // Mark conversation as awaiting the flow completion
     await user.updateConversationState({
@@ -2010,7 +1471,6 @@ Extract intent and data from this message. Consider the user context and any ext
       }
 
       const whatsappFlowService = require('./whatsappFlowService');
-      const whatsappService = require('./whatsapp');
       const redisClient = require('../utils/redis');
       const appConfig = require('../config');
 
@@ -2083,7 +1543,7 @@ Extract intent and data from this message. Consider the user context and any ext
       });
 
       try {
-        await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+        await messaging.sendFlowMessage(user.whatsappNumber, flowData);
         
         logger.info('PIN verification flow sent successfully', {
           userId: user.id,
@@ -2142,12 +1602,11 @@ Extract intent and data from this message. Consider the user context and any ext
   async handleStatementRequest(user, extractedData) {
     try {
       const statementService = require('./statementService');
-      const whatsappService = require('./whatsapp');
       const userService = require('./user');
       
       // Check if user has completed onboarding
       if (user.onboardingStep !== 'completed') {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'd love to generate your statement! Let me get your account set up first - it's quick and easy.");
         
         const onboardingService = require('./onboarding');
@@ -2174,8 +1633,7 @@ Extract intent and data from this message. Consider the user context and any ext
         stack: error.stack
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ *Statement Generation Failed*\n\n" +
         "I encountered an error while processing your statement request. Please try again later or contact support.\n\n" +
         "Error: " + (error.message || 'Unknown error'));
@@ -2193,7 +1651,6 @@ Extract intent and data from this message. Consider the user context and any ext
    * Show interactive date range selection using List message (WhatsApp allows max 3 buttons, so use list for 4 options)
    */
   async showStatementDateRangeOptions(user) {
-    const whatsappService = require('./whatsapp');
     const userService = require('./user');
     
     // Update conversation state to await date range selection
@@ -2240,7 +1697,7 @@ Extract intent and data from this message. Consider the user context and any ext
       }
     ];
 
-    await whatsappService.sendListMessage(
+    await messaging.sendListMessage(
       user.whatsappNumber,
       `Choose the date range for your account statement. I will send the PDF here on WhatsApp once it's ready.`,
       'Select Period',
@@ -2254,7 +1711,6 @@ Extract intent and data from this message. Consider the user context and any ext
   async processStatementGeneration(user, dateRangeType) {
     try {
       const statementService = require('./statementService');
-      const whatsappService = require('./whatsapp');
       const userService = require('./user');
       
       // Get date range based on selection
@@ -2271,7 +1727,7 @@ Extract intent and data from this message. Consider the user context and any ext
         'this_year': 'This Year'
       };
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'm generating your account statement PDF now and will send it here on WhatsApp shortly.");
 
       // Generate and send statement to WhatsApp
@@ -2284,10 +1740,10 @@ Extract intent and data from this message. Consider the user context and any ext
       });
       
       if (result.success && result.whatsappSent) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           `Your statement is ready and has been sent here on WhatsApp. It covers ${result.statement.transactionCount} transactions.`);
       } else if (result.success && !result.whatsappSent) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "Your statement was generated, but I couldn't deliver the PDF on WhatsApp right now. Please try again shortly.");
       }
 
@@ -2305,8 +1761,7 @@ Extract intent and data from this message. Consider the user context and any ext
         stack: error.stack
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ *Statement Generation Failed*\n\n" +
         "I encountered an error while generating your statement. Please try again later or contact support.\n\n" +
         `Error: ${error.message || 'Unknown error'}`);
@@ -2330,8 +1785,7 @@ Extract intent and data from this message. Consider the user context and any ext
         userId: user.id
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Unable to retrieve transaction history right now. Please try again later.");
     }
   }
@@ -2339,7 +1793,6 @@ Extract intent and data from this message. Consider the user context and any ext
   async handleWalletDetails(user) {
     try {
       const walletService = require('./wallet');
-      const whatsappService = require('./whatsapp');
       
       const walletDetails = await walletService.getWalletDetails(user.id);
       
@@ -2359,7 +1812,7 @@ Extract intent and data from this message. Consider the user context and any ext
         `• Monthly Used: ₦${walletDetails.limits.monthlyUsed.toLocaleString()}\n\n` +
         `💡 Type "transactions" to see your transaction history`;
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, message);
+      await messaging.sendTextMessage(user.whatsappNumber, message);
       
       logger.info('Wallet details sent', {
         userId: user.id
@@ -2370,8 +1823,7 @@ Extract intent and data from this message. Consider the user context and any ext
         userId: user.id
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Unable to retrieve wallet details right now. Please try again later.");
     }
   }
@@ -2379,7 +1831,6 @@ Extract intent and data from this message. Consider the user context and any ext
   async handleTransferLimits(user) {
     try {
       const walletService = require('./wallet');
-      const whatsappService = require('./whatsapp');
       
       const limits = await walletService.getTransactionLimits(user.id);
       
@@ -2395,7 +1846,7 @@ Extract intent and data from this message. Consider the user context and any ext
         `• Monthly Remaining: ₦${limits.monthlyRemaining.toLocaleString()}\n\n` +
         `💡 These limits help keep your account secure!`;
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, message);
+      await messaging.sendTextMessage(user.whatsappNumber, message);
       
       logger.info('Transfer limits sent', {
         userId: user.id
@@ -2406,8 +1857,7 @@ Extract intent and data from this message. Consider the user context and any ext
         userId: user.id
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Unable to retrieve transfer limits right now. Please try again later.");
     }
   }
@@ -2456,7 +1906,6 @@ Extract intent and data from this message. Consider the user context and any ext
       await user.clearConversationState();
       
       // Process the new service request directly
-      const whatsappService = require('./whatsapp');
       const naturalMessage = await this.makeResponseNatural(
         `Got it! Let me help you with ${switchIntent.intent === 'airtime' ? 'airtime' : switchIntent.intent === 'data' ? 'data' : switchIntent.intent === 'bank_transfer' ? 'that transfer' : switchIntent.intent} instead.`,
         {
@@ -2467,7 +1916,7 @@ Extract intent and data from this message. Consider the user context and any ext
           strictMirrorLanguage: true
         }
       );
-      await whatsappService.sendTextMessage(user.whatsappNumber, naturalMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, naturalMessage);
       
       // Handle the new intent immediately and process the response
       const intentResult = await this.processIntent(switchIntent, user, message);
@@ -2481,7 +1930,7 @@ Extract intent and data from this message. Consider the user context and any ext
           originalMessage: langSource,
           strictMirrorLanguage: true
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, finalMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, finalMessage);
       }
       
       return intentResult;
@@ -2490,7 +1939,6 @@ Extract intent and data from this message. Consider the user context and any ext
     switch (awaitingInput) {
       case 'list_reply': {
         try {
-          const whatsappService = require('./whatsapp');
           const { DATA_PLANS } = require('../routes/flowEndpoint');
           const redisClient = require('../utils/redis');
 
@@ -2528,7 +1976,7 @@ Extract intent and data from this message. Consider the user context and any ext
             const allPlans = await dataService.getDataPlans(network);
 
             if (!allPlans.length) {
-              await whatsappService.sendTextMessage(user.whatsappNumber, 'No plans available for the selected network. Please try another network.');
+              await messaging.sendTextMessage(user.whatsappNumber, 'No plans available for the selected network. Please try another network.');
               return;
             }
 
@@ -2550,7 +1998,7 @@ Extract intent and data from this message. Consider the user context and any ext
             plansText += `Just reply with the plan number (e.g., "1" for the first plan)\n\n`;
             plansText += `Or type the plan name (e.g., "500MB" or "1GB")`;
 
-            await whatsappService.sendTextMessage(user.whatsappNumber, plansText);
+            await messaging.sendTextMessage(user.whatsappNumber, plansText);
             return;
           }
 
@@ -2579,7 +2027,7 @@ Extract intent and data from this message. Consider the user context and any ext
               }
             }
 
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               'Please enter the recipient phone number (11 digits). Reply "self" to use your WhatsApp number.'
             );
@@ -2587,17 +2035,15 @@ Extract intent and data from this message. Consider the user context and any ext
           }
 
           // If unrelated list reply, ignore
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please use the options provided to continue.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please use the options provided to continue.');
           return;
         } catch (error) {
-          const whatsappService = require('./whatsapp');
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Something went wrong handling your selection. Please try again.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Something went wrong handling your selection. Please try again.');
           return;
         }
       }
 
       case 'data_network': {
-        const whatsappService = require('./whatsapp');
         const redisClient = require('../utils/redis');
         const raw = (message || '').trim();
         // Global CANCEL handling in data flow
@@ -2608,14 +2054,14 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
+          await messaging.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
           return;
         }
         const input = raw.toUpperCase();
         const map = { 'MTN': 'MTN', 'AIRTEL': 'AIRTEL', 'GLO': 'GLO', '9MOBILE': '9MOBILE', '9M': '9MOBILE', '9-MOBILE': '9MOBILE' };
         const network = map[input] || null;
         if (!network) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please reply with one of: MTN, AIRTEL, GLO, 9MOBILE');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply with one of: MTN, AIRTEL, GLO, 9MOBILE');
           return;
         }
 
@@ -2647,12 +2093,11 @@ Extract intent and data from this message. Consider the user context and any ext
         const sections = [
           { title: `${network} Plans`, rows: plans.slice(0, 20).map(p => ({ id: `plan_${network}_${p.id}`, title: `${p.title} - ₦${p.price}`, description: p.validity || '' })) }
         ];
-        await whatsappService.sendListMessage(user.whatsappNumber, `Select a data plan for ${network}:`, 'Select Plan', sections);
+        await messaging.sendListMessage(user.whatsappNumber, `Select a data plan for ${network}:`, 'Select Plan', sections);
         return;
       }
 
       case 'data_plan': {
-        const whatsappService = require('./whatsapp');
         const { DATA_PLANS } = require('../routes/flowEndpoint');
         const redisClient = require('../utils/redis');
         const state = conversationState?.data || {};
@@ -2664,13 +2109,13 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
+          await messaging.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
           return;
         }
         const network = (state.network || '').toUpperCase();
         if (!network) {
           await user.updateConversationState({ intent: 'data', awaitingInput: 'data_network', context: 'data_purchase', step: 1, data: {} });
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please choose a network: MTN, AIRTEL, GLO, 9MOBILE');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please choose a network: MTN, AIRTEL, GLO, 9MOBILE');
           return;
         }
 
@@ -2714,7 +2159,7 @@ Extract intent and data from this message. Consider the user context and any ext
           plansText += `• Reply with the plan number (e.g., "1")\n`;
           plansText += `• Or type the plan name (e.g., "500MB" or "1GB")`;
 
-          await whatsappService.sendTextMessage(user.whatsappNumber, plansText);
+          await messaging.sendTextMessage(user.whatsappNumber, plansText);
           return;
         }
 
@@ -2730,12 +2175,11 @@ Extract intent and data from this message. Consider the user context and any ext
             await sessionManager.setSession('data_purchase', sessionId, session, 900, 'flow');
           }
         }
-        await whatsappService.sendTextMessage(user.whatsappNumber, 'Enter the recipient phone number (11 digits). Reply "self" to use your WhatsApp number.');
+        await messaging.sendTextMessage(user.whatsappNumber, 'Enter the recipient phone number (11 digits). Reply "self" to use your WhatsApp number.');
         return;
       }
 
       case 'data_phone': {
-        const whatsappService = require('./whatsapp');
         const { DATA_PLANS } = require('../routes/flowEndpoint');
         const redisClient = require('../utils/redis');
         const state = conversationState?.data || {};
@@ -2747,14 +2191,14 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
+          await messaging.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
           return;
         }
         const network = (state.network || '').toUpperCase();
         const planId = state.planId;
         if (!network || !planId) {
           await user.updateConversationState({ intent: 'data', awaitingInput: 'data_network', context: 'data_purchase', step: 1, data: {} });
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Let’s start over. Which network? MTN, AIRTEL, GLO, 9MOBILE');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Let’s start over. Which network? MTN, AIRTEL, GLO, 9MOBILE');
           return;
         }
 
@@ -2767,7 +2211,7 @@ Extract intent and data from this message. Consider the user context and any ext
         if (phone.startsWith('234') && phone.length === 13) phone = `0${phone.slice(3)}`;
         if (phone.length === 10) phone = `0${phone}`;
         if (!/^0[789][01]\d{8}$/.test(phone)) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please enter a valid 11-digit Nigerian phone number (e.g., 08012345678).');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please enter a valid 11-digit Nigerian phone number (e.g., 08012345678).');
           return;
         }
 
@@ -2789,7 +2233,7 @@ Extract intent and data from this message. Consider the user context and any ext
           }
         }
 
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `Confirm purchase:\n\nNetwork: ${network}\nPlan: ${title}\nAmount: ₦${price}\nPhone: ${phone}\n\nReply YES to confirm or NO to cancel.`
         );
@@ -2797,7 +2241,6 @@ Extract intent and data from this message. Consider the user context and any ext
       }
 
       case 'data_confirm': {
-        const whatsappService = require('./whatsapp');
         const whatsappFlowService = require('./whatsappFlowService');
         const redisClient = require('../utils/redis');
         const appConfig = require('../config');
@@ -2809,12 +2252,12 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
+          await messaging.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled.');
           return;
         }
         const decision = decisionRaw.toLowerCase();
         if (!['yes', 'y', 'no', 'n'].includes(decision)) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please reply YES to proceed or NO to cancel.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply YES to proceed or NO to cancel.');
           return;
         }
         if (decision.startsWith('n')) {
@@ -2824,7 +2267,7 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Cancelled ✅');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Cancelled ✅');
           return;
         }
         
@@ -2858,9 +2301,9 @@ Extract intent and data from this message. Consider the user context and any ext
           
           if (result.success) {
             const successMessage = `✅ *Data Purchase Successful!*\n\n📱 Network: ${network}\n📞 Phone: ${phone}\n📦 Plan: ${planId}\n💰 Amount: ₦${dataPurchaseData.dataPlan.price.toLocaleString()}\n📋 Reference: ${result.data?.['request-id']}\n📅 Date: ${new Date().toLocaleString('en-GB')}\n\n🔓 Transaction completed (PIN disabled)`;
-            await whatsappService.sendTextMessage(user.whatsappNumber, successMessage);
+            await messaging.sendTextMessage(user.whatsappNumber, successMessage);
           } else {
-            await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${result.message || 'Please try again later.'}`);
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${result.message || 'Please try again later.'}`);
           }
           
           // Clean up
@@ -2906,7 +2349,7 @@ Extract intent and data from this message. Consider the user context and any ext
             }
           };
 
-          await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+          await messaging.sendFlowMessage(user.whatsappNumber, flowData);
 
           // Mark conversation as awaiting the flow completion
           await user.updateConversationState({
@@ -2921,20 +2364,19 @@ Extract intent and data from this message. Consider the user context and any ext
         } catch (err) {
           // Fallback to asking PIN in chat if Flow fails
           await user.updateConversationState({ intent: 'data', awaitingInput: 'data_pin', context: 'data_purchase', step: 5, data: conversationState.data });
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Enter your 4-digit PIN to authorize this purchase.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Enter your 4-digit PIN to authorize this purchase.');
           return;
         }
       }
 
       case 'transfer_amount': {
         // Handle transfer amount when bank details were extracted from image
-        const whatsappService = require('./whatsapp');
         const bankTransferService = require('./bankTransfer');
         
         // Parse amount from message
         const amount = this.parseAmount(message);
         if (!amount || amount < 100) {
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             'Please enter a valid amount (minimum ₦100).\n\nExample: "5000" or "₦10,000"'
           );
@@ -2944,7 +2386,7 @@ Extract intent and data from this message. Consider the user context and any ext
         // Get extracted bank details
         const extractedBankDetails = conversationState.extractedBankDetails;
         if (!extractedBankDetails) {
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             '❌ Bank details not found. Please try sending the image again or type the details manually.'
           );
@@ -2958,7 +2400,7 @@ Extract intent and data from this message. Consider the user context and any ext
           
           const resolvedBankCode = this.resolveBankCode(bankName);
           if (!resolvedBankCode) {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               `❌ Couldn't identify bank "${bankName}". Please try typing the bank details manually.`
             );
@@ -2969,7 +2411,7 @@ Extract intent and data from this message. Consider the user context and any ext
           const validation = await bankTransferService.validateBankAccount(accountNumber, resolvedBankCode);
           
           if (!validation.valid) {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               `❌ Invalid account details. Please check the account number and bank name.`
             );
@@ -3009,7 +2451,7 @@ Extract intent and data from this message. Consider the user context and any ext
             originalUserMessage: message
           });
 
-          await whatsappService.sendTextMessage(user.whatsappNumber, confirmationMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, confirmationMessage);
           return;
         } catch (error) {
           logger.error('Transfer amount processing failed', { 
@@ -3018,7 +2460,7 @@ Extract intent and data from this message. Consider the user context and any ext
             extractedBankDetails 
           });
           
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `❌ Failed to process transfer. Please try typing the bank details manually.\n\nExample: "Send ₦5000 to GTBank 0123456789"`
           );
@@ -3028,11 +2470,10 @@ Extract intent and data from this message. Consider the user context and any ext
 
       case 'data_pin_verification': {
         // Handle PIN verification for data purchase after confirmation
-        const whatsappService = require('./whatsapp');
         const bilalService = require('./bilal');
         
         if (!/^\d{4}$/.test(message)) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Please enter your 4-digit PIN (numbers only).');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please enter your 4-digit PIN (numbers only).');
           return;
         }
 
@@ -3044,11 +2485,11 @@ Extract intent and data from this message. Consider the user context and any ext
           if (user.pinAttempts >= 3) {
             await user.update({ isBlocked: true, pinAttempts: 0 });
             await user.clearConversationState();
-            await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Account temporarily blocked due to multiple incorrect PIN attempts. Please contact support.');
+            await messaging.sendTextMessage(user.whatsappNumber, '❌ Account temporarily blocked due to multiple incorrect PIN attempts. Please contact support.');
             return;
           }
 
-          await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Incorrect PIN. You have ${3 - user.pinAttempts} attempts remaining.`);
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ Incorrect PIN. You have ${3 - user.pinAttempts} attempts remaining.`);
           return;
         }
 
@@ -3067,33 +2508,32 @@ Extract intent and data from this message. Consider the user context and any ext
 
           if (result.success) {
             await user.clearConversationState();
-            await whatsappService.sendTextMessage(user.whatsappNumber, `✅ Data purchase successful! ${dataPlan.dataplan} for ${phoneNumber} on ${network} network.`);
+            await messaging.sendTextMessage(user.whatsappNumber, `✅ Data purchase successful! ${dataPlan.dataplan} for ${phoneNumber} on ${network} network.`);
           } else {
-            await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${result.message || 'Please try again.'}`);
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${result.message || 'Please try again.'}`);
           }
         } catch (error) {
           logger.error('Data purchase failed', { error: error.message, userId: user.id });
-          await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Data purchase failed. Please try again.');
+          await messaging.sendTextMessage(user.whatsappNumber, '❌ Data purchase failed. Please try again.');
         }
         
         return;
       }
 
       case 'data_pin': {
-        const whatsappService = require('./whatsapp');
         const { DATA_PLANS } = require('../routes/flowEndpoint');
         const bilalService = require('./bilal');
         const redisClient = require('../utils/redis');
         const pin = (message || '').trim();
         if (!/^\d{4}$/.test(pin)) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'PIN must be exactly 4 digits.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'PIN must be exactly 4 digits.');
           return;
         }
 
         // Validate PIN against user
         const isValid = await user.validatePin(pin);
         if (!isValid) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Incorrect PIN. Please try again.');
+          await messaging.sendTextMessage(user.whatsappNumber, '❌ Incorrect PIN. Please try again.');
           return;
         }
 
@@ -3102,7 +2542,7 @@ Extract intent and data from this message. Consider the user context and any ext
         const allPlans = await dataService.getDataPlans((network || '').toUpperCase());
         const plan = allPlans.find(p => p.id === planId);
         if (!plan) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 'Unable to find the selected plan. Please start again.');
+          await messaging.sendTextMessage(user.whatsappNumber, 'Unable to find the selected plan. Please start again.');
           await user.clearConversationState();
           return;
         }
@@ -3120,65 +2560,321 @@ Extract intent and data from this message. Consider the user context and any ext
             await redisClient.deleteSession(sessionId);
           }
         } catch (err) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${err.message}`);
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ Data purchase failed: ${err.message}`);
         }
         return;
       }
-      case 'pin':
-        return await this.handlePinVerification(user, message, transactionData);
-        
-      case 'transfer_details':
-        return await this.handleTransferDetailsCollection(user, message);
-        
-      case 'bank_transfer_details':
-        return await this.handleBankTransferDetailsCollection(user, message);
-        
-      default:
-        // Clear conversation state and process as new message
-        await user.clearConversationState();
-        return await this.processUserMessage(user.whatsappNumber, message);
-    }
-  }
+      case 'schedule_pin': {
+        const scheduledPaymentService = require('./scheduledPayment');
+        const reply = (message || '').trim();
 
-  async handlePinVerification(user, message, transactionData) {
-    const pin = message.trim().replace(/\s+/g, '');
-    
-    if (!/^\d{4}$/.test(pin)) {
-      return {
-        intent: 'PIN_VERIFICATION',
-        message: "Please enter your 4-digit PIN (numbers only).",
-        awaitingInput: 'pin',
-        context: 'pin_verification'
-      };
-    }
+        if (/^(cancel|stop|no)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, "👍 Okay, I didn't schedule that payment.");
+          return;
+        }
+        if (!/^\d{4}$/.test(reply)) {
+          await messaging.sendTextMessage(user.whatsappNumber, "Please reply with your 4-digit PIN to authorise the schedule, or *cancel* to stop.");
+          return;
+        }
 
-    // Verify PIN
-    const isValidPin = await user.validatePin(pin);
-    if (!isValidPin) {
-      await user.update({ pinAttempts: user.pinAttempts + 1 });
-      
-      if (user.pinAttempts >= 3) {
-        await user.update({ 
-          pinLockedUntil: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
-        });
-        
-        return {
-          intent: 'PIN_LOCKED',
-          message: "❌ Too many incorrect PIN attempts. Your account is temporarily locked for 30 minutes for security."
-        };
+        try {
+          const schedule = await scheduledPaymentService.createSchedule(user.id, conversationState.data.draft, reply, { source: 'whatsapp' });
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber,
+            `✅ *Payment Scheduled*\n\n💸 ${scheduledPaymentService.describePayee(schedule)}\n⏰ ${scheduledPaymentService.describeTiming(schedule)}\n📅 First payment: ${scheduledPaymentService.formatRunDate(schedule.nextRunAt)}\n\nSay "show my schedules" to view or cancel it.`);
+        } catch (error) {
+          // A wrong PIN keeps the draft so the user can try again
+          if (/PIN/.test(error.message) && !/locked/i.test(error.message)) {
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+            return;
+          }
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ I couldn't schedule that payment: ${error.message}`);
+        }
+        return;
       }
 
-      return {
-        intent: 'PIN_VERIFICATION',
-        message: `❌ Incorrect PIN. You have ${3 - user.pinAttempts} attempts remaining.`,
-        awaitingInput: 'pin',
-        context: 'pin_verification'
-      };
-    }
+      case 'schedule_cancel_choice': {
+        const scheduledPaymentService = require('./scheduledPayment');
+        const reply = (message || '').trim();
+        const scheduleIds = conversationState.data?.scheduleIds || [];
 
-    // PIN is correct, reset attempts and execute transaction
-    await user.update({ pinAttempts: 0 });
-    await user.clearConversationState();
+        if (/^(no|cancel|none|keep)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, '👍 Okay, your scheduled payments are unchanged.');
+          return;
+        }
+
+        const choice = parseInt(reply, 10);
+        if (!choice || choice < 1 || choice > scheduleIds.length) {
+          await messaging.sendTextMessage(user.whatsappNumber, `Please reply with a number from 1 to ${scheduleIds.length}, or *no* to keep them all.`);
+          return;
+        }
+
+        try {
+          const schedule = await scheduledPaymentService.cancelSchedule(user.id, scheduleIds[choice - 1]);
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber,
+            `🛑 Cancelled: ${scheduledPaymentService.describePayee(schedule)}, ${scheduledPaymentService.describeTiming(schedule)}.`);
+        } catch (error) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ I couldn't cancel that schedule: ${error.message}`);
+        }
+        return;
+      }
+
+      case 'savings_pin': {
+        const savingsService = require('./savings');
+        const idempotencyService = require('./idempotency');
+        const reply = (message || '').trim();
+        const { action, amount, accountId, reference } = conversationState.data || {};
+
+        if (/^(cancel|stop|no)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, '👍 Okay, your savings are unchanged.');
+          return;
+        }
+        if (!/^\d{4}$/.test(reply)) {
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply with your 4-digit PIN to confirm, or *cancel* to stop.');
+          return;
+        }
+
+        try {
+          // Keyed on the reference minted with the confirmation, so a
+          // duplicated PIN message cannot move the money twice
+          const result = await idempotencyService.execute({
+            userId: user.id,
+            scope: 'whatsapp.savings',
+            key: idempotencyService.conversationKey('whatsapp', reference),
+            payload: { action, amount, accountId }
+          }, async () => {
+            if (action === 'withdraw') {
+              const { withdrawal } = await savingsService.withdrawFromSavings(user.id, accountId, amount, reply);
+              return { action, amount, newBalance: withdrawal.newBalance, accountName: withdrawal.accountName, charges: withdrawal.withdrawalFee + withdrawal.penalty };
+            }
+            if (accountId) {
+              const { account } = await savingsService.depositToSavings(user.id, accountId, amount, reply);
+              return { action, amount, newBalance: account.newBalance, accountName: account.accountName };
+            }
+            const { account } = await savingsService.createSavingsAccount(user.id, {
+              accountType: 'flexible',
+              accountName: 'Flexible Savings',
+              initialDeposit: amount
+            }, reply);
+            return { action, amount, newBalance: account.balance, accountName: account.accountName, created: true };
+          });
+
+          await user.clearConversationState();
+          const text = result.action === 'withdraw'
+            ? `✅ *Savings Withdrawal*\n\n₦${result.amount.toLocaleString()} has been moved to your wallet${result.charges ? ` (charges ₦${result.charges.toLocaleString()})` : ''}.\n🐷 ${result.accountName} balance: ₦${result.newBalance.toLocaleString()}`
+            : `✅ *Saved!*\n\n₦${result.amount.toLocaleString()} ${result.created ? 'started your' : 'added to your'} ${result.accountName}.\n🐷 Savings balance: ₦${result.newBalance.toLocaleString()}\n\nSay "how much have I saved" anytime.`;
+          await messaging.sendTextMessage(user.whatsappNumber, text);
+        } catch (error) {
+          // A wrong PIN keeps the request so the user can try again
+          if (/PIN/.test(error.message) && !/locked/i.test(error.message)) {
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+            return;
+          }
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ ${action === 'withdraw' ? 'Withdrawal' : 'Savings deposit'} failed: ${error.message}`);
+        }
+        return;
+      }
+
+      case 'group_amount': {
+        const groupCollectionService = require('./groupCollection');
+        const reply = (message || '').trim();
+
+        if (/^(cancel|stop|no)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, '👍 Okay, nothing was paid.');
+          return;
+        }
+        const amount = this.parseChatAmount(reply);
+        if (!amount) {
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply with the amount you want to contribute, e.g. 5000, or *cancel* to stop.');
+          return;
+        }
+        if (amount < groupCollectionService.limits.minContribution) {
+          await messaging.sendTextMessage(user.whatsappNumber, `The minimum contribution is ₦${groupCollectionService.limits.minContribution.toLocaleString()}. Please reply with a higher amount.`);
+          return;
+        }
+
+        await user.updateConversationState({
+          ...conversationState,
+          awaitingInput: 'group_pin',
+          data: { ...conversationState.data, amount }
+        });
+        await messaging.sendTextMessage(user.whatsappNumber,
+          `💰 Contribute ₦${amount.toLocaleString()}\n\nReply with your 4-digit PIN to pay from your wallet, or *cancel* to stop.`);
+        return;
+      }
+
+      case 'group_pin': {
+        const groupCollectionService = require('./groupCollection');
+        const idempotencyService = require('./idempotency');
+        const reply = (message || '').trim();
+        const { action, memberId, amount, draft, reference } = conversationState.data || {};
+
+        if (/^(cancel|stop|no)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, action === 'create_ajo' ? '👍 Okay, the ajo was not created.' : '👍 Okay, nothing was paid.');
+          return;
+        }
+        if (!/^\d{4}$/.test(reply)) {
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply with your 4-digit PIN to confirm, or *cancel* to stop.');
+          return;
+        }
+
+        try {
+          const result = await idempotencyService.execute({
+            userId: user.id,
+            scope: 'whatsapp.group_collection',
+            key: idempotencyService.conversationKey('whatsapp', reference),
+            payload: { action, memberId, amount }
+          }, async () => {
+            if (action === 'create_ajo') {
+              const { group, members } = await groupCollectionService.createAjo(user.id, draft, reply, { source: 'whatsapp' });
+              const others = members.filter(member => member.userId !== user.id);
+              return { action, title: group.title, invited: others.length, notOnMiiMii: others.filter(member => !member.userId).length };
+            }
+            if (action === 'join') {
+              const joined = await groupCollectionService.joinAjo(user.id, memberId, reply);
+              return { action, title: joined.group.title, started: joined.started, payoutPosition: joined.member.payoutPosition };
+            }
+            const paid = await groupCollectionService.payContribution(user.id, memberId, reply, { amount });
+            return {
+              action,
+              type: paid.group.type,
+              title: paid.group.title,
+              amount: paid.amount,
+              rounds: paid.settled ? paid.settled.length : null,
+              progress: paid.progress,
+              completed: paid.group.status === 'completed'
+            };
+          });
+
+          await user.clearConversationState();
+          let text;
+          if (result.action === 'create_ajo') {
+            text = `✅ *Ajo created: ${result.title}*\n\nI've invited ${result.invited} member${result.invited === 1 ? '' : 's'}${result.notOnMiiMii ? ` (${result.notOnMiiMii} still need to open a MiiMii wallet)` : ''}. The ajo starts as soon as everyone has joined, and I'll let you know.\n\nSay "my groups" to see who has joined.`;
+          } else if (result.action === 'join') {
+            // When this join starts the ajo, every member has just been told the schedule
+            text = `✅ You've joined *${result.title}*.\n🎯 Your payout: round ${result.payoutPosition}${result.started ? '' : '\n\nThe ajo starts once everyone has joined. Your contribution is collected from your wallet each round.'}`;
+          } else if (result.type === 'ajo') {
+            text = `✅ *Ajo settled*\n\nYou paid ₦${result.amount.toLocaleString()} for ${result.rounds} missed round${result.rounds === 1 ? '' : 's'} of *${result.title}*.`;
+          } else {
+            text = `✅ *Paid!*\n\n₦${result.amount.toLocaleString()} sent for *${result.title}*.\n📊 ₦${result.progress.collectedAmount.toLocaleString()} of ₦${result.progress.targetAmount.toLocaleString()} collected (${result.progress.percentage}%)${result.completed ? '\n🎉 The target has been reached!' : ''}`;
+          }
+          await messaging.sendTextMessage(user.whatsappNumber, text);
+        } catch (error) {
+          // A wrong PIN keeps the request so the user can try again
+          if (/PIN/.test(error.message) && !/locked/i.test(error.message)) {
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+            return;
+          }
+          await user.clearConversationState();
+          const label = { create_ajo: 'Creating the ajo', join: 'Joining the ajo' }[action] || 'Payment';
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ ${label} failed: ${error.message}`);
+        }
+        return;
+      }
+
+      case 'payment_request_pin': {
+        const paymentRequestService = require('./paymentRequest');
+        const idempotencyService = require('./idempotency');
+        const reply = (message || '').trim();
+        const { requestId, reference } = conversationState.data || {};
+
+        if (/^(cancel|stop|no)$/i.test(reply)) {
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, '👍 Okay, nothing was paid. The request is still open.');
+          return;
+        }
+        if (!/^\d{4}$/.test(reply)) {
+          await messaging.sendTextMessage(user.whatsappNumber, 'Please reply with your 4-digit PIN to confirm, or *cancel* to stop.');
+          return;
+        }
+
+        try {
+          const result = await idempotencyService.execute({
+            userId: user.id,
+            scope: 'whatsapp.payment_request',
+            key: idempotencyService.conversationKey('whatsapp', reference),
+            payload: { requestId }
+          }, async () => {
+            const paid = await paymentRequestService.payRequest(user.id, requestId, reply);
+            return { amount: paid.amount, reference: paid.reference, note: paid.request.note };
+          });
+
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber,
+            `✅ *Paid!*\n\n₦${result.amount.toLocaleString()} sent${result.note ? ` for *${result.note}*` : ''}.\n📄 Reference: ${result.reference}`);
+        } catch (error) {
+          // A wrong PIN keeps the request so the user can try again
+          if (/PIN/.test(error.message) && !/locked/i.test(error.message)) {
+            await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+            return;
+          }
+          await user.clearConversationState();
+          await messaging.sendTextMessage(user.whatsappNumber, `❌ Payment failed: ${error.message}`);
+        }
+        return;
+      }
+
+      case 'pin':
+        return await this.handlePinVerification(user, message, transactionData);
+        
+      case 'transfer_details':
+        return await this.handleTransferDetailsCollection(user, message);
+        
+      default:
+        // Clear conversation state and process as new message
+        await user.clearConversationState();
+        return await this.processUserMessage(user.whatsappNumber, message);
+    }
+  }
+
+  async handlePinVerification(user, message, transactionData) {
+    const pin = message.trim().replace(/\s+/g, '');
+    
+    if (!/^\d{4}$/.test(pin)) {
+      return {
+        intent: 'PIN_VERIFICATION',
+        message: "Please enter your 4-digit PIN (numbers only).",
+        awaitingInput: 'pin',
+        context: 'pin_verification'
+      };
+    }
+
+    // Verify PIN
+    const isValidPin = await user.validatePin(pin);
+    if (!isValidPin) {
+      await user.update({ pinAttempts: user.pinAttempts + 1 });
+      
+      if (user.pinAttempts >= 3) {
+        await user.update({ 
+          pinLockedUntil: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+        });
+        
+        return {
+          intent: 'PIN_LOCKED',
+          message: "❌ Too many incorrect PIN attempts. Your account is temporarily locked for 30 minutes for security."
+        };
+      }
+
+      return {
+        intent: 'PIN_VERIFICATION',
+        message: `❌ Incorrect PIN. You have ${3 - user.pinAttempts} attempts remaining.`,
+        awaitingInput: 'pin',
+        context: 'pin_verification'
+      };
+    }
+
+    // PIN is correct, reset attempts and execute transaction
+    await user.update({ pinAttempts: 0 });
+    await user.clearConversationState();
 
     // Execute the transaction based on intent
     return await this.executeTransaction(user, transactionData);
@@ -3384,7 +3080,9 @@ Extract intent and data from this message. Consider the user context and any ext
   isTransactionIntent(intent) {
     const transactionIntents = [
       'transfer', 'bank_transfer', 'airtime', 
-      'data', 'bills'
+      'data', 'bills', 'schedule',
+      'savings_deposit', 'savings_withdraw',
+      'group_create', 'group_pay'
     ];
     return transactionIntents.includes(intent);
   }
@@ -3417,9 +3115,11 @@ Extract intent and data from this message. Consider the user context and any ext
       };
     }
 
-    // Handle greetings and welcome messages
-    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'start', 'begin'];
-    if (greetings.some(greeting => lowerMessage.includes(greeting)) || lowerMessage.length < 10) {
+    // Everything else: the offline classifier, keeping the canned greeting reply
+    const { scores, ...analysis } = aiProvider.classifyIntent(message);
+    const confident = analysis.confidence >= aiProvider.minLocalConfidence;
+
+    if ((confident && analysis.intent === 'greeting') || (!confident && lowerMessage.length < 10)) {
       return { 
         success: true, 
         intent: 'greeting', 
@@ -3428,6 +3128,16 @@ Extract intent and data from this message. Consider the user context and any ext
         message: `Hey ${user.fullName || 'there'}! 👋\n\nWhat's up? I can help you with:\n\n💰 Check balance\n💸 Send money\n📱 Buy airtime/data\n💳 Pay bills\n🔐 PIN settings\n\nWhat do you need?`
       };
     }
+
+    if (confident && analysis.intent !== 'unknown') {
+      return {
+        success: true,
+        intent: analysis.intent,
+        extractedData: analysis.extractedData,
+        confidence: analysis.confidence,
+        source: analysis.source
+      };
+    }
     
     // Default fallback
       return { 
@@ -3482,10 +3192,8 @@ Format the response as a WhatsApp message with proper formatting.`;
         apiKeyStartsWith: this.openaiApiKey ? this.openaiApiKey.substring(0, 3) : 'N/A'
       });
 
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
+      const response = await aiProvider.chatCompletion(
         {
-          model: this.model,
           messages: [
             {
               role: 'system',
@@ -3498,12 +3206,6 @@ Format the response as a WhatsApp message with proper formatting.`;
           ],
           max_tokens: 150,
           temperature: 0.7
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
-          }
         }
       );
 
@@ -3583,10 +3285,8 @@ Requirements:
 
 Format as a WhatsApp message.`;
 
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
+      const response = await aiProvider.chatCompletion(
         {
-          model: this.model,
           messages: [
             {
               role: 'system',
@@ -3599,12 +3299,6 @@ Format as a WhatsApp message.`;
           ],
           max_tokens: 150,
           temperature: 0.5
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
-          }
         }
       );
 
@@ -3671,6 +3365,34 @@ Welcome to the future of banking! 🚀`;
         extractedData: extractedData
       });
 
+      // Group collections first: "ajo of 10k every Friday with ..." is not a scheduled payment
+      const groupIntent = this.detectGroupIntent(message);
+      if (groupIntent) {
+        return await this.withMirroredIntentResponse(message, groupIntent);
+      }
+
+      const paymentRequestIntent = this.detectPaymentRequestIntent(message);
+      if (paymentRequestIntent) {
+        return await this.withMirroredIntentResponse(message, paymentRequestIntent);
+      }
+
+      // Scheduling ("every Friday", "on the 1st") must win over the one-off transfer override
+      const scheduleIntent = this.detectScheduleIntent(message);
+      if (scheduleIntent) {
+        return await this.withMirroredIntentResponse(message, scheduleIntent);
+      }
+
+      const savingsIntent = this.detectSavingsIntent(message);
+      if (savingsIntent) {
+        return await this.withMirroredIntentResponse(message, savingsIntent);
+      }
+
+      if (/\b(my referrals?|referral (code|link|bonus|bonuses|status)|refer (a |my )?friends?|invite (a |my )?friends?)\b/i.test(message)) {
+        return await this.withMirroredIntentResponse(message, {
+          intent: 'referrals', confidence: 0.95, extractedData: {}, response: '', suggestedAction: 'Show referrals'
+        });
+      }
+
       // HARD OVERRIDE: Force ALL transfers to be bank_transfer (NO P2P)
       const lowerMessage = message.toLowerCase();
       if (lowerMessage.includes('send') || lowerMessage.includes('transfer') || lowerMessage.includes('give')) {
@@ -3967,11 +3689,18 @@ Welcome to the future of banking! 🚀`;
         }
       }
       
-      if (!this.isConfigured) {
-        // Fallback to basic keyword matching
-        return await this.basicIntentAnalysis(message);
+      // The offline classifier answers first; the model is only asked when it is unsure
+      const localAnalysis = await this.basicIntentAnalysis(message);
+      if (!aiProvider.hasLLM() || localAnalysis.confidence >= aiProvider.escalateBelowConfidence) {
+        return localAnalysis;
       }
 
+      logger.info('Escalating intent analysis to AI model', {
+        provider: aiProvider.providerName,
+        localIntent: localAnalysis.intent,
+        localConfidence: localAnalysis.confidence
+      });
+
       const normHint =
         extractedData &&
         extractedData.normalizedMessage &&
@@ -4008,7 +3737,19 @@ IMPORTANT: Use these exact intent names:
 14. "disable_pin" - User wants to disable PIN for transactions
 15. "enable_pin" - User wants to enable PIN for transactions
 16. "greeting" - General greeting or hello
-17. "unknown" - Cannot determine intent
+17. "schedule" - User wants a payment to happen later or repeat (e.g., "every Friday", "on the 1st", "tomorrow")
+18. "list_schedules" - User wants to see their scheduled or recurring payments
+19. "cancel_schedule" - User wants to stop a scheduled or recurring payment
+20. "savings_deposit" - User wants to move money from their wallet into savings (e.g., "save 10k")
+21. "savings_withdraw" - User wants to take money out of their savings
+22. "savings_summary" - User wants to know how much they have saved
+23. "referrals" - User wants their referral code or link, or to see the friends they referred and bonuses earned
+24. "group_create" - User wants to split a bill, collect money from several phone numbers, or start an ajo/esusu
+25. "group_pay" - User wants to pay their share of a group collection or join an ajo
+26. "group_status" - User wants to see their group collections, pots or ajo progress
+27. "request_money" - User wants to ask someone for money or create a pay link
+28. "payment_requests" - User wants to see payment requests they sent or need to pay
+29. "unknown" - Cannot determine intent
 
 NATURAL LANGUAGE UNDERSTANDING:
 - "what's my current balance" → balance
@@ -4040,6 +3781,23 @@ NATURAL LANGUAGE UNDERSTANDING:
 - "turn on pin" → enable_pin
 - "pin on" → enable_pin
 - "require pin" → enable_pin
+- "send 5k to mum every Friday" → schedule
+- "pay my DSTV on the 1st" → schedule
+- "show my scheduled payments" → list_schedules
+- "stop the Friday transfer to mum" → cancel_schedule
+- "save 10k" → savings_deposit
+- "put 5000 in my savings" → savings_deposit
+- "withdraw 5k from my savings" → savings_withdraw
+- "how much have I saved" → savings_summary
+- "my referrals" → referrals
+- "what's my referral code" → referrals
+- "split 30k for dinner with 08031234567 and 08021234567" → group_create
+- "start an ajo of 10k every Friday with 08031234567" → group_create
+- "pay my share" → group_pay
+- "how is my ajo going" → group_status
+- "request 5k from 08031234567 for rent" → request_money
+- "create a pay link for 10k" → request_money
+- "my payment requests" → payment_requests
 
 For bank transfers, look for:
 - Amount (e.g., "5k", "5000", "10k", "2k", "4k")
@@ -4178,8 +3936,7 @@ Response format:
         apiKeyStartsWith: this.openaiApiKey ? this.openaiApiKey.substring(0, 3) : 'N/A'
       });
 
-      const response = await axios.post(`${this.openaiBaseUrl}/chat/completions`, {
-        model: this.model,
+      const response = await aiProvider.chatCompletion({
         messages: [
           {
             role: 'system',
@@ -4192,13 +3949,6 @@ Response format:
         ],
         max_tokens: 200,
         temperature: 0.3
-      }, {
-        ...axiosConfig,
-        headers: {
-          ...axiosConfig.headers,
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        }
       });
 
       const analysisText = response.data.choices[0]?.message?.content?.trim();
@@ -4231,11 +3981,11 @@ Response format:
             error: parseError.message,
             analysisText
           });
-          return await this.basicIntentAnalysis(message);
+          return localAnalysis;
         }
       }
 
-      return await this.basicIntentAnalysis(message);
+      return localAnalysis;
       
     } catch (error) {
       const status = error.response?.status;
@@ -4251,19 +4001,10 @@ Response format:
       
       if (status === 401) {
         logger.error('🔑 AI_API_KEY is invalid or expired for intent analysis');
-        this.isConfigured = false; // Disable AI for future requests
+        aiProvider.suspend(Infinity, 'invalid_api_key'); // Disable AI for future requests
       } else if (status === 429) {
         logger.warn('⚠️ Rate limit exceeded during intent analysis');
-        // Don't disable AI for rate limits, just use fallback
-      }
-      
-      // Return fallback analysis and disable AI temporarily for rate limits
-      if (status === 429) {
-        this.isConfigured = false;
-        setTimeout(() => {
-          this.isConfigured = true;
-          logger.info('Re-enabling AI analysis after rate limit cooldown');
-        }, 60000); // 1 minute cooldown
+        aiProvider.suspend(60000, 'rate_limited'); // 1 minute cooldown
       }
       
       return await this.basicIntentAnalysis(message);
@@ -4271,7 +4012,8 @@ Response format:
   }
 
   /**
-   * Basic keyword-based intent analysis as fallback
+   * Intent analysis without a model: flow replies (yes/no) first, then the
+   * offline classifier. Answers below AI_MIN_LOCAL_CONFIDENCE become 'unknown'.
    */
   async basicIntentAnalysis(message) {
     const lowerMessage = (message || '').toLowerCase();
@@ -4287,105 +4029,19 @@ Response format:
       });
     }
 
-    // Highest priority: explicit account details requests
-    if (/(virtual\s+account|account\s+(details|detail|info|information|number|no)|bank\s+details)/i.test(message)) {
-      return { intent: 'account_details', confidence: 0.95, suggestedAction: 'Show virtual account details' };
-    }
-
-    // Balance keywords — English + Hausa/Yoruba/Igbo-style phrases (when AI is off)
-    if (
-      /(balance|how\s+much\s+(do\s+)?i\s+have|what'?s?\s+my\s+(current\s+)?balance|check\s+my\s+balance|show\s+my\s+balance|my\s+balance|nawa\s+ne\s+balance|balance\s+dina|kudi\s+nawa|nawa\s+balance|ego\s+m|owo\s+mi|wetin\s+i\s+get)/i.test(
-        message
-      )
-    ) {
-      return { intent: 'balance', confidence: 0.9, suggestedAction: 'Check account balance' };
-    }
-
-    // Statement keywords (higher priority - send PDF on WhatsApp)
-    if (/(account\s+statement|statement\s+(pdf|document|send)|generate\s+statement|pdf\s+statement|send\s+statement)/i.test(message)) {
-      return { intent: 'statement_request', confidence: 0.95, suggestedAction: 'Generate and send statement PDF on WhatsApp' };
-    }
-
-    // Transaction history keywords (quick view in chat)
-    if (/(transaction\s+history|history|transactions?|records?|my\s+history)/i.test(message)) {
-      return { intent: 'transaction_history', confidence: 0.9, suggestedAction: 'Show transaction history' };
-    }
-
-    // Wallet details keywords
-    if (/(wallet\s+details?|wallet\s+info|wallet\s+information)/i.test(message)) {
-      return { intent: 'wallet_details', confidence: 0.9, suggestedAction: 'Show wallet details' };
-    }
-
-    // Transfer limits keywords
-    if (/(transfer\s+limits?|daily\s+limits?|monthly\s+limits?|transaction\s+limits?|limits?)/i.test(message)) {
-      return { intent: 'transfer_limits', confidence: 0.9, suggestedAction: 'Show transfer limits' };
-    }
-
-    // Onboarding keywords (do NOT match generic 'account')
-    if (/(start|setup|set\s*up|onboard|register|create\s+account|open\s+account)/i.test(message)) {
-      return { intent: 'onboarding', confidence: 0.85, suggestedAction: 'Start onboarding flow' };
-    }
-
-    // Transfer keywords - improved to catch bank transfers
-    if (/(send\s+\d+[k]?\s+(?:naira\s+)?to\s+.*\d{8,11}|transfer\s+\d+[k]?\s+(?:naira\s+)?to\s+.*\d{8,11}|send\s+\d+[k]?\s+(?:naira\s+)?to\s+.*\s+(bank|gtb|access|keystone|opay|test\s+bank)|transfer\s+\d+[k]?\s+(?:naira\s+)?to\s+.*\s+(bank|gtb|access|keystone|opay|test\s+bank))/i.test(message)) {
-      // Try to extract data from the message
-      const amountMatch = message.match(/(\d+[k]?)/i);
-      const accountMatch = message.match(/(\d{8,11})/);
-      const bankMatch = message.match(/(bank|gtb|access|keystone|opay|test\s+bank)/i);
-      
-      const extractedData = {
-        amount: amountMatch ? amountMatch[1] : null,
-        accountNumber: accountMatch ? accountMatch[1] : null,
-        bankName: bankMatch ? bankMatch[1].toLowerCase() : null
-      };
-      
-      return { 
-        intent: 'bank_transfer', 
-        confidence: 0.9, 
-        extractedData,
-        suggestedAction: 'Initiate bank transfer' 
-      };
-    }
-
-    if (/(transfer|send)(\s|$)/i.test(message)) {
-      return { intent: 'transfer', confidence: 0.9, suggestedAction: 'Initiate money transfer' };
-    }
-
-    // Airtime keywords
-    if (/(airtime|recharge|top\s*up)/i.test(message)) {
-      return { intent: 'airtime', confidence: 0.9, suggestedAction: 'Buy airtime' };
-    }
-
-    // Data keywords
-    if (/(\bdata\b|internet|\bmb\b|\bgb\b)/i.test(message)) {
-      return { intent: 'data', confidence: 0.85, suggestedAction: 'Buy data bundle' };
-    }
-
-    // Bills keywords (ensure presence of bill-like terms)
-    if (/(bill|electric|electricity|cable|tv|water)/i.test(message)) {
-      return { intent: 'bills', confidence: 0.8, suggestedAction: 'Pay utility bills' };
-    }
-
-    // Help keywords
-    if (/(help|support|problem|issue)/i.test(message)) {
-      return { intent: 'help', confidence: 0.9, suggestedAction: 'Provide help and support' };
-    }
-
-    // Menu keywords
-    if (/(menu|services?|options?)/i.test(message)) {
-      return { intent: 'menu', confidence: 0.8, suggestedAction: 'Show available services' };
-    }
+    // Everything else goes to the offline classifier (intentClassifier.js)
+    const analysis = aiProvider.classifyIntent(message);
+    const { scores, ...result } = analysis;
 
-    // Greeting keywords (English + common Nigerian languages)
-    if (
-      /(^|\b)(hi|hello|hey|sannu|barka\s+da\s+kwana|ina\s+kwana|ndewo|bawo\s+ni|kedu)(\b|$)/i.test(
-        message
-      )
-    ) {
-      return { intent: 'greeting', confidence: 0.9, suggestedAction: 'Send welcome message' };
+    if (result.intent !== 'unknown' && result.confidence < aiProvider.minLocalConfidence) {
+      logger.info('Offline classifier unsure, treating as unknown', {
+        guess: result.intent,
+        confidence: result.confidence
+      });
+      return { ...result, intent: 'unknown', suggestedAction: 'Ask for clarification' };
     }
 
-    return { intent: 'unknown', confidence: 0.5, suggestedAction: 'Ask for clarification' };
+    return result;
   }
 
   // Generate AI-powered transfer confirmation message
@@ -4454,8 +4110,7 @@ Requirements:
 Example:
 "You're about to send ₦150 (₦15 fee, total ₦165) to *MUSA ABDULKADIR* at *Opay* account 9072874728. Please confirm to proceed."`;
 
-      const response = await axios.post(`${this.openaiBaseUrl}/chat/completions`, {
-        model: this.model,
+      const response = await aiProvider.chatCompletion({
         messages: [
           {
             role: 'system',
@@ -4468,11 +4123,6 @@ Example:
         ],
         max_tokens: 100,
         temperature: 0.8
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        }
       });
 
       const aiMessage = response.data.choices[0]?.message?.content?.trim();
@@ -4587,7 +4237,6 @@ Example:
 
   async handleDisablePin(user) {
     try {
-      const whatsappService = require('./whatsapp');
       
       // Check if user has PIN set
       if (!user.pin) {
@@ -4687,7 +4336,7 @@ Example:
         }
       };
 
-      await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+      await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       
       logger.info('PIN disable flow sent to user', {
         userId: user.id,
@@ -4714,7 +4363,6 @@ Example:
 
   async handleEnablePin(user) {
     try {
-      const whatsappService = require('./whatsapp');
       
       // Check if user has PIN set
       if (!user.pin) {
@@ -4814,7 +4462,7 @@ Example:
         }
       };
 
-      await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+      await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       
       logger.info('PIN enable flow sent to user', {
         userId: user.id,
@@ -4841,7 +4489,6 @@ Example:
 
   async processTransactionWithoutPin(user, transactionData) {
     try {
-      const whatsappService = require('./whatsapp');
       
       logger.info('Processing transaction without PIN verification', {
         userId: user.id,
@@ -4907,7 +4554,7 @@ Example:
       }
 
       if (result && result.success) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, successMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, successMessage);
         
         logger.info('Transaction processed successfully without PIN', {
           userId: user.id,
@@ -4923,7 +4570,7 @@ Example:
         };
       } else {
         const errorMessage = `❌ Transaction failed: ${result?.message || 'Please try again later.'}`;
-        await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
         
         return {
           intent: transactionData.service,
@@ -4940,11 +4587,10 @@ Example:
         service: transactionData.service
       });
       
-      const whatsappService = require('./whatsapp');
       await user.clearConversationState();
       
       const errorMessage = `❌ Transaction failed: ${error.message || 'Please try again later.'}`;
-      await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
       
       return {
         intent: transactionData.service,
@@ -4955,10 +4601,1028 @@ Example:
     }
   }
 
+  /**
+   * Cheap regex check for scheduling messages ("send 5k to mum every Friday",
+   * "show my schedules", "cancel my DSTV schedule"). Runs before the transfer
+   * override and the LLM so timing words never end up in a one-off transfer.
+   */
+  detectScheduleIntent(message) {
+    const text = String(message || '').toLowerCase();
+    const scheduleWords = /\b(schedules?|scheduled( payments?)?|recurring|standing orders?|auto ?pay)\b/;
+    const scheduledPaymentService = require('./scheduledPayment');
+    const timing = scheduledPaymentService.parseScheduleText(message);
+
+    if (/\b(cancel|stop|delete|remove|end)\b/.test(text) && (scheduleWords.test(text) || timing)) {
+      return { intent: 'cancel_schedule', confidence: 0.95, extractedData: {}, response: '', suggestedAction: 'Cancel a scheduled payment' };
+    }
+
+    if (timing && /\b(send|transfer|pay|give|buy|recharge|top ?up)\b/.test(text)) {
+      return { intent: 'schedule', confidence: 0.9, extractedData: { timing }, response: '', suggestedAction: 'Set up a scheduled payment' };
+    }
+
+    if (/\b(show|list|view|see|check|what are|my)\b/.test(text) && scheduleWords.test(text)) {
+      return { intent: 'list_schedules', confidence: 0.95, extractedData: {}, response: '', suggestedAction: 'List scheduled payments' };
+    }
+
+    return null;
+  }
+
+  // First amount in a chat message ("5k", "10,000"), ignoring account, phone
+  // and meter numbers
+  parseChatAmount(text) {
+    const amountMatch = String(text || '').replace(/\b\d{10,13}\b/g, ' ').match(/(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/i);
+    return amountMatch
+      ? parseFloat(amountMatch[1].replace(/,/g, '')) * (amountMatch[2] ? 1000 : 1)
+      : null;
+  }
+
+  /**
+   * Turn "send 5k to mum every Friday" into a draft schedule and ask for the
+   * PIN that pre-authorises every run.
+   */
+  async handleScheduleRequest(user, message) {
+    const scheduledPaymentService = require('./scheduledPayment');
+    const timing = scheduledPaymentService.parseScheduleText(message);
+    if (!timing) {
+      return {
+        intent: 'schedule',
+        message: "🗓️ When should I make this payment? For example: \"every Friday\", \"on the 1st of every month\", \"daily at 7am\" or \"tomorrow\".",
+        requiresAction: 'NONE'
+      };
+    }
+
+    const rest = timing.remainder;
+    const lower = rest.toLowerCase();
+    const amount = this.parseChatAmount(rest);
+
+    try {
+      let draft;
+      if (/\bdata\b|\bbundle\b/.test(lower)) {
+        return {
+          intent: 'schedule',
+          message: '🌐 To schedule a data bundle, open the MiiMii app and choose a plan under *Scheduled Payments*. In chat I can schedule transfers, airtime and bills.',
+          requiresAction: 'NONE'
+        };
+      } else if (this.findBillProvider(lower) || /\b(electricity|light bill|nepa|cable)\b/.test(lower)) {
+        draft = await this.buildBillScheduleDraft(user, rest, amount);
+      } else if (/\b(airtime|recharge|top ?up)\b/.test(lower)) {
+        draft = this.buildAirtimeScheduleDraft(user, rest, amount);
+      } else {
+        draft = await this.buildTransferScheduleDraft(user, rest, amount);
+      }
+
+      if (draft.message) {
+        return { intent: 'schedule', message: draft.message, requiresAction: 'NONE' };
+      }
+
+      const resolved = await scheduledPaymentService.resolveDetails(draft.type, draft.amount, draft.details);
+      const schedule = {
+        type: draft.type,
+        amount: resolved.amount,
+        details: resolved.details,
+        frequency: timing.frequency,
+        dayOfWeek: timing.dayOfWeek,
+        dayOfMonth: timing.dayOfMonth,
+        timeOfDay: timing.timeOfDay,
+        startAt: (timing.startAt || new Date()).toISOString()
+      };
+      const firstRun = scheduledPaymentService.computeNextRunAt({ ...schedule, runCount: 0 });
+
+      await user.updateConversationState({
+        intent: 'schedule',
+        awaitingInput: 'schedule_pin',
+        context: 'scheduled_payment_confirmation',
+        step: 1,
+        data: { draft: schedule }
+      });
+
+      return {
+        intent: 'schedule',
+        message: `🗓️ *Schedule Payment*\n\n💸 ${scheduledPaymentService.describePayee(schedule)}\n⏰ ${scheduledPaymentService.describeTiming(schedule)}\n📅 First payment: ${scheduledPaymentService.formatRunDate(firstRun)}\n\nReply with your 4-digit PIN to authorise this schedule, or *cancel* to stop.\n\n🔐 Your PIN covers every run. If you change your PIN, the schedule pauses until you authorise it again.`,
+        requiresAction: 'SCHEDULE_PIN'
+      };
+    } catch (error) {
+      logger.warn('Failed to prepare scheduled payment', { error: error.message, userId: user.id });
+      return {
+        intent: 'schedule',
+        message: `❌ I couldn't set up that schedule: ${error.message}`,
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  findBillProvider(text) {
+    const utilityService = require('./utility');
+    for (const [category, info] of Object.entries(utilityService.utilities)) {
+      const provider = Object.keys(info.providers).find(code => new RegExp(`\\b${code}\\b`, 'i').test(text));
+      if (provider) return { category, provider };
+    }
+    return null;
+  }
+
+  async buildBillScheduleDraft(user, text, amount) {
+    const utilityService = require('./utility');
+    const lower = text.toLowerCase();
+    const match = this.findBillProvider(lower);
+    const category = match?.category || (/\bcable\b/.test(lower) ? 'cable' : 'electricity');
+
+    // Fall back to the last customer paid with this provider
+    const recent = (await utilityService.getRecentCustomers(user.id, null, 20))
+      .find(customer => match ? customer.provider === match.provider : customer.category === category);
+    const provider = match?.provider || recent?.provider;
+    const customerNumber = (text.match(/\b\d{10,13}\b/) || [])[0] || recent?.customerNumber;
+    const billAmount = amount || recent?.lastAmount || null;
+
+    if (!provider || !customerNumber) {
+      return { message: `💳 I need the provider and your ${category === 'cable' ? 'smartcard' : 'meter'} number to schedule this bill. For example: "pay DSTV 1234567890 5000 on the 1st".` };
+    }
+    if (!billAmount) {
+      return { message: '💳 How much should I pay each time? For example: "pay DSTV 5000 on the 1st".' };
+    }
+    return { type: 'bill', amount: billAmount, details: { category, provider, customerNumber } };
+  }
+
+  buildAirtimeScheduleDraft(user, text, amount) {
+    let phoneNumber = this.extractPhoneNumber(text);
+    if (!phoneNumber && user.whatsappNumber) {
+      const own = String(user.whatsappNumber).replace(/\D/g, '');
+      phoneNumber = own.startsWith('234') && own.length === 13 ? `0${own.slice(3)}` : own;
+    }
+    if (!amount) {
+      return { message: '📱 How much airtime should I buy each time? For example: "buy 1000 airtime every Monday".' };
+    }
+    const networkMatch = text.match(/\b(mtn|airtel|glo|9mobile|etisalat)\b/i);
+    const network = networkMatch
+      ? (networkMatch[1].toLowerCase() === 'etisalat' ? '9MOBILE' : networkMatch[1].toUpperCase())
+      : this.detectNetwork(phoneNumber || '');
+    if (!phoneNumber || !network) {
+      return { message: '📱 Which number and network should I recharge? For example: "buy 1000 MTN airtime for 08031234567 every Monday".' };
+    }
+    return { type: 'airtime', amount, details: { phoneNumber, network } };
+  }
+
+  async buildTransferScheduleDraft(user, text, amount) {
+    if (!amount) {
+      return { message: '💸 How much should I send each time? For example: "send 5k to mum every Friday".' };
+    }
+
+    const accountNumber = (text.match(/\b\d{10}\b/) || [])[0];
+    if (accountNumber) {
+      const lower = text.toLowerCase();
+      const bankName = Object.keys(this.getStaticBankCodeMapping())
+        .filter(name => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower))
+        .sort((a, b) => b.length - a.length)[0];
+      const bankCode = bankName ? this.resolveBankCode(bankName) : null;
+      if (!bankCode) {
+        return { message: `🏦 Which bank is ${accountNumber} with? For example: "send 5k to ${accountNumber} GTB every Friday".` };
+      }
+      return { type: 'bank_transfer', amount, details: { accountNumber, bankCode, bankName } };
+    }
+
+    const nameMatch = text.match(/\bto\s+(?:my\s+)?([a-z][a-z .'-]*)$/i);
+    const nickname = nameMatch ? nameMatch[1].trim() : null;
+    if (!nickname) {
+      return { message: '💸 Who should I send it to? Use a saved beneficiary ("to mum") or an account number and bank.' };
+    }
+
+    const beneficiaryService = require('./beneficiary');
+    const beneficiary = await beneficiaryService.findBeneficiaryByNickname(user.id, nickname);
+    if (!beneficiary || !beneficiary.accountNumber || !beneficiary.bankCode) {
+      return { message: `💸 I couldn't find "${nickname}" in your saved beneficiaries. Include their account number and bank, e.g. "send 5k to 0123456789 GTB every Friday".` };
+    }
+    return {
+      type: 'bank_transfer',
+      amount,
+      details: { accountNumber: beneficiary.accountNumber, bankCode: beneficiary.bankCode, bankName: beneficiary.bankName }
+    };
+  }
+
+  async handleListSchedules(user) {
+    try {
+      const scheduledPaymentService = require('./scheduledPayment');
+      const schedules = await scheduledPaymentService.listSchedules(user.id);
+
+      if (schedules.length === 0) {
+        return {
+          intent: 'list_schedules',
+          message: "🗓️ *Your Scheduled Payments*\n\nYou don't have any scheduled payments.\n\n💡 *Tip*: Try \"send 5k to mum every Friday\" or \"pay my DSTV on the 1st\".",
+          requiresAction: 'NONE'
+        };
+      }
+
+      let message = '🗓️ *Your Scheduled Payments*\n\n';
+      schedules.forEach((schedule, index) => {
+        const state = schedule.status === 'paused' ? ' ⏸️ *paused*' : '';
+        message += `${index + 1}. ${scheduledPaymentService.describePayee(schedule)}${state}\n`;
+        message += `   ⏰ ${scheduledPaymentService.describeTiming(schedule)}\n`;
+        if (schedule.status === 'active') {
+          message += `   📅 Next: ${scheduledPaymentService.formatRunDate(schedule.nextRunAt)}\n`;
+        }
+        message += '\n';
+      });
+      message += '💡 To stop one, say "cancel schedule".';
+
+      return { intent: 'list_schedules', message, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to list scheduled payments', { error: error.message, userId: user.id });
+      return {
+        intent: 'list_schedules',
+        message: "❌ Sorry, I couldn't load your scheduled payments. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  async handleCancelSchedule(user) {
+    try {
+      const scheduledPaymentService = require('./scheduledPayment');
+      const schedules = await scheduledPaymentService.listSchedules(user.id);
+
+      if (schedules.length === 0) {
+        return { intent: 'cancel_schedule', message: "🗓️ You don't have any scheduled payments to cancel.", requiresAction: 'NONE' };
+      }
+
+      await user.updateConversationState({
+        intent: 'schedule',
+        awaitingInput: 'schedule_cancel_choice',
+        context: 'scheduled_payment_cancel',
+        step: 1,
+        data: { scheduleIds: schedules.map(schedule => schedule.id) }
+      });
+
+      let message = '🗓️ *Cancel a Scheduled Payment*\n\n';
+      schedules.forEach((schedule, index) => {
+        message += `${index + 1}. ${scheduledPaymentService.describePayee(schedule)}, ${scheduledPaymentService.describeTiming(schedule)}\n`;
+      });
+      message += '\nReply with the number to cancel, or *no* to keep them all.';
+
+      return { intent: 'cancel_schedule', message, requiresAction: 'SCHEDULE_CANCEL_CHOICE' };
+    } catch (error) {
+      logger.error('Failed to start scheduled payment cancellation', { error: error.message, userId: user.id });
+      return {
+        intent: 'cancel_schedule',
+        message: "❌ Sorry, I couldn't load your scheduled payments. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  /**
+   * Regex check for savings messages ("save 10k", "withdraw 5k from my
+   * savings", "how much have I saved"). Runs after the schedule check so
+   * "send 5k every Friday" stays a schedule.
+   */
+  detectSavingsIntent(message) {
+    const text = String(message || '').toLowerCase().trim();
+    const hasAmount = this.parseChatAmount(text) !== null;
+
+    if (/\bsavings?\b/.test(text) && /\b(withdraw|take out|cash out|move out|remove|break)\b/.test(text) && hasAmount) {
+      return { intent: 'savings_withdraw', confidence: 0.95, extractedData: { amount: this.parseChatAmount(text) }, response: '', suggestedAction: 'Withdraw from savings' };
+    }
+
+    if (hasAmount && (/^(please\s+)?save\s+(?:n|₦)?\d/.test(text) ||
+      /\b(put|move|add|deposit|transfer|keep)\b.*\b(in|into|to)\s+(my\s+)?savings?\b/.test(text))) {
+      return { intent: 'savings_deposit', confidence: 0.95, extractedData: { amount: this.parseChatAmount(text) }, response: '', suggestedAction: 'Deposit to savings' };
+    }
+
+    if (/\bhow much (have i|did i|i('ve| have)?)\s*sav(ed|e)\b/.test(text) ||
+      /\b(my|check|show|view)\s+(my\s+)?savings\b/.test(text) || /\bsavings balance\b/.test(text)) {
+      return { intent: 'savings_summary', confidence: 0.95, extractedData: {}, response: '', suggestedAction: 'Show savings summary' };
+    }
+
+    return null;
+  }
+
+  async handleSavingsDeposit(user, extractedData = {}, originalMessage = '') {
+    const savingsService = require('./savings');
+    const walletService = require('./wallet');
+    const amount = extractedData.amount ? parseFloat(extractedData.amount) : this.parseChatAmount(originalMessage);
+
+    if (!amount) {
+      return {
+        intent: 'savings_deposit',
+        message: '🐷 How much would you like to save? For example: "save 10k".',
+        requiresAction: 'NONE'
+      };
+    }
+
+    try {
+      const account = await savingsService.findDefaultAccount(user.id);
+      // A new flexible plan starts at the plan minimum; top-ups at ₦100
+      const minimum = account ? 100 : savingsService.savingsConfig.limits.minimum;
+      if (amount < minimum) {
+        return {
+          intent: 'savings_deposit',
+          message: `❌ The minimum ${account ? 'deposit' : 'amount to start saving'} is ₦${minimum.toLocaleString()}.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      const walletBalance = await walletService.getWalletBalance(user.id);
+      if (walletBalance < amount) {
+        return {
+          intent: 'savings_deposit',
+          message: `❌ Insufficient balance. You have ₦${parseFloat(walletBalance).toLocaleString()} in your wallet.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      await user.updateConversationState({
+        intent: 'savings',
+        awaitingInput: 'savings_pin',
+        context: 'savings_confirmation',
+        step: 1,
+        data: {
+          action: 'deposit',
+          amount,
+          accountId: account ? account.id : null,
+          reference: `SAV_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`
+        }
+      });
+
+      const target = account
+        ? `${account.accountName} (balance ₦${parseFloat(account.balance).toLocaleString()})`
+        : `a new Flexible Savings plan at ${savingsService.savingsConfig.interestRates.flexible}% a year`;
+
+      return {
+        intent: 'savings_deposit',
+        message: `🐷 *Save Money*\n\n💰 Amount: ₦${amount.toLocaleString()}\n🏦 Into: ${target}\n\nReply with your 4-digit PIN to confirm, or *cancel* to stop.`,
+        requiresAction: 'SAVINGS_PIN'
+      };
+    } catch (error) {
+      logger.error('Failed to prepare savings deposit', { error: error.message, userId: user.id });
+      return {
+        intent: 'savings_deposit',
+        message: "❌ Sorry, I couldn't start that savings deposit. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  async handleSavingsWithdraw(user, extractedData = {}, originalMessage = '') {
+    const savingsService = require('./savings');
+    const amount = extractedData.amount ? parseFloat(extractedData.amount) : this.parseChatAmount(originalMessage);
+
+    if (!amount) {
+      return {
+        intent: 'savings_withdraw',
+        message: '🐷 How much would you like to withdraw from your savings? For example: "withdraw 5k from savings".',
+        requiresAction: 'NONE'
+      };
+    }
+
+    try {
+      const accounts = (await savingsService.getUserSavingsAccounts(user.id))
+        .filter(account => account.status === 'active' && account.balance > 0);
+      // Chat withdrawals come from the flexible plan first
+      const account = accounts.find(acc => acc.accountType === 'flexible') || (accounts.length === 1 ? accounts[0] : null);
+
+      if (!account) {
+        return {
+          intent: 'savings_withdraw',
+          message: accounts.length === 0
+            ? "🐷 You don't have any savings to withdraw."
+            : '🐷 Please withdraw from a fixed or target plan in the MiiMii app, so you can pick the plan and see any penalty first.',
+          requiresAction: 'NONE'
+        };
+      }
+
+      const { withdrawalFee, penalty, penaltyReason } = savingsService.calculateWithdrawalCharges(account, amount);
+      const total = amount + withdrawalFee + penalty;
+      if (total > account.balance) {
+        return {
+          intent: 'savings_withdraw',
+          message: `❌ Your ${account.accountName} has ₦${account.balance.toLocaleString()}. Withdrawing ₦${amount.toLocaleString()} needs ₦${total.toLocaleString()} including charges.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      await user.updateConversationState({
+        intent: 'savings',
+        awaitingInput: 'savings_pin',
+        context: 'savings_confirmation',
+        step: 1,
+        data: {
+          action: 'withdraw',
+          amount,
+          accountId: account.id,
+          reference: `SAV_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`
+        }
+      });
+
+      let message = `🐷 *Withdraw Savings*\n\n💰 Amount: ₦${amount.toLocaleString()}\n🏦 From: ${account.accountName}\n💳 Fee: ₦${withdrawalFee.toLocaleString()}\n`;
+      if (penalty > 0) {
+        message += `⚠️ ${penaltyReason}: ₦${penalty.toLocaleString()}\n`;
+      }
+      message += '\nReply with your 4-digit PIN to confirm, or *cancel* to stop.';
+
+      return { intent: 'savings_withdraw', message, requiresAction: 'SAVINGS_PIN' };
+    } catch (error) {
+      logger.error('Failed to prepare savings withdrawal', { error: error.message, userId: user.id });
+      return {
+        intent: 'savings_withdraw',
+        message: "❌ Sorry, I couldn't start that withdrawal. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  async handleSavingsSummary(user) {
+    try {
+      const savingsService = require('./savings');
+      const summary = await savingsService.getSavingsSummary(user.id);
+      const open = summary.accounts.filter(account => account.status === 'active' || account.status === 'suspended');
+
+      if (open.length === 0) {
+        return {
+          intent: 'savings_summary',
+          message: `🐷 *Your Savings*\n\nYou haven't started saving yet.${summary.totalInterestEarned > 0 ? `\nInterest earned so far: ₦${summary.totalInterestEarned.toLocaleString()}` : ''}\n\n💡 *Tip*: Say "save 10k" to start a flexible plan earning ${savingsService.savingsConfig.interestRates.flexible}% a year.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      let message = `🐷 *Your Savings*\n\n💰 Total saved: ₦${summary.totalBalance.toLocaleString()}\n📈 Interest earned: ₦${summary.totalInterestEarned.toLocaleString()}\n`;
+      if (summary.pendingInterest > 0) {
+        message += `⏳ Interest accruing: ₦${summary.pendingInterest.toLocaleString()}\n`;
+      }
+      message += '\n';
+      open.forEach((account, index) => {
+        message += `${index + 1}. ${account.accountName}: ₦${account.balance.toLocaleString()} (${account.interestRate}% p.a.)\n`;
+        if (account.accountType === 'target' && account.targetAmount) {
+          message += `   🎯 ${Math.floor(account.progressPercentage)}% of ₦${account.targetAmount.toLocaleString()}\n`;
+        }
+        if (account.accountType === 'fixed' && account.maturityDate) {
+          message += `   📅 Matures ${new Date(account.maturityDate).toLocaleDateString('en-GB', { timeZone: 'Africa/Lagos' })}\n`;
+        }
+      });
+
+      return { intent: 'savings_summary', message, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to load savings summary', { error: error.message, userId: user.id });
+      return {
+        intent: 'savings_summary',
+        message: "❌ Sorry, I couldn't load your savings. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  async handleReferrals(user) {
+    try {
+      const referralService = require('./referral');
+      const summary = await referralService.getReferralSummary(user);
+
+      let message = `🤝 *Refer & Earn*\n\nYour referral code: *${summary.referralCode}*\n`;
+      if (summary.referralLink) {
+        message += `Share your link: ${summary.referralLink}\n`;
+      }
+      message += `\nEarn ₦${summary.bonusPerReferral.toLocaleString()} when a friend you refer verifies their account and makes a first payment of ₦${summary.minQualifyingAmount.toLocaleString()} or more.\n`;
+
+      if (summary.referrals.length === 0) {
+        message += "\nYou haven't referred anyone yet.";
+        return { intent: 'referrals', message, requiresAction: 'NONE' };
+      }
+
+      message += `\n👥 Referred: ${summary.totalReferrals}\n✅ Rewarded: ${summary.rewardedReferrals}\n💰 Earned: ₦${summary.totalEarned.toLocaleString()}\n\n`;
+      summary.referrals.slice(0, 10).forEach((referral, index) => {
+        let state;
+        if (referral.status === 'rewarded') {
+          state = `✅ ₦${referral.reward.toLocaleString()} earned`;
+        } else if (referral.status === 'rejected') {
+          state = '🚫 Not eligible';
+        } else {
+          state = referral.kycCompleted ? '⏳ Waiting for first payment' : '⏳ Waiting for verification';
+        }
+        message += `${index + 1}. ${referral.name} - ${state}\n`;
+      });
+      if (summary.referrals.length > 10) {
+        message += `...and ${summary.referrals.length - 10} more in the MiiMii app.`;
+      }
+
+      return { intent: 'referrals', message, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to load referrals', { error: error.message, userId: user.id });
+      return {
+        intent: 'referrals',
+        message: "❌ Sorry, I couldn't load your referrals. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  /**
+   * Regex check for group collections: a pot or bill split with the members'
+   * numbers ("split 30k for dinner with 0803... and 0802..."), an ajo
+   * ("start an ajo of 10k every Friday with ..."), paying a share ("pay my
+   * share", "join the ajo") and progress ("my groups"). Runs before the
+   * schedule check so an ajo's timing is not read as a scheduled payment.
+   */
+  detectGroupIntent(message) {
+    const text = String(message || '').toLowerCase().trim();
+    const isAjo = /\b(ajo|esusu|isusu|osusu|adashe)\b/.test(text);
+
+    if (this.parseGroupPhoneNumbers(text).length > 0 && this.parseChatAmount(text) !== null &&
+      (isAjo || /\b(split|divide|collect|contribut\w*|pot|chip in|share the (bill|cost))\b/.test(text))) {
+      return { intent: 'group_create', confidence: 0.95, extractedData: { kind: isAjo ? 'ajo' : 'pot' }, response: '', suggestedAction: 'Create a group collection' };
+    }
+
+    if (/\b(pay|join|settle)\s+(my\s+|the\s+|our\s+)?(ajo|esusu|share|part|group|pot|contribution)\b/.test(text)) {
+      return { intent: 'group_pay', confidence: 0.9, extractedData: {}, response: '', suggestedAction: 'Pay or join a group collection' };
+    }
+
+    if (/\b(my|show|check|view|see)\s+(my\s+|the\s+|our\s+)?(groups?|pots?|ajos?|esusu|contributions|collections|bill splits?)\b/.test(text) ||
+      /\b(ajo|esusu|group|pot|collection)\s+(status|progress|update)\b/.test(text)) {
+      return { intent: 'group_status', confidence: 0.9, extractedData: {}, response: '', suggestedAction: 'Show group collections' };
+    }
+
+    return null;
+  }
+
+  // Nigerian mobile numbers in a message, in the order given, without duplicates
+  parseGroupPhoneNumbers(text) {
+    const matches = String(text || '').match(/(?:\+?234|\b0)[789][01]\d{8}\b/g) || [];
+    return [...new Set(matches)];
+  }
+
+  // "for dinner", "for Tolu's birthday" → "Dinner", "Tolu's birthday"
+  parseGroupTitle(text) {
+    const match = String(text || '').match(/\bfor\s+(?:the\s+|our\s+|my\s+)?(.+?)(?=\s+(?:with|from|between|among|each|every|per|daily|weekly|monthly)\b|[,.;]|\s+(?:\+?234|0)\d|$)/i);
+    if (!match) return null;
+    const title = match[1].replace(/(?:₦|n)?\d[\d,]*(?:\.\d+)?\s*k?\b/gi, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+    return title ? title.charAt(0).toUpperCase() + title.slice(1) : null;
+  }
+
+  /**
+   * Create a pot from chat straight away (no money moves until members pay),
+   * or draft an ajo and ask for the PIN that authorises the owner's rounds.
+   * "split 30k" divides the bill between the members and the owner; "5k
+   * each" is a fixed share; anything else is the target.
+   */
+  async handleGroupCreate(user, extractedData, originalMessage) {
+    const groupCollectionService = require('./groupCollection');
+    const text = String(originalMessage || '');
+    const phones = this.parseGroupPhoneNumbers(text);
+    const kind = extractedData?.kind || (/\b(ajo|esusu|isusu|osusu|adashe)\b/i.test(text) ? 'ajo' : 'pot');
+
+    if (phones.length === 0) {
+      return {
+        intent: 'group_create',
+        message: '👥 Who is in the group? Send their phone numbers with the amount, e.g. "split 30k for dinner with 08031234567 and 08021234567".',
+        requiresAction: 'NONE'
+      };
+    }
+
+    if (kind === 'ajo') {
+      return this.prepareAjoFromChat(user, text, phones);
+    }
+
+    const amount = this.parseChatAmount(text);
+    if (!amount) {
+      return {
+        intent: 'group_create',
+        message: '💰 How much is being collected? For example: "collect 5k each for rent from 08031234567 and 08021234567".',
+        requiresAction: 'NONE'
+      };
+    }
+
+    const isSplit = /\b(split|divide|share the (bill|cost))\b/i.test(text);
+    const perMember = /\b(each|per (person|head|member)|apiece)\b/i.test(text);
+    const input = {
+      title: this.parseGroupTitle(text) || (isSplit ? 'Bill split' : 'Group collection'),
+      members: phones
+    };
+    if (perMember) {
+      input.amountPerMember = amount;
+    } else if (isSplit) {
+      // The owner pays their own share of the bill, so it is divided by one more
+      const share = Math.ceil((amount / (phones.length + 1)) * 100) / 100;
+      input.amountPerMember = share;
+      input.metadata = { billTotal: amount, ownerShare: share };
+    } else {
+      input.targetAmount = amount;
+    }
+
+    try {
+      const { group, members } = await groupCollectionService.createPot(user.id, input, { source: 'whatsapp' });
+      const notOnMiiMii = members.filter(member => !member.userId).length;
+
+      let message = `✅ *Pot created: ${group.title}*\n\n`;
+      message += input.amountPerMember
+        ? `💰 ₦${input.amountPerMember.toLocaleString()} each from ${members.length} ${members.length === 1 ? 'person' : 'people'}\n`
+        : `🎯 Target ₦${parseFloat(group.targetAmount).toLocaleString()} from ${members.length} ${members.length === 1 ? 'person' : 'people'}\n`;
+      if (input.metadata) {
+        message += `🧾 Bill ₦${amount.toLocaleString()}, your share ₦${input.metadata.ownerShare.toLocaleString()}\n`;
+      }
+      message += `\n📨 I've sent each of them a payment request${notOnMiiMii ? ` (${notOnMiiMii} ${notOnMiiMii === 1 ? "isn't" : "aren't"} on MiiMii yet, so I've invited them to sign up)` : ''}. Payments go straight to your wallet.\n\nSay "my groups" to see who has paid.`;
+
+      return { intent: 'group_create', message, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to create group pot from chat', { error: error.message, userId: user.id });
+      return { intent: 'group_create', message: `❌ ${error.message}`, requiresAction: 'NONE' };
+    }
+  }
+
+  async prepareAjoFromChat(user, text, phones) {
+    const groupCollectionService = require('./groupCollection');
+    const scheduledPaymentService = require('./scheduledPayment');
+    const timing = scheduledPaymentService.parseScheduleText(text);
+
+    if (!timing || !groupCollectionService.frequencies.includes(timing.frequency)) {
+      return {
+        intent: 'group_create',
+        message: '🔄 How often should the ajo run? For example: "start an ajo of 10k every Friday with 08031234567 and 08021234567".',
+        requiresAction: 'NONE'
+      };
+    }
+
+    const amount = this.parseChatAmount(timing.remainder);
+    if (!amount) {
+      return {
+        intent: 'group_create',
+        message: '💰 How much does each member contribute per round? For example: "ajo of 10k every month with 08031234567 and 08021234567".',
+        requiresAction: 'NONE'
+      };
+    }
+    const { minContribution, maxAjoMembers } = groupCollectionService.limits;
+    if (amount < minContribution) {
+      return { intent: 'group_create', message: `❌ Each contribution must be at least ₦${minContribution.toLocaleString()}.`, requiresAction: 'NONE' };
+    }
+    if (phones.length + 1 > maxAjoMembers) {
+      return { intent: 'group_create', message: `❌ An ajo can have at most ${maxAjoMembers} members, including you.`, requiresAction: 'NONE' };
+    }
+
+    const draft = {
+      title: this.parseGroupTitle(timing.remainder) || 'Ajo',
+      contributionAmount: amount,
+      frequency: timing.frequency,
+      dayOfWeek: timing.dayOfWeek,
+      dayOfMonth: timing.dayOfMonth,
+      timeOfDay: timing.timeOfDay,
+      members: phones,
+      ownerPosition: 1
+    };
+    const reference = `GRP_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+    await user.updateConversationState({
+      intent: 'group',
+      awaitingInput: 'group_pin',
+      context: 'group_confirmation',
+      step: 1,
+      data: { action: 'create_ajo', draft, reference }
+    });
+
+    const payout = amount * phones.length;
+    return {
+      intent: 'group_create',
+      message: `🔄 *New Ajo: ${draft.title}*\n\n💰 ₦${amount.toLocaleString()} each, ${scheduledPaymentService.describeTiming(draft)}\n👥 ${phones.length + 1} members (you and ${phones.length} other${phones.length === 1 ? '' : 's'})\n🎯 Each round pays ₦${payout.toLocaleString()} to one member, and you are first\n\nEveryone joins with their PIN and the ajo starts once all have joined.\n\nReply with your 4-digit PIN to create it, or *cancel* to stop.\n\n🔐 Your PIN authorises each round's contribution from your wallet.`,
+      requiresAction: 'GROUP_PIN'
+    };
+  }
+
+  async handleGroupStatus(user) {
+    try {
+      const groupCollectionService = require('./groupCollection');
+      const groups = await groupCollectionService.listForUser(user);
+
+      if (groups.length === 0) {
+        return {
+          intent: 'group_status',
+          message: '👥 *Your Groups*\n\nYou are not in any group collections yet.\n\n💡 Try "split 30k for dinner with 08031234567 and 08021234567" or "start an ajo of 10k every Friday with 08031234567".',
+          requiresAction: 'NONE'
+        };
+      }
+
+      let message = '👥 *Your Groups*\n\n';
+      message += groups.slice(0, 8).map(entry => groupCollectionService.describeGroup(entry)).join('\n');
+      if (groups.length > 8) {
+        message += `\n...and ${groups.length - 8} more in the MiiMii app.`;
+      }
+      const requests = await groupCollectionService.listOpenRequests(user);
+      if (requests.length > 0) {
+        message += '\n\nSay "pay my share" to pay or join.';
+      }
+
+      return { intent: 'group_status', message, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to load group collections', { error: error.message, userId: user.id });
+      return {
+        intent: 'group_status',
+        message: "❌ Sorry, I couldn't load your groups. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  /**
+   * "pay my share" / "join the ajo": go straight to the PIN when there is one
+   * thing to act on, otherwise let the user pick from a list.
+   */
+  async handleGroupPay(user, originalMessage) {
+    try {
+      const groupCollectionService = require('./groupCollection');
+      const requests = await groupCollectionService.listOpenRequests(user);
+      const wantsJoin = /\bjoin\b/i.test(String(originalMessage || ''));
+      const matching = wantsJoin ? requests.filter(request => request.action === 'join') : requests;
+
+      if (matching.length === 0) {
+        return {
+          intent: 'group_pay',
+          message: `✅ You have nothing to ${wantsJoin ? 'join' : 'pay'} right now. Say "my groups" to see your groups.`,
+          requiresAction: 'NONE'
+        };
+      }
+      if (matching.length === 1) {
+        return await this.startGroupAction(user, matching[0].action, matching[0].member.id);
+      }
+
+      const rows = matching.slice(0, 10).map(request => {
+        let description;
+        if (request.action === 'join') {
+          description = `Join: ₦${request.amount.toLocaleString()} per round`;
+        } else if (request.rounds) {
+          description = `Settle ${request.rounds} missed round${request.rounds === 1 ? '' : 's'}: ₦${request.amount.toLocaleString()}`;
+        } else {
+          description = request.amount !== null ? `Pay ₦${request.amount.toLocaleString()}` : 'Pay any amount';
+        }
+        return { id: `group_${request.action}_${request.member.id}`, title: request.group.title.slice(0, 24), description };
+      });
+      await messaging.sendListMessage(
+        user.whatsappNumber,
+        '👥 You have a few group requests. Which one would you like to pay or join?',
+        'Choose',
+        [{ title: 'Group requests', rows }]
+      );
+      return { intent: 'group_pay', message: null, requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to load group requests', { error: error.message, userId: user.id });
+      return {
+        intent: 'group_pay',
+        message: "❌ Sorry, I couldn't load your group requests. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  /**
+   * Ask for the PIN (or, for a pot without fixed shares, the amount first)
+   * to pay or join a group collection. Used by "pay my share" and by the
+   * buttons on a WhatsApp payment request.
+   */
+  async startGroupAction(user, action, memberId) {
+    const groupCollectionService = require('./groupCollection');
+    const scheduledPaymentService = require('./scheduledPayment');
+
+    try {
+      const { group, member } = await groupCollectionService.getMembership(user, memberId);
+      const reference = `GRP_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+      const state = {
+        intent: 'group',
+        awaitingInput: 'group_pin',
+        context: 'group_confirmation',
+        step: 1,
+        data: { action, memberId: member.id, reference }
+      };
+
+      if (action === 'join') {
+        if (group.type !== 'ajo') {
+          return { intent: 'group_pay', message: '❌ Only an ajo can be joined.', requiresAction: 'NONE' };
+        }
+        if (!['pending', 'active'].includes(group.status)) {
+          return { intent: 'group_pay', message: `ℹ️ *${group.title}* is ${group.status}.`, requiresAction: 'NONE' };
+        }
+        await user.updateConversationState(state);
+        return {
+          intent: 'group_pay',
+          message: `🔄 *Join ${group.title}*\n\n💰 ₦${parseFloat(group.contributionAmount).toLocaleString()} ${scheduledPaymentService.describeTiming(group)}\n🎯 Your payout: round ${member.payoutPosition} of ${group.totalCycles}\n\nYour PIN authorises each round's contribution from your wallet. If you change your PIN, you'll need to re-join.\n\nReply with your 4-digit PIN to join, or *cancel* to stop.`,
+          requiresAction: 'GROUP_PIN'
+        };
+      }
+
+      if (group.type === 'ajo') {
+        const missed = await groupCollectionService.listMissedRounds(member.id);
+        if (missed.length === 0) {
+          return {
+            intent: 'group_pay',
+            message: `✅ You're up to date on *${group.title}*. Your contribution is collected automatically each round.`,
+            requiresAction: 'NONE'
+          };
+        }
+        const total = missed.reduce((sum, round) => sum + round.amount, 0);
+        state.data.amount = total;
+        await user.updateConversationState(state);
+        return {
+          intent: 'group_pay',
+          message: `🔄 *Settle ${group.title}*\n\n💰 ₦${total.toLocaleString()} for ${missed.length} missed round${missed.length === 1 ? '' : 's'}\n\nReply with your 4-digit PIN to pay from your wallet, or *cancel* to stop.`,
+          requiresAction: 'GROUP_PIN'
+        };
+      }
+
+      if (group.status !== 'active') {
+        return { intent: 'group_pay', message: `ℹ️ *${group.title}* is ${group.status}, so there is nothing to pay.`, requiresAction: 'NONE' };
+      }
+      const due = member.amountDue !== null && member.amountDue !== undefined
+        ? Math.round((parseFloat(member.amountDue) - parseFloat(member.amountPaid || 0)) * 100) / 100
+        : null;
+      if (due !== null && due <= 0) {
+        return { intent: 'group_pay', message: `✅ You've already paid your share of *${group.title}*.`, requiresAction: 'NONE' };
+      }
+      if (due === null) {
+        await user.updateConversationState({ ...state, awaitingInput: 'group_amount' });
+        return {
+          intent: 'group_pay',
+          message: `💰 *${group.title}*\n\nHow much would you like to contribute? For example: "5000".`,
+          requiresAction: 'GROUP_AMOUNT'
+        };
+      }
+
+      const balance = await walletService.getWalletBalance(user.id);
+      if (balance.available < due) {
+        return {
+          intent: 'group_pay',
+          message: `❌ Your share of *${group.title}* is ₦${due.toLocaleString()}, but your balance is ₦${balance.available.toLocaleString()}. Fund your wallet and say "pay my share".`,
+          requiresAction: 'NONE'
+        };
+      }
+      state.data.amount = due;
+      await user.updateConversationState(state);
+      return {
+        intent: 'group_pay',
+        message: `💰 *Pay ${group.title}*\n\n💵 Your share: ₦${due.toLocaleString()}\n\nReply with your 4-digit PIN to pay from your wallet, or *cancel* to stop.`,
+        requiresAction: 'GROUP_PIN'
+      };
+    } catch (error) {
+      logger.error('Failed to start group collection action', { error: error.message, userId: user.id, action, memberId });
+      return { intent: 'group_pay', message: `❌ ${error.message}`, requiresAction: 'NONE' };
+    }
+  }
+
+  /**
+   * Regex check for payment requests: "request 5k from 08031234567 for
+   * rent", "create a pay link for 10k", and "my payment requests". Runs
+   * after the group check, which claims messages with several numbers.
+   */
+  detectPaymentRequestIntent(message) {
+    const text = String(message || '').toLowerCase().trim();
+    const hasAmount = this.parseChatAmount(text) !== null;
+
+    if (hasAmount && (/\brequest\b/.test(text) || /\bask\b.*\bfor\b/.test(text)) && this.parseGroupPhoneNumbers(text).length === 1) {
+      return { intent: 'request_money', confidence: 0.95, extractedData: {}, response: '', suggestedAction: 'Request money' };
+    }
+    if (hasAmount && /\b(pay(ment)? ?link|qr code)\b/.test(text) && /\b(create|make|generate|send|get|new)\b/.test(text)) {
+      return { intent: 'request_money', confidence: 0.9, extractedData: { open: true }, response: '', suggestedAction: 'Create a pay link' };
+    }
+    if (/\b(my|show|check|view|see|pending)\s+(my\s+)?(payment requests?|money requests?|requests|pay ?links)\b/.test(text)) {
+      return { intent: 'payment_requests', confidence: 0.9, extractedData: {}, response: '', suggestedAction: 'Show payment requests' };
+    }
+    return null;
+  }
+
+  /**
+   * "request 5k from 0803... for rent" asks that number for money; "create a
+   * pay link for 5k" makes an open link anyone can pay, sent back with its
+   * QR code for sharing.
+   */
+  async handleRequestMoney(user, extractedData, originalMessage) {
+    const paymentRequestService = require('./paymentRequest');
+    const text = String(originalMessage || '');
+    const phones = this.parseGroupPhoneNumbers(text);
+    const amount = this.parseChatAmount(text);
+
+    if (!amount) {
+      return {
+        intent: 'request_money',
+        message: '💸 How much would you like to request? For example: "request 5k from 08031234567 for rent".',
+        requiresAction: 'NONE'
+      };
+    }
+    if (phones.length === 0 && !extractedData?.open) {
+      return {
+        intent: 'request_money',
+        message: '💸 Who should pay? Send their phone number, e.g. "request 5k from 08031234567 for rent", or say "create a pay link for 5k" to get a link anyone can pay.',
+        requiresAction: 'NONE'
+      };
+    }
+
+    try {
+      const { request, payer, payLink } = await paymentRequestService.createRequest(user.id, {
+        amount,
+        payerPhone: phones[0] || null,
+        note: this.parseGroupTitle(text)
+      }, { source: 'whatsapp' });
+      const forNote = request.note ? ` for *${request.note}*` : '';
+
+      if (!request.payerPhone) {
+        try {
+          const qr = await paymentRequestService.getQrCode(request);
+          await messaging.sendImageMessage(user.whatsappNumber, qr, `pay-${request.code}.png`,
+            `Scan to pay ₦${amount.toLocaleString()}${request.note ? ` for ${request.note}` : ''}`);
+        } catch (error) {
+          logger.warn('Failed to send pay link QR code', { error: error.message, requestId: request.id });
+        }
+        return {
+          intent: 'request_money',
+          message: `🔗 *Pay link created*\n\n💰 ₦${amount.toLocaleString()}${forNote}\n${payLink}\n\nShare the link or the QR code. Anyone can pay it by bank transfer into your account, and I'll tell you as soon as it's paid.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      const how = payer
+        ? 'They can pay from their MiiMii wallet with one tap.'
+        : `They're not on MiiMii yet, so I've sent them a pay link to pay by bank transfer:\n${payLink}`;
+      return {
+        intent: 'request_money',
+        message: `✅ *Request sent*\n\n💰 ₦${amount.toLocaleString()}${forNote} from ${request.payerPhone}\n\n${how}\n\nI'll remind them if they haven't paid and let you know once they do. Say "my payment requests" to check.`,
+        requiresAction: 'NONE'
+      };
+    } catch (error) {
+      logger.error('Failed to create payment request from chat', { error: error.message, userId: user.id });
+      return { intent: 'request_money', message: `❌ ${error.message}`, requiresAction: 'NONE' };
+    }
+  }
+
+  async handlePaymentRequestsList(user) {
+    try {
+      const paymentRequestService = require('./paymentRequest');
+      const requests = await paymentRequestService.listForUser(user, { status: 'pending' });
+      const incoming = requests.filter(request => request.requesterId !== user.id);
+      const outgoing = requests.filter(request => request.requesterId === user.id);
+
+      if (requests.length === 0) {
+        return {
+          intent: 'payment_requests',
+          message: '💸 *Payment Requests*\n\nYou have no open payment requests.\n\n💡 Try "request 5k from 08031234567 for rent" or "create a pay link for 10k".',
+          requiresAction: 'NONE'
+        };
+      }
+
+      const describe = request => `₦${parseFloat(request.amount).toLocaleString()}${request.note ? ` for ${request.note}` : ''}`;
+      let message = '💸 *Payment Requests*\n';
+      if (incoming.length > 0) {
+        message += `\n📥 *To pay*\n${incoming.slice(0, 5).map((request, index) => `${index + 1}. ${describe(request)}`).join('\n')}\n`;
+      }
+      if (outgoing.length > 0) {
+        message += `\n📤 *Waiting for*\n${outgoing.slice(0, 5).map((request, index) => `${index + 1}. ${describe(request)} from ${request.payerPhone || 'pay link'}`).join('\n')}\n`;
+      }
+
+      if (incoming.length > 0) {
+        const rows = incoming.slice(0, 10).map(request => ({
+          id: `payreq_pay_${request.id}`,
+          title: `Pay ₦${parseFloat(request.amount).toLocaleString()}`.slice(0, 24),
+          description: (request.note || 'Payment request').slice(0, 72)
+        }));
+        await messaging.sendListMessage(user.whatsappNumber, message.trim(), 'Pay a request', [{ title: 'Requests to pay', rows }]);
+        return { intent: 'payment_requests', message: null, requiresAction: 'NONE' };
+      }
+      return { intent: 'payment_requests', message: message.trim(), requiresAction: 'NONE' };
+    } catch (error) {
+      logger.error('Failed to load payment requests', { error: error.message, userId: user.id });
+      return {
+        intent: 'payment_requests',
+        message: "❌ Sorry, I couldn't load your payment requests. Please try again later.",
+        requiresAction: 'NONE'
+      };
+    }
+  }
+
+  /**
+   * Ask for the PIN to pay a request from the wallet. Used by the Pay
+   * button on the request and by the "my payment requests" list.
+   */
+  async startPaymentRequestPayment(user, requestId) {
+    const paymentRequestService = require('./paymentRequest');
+    try {
+      const request = await paymentRequestService.getPayableRequest(user, requestId);
+      const amount = parseFloat(request.amount);
+
+      const balance = await walletService.getWalletBalance(user.id);
+      if (balance.available < amount) {
+        return {
+          intent: 'payment_requests',
+          message: `❌ This request is for ₦${amount.toLocaleString()}, but your balance is ₦${balance.available.toLocaleString()}. Fund your wallet and tap Pay again.`,
+          requiresAction: 'NONE'
+        };
+      }
+
+      await user.updateConversationState({
+        intent: 'payment_request',
+        awaitingInput: 'payment_request_pin',
+        context: 'payment_request_confirmation',
+        step: 1,
+        data: { requestId: request.id, amount, reference: `PRQ_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}` }
+      });
+      return {
+        intent: 'payment_requests',
+        message: `💸 *Pay request*\n\n💵 Amount: ₦${amount.toLocaleString()}${request.note ? `\n📝 For: ${request.note}` : ''}\n\nReply with your 4-digit PIN to pay from your wallet, or *cancel* to stop.`,
+        requiresAction: 'PAYMENT_REQUEST_PIN'
+      };
+    } catch (error) {
+      logger.error('Failed to start payment request payment', { error: error.message, userId: user.id, requestId });
+      return { intent: 'payment_requests', message: `❌ ${error.message}`, requiresAction: 'NONE' };
+    }
+  }
+
   async handleBeneficiariesList(user) {
     try {
       const beneficiaryService = require('./beneficiary');
-      const whatsappService = require('./whatsapp');
       
       // Get all user beneficiaries
       const beneficiaries = await beneficiaryService.getUserBeneficiaries(user.id, { limit: 20 });
@@ -0,0 +1,184 @@
+const axios = require('axios');
+const { axiosConfig } = require('../utils/httpsAgent');
+const logger = require('../utils/logger');
+const config = require('../config');
+const intentClassifier = require('./intentClassifier');
+
+/**
+ * AI provider selection
+ *
+ * AI_PROVIDER picks where model calls go:
+ * - openai:            AI_API_KEY / AI_BASE_URL / AI_MODEL (the original setup)
+ * - openai_compatible: a server speaking the OpenAI chat API, e.g. a local
+ *                      Ollama or vLLM (AI_COMPATIBLE_BASE_URL / _MODEL / _API_KEY)
+ * - local:             no model at all; intents come from intentClassifier and
+ *                      generated replies fall back to their fixed texts
+ *
+ * Whatever the provider, the offline classifier is always available, and
+ * aiAssistant uses its confidence to decide whether a model call is needed.
+ */
+
+const PROVIDERS = ['openai', 'openai_compatible', 'local'];
+
+class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey, model, requiresKey, timeoutMs }) {
+    this.name = name;
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+    this.model = model;
+    this.requiresKey = requiresKey;
+    this.timeoutMs = timeoutMs;
+    this.suspendedUntil = 0;
+  }
+
+  isAvailable() {
+    if (this.requiresKey && !this.apiKey) return false;
+    return Date.now() >= this.suspendedUntil;
+  }
+
+  /**
+   * Stop sending requests for `ms` (rate limited), or until restart when
+   * `ms` is omitted (key rejected).
+   */
+  suspend(ms = Infinity, reason = null) {
+    this.suspendedUntil = Date.now() + ms;
+    logger.warn('AI provider suspended', {
+      provider: this.name,
+      reason,
+      until: Number.isFinite(this.suspendedUntil) ? new Date(this.suspendedUntil).toISOString() : 'restart'
+    });
+  }
+
+  requestConfig(timeout) {
+    const headers = { ...axiosConfig.headers, 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return { ...axiosConfig, headers, timeout: timeout || this.timeoutMs };
+  }
+
+  /**
+   * POST /chat/completions with this provider's model. Resolves to the axios
+   * response, so callers keep reading `response.data.choices`.
+   */
+  async chatCompletion(body, { timeout } = {}) {
+    if (!this.isAvailable()) {
+      const error = new Error(`AI provider ${this.name} is not available`);
+      error.name = 'AIProviderUnavailableError';
+      error.code = 'AI_PROVIDER_UNAVAILABLE';
+      throw error;
+    }
+    return axios.post(`${this.baseUrl}/chat/completions`, { ...body, model: this.model }, this.requestConfig(timeout));
+  }
+
+  async listModels({ timeout = 10000 } = {}) {
+    return axios.get(`${this.baseUrl}/models`, this.requestConfig(timeout));
+  }
+
+  describe() {
+    const key = this.apiKey;
+    return {
+      provider: this.name,
+      baseUrl: this.baseUrl,
+      model: this.model,
+      hasKey: !!key,
+      apiKeyPreview: key ? (key.length < 8 ? 'TOO_SHORT' : `${key.slice(0, 4)}***${key.slice(-4)}`) : 'NOT_SET',
+      available: this.isAvailable()
+    };
+  }
+}
+
+class AIProviderService {
+  constructor() {
+    const aiConfig = config.getAIConfig();
+    this.settings = aiConfig;
+
+    let provider = aiConfig.provider;
+    if (!PROVIDERS.includes(provider)) {
+      logger.warn('Unknown AI_PROVIDER - falling back to openai', { provider, supported: PROVIDERS });
+      provider = 'openai';
+    }
+    this.providerName = provider;
+    this.llmProvider = this.createLLMProvider(provider, aiConfig);
+
+    logger.info('AI provider selected', {
+      provider,
+      llm: this.llmProvider ? this.llmProvider.describe() : null,
+      escalateBelowConfidence: aiConfig.escalateBelowConfidence,
+      minLocalConfidence: aiConfig.minLocalConfidence
+    });
+  }
+
+  createLLMProvider(provider, aiConfig) {
+    if (provider === 'local') return null;
+
+    if (provider === 'openai_compatible') {
+      return new OpenAICompatibleProvider({
+        name: 'openai_compatible',
+        baseUrl: aiConfig.compatibleBaseUrl,
+        apiKey: aiConfig.compatibleApiKey,
+        model: aiConfig.compatibleModel,
+        requiresKey: false,
+        timeoutMs: aiConfig.requestTimeoutMs
+      });
+    }
+
+    // Same model sanitising aiAssistant has always applied (no gpt-5* on chat/completions)
+    const envModel = (process.env.AI_MODEL || '').trim();
+    return new OpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: process.env.AI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.AI_API_KEY,
+      model: envModel && !/gpt-5/i.test(envModel) ? envModel : 'gpt-4o-mini',
+      requiresKey: true,
+      timeoutMs: aiConfig.requestTimeoutMs
+    });
+  }
+
+  /** The model provider, or null when AI_PROVIDER=local. */
+  llm() {
+    return this.llmProvider;
+  }
+
+  /** True when a model call can be made right now. */
+  hasLLM() {
+    return !!this.llmProvider && this.llmProvider.isAvailable();
+  }
+
+  async chatCompletion(body, options) {
+    if (!this.llmProvider) {
+      const error = new Error('No AI model configured (AI_PROVIDER=local)');
+      error.name = 'AIProviderUnavailableError';
+      error.code = 'AI_PROVIDER_UNAVAILABLE';
+      throw error;
+    }
+    return this.llmProvider.chatCompletion(body, options);
+  }
+
+  /** Pause model calls; no-op for the local provider. */
+  suspend(ms, reason) {
+    if (this.llmProvider) this.llmProvider.suspend(ms, reason);
+  }
+
+  classifyIntent(message) {
+    return intentClassifier.classify(message);
+  }
+
+  get escalateBelowConfidence() {
+    return this.settings.escalateBelowConfidence;
+  }
+
+  get minLocalConfidence() {
+    return this.settings.minLocalConfidence;
+  }
+
+  describe() {
+    return {
+      provider: this.providerName,
+      llm: this.llmProvider ? this.llmProvider.describe() : null,
+      escalateBelowConfidence: this.escalateBelowConfidence,
+      minLocalConfidence: this.minLocalConfidence
+    };
+  }
+}
+
+module.exports = new AIProviderService();
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
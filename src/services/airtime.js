@@ -1,9 +1,12 @@
 const axios = require('axios');
 const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
+const messaging = require('./messaging');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
+const riskService = require('./risk');
 
 class AirtimeService {
   constructor() {
@@ -89,7 +92,7 @@ class AirtimeService {
   }
 
   // Purchase airtime
-  async purchaseAirtime(userId, phoneNumber, network, amount, pin) {
+  async purchaseAirtime(userId, phoneNumber, network, amount, pin, options = {}) {
     try {
       // Get user and validate
       const user = await userService.getUserById(userId);
@@ -97,8 +100,12 @@ class AirtimeService {
         throw new Error('User not found');
       }
 
-      // Validate PIN
-      await userService.validateUserPin(userId, pin);
+      // Validate PIN (scheduled runs carry a pre-authorisation instead)
+      if (options.pinAuthorization) {
+        await userService.verifyPinAuthorization(userId, options.pinAuthorization);
+      } else {
+        await userService.validateUserPin(userId, pin);
+      }
 
       // Validate amount
       const validAmount = this.validateAmount(amount);
@@ -116,8 +123,7 @@ class AirtimeService {
         throw new Error('Insufficient wallet balance');
       }
 
-      // Create transaction record
-      const transaction = await transactionService.createTransaction(userId, {
+      const transactionData = {
         type: 'debit',
         category: 'airtime_purchase',
         amount: validAmount,
@@ -135,90 +141,130 @@ class AirtimeService {
           amount: validAmount,
           phoneNumber: validation.cleanNumber
         }
-      });
+      };
+
+      // Score the purchase; a risky one is stepped up or held before any money moves
+      const riskFields = await riskService.screen(user, {
+        service: 'airtime',
+        transaction: transactionData,
+        counterparty: { type: 'phone_number', value: validation.cleanNumber },
+        resume: { phoneNumber, network, amount: validAmount },
+        pin
+      }, options);
+
+      // Create transaction record
+      const transaction = await transactionService.createTransaction(userId, { ...transactionData, ...riskFields });
 
+      let hold = null;
+      let providerPaid = false;
+      let outcomeUnknown = false;
       try {
-        // Step 1: Check user wallet balance FIRST
+        // Step 1: Reserve the funds; a failed purchase only releases them
         const walletBalance = await walletService.getWalletBalance(userId, true);
-        if (walletBalance.available < totalAmount) {
-          throw new Error(`Insufficient wallet balance. Required: ₦${totalAmount}, Available: ₦${walletBalance.available}`);
+        const available = walletBalance.available + walletService.heldForPayment(options.riskClearance?.fundsHold);
+        if (available < totalAmount) {
+          throw new Error(`Insufficient wallet balance. Required: ₦${totalAmount}, Available: ₦${available}`);
         }
+        hold = await walletService.placeHold(userId, totalAmount, {
+          reference: transaction.reference,
+          transactionId: transaction.id,
+          description: transactionData.description,
+          adopt: options.riskClearance?.fundsHold
+        });
         
-        // Step 2: Check provider (Bilal) balance
-        // Use airtime-specific balance check
-        const bilalService = require('./bilal');
-        await bilalService.checkProviderBalance(validAmount, true); // true = for airtime
-        
-        // Step 3: Process airtime purchase through Bilal API FIRST (before debiting user)
-        // This ensures provider purchase succeeds before we debit the user
-        const purchaseResult = await this.processBilalAirtimePurchase(user, validation.cleanNumber, network, validAmount, pin);
+        // Step 2: Buy from whichever VAS provider is up and has float; see vasGateway
+        const vasGateway = require('./vasGateway');
+        const vend = await vasGateway.purchase('airtime', {
+          phoneNumber: validation.cleanNumber,
+          network,
+          amount: validAmount
+        });
         
-        if (!purchaseResult.success) {
-          // Provider purchase failed - user was never debited, just update transaction
-          await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-            failureReason: purchaseResult.message || 'Provider purchase failed',
-            providerResponse: purchaseResult.response
+        if (vend.status === 'unknown') {
+          // The provider may have delivered; the hold stays until it is reconciled
+          outcomeUnknown = true;
+          await transactionService.updateTransactionStatus(transaction.reference, 'processing', {
+            providerReference: vend.reference,
+            providerResponse: vend.response,
+            metadata: { provider: vend.provider }
           });
+          const pendingError = new Error('Your airtime purchase is still processing with the provider. We will confirm it as soon as they respond.');
+          pendingError.outcomeUnknown = true;
+          pendingError.transactionReference = transaction.reference;
+          throw pendingError;
+        }
 
-          throw new Error(purchaseResult.message || 'Airtime purchase failed');
+        if (vend.status !== 'delivered') {
+          throw new Error(vend.message || 'Airtime purchase failed');
         }
+
+        const purchaseResult = {
+          success: true,
+          provider: vend.provider,
+          data: { network, phone_number: validation.cleanNumber, ...(vend.response || {}), amount: vend.amount },
+          reference: vend.reference,
+          response: vend.response
+        };
         
-        // Step 4: Provider purchase succeeded - now debit user wallet
+        // Step 3: Provider purchase succeeded - capture the hold
         // Use actual amount from provider response if available, otherwise use requested amount
+        providerPaid = true;
         const actualAmount = purchaseResult.data?.amount ? parseFloat(purchaseResult.data.amount) : validAmount;
         const actualTotalAmount = actualAmount + fee;
-        
-        // Re-check wallet balance before debiting (in case it changed)
-        const finalWalletBalance = await walletService.getWalletBalance(userId, true);
-        if (finalWalletBalance.available < actualTotalAmount) {
-          // This should rarely happen, but if it does, we need to handle it
-          // The provider purchase already succeeded, so we need to log this as a critical error
-          logger.error('Critical: Provider purchase succeeded but user wallet insufficient after purchase', {
+
+        try {
+          await walletService.captureHold(hold, {
+            amount: actualTotalAmount,
+            description: `Airtime purchase: ₦${actualAmount}`,
+            metadata: {
+              category: 'airtime_purchase',
+              transactionId: transaction.id,
+              provider: purchaseResult.provider,
+              providerReference: purchaseResult.reference,
+              providerResponse: purchaseResult.response
+            }
+          });
+        } catch (captureError) {
+          // The provider already delivered, so the hold is kept for reconciliation
+          logger.error('Critical: Provider purchase succeeded but the funds hold could not be captured', {
             userId,
+            error: captureError.message,
             required: actualTotalAmount,
-            available: finalWalletBalance.available,
             transactionReference: transaction.reference
           });
-          
-          // Update transaction as failed
+          await walletService.flagHoldForReconciliation(hold, captureError.message);
+
           await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-            failureReason: 'Insufficient wallet balance after provider purchase',
+            failureReason: `Could not capture funds after provider purchase: ${captureError.message}`,
             providerReference: purchaseResult.reference,
             providerResponse: purchaseResult.response,
             criticalError: true
           });
-          
-          throw new Error('Insufficient wallet balance after provider purchase. Please contact support.');
+
+          throw new Error('Airtime was sent but the payment could not be recorded. Please contact support.');
         }
         
-        // Debit wallet with actual amount
-        await walletService.debitWallet(userId, actualTotalAmount, `Airtime purchase: ₦${actualAmount}`, {
-          category: 'airtime_purchase',
-          transactionId: transaction.id,
-          providerReference: purchaseResult.reference,
-          providerResponse: purchaseResult.response
-        });
-        
-        // Step 5: Transfer amount to parent account (after successful purchase and debit)
+        // Step 4: Transfer amount to parent account (after successful purchase and debit)
         const bankTransferService = require('./bankTransfer');
         await bankTransferService.transferToParentAccount(userId, actualTotalAmount, 'airtime', transaction.reference);
         
-        // Step 6: Update transaction status
+        // Step 5: Update transaction status
         await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
+          metadata: { provider: purchaseResult.provider },
           providerReference: purchaseResult.reference,
           providerResponse: purchaseResult.response,
           actualAmount: actualAmount,
           actualTotalAmount: actualTotalAmount
         });
 
-        // Step 7: Generate and send receipt
+        // Step 6: Generate and send receipt
         let receiptSent = false;
         try {
           const receiptService = require('./receipt');
-          const whatsappService = require('./whatsapp');
           const activityLogger = require('./activityLogger');
           
           const receiptData = {
+            language: i18n.languageOf(user),
             network: purchaseResult.data?.network || network,
             phoneNumber: purchaseResult.data?.phone_number || validation.cleanNumber,
             amount: actualAmount,
@@ -236,7 +282,7 @@ class AirtimeService {
           };
 
           const receiptBuffer = await receiptService.generateAirtimeReceipt(receiptData);
-          await whatsappService.sendImageMessage(user.whatsappNumber, receiptBuffer, 'receipt.jpg');
+          await messaging.sendImageMessage(user.whatsappNumber, receiptBuffer, 'receipt.jpg');
           receiptSent = true;
           
           // Log activity
@@ -250,21 +296,20 @@ class AirtimeService {
               phoneNumber: receiptData.phoneNumber,
               amount: actualAmount,
               discount: receiptData.discount,
-              provider: 'bilal',
+              provider: purchaseResult.provider,
               success: true,
               source: 'api'
             }
           );
         } catch (receiptError) {
           logger.warn('Failed to generate receipt, sending text message only', { error: receiptError.message });
-          const whatsappService = require('./whatsapp');
           const successMessage = `✅ *Airtime Purchase Successful!*\n\n` +
             `Network: ${purchaseResult.data?.network || network}\n` +
             `Phone: ${purchaseResult.data?.phone_number || validation.cleanNumber}\n` +
             `Amount: ₦${actualAmount}\n` +
             `Reference: ${purchaseResult.reference || transaction.reference}\n\n` +
             `${purchaseResult.data?.message || 'Airtime purchase completed successfully'}`;
-          await whatsappService.sendTextMessage(user.whatsappNumber, successMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, successMessage);
           receiptSent = true; // Mark as sent even if it's text fallback
         }
 
@@ -293,14 +338,32 @@ class AirtimeService {
           provider: purchaseResult
         };
       } catch (providerError) {
-        // Provider error - user was never debited, so no refund needed
-        const isBalanceCheckError = providerError.message && providerError.message.includes('Provider has insufficient balance');
+        if (outcomeUnknown) {
+          logger.warn('Airtime purchase outcome unknown, leaving funds held', {
+            userId,
+            reference: transaction.reference
+          });
+          await walletService.flagHoldForReconciliation(hold, 'Purchase outcome unknown at the provider');
+          try {
+            await messaging.sendTextMessage(user.whatsappNumber, `⏳ ${providerError.message}`);
+          } catch (messageError) {
+            logger.warn('Failed to send pending message to user', { error: messageError.message });
+          }
+          throw providerError;
+        }
+
+        // Provider error - user was never debited, so releasing the hold is enough
+        const providerUnavailable = providerError.message && providerError.message.includes('temporarily unavailable');
+
+        if (hold && !providerPaid) {
+          await walletService.releaseHoldAfterFailure(hold, providerError.message);
+        }
         
         logger.info('Airtime purchase failed before user debit', {
           userId,
           transactionReference: transaction.reference,
           error: providerError.message,
-          isBalanceCheckError
+          providerUnavailable
         });
         
         // Update transaction as failed
@@ -311,9 +374,8 @@ class AirtimeService {
 
         // Send error message to user
         try {
-          const whatsappService = require('./whatsapp');
           const errorMessage = `❌ Airtime purchase failed!\n\nReason: ${providerError.message}\n\nPlease try again or contact support.`;
-          await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
         } catch (messageError) {
           logger.warn('Failed to send error message to user', { error: messageError.message });
         }
@@ -326,43 +388,6 @@ class AirtimeService {
     }
   }
 
-  // Process airtime purchase through Bilal API
-  async processBilalAirtimePurchase(user, phoneNumber, network, amount, pin) {
-    try {
-      const bilalService = require('./bilal');
-      
-      logger.info('Processing airtime purchase through Bilal API', {
-        userId: user.id,
-        phoneNumber,
-        network,
-        amount
-      });
-
-      const airtimeData = {
-        phoneNumber,
-        network,
-        amount,
-        pin: pin // Use the validated PIN
-      };
-
-      const result = await bilalService.purchaseAirtime(user, airtimeData, phoneNumber);
-      
-      logger.info('Bilal airtime purchase completed', {
-        success: result.success,
-        userId: user.id,
-        phoneNumber,
-        network,
-        amount,
-        reference: result.reference
-      });
-
-      return result;
-    } catch (error) {
-      logger.error('Airtime purchase failed', { error: error.message, userId: user.id, phoneNumber, network, amount });
-      throw error;
-    }
-  }
-
   // Get airtime purchase history for user
   async getAirtimePurchaseHistory(userId, limit = 10, offset = 0) {
     try {
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
+const messaging = require('./messaging');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
@@ -8,6 +10,9 @@ const rubiesService = require('./rubies');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const idempotencyService = require('./idempotency');
+const riskService = require('./risk');
+const transferRailService = require('./transferRails');
 
 class BankTransferService {
   constructor() {
@@ -182,8 +187,8 @@ class BankTransferService {
         }
       }
 
-      // Use Rubies name enquiry for account validation
-      const accountDetails = await rubiesService.nameEnquiry(cleanAccountNumber, institutionCode);
+      // Name enquiry on the best available transfer rail
+      const accountDetails = await transferRailService.nameEnquiry(cleanAccountNumber, institutionCode);
       
       if (accountDetails && (accountDetails.account_name || accountDetails.accountName)) {
         // Get proper bank name from bank code since Rubies doesn't return bank name
@@ -571,8 +576,23 @@ class BankTransferService {
     }
   }
 
-  // Process bank transfer
-  async processBankTransfer(userId, transferData, pin) {
+  // Process bank transfer. options.idempotencyKey makes repeated calls with the
+  // same key (e.g. a duplicated WhatsApp confirmation) return the first result;
+  // options.pinAuthorization replaces the PIN for pre-authorised runs
+  async processBankTransfer(userId, transferData, pin, options = {}) {
+    if (options.idempotencyKey) {
+      const { accountNumber, bankCode, amount, narration } = transferData;
+      return idempotencyService.execute({
+        userId,
+        scope: options.idempotencyScope || 'bank_transfer',
+        key: options.idempotencyKey,
+        payload: { accountNumber, bankCode, amount: parseFloat(amount), narration }
+      }, () => this.processBankTransfer(userId, transferData, pin, {
+        pinAuthorization: options.pinAuthorization,
+        riskOtp: options.riskOtp
+      }));
+    }
+
     try {
       const { accountNumber, bankCode, amount, narration, reference } = transferData;
 
@@ -582,8 +602,12 @@ class BankTransferService {
         throw new Error('User not found');
       }
 
-      // Validate PIN
-      await userService.validateUserPin(userId, pin);
+      // Validate PIN (scheduled runs carry a pre-authorisation instead)
+      if (options.pinAuthorization) {
+        await userService.verifyPinAuthorization(userId, options.pinAuthorization);
+      } else {
+        await userService.validateUserPin(userId, pin);
+      }
 
       // Validate account
       const accountValidation = await this.validateBankAccount(accountNumber, bankCode);
@@ -600,7 +624,8 @@ class BankTransferService {
       // Check wallet balance BEFORE creating transaction
       // Sync with Rubies to get the latest balance
       const walletBalanceData = await walletService.getWalletBalance(userId, true); // Sync with Rubies
-      const walletBalance = walletBalanceData.available || walletBalanceData.total || 0;
+      const walletBalance = (walletBalanceData.available || walletBalanceData.total || 0) +
+        walletService.heldForPayment(options.riskClearance?.fundsHold);
       const totalAmount = feeCalculation.totalAmount;
 
       // Check if user has sufficient balance
@@ -624,7 +649,9 @@ class BankTransferService {
           if (rubiesBalance.success) {
             const rubiesAccountBalance = parseFloat(rubiesBalance.accountBalance || 0);
             
-            if (rubiesAccountBalance < totalAmount) {
+            // Transfers paid on another rail still sit in the Rubies wallet until swept
+            const awaitingSweep = await transferRailService.pendingSettlementTotal(userId);
+            if (rubiesAccountBalance - awaitingSweep < totalAmount) {
               // Sync local balance with Rubies balance
               await walletService.getWalletBalance(userId, true);
               
@@ -647,8 +674,7 @@ class BankTransferService {
         }
       }
 
-      // Create transaction record
-      const transaction = await transactionService.createTransaction(userId, {
+      const transactionData = {
         type: 'debit',
         category: 'bank_transfer',
         amount: feeCalculation.amount,
@@ -669,11 +695,44 @@ class BankTransferService {
           feeBreakdown: feeCalculation,
           accountValidation
         }
-      });
+      };
+
+      // Score the transfer; a risky one is stepped up or held before any money moves
+      const riskFields = await riskService.screen(user, {
+        service: 'bank_transfer',
+        transaction: transactionData,
+        counterparty: { type: 'bank_account', value: accountValidation.accountNumber },
+        resume: { transferData: { accountNumber, bankCode, amount, narration } },
+        pin
+      }, options);
 
+      // Create transaction record
+      const transaction = await transactionService.createTransaction(userId, { ...transactionData, ...riskFields });
+
+      // Reserve the funds before Rubies is called; a failed transfer only
+      // releases the hold, so there is nothing to refund
+      let hold;
       try {
-        // Process transfer through Rubies API
-        const transferResult = await this.processRubiesTransfer({
+        hold = await walletService.placeHold(userId, feeCalculation.totalAmount, {
+          reference: transaction.reference,
+          transactionId: transaction.id,
+          description: transactionData.description,
+          adopt: options.riskClearance?.fundsHold
+        });
+      } catch (holdError) {
+        await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
+          failureReason: holdError.message
+        });
+        if (holdError.message === 'Insufficient balance') {
+          throw new Error('Insufficient wallet balance. Part of your balance is reserved for a payment that is still processing.');
+        }
+        throw holdError;
+      }
+
+      let providerPaid = false;
+      let outcomeUnknown = false;
+      try {
+        const transferResult = await this.sendThroughRails({
           userId: userId,
           accountNumber: accountValidation.accountNumber,
           bankCode: accountValidation.bankCode,
@@ -683,14 +742,30 @@ class BankTransferService {
           senderName: `${user.firstName} ${user.lastName}`.trim() || user.whatsappNumber,
           beneficiaryName: accountValidation.accountName,
           bankName: accountValidation.bankName || accountValidation.bank
-        });
+        }, transaction, wallet);
+
+        if (transferResult.outcomeUnknown) {
+          // The rail may have sent it; the hold stays until the provider reports back
+          outcomeUnknown = true;
+          await transactionService.updateTransactionStatus(transaction.reference, 'processing', {
+            providerResponse: transferResult.response
+          });
+          const pendingError = new Error('Your transfer is still processing with the bank. We will confirm it as soon as the bank responds.');
+          pendingError.outcomeUnknown = true;
+          throw pendingError;
+        }
 
         if (transferResult.success) {
-          // Debit wallet
-          await walletService.debitWallet(userId, feeCalculation.totalAmount, 
-            `Bank transfer to ${accountValidation.accountName}`, {
-            category: 'bank_transfer',
-            transactionId: transaction.id
+          providerPaid = true;
+
+          // Capture the hold as the debit
+          await walletService.captureHold(hold, {
+            description: `Bank transfer to ${accountValidation.accountName}`,
+            metadata: {
+              category: 'bank_transfer',
+              transactionId: transaction.id,
+              feePortion: feeCalculation.totalFee
+            }
           });
 
           // Sync balance with Rubies after transfer debit (debitWallet already syncs, but ensure it happens)
@@ -894,6 +969,30 @@ class BankTransferService {
           throw new Error(transferResult.message || 'Bank transfer failed');
         }
       } catch (providerError) {
+        if (outcomeUnknown) {
+          logger.warn('Bank transfer outcome unknown, leaving funds held', {
+            userId,
+            reference: transaction.reference
+          });
+          await walletService.extendHold(hold, 'Transfer outcome unknown at the provider');
+          throw providerError;
+        }
+
+        if (providerPaid) {
+          // The money has left; the hold stays until it is captured or reconciled
+          logger.error('CRITICAL: Bank transfer sent but not recorded', {
+            error: providerError.message,
+            userId,
+            reference: transaction.reference
+          });
+          await walletService.flagHoldForReconciliation(hold, providerError.message);
+          const unrecordedError = new Error('Your transfer was sent but is still being recorded. Please check your transaction history shortly.');
+          unrecordedError.outcomeUnknown = true;
+          throw unrecordedError;
+        }
+
+        await walletService.releaseHoldAfterFailure(hold, providerError.message);
+
         // Update transaction as failed
         await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
           failureReason: providerError.message
@@ -920,6 +1019,12 @@ class BankTransferService {
         throw new Error(`Bank transfer failed: ${providerError.message}`);
       }
     } catch (error) {
+      // Step-up and review outcomes, and transfers in an unknown state, carry
+      // their own message
+      if (error.name === 'RiskError' || error.outcomeUnknown) {
+        throw error;
+      }
+
       logger.error('Bank transfer failed', { error: error.message, userId, transferData });
       
       // Provide more specific error messages based on error type
@@ -933,14 +1038,44 @@ class BankTransferService {
         throw new Error('Invalid PIN. Please try again.');
       } else if (error.message.includes('Transfer processed')) {
         // This is a misleading error - the transfer actually succeeded
-        throw new Error('Transfer completed successfully, but notification failed. Please check your transaction history.');
+        const completedError = new Error('Transfer completed successfully, but notification failed. Please check your transaction history.');
+        completedError.outcomeUnknown = true;
+        throw completedError;
       } else {
         throw new Error(`Transfer failed: ${error.message}`);
       }
     }
   }
 
-  // Process transfer through Rubies API
+  // Send a customer transfer through the transfer rails and record the rail
+  // on the transaction. With no rail configured (local development) this
+  // falls back to processRubiesTransfer and its mock response.
+  async sendThroughRails(transferData, transaction, wallet) {
+    if (transferRailService.rank(transferData.bankCode).length === 0) {
+      return this.processRubiesTransfer(transferData);
+    }
+
+    const result = await transferRailService.sendTransfer(transferData);
+    await transferRailService.recordTransfer(transaction, wallet, result);
+
+    logger.info('Transfer rail result', {
+      reference: transferData.reference,
+      rail: result.rail,
+      status: result.status,
+      attempts: result.attempts.length
+    });
+
+    return {
+      success: result.status === 'sent',
+      outcomeUnknown: result.status === 'unknown',
+      rail: result.rail,
+      reference: result.providerReference,
+      message: result.message,
+      response: result.response,
+      responseCode: result.responseCode
+    };
+  }
+
   async processRubiesTransfer(transferData) {
     try {
       if (!process.env.RUBIES_API_KEY) {
@@ -1082,7 +1217,6 @@ class BankTransferService {
   async sendTransferSuccessNotification(user, accountValidation, feeCalculation, reference, bankCode) {
     try {
       const receiptService = require('./receipt');
-      const whatsappService = require('./whatsapp');
       
       // Get proper bank name for receipt using enhanced resolution
       const bankName = accountValidation.bankName || 
@@ -1091,7 +1225,7 @@ class BankTransferService {
                      'Bank';
 
       const receiptData = {
-        type: 'Bank Transfer',
+        language: i18n.languageOf(user),
         amount: parseFloat(feeCalculation.amount),
         fee: parseFloat(feeCalculation.totalFee),
         totalAmount: parseFloat(feeCalculation.totalAmount),
@@ -1106,7 +1240,7 @@ class BankTransferService {
       // Try to generate and send receipt image
       try {
         const receiptBuffer = await receiptService.generateTransferReceipt(receiptData);
-        await whatsappService.sendImageMessage(user.whatsappNumber, receiptBuffer, 'transfer-receipt.jpg', 'Transfer Receipt');
+        await messaging.sendImageMessage(user.whatsappNumber, receiptBuffer, 'transfer-receipt.jpg', 'Transfer Receipt');
         logger.info('Transfer receipt image sent successfully', { userId: user.id, reference });
       } catch (imageError) {
         logger.warn('Failed to generate/send receipt image, falling back to text', { 
@@ -1126,7 +1260,7 @@ class BankTransferService {
                           `📅 Date: ${new Date().toLocaleString('en-GB')}\n\n` +
                           `Your transfer has been completed successfully! 🎉`;
         
-        await whatsappService.sendTextMessage(user.whatsappNumber, textMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, textMessage);
         logger.info('Transfer success text message sent', { userId: user.id, reference });
       }
       
@@ -1199,7 +1333,7 @@ class BankTransferService {
                           `"Send ₦1k to my mum"\n\n` +
                           `Reply *YES* to save or *NO* to skip.`;
         
-        await whatsappService.sendTextMessage(user.whatsappNumber, savePrompt);
+        await messaging.sendTextMessage(user.whatsappNumber, savePrompt);
         
         // Final reload to verify state is still there
         await user.reload();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
 const transactionService = require('./transaction');
 const activityLogger = require('./activityLogger');
 const userService = require('./user');
@@ -8,7 +9,7 @@ const databaseService = require('./database');
 const supabaseHelper = require('./supabaseHelper');
 const { supabase } = require('../database/connection');
 const { axiosConfig } = require('../utils/httpsAgent');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const RetryHelper = require('../utils/retryHelper');
 
 class BellBankService {
@@ -1273,6 +1274,19 @@ class BellBankService {
       });
 
       if (!wallet) {
+        // Not a static account: a disposable collection account for an invoice or payment request
+        const collectionAccountService = require('./collectionAccount');
+        const collectionAccount = await collectionAccountService.findByAccountNumber(data.accountNumber);
+        if (collectionAccount) {
+          return await collectionAccountService.handleCredit(collectionAccount, {
+            amount: data.amount,
+            reference: data.reference,
+            senderName: data.senderName,
+            senderBank: data.senderBank,
+            narration: data.narration || data.remarks
+          });
+        }
+
         logger.warn('Wallet not found for virtual account credit', { 
           accountNumber: data.accountNumber 
         });
@@ -1379,7 +1393,15 @@ class BellBankService {
                            `💰 New Balance: ₦${parseFloat(wallet.balance).toLocaleString()}\n\n` +
                            `You can now send money, buy airtime, or pay bills! 🎉`;
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, fundingMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, fundingMessage);
+
+      // A transfer from someone paying one of the user's pay links settles that request
+      await require('./paymentRequest').handleIncomingCredit(user.id, {
+        amount: parseFloat(data.amount),
+        reference: transaction.reference,
+        narration: data.narration || data.remarks,
+        senderName: data.senderName
+      });
 
       logger.info('Virtual account credit processed successfully', {
         userId: user.id,
@@ -1425,6 +1447,9 @@ class BellBankService {
         providerResponse: data
       });
 
+      // Take the held funds now the transfer has gone through
+      await walletService.captureCompletedTransfer(transaction);
+
       // Find user and send notification
       const user = await userService.getUserById(transaction.userId);
       if (user) {
@@ -1432,7 +1457,7 @@ class BellBankService {
         let receiptSent = false;
         try {
           const receiptData = {
-            type: 'Bank Transfer',
+            language: i18n.languageOf(user),
             amount: parseFloat(transaction.amount),
             fee: parseFloat(transaction.fee || 0),
             totalAmount: parseFloat(transaction.totalAmount),
@@ -1454,7 +1479,7 @@ class BellBankService {
 
           const receiptService = require('./receipt');
           const receiptBuffer = await receiptService.generateTransferReceipt(receiptData);
-          await whatsappService.sendImageMessage(user.whatsappNumber, receiptBuffer, 'receipt.jpg');
+          await messaging.sendImageMessage(user.whatsappNumber, receiptBuffer, 'receipt.jpg');
           receiptSent = true;
         } catch (receiptError) {
           logger.warn('Failed to generate transfer receipt, sending text message only', { error: receiptError.message });
@@ -1467,7 +1492,7 @@ class BellBankService {
                                   `📄 Reference: ${transaction.reference}\n\n` +
                                   `Your transfer has been completed successfully! 🎉`;
 
-          await whatsappService.sendTextMessage(user.whatsappNumber, completionMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, completionMessage);
           receiptSent = true; // Mark as sent even if it's text fallback
         }
       }
@@ -1516,8 +1541,9 @@ class BellBankService {
         failureReason: data.failureReason || data.message || 'Transfer failed'
       });
 
-      // Refund the user's wallet
-      const wallet = await walletService.getUserWallet(transaction.userId);
+      // Release the held funds; only a transfer already debited needs a refund
+      const released = await walletService.releaseTransactionHold(transaction, data.failureReason || data.message || 'Transfer failed');
+      const wallet = released ? null : await walletService.getUserWallet(transaction.userId);
       if (wallet) {
         await walletService.creditWallet(transaction.userId, transaction.totalAmount, 'Transfer refund', {
           category: 'refund',
@@ -1535,14 +1561,15 @@ class BellBankService {
                              `Your transfer could not be completed. The amount has been refunded to your wallet.\n\n` +
                              `Please try again or contact support if the issue persists.`;
 
-        await whatsappService.sendTextMessage(user.whatsappNumber, failureMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, failureMessage);
       }
 
       logger.info('Transfer failure processed successfully', {
         transactionId: transaction.id,
         reference: data.reference,
         status: 'failed',
-        refunded: true
+        refunded: !released,
+        holdReleased: released
       });
 
       return { 
@@ -1583,8 +1610,9 @@ class BellBankService {
         failureReason: data.reversalReason || 'Transfer reversed'
       });
 
-      // Refund the user's wallet
-      const wallet = await walletService.getUserWallet(transaction.userId);
+      // Release the held funds; only a transfer already debited needs a refund
+      const released = await walletService.releaseTransactionHold(transaction, data.reversalReason || 'Transfer reversed');
+      const wallet = released ? null : await walletService.getUserWallet(transaction.userId);
       if (wallet) {
         await walletService.creditWallet(transaction.userId, transaction.totalAmount, 'Transfer reversal refund', {
           category: 'refund',
@@ -1602,14 +1630,15 @@ class BellBankService {
                               `Your transfer has been reversed. The amount has been refunded to your wallet.\n\n` +
                               `Please contact support if you have any questions.`;
 
-        await whatsappService.sendTextMessage(user.whatsappNumber, reversalMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, reversalMessage);
       }
 
       logger.info('Transfer reversal processed successfully', {
         transactionId: transaction.id,
         reference: data.reference,
         status: 'reversed',
-        refunded: true
+        refunded: !released,
+        holdReleased: released
       });
 
       return { 
@@ -1773,7 +1802,7 @@ class BellBankService {
         `Your wallet has been credited! 🎉\n\n` +
         `Check your balance: Type "balance"`;
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, notificationMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, notificationMessage);
 
       logger.info('Incoming transfer processed successfully', {
         userId: user.id,
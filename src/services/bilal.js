@@ -1,8 +1,9 @@
 const axios = require('axios');
 const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
 const walletService = require('./wallet');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const bellbankService = require('./bellbank');
 const feesService = require('./fees');
 const RetryHelper = require('../utils/retryHelper');
@@ -269,16 +270,42 @@ class BilalService {
     }
   }
 
+  // Nothing is refunded when a purchase fails: an uncaptured hold goes back
+  // to the user, unless the provider delivered or may have, in which case
+  // it is kept for reconciliation
+  async settleHoldAfterError(hold, { providerPaid, captured }, error) {
+    if (!hold || captured) {
+      return;
+    }
+
+    if (error.outcomeUnknown) {
+      logger.warn('VAS purchase outcome unknown, leaving funds held', { holdId: hold.id, userId: hold.userId });
+      await walletService.flagHoldForReconciliation(hold, 'Purchase outcome unknown at the provider');
+    } else if (providerPaid) {
+      logger.error('Critical: the provider delivered but the funds hold could not be captured', {
+        error: error.message,
+        holdId: hold.id,
+        userId: hold.userId
+      });
+      await walletService.flagHoldForReconciliation(hold, error.message);
+    } else {
+      await walletService.releaseHoldAfterFailure(hold, error.message);
+    }
+  }
+
   // AIRTIME SERVICE
   async purchaseAirtime(user, airtimeData, userPhoneNumber) {
     try {
-      const { phoneNumber, network, amount, pin } = airtimeData;
+      const { phoneNumber, network, amount, pin, pinAuthorization } = airtimeData;
 
       // Check PIN status first - if disabled, skip PIN validation entirely
       const userService = require('./user');
       const pinStatus = await userService.getPinStatus(user.id);
       
-      if (pinStatus.pinEnabled) {
+      if (pinAuthorization) {
+        // Scheduled run - PIN was given when the schedule was authorised
+        await userService.verifyPinAuthorization(user.id, pinAuthorization);
+      } else if (pinStatus.pinEnabled) {
         // PIN is enabled - require and validate 4-digit transaction PIN
         if (!pin || !/^\d{4}$/.test(String(pin))) {
           throw new Error('Transaction PIN required. Please enter a valid 4-digit PIN.');
@@ -312,141 +339,26 @@ class BilalService {
         throw new Error(`Insufficient balance. Required: ₦${requiredAmount}, Available: ₦${walletBalance}`);
       }
 
-      // Generate unique request ID (will be overridden with simple format below)
-      const requestId = `Airtime_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-
-      // Get token - use airtime-specific token generation
-      logger.info('About to generate token for airtime purchase', {
-        hasUsername: !!this.username,
-        hasPassword: !!this.password,
-        airtimeBaseURL: this.airtimeBaseURL,
-        mainBaseURL: this.baseURL
-      });
-      
-      let tokenData;
-      try {
-        tokenData = await this.generateToken(true); // true = for airtime
-        
-        logger.info('Token generated for airtime purchase', {
-          hasToken: !!tokenData.token,
-          tokenLength: tokenData.token ? tokenData.token.length : 0,
-          hasBalance: !!tokenData.balance,
-          hasUsername: !!tokenData.username,
-          balance: tokenData.balance
-        });
-      } catch (tokenError) {
-        logger.error('Token generation failed for airtime purchase', {
-          error: tokenError.message,
-          stack: tokenError.stack
-        });
-        throw new Error(`Token generation failed: ${tokenError.message}`);
-      }
-
-      // Purchase airtime via BILALSADASUB API
-      // Convert to Nigerian phone number format (11 digits starting with 0)
-      let cleanPhoneNumber = phoneNumber;
-      
-      // If it starts with +234, remove it and add 0
-      if (phoneNumber.startsWith('+234')) {
-        cleanPhoneNumber = '0' + phoneNumber.substring(4);
-      }
-      // If it starts with 234, remove it and add 0
-      else if (phoneNumber.startsWith('234')) {
-        cleanPhoneNumber = '0' + phoneNumber.substring(3);
-      }
-      // If it doesn't start with 0, add 0 (in case it's already without country code)
-      else if (!phoneNumber.startsWith('0')) {
-        cleanPhoneNumber = '0' + phoneNumber;
-      }
-      
-      // Validate phone number format
-      if (!/^0[789][01][0-9]{8}$/.test(cleanPhoneNumber)) {
-        throw new Error(`Invalid phone number format: ${cleanPhoneNumber}. Phone number must be 11 digits starting with 070, 071, 080, 081, 090, or 091`);
-      }
-      
-      // Validate amount
-      if (amount < 50 || amount > 50000) {
-        throw new Error(`Invalid amount: ₦${amount}. Amount must be between ₦50 and ₦50,000`);
-      }
-      
-      // Generate simple request ID as per documentation format
-      const simpleRequestId = `Airtime_${Date.now()}`;
-      
-      // Debug: Log the phone number types
-      logger.info('Phone number processing debug', {
-        originalPhoneNumber: phoneNumber,
-        cleanPhoneNumber: cleanPhoneNumber,
-        cleanPhoneNumberType: typeof cleanPhoneNumber,
-        cleanPhoneNumberLength: cleanPhoneNumber.length
-      });
-      
-      const payload = {
-        network: networkId,
-        phone: cleanPhoneNumber, // Send as string with leading 0 as per documentation
-        plan_type: 'VTU', // Required field as per official documentation
-        bypass: false,
-        amount: amount,
-        'request-id': simpleRequestId
-      };
-
-      logger.info('Making airtime purchase request to Bilal API', {
-        payload,
-        tokenLength: tokenData.token ? tokenData.token.length : 0,
-        networkId,
-        phoneNumber: cleanPhoneNumber,
-        originalPhoneNumber: phoneNumber,
-        amount,
-        endpoint: '/topup',
-        method: 'POST',
-        baseURL: this.airtimeBaseURL,
-        fullPayload: JSON.stringify(payload)
-      });
+      const response = await this.vendAirtime({ phoneNumber, network, amount });
 
-      // Use airtime-specific base URL for airtime purchases
-      const response = await this.makeRequest('POST', '', payload, tokenData.token, this.airtimeBaseURL);
-
-      logger.info('Bilal API airtime response received', {
-        status: response.status,
-        responseKeys: Object.keys(response),
-        hasAmount: !!response.amount,
-        hasMessage: !!response.message,
+      // NOTE: Wallet debit is now handled by the calling service (airtime.js)
+      // This method only handles the provider API call and returns the response
+      logger.info('Airtime purchase successful from provider', {
+        userId: user.id,
+        network: response.network,
+        phoneNumber: response.phone_number,
+        amount: parseFloat(response.amount),
         requestId: response['request-id'],
-        fullResponse: JSON.stringify(response)
+        note: 'Wallet debit will be handled by calling service'
       });
 
-      if (response.status === 'success') {
-        // NOTE: Wallet debit is now handled by the calling service (airtime.js)
-        // This method only handles the provider API call and returns the response
-        const actualAmount = parseFloat(response.amount);
-        
-        logger.info('Airtime purchase successful from provider', {
-          userId: user.id,
-          network: response.network,
-          phoneNumber: response.phone_number,
-          amount: actualAmount,
-          requestId: simpleRequestId,
-          note: 'Wallet debit will be handled by calling service'
-        });
-
-        return {
-          success: true,
-          data: response,
-          reference: response['request-id'],
-          response: response,
-          message: null // Receipt will be handled by calling service
-        };
-
-      } else {
-        // Provide more specific error messages based on Bilal response
-        let errorMessage = response.message || 'Airtime purchase failed';
-        
-        // Check for common failure reasons
-        if (errorMessage.includes('Transaction fail')) {
-          errorMessage = `Airtime purchase failed: ${errorMessage}. This could be due to:\n• Invalid phone number\n• Network mismatch\n• Service temporarily unavailable\n\nPlease verify the phone number and network, then try again.`;
-        }
-        
-        throw new Error(errorMessage);
-      }
+      return {
+        success: true,
+        data: response,
+        reference: response['request-id'],
+        response: response,
+        message: null // Receipt will be handled by calling service
+      };
 
     } catch (error) {
       logger.error('Airtime purchase failed from provider', { 
@@ -461,6 +373,133 @@ class BilalService {
     }
   }
 
+  /**
+   * Top up airtime with Bilal and nothing else: no PIN, wallet or ledger
+   * work. Resolves to Bilal's response when it reports success and throws
+   * otherwise; a refusal carries Bilal's response as `bilalResponse`.
+   */
+  async vendAirtime({ phoneNumber, network, amount, reference }) {
+    const networkId = this.networkMapping[String(network).toUpperCase()];
+    if (!networkId) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+
+    // Get token - use airtime-specific token generation
+    logger.info('About to generate token for airtime purchase', {
+      hasUsername: !!this.username,
+      hasPassword: !!this.password,
+      airtimeBaseURL: this.airtimeBaseURL,
+      mainBaseURL: this.baseURL
+    });
+    
+    let tokenData;
+    try {
+      tokenData = await this.generateToken(true); // true = for airtime
+      
+      logger.info('Token generated for airtime purchase', {
+        hasToken: !!tokenData.token,
+        tokenLength: tokenData.token ? tokenData.token.length : 0,
+        hasBalance: !!tokenData.balance,
+        hasUsername: !!tokenData.username,
+        balance: tokenData.balance
+      });
+    } catch (tokenError) {
+      logger.error('Token generation failed for airtime purchase', {
+        error: tokenError.message,
+        stack: tokenError.stack
+      });
+      throw new Error(`Token generation failed: ${tokenError.message}`);
+    }
+
+    // Purchase airtime via BILALSADASUB API
+    // Convert to Nigerian phone number format (11 digits starting with 0)
+    let cleanPhoneNumber = phoneNumber;
+    
+    // If it starts with +234, remove it and add 0
+    if (phoneNumber.startsWith('+234')) {
+      cleanPhoneNumber = '0' + phoneNumber.substring(4);
+    }
+    // If it starts with 234, remove it and add 0
+    else if (phoneNumber.startsWith('234')) {
+      cleanPhoneNumber = '0' + phoneNumber.substring(3);
+    }
+    // If it doesn't start with 0, add 0 (in case it's already without country code)
+    else if (!phoneNumber.startsWith('0')) {
+      cleanPhoneNumber = '0' + phoneNumber;
+    }
+    
+    // Validate phone number format
+    if (!/^0[789][01][0-9]{8}$/.test(cleanPhoneNumber)) {
+      throw new Error(`Invalid phone number format: ${cleanPhoneNumber}. Phone number must be 11 digits starting with 070, 071, 080, 081, 090, or 091`);
+    }
+    
+    // Validate amount
+    if (amount < 50 || amount > 50000) {
+      throw new Error(`Invalid amount: ₦${amount}. Amount must be between ₦50 and ₦50,000`);
+    }
+    
+    // The caller's reference doubles as the request-id so callbacks can be matched
+    const simpleRequestId = reference || `Airtime_${Date.now()}`;
+    
+    // Debug: Log the phone number types
+    logger.info('Phone number processing debug', {
+      originalPhoneNumber: phoneNumber,
+      cleanPhoneNumber: cleanPhoneNumber,
+      cleanPhoneNumberType: typeof cleanPhoneNumber,
+      cleanPhoneNumberLength: cleanPhoneNumber.length
+    });
+    
+    const payload = {
+      network: networkId,
+      phone: cleanPhoneNumber, // Send as string with leading 0 as per documentation
+      plan_type: 'VTU', // Required field as per official documentation
+      bypass: false,
+      amount: amount,
+      'request-id': simpleRequestId
+    };
+
+    logger.info('Making airtime purchase request to Bilal API', {
+      payload,
+      tokenLength: tokenData.token ? tokenData.token.length : 0,
+      networkId,
+      phoneNumber: cleanPhoneNumber,
+      originalPhoneNumber: phoneNumber,
+      amount,
+      endpoint: '/topup',
+      method: 'POST',
+      baseURL: this.airtimeBaseURL,
+      fullPayload: JSON.stringify(payload)
+    });
+
+    // Use airtime-specific base URL for airtime purchases
+    const response = await this.makeRequest('POST', '', payload, tokenData.token, this.airtimeBaseURL);
+
+    logger.info('Bilal API airtime response received', {
+      status: response.status,
+      responseKeys: Object.keys(response),
+      hasAmount: !!response.amount,
+      hasMessage: !!response.message,
+      requestId: response['request-id'],
+      fullResponse: JSON.stringify(response)
+    });
+
+    if (response.status !== 'success') {
+      // Provide more specific error messages based on Bilal response
+      let errorMessage = response.message || 'Airtime purchase failed';
+      
+      // Check for common failure reasons
+      if (errorMessage.includes('Transaction fail')) {
+        errorMessage = `Airtime purchase failed: ${errorMessage}. This could be due to:\n• Invalid phone number\n• Network mismatch\n• Service temporarily unavailable\n\nPlease verify the phone number and network, then try again.`;
+      }
+      
+      const failure = new Error(errorMessage);
+      failure.bilalResponse = response;
+      throw failure;
+    }
+
+    return response;
+  }
+
   // DATA SERVICE
   async getDataPlans(network) {
     try {
@@ -564,6 +603,9 @@ class BilalService {
   }
 
   async purchaseData(user, dataData, userPhoneNumber) {
+    let hold = null;
+    let providerPaid = false;
+    let captured = false;
     try {
       logger.info('Bilal purchaseData called with:', {
         hasUser: !!user,
@@ -577,13 +619,16 @@ class BilalService {
         throw new Error('dataData is null or undefined');
       }
       
-      const { phoneNumber, network, dataPlan, pin } = dataData;
+      const { phoneNumber, network, dataPlan, pin, pinAuthorization, riskOtp, riskClearance } = dataData;
 
       // Check PIN status first - if disabled, skip PIN validation entirely
       const userService = require('./user');
       const pinStatus = await userService.getPinStatus(user.id);
       
-      if (pinStatus.pinEnabled) {
+      if (pinAuthorization) {
+        // Resumed after a risk review - PIN was given on the original request
+        await userService.verifyPinAuthorization(user.id, pinAuthorization);
+      } else if (pinStatus.pinEnabled) {
         // PIN is enabled - require and validate 4-digit transaction PIN
         if (!pin || !/^\d{4}$/.test(String(pin))) {
           throw new Error('Transaction PIN required. Please enter a valid 4-digit PIN.');
@@ -611,111 +656,81 @@ class BilalService {
         throw new Error('Wallet not found');
       }
       
-      const walletBalance = parseFloat(wallet.balance);
+      const walletBalance = walletService.spendableBalance(wallet) + walletService.heldForPayment(riskClearance?.fundsHold);
       const requiredAmount = parseFloat(estimatedAmount);
       
       if (walletBalance < requiredAmount) {
         throw new Error(`Insufficient balance. Required: ₦${requiredAmount}, Available: ₦${walletBalance}`);
       }
 
-      // Generate unique request ID (will be overridden with simple format below)
-      const requestId = `Data_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-
-      // Get token
-      logger.info('About to generate token for data purchase', {
-        hasUsername: !!this.username,
-        hasPassword: !!this.password,
-        baseURL: this.baseURL
+      // Score the purchase; a risky one is stepped up or held before Bilal is called
+      const riskService = require('./risk');
+      const riskFields = await riskService.screen(user, {
+        service: 'bilal_data',
+        transaction: {
+          type: 'debit',
+          category: 'data_purchase',
+          amount: requiredAmount,
+          fee: 0,
+          totalAmount: requiredAmount,
+          description: `Data purchase: ${dataPlan.title || dataPlan.id} for ${phoneNumber} (${network})`,
+          recipientDetails: { phoneNumber, network, planId: dataPlan.id },
+          metadata: { service: 'data_purchase', provider: 'bilal', network, phoneNumber, planId: dataPlan.id }
+        },
+        counterparty: { type: 'phone_number', value: phoneNumber },
+        resume: { dataData: { phoneNumber, network, dataPlan }, userPhoneNumber },
+        pin
+      }, { pinAuthorization, riskOtp, riskClearance });
+
+      // Hold the estimated price until Bilal confirms; a failed purchase only releases it
+      hold = await walletService.placeHold(user.id, requiredAmount, {
+        description: `Data purchase: ${dataPlan.title || dataPlan.id} for ${phoneNumber} (${network})`,
+        metadata: { service: 'data_purchase' },
+        adopt: riskClearance?.fundsHold
       });
-      
-      let tokenData;
-      try {
-        tokenData = await this.generateToken();
-        
-        logger.info('Token generated for data purchase', {
-          hasToken: !!tokenData.token,
-          tokenLength: tokenData.token ? tokenData.token.length : 0,
-          hasBalance: !!tokenData.balance,
-          hasUsername: !!tokenData.username
-        });
-      } catch (tokenError) {
-        logger.error('Token generation failed for data purchase', {
-          error: tokenError.message,
-          stack: tokenError.stack
-        });
-        throw new Error(`Token generation failed: ${tokenError.message}`);
-      }
 
-      // Purchase data via BILALSADASUB API
-      // Convert to Nigerian phone number format (11 digits starting with 0)
-      let cleanPhoneNumber = phoneNumber;
-      
-      // If it starts with +234, remove it and add 0
-      if (phoneNumber.startsWith('+234')) {
-        cleanPhoneNumber = '0' + phoneNumber.substring(4);
-      }
-      // If it starts with 234, remove it and add 0
-      else if (phoneNumber.startsWith('234')) {
-        cleanPhoneNumber = '0' + phoneNumber.substring(3);
-      }
-      // If it doesn't start with 0, add 0 (in case it's already without country code)
-      else if (!phoneNumber.startsWith('0')) {
-        cleanPhoneNumber = '0' + phoneNumber;
-      }
-      
-      // Generate simple request ID as per documentation format
-      const simpleRequestId = `Data_${Date.now()}`;
-      
-      const payload = {
-        network: networkId,
-        phone: cleanPhoneNumber, // Send as string with leading 0 as per documentation
-        data_plan: dataPlan.id,
-        bypass: false,
-        'request-id': simpleRequestId
-      };
-
-      logger.info('Making data purchase request to Bilal API', {
-        payload,
-        tokenLength: tokenData.token ? tokenData.token.length : 0,
-        networkId,
-        phoneNumber: cleanPhoneNumber,
-        dataPlanId: dataPlan.id,
-        dataPlanIdType: typeof dataPlan.id,
-        dataPlanPrice: dataPlan.price,
-        endpoint: '/data',
-        method: 'POST',
-        fullPayload: JSON.stringify(payload)
-      });
+      // Bought through whichever VAS provider is up; see vasGateway
+      const vasGateway = require('./vasGateway');
+      const vend = await vasGateway.purchase('data', { phoneNumber, network, dataPlan });
 
-      const response = await this.makeRequest('POST', '/data/', payload, tokenData.token);
+      if (vend.status === 'unknown') {
+        // The provider may have delivered; the hold stays until it is reconciled
+        const pendingError = new Error('Your data purchase is still processing with the provider. We will confirm it as soon as they respond.');
+        pendingError.outcomeUnknown = true;
+        throw pendingError;
+      }
 
-      logger.info('Bilal API response received', {
-        status: response.status,
-        responseKeys: Object.keys(response),
-        hasAmount: !!response.amount,
-        hasMessage: !!response.message,
-        requestId: response['request-id']
-      });
+      const response = {
+        network,
+        phone_number: phoneNumber,
+        dataplan: dataPlan.dataplan || dataPlan.title || dataPlan.id,
+        message: 'Data purchase successful',
+        ...(vend.response || {}),
+        amount: vend.amount,
+        'request-id': vend.reference
+      };
 
-      if (response.status === 'success') {
-        // Debit user wallet with actual amount
+      if (vend.status === 'delivered') {
+        // Capture the hold with the actual amount
+        providerPaid = true;
         const actualAmount = parseFloat(response.amount);
         
-        await walletService.debitWallet(
-          user.id,
-          actualAmount,
-          `Data purchase - ${response.network} ${response.dataplan} for ${response.phone_number}`,
-          {
+        await walletService.captureHold(hold, {
+          amount: actualAmount,
+          description: `Data purchase - ${response.network} ${response.dataplan} for ${response.phone_number}`,
+          metadata: {
             category: 'data_purchase',
             network: response.network,
             phoneNumber: response.phone_number,
             dataPlan: response.dataplan,
             amount: actualAmount,
             providerReference: response['request-id'],
-            provider: 'bilal',
-            bilalResponse: response
+            provider: vend.provider,
+            providerResponse: vend.response,
+            riskScore: riskFields.riskScore
           }
-        );
+        });
+        captured = true;
 
         // Log activity
         await activityLogger.logUserActivity(
@@ -728,7 +743,7 @@ class BilalService {
             phoneNumber: response.phone_number,
             dataPlan: response.dataplan,
             amount: actualAmount,
-            provider: 'bilal',
+            provider: vend.provider,
             success: true,
             source: 'api'
           }
@@ -746,6 +761,7 @@ class BilalService {
         let receiptSent = false;
         try {
           const receiptData = {
+            language: i18n.languageOf(user),
             network: response.network,
             phoneNumber: response.phone_number,
             dataPlan: response.dataplan,
@@ -764,11 +780,11 @@ class BilalService {
           };
 
           const receiptBuffer = await receiptService.generateDataReceipt(receiptData);
-          await whatsappService.sendImageMessage(userPhoneNumber, receiptBuffer, 'receipt.jpg');
+          await messaging.sendImageMessage(userPhoneNumber, receiptBuffer, 'receipt.jpg');
           receiptSent = true;
         } catch (receiptError) {
           logger.warn('Failed to generate data receipt, sending text message only', { error: receiptError.message });
-          await whatsappService.sendTextMessage(userPhoneNumber, successMessage);
+          await messaging.sendTextMessage(userPhoneNumber, successMessage);
           receiptSent = true; // Mark as sent even if it's text fallback
         }
 
@@ -778,7 +794,8 @@ class BilalService {
           phoneNumber: response.phone_number,
           dataPlan: response.dataplan,
           amount: actualAmount,
-          requestId: simpleRequestId
+          provider: vend.provider,
+          reference: response['request-id']
         });
 
         return {
@@ -788,7 +805,7 @@ class BilalService {
         };
 
       } else {
-        throw new Error(response.message || 'Data purchase failed');
+        throw new Error(vend.message || 'Data purchase failed');
       }
 
     } catch (error) {
@@ -804,7 +821,9 @@ class BilalService {
       // Handle specific error types
       let userFriendlyMessage = 'Data purchase failed. Please try again or contact support.';
       
-      if (error.response?.status === 403) {
+      if (error.outcomeUnknown) {
+        userFriendlyMessage = `⏳ ${error.message}`;
+      } else if (error.response?.status === 403) {
         userFriendlyMessage = '❌ Data purchase failed!\n\nReason: Access denied (403). This could be due to:\n• Insufficient balance in provider account\n• Invalid plan ID or network combination\n• Service temporarily unavailable\n\nPlease try again later or contact support.';
       } else if (error.response?.status === 401) {
         userFriendlyMessage = '❌ Data purchase failed!\n\nReason: Authentication failed. Please contact support.';
@@ -814,14 +833,116 @@ class BilalService {
         userFriendlyMessage = `❌ Data purchase failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`;
       }
 
-      await whatsappService.sendTextMessage(userPhoneNumber, userFriendlyMessage);
+      await this.settleHoldAfterError(hold, { providerPaid, captured }, error);
+
+      // Risk step-ups and holds have already been explained to the user
+      if (error.name !== 'RiskError') {
+        await messaging.sendTextMessage(userPhoneNumber, userFriendlyMessage);
+      }
       
       throw error;
     }
   }
 
+  /**
+   * Buy a data plan with Bilal and nothing else; see vendAirtime.
+   */
+  async vendData({ phoneNumber, network, dataPlan, reference }) {
+    const networkId = this.networkMapping[String(network).toUpperCase()];
+    if (!networkId) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+
+    // Get token
+    logger.info('About to generate token for data purchase', {
+      hasUsername: !!this.username,
+      hasPassword: !!this.password,
+      baseURL: this.baseURL
+    });
+    
+    let tokenData;
+    try {
+      tokenData = await this.generateToken();
+      
+      logger.info('Token generated for data purchase', {
+        hasToken: !!tokenData.token,
+        tokenLength: tokenData.token ? tokenData.token.length : 0,
+        hasBalance: !!tokenData.balance,
+        hasUsername: !!tokenData.username
+      });
+    } catch (tokenError) {
+      logger.error('Token generation failed for data purchase', {
+        error: tokenError.message,
+        stack: tokenError.stack
+      });
+      throw new Error(`Token generation failed: ${tokenError.message}`);
+    }
+
+    // Purchase data via BILALSADASUB API
+    // Convert to Nigerian phone number format (11 digits starting with 0)
+    let cleanPhoneNumber = phoneNumber;
+    
+    // If it starts with +234, remove it and add 0
+    if (phoneNumber.startsWith('+234')) {
+      cleanPhoneNumber = '0' + phoneNumber.substring(4);
+    }
+    // If it starts with 234, remove it and add 0
+    else if (phoneNumber.startsWith('234')) {
+      cleanPhoneNumber = '0' + phoneNumber.substring(3);
+    }
+    // If it doesn't start with 0, add 0 (in case it's already without country code)
+    else if (!phoneNumber.startsWith('0')) {
+      cleanPhoneNumber = '0' + phoneNumber;
+    }
+    
+    // The caller's reference doubles as the request-id so callbacks can be matched
+    const simpleRequestId = reference || `Data_${Date.now()}`;
+    
+    const payload = {
+      network: networkId,
+      phone: cleanPhoneNumber, // Send as string with leading 0 as per documentation
+      data_plan: dataPlan.id,
+      bypass: false,
+      'request-id': simpleRequestId
+    };
+
+    logger.info('Making data purchase request to Bilal API', {
+      payload,
+      tokenLength: tokenData.token ? tokenData.token.length : 0,
+      networkId,
+      phoneNumber: cleanPhoneNumber,
+      dataPlanId: dataPlan.id,
+      dataPlanIdType: typeof dataPlan.id,
+      dataPlanPrice: dataPlan.price,
+      endpoint: '/data',
+      method: 'POST',
+      fullPayload: JSON.stringify(payload)
+    });
+
+    const response = await this.makeRequest('POST', '/data/', payload, tokenData.token);
+
+    logger.info('Bilal API response received', {
+      status: response.status,
+      responseKeys: Object.keys(response),
+      hasAmount: !!response.amount,
+      hasMessage: !!response.message,
+      requestId: response['request-id']
+    });
+
+    if (response.status !== 'success') {
+      const failure = new Error(response.message || 'Data purchase failed');
+      failure.bilalResponse = response;
+      throw failure;
+    }
+
+    return response;
+  }
+
   // ELECTRICITY BILL SERVICE
   async payElectricityBill(user, billData, userPhoneNumber) {
+    let hold = null;
+    let providerPaid = false;
+    let captured = false;
     try {
       const { disco, meterType, meterNumber, amount, pin } = billData;
 
@@ -844,12 +965,6 @@ class BilalService {
         logger.info('PIN validation skipped - PIN is disabled for electricity bill payment', { userId: user.id });
       }
       
-      // Validate disco
-      const discoId = this.discoMapping[disco.toUpperCase()];
-      if (!discoId) {
-        throw new Error(`Unsupported disco: ${disco}`);
-      }
-
       // Validate meter type
       if (!['prepaid', 'postpaid'].includes(meterType.toLowerCase())) {
         throw new Error('Meter type must be either "prepaid" or "postpaid"');
@@ -861,40 +976,51 @@ class BilalService {
         throw new Error('Wallet not found');
       }
       
-      const walletBalance = parseFloat(wallet.balance);
+      const walletBalance = walletService.spendableBalance(wallet);
       const requiredAmount = parseFloat(amount);
       
       if (walletBalance < requiredAmount) {
         throw new Error(`Insufficient balance. Required: ₦${requiredAmount}, Available: ₦${walletBalance}`);
       }
 
-      // Generate simple request ID as per documentation format
-      const simpleRequestId = `Bill_${Date.now()}`;
+      // Hold the amount until Bilal confirms; a failed payment only releases it
+      hold = await walletService.placeHold(user.id, requiredAmount, {
+        description: `Electricity bill for meter ${meterNumber}`,
+        metadata: { service: 'electricity_bill' }
+      });
 
-      // Get token
-      const tokenData = await this.generateToken();
+      // Paid through whichever VAS provider is up; see vasGateway
+      const vasGateway = require('./vasGateway');
+      const vend = await vasGateway.purchase('electricity', { disco, meterType, meterNumber, amount });
 
-      // Pay electricity bill via BILALSADASUB API
-      const payload = {
-        disco: discoId,
+      if (vend.status === 'unknown') {
+        // The provider may have paid the disco; the hold stays until it is reconciled
+        const pendingError = new Error('Your electricity payment is still processing with the provider. We will confirm it as soon as they respond.');
+        pendingError.outcomeUnknown = true;
+        throw pendingError;
+      }
+
+      const response = {
+        disco_name: disco,
         meter_type: meterType.toLowerCase(),
         meter_number: meterNumber,
-        amount: amount,
-        bypass: false,
-        'request-id': simpleRequestId
+        charges: 0,
+        message: 'Electricity bill payment successful',
+        ...(vend.response || {}),
+        amount: vend.amount,
+        token: vend.token,
+        'request-id': vend.reference
       };
 
-      const response = await this.makeRequest('POST', '/bill/', payload, tokenData.token);
-
-      if (response.status === 'success') {
-        // Debit user wallet with actual amount
+      if (vend.status === 'delivered') {
+        // Capture the hold with the actual amount
+        providerPaid = true;
         const actualAmount = parseFloat(response.amount);
         
-        await walletService.debitWallet(
-          user.id,
-          actualAmount,
-          `Electricity bill - ${response.disco_name} ${response.meter_type} for ${response.meter_number}`,
-          {
+        await walletService.captureHold(hold, {
+          amount: actualAmount,
+          description: `Electricity bill - ${response.disco_name} ${response.meter_type} for ${response.meter_number}`,
+          metadata: {
             category: 'electricity_bill',
             disco: response.disco_name,
             meterType: response.meter_type,
@@ -903,10 +1029,11 @@ class BilalService {
             charges: response.charges,
             token: response.token,
             providerReference: response['request-id'],
-            provider: 'bilal',
-            bilalResponse: response
+            provider: vend.provider,
+            providerResponse: vend.response
           }
-        );
+        });
+        captured = true;
 
         // Log activity
         await activityLogger.logUserActivity(
@@ -920,7 +1047,7 @@ class BilalService {
             meterNumber: response.meter_number,
             amount: actualAmount,
             charges: response.charges,
-            provider: 'bilal',
+            provider: vend.provider,
             success: true,
             source: 'api'
           }
@@ -943,6 +1070,7 @@ class BilalService {
         let receiptSent = false;
         try {
           const receiptData = {
+            language: i18n.languageOf(user),
             disco: response.disco_name,
             meterType: response.meter_type.toUpperCase(),
             meterNumber: response.meter_number,
@@ -962,11 +1090,11 @@ class BilalService {
           };
 
           const receiptBuffer = await receiptService.generateElectricityReceipt(receiptData);
-          await whatsappService.sendImageMessage(userPhoneNumber, receiptBuffer, 'receipt.jpg');
+          await messaging.sendImageMessage(userPhoneNumber, receiptBuffer, 'receipt.jpg');
           receiptSent = true;
         } catch (receiptError) {
           logger.warn('Failed to generate electricity receipt, sending text message only', { error: receiptError.message });
-          await whatsappService.sendTextMessage(userPhoneNumber, successMessage);
+          await messaging.sendTextMessage(userPhoneNumber, successMessage);
           receiptSent = true; // Mark as sent even if it's text fallback
         }
 
@@ -976,7 +1104,8 @@ class BilalService {
           meterType: response.meter_type,
           meterNumber: response.meter_number,
           amount: actualAmount,
-          requestId: simpleRequestId
+          provider: vend.provider,
+          reference: response['request-id']
         });
 
         return {
@@ -986,7 +1115,7 @@ class BilalService {
         };
 
       } else {
-        throw new Error(response.message || 'Electricity bill payment failed');
+        throw new Error(vend.message || 'Electricity bill payment failed');
       }
 
     } catch (error) {
@@ -996,13 +1125,58 @@ class BilalService {
         billData 
       });
 
-      const errorMessage = `❌ Electricity bill payment failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`;
-      await whatsappService.sendTextMessage(userPhoneNumber, errorMessage);
+      await this.settleHoldAfterError(hold, { providerPaid, captured }, error);
+
+      const errorMessage = error.outcomeUnknown
+        ? `⏳ ${error.message}`
+        : `❌ Electricity bill payment failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`;
+      await messaging.sendTextMessage(userPhoneNumber, errorMessage);
       
       throw error;
     }
   }
 
+  /**
+   * Pay an electricity bill with Bilal and nothing else; see vendAirtime.
+   */
+  async vendElectricity({ disco, meterType, meterNumber, amount, reference }) {
+    const discoId = this.discoMapping[String(disco).toUpperCase()];
+    if (!discoId) {
+      throw new Error(`Unsupported disco: ${disco}`);
+    }
+
+    // The caller's reference doubles as the request-id so callbacks can be matched
+    const simpleRequestId = reference || `Bill_${Date.now()}`;
+
+    // Get token
+    let tokenData;
+    try {
+      tokenData = await this.generateToken();
+    } catch (tokenError) {
+      throw new Error(`Token generation failed: ${tokenError.message}`);
+    }
+
+    // Pay electricity bill via BILALSADASUB API
+    const payload = {
+      disco: discoId,
+      meter_type: meterType.toLowerCase(),
+      meter_number: meterNumber,
+      amount: amount,
+      bypass: false,
+      'request-id': simpleRequestId
+    };
+
+    const response = await this.makeRequest('POST', '/bill/', payload, tokenData.token);
+
+    if (response.status !== 'success') {
+      const failure = new Error(response.message || 'Electricity bill payment failed');
+      failure.bilalResponse = response;
+      throw failure;
+    }
+
+    return response;
+  }
+
   getNetworkId(phoneNumber) {
     // Extract the first 4 digits to determine network
     const prefix = phoneNumber.substring(0, 4);
@@ -1263,6 +1437,31 @@ class BilalService {
   }
 
   // Handle webhook responses from Bilal
+  // The transaction a callback's request-id belongs to: stored as the
+  // provider reference, or in metadata by older purchase flows
+  async findCallbackTransaction(requestId) {
+    if (!requestId) return null;
+
+    const supabaseHelper = require('./supabaseHelper');
+    const { supabase } = require('../database/connection');
+
+    const [direct] = await supabaseHelper.findAll('transactions', { providerReference: requestId }, { limit: 1 });
+    if (direct) return direct;
+
+    for (const key of ['requestId', 'providerReference']) {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq(`metadata->>${key}`, requestId)
+        .order('createdAt', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      if (data?.length) return data[0];
+    }
+
+    return null;
+  }
+
   async handleBilalCallback(webhookData) {
     try {
       const { status, 'request-id': requestId, response: message } = webhookData;
@@ -1276,20 +1475,7 @@ class BilalService {
       // Find transaction by request-id
       const walletService = require('./wallet');
       const transactionService = require('./transaction');
-      const supabaseHelper = require('./supabaseHelper');
-      
-      // Search for transaction with this request-id in metadata
-      const { data: transactions } = await supabaseHelper.findAll('transactions', {}, {
-        orderBy: 'createdAt',
-        order: 'desc',
-        limit: 100
-      });
-      
-      const transaction = transactions?.find(tx => 
-        tx.metadata?.requestId === requestId || 
-        tx.metadata?.providerReference === requestId ||
-        tx.providerReference === requestId
-      );
+      const transaction = await this.findCallbackTransaction(requestId);
 
       // Process the callback based on status
       if (status === 'success') {
@@ -1304,8 +1490,10 @@ class BilalService {
           await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
             providerReference: requestId,
             providerResponse: message,
-            webhookConfirmed: true
+            metadata: { webhookConfirmed: true }
           });
+          // A purchase left pending on an unclear answer still holds its funds
+          await walletService.captureCompletedTransfer(transaction);
         }
       } else {
         // Status is 'fail' - process refund
@@ -1323,6 +1511,18 @@ class BilalService {
               transactionId: transaction.id,
               requestId
             });
+          } else if (await walletService.releaseTransactionHold(transaction, message || 'Service purchase failed')) {
+            // The funds were only held, never debited, so there is nothing to refund
+            await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
+              failureReason: message || 'Service purchase failed',
+              providerReference: requestId,
+              providerResponse: message,
+              metadata: { holdReleased: true }
+            });
+            logger.info('Bilal purchase failed via callback, hold released', {
+              transactionId: transaction.id,
+              requestId
+            });
           } else {
             // Process refund
             const refundAmount = parseFloat(transaction.totalAmount || transaction.amount || 0);
@@ -1345,12 +1545,14 @@ class BilalService {
                 // Update transaction with refund info
                 await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
                   failureReason: message || 'Service purchase failed',
-                  refunded: true,
-                  refundProcessed: true,
-                  refundAmount: refundAmount,
-                  refundedAt: new Date().toISOString(),
                   providerReference: requestId,
-                  providerResponse: message
+                  providerResponse: message,
+                  metadata: {
+                    refunded: true,
+                    refundProcessed: true,
+                    refundAmount: refundAmount,
+                    refundedAt: new Date().toISOString()
+                  }
                 });
                 
                 logger.info('Refund processed successfully via webhook', {
@@ -1363,7 +1565,6 @@ class BilalService {
                 // Send notification to user
                 try {
                   const userService = require('./user');
-                  const whatsappService = require('./whatsapp');
                   const user = await userService.getUserById(transaction.userId);
                   
                   if (user && user.whatsappNumber) {
@@ -1373,7 +1574,7 @@ class BilalService {
                       `💬 Reason: ${message || 'Service purchase failed'}\n\n` +
                       `Your wallet balance has been updated.`;
                     
-                    await whatsappService.sendTextMessage(user.whatsappNumber, refundMessage);
+                    await messaging.sendTextMessage(user.whatsappNumber, refundMessage);
                   }
                 } catch (notifError) {
                   logger.warn('Failed to send refund notification', { error: notifError.message });
@@ -2,7 +2,7 @@ const axios = require('axios');
 const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
 const walletService = require('./wallet');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const bilalService = require('./bilal');
 const feesService = require('./fees');
 const RetryHelper = require('../utils/retryHelper');
@@ -157,7 +157,7 @@ class BillsService {
       });
 
       const errorMessage = `❌ Electricity bill payment failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`;
-      await whatsappService.sendTextMessage(userPhoneNumber, errorMessage);
+      await messaging.sendTextMessage(userPhoneNumber, errorMessage);
       
       throw error;
     }
@@ -207,7 +207,7 @@ class BillsService {
       });
 
       const errorMessage = `❌ Cable bill payment failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`;
-      await whatsappService.sendTextMessage(userPhoneNumber, errorMessage);
+      await messaging.sendTextMessage(userPhoneNumber, errorMessage);
       
       throw error;
     }
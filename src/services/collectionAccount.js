@@ -0,0 +1,531 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const userService = require('./user');
+const idempotencyService = require('./idempotency');
+const rubiesService = require('./rubies');
+
+/**
+ * Collection accounts
+ *
+ * A merchant's static virtual account can't tell one customer's transfer
+ * from another's. A collection account is a disposable Rubies account opened
+ * for one invoice or payment request: it expects a fixed amount and expires
+ * after a few minutes. The credit webhook for its number lands here instead
+ * of on the static account, and the money goes to the merchant's wallet.
+ *
+ * Underpayments leave the account open for the rest; overpayments settle it
+ * and tell the merchant how much to refund. Anything arriving after the
+ * account closed is still credited and flagged as late.
+ */
+
+const OPEN_STATUSES = ['active', 'partially_paid'];
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+// Where a payment of `amount` leaves an account: late payments to a closed
+// account are recorded but do not reopen or settle it
+function creditOutcome(account, amount) {
+  const expected = roundAmount(account.expectedAmount);
+  const previous = roundAmount(account.amountReceived || 0);
+  const received = roundAmount(previous + amount);
+  const wasOpen = OPEN_STATUSES.includes(account.status);
+
+  let status = account.status;
+  if (wasOpen) {
+    status = received < expected ? 'partially_paid' : (received > expected ? 'overpaid' : 'paid');
+  } else if (account.status === 'paid') {
+    status = 'overpaid';
+  }
+  const settled = wasOpen && (status === 'paid' || status === 'overpaid');
+
+  return { expected, previous, received, wasOpen, status, settled };
+}
+
+function formatAmount(amount) {
+  return `₦${roundAmount(amount || 0).toLocaleString()}`;
+}
+
+function generateReference() {
+  return `CA_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+class CollectionAccountService {
+  constructor() {
+    this.batchSize = 50;
+    this.maxUpdateAttempts = 3;
+  }
+
+  get limits() {
+    return config.getCollectionAccountConfig();
+  }
+
+  // ===== Opening and closing accounts =====
+
+  /**
+   * Open a disposable account for `input.amount`. With a paymentRequestId the
+   * account settles that request, takes its amount and never outlives it.
+   */
+  async createAccount(userId, input, { source = 'app' } = {}) {
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.bvn || !user.firstName || !user.lastName) {
+      throw new Error('Complete your account setup before creating collection accounts');
+    }
+
+    let paymentRequest = null;
+    if (input.paymentRequestId) {
+      const paymentRequestService = require('./paymentRequest');
+      paymentRequest = await paymentRequestService.findRequest(input.paymentRequestId);
+      if (!paymentRequest || paymentRequest.requesterId !== userId) {
+        throw new Error('Payment request not found');
+      }
+      if (paymentRequest.status !== 'pending' || new Date(paymentRequest.expiresAt) <= new Date()) {
+        throw new Error(`This request is already ${paymentRequest.status === 'pending' ? 'expired' : paymentRequest.status}`);
+      }
+    }
+
+    const amount = roundAmount(input.amount !== undefined && input.amount !== null ? input.amount : paymentRequest?.amount);
+    const { minAmount, maxAmount, expiryMinutes, minExpiryMinutes, maxExpiryMinutes, amountControl } = this.limits;
+    if (!(amount >= minAmount)) {
+      throw new Error(`The minimum amount is ${formatAmount(minAmount)}`);
+    }
+    if (amount > maxAmount) {
+      throw new Error(`The maximum amount is ${formatAmount(maxAmount)}`);
+    }
+    if (paymentRequest && amount !== roundAmount(paymentRequest.amount)) {
+      throw new Error(`The amount must match the payment request (${formatAmount(paymentRequest.amount)})`);
+    }
+
+    const minutes = Math.min(Math.max(parseInt(input.expiresInMinutes, 10) || expiryMinutes, minExpiryMinutes), maxExpiryMinutes);
+    let expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    if (paymentRequest && new Date(paymentRequest.expiresAt) < expiresAt) {
+      expiresAt = new Date(paymentRequest.expiresAt);
+    }
+
+    let customerPhone = null;
+    if (input.customerPhone) {
+      try {
+        customerPhone = userService.cleanPhoneNumber(input.customerPhone);
+      } catch (error) {
+        throw new Error(`Invalid phone number: ${input.customerPhone}`);
+      }
+    }
+
+    const reference = generateReference();
+    const opened = await rubiesService.createDisposableVirtualAccount({
+      userId,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      phoneNumber: user.whatsappNumber,
+      bvn: user.bvn,
+      gender: user.gender ? user.gender.charAt(0).toUpperCase() + user.gender.slice(1).toLowerCase() : undefined,
+      amount,
+      expiresAt,
+      reference,
+      amountControl
+    });
+
+    const now = new Date().toISOString();
+    const account = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .insert({
+          id: uuidv4(),
+          reference,
+          userId,
+          provider: 'rubies',
+          accountNumber: opened.accountNumber,
+          accountName: opened.accountName || [user.firstName, user.lastName].join(' '),
+          bankName: opened.bankName,
+          bankCode: opened.bankCode,
+          purpose: paymentRequest ? 'payment_request' : 'invoice',
+          paymentRequestId: paymentRequest ? paymentRequest.id : null,
+          invoiceReference: input.invoiceReference ? String(input.invoiceReference).trim().slice(0, 64) : null,
+          description: input.description ? String(input.description).trim().slice(0, 140) : (paymentRequest?.note || null),
+          customerName: input.customerName ? String(input.customerName).trim() : null,
+          customerPhone,
+          expectedAmount: amount,
+          amountReceived: 0,
+          status: 'active',
+          payments: [],
+          expiresAt: expiresAt.toISOString(),
+          source,
+          createdAt: now,
+          updatedAt: now
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return data;
+    });
+
+    logger.info('Collection account opened', {
+      accountId: account.id,
+      userId,
+      accountNumber: account.accountNumber,
+      amount,
+      paymentRequestId: account.paymentRequestId
+    });
+    return account;
+  }
+
+  async cancelAccount(userId, accountId) {
+    const account = await this.getAccountForUser(userId, accountId);
+    if (!OPEN_STATUSES.includes(account.status)) {
+      throw new Error(`This account is already ${account.status}`);
+    }
+
+    const cancelled = await this.closeAccount(account, 'cancelled');
+    if (!cancelled) {
+      const current = await this.findAccount(account.id);
+      throw new Error(`This account is already ${current ? current.status : 'closed'}`);
+    }
+    logger.info('Collection account cancelled', { accountId: account.id, userId });
+    return cancelled;
+  }
+
+  // ===== Incoming credits =====
+
+  /**
+   * Credit webhook for one of our collection account numbers. Credits the
+   * merchant's wallet once per provider reference, records the payment and
+   * settles a linked payment request once the full amount is in.
+   */
+  async handleCredit(account, { amount, reference, senderName, senderBank, narration } = {}) {
+    const credited = roundAmount(amount);
+    if (!(credited > 0)) {
+      return { success: false, message: 'Invalid credit amount' };
+    }
+    const key = reference || `${account.accountNumber}:${credited}:${narration || ''}`;
+
+    return idempotencyService.execute({
+      userId: account.userId,
+      scope: 'collection_account.credit',
+      key,
+      payload: { accountNumber: account.accountNumber, amount: credited }
+    }, async () => {
+      const walletService = require('./wallet');
+      const credit = await walletService.creditWallet(account.userId, credited,
+        `Payment from ${senderName || 'bank transfer'}${account.description ? ` for ${account.description}` : ''}`, {
+          category: 'wallet_funding',
+          virtualAccountCredit: true,
+          collectionAccountId: account.id,
+          invoiceReference: account.invoiceReference,
+          paymentRequestId: account.paymentRequestId,
+          senderName,
+          senderBank,
+          providerReference: reference
+        });
+
+      try {
+        const outcome = await this.recordPayment(account.id, {
+          reference: reference || null,
+          transactionReference: credit.transaction.reference,
+          amount: credited,
+          senderName: senderName || null,
+          senderBank: senderBank || null,
+          receivedAt: new Date().toISOString()
+        });
+
+        if (outcome.settled && outcome.account.paymentRequestId) {
+          await this.settlePaymentRequest(outcome.account, senderName, credit.transaction.reference);
+        }
+        await this.notifyMerchant(outcome, credited, senderName, credit.newBalance);
+
+        logger.info('Collection account credited', {
+          accountId: account.id,
+          amount: credited,
+          status: outcome.account.status,
+          late: outcome.late,
+          reference
+        });
+        return {
+          success: true,
+          accountId: account.id,
+          status: outcome.account.status,
+          amountReceived: roundAmount(outcome.account.amountReceived),
+          outstanding: outcome.outstanding,
+          excess: outcome.excess,
+          late: outcome.late,
+          transactionReference: credit.transaction.reference
+        };
+      } catch (error) {
+        // The wallet is already credited; never let a retry credit it again
+        error.outcomeUnknown = true;
+        throw error;
+      }
+    });
+  }
+
+  // What handleCredit would do to the account, without touching it
+  previewCredit(account, amount) {
+    const outcome = creditOutcome(account, roundAmount(amount));
+    return {
+      ...outcome,
+      outstanding: Math.max(roundAmount(outcome.expected - outcome.received), 0),
+      excess: Math.max(roundAmount(outcome.received - outcome.expected), 0)
+    };
+  }
+
+  /**
+   * Add a payment to the account and work out its new status. Uses a
+   * compare-and-set on amountReceived so two credits landing together both
+   * count.
+   */
+  async recordPayment(accountId, payment) {
+    for (let attempt = 1; attempt <= this.maxUpdateAttempts; attempt++) {
+      const current = await this.findAccount(accountId);
+      if (!current) {
+        throw new Error('Collection account not found');
+      }
+
+      const { expected, received, wasOpen, status, settled } = creditOutcome(current, payment.amount);
+
+      const now = new Date().toISOString();
+      const updated = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('collectionAccounts')
+          .update({
+            amountReceived: received,
+            status,
+            payments: [...(current.payments || []), { ...payment, late: !wasOpen }],
+            ...(settled ? { paidAt: now } : {}),
+            updatedAt: now
+          })
+          .eq('id', accountId)
+          .eq('status', current.status)
+          .eq('amountReceived', current.amountReceived)
+          .select('*');
+        if (error) throw error;
+        return (data || [])[0] || null;
+      });
+
+      if (updated) {
+        return {
+          account: updated,
+          settled,
+          late: !wasOpen,
+          previousStatus: current.status,
+          outstanding: Math.max(roundAmount(expected - received), 0),
+          excess: Math.max(roundAmount(received - expected), 0)
+        };
+      }
+      logger.info('Collection account changed while recording payment, retrying', { accountId, attempt });
+    }
+    throw new Error('Could not record collection account payment');
+  }
+
+  async settlePaymentRequest(account, senderName, transactionReference) {
+    const paymentRequestService = require('./paymentRequest');
+    const paid = await paymentRequestService.markPaid({ id: account.paymentRequestId }, {
+      paymentMethod: 'bank_transfer',
+      paidByName: senderName || null,
+      transactionReference,
+      amountPaid: roundAmount(account.expectedAmount)
+    });
+    if (!paid) {
+      // Paid from a wallet or the static account first; the merchant has the money twice
+      logger.warn('Payment request already closed when its collection account was paid', {
+        accountId: account.id,
+        paymentRequestId: account.paymentRequestId
+      });
+    }
+    return paid;
+  }
+
+  // ===== Queries =====
+
+  async findByAccountNumber(accountNumber) {
+    if (!accountNumber) return null;
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .select('*')
+        .eq('accountNumber', String(accountNumber).trim())
+        .order('createdAt', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return (data || [])[0] || null;
+    });
+  }
+
+  // The open account a payment request's pay link should show, if any
+  async findOpenForPaymentRequest(paymentRequestId) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .select('*')
+        .eq('paymentRequestId', paymentRequestId)
+        .in('status', OPEN_STATUSES)
+        .gt('expiresAt', new Date().toISOString())
+        .order('createdAt', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return (data || [])[0] || null;
+    });
+  }
+
+  async listForUser(userId, { status = null, limit = 50 } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase.from('collectionAccounts').select('*').eq('userId', userId);
+      if (status) query = query.eq('status', status);
+      const { data, error } = await query.order('createdAt', { ascending: false }).limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async getAccountForUser(userId, accountId) {
+    const account = await this.findAccount(accountId);
+    if (!account || account.userId !== userId) {
+      throw new Error('Collection account not found');
+    }
+    return account;
+  }
+
+  toPublic(account) {
+    const expected = roundAmount(account.expectedAmount);
+    const received = roundAmount(account.amountReceived || 0);
+    return {
+      id: account.id,
+      reference: account.reference,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      bankName: account.bankName,
+      purpose: account.purpose,
+      paymentRequestId: account.paymentRequestId,
+      invoiceReference: account.invoiceReference,
+      description: account.description,
+      customerName: account.customerName,
+      customerPhone: account.customerPhone,
+      expectedAmount: expected,
+      amountReceived: received,
+      outstanding: Math.max(roundAmount(expected - received), 0),
+      excess: Math.max(roundAmount(received - expected), 0),
+      status: account.status,
+      payments: account.payments || [],
+      expiresAt: account.expiresAt,
+      paidAt: account.paidAt,
+      closedAt: account.closedAt,
+      createdAt: account.createdAt
+    };
+  }
+
+  // ===== Worker =====
+
+  // Close accounts past their expiry; merchants hear about part payments
+  async runMaintenance({ now = new Date() } = {}) {
+    const stats = { expired: 0 };
+
+    const overdue = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .select('*')
+        .in('status', OPEN_STATUSES)
+        .lte('expiresAt', now.toISOString())
+        .limit(this.batchSize);
+      if (error) throw error;
+      return data || [];
+    });
+
+    for (const account of overdue) {
+      const expired = await this.closeAccount(account, 'expired');
+      if (!expired) continue;
+      stats.expired++;
+      if (account.status === 'partially_paid') {
+        await this.sendToMerchant(expired,
+          `⌛ *Collection account expired*\n\n${this.label(expired)}: ${formatAmount(expired.amountReceived)} of ${formatAmount(expired.expectedAmount)} received, ` +
+          `${formatAmount(roundAmount(expired.expectedAmount) - roundAmount(expired.amountReceived))} short. What came in is already in your wallet.`);
+      }
+    }
+
+    if (stats.expired) {
+      logger.info('Collection account maintenance finished', stats);
+    }
+    return stats;
+  }
+
+  // ===== Persistence =====
+
+  async findAccount(id) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  // Open → expired/cancelled; returns null if a payment or another run got there first
+  async closeAccount(account, status) {
+    const now = new Date().toISOString();
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('collectionAccounts')
+        .update({ status, closedAt: now, updatedAt: now })
+        .eq('id', account.id)
+        .eq('status', account.status)
+        .eq('amountReceived', account.amountReceived)
+        .select('*');
+      if (error) throw error;
+      return (data || [])[0] || null;
+    });
+  }
+
+  // ===== Messages =====
+
+  label(account) {
+    if (account.invoiceReference) return `Invoice ${account.invoiceReference}`;
+    if (account.description) return account.description;
+    return `Account ${account.accountNumber}`;
+  }
+
+  async notifyMerchant(outcome, amount, senderName, newBalance) {
+    const { account } = outcome;
+    const from = senderName || 'Someone';
+    const balance = newBalance !== undefined ? `\n💰 New Balance: ${formatAmount(newBalance)}` : '';
+    let message;
+
+    if (outcome.late) {
+      const closedAs = outcome.previousStatus === 'overpaid' ? 'paid' : outcome.previousStatus;
+      message = `⌛ *Late payment received*\n\n${from} sent ${formatAmount(amount)} for ${this.label(account)} after it was ${closedAs}. ` +
+        `It's in your wallet; refund the customer if you don't need it.${balance}`;
+    } else if (account.status === 'partially_paid') {
+      message = `💸 *Part payment received*\n\n${from} sent ${formatAmount(amount)} for ${this.label(account)}. ` +
+        `${formatAmount(account.amountReceived)} of ${formatAmount(account.expectedAmount)} is in, ${formatAmount(outcome.outstanding)} outstanding. ` +
+        `The account stays open until ${new Date(account.expiresAt).toLocaleTimeString('en-GB', { timeZone: 'Africa/Lagos', hour: '2-digit', minute: '2-digit' })}.${balance}`;
+    } else if (account.status === 'overpaid') {
+      message = `⚠️ *Overpayment received*\n\n${from} paid ${formatAmount(account.amountReceived)} for ${this.label(account)}, ` +
+        `${formatAmount(outcome.excess)} more than the ${formatAmount(account.expectedAmount)} expected. The full amount is in your wallet; refund the difference if it was a mistake.${balance}`;
+    } else {
+      message = `✅ *Payment received*\n\n${from} paid ${formatAmount(account.expectedAmount)} for ${this.label(account)}.${balance}`;
+    }
+
+    await this.sendToMerchant(account, message);
+  }
+
+  async sendToMerchant(account, message) {
+    try {
+      const merchant = await userService.getUserById(account.userId);
+      if (merchant?.whatsappNumber) {
+        await messaging.sendTextMessage(merchant.whatsappNumber, message);
+      }
+    } catch (error) {
+      logger.warn('Failed to message collection account owner', { error: error.message, accountId: account.id });
+    }
+  }
+}
+
+module.exports = new CollectionAccountService();
@@ -0,0 +1,235 @@
+const logger = require('../utils/logger');
+const sessionManager = require('../utils/sessionManager');
+
+/**
+ * Conversation state machines for multi-step money flows
+ *
+ * A flow is declared as a set of named states. Each state may have:
+ *   enter(session, deps, scratch)  runs on arrival; returning a transition
+ *                                  moves straight on (lookups, execution)
+ *   prompt(session)                replies sent on arrival unless enter moved on
+ *   input(session, input, deps)    handles a message while the flow waits here
+ *   timeoutSeconds                 how long the flow may wait here
+ *   final                          the flow ends (and its session is deleted) here
+ *
+ * Commands (cancel, edit amount, ...) are checked before the current state's
+ * input handler in every state that is not final and does not set
+ * `commands: false`.
+ *
+ * A transition is `{ to, data, reply, scratch, reenter }`: the state to
+ * move to (omit to stay), fields to merge into session.data, replies to
+ * send, values for later enter handlers in the same turn that must never
+ * be stored (a PIN), and whether moving to the current state runs its
+ * enter handler again. Returning `{ unhandled: true }` from input leaves
+ * the message to the caller.
+ *
+ * The machine never talks to WhatsApp: start() and handle() return the
+ * replies, and the caller decides how to send them. With a memory store a
+ * flow can be driven by scripted messages and fake deps alone.
+ */
+
+const MAX_CHAINED_TRANSITIONS = 20;
+const STORE_GRACE_SECONDS = 600;
+
+function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Sessions in Redis under the flow's sessionManager feature
+function createRedisStore(feature) {
+  return {
+    async load(name, key) {
+      return sessionManager.getSession(feature, key, `machine:${name}`);
+    },
+    async save(name, key, session, ttlSeconds) {
+      return sessionManager.setSession(feature, key, session, ttlSeconds, `machine:${name}`);
+    },
+    async remove(name, key) {
+      return sessionManager.deleteSession(feature, key, `machine:${name}`);
+    }
+  };
+}
+
+function createMemoryStore() {
+  const sessions = new Map();
+  return {
+    sessions,
+    async load(name, key) {
+      const session = sessions.get(`${name}:${key}`);
+      return session ? JSON.parse(JSON.stringify(session)) : null;
+    },
+    async save(name, key, session) {
+      sessions.set(`${name}:${key}`, JSON.parse(JSON.stringify(session)));
+      return true;
+    },
+    async remove(name, key) {
+      return sessions.delete(`${name}:${key}`);
+    }
+  };
+}
+
+class ConversationMachine {
+  constructor(definition, { store = null, now = () => Date.now() } = {}) {
+    const { name, initial, states } = definition;
+    if (!name || !states || !states[initial]) {
+      throw new Error('A conversation machine needs a name and an initial state it declares');
+    }
+
+    this.definition = definition;
+    this.name = name;
+    this.store = store || createRedisStore(definition.feature || 'default');
+    this.now = now;
+  }
+
+  // Same definition, different store or clock (scripted runs)
+  withOptions(options) {
+    return new ConversationMachine(this.definition, {
+      store: options.store || this.store,
+      now: options.now || this.now
+    });
+  }
+
+  getState(name) {
+    const state = this.definition.states[name];
+    if (!state) {
+      throw new Error(`Unknown ${this.name} state: ${name}`);
+    }
+    return state;
+  }
+
+  timeoutFor(stateName) {
+    return this.getState(stateName).timeoutSeconds || this.definition.timeoutSeconds || 600;
+  }
+
+  async getSession(key) {
+    const session = await this.store.load(this.name, key);
+    return session && session.flow === this.name ? session : null;
+  }
+
+  async isActive(key) {
+    const session = await this.getSession(key);
+    return !!session && !this.isExpired(session);
+  }
+
+  isExpired(session) {
+    return session.stepExpiresAt && this.now() > session.stepExpiresAt;
+  }
+
+  async clear(key) {
+    return this.store.remove(this.name, key);
+  }
+
+  // Begin the flow for `key`, replacing any session it already has
+  async start(key, data = {}, deps = {}) {
+    const session = {
+      flow: this.name,
+      key,
+      state: null,
+      data: { ...data },
+      history: [],
+      startedAt: new Date(this.now()).toISOString()
+    };
+
+    const replies = [];
+    await this.settle(session, { to: this.definition.initial }, deps, replies, {});
+    return { handled: true, session, replies };
+  }
+
+  // Feed one inbound message ({ text, buttonId }) to the flow
+  async handle(key, input, deps = {}) {
+    const session = await this.getSession(key);
+    if (!session) {
+      return { handled: false, session: null, replies: [] };
+    }
+
+    const replies = [];
+
+    if (this.isExpired(session)) {
+      // The message that found the flow expired still deserves a normal answer
+      await this.settle(session, { to: this.definition.expiredState || 'expired' }, deps, replies, {});
+      return { handled: false, session, replies };
+    }
+
+    const state = this.getState(session.state);
+    let transition = null;
+
+    if (state.commands !== false) {
+      for (const command of this.definition.commands || []) {
+        if (command.match(input, session)) {
+          transition = await command.run(session, input, deps);
+          break;
+        }
+      }
+    }
+
+    if (!transition) {
+      transition = state.input
+        ? await state.input(session, input, deps)
+        : { unhandled: true };
+    }
+
+    if (!transition || transition.unhandled) {
+      return { handled: false, session, replies: asArray(transition?.reply) };
+    }
+
+    await this.settle(session, transition, deps, replies, {});
+    return { handled: true, session, replies };
+  }
+
+  // Apply a transition and any that follow from enter handlers, then persist
+  async settle(session, transition, deps, replies, scratch) {
+    let next = transition;
+
+    const apply = (change) => {
+      Object.assign(session.data, change?.data || {});
+      Object.assign(scratch, change?.scratch || {});
+      replies.push(...asArray(change?.reply));
+    };
+
+    for (let step = 0; next; step++) {
+      if (step >= MAX_CHAINED_TRANSITIONS) {
+        throw new Error(`${this.name} flow did not settle after ${MAX_CHAINED_TRANSITIONS} transitions`);
+      }
+
+      apply(next);
+      if (!next.to || (next.to === session.state && !next.reenter)) {
+        break;
+      }
+
+      const from = session.state;
+      session.state = next.to;
+      session.history.push({ from, to: next.to, at: new Date(this.now()).toISOString() });
+      logger.info('Conversation flow transition', { flow: this.name, key: session.key, from, to: next.to });
+
+      const state = this.getState(next.to);
+      next = state.enter ? await state.enter(session, deps, scratch) : null;
+
+      // An enter handler that stays put has done its work; now the flow waits here
+      if (!next || !next.to) {
+        apply(next);
+        replies.push(...asArray(state.prompt ? state.prompt(session) : null));
+        next = null;
+      }
+    }
+
+    const state = this.getState(session.state);
+    if (state.final) {
+      session.endedAt = new Date(this.now()).toISOString();
+      await this.store.remove(this.name, session.key);
+      return session;
+    }
+
+    const timeoutSeconds = this.timeoutFor(session.state);
+    session.stepExpiresAt = this.now() + timeoutSeconds * 1000;
+    // Kept past the step timeout so a late reply can still be told the flow expired
+    await this.store.save(this.name, session.key, session, timeoutSeconds + STORE_GRACE_SECONDS);
+    return session;
+  }
+}
+
+module.exports = {
+  ConversationMachine,
+  createMemoryStore,
+  createRedisStore
+};
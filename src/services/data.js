@@ -1,17 +1,11 @@
-const axios = require('axios');
-const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
+const riskService = require('./risk');
 
 class DataService {
   constructor() {
-    // Bilal API configuration for data services
-    this.baseURL = process.env.BILAL_BASE_URL;
-    this.apiKey = process.env.BILAL_API_KEY;
-    this.serviceId = process.env.BILAL_SERVICE_ID;
-    
     // Nigerian network operators
     this.networks = {
       MTN: 'mtn',
@@ -199,7 +193,7 @@ class DataService {
   }
 
   // Purchase data
-  async purchaseData(userId, phoneNumber, network, planId, pin) {
+  async purchaseData(userId, phoneNumber, network, planId, pin, options = {}) {
     try {
       // Get user and validate
       const user = await userService.getUserById(userId);
@@ -207,8 +201,12 @@ class DataService {
         throw new Error('User not found');
       }
 
-      // Validate PIN
-      await userService.validateUserPin(userId, pin);
+      // Validate PIN (scheduled runs carry a pre-authorisation instead)
+      if (options.pinAuthorization) {
+        await userService.verifyPinAuthorization(userId, options.pinAuthorization);
+      } else {
+        await userService.validateUserPin(userId, pin);
+      }
 
       // Clean phone number for processing
       const validation = await this.cleanPhoneNumber(phoneNumber);
@@ -242,8 +240,7 @@ class DataService {
         throw new Error('Insufficient wallet balance');
       }
 
-      // Create transaction record
-      const transaction = await transactionService.createTransaction(userId, {
+      const transactionData = {
         type: 'debit',
         category: 'data_purchase',
         amount: sellingPrice,
@@ -269,173 +266,159 @@ class DataService {
           margin: sellingPrice - retailPrice,
           phoneNumber: validation.cleanNumber
         }
-      });
+      };
 
+      // Score the purchase; a risky one is stepped up or held before any money moves
+      const riskFields = await riskService.screen(user, {
+        service: 'data',
+        transaction: transactionData,
+        counterparty: { type: 'phone_number', value: validation.cleanNumber },
+        resume: { phoneNumber, network, planId },
+        pin
+      }, options);
+
+      // Create transaction record
+      const transaction = await transactionService.createTransaction(userId, { ...transactionData, ...riskFields });
+
+      let hold = null;
+      let providerPaid = false;
+      let outcomeUnknown = false;
       try {
-        // Step 1: Check provider (Bilal) balance BEFORE any transfers/debits
-        // Use retail price (what provider charges) not selling price (what we charge user)
-        const bilalService = require('./bilal');
-        await bilalService.checkProviderBalance(plan.price || retailPrice);
-        
-        // Step 2: Transfer amount to parent account
-        const bankTransferService = require('./bankTransfer');
-        await bankTransferService.transferToParentAccount(userId, sellingPrice, 'data', transaction.reference);
-        
-        // Step 3: Sync and check Rubies wallet balance
-        const walletBalance = await walletService.getWalletBalance(userId, true);
-        if (walletBalance.available < sellingPrice) {
-          throw new Error('Insufficient wallet balance');
-        }
-        
-        // Step 4: Debit wallet with selling price (our charge to user)
-        await walletService.debitWallet(userId, sellingPrice, `Data purchase: ${plan.title}`, {
-          category: 'data',
+        // Step 1: Hold the selling price (our charge to user) until the provider confirms
+        hold = await walletService.placeHold(userId, sellingPrice, {
+          reference: transaction.reference,
           transactionId: transaction.id,
-          parentAccountTransferred: true
+          description: transactionData.description,
+          adopt: options.riskClearance?.fundsHold
         });
 
-        // Step 5: Process data purchase through Bilal API
-        const purchaseResult = await this.processBilalDataPurchase(validation.cleanNumber, network.toUpperCase(), plan);
-        
-        if (purchaseResult.success) {
-          // Update transaction status
-          await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
-            providerReference: purchaseResult.reference,
-            providerResponse: purchaseResult.response
-          });
-
-          logger.info('Data purchase completed successfully', {
-            userId,
-            phoneNumber: validation.cleanNumber,
-            network: networkCode,
-            planId,
-            amount: plan.price,
-            reference: transaction.reference
-          });
+        // Step 2: Buy from whichever VAS provider is up and has float; see vasGateway
+        const vasGateway = require('./vasGateway');
+        const vend = await vasGateway.purchase('data', {
+          phoneNumber: validation.cleanNumber,
+          network: network.toUpperCase(),
+          dataPlan: plan
+        });
 
-          return {
-            success: true,
-            transaction: {
-              reference: transaction.reference,
-              amount: sellingPrice,
-              phoneNumber: validation.cleanNumber,
-              network: networkCode,
-              planDetails: plan,
-              status: 'completed'
-            },
-            provider: purchaseResult
-          };
-        } else {
-          // Provider failed - refund user wallet (should be rare now with balance check)
-          await walletService.creditWallet(userId, sellingPrice, `Refund: Data purchase failed - ${transaction.reference}`, {
-            category: 'refund',
-            parentTransactionId: transaction.id,
-            refundReason: purchaseResult.message || 'Provider purchase failed'
-          });
-          
-          // Update transaction as failed
-          await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-            failureReason: purchaseResult.message || 'Purchase failed',
-            refunded: true
+        if (vend.status === 'unknown') {
+          // The provider may have delivered; the hold stays until it is reconciled
+          outcomeUnknown = true;
+          await transactionService.updateTransactionStatus(transaction.reference, 'processing', {
+            providerReference: vend.reference,
+            providerResponse: vend.response,
+            metadata: { provider: vend.provider }
           });
+          const pendingError = new Error('Your data purchase is still processing with the provider. We will confirm it as soon as they respond.');
+          pendingError.outcomeUnknown = true;
+          pendingError.transactionReference = transaction.reference;
+          throw pendingError;
+        }
 
-          throw new Error(purchaseResult.message || 'Data purchase failed');
+        if (vend.status !== 'delivered') {
+          throw new Error(vend.message || 'Data purchase failed');
         }
-      } catch (providerError) {
-        // Provider error - check if it's a balance check error (before debit) or actual provider error
-        const isBalanceCheckError = providerError.message && providerError.message.includes('Provider has insufficient balance');
-        
-        if (!isBalanceCheckError) {
-          // Only refund if user was already debited (actual provider error after debit)
-          // The webhook will handle the actual refund
-          logger.warn('Data purchase error - webhook will handle refund if needed', {
-            userId,
-            transactionReference: transaction.reference,
-            error: providerError.message
+
+        // Step 3: Capture the hold now that the plan is delivered
+        providerPaid = true;
+        try {
+          await walletService.captureHold(hold, {
+            description: `Data purchase: ${plan.title}`,
+            metadata: {
+              category: 'data',
+              transactionId: transaction.id,
+              provider: vend.provider,
+              providerReference: vend.reference
+            }
           });
-        } else {
-          // Balance check failed - user was never debited, no refund needed
-          logger.info('Data purchase rejected due to insufficient provider balance', {
+        } catch (captureError) {
+          logger.error('Critical: Data delivered but the funds hold could not be captured', {
             userId,
-            transactionReference: transaction.reference,
-            error: providerError.message
+            error: captureError.message,
+            transactionReference: transaction.reference
           });
+          await walletService.flagHoldForReconciliation(hold, captureError.message);
+          throw captureError;
         }
-        
-        // Update transaction as failed
-        await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-          failureReason: providerError.message,
-          awaitingRefund: !isBalanceCheckError // Only await refund if user was debited
+
+        // Step 4: Transfer amount to parent account
+        const bankTransferService = require('./bankTransfer');
+        await bankTransferService.transferToParentAccount(userId, sellingPrice, 'data', transaction.reference);
+
+        // Update transaction status
+        await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
+          metadata: { provider: vend.provider },
+          providerReference: vend.reference,
+          providerResponse: vend.response
         });
 
-        throw new Error(`Data purchase failed: ${providerError.message}`);
-      }
-    } catch (error) {
-      logger.error('Data purchase failed', { error: error.message, userId, phoneNumber, network, planId });
-      throw error;
-    }
-  }
+        logger.info('Data purchase completed successfully', {
+          userId,
+          phoneNumber: validation.cleanNumber,
+          network: network.toUpperCase(),
+          planId,
+          amount: plan.price,
+          provider: vend.provider,
+          reference: transaction.reference
+        });
 
-  // Process data purchase through Bilal API
-  async processBilalDataPurchase(phoneNumber, network, plan) {
-    try {
-      if (!this.baseURL || !this.apiKey) {
-        // Mock response for testing when API credentials are not configured
-        logger.warn('Bilal API credentials not configured, using mock response');
         return {
           success: true,
-          reference: `MOCK_${Date.now()}`,
-          message: 'Data purchase successful (mock)',
-          response: {
-            status: 'success',
-            phoneNumber,
-            network,
-            planDetails: plan
+          transaction: {
+            reference: transaction.reference,
+            amount: sellingPrice,
+            phoneNumber: validation.cleanNumber,
+            network: network.toUpperCase(),
+            planDetails: plan,
+            status: 'completed'
+          },
+          provider: {
+            success: true,
+            provider: vend.provider,
+            reference: vend.reference,
+            message: vend.message,
+            response: vend.response
           }
         };
-      }
+      } catch (providerError) {
+        if (outcomeUnknown) {
+          logger.warn('Data purchase outcome unknown, leaving funds held', {
+            userId,
+            reference: transaction.reference
+          });
+          await walletService.flagHoldForReconciliation(hold, 'Purchase outcome unknown at the provider');
+          throw providerError;
+        }
 
-      const payload = {
-        phone: phoneNumber,
-        network: network,
-        plan_id: plan.code,
-        amount: plan.price
-      };
+        if (providerPaid) {
+          // Delivered but not recorded: the hold stays for reconciliation
+          await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
+            failureReason: providerError.message,
+            criticalError: true
+          });
+          throw new Error('Data was delivered but the payment could not be recorded. Please contact support.');
+        }
 
-      const response = await axios.post(`${this.baseURL}/api/data`, payload, {
-        ...axiosConfig,
-        headers: {
-          ...axiosConfig.headers,
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+        // The user was never debited; releasing the hold returns the funds
+        if (hold) {
+          await walletService.releaseHoldAfterFailure(hold, providerError.message);
         }
-      });
 
-      if (response.data.success || response.data.status === 'success') {
-        return {
-          success: true,
-          reference: response.data.reference || response.data.transaction_id,
-          message: response.data.message || 'Data purchase successful',
-          response: response.data
-        };
-      } else {
-        return {
-          success: false,
-          message: response.data.message || 'Data purchase failed',
-          response: response.data
-        };
+        logger.info('Data purchase failed before capture', {
+          userId,
+          transactionReference: transaction.reference,
+          error: providerError.message,
+          fundsReleased: !!hold
+        });
+
+        // Update transaction as failed
+        await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
+          failureReason: providerError.message
+        });
+
+        throw new Error(`Data purchase failed: ${providerError.message}`);
       }
     } catch (error) {
-      logger.error('Bilal API data purchase failed', { error: error.message, phoneNumber, network, plan });
-      
-      if (error.response) {
-        return {
-          success: false,
-          message: error.response.data.message || 'API request failed',
-          response: error.response.data
-        };
-      }
-      
+      logger.error('Data purchase failed', { error: error.message, userId, phoneNumber, network, planId });
       throw error;
     }
   }
@@ -0,0 +1,1314 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const userService = require('./user');
+const idempotencyService = require('./idempotency');
+const scheduledPaymentService = require('./scheduledPayment');
+
+/**
+ * Group collections: bill splits, pots and rotating ajo/esusu savings
+ *
+ * A pot collects money from a group into the owner's wallet — a bill split
+ * ("split 30k for dinner with ...") or a contribution towards a target.
+ * Members are added by phone number and asked on WhatsApp; those with a
+ * MiiMii wallet pay with their PIN, wallet to wallet. Numbers without an
+ * account are invited to sign up and can pay once they have.
+ *
+ * An ajo is rotating savings: every round each member pays the same
+ * contribution and one member, in payout order, receives it all. Members
+ * join with their PIN, which becomes a pre-authorisation (as for scheduled
+ * payments) so the maintenance worker can collect each round unattended.
+ * The ajo starts once every member has joined. Each member's share of a
+ * round runs under its own idempotency key, so a repeated worker never
+ * collects twice; a share that fails is recorded as missed and the member
+ * can settle it later with "pay ajo".
+ */
+
+const OPEN_STATUSES = ['pending', 'active'];
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+function formatAmount(amount) {
+  return `₦${roundAmount(amount || 0).toLocaleString()}`;
+}
+
+// +2348031234567 → +234803****567, for members looking at each other
+function maskPhone(phoneNumber) {
+  const value = String(phoneNumber || '');
+  return value.length > 7 ? `${value.slice(0, -7)}****${value.slice(-3)}` : value;
+}
+
+class GroupCollectionService {
+  constructor() {
+    this.types = ['pot', 'ajo'];
+    this.frequencies = ['daily', 'weekly', 'monthly'];
+    this.defaultTimeOfDay = '09:00';
+    this.claimTimeoutMs = 10 * 60 * 1000;
+    this.batchSize = 10;
+  }
+
+  get limits() {
+    return config.getGroupCollectionConfig();
+  }
+
+  // ===== Creation =====
+
+  /**
+   * Start a pot. Each member owes `amount`, else input.amountPerMember, else
+   * an equal share of targetAmount; with none of these they may pay any
+   * amount. targetAmount defaults to the sum of the shares.
+   */
+  async createPot(ownerId, input, { source = 'app' } = {}) {
+    const title = String(input.title || '').trim();
+    if (!title) {
+      throw new Error('Title is required');
+    }
+
+    const owner = await userService.getUserById(ownerId);
+    if (!owner) {
+      throw new Error('User not found');
+    }
+    const members = await this.resolveMembers(owner, input.members, this.limits.maxMembers);
+
+    let targetAmount = input.targetAmount ? roundAmount(input.targetAmount) : null;
+    const amountPerMember = input.amountPerMember ? roundAmount(input.amountPerMember) : null;
+    const equalShare = !amountPerMember && targetAmount && members.every(member => !member.amount)
+      ? Math.ceil((targetAmount / members.length) * 100) / 100
+      : null;
+
+    members.forEach(member => {
+      member.amountDue = member.amount ? roundAmount(member.amount) : (amountPerMember || equalShare);
+      if (member.amountDue !== null && member.amountDue < this.limits.minContribution) {
+        throw new Error(`Each share must be at least ${formatAmount(this.limits.minContribution)}`);
+      }
+    });
+
+    if (!targetAmount) {
+      if (members.some(member => member.amountDue === null)) {
+        throw new Error('Set a target amount or an amount per member');
+      }
+      targetAmount = roundAmount(members.reduce((sum, member) => sum + member.amountDue, 0));
+    }
+
+    const group = await this.insertGroup({
+      id: uuidv4(),
+      ownerId,
+      type: 'pot',
+      status: 'active',
+      title,
+      description: input.description || null,
+      targetAmount,
+      contributionAmount: amountPerMember || equalShare,
+      collectedAmount: 0,
+      dueDate: input.dueDate ? new Date(input.dueDate).toISOString() : null,
+      source,
+      metadata: input.metadata || null
+    });
+
+    const saved = await this.insertMembers(members.map(member => ({
+      id: uuidv4(),
+      groupCollectionId: group.id,
+      userId: member.userId,
+      phoneNumber: member.phoneNumber,
+      name: member.name,
+      status: 'invited',
+      amountDue: member.amountDue,
+      amountPaid: 0
+    })));
+
+    logger.info('Group pot created', { ownerId, groupCollectionId: group.id, members: saved.length, targetAmount, source });
+
+    const sent = await this.sendRequests(group, saved, owner);
+    return { group, members: sent };
+  }
+
+  /**
+   * Start an ajo. Members are paid out in the order given, with the owner
+   * at ownerPosition (1 by default). The owner's PIN authorises their own
+   * contributions; everyone else joins from the WhatsApp invite or the app.
+   */
+  async createAjo(ownerId, input, pin, { source = 'app' } = {}) {
+    const title = String(input.title || '').trim();
+    if (!title) {
+      throw new Error('Title is required');
+    }
+    const contributionAmount = roundAmount(input.contributionAmount);
+    if (!(contributionAmount >= this.limits.minContribution)) {
+      throw new Error(`Contribution must be at least ${formatAmount(this.limits.minContribution)}`);
+    }
+    if (!this.frequencies.includes(input.frequency)) {
+      throw new Error('Frequency must be daily, weekly or monthly');
+    }
+    scheduledPaymentService.validateTiming(input);
+
+    const owner = await userService.getUserById(ownerId);
+    if (!owner) {
+      throw new Error('User not found');
+    }
+    const others = await this.resolveMembers(owner, input.members, this.limits.maxAjoMembers - 1);
+
+    const ownerPosition = Math.min(Math.max(parseInt(input.ownerPosition, 10) || 1, 1), others.length + 1);
+    const ordered = [...others];
+    ordered.splice(ownerPosition - 1, 0, {
+      userId: owner.id,
+      phoneNumber: owner.whatsappNumber,
+      name: this.displayName(owner),
+      isOwner: true
+    });
+
+    const group = {
+      id: uuidv4(),
+      ownerId,
+      type: 'ajo',
+      status: 'pending',
+      title,
+      description: input.description || null,
+      contributionAmount,
+      collectedAmount: 0,
+      frequency: input.frequency,
+      dayOfWeek: input.frequency === 'weekly' ? input.dayOfWeek : null,
+      dayOfMonth: input.frequency === 'monthly' ? input.dayOfMonth : null,
+      timeOfDay: input.timeOfDay || this.defaultTimeOfDay,
+      currentCycle: 0,
+      totalCycles: ordered.length,
+      source,
+      metadata: input.metadata || null
+    };
+
+    const rows = ordered.map((member, index) => ({
+      id: uuidv4(),
+      groupCollectionId: group.id,
+      userId: member.userId,
+      phoneNumber: member.phoneNumber,
+      name: member.name,
+      status: member.isOwner ? 'active' : 'invited',
+      payoutPosition: index + 1,
+      amountPaid: 0
+    }));
+
+    // Check the PIN before anything is written
+    const ownerRow = rows[ownerPosition - 1];
+    ownerRow.pinAuthorization = await userService.createPinAuthorization(ownerId, pin, this.authorizationSubject(group, ownerRow));
+    ownerRow.authorizedAt = new Date().toISOString();
+
+    const created = await this.insertGroup(group);
+    const saved = await this.insertMembers(rows);
+
+    logger.info('Ajo created', { ownerId, groupCollectionId: created.id, members: saved.length, frequency: created.frequency, source });
+
+    const sent = await this.sendRequests(created, saved, owner);
+    return { group: created, members: sent };
+  }
+
+  /**
+   * Normalise the members list: E.164 phone numbers, no duplicates, not the
+   * owner, and linked to a MiiMii user where the number has an account.
+   */
+  async resolveMembers(owner, list, max) {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('Add at least one member');
+    }
+
+    const seen = new Set([owner.whatsappNumber]);
+    const members = [];
+    for (const entry of list) {
+      const raw = typeof entry === 'string' ? { phoneNumber: entry } : (entry || {});
+      let phoneNumber;
+      try {
+        phoneNumber = userService.cleanPhoneNumber(raw.phoneNumber);
+      } catch (error) {
+        throw new Error(`Invalid phone number: ${raw.phoneNumber || ''}`);
+      }
+      if (seen.has(phoneNumber)) continue;
+      seen.add(phoneNumber);
+
+      let user = null;
+      try {
+        user = await userService.getUserByWhatsappNumber(phoneNumber);
+      } catch (error) {
+        logger.warn('Could not look up group member', { error: error.message });
+      }
+
+      members.push({
+        userId: user ? user.id : null,
+        phoneNumber,
+        name: raw.name || (user ? this.displayName(user) : null),
+        amount: raw.amount ? parseFloat(raw.amount) : null
+      });
+    }
+
+    if (members.length === 0) {
+      throw new Error('Add at least one member other than yourself');
+    }
+    if (members.length > max) {
+      throw new Error(`A group can have at most ${max} members besides you`);
+    }
+    return members;
+  }
+
+  displayName(user) {
+    return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.fullName || null;
+  }
+
+  // ===== Members' actions =====
+
+  /**
+   * Pay into a pot from the member's wallet, or for an ajo settle every
+   * round the member missed. `amount` is only needed for pots where the
+   * member has no fixed share.
+   */
+  async payContribution(userId, memberId, pin, { amount = null } = {}) {
+    const user = await userService.getUserById(userId);
+    const { group, member } = await this.getMembership(user, memberId);
+
+    if (group.type === 'ajo') {
+      return this.settleMissedRounds(user, group, member, pin);
+    }
+
+    if (group.status !== 'active') {
+      throw new Error(`This collection is ${group.status}`);
+    }
+    if (member.status === 'removed') {
+      throw new Error('You are no longer a member of this collection');
+    }
+
+    const outstanding = member.amountDue !== null && member.amountDue !== undefined
+      ? roundAmount(parseFloat(member.amountDue) - parseFloat(member.amountPaid || 0))
+      : null;
+    if (outstanding !== null && outstanding <= 0) {
+      throw new Error('You have already paid your share');
+    }
+
+    const payAmount = amount ? roundAmount(amount) : outstanding;
+    if (!payAmount) {
+      throw new Error('Enter the amount you want to contribute');
+    }
+    if (outstanding !== null && payAmount > outstanding) {
+      throw new Error(`Your outstanding share is ${formatAmount(outstanding)}`);
+    }
+    if (payAmount < Math.min(this.limits.minContribution, outstanding || Infinity)) {
+      throw new Error(`The minimum contribution is ${formatAmount(this.limits.minContribution)}`);
+    }
+
+    await userService.validateUserPin(userId, pin);
+
+    const walletService = require('./wallet');
+    const transfer = await walletService.transferBetweenWallets(userId, group.ownerId, payAmount, `${group.title} (group collection)`);
+
+    await this.recordContribution({
+      group, member, userId, recipientUserId: group.ownerId, amount: payAmount, status: 'success', reference: transfer.reference
+    });
+    const totals = await this.refreshTotals(group, member);
+
+    logger.info('Group pot contribution paid', {
+      groupCollectionId: group.id,
+      memberId: member.id,
+      amount: payAmount,
+      reference: transfer.reference,
+      collectedAmount: totals.group.collectedAmount
+    });
+
+    await this.notifyOwnerOfPayment(totals.group, totals.member, payAmount, totals.members);
+
+    return {
+      group: totals.group,
+      member: totals.member,
+      amount: payAmount,
+      reference: transfer.reference,
+      progress: this.getProgress(totals.group, totals.members)
+    };
+  }
+
+  async settleMissedRounds(user, group, member, pin) {
+    if (!['active', 'completed'].includes(group.status)) {
+      throw new Error(`This ajo is ${group.status}`);
+    }
+
+    const missed = await this.listMissedRounds(member.id);
+    if (missed.length === 0) {
+      throw new Error('You have no missed ajo contributions');
+    }
+
+    await userService.validateUserPin(user.id, pin);
+
+    const walletService = require('./wallet');
+    const settled = [];
+    for (const round of missed) {
+      // Same key as collectShare: a round is paid once, however it gets paid
+      const transfer = await idempotencyService.execute({
+        userId: user.id,
+        scope: 'group_collection',
+        key: `${group.id}:${round.cycle}:${member.id}`,
+        payload: { amount: round.amount, recipientUserId: round.recipientUserId }
+      }, () => walletService.transferBetweenWallets(user.id, round.recipientUserId, round.amount,
+        `Ajo: ${group.title} round ${round.cycle}`));
+      await this.recordContribution({
+        group, member, userId: user.id, recipientUserId: round.recipientUserId, cycle: round.cycle,
+        amount: round.amount, status: 'success', reference: transfer.reference
+      });
+      settled.push({ cycle: round.cycle, amount: round.amount, reference: transfer.reference });
+      await this.notifyRecipientOfLateShare(group, member, round);
+    }
+    const totals = await this.refreshTotals(group, member);
+
+    logger.info('Missed ajo rounds settled', { groupCollectionId: group.id, memberId: member.id, rounds: settled.length });
+
+    return {
+      group: totals.group,
+      member: totals.member,
+      amount: roundAmount(settled.reduce((sum, round) => sum + round.amount, 0)),
+      settled,
+      progress: this.getProgress(totals.group, totals.members)
+    };
+  }
+
+  // Rounds where the member's share failed and has not been paid since
+  async listMissedRounds(memberId) {
+    const contributions = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupContributions')
+        .select('*')
+        .eq('memberId', memberId)
+        .not('cycle', 'is', null)
+        .order('cycle', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    });
+
+    const byCycle = new Map();
+    contributions.forEach(contribution => {
+      const round = byCycle.get(contribution.cycle) || { cycle: contribution.cycle, statuses: new Set() };
+      round.statuses.add(contribution.status);
+      round.amount = parseFloat(contribution.amount);
+      round.recipientUserId = contribution.recipientUserId;
+      byCycle.set(contribution.cycle, round);
+    });
+
+    return [...byCycle.values()]
+      .filter(round => round.statuses.has('failed') && !round.statuses.has('success') && !round.statuses.has('unknown'))
+      .map(({ statuses, ...round }) => round);
+  }
+
+  /**
+   * Join an ajo with the PIN that authorises every round's contribution.
+   * Joining again refreshes an authorisation voided by a PIN change.
+   */
+  async joinAjo(userId, memberId, pin) {
+    const user = await userService.getUserById(userId);
+    const { group, member } = await this.getMembership(user, memberId);
+
+    if (group.type !== 'ajo') {
+      throw new Error('Only an ajo can be joined');
+    }
+    if (!OPEN_STATUSES.includes(group.status)) {
+      throw new Error(`This ajo is ${group.status}`);
+    }
+    if (member.status === 'removed' || (member.status === 'declined' && group.status !== 'pending')) {
+      throw new Error('You are no longer a member of this ajo');
+    }
+
+    const pinAuthorization = await userService.createPinAuthorization(userId, pin, this.authorizationSubject(group, member));
+    const saved = await this.saveMember(member.id, {
+      status: 'active',
+      userId,
+      pinAuthorization,
+      authorizedAt: new Date().toISOString()
+    });
+
+    logger.info('Ajo joined', { groupCollectionId: group.id, memberId: member.id, rejoined: member.status === 'active' });
+
+    const started = group.status === 'pending' ? await this.startAjoIfReady(group) : null;
+    const current = started || group;
+    const members = await this.loadMembers([current.id]);
+    if (!started && member.status !== 'active') {
+      await this.notifyOwner(current, '👥 Ajo member joined',
+        `${this.memberLabel(saved)} joined *${current.title}*. ${members.filter(m => m.status === 'active').length} of ${members.filter(m => m.status !== 'removed').length} members have joined.`);
+    }
+
+    return { group: current, member: saved, started: !!started, progress: this.getProgress(current, members) };
+  }
+
+  async declineRequest(userId, memberId) {
+    const user = await userService.getUserById(userId);
+    const { group, member } = await this.getMembership(user, memberId);
+
+    if (!OPEN_STATUSES.includes(group.status)) {
+      throw new Error(`This collection is ${group.status}`);
+    }
+    if (group.type === 'ajo' && group.status === 'active' && member.status === 'active') {
+      throw new Error("You can't leave an ajo that has started. Ask the organiser to cancel it.");
+    }
+    if (group.type === 'pot' && parseFloat(member.amountPaid || 0) > 0) {
+      throw new Error('You have already contributed to this collection');
+    }
+
+    const saved = await this.saveMember(member.id, { status: 'declined', userId, pinAuthorization: null });
+    logger.info('Group request declined', { groupCollectionId: group.id, memberId: member.id });
+
+    const hint = group.type === 'ajo'
+      ? ' The ajo starts once everyone has joined, so remove them or cancel it in the MiiMii app.'
+      : '';
+    await this.notifyOwner(group, '👥 Request declined', `${this.memberLabel(saved)} declined to join *${group.title}*.${hint}`);
+
+    return { group, member: saved };
+  }
+
+  // ===== Owner's actions =====
+
+  async addMembers(ownerId, groupId, list) {
+    const group = await this.getOwnedGroup(ownerId, groupId);
+    if (group.type === 'ajo' ? group.status !== 'pending' : group.status !== 'active') {
+      throw new Error(group.type === 'ajo' ? "Members can't be added once the ajo has started" : `This collection is ${group.status}`);
+    }
+
+    const owner = await userService.getUserById(ownerId);
+    const existing = await this.loadMembers([group.id]);
+    const current = existing.filter(member => member.status !== 'removed');
+    const max = group.type === 'ajo' ? this.limits.maxAjoMembers - current.length : this.limits.maxMembers - current.length;
+    const known = new Set(existing.map(member => member.phoneNumber));
+    const resolved = (await this.resolveMembers(owner, list, Infinity)).filter(member => !known.has(member.phoneNumber));
+    if (resolved.length === 0) {
+      throw new Error('Those numbers are already in this group');
+    }
+    if (resolved.length > max) {
+      throw new Error(`This group can take ${Math.max(max, 0)} more members`);
+    }
+
+    const rows = resolved.map((member, index) => ({
+      id: uuidv4(),
+      groupCollectionId: group.id,
+      userId: member.userId,
+      phoneNumber: member.phoneNumber,
+      name: member.name,
+      status: 'invited',
+      amountDue: group.type === 'pot' ? (member.amount ? roundAmount(member.amount) : group.contributionAmount) : null,
+      payoutPosition: group.type === 'ajo' ? current.length + index + 1 : null,
+      amountPaid: 0
+    }));
+    if (group.type === 'pot' && rows.some(row => row.amountDue !== null && row.amountDue < this.limits.minContribution)) {
+      throw new Error(`Each share must be at least ${formatAmount(this.limits.minContribution)}`);
+    }
+
+    const saved = await this.insertMembers(rows);
+    const patch = group.type === 'ajo'
+      ? { totalCycles: current.length + saved.length }
+      : { targetAmount: roundAmount(parseFloat(group.targetAmount) + saved.reduce((sum, member) => sum + parseFloat(member.amountDue || 0), 0)) };
+    const updated = await this.saveGroup(group.id, patch);
+
+    logger.info('Group members added', { groupCollectionId: group.id, added: saved.length });
+    const sent = await this.sendRequests(updated, saved, owner);
+    return { group: updated, members: sent };
+  }
+
+  /**
+   * Drop a member who has not paid (pots) or before the ajo starts. Ajo
+   * payout positions close up behind them, and the ajo starts if everyone
+   * left has joined.
+   */
+  async removeMember(ownerId, groupId, memberId) {
+    const group = await this.getOwnedGroup(ownerId, groupId);
+    const members = await this.loadMembers([group.id]);
+    const member = members.find(m => m.id === memberId);
+    if (!member || member.status === 'removed') {
+      throw new Error('Member not found');
+    }
+    if (member.userId === ownerId) {
+      throw new Error("You can't remove yourself; cancel the group instead");
+    }
+    if (group.type === 'ajo' && group.status !== 'pending') {
+      throw new Error("Members can't be removed once the ajo has started");
+    }
+    if (group.type === 'pot' && parseFloat(member.amountPaid || 0) > 0) {
+      throw new Error('This member has already contributed');
+    }
+
+    await this.saveMember(member.id, { status: 'removed', pinAuthorization: null, payoutPosition: null });
+
+    let updated = group;
+    if (group.type === 'ajo') {
+      const remaining = members
+        .filter(m => m.id !== member.id && m.status !== 'removed')
+        .sort((a, b) => a.payoutPosition - b.payoutPosition);
+      for (const [index, m] of remaining.entries()) {
+        if (m.payoutPosition !== index + 1) {
+          await this.saveMember(m.id, { payoutPosition: index + 1 });
+        }
+      }
+      updated = await this.saveGroup(group.id, { totalCycles: remaining.length });
+      if (remaining.length < 2) {
+        updated = await this.saveGroup(group.id, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+      } else {
+        updated = (await this.startAjoIfReady(updated)) || updated;
+      }
+    } else if (member.amountDue) {
+      updated = await this.saveGroup(group.id, {
+        targetAmount: Math.max(roundAmount(parseFloat(group.targetAmount) - parseFloat(member.amountDue)), 0.01)
+      });
+    }
+
+    logger.info('Group member removed', { groupCollectionId: group.id, memberId });
+    return { group: updated, members: await this.loadMembers([group.id]) };
+  }
+
+  async cancelGroup(ownerId, groupId) {
+    const group = await this.getOwnedGroup(ownerId, groupId);
+    if (!OPEN_STATUSES.includes(group.status)) {
+      return group;
+    }
+
+    const saved = await this.saveGroup(group.id, {
+      status: 'cancelled',
+      nextPayoutAt: null,
+      cancelledAt: new Date().toISOString()
+    });
+    logger.info('Group collection cancelled', { ownerId, groupCollectionId: group.id });
+
+    const members = await this.loadMembers([group.id]);
+    const message = `*${group.title}* has been cancelled by the organiser. No further payments will be taken.`;
+    for (const member of members) {
+      if (member.userId === ownerId || ['declined', 'removed'].includes(member.status)) continue;
+      await this.sendToMember(member, `🚫 ${message}`);
+    }
+
+    return saved;
+  }
+
+  // ===== Queries =====
+
+  /**
+   * Groups the user owns or belongs to, newest first. Memberships added by
+   * phone before the user signed up are matched on their WhatsApp number.
+   */
+  async listForUser(user, { includeClosed = false } = {}) {
+    const statuses = includeClosed ? ['pending', 'active', 'completed', 'cancelled'] : OPEN_STATUSES;
+
+    const memberships = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollectionMembers')
+        .select('*')
+        .or(`userId.eq.${user.id},phoneNumber.eq.${user.whatsappNumber}`)
+        .neq('status', 'removed');
+      if (error) throw error;
+      return data || [];
+    });
+
+    const groups = await databaseService.executeWithRetry(async () => {
+      const memberGroupIds = memberships.map(member => member.groupCollectionId);
+      let query = supabase
+        .from('groupCollections')
+        .select('*')
+        .in('status', statuses)
+        .order('createdAt', { ascending: false });
+      query = memberGroupIds.length > 0
+        ? query.or(`ownerId.eq.${user.id},id.in.(${memberGroupIds.join(',')})`)
+        : query.eq('ownerId', user.id);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    });
+
+    const members = await this.loadMembers(groups.map(group => group.id));
+    return groups.map(group => {
+      const groupMembers = members.filter(member => member.groupCollectionId === group.id);
+      return {
+        group,
+        members: groupMembers,
+        membership: memberships.find(member => member.groupCollectionId === group.id) || null,
+        role: group.ownerId === user.id ? 'owner' : 'member'
+      };
+    });
+  }
+
+  /**
+   * What the user can act on from chat: pot shares still owed, ajo invites
+   * to accept and missed ajo rounds to settle.
+   */
+  async listOpenRequests(user) {
+    const groups = await this.listForUser(user);
+    const requests = [];
+    for (const { group, membership } of groups) {
+      if (!membership) continue;
+      if (group.type === 'pot') {
+        if (group.status === 'active' && membership.status === 'invited') {
+          const amount = membership.amountDue
+            ? roundAmount(parseFloat(membership.amountDue) - parseFloat(membership.amountPaid || 0))
+            : null;
+          requests.push({ action: 'pay', group, member: membership, amount });
+        }
+      } else if (group.status === 'pending' && membership.status === 'invited') {
+        requests.push({ action: 'join', group, member: membership, amount: parseFloat(group.contributionAmount) });
+      } else if (group.status === 'active' && membership.status === 'active') {
+        const missed = await this.listMissedRounds(membership.id);
+        if (missed.length > 0) {
+          const amount = roundAmount(missed.reduce((sum, round) => sum + round.amount, 0));
+          requests.push({ action: 'pay', group, member: membership, amount, rounds: missed.length });
+        }
+      }
+    }
+    return requests;
+  }
+
+  async getGroupForUser(user, groupId) {
+    const group = await this.findGroup(groupId);
+    const members = group ? await this.loadMembers([group.id]) : [];
+    const membership = members.find(member => this.isMemberUser(member, user) && member.status !== 'removed') || null;
+    if (!group || (group.ownerId !== user.id && !membership)) {
+      throw new Error('Group collection not found');
+    }
+    return { group, members, membership, role: group.ownerId === user.id ? 'owner' : 'member' };
+  }
+
+  async getContributions(user, groupId) {
+    const { group, role, membership } = await this.getGroupForUser(user, groupId);
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('groupContributions')
+        .select('*')
+        .eq('groupCollectionId', group.id)
+        .order('createdAt', { ascending: false });
+      // Members see their own payments; the owner sees everyone's
+      if (role !== 'owner') query = query.eq('memberId', membership.id);
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(contribution => ({ ...contribution, amount: parseFloat(contribution.amount) }));
+    });
+  }
+
+  getProgress(group, members) {
+    const current = members.filter(member => !['declined', 'removed'].includes(member.status));
+
+    if (group.type === 'ajo') {
+      const recipient = current.find(member => member.payoutPosition === group.currentCycle) || null;
+      const contributionAmount = parseFloat(group.contributionAmount);
+      return {
+        currentCycle: group.currentCycle,
+        totalCycles: group.totalCycles,
+        joinedMembers: current.filter(member => member.status === 'active').length,
+        totalMembers: current.length,
+        contributionAmount,
+        payoutAmount: roundAmount(contributionAmount * Math.max(current.length - 1, 0)),
+        nextRecipient: recipient ? this.memberLabel(recipient) : null,
+        nextPayoutAt: group.nextPayoutAt || null,
+        totalPaidOut: parseFloat(group.collectedAmount || 0)
+      };
+    }
+
+    const collectedAmount = parseFloat(group.collectedAmount || 0);
+    const targetAmount = parseFloat(group.targetAmount || 0);
+    return {
+      collectedAmount,
+      targetAmount,
+      outstandingAmount: Math.max(roundAmount(targetAmount - collectedAmount), 0),
+      percentage: targetAmount > 0 ? Math.min(Math.floor((collectedAmount / targetAmount) * 100), 100) : 0,
+      paidMembers: current.filter(member => member.status === 'paid').length,
+      totalMembers: current.length
+    };
+  }
+
+  // Strip PIN authorisations and locks; members other than the owner see masked numbers
+  toPublic({ group, members, membership = null, role = 'owner' }) {
+    const { lockedUntil, ...rest } = group;
+    return {
+      ...rest,
+      targetAmount: group.targetAmount !== null && group.targetAmount !== undefined ? parseFloat(group.targetAmount) : null,
+      contributionAmount: group.contributionAmount !== null && group.contributionAmount !== undefined ? parseFloat(group.contributionAmount) : null,
+      collectedAmount: parseFloat(group.collectedAmount || 0),
+      role,
+      membershipId: membership ? membership.id : null,
+      schedule: group.type === 'ajo' ? scheduledPaymentService.describeTiming(group) : null,
+      progress: this.getProgress(group, members),
+      members: members
+        .filter(member => member.status !== 'removed')
+        .sort((a, b) => (a.payoutPosition || 0) - (b.payoutPosition || 0))
+        .map(member => ({
+          id: member.id,
+          name: member.name,
+          phoneNumber: role === 'owner' || (membership && membership.id === member.id) ? member.phoneNumber : maskPhone(member.phoneNumber),
+          isMiiMiiUser: !!member.userId,
+          status: member.status,
+          amountDue: member.amountDue !== null && member.amountDue !== undefined ? parseFloat(member.amountDue) : null,
+          amountPaid: parseFloat(member.amountPaid || 0),
+          payoutPosition: member.payoutPosition,
+          paidOutAt: member.paidOutAt
+        }))
+    };
+  }
+
+  /**
+   * WhatsApp summary of one group, from the point of view of `user`.
+   */
+  describeGroup({ group, members, membership, role }) {
+    const progress = this.getProgress(group, members);
+    const status = group.status === 'active' ? '' : ` (${group.status})`;
+
+    if (group.type === 'ajo') {
+      let text = `🔄 *${group.title}*${status}\n${formatAmount(group.contributionAmount)} ${scheduledPaymentService.describeTiming(group)}, ${progress.totalMembers} members\n`;
+      if (group.status === 'pending') {
+        text += `👥 ${progress.joinedMembers} of ${progress.totalMembers} have joined\n`;
+      } else if (group.status === 'active') {
+        text += `🎯 Round ${group.currentCycle} of ${group.totalCycles}: ${formatAmount(progress.payoutAmount)} to ${progress.nextRecipient} on ${scheduledPaymentService.formatRunDate(group.nextPayoutAt)}\n`;
+      }
+      if (role !== 'owner' && membership) {
+        text += membership.status === 'invited'
+          ? '👉 You have not joined yet\n'
+          : `🙋 Your payout: round ${membership.payoutPosition}${membership.paidOutAt ? ' (paid)' : ''}\n`;
+      }
+      return text;
+    }
+
+    let text = `💰 *${group.title}*${status}\n${formatAmount(progress.collectedAmount)} of ${formatAmount(progress.targetAmount)} (${progress.percentage}%), ${progress.paidMembers} of ${progress.totalMembers} paid\n`;
+    if (role === 'owner') {
+      const waiting = members.filter(member => ['invited', 'active'].includes(member.status));
+      if (waiting.length > 0) {
+        text += `⏳ Waiting on: ${waiting.slice(0, 5).map(member => this.memberLabel(member)).join(', ')}${waiting.length > 5 ? ` and ${waiting.length - 5} more` : ''}\n`;
+      }
+    } else if (membership) {
+      const due = membership.amountDue ? roundAmount(parseFloat(membership.amountDue) - parseFloat(membership.amountPaid || 0)) : null;
+      text += membership.status === 'paid'
+        ? '✅ You have paid your share\n'
+        : `👉 Your share: ${due !== null ? formatAmount(due) : 'any amount'}\n`;
+    }
+    return text;
+  }
+
+  memberLabel(member) {
+    return member.name || maskPhone(member.phoneNumber);
+  }
+
+  // ===== Worker =====
+
+  async runDuePayouts({ now = new Date(), limit = this.batchSize } = {}) {
+    const nowIso = now.toISOString();
+    const due = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollections')
+        .select('*')
+        .eq('type', 'ajo')
+        .eq('status', 'active')
+        .lte('nextPayoutAt', nowIso)
+        .or(`lockedUntil.is.null,lockedUntil.lt.${nowIso}`)
+        .order('nextPayoutAt', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+
+    const summary = { due: due.length, rounds: 0, collected: 0, missed: 0, skipped: 0 };
+    for (const candidate of due) {
+      const group = await this.claimGroup(candidate, now);
+      if (!group) {
+        summary.skipped++;
+        continue;
+      }
+      const outcome = await this.runRound(group, now);
+      summary.rounds++;
+      summary.collected += outcome.collected;
+      summary.missed += outcome.missed;
+    }
+
+    if (due.length > 0) {
+      logger.info('Ajo payouts run completed', summary);
+    }
+    return summary;
+  }
+
+  // Lock one ajo for this worker, exactly as scheduled payments are claimed
+  async claimGroup(group, now = new Date()) {
+    const nowIso = now.toISOString();
+    const { data, error } = await supabase
+      .from('groupCollections')
+      .update({ lockedUntil: new Date(now.getTime() + this.claimTimeoutMs).toISOString() })
+      .eq('id', group.id)
+      .eq('status', 'active')
+      .eq('nextPayoutAt', group.nextPayoutAt)
+      .or(`lockedUntil.is.null,lockedUntil.lt.${nowIso}`)
+      .select()
+      .maybeSingle();
+    if (error) {
+      logger.error('Failed to claim ajo', { error: error.message, groupCollectionId: group.id });
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Collect this round's share from every member except the recipient,
+   * straight into the recipient's wallet, then move the ajo on a round.
+   */
+  async runRound(group, now = new Date()) {
+    const cycle = group.currentCycle;
+    const members = (await this.loadMembers([group.id])).filter(member => member.status === 'active');
+    const recipient = members.find(member => member.payoutPosition === cycle);
+    const outcome = { collected: 0, missed: 0, total: 0, missedMembers: [] };
+
+    if (recipient && recipient.userId) {
+      for (const payer of members) {
+        if (payer.id === recipient.id) continue;
+        const result = await this.collectShare(group, cycle, payer, recipient);
+        if (result.status === 'success') {
+          outcome.collected++;
+          outcome.total = roundAmount(outcome.total + result.amount);
+        } else {
+          outcome.missed++;
+          if (result.status === 'failed') outcome.missedMembers.push(payer);
+        }
+      }
+    } else {
+      logger.error('Ajo round has no recipient - skipping round', { groupCollectionId: group.id, cycle });
+    }
+
+    const nextCycle = cycle + 1;
+    const completed = nextCycle > group.totalCycles;
+    // Never land on the round just run, even if the clock lags it
+    const after = new Date(Math.max(now.getTime(), new Date(group.nextPayoutAt).getTime()));
+    const nextPayoutAt = completed ? null : scheduledPaymentService.computeNextRunAt({ ...group, startAt: group.nextPayoutAt }, after);
+
+    let saved = group;
+    try {
+      saved = await this.saveGroup(group.id, {
+        currentCycle: completed ? cycle : nextCycle,
+        collectedAmount: roundAmount(parseFloat(group.collectedAmount || 0) + outcome.total),
+        lastPayoutAt: now.toISOString(),
+        nextPayoutAt: nextPayoutAt ? nextPayoutAt.toISOString() : null,
+        status: completed ? 'completed' : 'active',
+        completedAt: completed ? now.toISOString() : null,
+        lockedUntil: null
+      });
+      if (recipient) {
+        await this.saveMember(recipient.id, { paidOutAt: now.toISOString() });
+      }
+    } catch (error) {
+      // The lock expires on its own; the idempotency keys stop a second collection
+      logger.error('Failed to record ajo round', { error: error.message, groupCollectionId: group.id, cycle });
+    }
+
+    logger.info('Ajo round completed', { groupCollectionId: group.id, cycle, collected: outcome.collected, missed: outcome.missed, total: outcome.total });
+    if (recipient) {
+      await this.notifyRound(saved, members, recipient, outcome, cycle);
+    }
+    return outcome;
+  }
+
+  async collectShare(group, cycle, payer, recipient) {
+    const amount = parseFloat(group.contributionAmount);
+    const record = (status, extra = {}) => this.recordContribution({
+      group, member: payer, userId: payer.userId, recipientUserId: recipient.userId, cycle, amount, status, ...extra
+    }).catch(error => logger.error('Failed to record ajo contribution', { error: error.message, memberId: payer.id, cycle }));
+
+    // A PIN change voids the authorisation: the share is missed until they re-join
+    try {
+      await userService.verifyPinAuthorization(payer.userId, {
+        subject: this.authorizationSubject(group, payer),
+        signature: payer.pinAuthorization
+      });
+    } catch (authError) {
+      await record('failed', { error: authError.message, metadata: { reason: 'unauthorized' } });
+      await this.notifyMissedShare(group, payer, cycle, { unauthorized: true });
+      return { status: 'failed' };
+    }
+
+    try {
+      const transfer = await idempotencyService.execute({
+        userId: payer.userId,
+        scope: 'group_collection',
+        key: `${group.id}:${cycle}:${payer.id}`,
+        payload: { amount, recipientUserId: recipient.userId }
+      }, () => {
+        const walletService = require('./wallet');
+        return walletService.transferBetweenWallets(payer.userId, recipient.userId, amount, `Ajo: ${group.title} round ${cycle}`);
+      });
+
+      await record('success', { reference: transfer.reference });
+      await this.saveMember(payer.id, {
+        amountPaid: roundAmount(parseFloat(payer.amountPaid || 0) + amount),
+        lastPaidAt: new Date().toISOString()
+      }).catch(error => logger.warn('Failed to update ajo member totals', { error: error.message, memberId: payer.id }));
+      return { status: 'success', amount, reference: transfer.reference };
+    } catch (error) {
+      // The transfer may have gone through; never report it as missed
+      if (error.outcomeUnknown || error.code === 'IN_PROGRESS') {
+        await record('unknown', { error: error.message });
+        logger.error('Ajo contribution outcome unknown - needs review', { groupCollectionId: group.id, memberId: payer.id, cycle, error: error.message });
+        return { status: 'unknown' };
+      }
+
+      await record('failed', { error: error.message });
+      logger.warn('Ajo contribution failed', { groupCollectionId: group.id, memberId: payer.id, cycle, error: error.message });
+      await this.notifyMissedShare(group, payer, cycle, { reason: error.message });
+      return { status: 'failed' };
+    }
+  }
+
+  // What a member's PIN pre-authorisation covers: this ajo, this member, this amount
+  authorizationSubject(group, member) {
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([group.type, parseFloat(group.contributionAmount).toFixed(2), group.frequency]))
+      .digest('hex');
+    return `group_collection:${group.id}:${member.id}:${fingerprint}`;
+  }
+
+  async startAjoIfReady(group) {
+    const members = (await this.loadMembers([group.id])).filter(member => member.status !== 'removed');
+    if (members.length < 2 || members.some(member => member.status !== 'active')) {
+      return null;
+    }
+
+    const nextPayoutAt = scheduledPaymentService.computeNextRunAt({ ...group, startAt: new Date() });
+    const started = await this.saveGroup(group.id, {
+      status: 'active',
+      currentCycle: 1,
+      totalCycles: members.length,
+      nextPayoutAt: nextPayoutAt.toISOString()
+    });
+    logger.info('Ajo started', { groupCollectionId: group.id, members: members.length, nextPayoutAt: started.nextPayoutAt });
+
+    const first = members.find(member => member.payoutPosition === 1);
+    const text = `🎉 *${group.title}* has started!\n\nEveryone has joined. ${formatAmount(group.contributionAmount)} will be collected from each member ${scheduledPaymentService.describeTiming(group)}, and the first payout goes to ${this.memberLabel(first)} on ${scheduledPaymentService.formatRunDate(started.nextPayoutAt)}.\n\nKeep enough in your wallet before each round. Say "my groups" to check progress.`;
+    for (const member of members) {
+      await this.sendToMember(member, text);
+    }
+    return started;
+  }
+
+  // ===== Persistence =====
+
+  async findGroup(groupId) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollections')
+        .select('*')
+        .eq('id', groupId)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async getOwnedGroup(ownerId, groupId) {
+    const group = await this.findGroup(groupId);
+    if (!group || group.ownerId !== ownerId) {
+      throw new Error('Group collection not found');
+    }
+    return group;
+  }
+
+  // The member row `user` acts on, linking it to the user if it was added by phone
+  async getMembership(user, memberId) {
+    if (!user) {
+      throw new Error('User not found');
+    }
+    const member = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollectionMembers')
+        .select('*')
+        .eq('id', memberId)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+    if (!member || !this.isMemberUser(member, user)) {
+      throw new Error('Group request not found');
+    }
+
+    const group = await this.findGroup(member.groupCollectionId);
+    if (!group) {
+      throw new Error('Group request not found');
+    }
+
+    if (!member.userId) {
+      return { group, member: await this.saveMember(member.id, { userId: user.id }) };
+    }
+    return { group, member };
+  }
+
+  isMemberUser(member, user) {
+    return member.userId ? member.userId === user.id : member.phoneNumber === user.whatsappNumber;
+  }
+
+  async loadMembers(groupIds) {
+    if (groupIds.length === 0) return [];
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollectionMembers')
+        .select('*')
+        .in('groupCollectionId', groupIds)
+        .order('createdAt', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async insertGroup(group) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollections')
+        .insert(group)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async insertMembers(rows) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollectionMembers')
+        .insert(rows)
+        .select();
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async saveGroup(groupId, patch) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollections')
+        .update(patch)
+        .eq('id', groupId)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async saveMember(memberId, patch) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupCollectionMembers')
+        .update(patch)
+        .eq('id', memberId)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async recordContribution({ group, member, userId, recipientUserId, cycle = null, amount, status, reference = null, error = null, metadata = null }) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error: insertError } = await supabase
+        .from('groupContributions')
+        .insert({
+          id: uuidv4(),
+          groupCollectionId: group.id,
+          memberId: member.id,
+          userId,
+          recipientUserId,
+          cycle,
+          amount,
+          status,
+          transactionReference: reference,
+          error,
+          metadata
+        })
+        .select()
+        .single();
+      if (insertError) throw insertError;
+      return data;
+    });
+  }
+
+  /**
+   * Recount a pot's totals from its successful contributions rather than
+   * adding to the stored ones, so two members paying at once both count.
+   * Completes the pot when the target is reached.
+   */
+  async refreshTotals(group, member) {
+    const contributions = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('groupContributions')
+        .select('memberId, amount')
+        .eq('groupCollectionId', group.id)
+        .eq('status', 'success');
+      if (error) throw error;
+      return data || [];
+    });
+    const sum = rows => roundAmount(rows.reduce((total, row) => total + parseFloat(row.amount), 0));
+    const now = new Date().toISOString();
+
+    const memberPaid = sum(contributions.filter(row => row.memberId === member.id));
+    const memberPatch = { amountPaid: memberPaid, lastPaidAt: now };
+    if (group.type === 'pot' && member.amountDue && memberPaid >= parseFloat(member.amountDue)) {
+      memberPatch.status = 'paid';
+    }
+    const savedMember = await this.saveMember(member.id, memberPatch);
+
+    let savedGroup = group;
+    if (group.type === 'pot') {
+      const collectedAmount = sum(contributions);
+      const groupPatch = { collectedAmount };
+      if (group.status === 'active' && collectedAmount >= parseFloat(group.targetAmount)) {
+        groupPatch.status = 'completed';
+        groupPatch.completedAt = now;
+      }
+      savedGroup = await this.saveGroup(group.id, groupPatch);
+    }
+
+    return { group: savedGroup, member: savedMember, members: await this.loadMembers([group.id]) };
+  }
+
+  // ===== Messages =====
+
+  /**
+   * Ask each invited member to pay (pots) or join (ajo). MiiMii users get
+   * buttons; other numbers are invited to open a wallet first.
+   */
+  async sendRequests(group, members, owner) {
+    const from = this.displayName(owner) || owner.whatsappNumber;
+    const sent = [];
+
+    for (const member of members) {
+      if (member.status !== 'invited') {
+        sent.push(member);
+        continue;
+      }
+
+      const share = group.type === 'ajo'
+        ? `${formatAmount(group.contributionAmount)} ${scheduledPaymentService.describeTiming(group)}. Each round one member takes the whole pot; your turn is round ${member.payoutPosition} of ${group.totalCycles}.`
+        : `Your share: ${member.amountDue ? formatAmount(member.amountDue) : 'any amount you like'}${group.dueDate ? `, by ${new Date(group.dueDate).toLocaleDateString('en-GB', { timeZone: 'Africa/Lagos' })}` : ''}.`;
+      const intro = group.type === 'ajo'
+        ? `🔄 *Ajo invitation*\n\n${from} has invited you to join *${group.title}*.\n${share}`
+        : `💰 *Payment request*\n\n${from} is collecting for *${group.title}*.\n${share}`;
+
+      try {
+        if (member.userId) {
+          const buttons = group.type === 'ajo'
+            ? [{ id: `group_join_${member.id}`, title: 'Join ajo' }, { id: `group_decline_${member.id}`, title: 'Decline' }]
+            : [{ id: `group_pay_${member.id}`, title: member.amountDue ? `Pay ${formatAmount(member.amountDue)}` : 'Pay now' }, { id: `group_decline_${member.id}`, title: 'Decline' }];
+          await messaging.sendButtonMessage(member.phoneNumber, `${intro}\n\n${group.type === 'ajo' ? 'Joining asks for your PIN once, to authorise each round.' : 'Paying moves the money from your MiiMii wallet.'}`, buttons);
+          await this.createNotification(member.userId, {
+            type: 'transaction_pending',
+            title: group.type === 'ajo' ? '🔄 Ajo invitation' : '💰 Payment request',
+            message: `${from} ${group.type === 'ajo' ? 'invited you to join' : 'is collecting for'} ${group.title}`,
+            data: { groupCollectionId: group.id, memberId: member.id }
+          });
+        } else {
+          await messaging.sendTextMessage(member.phoneNumber,
+            `${intro}\n\nReply *hi* to open your free MiiMii wallet on WhatsApp, then say "my groups" to ${group.type === 'ajo' ? 'join' : 'pay'}.`);
+        }
+        sent.push(await this.saveMember(member.id, { requestSentAt: new Date().toISOString() }));
+      } catch (error) {
+        logger.warn('Failed to send group collection request', { error: error.message, groupCollectionId: group.id, memberId: member.id });
+        sent.push(member);
+      }
+    }
+    return sent;
+  }
+
+  async sendToMember(member, text) {
+    try {
+      await messaging.sendTextMessage(member.phoneNumber, text);
+    } catch (error) {
+      logger.warn('Failed to message group member', { error: error.message, memberId: member.id });
+    }
+  }
+
+  async notifyOwner(group, title, message, data = {}) {
+    await this.createNotification(group.ownerId, {
+      type: 'system_announcement',
+      title,
+      message: message.replace(/\*/g, ''),
+      data: { groupCollectionId: group.id, ...data }
+    });
+    try {
+      const owner = await userService.getUserById(group.ownerId);
+      if (owner?.whatsappNumber) {
+        await messaging.sendTextMessage(owner.whatsappNumber, `${title}\n\n${message}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to message group owner', { error: error.message, groupCollectionId: group.id });
+    }
+  }
+
+  async notifyOwnerOfPayment(group, member, amount, members) {
+    const progress = this.getProgress(group, members);
+    const done = group.status === 'completed' ? `\n\n🎉 *${group.title}* has reached its target!` : '';
+    await this.notifyOwner(group, '💰 Contribution received',
+      `${this.memberLabel(member)} paid ${formatAmount(amount)} into *${group.title}*.\n${formatAmount(progress.collectedAmount)} of ${formatAmount(progress.targetAmount)} collected (${progress.percentage}%).${done}`,
+      { memberId: member.id, amount });
+  }
+
+  async notifyRound(group, members, recipient, outcome, cycle) {
+    const missed = outcome.missed > 0 ? ` (${outcome.missed} share${outcome.missed === 1 ? '' : 's'} missed so far)` : '';
+    await this.createNotification(recipient.userId, {
+      type: 'transaction_success',
+      title: '🎉 Ajo payout received',
+      message: `You received ${formatAmount(outcome.total)} from ${group.title}, round ${cycle}${missed}`,
+      data: { groupCollectionId: group.id, cycle, amount: outcome.total }
+    });
+    await this.sendToMember(recipient, `🎉 *It's your turn!*\n\nYou received ${formatAmount(outcome.total)} from *${group.title}* (round ${cycle} of ${group.totalCycles})${missed}. It's in your MiiMii wallet now.`);
+
+    const next = group.status === 'completed'
+      ? `That was the last round — *${group.title}* is complete. 🎉`
+      : `Next round: ${formatAmount(group.contributionAmount)} on ${scheduledPaymentService.formatRunDate(group.nextPayoutAt)}.`;
+    for (const member of members) {
+      if (member.id === recipient.id || outcome.missedMembers.some(missedMember => missedMember.id === member.id)) continue;
+      await this.sendToMember(member, `🔄 *${group.title}*: round ${cycle} paid ${formatAmount(outcome.total)} to ${this.memberLabel(recipient)}. ${next}`);
+    }
+  }
+
+  async notifyMissedShare(group, member, cycle, { reason = null, unauthorized = false } = {}) {
+    const message = unauthorized
+      ? `Your ${formatAmount(group.contributionAmount)} for ${group.title} (round ${cycle}) was not collected because your PIN changed. Re-join with your new PIN so future rounds go through, then say "pay ajo" to settle this round.`
+      : `Your ${formatAmount(group.contributionAmount)} for ${group.title} (round ${cycle}) could not be collected: ${reason}. Top up your wallet and say "pay ajo" to settle it.`;
+
+    await this.createNotification(member.userId, {
+      type: 'transaction_failed',
+      title: '⚠️ Ajo contribution missed',
+      message,
+      data: { groupCollectionId: group.id, memberId: member.id, cycle },
+      priority: 'high'
+    });
+    try {
+      if (unauthorized) {
+        await messaging.sendButtonMessage(member.phoneNumber, `⚠️ *Ajo contribution missed*\n\n${message}`,
+          [{ id: `group_join_${member.id}`, title: 'Re-join ajo' }]);
+      } else {
+        await messaging.sendTextMessage(member.phoneNumber, `⚠️ *Ajo contribution missed*\n\n${message}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send missed ajo share alert', { error: error.message, memberId: member.id });
+    }
+  }
+
+  async notifyRecipientOfLateShare(group, member, round) {
+    try {
+      const recipient = await userService.getUserById(round.recipientUserId);
+      if (recipient?.whatsappNumber) {
+        await messaging.sendTextMessage(recipient.whatsappNumber,
+          `💰 ${this.memberLabel(member)} has paid their missed ${formatAmount(round.amount)} for *${group.title}* round ${round.cycle}. It's in your MiiMii wallet now.`);
+      }
+    } catch (error) {
+      logger.warn('Failed to notify ajo recipient of late share', { error: error.message, groupCollectionId: group.id });
+    }
+  }
+
+  async createNotification(userId, { type, title, message, data, priority = 'normal' }) {
+    if (!userId) return;
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.createNotification(userId, {
+        type,
+        title,
+        message,
+        data,
+        priority,
+        actionUrl: data && data.groupCollectionId ? `/group-collections/${data.groupCollectionId}` : null
+      });
+    } catch (error) {
+      logger.warn('Failed to create group collection notification', { error: error.message, userId });
+    }
+  }
+}
+
+module.exports = new GroupCollectionService();
@@ -0,0 +1,201 @@
+const logger = require('../utils/logger');
+
+/**
+ * Message catalogue
+ *
+ * Fixed bot and notification copy lives in src/locales/<code>.js, one flat
+ * key → template map per language. en.js is the reference; other languages
+ * fall back to it key by key, so a missing translation shows English rather
+ * than a raw key.
+ *
+ * The reply language comes from User.preferredLanguage (set with the "change
+ * language" command). Users still on the default 'en' get the language their
+ * message is written in, as detected by aiAssistant.detectLocalLanguage.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'ha', 'yo', 'ig', 'pcm'];
+
+const catalogues = {
+  en: require('../locales/en'),
+  ha: require('../locales/ha'),
+  yo: require('../locales/yo'),
+  ig: require('../locales/ig'),
+  pcm: require('../locales/pcm')
+};
+
+// detectLocalLanguage names → catalogue codes
+const DETECTED_LANGUAGES = { hausa: 'ha', yoruba: 'yo', igbo: 'ig', pidgin: 'pcm' };
+
+// Words users type to name a language, in English and in the languages themselves
+const LANGUAGE_NAMES = {
+  english: 'en', turanci: 'en', gesi: 'en', geesi: 'en', oyinbo: 'en', bekee: 'en',
+  hausa: 'ha',
+  yoruba: 'yo',
+  igbo: 'ig',
+  pidgin: 'pcm', naija: 'pcm', broken: 'pcm'
+};
+
+// "change language", "set language to hausa", "speak yoruba", "canza yare", "yi ede pada", "gbanwee asusu"
+const LANGUAGE_COMMANDS = [
+  /^(?:change|set|switch|select|choose|update)\s+(?:my\s+)?(?:language|lang)(?:\s+(?:to|into)\s+(\w+))?$/,
+  /^(?:language|lang)(?:\s*[:=]?\s*(\w+))?$/,
+  /^(?:reply|speak|talk|chat|answer)(?:\s+(?:to\s+)?me)?\s+(?:in\s+)?(\w+)$/,
+  /^(?:i\s+(?:want|prefer)\s+)(\w+)(?:\s+language)?$/,
+  /^canza\s+yare(?:\s+(?:zuwa|na)\s+(\w+))?$/,
+  /^yi\s+ede(?:\s+mi)?\s+pada(?:\s+si\s+(\w+))?$/,
+  /^gbanwe(?:e)?\s+asusu(?:\s+(?:m\s+)?(?:gaa|ka)?\s*(\w+))?$/
+];
+
+const NAIRA_FORMAT = new Intl.NumberFormat('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function stripAccents(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+class I18nService {
+  constructor() {
+    this.supportedLanguages = SUPPORTED_LANGUAGES;
+  }
+
+  /** A supported catalogue code for `code`, or null. */
+  normalizeLanguage(code) {
+    const value = String(code || '').trim().toLowerCase();
+    if (SUPPORTED_LANGUAGES.includes(value)) return value;
+    return LANGUAGE_NAMES[stripAccents(value)] || null;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(catalogues.en, key);
+  }
+
+  formatNaira(amount) {
+    const value = Number.isFinite(Number(amount)) ? Number(amount) : 0;
+    return `${value < 0 ? '-' : ''}₦${NAIRA_FORMAT.format(Math.abs(value))}`;
+  }
+
+  /**
+   * Catalogue text for `key` in `language`, falling back to English and then
+   * to the key itself. `{name}` placeholders take params.name; `{name:naira}`
+   * formats it as a naira amount. Entries written as { one, other } are chosen
+   * by params.count.
+   */
+  t(language, key, params = {}) {
+    const code = this.normalizeLanguage(language) || 'en';
+    let template = catalogues[code][key];
+    if (template === undefined) template = catalogues.en[key];
+    if (template === undefined) {
+      logger.warn('Missing catalogue key', { key, language: code });
+      return key;
+    }
+
+    if (typeof template === 'object') {
+      template = Number(params.count) === 1 ? template.one : template.other;
+    }
+
+    return template
+      .replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, format) => {
+        const value = params[name];
+        if (value === undefined || value === null) return '';
+        if (format === 'naira') return this.formatNaira(value);
+        return String(value);
+      })
+      // An empty optional placeholder ("Hi {firstName}!") must not leave "Hi !"
+      .replace(/ +([!?.,])/g, '$1')
+      .trim();
+  }
+
+  /** Catalogue code for the language a message is written in ('en' when unsure). */
+  detectLanguage(text) {
+    if (!text) return 'en';
+    const aiAssistant = require('./aiAssistant');
+    return DETECTED_LANGUAGES[aiAssistant.detectLocalLanguage(text)] || 'en';
+  }
+
+  /**
+   * Language to answer `user` in: their saved preference, or for users on
+   * the default, the language of `utterance`.
+   */
+  languageOf(user, utterance = '') {
+    const preferred = this.normalizeLanguage(user && user.preferredLanguage);
+    if (preferred && preferred !== 'en') return preferred;
+    return this.detectLanguage(utterance);
+  }
+
+  async languageForUserId(userId) {
+    if (!userId) return 'en';
+    try {
+      const supabaseHelper = require('./supabaseHelper');
+      const user = await supabaseHelper.findByPk('users', userId);
+      return this.languageOf(user);
+    } catch (error) {
+      logger.warn('Could not load user language; using English', { userId, error: error.message });
+      return 'en';
+    }
+  }
+
+  /**
+   * Recognise a "change language" command. Returns null when `text` is not
+   * one, otherwise { language } with the requested code, or null when the
+   * user did not name a (supported) language and should be asked.
+   */
+  parseLanguageCommand(text) {
+    const normalized = stripAccents(text)
+      .toLowerCase()
+      .replace(/[^\w\s:=]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!normalized || normalized.length > 60) return null;
+
+    for (const pattern of LANGUAGE_COMMANDS) {
+      const match = normalized.match(pattern);
+      if (!match) continue;
+      const named = match[1];
+      if (!named) return { language: null };
+      const language = LANGUAGE_NAMES[named] || null;
+      // "speak slowly", "i want data" are not language commands
+      if (!language && !/language|lang|yare|ede|asusu/.test(normalized)) return null;
+      return { language };
+    }
+    return null;
+  }
+
+  /** WhatsApp list sections for the language picker (row ids are language_<code>). */
+  languageSections(language) {
+    return [
+      {
+        title: this.t(language, 'language.section'),
+        rows: SUPPORTED_LANGUAGES.map((code) => ({
+          id: `language_${code}`,
+          title: catalogues[code]['language.name']
+        }))
+      }
+    ];
+  }
+
+  /** Language code from a picker row id, or null. */
+  languageFromListId(listId) {
+    const match = String(listId || '').match(/^language_(\w+)$/);
+    return match ? this.normalizeLanguage(match[1]) : null;
+  }
+
+  async setUserLanguage(user, language) {
+    const code = this.normalizeLanguage(language);
+    if (!code) {
+      const error = new Error(`Unsupported language: ${language}`);
+      error.name = 'UnsupportedLanguageError';
+      error.code = 'UNSUPPORTED_LANGUAGE';
+      error.statusCode = 400;
+      throw error;
+    }
+    const userService = require('./user');
+    await userService.updateUser(user.id, { preferredLanguage: code });
+    user.preferredLanguage = code;
+    logger.info('User language updated', { userId: user.id, language: code });
+    return code;
+  }
+}
+
+module.exports = new I18nService();
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
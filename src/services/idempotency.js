@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+
+/**
+ * Idempotency keys for money-moving requests
+ *
+ * The first request with a given key reserves it and runs; its response is
+ * stored against the key together with a hash of the request. A retry with the
+ * same key and payload gets the stored response back instead of running again.
+ * The same key with a different payload is rejected. Failed attempts release
+ * the key so the client can retry with it once the problem is fixed.
+ */
+
+// Never hashed or stored: a 4-digit PIN or 6-digit OTP hash is trivially
+// reversible, and the OTP differs between a challenged attempt and its retry
+const EXCLUDED_FIELDS = ['pin', 'transactionPin', 'otp'];
+
+const UNIQUE_VIOLATION = '23505';
+
+function idempotencyError(message, code, statusCode) {
+  const error = new Error(message);
+  error.name = 'IdempotencyError';
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// JSON.stringify with sorted object keys so equal payloads hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class IdempotencyService {
+  constructor() {
+    const { ttlHours } = config.getIdempotencyConfig();
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.maxKeyLength = 255;
+  }
+
+  hashRequest(payload) {
+    const sanitized = { ...(payload || {}) };
+    EXCLUDED_FIELDS.forEach(field => delete sanitized[field]);
+    return crypto.createHash('sha256').update(stableStringify(sanitized)).digest('hex');
+  }
+
+  // Key for a WhatsApp confirmation: the reference minted when the
+  // confirmation was shown lives in the conversation state until it completes
+  conversationKey(channel, reference) {
+    if (!reference) return null;
+    return `${channel}:conversation:${reference}`;
+  }
+
+  validateKey(key) {
+    if (typeof key !== 'string' || !key.trim()) {
+      throw idempotencyError('Idempotency key must be a non-empty string', 'INVALID_KEY', 400);
+    }
+    if (key.length > this.maxKeyLength) {
+      throw idempotencyError(`Idempotency key must be at most ${this.maxKeyLength} characters`, 'INVALID_KEY', 400);
+    }
+    return key.trim();
+  }
+
+  async findKey(userId, scope, key) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('idempotencyKeys')
+        .select('*')
+        .eq('userId', userId)
+        .eq('scope', scope)
+        .eq('key', key)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  /**
+   * Reserve a key before running the request.
+   * Returns { replay: false, record } when the caller should run the request,
+   * or { replay: true, record } when a stored response should be returned.
+   * Throws an IdempotencyError when the key is reused with another payload or
+   * the original request is still running.
+   */
+  async begin({ userId, scope, key, payload }) {
+    const idempotencyKey = this.validateKey(key);
+    const requestHash = this.hashRequest(payload);
+    const now = new Date();
+
+    // Not wrapped in executeWithRetry: a retried insert that had in fact
+    // landed would look like a concurrent duplicate of itself
+    const { data: created, error } = await supabase
+      .from('idempotencyKeys')
+      .insert({
+        userId,
+        scope,
+        key: idempotencyKey,
+        requestHash,
+        status: 'processing',
+        attempts: 1,
+        lockedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+      })
+      .select()
+      .single();
+
+    if (!error) {
+      return { replay: false, record: created };
+    }
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw error;
+    }
+
+    const existing = await this.findKey(userId, scope, idempotencyKey);
+    if (!existing) {
+      throw idempotencyError('This request is already being processed. Please check your transaction history before retrying.', 'IN_PROGRESS', 409);
+    }
+
+    if (existing.requestHash !== requestHash && new Date(existing.expiresAt) > now) {
+      logger.warn('Idempotency key reused with a different payload', { userId, scope, key: idempotencyKey });
+      throw idempotencyError('Idempotency key has already been used for a different request', 'KEY_REUSED', 422);
+    }
+
+    if (existing.status === 'completed' && new Date(existing.expiresAt) > now) {
+      logger.info('Replaying stored response for idempotency key', { userId, scope, key: idempotencyKey });
+      return { replay: true, record: existing };
+    }
+
+    // A processing key is never taken over before it expires: the original
+    // request may have moved money even if it never reported back
+    if (existing.status === 'processing' && new Date(existing.expiresAt) > now) {
+      throw idempotencyError('This request is already being processed. Please check your transaction history before retrying.', 'IN_PROGRESS', 409);
+    }
+
+    // Failed or expired: take the key over. The attempts check makes sure only
+    // one of several concurrent retries wins it.
+    const { data: reclaimed, error: reclaimError } = await supabase
+      .from('idempotencyKeys')
+      .update({
+        requestHash,
+        status: 'processing',
+        responseStatus: null,
+        responseBody: null,
+        completedAt: null,
+        attempts: existing.attempts + 1,
+        lockedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+      })
+      .eq('id', existing.id)
+      .eq('attempts', existing.attempts)
+      .select()
+      .maybeSingle();
+
+    if (reclaimError) throw reclaimError;
+    if (!reclaimed) {
+      throw idempotencyError('This request is already being processed. Please check your transaction history before retrying.', 'IN_PROGRESS', 409);
+    }
+
+    return { replay: false, record: reclaimed };
+  }
+
+  async complete(record, responseStatus, responseBody) {
+    return this.settle(record, 'completed', responseStatus, responseBody);
+  }
+
+  async fail(record, responseStatus, responseBody) {
+    return this.settle(record, 'failed', responseStatus, responseBody);
+  }
+
+  async settle(record, status, responseStatus, responseBody) {
+    try {
+      await databaseService.executeWithRetry(async () => {
+        const { error } = await supabase
+          .from('idempotencyKeys')
+          .update({
+            status,
+            responseStatus,
+            responseBody: responseBody === undefined ? null : responseBody,
+            completedAt: new Date().toISOString(),
+            lockedAt: null
+          })
+          .eq('id', record.id)
+          .eq('attempts', record.attempts);
+        if (error) throw error;
+      });
+    } catch (error) {
+      // The key stays in processing, so retries get 409 until it expires
+      logger.error('Failed to store idempotent response', {
+        error: error.message,
+        idempotencyKeyId: record.id,
+        scope: record.scope,
+        status
+      });
+    }
+  }
+
+  /**
+   * Run handler at most once per key. Resolves with the handler's result, or
+   * with the stored result on replay. Errors from the handler release the key
+   * unless flagged outcomeUnknown.
+   */
+  async execute({ userId, scope, key, payload }, handler) {
+    const { replay, record } = await this.begin({ userId, scope, key, payload });
+    if (replay) {
+      return record.responseBody;
+    }
+
+    try {
+      const result = await handler();
+      await this.complete(record, 200, result);
+      return result;
+    } catch (error) {
+      // Money may have moved: keep the key locked rather than allow a re-run
+      if (!error.outcomeUnknown) {
+        await this.fail(record, error.statusCode || 400, { error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  async cleanupExpiredKeys() {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('idempotencyKeys')
+        .delete()
+        .lt('expiresAt', new Date().toISOString())
+        .select('id');
+      if (error) throw error;
+      return (data || []).length;
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
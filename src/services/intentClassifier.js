@@ -0,0 +1,317 @@
+const logger = require('../utils/logger');
+const intentExamples = require('./intentExamples');
+
+/**
+ * Offline intent classifier
+ *
+ * A multinomial naive Bayes model over word unigrams and bigrams, trained at
+ * first use on intentExamples. Before training and before classifying, the
+ * entities we care about are pulled out by rules and replaced with
+ * placeholder tokens (`_amount_`, `_account_`, `_bank_`, ...), so the model
+ * learns the shape of "send <amount> to <account> <bank>" rather than
+ * particular numbers, and the entities come back as extractedData.
+ *
+ * No network, no randomness: the same message always gets the same answer,
+ * which is what lets aiAssistant decide when the LLM is worth asking.
+ */
+
+const NETWORK_ALIASES = {
+  mtn: 'MTN',
+  airtel: 'AIRTEL',
+  glo: 'GLO',
+  globacom: 'GLO',
+  '9mobile': '9MOBILE',
+  etisalat: '9MOBILE'
+};
+
+// Alias → the name transfer resolution understands (rubies.resolveInstitutionCode)
+const BANK_ALIASES = [
+  [['gtbank', 'gtb', 'gt bank', 'guaranty trust bank', 'guaranty trust'], 'GTBank'],
+  [['access bank', 'access diamond', 'diamond bank'], 'Access Bank'],
+  [['first bank of nigeria', 'first bank', 'firstbank', 'fbn'], 'First Bank'],
+  [['zenith bank', 'zenith'], 'Zenith Bank'],
+  [['united bank for africa', 'uba'], 'UBA'],
+  [['union bank'], 'Union Bank'],
+  [['fidelity bank', 'fidelity'], 'Fidelity Bank'],
+  [['ecobank', 'eco bank'], 'Ecobank'],
+  [['wema bank', 'wema', 'alat'], 'Wema Bank'],
+  [['sterling bank', 'sterling'], 'Sterling Bank'],
+  [['keystone bank', 'keystone'], 'Keystone Bank'],
+  [['stanbic ibtc', 'stanbic', 'ibtc'], 'Stanbic IBTC'],
+  [['fcmb', 'first city monument bank'], 'FCMB'],
+  [['polaris bank', 'polaris'], 'Polaris Bank'],
+  [['providus bank', 'providus'], 'Providus Bank'],
+  [['heritage bank'], 'Heritage Bank'],
+  [['unity bank'], 'Unity Bank'],
+  [['jaiz bank', 'jaiz'], 'Jaiz Bank'],
+  [['titan trust bank', 'titan trust'], 'Titan Trust Bank'],
+  [['globus bank', 'globus'], 'Globus Bank'],
+  [['vfd microfinance bank', 'vfd'], 'VFD Microfinance Bank'],
+  [['rubies mfb', 'rubies bank', 'rubies'], 'Rubies MFB'],
+  [['opay', 'o pay', 'paycom'], 'OPay'],
+  [['palmpay', 'palm pay'], 'PalmPay'],
+  [['moniepoint', 'monie point', 'monipoint'], 'Moniepoint'],
+  [['kuda bank', 'kuda'], 'Kuda'],
+  [['carbon'], 'Carbon'],
+  [['fairmoney', 'fair money'], 'FairMoney'],
+  [['9psb', '9 psb', '9 payment service bank'], '9PSB'],
+  [['test bank'], 'Test Bank']
+];
+
+// Wallet banks whose account number is the phone number without the leading 0
+const PHONE_NUMBER_BANKS = new Set(['OPay', 'PalmPay', 'Moniepoint']);
+
+// Politeness and filler that says nothing about the intent ("menu pls", "balance abeg o")
+const FILLER_WORDS = new Set([
+  'please', 'pls', 'plz', 'abeg', 'biko', 'jare', 'o', 'oh', 'ooo', 'sir', 'ma', 'boss', 'bro', 'now', 'kindly', 'thanks'
+]);
+
+const MULTIPLIERS = { k: 1000, thousand: 1000, m: 1000000, million: 1000000 };
+
+const SUGGESTED_ACTIONS = {
+  balance: 'Check account balance',
+  bank_transfer: 'Process bank transfer',
+  airtime: 'Buy airtime',
+  data: 'Buy data bundle',
+  bills: 'Pay utility bills',
+  help: 'Provide help and support',
+  menu: 'Show available services',
+  account_details: 'Show virtual account details',
+  wallet_details: 'Show wallet details',
+  transaction_history: 'Show transaction history',
+  statement_request: 'Generate and send statement PDF on WhatsApp',
+  transfer_limits: 'Show transfer limits',
+  disable_pin: 'Disable transaction PIN',
+  enable_pin: 'Enable transaction PIN',
+  greeting: 'Send welcome message',
+  schedule: 'Schedule a payment',
+  list_schedules: 'List scheduled payments',
+  cancel_schedule: 'Cancel a scheduled payment',
+  savings_deposit: 'Move money into savings',
+  savings_withdraw: 'Withdraw from savings',
+  savings_summary: 'Show savings summary',
+  referrals: 'Show referrals',
+  group_create: 'Create a group collection',
+  group_pay: 'Pay or join a group collection',
+  group_status: 'Show group collections',
+  request_money: 'Request money',
+  payment_requests: 'Show payment requests',
+  onboarding: 'Start onboarding flow',
+  beneficiaries: 'Show saved beneficiaries',
+  unknown: 'Ask for clarification'
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest alias first, so "first bank of nigeria" wins over "first bank"
+const BANK_PATTERNS = BANK_ALIASES
+  .flatMap(([aliases, name]) => aliases.map(alias => ({ alias, name })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ alias, name }) => ({
+    name,
+    pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(alias).replace(/ /g, '\\s*')}(?:\\s+bank)?(?![a-z0-9])`, 'i')
+  }));
+
+function normalizeText(message) {
+  return String(message || '')
+    .toLowerCase()
+    .replace(/₦/g, ' naira ')
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .replace(/[’']/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pull amount, phone, account, network, bank and data size out of a message.
+ * Returns the entities and the text with each one swapped for its placeholder.
+ */
+function extractEntities(message) {
+  let text = normalizeText(message);
+  const entities = {};
+
+  const take = (pattern, placeholder, handle) => {
+    const match = text.match(pattern);
+    if (!match) return null;
+    const result = handle(match);
+    if (result === false) return null;
+    text = `${text.slice(0, match.index)} ${placeholder} ${text.slice(match.index + match[0].length)}`;
+    return match;
+  };
+
+  // Data sizes first, so "1gb" is never read as an amount
+  take(/(?<![\d.])(\d+(?:\.\d+)?)\s*(gb|mb|tb)\b/, '_datasize_', match => {
+    entities.dataSize = `${match[1]}${match[2].toUpperCase()}`;
+  });
+
+  // Nigerian mobile numbers: 080..., +23480..., 23480...
+  take(/(?<!\d)(?:\+?234|0)([789][01]\d{8})(?!\d)/, '_phone_', match => {
+    entities.phoneNumber = `0${match[1]}`;
+  });
+
+  take(/(?<!\d)(\d{10})(?!\d)/, '_account_', match => {
+    entities.accountNumber = match[1];
+  });
+
+  take(/(?<![a-z0-9])(mtn|airtel|glo|globacom|9mobile|etisalat)(?![a-z0-9])/, '_network_', match => {
+    entities.network = NETWORK_ALIASES[match[1]];
+  });
+
+  for (const { name, pattern } of BANK_PATTERNS) {
+    if (take(pattern, '_bank_', () => { entities.bankName = name; })) break;
+  }
+
+  // An amount is a number with a money word or suffix, or failing that the first short bare number
+  const amountPatterns = [
+    /(?<![a-z])(?:naira|ngn|n)\s*(\d+(?:\.\d+)?)\s*(k|m|thousand|million)?(?![a-z0-9])/,
+    /(?<![\d.])(\d+(?:\.\d+)?)\s*(k|m|thousand|million)(?![a-z0-9])/,
+    /(?<![\d.])(\d+(?:\.\d+)?)\s*(?:naira|ngn)(?![a-z0-9])/,
+    /(?<![\d.:\/])(\d{1,7}(?:\.\d+)?)(?![\d:\/]|st|nd|rd|th)/
+  ];
+  for (const pattern of amountPatterns) {
+    const match = take(pattern, '_amount_', found => {
+      const amount = Math.round(parseFloat(found[1]) * (MULTIPLIERS[found[2]] || 1));
+      if (!(amount > 0)) return false;
+      entities.amount = amount;
+    });
+    if (match) break;
+  }
+
+  if (!entities.accountNumber && entities.phoneNumber && PHONE_NUMBER_BANKS.has(entities.bankName)) {
+    entities.accountNumber = entities.phoneNumber.slice(1);
+  }
+
+  return { entities, text: text.replace(/\s+/g, ' ').trim() };
+}
+
+function tokenize(text) {
+  const words = text
+    .split(/[^a-z0-9_]+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .map(word => (/^\d+$/.test(word) ? '_num_' : word));
+  const features = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]} ${words[i + 1]}`);
+  }
+  return { words, features };
+}
+
+class IntentClassifier {
+  constructor() {
+    this.model = null;
+    // Laplace smoothing; kept small so one distinctive word ("hi", "menu") is enough
+    this.alpha = 0.1;
+  }
+
+  /**
+   * Train on `{ intent: [examples] }`. Called lazily with intentExamples;
+   * call it directly to try another example set.
+   */
+  train(examples = intentExamples) {
+    const intents = {};
+    const vocabulary = new Set();
+    const exact = new Map();
+
+    for (const [intent, texts] of Object.entries(examples)) {
+      const counts = new Map();
+      let total = 0;
+      for (const example of texts) {
+        const { words, features } = tokenize(extractEntities(example).text);
+        const key = words.join(' ');
+        if (!exact.has(key)) exact.set(key, intent);
+        for (const feature of features) {
+          counts.set(feature, (counts.get(feature) || 0) + 1);
+          vocabulary.add(feature);
+          total++;
+        }
+      }
+      intents[intent] = { counts, total, examples: texts.length };
+    }
+
+    this.model = { intents, vocabulary, exact };
+    logger.info('Intent classifier trained', {
+      intents: Object.keys(intents).length,
+      examples: Object.values(intents).reduce((sum, intent) => sum + intent.examples, 0),
+      vocabulary: vocabulary.size
+    });
+    return this;
+  }
+
+  ensureTrained() {
+    if (!this.model) this.train();
+    return this.model;
+  }
+
+  /**
+   * Classify one message.
+   *
+   * Returns `{ intent, confidence, extractedData, scores, suggestedAction, source }`.
+   * A message that matches a training example gets confidence 1. Otherwise
+   * confidence is the posterior of the best intent, scaled down by the share
+   * of the message's words the model has never seen; a message made only of
+   * unseen words is 'unknown' with confidence 0.
+   */
+  classify(message) {
+    const { intents, vocabulary, exact } = this.ensureTrained();
+    const { entities, text } = extractEntities(message);
+
+    const { words, features } = tokenize(text);
+
+    // A message that is (after placeholders and filler) one of the examples needs no scoring
+    const key = words.join(' ');
+    if (exact.has(key)) {
+      return this.result(exact.get(key), 1, entities, { [exact.get(key)]: 1 });
+    }
+
+    const known = features.filter(feature => vocabulary.has(feature));
+
+    if (!known.length) {
+      return this.result('unknown', 0, entities, {});
+    }
+
+    const logScores = {};
+    for (const [intent, { counts, total }] of Object.entries(intents)) {
+      const denominator = total + this.alpha * vocabulary.size;
+      logScores[intent] = known.reduce(
+        (score, feature) => score + Math.log(((counts.get(feature) || 0) + this.alpha) / denominator),
+        0
+      );
+    }
+
+    // Softmax over log scores (uniform priors: example counts say nothing about real traffic)
+    const best = Math.max(...Object.values(logScores));
+    const exp = Object.fromEntries(Object.entries(logScores).map(([intent, score]) => [intent, Math.exp(score - best)]));
+    const sum = Object.values(exp).reduce((total, value) => total + value, 0);
+    const scores = Object.fromEntries(Object.entries(exp).map(([intent, value]) => [intent, value / sum]));
+
+    const [intent, posterior] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const knownWords = words.filter(word => vocabulary.has(word)).length;
+    const coverage = words.length ? knownWords / words.length : 0;
+
+    return this.result(intent, posterior * coverage, entities, scores);
+  }
+
+  result(intent, confidence, entities, scores) {
+    return {
+      intent,
+      confidence: Math.round(confidence * 1000) / 1000,
+      extractedData: { ...entities },
+      scores,
+      suggestedAction: SUGGESTED_ACTIONS[intent] || SUGGESTED_ACTIONS.unknown,
+      source: 'local_classifier'
+    };
+  }
+
+  extractEntities(message) {
+    return extractEntities(message).entities;
+  }
+
+  // What exact matching compares: entities as placeholders, filler words dropped
+  exampleKey(message) {
+    return tokenize(extractEntities(message).text).words.join(' ');
+  }
+}
+
+module.exports = new IntentClassifier();
@@ -0,0 +1,427 @@
+/**
+ * Training examples for the offline intent classifier (intentClassifier.js)
+ *
+ * One list per intent, using the intent names analyzeUserIntent returns.
+ * Write examples the way customers actually type them — short, lowercase,
+ * Pidgin, Hausa, Yoruba and Igbo included. Amounts, phone and account
+ * numbers, networks and banks are replaced by placeholders before training,
+ * so one "send 5k to 0123456789 gtb" covers every amount and bank; spend
+ * examples on different wordings instead.
+ */
+
+module.exports = {
+  balance: [
+    'balance',
+    'my balance',
+    'check my balance',
+    'check balance',
+    'show my balance',
+    "what's my balance",
+    'what is my current balance',
+    'how much do i have',
+    'how much is in my wallet',
+    'how much money do i have left',
+    'wallet balance',
+    'account balance',
+    'remaining balance',
+    'how much remain for my account',
+    'wetin i get for account',
+    'abeg check my balance',
+    'nawa ne balance',
+    'balance dina',
+    'kudi nawa ne a asusu na',
+    'owo mi melo lo ku',
+    'ego m ole fọdụrụ',
+    'do i have money',
+    'balance pls',
+    'bal',
+    'i want to check my balance'
+  ],
+
+  bank_transfer: [
+    'send 5k to 0123456789 gtb',
+    'send 5000 to 0123456789 access bank',
+    'transfer 2000 to gtb 0123456789',
+    'send 4k to 9072874728 opay',
+    'send 100 naira to 6035745691 keystone bank',
+    'send 5k to abdulkadir musa 6035745691 keystone bank',
+    'transfer 10k to my brother',
+    'send money to john',
+    'i want to send money',
+    'i want to transfer money',
+    'transfer money',
+    'send money',
+    'make a transfer',
+    'bank transfer',
+    'pay 3000 into 0123456789 zenith',
+    'send 2k to mum',
+    'transfer 5000 to 0123456789',
+    'abeg send 2k give my guy',
+    'send am 5k',
+    'help me send money to my sister',
+    'move 20k to my uba account 0123456789',
+    'tura kudi 5000 zuwa 0123456789 opay',
+    'aika kudi',
+    'fi owo ranse si 0123456789',
+    'zipu ego',
+    'give 1000 to 0123456789 palmpay',
+    'send 1.5k to 0123456789 kuda',
+    'wire 50k to 0123456789 first bank'
+  ],
+
+  airtime: [
+    'buy airtime',
+    'buy 500 airtime',
+    'buy 1000 mtn airtime for 08031234567',
+    'recharge my phone',
+    'recharge 200 for 08031234567',
+    'top up my line',
+    'top up 1000 glo',
+    'load card',
+    'buy credit',
+    'i need airtime',
+    'i want to buy airtime',
+    'send airtime to my mum',
+    'airtime for 08031234567',
+    'buy 2k airtel airtime',
+    'recharge card',
+    'abeg buy me credit',
+    'credit for my line',
+    'buy 500 recharge for 09012345678 9mobile'
+  ],
+
+  data: [
+    'buy data',
+    'buy 1gb data',
+    'buy 1gb mtn for 08031234567',
+    'buy 500mb mtn data for 08031234567',
+    'data bundle',
+    'internet bundle',
+    'i need data',
+    'i want to buy data',
+    'subscribe data',
+    'data subscription',
+    'buy 2gb glo data',
+    'get me 10gb airtel',
+    'buy data for 08031234567',
+    'i wan buy data',
+    'my data don finish',
+    'buy internet',
+    'sme data',
+    'data plan',
+    'my data is finished',
+    'show me data plans',
+    'buy 1.5gb for my mum'
+  ],
+
+  bills: [
+    'pay bills',
+    'pay bill',
+    'pay electricity',
+    'pay my electricity bill',
+    'buy light',
+    'buy electricity token',
+    'prepaid meter',
+    'pay nepa',
+    'pay ikedc',
+    'pay my dstv',
+    'renew dstv',
+    'pay gotv',
+    'renew my gotv subscription',
+    'pay startimes',
+    'cable tv',
+    'pay cable',
+    'pay water bill',
+    'utility bill',
+    'pay for my light',
+    'buy light 5000',
+    'i want to pay my bills',
+    'pay school fees',
+    'pay for betting'
+  ],
+
+  help: [
+    'help',
+    'i need help',
+    'support',
+    'customer care',
+    'customer service',
+    'i have a problem',
+    'there is an issue',
+    'something is wrong',
+    'talk to someone',
+    'how does this work',
+    'how do i use this',
+    'contact support',
+    'abeg help me',
+    'my money no reach',
+    'complaint'
+  ],
+
+  menu: [
+    'menu',
+    'show menu',
+    'services',
+    'what can you do',
+    'what do you do',
+    'options',
+    'show me options',
+    'what services do you offer',
+    'list services',
+    'main menu',
+    'wetin you fit do'
+  ],
+
+  account_details: [
+    'account details',
+    'my account details',
+    'my account number',
+    'account number',
+    'what is my account number',
+    'virtual account',
+    'my virtual account',
+    'bank details',
+    'account info',
+    'account information',
+    'show my account',
+    'send me my account number',
+    'which bank is my account',
+    'how do i fund my wallet',
+    'fund wallet',
+    'where do i pay money into'
+  ],
+
+  wallet_details: [
+    'wallet details',
+    'wallet info',
+    'wallet information',
+    'show my wallet',
+    'my wallet',
+    'wallet summary'
+  ],
+
+  transaction_history: [
+    'transaction history',
+    'my transactions',
+    'show transactions',
+    'recent transactions',
+    'my history',
+    'history',
+    'last transactions',
+    'show my records',
+    'what did i spend',
+    'show my last 5 transactions',
+    'transactions this week',
+    'what have i done recently'
+  ],
+
+  statement_request: [
+    'account statement',
+    'generate statement',
+    'send me my statement',
+    'statement pdf',
+    'pdf statement',
+    'i need my account statement',
+    'send statement',
+    'bank statement',
+    'statement for last month',
+    'download statement'
+  ],
+
+  transfer_limits: [
+    'transfer limits',
+    'what is my limit',
+    'daily limit',
+    'monthly limit',
+    'transaction limit',
+    'how much can i send',
+    'how much can i transfer per day',
+    'limits',
+    'increase my limit'
+  ],
+
+  disable_pin: [
+    'disable pin',
+    'disable my pin',
+    'turn off pin',
+    'pin off',
+    'no pin',
+    'remove pin',
+    'stop asking for pin',
+    'i dont want pin',
+    'remove my pin'
+  ],
+
+  enable_pin: [
+    'enable pin',
+    'enable my pin',
+    'turn on pin',
+    'pin on',
+    'require pin',
+    'add pin',
+    'ask for my pin',
+    'put back my pin'
+  ],
+
+  greeting: [
+    'hi',
+    'hello',
+    'hey',
+    'hi there',
+    'hello miimii',
+    'good morning',
+    'good afternoon',
+    'good evening',
+    'how far',
+    'how are you',
+    'wassup',
+    'sup',
+    'yo',
+    'sannu',
+    'barka da kwana',
+    'ina kwana',
+    'bawo ni',
+    'ndewo',
+    'kedu',
+    'e kaaro',
+    'start',
+    'begin',
+    'get started'
+  ],
+
+  onboarding: [
+    'setup my account',
+    'set up account',
+    'register',
+    'i want to register',
+    'create account',
+    'open account',
+    'open an account for me',
+    'complete my registration',
+    'finish my setup',
+    'continue onboarding',
+    'verify my bvn'
+  ],
+
+  schedule: [
+    'send 5k to mum every friday',
+    'pay my dstv on the 1st',
+    'transfer 10k to 0123456789 gtb every month',
+    'send 2000 to my brother tomorrow',
+    'schedule a transfer',
+    'remind me to pay rent monthly',
+    'buy 1000 airtime every monday',
+    'recurring transfer',
+    'pay light bill every month',
+    'send money next week'
+  ],
+
+  list_schedules: [
+    'show my scheduled payments',
+    'my schedules',
+    'list my recurring payments',
+    'what payments are scheduled',
+    'my standing orders',
+    'upcoming payments'
+  ],
+
+  cancel_schedule: [
+    'stop the friday transfer to mum',
+    'cancel scheduled payment',
+    'cancel my recurring transfer',
+    'stop my schedule',
+    'delete standing order',
+    'stop the monthly payment'
+  ],
+
+  savings_deposit: [
+    'save 10k',
+    'put 5000 in my savings',
+    'move 2k to savings',
+    'i want to save money',
+    'add to my savings',
+    'save 500 naira',
+    'fund my savings',
+    'keep 20k aside'
+  ],
+
+  savings_withdraw: [
+    'withdraw 5k from my savings',
+    'take money out of savings',
+    'break my savings',
+    'move my savings to wallet',
+    'withdraw savings',
+    'i need my savings back'
+  ],
+
+  savings_summary: [
+    'how much have i saved',
+    'my savings',
+    'savings balance',
+    'show my savings',
+    'savings interest',
+    'how much interest have i earned'
+  ],
+
+  referrals: [
+    'my referrals',
+    'referral code',
+    "what's my referral code",
+    'referral link',
+    'invite friends',
+    'refer a friend',
+    'referral bonus',
+    'how many people did i refer'
+  ],
+
+  group_create: [
+    'split 30k for dinner with 08031234567 and 08021234567',
+    'collect 5k each for rent from 08031234567',
+    'start an ajo of 10k every friday with 08031234567',
+    'create a pot for the party',
+    'split the bill with my friends',
+    'start esusu with my colleagues',
+    'chip in for the gift'
+  ],
+
+  group_pay: [
+    'pay my share',
+    'join the ajo',
+    'pay my ajo',
+    'settle my contribution',
+    'pay my part of the bill'
+  ],
+
+  group_status: [
+    'my groups',
+    'show my pots',
+    'ajo status',
+    'how is my ajo going',
+    'my contributions'
+  ],
+
+  request_money: [
+    'request 5k from 08031234567',
+    'request 10000 from 08021234567 for rent',
+    'ask 08031234567 for 2k',
+    'create a pay link for 10k',
+    'generate a payment link',
+    'make a qr code for 5000'
+  ],
+
+  payment_requests: [
+    'my payment requests',
+    'show my requests',
+    'pending payment requests',
+    'my pay links'
+  ],
+
+  beneficiaries: [
+    'my beneficiaries',
+    'saved beneficiaries',
+    'show my saved accounts',
+    'list beneficiaries',
+    'who have i saved',
+    'saved recipients'
+  ]
+};
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const activityLogger = require('./activityLogger');
 
 class InteractiveFlowService {
@@ -34,7 +35,7 @@ class InteractiveFlowService {
       }
 
       // Send typing indicator for better UX
-      await whatsappService.sendTypingIndicator(phoneNumber, 1500);
+      await messaging.sendTypingIndicator(phoneNumber, 1500);
 
       // Execute the flow
       const result = await flow.handler(phoneNumber, userData, flowData);
@@ -64,7 +65,7 @@ class InteractiveFlowService {
       });
       
       // Send fallback message
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         phoneNumber,
         "I'm having trouble processing your request. Let me help you with a simple menu instead."
       );
@@ -98,7 +99,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendButtonMessage(
+        return await messaging.sendButtonMessage(
           phoneNumber,
           message.text,
           message.buttons
@@ -116,7 +117,7 @@ class InteractiveFlowService {
         const templates = whatsappService.getOnboardingFlowTemplates();
         const kycFlow = templates.kycDataCollection;
         
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           kycFlow.body,
           kycFlow.action.button,
@@ -135,7 +136,7 @@ class InteractiveFlowService {
         const templates = whatsappService.getOnboardingFlowTemplates();
         const pinFlow = templates.pinSetup;
         
-        return await whatsappService.sendButtonMessage(
+        return await messaging.sendButtonMessage(
           phoneNumber,
           pinFlow.body,
           pinFlow.action.buttons.map(btn => ({
@@ -164,7 +165,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendButtonMessage(
+        return await messaging.sendButtonMessage(
           phoneNumber,
           message.text,
           message.buttons
@@ -183,7 +184,7 @@ class InteractiveFlowService {
         const serviceMenus = whatsappService.getServiceMenus();
         const mainServices = serviceMenus.mainServices;
         
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           mainServices.text,
           mainServices.buttonText,
@@ -222,7 +223,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           message.text,
           message.buttonText,
@@ -269,7 +270,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           message.text,
           message.buttonText,
@@ -316,7 +317,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           message.text,
           message.buttonText,
@@ -333,8 +334,7 @@ class InteractiveFlowService {
       description: 'Interactive data bundle purchase',
       handler: async (phoneNumber, userData, flowData) => {
         // Send the data purchase flow
-        const whatsappService = require('./whatsapp');
-        return await whatsappService.sendDataPurchaseFlow(phoneNumber, userData);
+        return await messaging.sendFlowMessage(phoneNumber, whatsappService.buildDataPurchaseFlow(userData));
       }
     };
   }
@@ -378,7 +378,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendListMessage(
+        return await messaging.sendListMessage(
           phoneNumber,
           message.text,
           message.buttonText,
@@ -404,7 +404,7 @@ class InteractiveFlowService {
           ]
         };
 
-        return await whatsappService.sendButtonMessage(
+        return await messaging.sendButtonMessage(
           phoneNumber,
           message.text,
           message.buttons
@@ -425,7 +425,7 @@ class InteractiveFlowService {
       ]
     };
 
-    return await whatsappService.sendButtonMessage(
+    return await messaging.sendButtonMessage(
       phoneNumber,
       message.text,
       message.buttons
@@ -455,7 +455,7 @@ class InteractiveFlowService {
       ]
     };
 
-    return await whatsappService.sendListMessage(
+    return await messaging.sendListMessage(
       phoneNumber,
       message.text,
       message.buttonText,
@@ -2,7 +2,7 @@ const axios = require('axios');
 const { axiosConfig } = require('../utils/httpsAgent');
 const logger = require('../utils/logger');
 const userService = require('./user');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const ocrService = require('./ocr');
 const fincraService = require('./fincra');
 const rubiesService = require('./rubies');
@@ -718,7 +718,7 @@ class KYCService {
 
       statusMessage += `Need help? Contact our support team.`;
 
-      await whatsappService.sendTextMessage(phoneNumber, statusMessage);
+      await messaging.sendTextMessage(phoneNumber, statusMessage);
 
     } catch (error) {
       logger.error('Failed to send KYC status update', { 
@@ -1021,7 +1021,7 @@ class KYCService {
       );
 
       // Notify user
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `🎉 *Account Verified!*\n\nYour identity verification is now complete. You can access all MiiMii services!\n\nWelcome to the future of digital banking! 💰`
       );
@@ -1071,7 +1071,7 @@ class KYCService {
       );
 
       // Notify user
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `❌ *Verification Unsuccessful*\n\nWe couldn't complete your identity verification.\n\nReason: ${rejection_reason}\n\nPlease contact our support team for assistance.`
       );
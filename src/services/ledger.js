@@ -0,0 +1,397 @@
+const { supabase } = require('../database/connection');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Double-entry ledger
+ *
+ * Every movement of money is recorded as a journal: a set of postings that
+ * share a journalId and whose debits equal their credits. Wallet balances in
+ * the `wallets` table are a cached projection; the postings are the source of
+ * truth and can rebuild any balance at any point in time.
+ */
+
+// Chart of accounts. Wallet accounts are per wallet: `wallet:<walletId>`.
+// Provider float accounts are per provider: `provider_float:<provider>`.
+// Savings accounts are per savings plan: `savings:<savingsAccountId>`.
+const ACCOUNT_TYPES = {
+  wallet: 'liability',
+  savings: 'liability',
+  fee_income: 'income',
+  provider_float: 'asset',
+  suspense: 'liability',
+  promotions_expense: 'expense',
+  interest_expense: 'expense'
+};
+
+// Assets and expenses increase with debits; liabilities and income with credits
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// Categories whose counterpart is money held at (or paid out through) a
+// provider, mapped to the provider used when metadata.provider is absent
+const PROVIDER_CATEGORIES = {
+  wallet_funding: 'rubies',
+  bank_transfer: 'rubies',
+  refund: 'rubies',
+  airtime_purchase: 'bilal',
+  data_purchase: 'bilal',
+  data: 'bilal',
+  utility_payment: 'bilal',
+  utility: 'bilal',
+  electricity_bill: 'bilal',
+  bill_payment_electricity: 'bilal',
+  bill_payment_cable: 'bilal',
+  bill_payment_internet: 'bilal',
+  bill_payment_water: 'bilal',
+  virtual_card: 'card_issuer'
+};
+
+const FEE_CATEGORIES = ['fee_charge', 'maintenance_fee'];
+
+const PROMOTION_CATEGORIES = ['bonus_credit', 'cashback_credit', 'referral_bonus'];
+
+class LedgerService {
+  walletAccount(walletId) {
+    return `wallet:${walletId}`;
+  }
+
+  savingsAccount(savingsAccountId) {
+    return `savings:${savingsAccountId}`;
+  }
+
+  providerFloatAccount(provider = 'rubies') {
+    return `provider_float:${String(provider).toLowerCase()}`;
+  }
+
+  getAccountType(accountCode) {
+    const [root] = String(accountCode).split(':');
+    const type = ACCOUNT_TYPES[root];
+    if (!type) {
+      throw new Error(`Unknown ledger account: ${accountCode}`);
+    }
+    return type;
+  }
+
+  // Work in kobo so that sums of DECIMAL(15,2) amounts compare exactly
+  toMinor(amount) {
+    return Math.round(parseFloat(amount) * 100);
+  }
+
+  toMajor(minor) {
+    return minor / 100;
+  }
+
+  /**
+   * Pick the account on the other side of a wallet posting. Callers can force
+   * one with metadata.ledgerContraAccount (e.g. wallet-to-wallet transfers).
+   */
+  resolveContraAccount(category, metadata = {}) {
+    if (metadata.ledgerContraAccount) {
+      return metadata.ledgerContraAccount;
+    }
+    if (FEE_CATEGORIES.includes(category) || metadata.feeType === 'maintenance') {
+      return 'fee_income';
+    }
+    if (PROMOTION_CATEGORIES.includes(category)) {
+      return 'promotions_expense';
+    }
+    if (PROVIDER_CATEGORIES[category]) {
+      return this.providerFloatAccount(metadata.provider || PROVIDER_CATEGORIES[category]);
+    }
+    return 'suspense';
+  }
+
+  /**
+   * Post a balanced journal. All postings are written in a single insert so
+   * the journal lands atomically; the database also enforces the balance.
+   * @param {object} entry
+   * @param {Array<{accountCode: string, direction: 'debit'|'credit', amount: number}>} entry.postings
+   */
+  async postJournal({ postings, reference, transactionId = null, description = null, metadata = {}, postedAt = null }) {
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new Error('A journal needs at least two postings');
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const posting of postings) {
+      const minor = this.toMinor(posting.amount);
+      if (!Number.isFinite(minor) || minor <= 0) {
+        throw new Error(`Invalid posting amount for ${posting.accountCode}`);
+      }
+      if (posting.direction === 'debit') {
+        debits += minor;
+      } else if (posting.direction === 'credit') {
+        credits += minor;
+      } else {
+        throw new Error(`Invalid posting direction: ${posting.direction}`);
+      }
+    }
+
+    if (debits !== credits) {
+      throw new Error(`Unbalanced journal: debits ${this.toMajor(debits)} != credits ${this.toMajor(credits)}`);
+    }
+
+    const journalId = uuidv4();
+    const now = new Date().toISOString();
+    const rows = postings.map(posting => ({
+      id: uuidv4(),
+      journalId,
+      accountCode: posting.accountCode,
+      accountType: this.getAccountType(posting.accountCode),
+      direction: posting.direction,
+      amount: this.toMajor(this.toMinor(posting.amount)),
+      currency: 'NGN',
+      transactionId,
+      reference,
+      description,
+      metadata,
+      postedAt: postedAt || now,
+      createdAt: now,
+      updatedAt: now
+    }));
+
+    await databaseService.executeWithRetry(async () => {
+      const { error } = await supabase.from('ledgerPostings').insert(rows);
+      if (error) throw error;
+    });
+
+    logger.info('Ledger journal posted', {
+      journalId,
+      reference,
+      transactionId,
+      amount: this.toMajor(debits),
+      accounts: postings.map(p => `${p.direction}:${p.accountCode}`)
+    });
+
+    return { journalId, postings: rows };
+  }
+
+  // Money coming into a wallet from the contra account
+  async postWalletCredit(walletId, amount, { category, reference, transactionId, description, metadata = {} }) {
+    return this.postJournal({
+      reference,
+      transactionId,
+      description,
+      metadata: { category, kind: 'wallet_credit' },
+      postings: [
+        { accountCode: this.resolveContraAccount(category, metadata), direction: 'debit', amount },
+        { accountCode: this.walletAccount(walletId), direction: 'credit', amount }
+      ]
+    });
+  }
+
+  // Money leaving a wallet; any fee portion is recognised as fee income
+  async postWalletDebit(walletId, amount, { category, reference, transactionId, description, fee = 0, metadata = {} }) {
+    const total = this.toMinor(amount);
+    const feeMinor = Math.min(this.toMinor(fee || 0), total);
+    const principal = total - feeMinor;
+
+    const postings = [{ accountCode: this.walletAccount(walletId), direction: 'debit', amount: this.toMajor(total) }];
+    if (principal > 0) {
+      postings.push({ accountCode: this.resolveContraAccount(category, metadata), direction: 'credit', amount: this.toMajor(principal) });
+    }
+    if (feeMinor > 0) {
+      postings.push({ accountCode: 'fee_income', direction: 'credit', amount: this.toMajor(feeMinor) });
+    }
+
+    return this.postJournal({
+      reference,
+      transactionId,
+      description,
+      metadata: { category, kind: 'wallet_debit', fee: this.toMajor(feeMinor) },
+      postings
+    });
+  }
+
+  // Reverse a journal by posting its mirror image
+  async reverseJournal(journalId, { reference, transactionId = null, reason = null } = {}) {
+    const original = await this.getJournal(journalId);
+    if (original.length === 0) {
+      throw new Error(`Journal ${journalId} not found`);
+    }
+
+    const alreadyReversed = await databaseService.executeWithRetry(async () => {
+      const { count, error } = await supabase
+        .from('ledgerPostings')
+        .select('*', { count: 'exact', head: true })
+        .contains('metadata', { reversesJournalId: journalId });
+      if (error) throw error;
+      return count > 0;
+    });
+    if (alreadyReversed) {
+      throw new Error(`Journal ${journalId} has already been reversed`);
+    }
+
+    return this.postJournal({
+      reference: reference || `REV_${original[0].reference}`,
+      transactionId: transactionId || original[0].transactionId,
+      description: reason || `Reversal of ${original[0].reference}`,
+      metadata: { kind: 'reversal', reversesJournalId: journalId },
+      postings: original.map(posting => ({
+        accountCode: posting.accountCode,
+        direction: posting.direction === 'debit' ? 'credit' : 'debit',
+        amount: posting.amount
+      }))
+    });
+  }
+
+  async getJournal(journalId) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('ledgerPostings')
+        .select('*')
+        .eq('journalId', journalId);
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async getJournalsForTransaction(transactionId) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('ledgerPostings')
+        .select('*')
+        .eq('transactionId', transactionId)
+        .order('postedAt', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  // Fetch postings in pages so large accounts are not truncated by the API row limit
+  async fetchPostings({ accountCode = null, accountPrefix = null, asOf = null } = {}) {
+    const pageSize = 1000;
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const page = await databaseService.executeWithRetry(async () => {
+        let query = supabase
+          .from('ledgerPostings')
+          .select('accountCode, accountType, direction, amount, postedAt')
+          .order('postedAt', { ascending: true })
+          .range(from, from + pageSize - 1);
+
+        if (accountCode) query = query.eq('accountCode', accountCode);
+        if (accountPrefix) query = query.like('accountCode', `${accountPrefix}%`);
+        if (asOf) query = query.lte('postedAt', new Date(asOf).toISOString());
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+      });
+
+      rows.push(...page);
+      if (page.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  summarise(postings) {
+    const accounts = {};
+    for (const posting of postings) {
+      const account = accounts[posting.accountCode] || (accounts[posting.accountCode] = {
+        accountCode: posting.accountCode,
+        accountType: posting.accountType,
+        debitsMinor: 0,
+        creditsMinor: 0
+      });
+      if (posting.direction === 'debit') {
+        account.debitsMinor += this.toMinor(posting.amount);
+      } else {
+        account.creditsMinor += this.toMinor(posting.amount);
+      }
+    }
+
+    return Object.values(accounts).map(account => {
+      const net = DEBIT_NORMAL_TYPES.includes(account.accountType)
+        ? account.debitsMinor - account.creditsMinor
+        : account.creditsMinor - account.debitsMinor;
+      return {
+        accountCode: account.accountCode,
+        accountType: account.accountType,
+        debits: this.toMajor(account.debitsMinor),
+        credits: this.toMajor(account.creditsMinor),
+        balance: this.toMajor(net)
+      };
+    });
+  }
+
+  async getAccountBalance(accountCode, { asOf = null } = {}) {
+    const postings = await this.fetchPostings({ accountCode, asOf });
+    const [summary] = this.summarise(postings);
+    return summary ? summary.balance : 0;
+  }
+
+  async getWalletLedgerBalance(walletId, { asOf = null } = {}) {
+    return this.getAccountBalance(this.walletAccount(walletId), { asOf });
+  }
+
+  /**
+   * Trial balance across every account. When total debits equal total credits
+   * no money has been created or destroyed.
+   */
+  async getTrialBalance({ asOf = null } = {}) {
+    const postings = await this.fetchPostings({ asOf });
+    const accounts = this.summarise(postings);
+
+    const totalDebits = accounts.reduce((sum, a) => sum + this.toMinor(a.debits), 0);
+    const totalCredits = accounts.reduce((sum, a) => sum + this.toMinor(a.credits), 0);
+    const walletLiabilities = accounts
+      .filter(a => a.accountCode.startsWith('wallet:'))
+      .reduce((sum, a) => sum + this.toMinor(a.balance), 0);
+
+    return {
+      asOf: asOf ? new Date(asOf).toISOString() : new Date().toISOString(),
+      balanced: totalDebits === totalCredits,
+      totalDebits: this.toMajor(totalDebits),
+      totalCredits: this.toMajor(totalCredits),
+      walletLiabilities: this.toMajor(walletLiabilities),
+      accounts: accounts.filter(a => !a.accountCode.startsWith('wallet:')),
+      walletAccounts: accounts.filter(a => a.accountCode.startsWith('wallet:')).length
+    };
+  }
+
+  /**
+   * Compare the cached wallet balance against the ledger and optionally
+   * overwrite the cache with the ledger value.
+   */
+  async rebuildWalletBalance(walletId, { apply = false } = {}) {
+    const ledgerBalance = await this.getWalletLedgerBalance(walletId);
+
+    const wallet = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase.from('wallets').select('*').eq('id', walletId).maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    const cachedBalance = parseFloat(wallet.balance || 0);
+    const difference = this.toMajor(this.toMinor(ledgerBalance) - this.toMinor(cachedBalance));
+
+    if (apply && difference !== 0) {
+      // Lazy load to avoid circular dependency
+      const walletService = require('./wallet');
+      await walletService.applyBalanceChange(wallet.userId, (current) => ({
+        balance: ledgerBalance,
+        availableBalance: Math.max(0, ledgerBalance - parseFloat(current.pendingBalance || 0))
+      }));
+
+      logger.warn('Wallet balance rebuilt from ledger', { walletId, cachedBalance, ledgerBalance, difference });
+    }
+
+    return {
+      walletId,
+      cachedBalance,
+      ledgerBalance,
+      difference,
+      applied: apply && difference !== 0
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -1,6 +1,7 @@
 const userService = require('./user');
 const onboardingService = require('./onboarding');
 const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const aiAssistantService = require('./aiAssistant');
 const whatsappFlowService = require('./whatsappFlowService');
 const bellbankService = require('./bellbank');
@@ -10,9 +11,40 @@ const transcriptionService = require('./transcription');
 const logger = require('../utils/logger');
 const activityLogger = require('./activityLogger');
 const sessionManager = require('../utils/sessionManager');
+const idempotencyService = require('./idempotency');
+const referralService = require('./referral');
+const transferFlow = require('./transferFlow');
+const i18n = require('./i18n');
+
+// WhatsApp confirmations carry the reference minted when the transfer was
+// confirmed, so duplicate webhook deliveries or a second PIN entry for the
+// same confirmation replay the first result instead of sending twice
+// Never unkeyed: a confirmation saved without a reference gets one minted and
+// written back to the conversation state, so a repeated PIN reply reuses it;
+// a flow confirmation falls back to its flow token, as flowEndpoint does.
+async function conversationTransferOptions(user, transferData, { flowToken = null } = {}) {
+  if (!transferData.reference && !flowToken) {
+    transferData.reference = `TXN${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+    const state = user.conversationState;
+    if (state?.data) {
+      await user.updateConversationState({ ...state, data: { ...state.data, reference: transferData.reference } });
+    }
+  }
+
+  return {
+    idempotencyKey: idempotencyService.conversationKey('whatsapp', transferData.reference || `flow:${flowToken}`),
+    idempotencyScope: 'whatsapp.bank_transfer'
+  };
+}
 
 class MessageProcessor {
   async processIncomingMessage(parsedMessage) {
+    // A turn that arrives without a reply context came in on WhatsApp
+    if (parsedMessage?.from && !messaging.currentContext()) {
+      const context = messaging.createContext({ channel: 'whatsapp', recipient: parsedMessage.from });
+      return messaging.run(context, () => this.processIncomingMessage(parsedMessage));
+    }
+
     try {
       // Validate parsedMessage structure
       if (!parsedMessage) {
@@ -105,9 +137,8 @@ class MessageProcessor {
       
       // Mark as read + typing indicator to improve UX while processing
       try {
-        const whatsappService = require('./whatsapp');
-        await whatsappService.markMessageAsRead(messageId);
-        await whatsappService.sendTypingIndicator(from, messageId, 3000);
+        await messaging.markMessageAsRead(messageId);
+        await messaging.sendTypingIndicator(from, messageId, 3000);
       } catch (e) {
         // Non-fatal
       }
@@ -135,6 +166,17 @@ class MessageProcessor {
       const isInteractiveReply =
         messageType === 'interactive' && (!!message?.buttonReply || !!message?.listReply);
       if (isFreshUser && !isFlowCompletion && !isInteractiveReply) {
+        // wa.me referral links open the chat with "My referral code is XXXX"
+        const referralCode = messageType === 'text' ? referralService.extractReferralCode(messageContent) : null;
+        if (referralCode) {
+          try {
+            const referral = await referralService.captureReferral(user, referralCode, { channel: 'whatsapp' });
+            logger.info('Referral code in first message', { userId: user.id, referralCode, captured: referral.captured, reason: referral.reason });
+          } catch (referralError) {
+            logger.warn('Failed to capture referral from first message', { error: referralError.message, userId: user.id });
+          }
+        }
+
         logger.info('Auto-starting onboarding flow for first-contact user', {
           userId: user.id,
           onboardingStep: user.onboardingStep,
@@ -144,6 +186,26 @@ class MessageProcessor {
         return;
       }
 
+      // Pay / Join / Decline on a group collection request, from a button or the "pay my share" list
+      const groupActionId = [buttonId, message?.listReply?.id].find(id => typeof id === 'string' && id.startsWith('group_'));
+      if (groupActionId && await this.handleGroupCollectionAction(user, groupActionId)) {
+        return;
+      }
+
+      // Pay / Decline on a payment request from another user
+      const paymentRequestActionId = [buttonId, message?.listReply?.id].find(id => typeof id === 'string' && id.startsWith('payreq_'));
+      if (paymentRequestActionId && await this.handlePaymentRequestAction(user, paymentRequestActionId)) {
+        return;
+      }
+
+      // A transfer in progress in the transfer state machine answers text and button replies first
+      const isFlowReply = !!message?.flowResponse;
+      if (!isFlowReply && (messageType === 'text' || messageType === 'audio' || buttonId)) {
+        if (await transferFlow.handleMessage(user, { text: messageContent, buttonId })) {
+          return;
+        }
+      }
+
       // If interactive (buttons/lists/flows), handle via the interactive-aware pipeline
       // BUT do not short-circuit Flow completions (nfm_reply with flowResponse)
       if (messageType === 'interactive') {
@@ -194,14 +256,13 @@ class MessageProcessor {
           // Determine flow type from session data or context
           try {
             const redisClient = require('../utils/redis');
-            const whatsappService = require('./whatsapp');
             const flowToken = flowCompletionData.flowToken;
             
             // Extract PIN from the correct field for onboarding flows
             const pin = flowCompletionData.data?.screen_3_4Digit_PIN_0 || flowCompletionData.data?.pin;
 
           if (!pin || !/^\d{4}$/.test(pin)) {
-            await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+            await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
             return;
           }
 
@@ -326,7 +387,7 @@ class MessageProcessor {
               // Extract PIN from data
               const pin = flowCompletionData.data.screen_3_4Digit_PIN_0 || flowCompletionData.data.pin;
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '❌ Please enter a valid 4-digit PIN.'
                 );
@@ -378,7 +439,7 @@ class MessageProcessor {
                 });
                 
                 // Send success message with account details
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   `🎉 Welcome to MiiMii! Your account has been set up successfully!\n\n💳 Account Number: ${virtualAccountResult.accountNumber}\n🏦 Bank: ${virtualAccountResult.bankName || 'Rubies MFB'}\n👤 Account Name: ${virtualAccountResult.accountName}\n\nYou can now enjoy all our services!`
                 );
@@ -388,7 +449,7 @@ class MessageProcessor {
                   error: virtualAccountResult.error
                 });
                 
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '❌ Account setup completed but virtual account creation failed. Please contact support.'
                 );
@@ -410,7 +471,7 @@ class MessageProcessor {
                 userId: user.id,
                 error: error.message
               });
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Account setup failed. Please try again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Account setup failed. Please try again.');
               return;
             }
 
@@ -446,7 +507,7 @@ class MessageProcessor {
                   sessionKeys: Object.keys(sessionTx),
                   stateKeys: Object.keys(stateTx)
                 });
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start again.');
                 return;
               }
 
@@ -455,7 +516,7 @@ class MessageProcessor {
                 hasReference: !!transferData.reference 
               });
               
-              const result = await bankTransferService.processBankTransfer(user.id, transferData, pin);
+              const result = await bankTransferService.processBankTransfer(user.id, transferData, pin, await conversationTransferOptions(user, transferData, { flowToken: flowCompletionData.flowToken }));
               
               // Transfer completed successfully
               logger.info('Transfer completed successfully via flow completion', {
@@ -500,14 +561,19 @@ class MessageProcessor {
                 userId: user.id,
                 error: error.message
               });
+
+              // The risk engine has already asked for a code or explained the hold
+              if (error.name === 'RiskError') {
+                return;
+              }
               
               // Check if this is a notification failure (transfer actually succeeded)
               if (error.message.includes('Transfer completed successfully, but notification failed')) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, 
+                await messaging.sendTextMessage(user.whatsappNumber, 
                   '✅ Transfer completed successfully! Please check your transaction history for details.'
                 );
               } else {
-                await whatsappService.sendTextMessage(user.whatsappNumber, 
+                await messaging.sendTextMessage(user.whatsappNumber, 
                   `❌ Transfer failed: ${error.message}`
                 );
               }
@@ -535,23 +601,23 @@ class MessageProcessor {
               const context = user.conversationState?.context;
 
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please enter a valid 4-digit PIN.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please enter a valid 4-digit PIN.');
                 return;
               }
 
               if (session.service === 'enable_pin' || context === 'enable_pin_verification') {
                 const result = await userService.enableUserPin(user.id, pin);
                 if (result.success) {
-                  await whatsappService.sendTextMessage(user.whatsappNumber, '✅ PIN enabled successfully! All transactions will now require PIN verification.');
+                  await messaging.sendTextMessage(user.whatsappNumber, '✅ PIN enabled successfully! All transactions will now require PIN verification.');
                 } else {
-                  await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Failed to enable PIN: ${result.message}`);
+                  await messaging.sendTextMessage(user.whatsappNumber, `❌ Failed to enable PIN: ${result.message}`);
                 }
               } else if (session.service === 'disable_pin' || context === 'disable_pin_verification') {
                 const result = await userService.disableUserPin(user.id, pin);
                 if (result.success) {
-                  await whatsappService.sendTextMessage(user.whatsappNumber, '✅ PIN disabled successfully! All transactions will now be processed without PIN verification.');
+                  await messaging.sendTextMessage(user.whatsappNumber, '✅ PIN disabled successfully! All transactions will now be processed without PIN verification.');
                 } else {
-                  await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Failed to disable PIN: ${result.message}`);
+                  await messaging.sendTextMessage(user.whatsappNumber, `❌ Failed to disable PIN: ${result.message}`);
                 }
               }
 
@@ -561,7 +627,7 @@ class MessageProcessor {
 
             } catch (error) {
               logger.error('PIN enable/disable flow completion failed', { userId: user.id, error: error.message });
-              await whatsappService.sendTextMessage(user.whatsappNumber, `❌ PIN operation failed: ${error.message || 'Please try again later.'}`);
+              await messaging.sendTextMessage(user.whatsappNumber, `❌ PIN operation failed: ${error.message || 'Please try again later.'}`);
               await user.clearConversationState();
               return;
             }
@@ -586,7 +652,7 @@ class MessageProcessor {
               const pin = flowCompletionData.data?.pin;
               
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please enter a valid 4-digit PIN.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please enter a valid 4-digit PIN.');
                 return;
               }
               
@@ -617,7 +683,7 @@ class MessageProcessor {
               } else {
                 // Error occurred
                 logger.error('Airtime transaction failed', { userId: user.id, error: result.data?.error });
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ ${result.data?.error || 'Transaction failed. Please try again.'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ ${result.data?.error || 'Transaction failed. Please try again.'}`);
               }
 
               // Clean up using session manager
@@ -636,13 +702,13 @@ class MessageProcessor {
                 userId: user.id,
                 error: error.message
               });
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transaction failed. Please try again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transaction failed. Please try again.');
               return;
             }
           }
           } catch (err) {
             logger.error('Flow completion processing failed', { error: err.message, userId: user.id });
-            await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transaction processing failed. Please try again.');
+            await messaging.sendTextMessage(user.whatsappNumber, '❌ Transaction processing failed. Please try again.');
             return;
           }
         }
@@ -686,19 +752,33 @@ class MessageProcessor {
         return await this.handleCompletedUserMessage(user, message, messageType);
       }
 
+      // "change language" works anywhere, including in the middle of a flow
+      if (messageType === 'text') {
+        const languageCommand = i18n.parseLanguageCommand(messageContent);
+        if (languageCommand) {
+          return await this.handleLanguageCommand(user, languageCommand.language, messageContent);
+        }
+      }
+
       // Daily login check will be moved to after transfer conversation handling
 
+      // A reply to a risk step-up: the 6-digit code, or the PIN when PIN prompts are off
+      if (messageType === 'text' && /^\d{4}(\d{2})?$/.test(String(messageContent || '').trim())) {
+        if (await this.handleRiskChallengeReply(user, String(messageContent).trim())) {
+          return;
+        }
+      }
+
       // Check if user is in transfer PIN flow state
       if (messageType === 'text' && user.conversationState?.awaitingInput === 'transfer_pin_flow') {
         const lowerMsg = (messageContent || '').toLowerCase().trim();
-        const whatsappService = require('./whatsapp');
         const bankTransferService = require('./bankTransfer');
 
         // Handle cancel
         if (/(^|\b)(cancel|stop|quit|exit|abort|end)(\b|$)/.test(lowerMsg)) {
           logger.info('User cancelled transfer PIN flow', { userId: user.id });
           await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, "✅ Transfer cancelled. You can start again anytime.");
+          await messaging.sendTextMessage(user.whatsappNumber, "✅ Transfer cancelled. You can start again anytime.");
           return;
         }
 
@@ -718,13 +798,13 @@ class MessageProcessor {
             // Validate we have required details
             if (!transferData.accountNumber || !transferData.bankCode || !transferData.amount) {
               logger.error('Missing transfer data for manual PIN fallback', { userId: user.id, stateDataKeys: Object.keys(state.data || {}) });
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start the transfer again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start the transfer again.');
               await user.clearConversationState();
               return;
             }
 
             logger.info('Processing transfer via manual PIN fallback', { userId: user.id, hasReference: !!transferData.reference });
-            const result = await bankTransferService.processBankTransfer(user.id, transferData, pinText);
+            const result = await bankTransferService.processBankTransfer(user.id, transferData, pinText, await conversationTransferOptions(user, transferData));
             if (result.success) {
               // Wait a bit to ensure save beneficiary prompt (if set) is persisted to database
               await new Promise(resolve => setTimeout(resolve, 500));
@@ -763,11 +843,13 @@ class MessageProcessor {
               logger.info('Transfer completed via manual PIN fallback', { userId: user.id, reference: result.transaction?.reference });
               // Success messages handled by bankTransferService if any
             } else {
-              await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Unknown error'}`);
+              await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Unknown error'}`);
             }
           } catch (err) {
             logger.error('Manual PIN fallback transfer failed', { userId: user.id, error: err.message });
-            await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer failed. Please try again.');
+            if (err.name !== 'RiskError') {
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer failed. Please try again.');
+            }
           }
           return;
         }
@@ -785,7 +867,7 @@ class MessageProcessor {
             await user.clearConversationState();
             // Continue normal processing below with cleared state
           } else {
-            await whatsappService.sendTextMessage(user.whatsappNumber, "Please enter your 4-digit PIN here or in the Flow above, or type 'cancel'.");
+            await messaging.sendTextMessage(user.whatsappNumber, "Please enter your 4-digit PIN here or in the Flow above, or type 'cancel'.");
             return;
           }
         } catch (switchErr) {
@@ -793,7 +875,7 @@ class MessageProcessor {
             userId: user.id,
             error: switchErr.message
           });
-          await whatsappService.sendTextMessage(user.whatsappNumber, "Please enter your 4-digit PIN here or in the Flow above, or type 'cancel'.");
+          await messaging.sendTextMessage(user.whatsappNumber, "Please enter your 4-digit PIN here or in the Flow above, or type 'cancel'.");
           return;
         }
 
@@ -829,13 +911,12 @@ class MessageProcessor {
             try {
               const redisClient = require('../utils/redis');
               const bankTransferService = require('./bankTransfer');
-              const whatsappService = require('./whatsapp');
 
               const flowToken = flowData.flow_token || flowData.flowToken;
               const pin = flowData.pin || flowData.pin_number || flowData.pin_code;
 
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
                 return;
               }
 
@@ -857,7 +938,7 @@ class MessageProcessor {
 
               if (!session || (!session.transferData && (!flowData.account_number || !flowData.bank_code || !flowData.transfer_amount))) {
                 logger.error('No transfer session found for Flow PIN processing', { userId: user.id, hasSession: !!session });
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start again.');
                 return;
               }
 
@@ -867,17 +948,17 @@ class MessageProcessor {
                 bankCode: sessTx.bankCode || flowData.bank_code,
                 amount: parseFloat(sessTx.amount || flowData.transfer_amount || flowData.amount),
                 narration: sessTx.narration || 'Wallet transfer',
-                reference: session.reference || sessTx.reference || `TXN${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+                reference: session.reference || sessTx.reference
               };
 
               if (!transferData.accountNumber || !transferData.bankCode || !transferData.amount) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Missing transfer details. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Missing transfer details. Please try again.');
                 return;
               }
 
-              const txResult = await bankTransferService.processBankTransfer(user.id, transferData, pin);
+              const txResult = await bankTransferService.processBankTransfer(user.id, transferData, pin, await conversationTransferOptions(user, transferData, { flowToken }));
               if (!txResult.success) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${txResult.message || 'Unknown error'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${txResult.message || 'Unknown error'}`);
               }
 
               try { 
@@ -894,13 +975,12 @@ class MessageProcessor {
           } else if (result.flowType === 'disable_pin_verification') {
             // Handle PIN disable flow completion
             try {
-              const whatsappService = require('./whatsapp');
               const userService = require('./user');
               
               const pin = flowData.pin || flowData.pin_number || flowData.pin_code;
               
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
                 return;
               }
               
@@ -911,14 +991,14 @@ class MessageProcessor {
                 // Clear conversation state
                 await user.clearConversationState();
                 
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '✅ *PIN Successfully Disabled!*\n\n🔓 Your transaction PIN has been disabled. All future transactions will be processed without PIN verification.\n\n⚠️ *Security Note*: This reduces security for your account. You can re-enable PIN verification anytime by saying "Enable my pin".'
                 );
                 
                 logger.info('PIN disabled successfully via flow', { userId: user.id });
               } else {
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '❌ PIN verification failed. Please check your PIN and try again.'
                 );
@@ -926,9 +1006,8 @@ class MessageProcessor {
               
             } catch (error) {
               logger.error('PIN disable flow processing failed', { error: error.message, userId: user.id });
-              const whatsappService = require('./whatsapp');
               await user.clearConversationState();
-              await whatsappService.sendTextMessage(
+              await messaging.sendTextMessage(
                 user.whatsappNumber,
                 '❌ An error occurred while disabling your PIN. Please try again later.'
               );
@@ -936,13 +1015,12 @@ class MessageProcessor {
           } else if (result.flowType === 'enable_pin_verification') {
             // Handle PIN enable flow completion
             try {
-              const whatsappService = require('./whatsapp');
               const userService = require('./user');
               
               const pin = flowData.pin || flowData.pin_number || flowData.pin_code;
               
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
                 return;
               }
               
@@ -953,14 +1031,14 @@ class MessageProcessor {
                 // Clear conversation state
                 await user.clearConversationState();
                 
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '✅ *PIN Successfully Enabled!*\n\n🔒 Your transaction PIN has been enabled. All future transactions will require PIN verification for security.\n\n✅ *Security Enhanced*: Your account is now more secure with PIN verification.'
                 );
                 
                 logger.info('PIN enabled successfully via flow', { userId: user.id });
               } else {
-                await whatsappService.sendTextMessage(
+                await messaging.sendTextMessage(
                   user.whatsappNumber,
                   '❌ PIN verification failed. Please check your PIN and try again.'
                 );
@@ -968,9 +1046,8 @@ class MessageProcessor {
               
             } catch (error) {
               logger.error('PIN enable flow processing failed', { error: error.message, userId: user.id });
-              const whatsappService = require('./whatsapp');
               await user.clearConversationState();
-              await whatsappService.sendTextMessage(
+              await messaging.sendTextMessage(
                 user.whatsappNumber,
                 '❌ An error occurred while enabling your PIN. Please try again later.'
               );
@@ -979,14 +1056,13 @@ class MessageProcessor {
             // Handle airtime/bills/data PIN flow completion
             try {
               const redisClient = require('../utils/redis');
-              const whatsappService = require('./whatsapp');
               const flowEndpoint = require('../routes/flowEndpoint');
 
               const flowToken = flowData.flow_token || flowData.flowToken;
               const pin = flowData.pin || flowData.pin_number || flowData.pin_code;
 
               if (!pin || !/^\d{4}$/.test(pin)) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
                 return;
               }
 
@@ -1017,7 +1093,7 @@ class MessageProcessor {
 
               if (!session) {
                 logger.error('No session found for airtime/bills PIN flow', { userId: user.id, flowToken });
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transaction details not found. Please start again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Transaction details not found. Please start again.');
                 return;
               }
 
@@ -1036,7 +1112,7 @@ class MessageProcessor {
               } else {
                 // Error occurred
                 logger.error(`${result.flowType} transaction failed`, { userId: user.id, error: result.data?.error });
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ ${result.data?.error || 'Transaction failed. Please try again.'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ ${result.data?.error || 'Transaction failed. Please try again.'}`);
               }
 
               // Clean up using session manager
@@ -1051,16 +1127,14 @@ class MessageProcessor {
               return;
             } catch (err) {
               logger.error('Airtime/bills PIN flow processing failed', { error: err.message, userId: user.id });
-              const whatsappService = require('./whatsapp');
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transaction failed. Please try again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transaction failed. Please try again.');
             }
           } else if (result.flowType === 'login' || result.message === 'Login successful') {
             // Handle login flow completion
             const redisClient = require('../utils/redis');
             await redisClient.set(`auth:${user.id}`, { ok: true }, 86400);
             await user.clearConversationState();
-            const whatsappService = require('./whatsapp');
-            await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Login successful! How can I help you today?');
+            await messaging.sendTextMessage(user.whatsappNumber, '✅ Login successful! How can I help you today?');
             
             logger.info('Daily login completed via flow', {
               userId: user.id,
@@ -1079,12 +1153,11 @@ class MessageProcessor {
             )
           ) {
             try {
-              const whatsappService = require('./whatsapp');
               const bankTransferService = require('./bankTransfer');
 
               const pin = flowData.pin;
               if (!/^\d{4}$/.test(String(pin || ''))) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
                 return;
               }
 
@@ -1095,7 +1168,7 @@ class MessageProcessor {
                 bankCode: state?.data?.bankCode || flowData.bank_code,
                 amount: parseFloat(state?.data?.amount || flowData.transfer_amount || flowData.amount),
                 narration: state?.data?.narration || 'Wallet transfer',
-                reference: state?.data?.reference || `TXN${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+                reference: state?.data?.reference
               };
 
               // Normalize bank code if needed using institution mapping
@@ -1113,7 +1186,7 @@ class MessageProcessor {
               }
 
               if (!transferData.accountNumber || !transferData.bankCode || !transferData.amount) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Missing transfer details. Please start again.');
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Missing transfer details. Please start again.');
                 return;
               }
 
@@ -1122,9 +1195,9 @@ class MessageProcessor {
                 hasRef: !!transferData.reference
               });
 
-              const txResult = await bankTransferService.processBankTransfer(user.id, transferData, pin);
+              const txResult = await bankTransferService.processBankTransfer(user.id, transferData, pin, await conversationTransferOptions(user, transferData));
               if (!txResult.success) {
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${txResult.message || 'Unknown error'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${txResult.message || 'Unknown error'}`);
                 await user.clearConversationState();
                 return;
               }
@@ -1176,8 +1249,7 @@ class MessageProcessor {
                                      `💳 Account Number: ${wallet.virtualAccountNumber}\n` +
                                      `🏦 Bank: ${wallet.virtualAccountBank || 'Bell Bank MFB'}\n` +
                                      `👤 Account Name: ${wallet.virtualAccountName}`;
-              const whatsappService = require('./whatsapp');
-              await whatsappService.sendTextMessage(user.whatsappNumber, accountMessage);
+              await messaging.sendTextMessage(user.whatsappNumber, accountMessage);
             }
             return;
           } else if (result.flowType === 'data_purchase') {
@@ -1192,14 +1264,13 @@ class MessageProcessor {
           // Handle transfer PIN flow completion via conversation state
           if (user.conversationState?.context === 'transfer_pin_verification') {
             const state = user.conversationState;
-            const whatsappService = require('./whatsapp');
             const bankTransferService = require('./bankTransfer');
             
             // Extract PIN from flow response
             const pin = flowData.pin || flowData.pin_number || flowData.pin_code;
             
             if (!pin || !/^\d{4}$/.test(pin)) {
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Invalid PIN format. Please try again.');
               return;
             }
             
@@ -1211,7 +1282,7 @@ class MessageProcessor {
                 dataKeys: state.data ? Object.keys(state.data) : []
               });
               
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Try again');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Try again');
               await user.clearConversationState();
               return;
             }
@@ -1231,14 +1302,14 @@ class MessageProcessor {
                 pinLength: pin.length
               });
               
-              const result = await bankTransferService.processBankTransfer(user.id, transferData, pin);
+              const result = await bankTransferService.processBankTransfer(user.id, transferData, pin, await conversationTransferOptions(user, transferData));
               if (result.success) {
                 logger.info('Transfer initiated successfully via flow', {
                   userId: user.id,
                   reference: result.transaction.reference
                 });
               } else {
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Failed: ${result.message || 'Unknown error'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ Failed: ${result.message || 'Unknown error'}`);
               }
             } catch (err) {
               logger.error('Transfer processing failed via flow', {
@@ -1264,7 +1335,10 @@ class MessageProcessor {
                 errorMessage = "❌ Wrong PIN. Check and try again";
               }
               
-              await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+              // Risk step-ups and holds have already been explained to the user
+              if (err.name !== 'RiskError') {
+                await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
+              }
             } finally {
               // Reload user to check if a save beneficiary prompt was set before clearing
               try {
@@ -1294,8 +1368,7 @@ class MessageProcessor {
             return;
           }
         } else if (result.error) {
-          const whatsappService = require('./whatsapp');
-          await whatsappService.sendTextMessage(user.whatsappNumber, result.error);
+          await messaging.sendTextMessage(user.whatsappNumber, result.error);
         }
         return;
       }
@@ -1319,8 +1392,7 @@ class MessageProcessor {
             }
           } catch (_) {}
           await user.clearConversationState();
-          const whatsappService = require('./whatsapp');
-          await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled. You can start again anytime by typing "buy data".');
+          await messaging.sendTextMessage(user.whatsappNumber, '✅ Data purchase cancelled. You can start again anytime by typing "buy data".');
           return;
         }
       }
@@ -1356,7 +1428,6 @@ class MessageProcessor {
       
       // Check if this is a statement date range selection
       if ((statementButtonId || statementListId) && user.conversationState?.intent === 'statement_request') {
-        const whatsappService = require('./whatsapp');
         const aiAssistant = require('./aiAssistant');
         
         // Extract date range type from button ID or list reply ID
@@ -1386,7 +1457,7 @@ class MessageProcessor {
             validRanges
           });
           
-          await whatsappService.sendTextMessage(user.whatsappNumber,
+          await messaging.sendTextMessage(user.whatsappNumber,
             "❌ Invalid selection. Please select a valid date range option.");
           return;
         }
@@ -1397,7 +1468,6 @@ class MessageProcessor {
       // This must come before the confirmation check because both states have intent === 'save_beneficiary_prompt'
       if (user.conversationState?.awaitingInput === 'save_beneficiary_nickname' && user.conversationState?.pendingBeneficiary) {
         const state = user.conversationState;
-        const whatsappService = require('./whatsapp');
         const lower = messageContent.toLowerCase().trim();
         
         let nickname = null;
@@ -1436,7 +1506,7 @@ class MessageProcessor {
             
             successMessage += `"Send ₦1k to ${pendingBeneficiary.recipientName}" 😊`;
             
-            await whatsappService.sendTextMessage(user.whatsappNumber, successMessage);
+            await messaging.sendTextMessage(user.whatsappNumber, successMessage);
             
             logger.info('Beneficiary saved with nickname via user confirmation', {
               userId: user.id,
@@ -1458,8 +1528,7 @@ class MessageProcessor {
             nickname
           });
           
-          const whatsappService = require('./whatsapp');
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             '❌ Sorry, I encountered an error while saving the beneficiary. Please try again later.');
           await user.clearConversationState();
           return;
@@ -1486,7 +1555,6 @@ class MessageProcessor {
       
       if (hasSaveBeneficiaryState) {
         const state = user.conversationState;
-        const whatsappService = require('./whatsapp');
         const lower = messageContent.toLowerCase().trim();
         
         if (/(^|\b)(yes|y|yeah|yep|sure|ok|okay)(\b|$)/.test(lower)) {
@@ -1497,7 +1565,7 @@ class MessageProcessor {
             context: 'beneficiary_nickname_collection'
           });
           
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `Great! 🎉\n\n` +
             `What nickname would you like to give *${state.pendingBeneficiary.recipientName}*?\n\n` +
@@ -1508,19 +1576,18 @@ class MessageProcessor {
         }
         
         if (/(^|\b)(no|n|nope|cancel)(\b|$)/.test(lower)) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, '👍 No problem! You can always save beneficiaries later.');
+          await messaging.sendTextMessage(user.whatsappNumber, '👍 No problem! You can always save beneficiaries later.');
           await user.clearConversationState();
           return;
         }
         
-        await whatsappService.sendTextMessage(user.whatsappNumber, 'Please reply *YES* to save or *NO* to skip.');
+        await messaging.sendTextMessage(user.whatsappNumber, 'Please reply *YES* to save or *NO* to skip.');
         return;
       }
 
       // Handle ongoing bank transfer conversation (confirmation and PIN)
       if (user.conversationState?.intent === 'bank_transfer') {
         const state = user.conversationState;
-        const whatsappService = require('./whatsapp');
         const bankTransferService = require('./bankTransfer');
 
         // Confirmation step
@@ -1558,12 +1625,11 @@ class MessageProcessor {
                 await user.clearConversationState();
                 
                 // Process the new service request
-                const whatsappService = require('./whatsapp');
                 const naturalMessage = await aiAssistant.makeResponseNatural(
                   `Got it! Let me help you with ${switchIntent.intent === 'airtime' ? 'airtime' : switchIntent.intent === 'data' ? 'data' : switchIntent.intent} instead.`,
                   { service: switchIntent.intent, switching: true }
                 );
-                await whatsappService.sendTextMessage(user.whatsappNumber, naturalMessage);
+                await messaging.sendTextMessage(user.whatsappNumber, naturalMessage);
                 
                 // Handle the new intent and send response
                 const intentResult = await aiAssistant.processIntent(switchIntent, user, messageContent);
@@ -1572,7 +1638,7 @@ class MessageProcessor {
                     service: switchIntent.intent, 
                     context: 'service_result' 
                   });
-                  await whatsappService.sendTextMessage(user.whatsappNumber, finalMessage);
+                  await messaging.sendTextMessage(user.whatsappNumber, finalMessage);
                 }
                 
                 return;
@@ -1607,17 +1673,17 @@ class MessageProcessor {
                   reference: state.data.reference
                 };
                 
-                const result = await bankTransferService.processBankTransfer(user.id, transferData, '0000'); // Dummy PIN
+                const result = await bankTransferService.processBankTransfer(user.id, transferData, '0000', await conversationTransferOptions(user, transferData)); // Dummy PIN
                 
                 if (result.success) {
                   // Don't send additional success message here - bankTransferService already handles it
                   // It sends receipt image and beneficiary save prompt
                 } else {
-                  await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Please try again later.'}`);
+                  await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Please try again later.'}`);
                 }
               } catch (error) {
                 logger.error('Transfer failed when PIN disabled', { error: error.message, userId: user.id });
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${error.message || 'Please try again later.'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${error.message || 'Please try again later.'}`);
                 await user.clearConversationState();
                 return;
               }
@@ -1730,7 +1796,7 @@ class MessageProcessor {
             // Session is already stored with complete transfer data above
             
             // Send the transfer PIN flow
-            await whatsappService.sendFlowMessage(
+            await messaging.sendFlowMessage(
               user.whatsappNumber,
               {
                 flowId: config.getWhatsappConfig().transferPinFlowId,
@@ -1773,13 +1839,13 @@ class MessageProcessor {
             return;
           }
           if (isCancelled) {
-            await whatsappService.sendTextMessage(user.whatsappNumber, '✅ Transfer cancelled! You can start a new transfer anytime.');
+            await messaging.sendTextMessage(user.whatsappNumber, '✅ Transfer cancelled! You can start a new transfer anytime.');
             await user.clearConversationState();
             return;
           }
           
           // If neither confirmed nor cancelled, ask again
-          await whatsappService.sendButtonMessage(
+          await messaging.sendButtonMessage(
             user.whatsappNumber,
             'Please confirm or cancel the transfer:',
             [
@@ -1798,7 +1864,7 @@ class MessageProcessor {
             state: state
           });
             await user.clearConversationState();
-          await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Something went wrong. Please try your transfer again.');
+          await messaging.sendTextMessage(user.whatsappNumber, '❌ Something went wrong. Please try your transfer again.');
           return;
         }
       }
@@ -1814,8 +1880,9 @@ class MessageProcessor {
         conversationState: user.conversationState
       });
 
-      // If user is in a data purchase conversation, route directly to the conversation handler
-      if (user.conversationState && user.conversationState.awaitingInput && user.conversationState.intent === 'data') {
+      // If user is in a data purchase, scheduling, savings, group collection or payment request conversation, route directly
+      // to the conversation handler (a PIN reply must never reach intent analysis)
+      if (user.conversationState && user.conversationState.awaitingInput && ['data', 'schedule', 'savings', 'group', 'payment_request'].includes(user.conversationState.intent)) {
         try {
           const aiAssistantConv = require('./aiAssistant');
           await aiAssistantConv.handleConversationFlow(user, messageContent, user.conversationState, {
@@ -1823,7 +1890,7 @@ class MessageProcessor {
           });
           return;
         } catch (convErr) {
-          logger.error('Data conversation handling failed in main pipeline', { error: convErr.message, userId: user.id, awaitingInput: user.conversationState.awaitingInput });
+          logger.error('Conversation handling failed in main pipeline', { error: convErr.message, userId: user.id, intent: user.conversationState.intent, awaitingInput: user.conversationState.awaitingInput });
         }
       }
 
@@ -1967,8 +2034,7 @@ class MessageProcessor {
               currentState: user.conversationState
             });
             
-            const whatsappService = require('./whatsapp');
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               "You already have a transfer in progress. Please complete the current transfer first or say 'cancel' to start over.");
             return;
           }
@@ -1993,9 +2059,13 @@ class MessageProcessor {
             result: aiResult
           });
           
+          // The transfer state machine has already sent its own replies
+          if (aiResult?.handledByFlow) {
+            return;
+          }
+
           if (aiResult && aiResult.message) {
             // Send the AI response to the user
-            const whatsappService = require('./whatsapp');
             const cleanedMessage = String(aiResult.message).replace(/^["']|["']$/g, '');
             const mirroredMessage = await aiAssistant.mirrorReplyToUserLanguage(messageContent, cleanedMessage);
             
@@ -2005,14 +2075,13 @@ class MessageProcessor {
                 userId: user.id,
                 buttonsCount: aiResult.buttons.length
               });
-              await whatsappService.sendButtonMessage(user.whatsappNumber, mirroredMessage, aiResult.buttons);
+              await messaging.sendButtonMessage(user.whatsappNumber, mirroredMessage, aiResult.buttons);
             } else {
-              await whatsappService.sendTextMessage(user.whatsappNumber, mirroredMessage);
+              await messaging.sendTextMessage(user.whatsappNumber, mirroredMessage);
             }
           } else {
             // Handle AI processing error
-            const whatsappService = require('./whatsapp');
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               "I'm having trouble understanding your transfer request. Please try rephrasing it.");
           }
           return;
@@ -2057,12 +2126,33 @@ class MessageProcessor {
           
         case 'enable_pin':
           return await this.handleEnablePinIntent(user, message, messageType, messageId);
+
+        case 'schedule':
+        case 'list_schedules':
+        case 'cancel_schedule':
+          return await this.handleScheduledPaymentIntent(user, messageContent, intentAnalysis);
+
+        case 'savings_deposit':
+        case 'savings_withdraw':
+        case 'savings_summary':
+          return await this.handleSavingsIntent(user, messageContent, intentAnalysis);
+
+        case 'referrals':
+          return await this.handleReferralIntent(user, messageContent, intentAnalysis);
+
+        case 'group_create':
+        case 'group_pay':
+        case 'group_status':
+          return await this.handleGroupCollectionIntent(user, messageContent, intentAnalysis);
+
+        case 'request_money':
+        case 'payment_requests':
+          return await this.handlePaymentRequestIntent(user, messageContent, intentAnalysis);
           
         default:
           // Handle unknown intent with helpful response
           if (intentAnalysis.intent === 'unknown') {
-            const whatsappService = require('./whatsapp');
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               intentAnalysis.response || "I'm not quite sure what you need yet. I can help with your balance, sending money, airtime, data, bills, or your transactions — just say it in your own words and we'll go from there.");
             return;
           }
@@ -2089,8 +2179,7 @@ class MessageProcessor {
             } else {
               // Clear invalid conversation state and ask user to start over
               await user.updateConversationState(null);
-              const whatsappService = require('./whatsapp');
-              await whatsappService.sendTextMessage(user.whatsappNumber, 
+              await messaging.sendTextMessage(user.whatsappNumber, 
                 "I couldn't find your transfer details. Please try your transfer request again.");
               return;
             }
@@ -2110,12 +2199,11 @@ class MessageProcessor {
           if (!hasSession && user.conversationState?.awaitingInput !== 'login_flow') {
             // Send login flow instead of manual PIN entry
             const config = require('../config');
-            const whatsappService = require('./whatsapp');
             
             await user.updateConversationState({ awaitingInput: 'login_flow', context: 'daily_login' });
             
             // Send the login flow
-            await whatsappService.sendFlowMessage(
+            await messaging.sendFlowMessage(
               user.whatsappNumber,
               {
                 flowId: config.getWhatsappConfig().loginFlowId,
@@ -2157,22 +2245,14 @@ class MessageProcessor {
       });
       
       // Send error message to user (only if we have a valid parsedMessage)
-      // Note: This might fail if WhatsApp service is intercepted (e.g., in mobile app)
-      // So we wrap it in try-catch and ignore failures
       if (parsedMessage && parsedMessage.from) {
         try {
-          const whatsappService = require('./whatsapp');
-          // Check if sendTextMessage exists and is callable
-          if (whatsappService && typeof whatsappService.sendTextMessage === 'function') {
-            await whatsappService.sendTextMessage(parsedMessage.from, 
-              "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.");
-          }
+          await messaging.sendTextMessage(parsedMessage.from, 
+            "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.");
         } catch (sendError) {
-          // Ignore errors sending error message (especially if service is intercepted)
+          // Ignore errors sending the error message itself
           logger.warn('Failed to send error message to user', { 
-            error: sendError?.message || 'Unknown error',
-            errorType: typeof sendError,
-            hasWhatsappService: !!require.cache[require.resolve('./whatsapp')]
+            error: sendError?.message || 'Unknown error'
           });
         }
       }
@@ -2186,11 +2266,11 @@ class MessageProcessor {
       
       // Start typing indicator if messageId is provided
       if (messageId) {
-        await whatsappService.sendTypingIndicator(user.whatsappNumber, messageId, 2000);
+        await messaging.sendTypingIndicator(user.whatsappNumber, messageId, 2000);
       }
       
       // Send welcome flow message with the verified Flow ID
-      await whatsappService.sendWelcomeFlowMessage(user.whatsappNumber, userName, messageId);
+      await messaging.sendFlowMessage(user.whatsappNumber, await whatsappService.buildWelcomeFlow(user.whatsappNumber, userName));
       
       // Update user onboarding step (support plain objects without instance .update)
       if (typeof user?.update === 'function') {
@@ -2245,7 +2325,7 @@ class MessageProcessor {
       };
 
       // Send the Flow message
-      await whatsappService.sendTypingIndicator(user.whatsappNumber, 1500);
+      await messaging.sendTypingIndicator(user.whatsappNumber, 1500);
       await whatsappFlowService.sendFlowMessage(user.whatsappNumber, flowData);
       
       logger.info('Sent login flow to returning user', {
@@ -2269,7 +2349,7 @@ class MessageProcessor {
         { id: 'pay_bills', title: '📱 Pay Bills' }
       ];
       
-      await whatsappService.sendButtonMessage(user.whatsappNumber, personalizedMessage, buttons);
+      await messaging.sendButtonMessage(user.whatsappNumber, personalizedMessage, buttons);
     }
   }
 
@@ -2295,10 +2375,10 @@ class MessageProcessor {
             data: { userId: user.id, phoneNumber: user.whatsappNumber, step: 'personal_details' }
           }
         };
-        await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+        await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       } else {
         // Fallback to welcome flow helper (uses WELCOME_FLOW_ID)
-        await whatsappService.sendWelcomeFlowMessage(user.whatsappNumber, userName, messageId);
+        await messaging.sendFlowMessage(user.whatsappNumber, await whatsappService.buildWelcomeFlow(user.whatsappNumber, userName));
       }
       
       // Update user onboarding step (support plain objects without instance .update)
@@ -2352,7 +2432,7 @@ class MessageProcessor {
         return;
       }
 
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         phoneNumber,
         "I'm experiencing technical difficulties. Please try again in a moment or contact support if the issue persists."
       );
@@ -2398,7 +2478,7 @@ class MessageProcessor {
       return await onboardingService.handleOnboarding(user.whatsappNumber, message, messageType, contactName);
     } catch (error) {
       logger.error('Onboarding flow error', { error: error.message, userId: user.id });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "I'm experiencing technical difficulties. Please try again in a moment."
       );
@@ -2456,8 +2536,8 @@ class MessageProcessor {
       };
 
       // Send the Flow message using the configured Flow ID
-      await whatsappService.sendTypingIndicator(user.whatsappNumber, 2000);
-      await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+      await messaging.sendTypingIndicator(user.whatsappNumber, 2000);
+      await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       
       // Update user onboarding step
       await user.update({ onboardingStep: 'flow_onboarding' });
@@ -2474,7 +2554,7 @@ class MessageProcessor {
       });
       
       // Fallback to traditional onboarding
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "I'll help you set up your account step by step. Let's start with your name."
       );
@@ -2493,7 +2573,7 @@ class MessageProcessor {
         { id: 'contact_support', title: '📞 Contact Support' }
       ];
       
-      await whatsappService.sendButtonMessage(user.whatsappNumber, learnMoreText, learnButtons);
+      await messaging.sendButtonMessage(user.whatsappNumber, learnMoreText, learnButtons);
       
     } catch (error) {
       logger.error('Failed to send learn more message', {
@@ -2515,7 +2595,7 @@ class MessageProcessor {
         { id: 'contact_support', title: '📞 Contact Support' }
       ];
       
-      await whatsappService.sendButtonMessage(user.whatsappNumber, helpText, helpButtons);
+      await messaging.sendButtonMessage(user.whatsappNumber, helpText, helpButtons);
       
     } catch (error) {
       logger.error('Failed to send help message', {
@@ -2616,6 +2696,11 @@ class MessageProcessor {
                 intent: currentState.intent
               });
               
+              const pickedLanguage = i18n.languageFromListId(listId);
+              if (pickedLanguage) {
+                return await this.handleLanguageCommand(user, pickedLanguage);
+              }
+
               // Handle statement date range selection FIRST (before data selection)
               if (isStatementSelection && (awaiting === 'statement_date_range' || currentState.intent === 'statement_request')) {
                 try {
@@ -2645,8 +2730,7 @@ class MessageProcessor {
                       validRanges
                     });
                     
-                    const whatsappService = require('./whatsapp');
-                    await whatsappService.sendTextMessage(user.whatsappNumber,
+                    await messaging.sendTextMessage(user.whatsappNumber,
                       "❌ Invalid selection. Please select a valid date range option from the list.");
                     return;
                   }
@@ -2658,8 +2742,7 @@ class MessageProcessor {
                     stack: stmtErr.stack
                   });
                   
-                  const whatsappService = require('./whatsapp');
-                  await whatsappService.sendTextMessage(user.whatsappNumber,
+                  await messaging.sendTextMessage(user.whatsappNumber,
                     "❌ Failed to process statement request. Please try again later or contact support.");
                   return;
                 }
@@ -2740,10 +2823,11 @@ class MessageProcessor {
         default: {
           const aiAssistant = require('./aiAssistant');
           const fallbackText = await aiAssistant.generateShortReply({
+            user,
             userUtterance: '',
             scenario: 'unsupported_format'
           });
-          await whatsappService.sendTextMessage(user.whatsappNumber, fallbackText);
+          await messaging.sendTextMessage(user.whatsappNumber, fallbackText);
           return;
         }
       }
@@ -2751,10 +2835,11 @@ class MessageProcessor {
       if (!processedText) {
         const aiAssistant = require('./aiAssistant');
         const unclearText = await aiAssistant.generateShortReply({
+          user,
           userUtterance: '',
           scenario: messageType === 'audio' ? 'voice_failed' : 'message_unclear'
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, unclearText);
+        await messaging.sendTextMessage(user.whatsappNumber, unclearText);
         return;
       }
 
@@ -2793,6 +2878,12 @@ class MessageProcessor {
         extractedDataKeys: extractedData ? Object.keys(extractedData) : []
       });
       
+      // "change language" works anywhere, including in the middle of a flow
+      const languageCommand = i18n.parseLanguageCommand(aiInputText);
+      if (languageCommand) {
+        return await this.handleLanguageCommand(user, languageCommand.language, aiInputText);
+      }
+
       // If user is mid-conversation (e.g., data purchase), route to conversation handler first
       if (user.conversationState && user.conversationState.awaitingInput) {
         try {
@@ -2851,7 +2942,7 @@ class MessageProcessor {
           } else {
             // Clear invalid conversation state and ask user to start over
             await user.updateConversationState(null);
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               "I couldn't find your transfer details. Please try your transfer request again.");
             return;
           }
@@ -2907,23 +2998,46 @@ class MessageProcessor {
           case 'menu':
             return await this.handleMenuIntent(user, { text: aiInputText, normalizedText: processedText }, messageType);
             
+          case 'schedule':
+          case 'list_schedules':
+          case 'cancel_schedule':
+            return await this.handleScheduledPaymentIntent(user, aiInputText, aiAnalysis);
+
+          case 'savings_deposit':
+          case 'savings_withdraw':
+          case 'savings_summary':
+            return await this.handleSavingsIntent(user, aiInputText, aiAnalysis);
+
+          case 'referrals':
+            return await this.handleReferralIntent(user, aiInputText, aiAnalysis);
+
+          case 'group_create':
+          case 'group_pay':
+          case 'group_status':
+            return await this.handleGroupCollectionIntent(user, aiInputText, aiAnalysis);
+
+          case 'request_money':
+          case 'payment_requests':
+            return await this.handlePaymentRequestIntent(user, aiInputText, aiAnalysis);
+
           case 'beneficiaries': {
             const beneficiariesResult = await aiAssistant.handleBeneficiariesList(user);
             const benText = await aiAssistant.mirrorReplyToUserLanguage(
               aiInputText,
               beneficiariesResult.message
             );
-            await whatsappService.sendTextMessage(user.whatsappNumber, benText);
+            await messaging.sendTextMessage(user.whatsappNumber, benText);
             break;
           }
             
           case 'greeting': {
             const greetingMessage = await aiAssistantService.generateShortReply({
+              user,
               userUtterance: aiInputText,
               scenario: 'greeting_reply',
               facts: { firstName: user.firstName || '' }
             });
-            await whatsappService.sendTextMessage(user.whatsappNumber, greetingMessage);
+            await messaging.sendTextMessage(user.whatsappNumber, greetingMessage);
             break;
           }
             
@@ -2943,7 +3057,7 @@ class MessageProcessor {
           } else {
             // Clear invalid conversation state and ask user to start over
             await user.updateConversationState(null);
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               "I couldn't find your transfer details. Please try your transfer request again.");
             return;
           }
@@ -2962,12 +3076,13 @@ class MessageProcessor {
       try {
         const aiAssistant = require('./aiAssistant');
         const errReply = await aiAssistant.generateShortReply({
+          user,
           userUtterance: '',
           scenario: 'processing_error'
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, errReply);
+        await messaging.sendTextMessage(user.whatsappNumber, errReply);
       } catch (_) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           'Something went wrong. Abeg try again.'
         );
@@ -3049,7 +3164,6 @@ class MessageProcessor {
             transferSession = await redisClient.getSession(`flow:${flowToken}`);
           }
           if (transferSession && (transferSession.context === 'transfer_pin_verification' || transferSession.transferData)) {
-            const whatsappService = require('./whatsapp');
             const bankTransferService = require('./bankTransfer');
 
             const sessionTransfer = transferSession.transferData || {};
@@ -3058,7 +3172,7 @@ class MessageProcessor {
               bankCode: sessionTransfer.bankCode || data.bank_code || data.bankCode,
               amount: parseFloat(sessionTransfer.amount || data.transfer_amount || data.amount),
               narration: sessionTransfer.narration || 'Wallet transfer',
-              reference: transferSession.reference || sessionTransfer.reference || `TXN${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+              reference: transferSession.reference || sessionTransfer.reference
             };
 
             if (!transferData.accountNumber || !transferData.bankCode || !transferData.amount) {
@@ -3067,14 +3181,14 @@ class MessageProcessor {
                 hasSession: !!transferSession,
                 hasTransferData: !!transferSession.transferData
               });
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start the transfer again.');
+              await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer details not found. Please start the transfer again.');
               await sessionManager.deleteSession('transfer', flowToken, 'flow');
               await redisClient.deleteSession(flowToken);
               return;
             }
 
             try {
-              const result = await bankTransferService.processBankTransfer(user.id, transferData, data.pin);
+              const result = await bankTransferService.processBankTransfer(user.id, transferData, data.pin, await conversationTransferOptions(user, transferData, { flowToken }));
               if (result.success) {
                 // Wait a bit to ensure save beneficiary prompt (if set) is persisted to database
                 await new Promise(resolve => setTimeout(resolve, 500));
@@ -3090,11 +3204,13 @@ class MessageProcessor {
                   intent: user.conversationState?.intent
                 });
               } else {
-                await whatsappService.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Unknown error'}`);
+                await messaging.sendTextMessage(user.whatsappNumber, `❌ Transfer failed: ${result.message || 'Unknown error'}`);
               }
             } catch (err) {
               logger.error('Transfer processing failed from Flow PIN', { error: err.message, userId: user.id });
-              await whatsappService.sendTextMessage(user.whatsappNumber, '❌ Transfer failed. Please try again.');
+              if (err.name !== 'RiskError') {
+                await messaging.sendTextMessage(user.whatsappNumber, '❌ Transfer failed. Please try again.');
+              }
             } finally {
               try { 
                 await sessionManager.deleteSession('transfer', flowToken, 'flow');
@@ -3196,7 +3312,7 @@ class MessageProcessor {
               
               // Send success message
               const successMessage = `✅ Data purchase completed successfully!\n\n📱 Network: ${session.network}\n📞 Phone: ${session.phoneNumber}\n📦 Plan: ${session.dataPlan}\n\nYour data will be activated shortly.`;
-              await whatsappService.sendTextMessage(user.whatsappNumber, successMessage);
+              await messaging.sendTextMessage(user.whatsappNumber, successMessage);
             } else {
               logger.error('Data purchase flow processing failed', {
                 userId: user.id,
@@ -3207,7 +3323,7 @@ class MessageProcessor {
               
               // Send error message
               const errorMessage = `❌ Data purchase failed. Please try again or contact support.`;
-              await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+              await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
             }
             
             return result;
@@ -3458,7 +3574,7 @@ class MessageProcessor {
               };
             } else {
               // Invalid bank details, but still process the caption
-              await whatsappService.sendTextMessage(
+              await messaging.sendTextMessage(
                 user.whatsappNumber,
                 `❌ *Couldn't extract valid bank details from image*\n\n` +
                 `Issues found:\n${validation.errors.map(error => `• ${error}`).join('\n')}\n\n` +
@@ -3473,7 +3589,7 @@ class MessageProcessor {
             }
           } else {
             // Failed to extract bank details, but still process the caption
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               `❌ *Couldn't extract bank details from image*\n\n` +
               `But I'll process your message: "${caption}"\n\n` +
@@ -3491,7 +3607,7 @@ class MessageProcessor {
             mediaId 
           });
           
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `❌ *Image processing failed*\n\n` +
             `But I'll process your message: "${caption}"\n\n` +
@@ -3527,7 +3643,7 @@ class MessageProcessor {
 
             // Inform user about extracted text
             if (ocrResult.text.length > 10) {
-              await whatsappService.sendTextMessage(
+              await messaging.sendTextMessage(
                 user.whatsappNumber,
                 `📷 I can see text in your image:\n"${ocrResult.text.substring(0, 200)}${ocrResult.text.length > 200 ? '...' : ''}"\n\nProcessing your request...`
               );
@@ -3539,7 +3655,7 @@ class MessageProcessor {
 
         // If no text extracted and no caption, ask for clarification
         if (!processedText) {
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             "I can see your image, but I need more information. Please tell me what you'd like me to help you with."
           );
@@ -3550,7 +3666,7 @@ class MessageProcessor {
       return { text: processedText, data: extractedData };
     } catch (error) {
       logger.error('Image message processing failed', { error: error.message, mediaId });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "I couldn't process your image. Please try sending it again or describe what you need as text."
       );
@@ -3563,7 +3679,7 @@ class MessageProcessor {
       logger.info('Processing document message', { mediaId, filename, userId: user.id });
       
       // For now, we'll just acknowledge the document and ask for text
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `📄 I received your document "${filename}". Please tell me how I can help you with it, or send the information as text for faster processing.`
       );
@@ -3696,7 +3812,7 @@ class MessageProcessor {
   async sendTransactionReceipt(user, transactionDetails) {
     try {
       const receipt = this.formatTransactionReceipt(transactionDetails);
-      await whatsappService.sendTextMessage(user.whatsappNumber, receipt);
+      await messaging.sendTextMessage(user.whatsappNumber, receipt);
       
       // Log receipt sent
       await activityLogger.logUserActivity(
@@ -3753,7 +3869,7 @@ class MessageProcessor {
   }
 
   async requestPinVerification(user, result) {
-    await whatsappService.sendTextMessage(
+    await messaging.sendTextMessage(
       user.whatsappNumber,
       "🔐 Please enter your 4-digit PIN to authorize this transaction.\n\nYour PIN is secure and will not be stored in chat history."
     );
@@ -3775,10 +3891,10 @@ class MessageProcessor {
                            `💳 Account: ${summary.virtualAccount.number}\n` +
                            `🏦 Bank: ${summary.virtualAccount.bank}`;
 
-      await whatsappService.sendTextMessage(user.whatsappNumber, balanceMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, balanceMessage);
     } catch (error) {
       logger.error('Failed to send balance info', { error: error.message, userId: user.id });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "I couldn't retrieve your balance at the moment. Please try again later."
       );
@@ -3786,28 +3902,9 @@ class MessageProcessor {
   }
 
   async sendHelpMenu(user) {
-    const helpMessage = `🤖 *MiiMii Help*\n\n` +
-                       `💰 *Money Transfer*\n` +
-                       `• "Send 5000 to John 08123456789"\n` +
-                       `• "Transfer 2000 to GTB 0123456789"\n\n` +
-                       `📱 *Airtime & Data*\n` +
-                       `• "Buy 1000 airtime for 08123456789"\n` +
-                       `• "Buy 1GB data for 08123456789"\n\n` +
-                       `⚡ *Bill Payments*\n` +
-                       `• "Pay 5000 electricity EKEDC 12345"\n` +
-                       `• "Pay 3000 cable DStv 123456789"\n\n` +
-                       `📊 *Account*\n` +
-                       `• "Check balance"\n` +
-                       `• "Show transactions"\n` +
-                       `• "Account details"\n\n` +
-                       `💡 *Tips*\n` +
-                       `• Send voice notes - I understand speech!\n` +
-                       `• Send images of bills - I can read them!\n` +
-                       `• Send photos of bank details for transfers!\n` +
-                       `• Just type naturally - I'm smart! 😊\n\n` +
-                       `Need help? Type "support" 💬`;
-
-    await whatsappService.sendTextMessage(user.whatsappNumber, helpMessage);
+    const helpMessage = i18n.t(i18n.languageOf(user), 'help.menu');
+
+    await messaging.sendTextMessage(user.whatsappNumber, helpMessage);
   }
 
   /**
@@ -3821,8 +3918,7 @@ class MessageProcessor {
       // User is already completed, send AI-generated personalized welcome back message
       const aiAssistant = require('./aiAssistant');
       const personalizedMessage = await aiAssistant.generatePersonalizedWelcome(userName, user.whatsappNumber);
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, personalizedMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, personalizedMessage);
     }
   }
 
@@ -3834,10 +3930,11 @@ class MessageProcessor {
 
     if (user.onboardingStep !== 'completed') {
       const setupReply = await aiAssistantService.generateShortReply({
+        user,
         userUtterance,
         scenario: 'balance_need_onboarding'
       });
-      await whatsappService.sendTextMessage(user.whatsappNumber, setupReply);
+      await messaging.sendTextMessage(user.whatsappNumber, setupReply);
 
       try {
         const onboardingService = require('./onboarding');
@@ -3846,10 +3943,11 @@ class MessageProcessor {
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
         const errReply = await aiAssistantService.generateShortReply({
+          user,
           userUtterance,
           scenario: 'onboarding_start_failed'
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, errReply);
+        await messaging.sendTextMessage(user.whatsappNumber, errReply);
       }
       return;
     }
@@ -3861,10 +3959,11 @@ class MessageProcessor {
       const wallet = await walletService.getUserWallet(user.id);
       if (!wallet) {
         const missingReply = await aiAssistantService.generateShortReply({
+          user,
           userUtterance,
           scenario: 'balance_wallet_missing'
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, missingReply);
+        await messaging.sendTextMessage(user.whatsappNumber, missingReply);
         return;
       }
 
@@ -3875,6 +3974,7 @@ class MessageProcessor {
       const amount = (n) =>
         `₦${Number(n).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
       const balanceReply = await aiAssistantService.generateShortReply({
+        user,
         userUtterance,
         scenario: 'balance_success',
         facts: {
@@ -3884,21 +3984,21 @@ class MessageProcessor {
           includePending: pendingBalance > 0
         }
       });
-      await whatsappService.sendButtonMessage(user.whatsappNumber, balanceReply, [
+      await messaging.sendButtonMessage(user.whatsappNumber, balanceReply, [
         { id: 'fund_wallet', title: 'Fund Wallet' }
       ]);
     } catch (error) {
       logger.error('Failed to get balance', { error: error.message, userId: user.id });
       const errorReply = await aiAssistantService.generateShortReply({
+        user,
         userUtterance,
         scenario: 'balance_fetch_error'
       });
-      await whatsappService.sendTextMessage(user.whatsappNumber, errorReply);
+      await messaging.sendTextMessage(user.whatsappNumber, errorReply);
     }
   }
 
   async sendNaturalResponse(user, baseMessage, context = {}) {
-    const whatsappService = require('./whatsapp');
     try {
       const aiAssistant = require('./aiAssistant');
       const naturalMessage = await aiAssistant.makeResponseNatural(baseMessage, {
@@ -3906,13 +4006,13 @@ class MessageProcessor {
         userUtterance: context.userUtterance ?? context.originalMessage,
         preserveFacts: true
       });
-      await whatsappService.sendTextMessage(user.whatsappNumber, naturalMessage || baseMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, naturalMessage || baseMessage);
     } catch (err) {
       logger.warn('Natural response generation failed; using base message', {
         userId: user.id,
         error: err.message
       });
-      await whatsappService.sendTextMessage(user.whatsappNumber, baseMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, baseMessage);
     }
   }
 
@@ -3921,8 +4021,7 @@ class MessageProcessor {
    */
   async handleTransferIntent(user, message, messageType, extractedData = null) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "Hey! 👋 I'd love to help you with transfers, but we need to complete your account setup first. Let me help you with that now!");
       
       // Start onboarding flow immediately
@@ -3932,13 +4031,12 @@ class MessageProcessor {
         logger.info('Started onboarding flow for transfer intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
     }
 
-    const whatsappService = require('./whatsapp');
     const bankTransferService = require('./bankTransfer');
 
     let aiAnalysis;
@@ -3983,6 +4081,17 @@ class MessageProcessor {
       extractedData: aiAnalysis.extractedData || {}
     });
 
+    // Bank transfers run in the transfer state machine; transfers to a phone number continue below
+    const transferDetails = aiAnalysis.extractedData || {};
+    if (
+      (aiAnalysis.intent === 'transfer' || aiAnalysis.intent === 'bank_transfer') &&
+      aiAnalysis.confidence > 0.7 &&
+      (transferDetails.accountNumber || !transferDetails.phoneNumber)
+    ) {
+      await transferFlow.start(user, transferDetails);
+      return;
+    }
+
     // If AI detected transfer intent with high confidence, use AI processing
     if ((aiAnalysis.intent === 'transfer' || aiAnalysis.intent === 'bank_transfer') && aiAnalysis.confidence > 0.7) {
       try {
@@ -3991,10 +4100,11 @@ class MessageProcessor {
         
         if (!amount) {
           const shortText = await aiAssistantService.generateShortReply({
+            user,
             userUtterance: message?.text || '',
             scenario: 'transfer_need_amount'
           });
-          await whatsappService.sendTextMessage(user.whatsappNumber, shortText);
+          await messaging.sendTextMessage(user.whatsappNumber, shortText);
           return;
         }
 
@@ -4002,7 +4112,7 @@ class MessageProcessor {
         
         // Validate amount
         if (transferAmount < 100) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "The minimum transfer amount is ₦100. Please specify a higher amount.");
           return;
         }
@@ -4024,7 +4134,7 @@ class MessageProcessor {
             accountNumber: accountNumber
           });
           
-          await whatsappService.sendTextMessage(user.whatsappNumber, confirmationMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, confirmationMessage);
           
           // Store transfer data in conversation state for PIN verification
           await user.updateConversationState({
@@ -4058,7 +4168,7 @@ class MessageProcessor {
         const walletService = require('./wallet');
         const wallet = await walletService.getUserWallet(user.id);
         if (!wallet) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "❌ Wallet not found. Please contact support.");
           return;
         }
@@ -4070,7 +4180,7 @@ class MessageProcessor {
         // Check if user has sufficient balance
         if (walletBalance < totalAmount) {
           const shortfall = totalAmount - walletBalance;
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             `You need ₦${totalAmount.toLocaleString()} for this transfer but your wallet only has ₦${walletBalance.toLocaleString()}, so you're short by ₦${shortfall.toLocaleString()}. Top up with at least that much and try again when you're ready.`);
           return;
         }
@@ -4205,14 +4315,14 @@ class MessageProcessor {
               resolvedBankCodeType: typeof resolvedBankCode,
               resolvedBankCodeLength: resolvedBankCode?.length
             });
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               `I couldn't identify the bank "${bankName}". Please use a valid bank name like GTBank, Access, UBA, Zenith, Keystone, etc.`);
             return;
           }
 
           // Use AI-generated conversational response if available
           if (aiAnalysis.response) {
-            await whatsappService.sendTextMessage(user.whatsappNumber, aiAnalysis.response);
+            await messaging.sendTextMessage(user.whatsappNumber, aiAnalysis.response);
             
             // Store conversation state for PIN verification
             await user.updateConversationState({
@@ -4238,7 +4348,7 @@ class MessageProcessor {
           const validation = await bankTransferService.validateBankAccount(accountNumber, resolvedBankCode);
           
           if (!validation.valid) {
-            await whatsappService.sendTextMessage(user.whatsappNumber, 
+            await messaging.sendTextMessage(user.whatsappNumber, 
               "❌ I couldn't validate those account details. Please double-check the account number and bank name, then try again.");
             return;
           }
@@ -4264,7 +4374,7 @@ class MessageProcessor {
 
           const confirmMsg =
             `You're about to send ₦${transferAmount.toLocaleString()} (fee ₦${feeInfo.totalFee.toLocaleString()}, total ₦${feeInfo.totalAmount.toLocaleString()}) to ${validation.accountName} at ${validation.bank} (${validation.accountNumber}). Confirm to continue.`;
-          await whatsappService.sendButtonMessage(user.whatsappNumber, confirmMsg, [
+          await messaging.sendButtonMessage(user.whatsappNumber, confirmMsg, [
             { id: 'confirm_transfer_yes', title: '✅ Yes' },
             { id: 'confirm_transfer_no', title: '❌ No' }
           ]);
@@ -4282,15 +4392,16 @@ class MessageProcessor {
             `Please send the complete transfer request like this:\n` +
             `*Send ${transferAmount} to 1234567890 GTBank ${recipientName || phoneNumber}*`;
           
-          await whatsappService.sendTextMessage(user.whatsappNumber, guidanceMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, guidanceMessage);
           return;
         } else {
           // Not enough information for either type
           const shortText = await aiAssistantService.generateShortReply({
+            user,
             userUtterance: message?.text || '',
             scenario: 'transfer_need_details'
           });
-          await whatsappService.sendTextMessage(user.whatsappNumber, shortText);
+          await messaging.sendTextMessage(user.whatsappNumber, shortText);
           return;
         }
 
@@ -4303,16 +4414,17 @@ class MessageProcessor {
         
         // Check if it's a balance error and provide helpful message
         if (error.message.includes('Insufficient')) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, error.message);
+          await messaging.sendTextMessage(user.whatsappNumber, error.message);
           return;
         }
         
         // Fallback to manual processing
         const shortText = await aiAssistantService.generateShortReply({
+          user,
           userUtterance: message?.text || '',
           scenario: 'transfer_processing_error'
         });
-        await whatsappService.sendTextMessage(user.whatsappNumber, shortText);
+        await messaging.sendTextMessage(user.whatsappNumber, shortText);
         return;
       }
     }
@@ -4372,7 +4484,7 @@ class MessageProcessor {
         const walletService = require('./wallet');
         const wallet = await walletService.getUserWallet(user.id);
         if (!wallet) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "❌ Wallet not found. Please contact support.");
           return;
         }
@@ -4384,7 +4496,7 @@ class MessageProcessor {
         // Check if user has sufficient balance
         if (walletBalance < totalAmount) {
           const shortfall = totalAmount - walletBalance;
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             `You need ₦${totalAmount.toLocaleString()} for this transfer but your wallet only has ₦${walletBalance.toLocaleString()}, so you're short by ₦${shortfall.toLocaleString()}. Top up with at least that much and try again when you're ready.`);
           return;
         }
@@ -4392,7 +4504,7 @@ class MessageProcessor {
         const validation = await bankTransferService.validateBankAccount(accountNumber, bankCode);
         
         if (!validation.valid) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "❌ I couldn't validate those account details. Please double-check the account number and bank name.");
           return;
         }
@@ -4417,7 +4529,7 @@ class MessageProcessor {
 
         const confirmMsg =
           `You're about to send ₦${amount.toLocaleString()} (fee ₦${feeInfo.totalFee.toLocaleString()}, total ₦${feeInfo.totalAmount.toLocaleString()}) to ${validation.accountName} at ${validation.bank} (${validation.accountNumber}). Confirm to continue.`;
-        await whatsappService.sendButtonMessage(user.whatsappNumber, confirmMsg, [
+        await messaging.sendButtonMessage(user.whatsappNumber, confirmMsg, [
           { id: 'confirm_transfer_yes', title: '✅ Yes' },
           { id: 'confirm_transfer_no', title: '❌ No' }
         ]);
@@ -4426,11 +4538,11 @@ class MessageProcessor {
       } catch (err) {
         // Check if it's a balance error and provide helpful message
         if (err.message.includes('Insufficient')) {
-          await whatsappService.sendTextMessage(user.whatsappNumber, err.message);
+          await messaging.sendTextMessage(user.whatsappNumber, err.message);
           return;
         }
         
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           `❌ ${err.message}. Please recheck the details or try a different bank.`);
         return;
       }
@@ -4438,22 +4550,22 @@ class MessageProcessor {
 
     // If we couldn't parse the transfer details, ask for them
     const shortText = await aiAssistantService.generateShortReply({
+      user,
       userUtterance: message?.text || '',
       scenario: 'transfer_need_details'
     });
-    await whatsappService.sendTextMessage(user.whatsappNumber, shortText);
+    await messaging.sendTextMessage(user.whatsappNumber, shortText);
   }
 
   // Handle PIN verification for transfers
   async handlePinVerification(user, message, messageType) {
-    const whatsappService = require('./whatsapp');
     const bankTransferService = require('./bankTransfer');
     
     try {
       const pin = message?.text?.trim();
       
       if (!pin || pin.length !== 4 || !/^\d{4}$/.test(pin)) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "Please enter a valid 4-digit PIN to authorize your transfer. 🔐");
         return;
       }
@@ -4461,7 +4573,7 @@ class MessageProcessor {
       // Get stored transfer data
       const transferData = user.conversationState?.data;
       if (!transferData) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I couldn't find your transfer details. Please try your transfer request again.");
         
         // Clear any invalid conversation state
@@ -4474,7 +4586,7 @@ class MessageProcessor {
       const isP2PTransfer = transferData.phoneNumber;
       
       if (!transferData.amount || (!isBankTransfer && !isP2PTransfer)) {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "Transfer details are incomplete. Please try your transfer request again.");
         
         // Clear invalid conversation state
@@ -4483,7 +4595,7 @@ class MessageProcessor {
       }
 
       // Show processing message
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "🔐 Verifying your PIN and processing transfer... Please wait a moment.");
 
       // Process the transfer based on type
@@ -4497,7 +4609,7 @@ class MessageProcessor {
           narration: transferData.narration || 'Wallet transfer',
           reference: transferData.reference
         };
-        result = await bankTransferService.processBankTransfer(user.id, bankTransferData, pin);
+        result = await bankTransferService.processBankTransfer(user.id, bankTransferData, pin, await conversationTransferOptions(user, bankTransferData));
       } else {
         // P2P transfer - treat as bank transfer to the recipient's bank account
         // For P2P transfers, we need to determine the recipient's bank
@@ -4513,10 +4625,10 @@ class MessageProcessor {
             narration: transferData.narration || 'P2P transfer',
             reference: transferData.reference
           };
-          result = await bankTransferService.processBankTransfer(user.id, bankTransferData, pin);
+          result = await bankTransferService.processBankTransfer(user.id, bankTransferData, pin, await conversationTransferOptions(user, bankTransferData));
         } else {
           // For P2P transfers without bank details, we need to ask user for bank information
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "For P2P transfers, I need the recipient's bank details. Please provide:\n\n" +
             "• Account number (10 digits)\n" +
             "• Bank name\n\n" +
@@ -4548,7 +4660,7 @@ class MessageProcessor {
           reference: result.transaction.reference
         });
       } else {
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           `❌ Transfer failed: ${result.message}. Please try again or contact support if the issue persists.`);
       }
 
@@ -4581,7 +4693,10 @@ class MessageProcessor {
         errorMessage = error.message; // Use the user-friendly message from bankTransfer service
       }
       
-      await whatsappService.sendTextMessage(user.whatsappNumber, errorMessage);
+      // Risk step-ups and holds have already been explained to the user
+      if (error.name !== 'RiskError') {
+        await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
+      }
       
       // Clear conversation state on error
       await user.updateConversationState(null);
@@ -4606,8 +4721,7 @@ class MessageProcessor {
    */
   async handleAirtimeIntent(user, message, messageType) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to help you buy airtime! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -4617,7 +4731,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for airtime intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -4642,8 +4756,7 @@ class MessageProcessor {
     } catch (error) {
       logger.error('Airtime purchase failed', { error: error.message, userId: user.id });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Airtime purchase failed!\n\nReason: " + error.message + "\n\nPlease try again or contact support.");
     }
   }
@@ -4653,8 +4766,7 @@ class MessageProcessor {
    */
   async handleDataIntent(user, message, messageType) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to help you buy data! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -4664,7 +4776,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for data intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -4681,7 +4793,6 @@ class MessageProcessor {
 
     // Start regular conversation flow for data purchase
     try {
-      const whatsappService = require('./whatsapp');
       const redisClient = require('../utils/redis');
       
       // Create a tracked session for the data purchase
@@ -4722,7 +4833,7 @@ class MessageProcessor {
         message.text || '',
         'Which network would you like to buy data for?'
       );
-      await whatsappService.sendListMessage(user.whatsappNumber, prompt, 'Select Network', sections);
+      await messaging.sendListMessage(user.whatsappNumber, prompt, 'Select Network', sections);
 
       logger.info('Started regular data purchase conversation', {
         userId: user.id,
@@ -4732,8 +4843,7 @@ class MessageProcessor {
     } catch (error) {
       logger.error('Failed to start regular data purchase conversation', { error: error.message, userId: user.id });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         '❌ Unable to start data purchase right now. Please try again later.'
       );
@@ -4745,8 +4855,7 @@ class MessageProcessor {
    */
   async handleBillsIntent(user, message, messageType) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to help you pay bills! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -4756,7 +4865,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for bills intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -4777,18 +4886,16 @@ class MessageProcessor {
       const result = await aiAssistant.handleBillPayment(user, extractedData, { intent: 'bills' });
       
       if (result && result.message) {
-        const whatsappService = require('./whatsapp');
         const billText = await aiAssistantService.mirrorReplyToUserLanguage(
           message.text || '',
           result.message
         );
-        await whatsappService.sendTextMessage(user.whatsappNumber, billText);
+        await messaging.sendTextMessage(user.whatsappNumber, billText);
       }
     } catch (error) {
       logger.error('Bill payment failed', { error: error.message, userId: user.id });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Bill payment failed!\n\nReason: " + error.message + "\n\nPlease try again or contact support.");
     }
   }
@@ -4799,11 +4906,31 @@ class MessageProcessor {
   async handleHelpIntent(user, message, messageType) {
     const userUtterance = message?.text || message?.originalText || '';
     const helpMessage = await aiAssistantService.generateShortReply({
+      user,
       userUtterance,
       scenario: 'help_overview'
     });
-    const whatsappService = require('./whatsapp');
-    await whatsappService.sendTextMessage(user.whatsappNumber, helpMessage);
+    await messaging.sendTextMessage(user.whatsappNumber, helpMessage);
+  }
+
+  /**
+   * Save the language the user named, or send the language picker when they
+   * did not name a supported one. Replies from the catalogue follow it.
+   */
+  async handleLanguageCommand(user, language, userUtterance = '') {
+    if (!language) {
+      const current = i18n.languageOf(user, userUtterance);
+      await messaging.sendListMessage(
+        user.whatsappNumber,
+        i18n.t(current, 'language.prompt'),
+        i18n.t(current, 'language.button'),
+        i18n.languageSections(current)
+      );
+      return;
+    }
+
+    await i18n.setUserLanguage(user, language);
+    await messaging.sendTextMessage(user.whatsappNumber, i18n.t(language, 'language.changed'));
   }
 
   /**
@@ -4812,11 +4939,11 @@ class MessageProcessor {
   async handleMenuIntent(user, message, messageType) {
     const userUtterance = message?.text || message?.originalText || '';
     const menuMessage = await aiAssistantService.generateShortReply({
+      user,
       userUtterance,
       scenario: 'menu_overview'
     });
-    const whatsappService = require('./whatsapp');
-    await whatsappService.sendTextMessage(user.whatsappNumber, menuMessage);
+    await messaging.sendTextMessage(user.whatsappNumber, menuMessage);
   }
 
   /**
@@ -4824,8 +4951,7 @@ class MessageProcessor {
    */
   async handleAccountDetailsIntent(user, message, messageType) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to show you your account details! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -4835,7 +4961,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for wallet details intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -4852,17 +4978,14 @@ class MessageProcessor {
           `Your balance right now is ₦${parseFloat(walletDetails.wallet.balance).toLocaleString()}, and this chat is linked to ${user.whatsappNumber}. ` +
           `For transfers, your limits are ₦${walletDetails.limits.daily.toLocaleString()} per day, ₦${walletDetails.limits.monthly.toLocaleString()} per month, and up to ₦${walletDetails.limits.single.toLocaleString()} on a single transaction.`;
         
-        const whatsappService = require('./whatsapp');
-        await whatsappService.sendTextMessage(user.whatsappNumber, accountMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, accountMessage);
       } else {
-        const whatsappService = require('./whatsapp');
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "Account details not available. Please contact support.");
       }
     } catch (error) {
       logger.error('Failed to get account details', { error: error.message, userId: user.id });
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Unable to retrieve account details right now. Please try again later.");
     }
   }
@@ -4872,8 +4995,7 @@ class MessageProcessor {
    */
   async handleTransactionHistoryIntent(user, message, messageType, messageId) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to show you your transaction history! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -4883,7 +5005,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for transaction history intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -4902,8 +5024,7 @@ class MessageProcessor {
         userId: user.id
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "❌ Unable to retrieve transaction history right now. Please try again later.");
     }
   }
@@ -4925,8 +5046,7 @@ class MessageProcessor {
       case 'document':
         return await this.handleCompletedUserMessage(user, message, 'document');
       default:
-        const whatsappService = require('./whatsapp');
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm sorry, I don't understand that type of message. Please send a text message.");
     }
   }
@@ -4951,7 +5071,6 @@ class MessageProcessor {
    * Handle interactive messages (buttons, lists, etc.)
    */
   async handleInteractiveMessage(user, userName, message) {
-    const whatsappService = require('./whatsapp');
     
     // Handle button replies
     if (message?.buttonReply) {
@@ -4963,18 +5082,18 @@ class MessageProcessor {
           break;
         case 'learn_more':
           const learnMessage = `I'm MiiMii, your personal finance assistant on WhatsApp. I help you send money, check your balance, and see what you've spent; buy airtime and data for any network; pay electricity, TV, water, and other bills; and everything stays protected with your PIN. Ready when you are — say what you'd like to do first.`;
-          await whatsappService.sendTextMessage(user.whatsappNumber, learnMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, learnMessage);
           break;
         case 'get_help':
           await this.handleHelpIntent(user, message, 'interactive');
           break;
         default:
-          await whatsappService.sendTextMessage(user.whatsappNumber, 
+          await messaging.sendTextMessage(user.whatsappNumber, 
             "I'm sorry, I don't understand that option. Please try again or say 'help' for assistance.");
       }
     } else {
       // Handle other interactive message types
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I received your interactive message. Please send a text message or use the menu options.");
     }
   }
@@ -4985,7 +5104,6 @@ class MessageProcessor {
    */
   async redirectToOnboarding(user, onboardingStatus) {
     try {
-      const whatsappService = require('./whatsapp');
       const onboardingService = require('./onboarding');
       
       // Clear any existing conversation state
@@ -5042,8 +5160,7 @@ class MessageProcessor {
       });
       
       // Fallback message
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `👋 Hi! Let's get your MiiMii account set up. Please type "start" to begin the setup process.`
       );
@@ -5055,7 +5172,6 @@ class MessageProcessor {
    */
   async startOnboardingFlow(user) {
     try {
-      const whatsappService = require('./whatsapp');
       const config = require('../config');
       
       // Determine the appropriate starting point based on user's current status
@@ -5085,7 +5201,7 @@ class MessageProcessor {
       const flowId = config.getWhatsappConfig().onboardingFlowId;
       if (!flowId || flowId === 'SET_THIS_IN_DO_UI' || flowId === 'miimii_onboarding_flow' || flowId === 'DISABLED_FOR_LOCAL_DEV') {
         // Fallback to text message if flow is not configured
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `Let's get your MiiMii account fully set up so you can start using our services!\n\nI'll guide you through the process step by step.`
         );
@@ -5119,7 +5235,7 @@ class MessageProcessor {
           }
         };
         
-        await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+        await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       }
       
       // Update user step
@@ -5132,8 +5248,7 @@ class MessageProcessor {
       });
       
       // Fallback to simple text-based onboarding
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `Let's get started! Please provide your full name (First Name Last Name).`
       );
@@ -5142,7 +5257,6 @@ class MessageProcessor {
 
   async handlePinDisableEnableConfirmation(user, message, messageType) {
     try {
-      const whatsappService = require('./whatsapp');
       const userService = require('./user');
       
       // Extract PIN from message
@@ -5150,7 +5264,7 @@ class MessageProcessor {
       
       // Validate PIN format
       if (!/^\d{4}$/.test(pin)) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           '❌ Please enter your 4-digit PIN (numbers only).'
         );
@@ -5168,7 +5282,7 @@ class MessageProcessor {
           await user.clearConversationState();
           
           // Send success message
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `✅ ${result.message}\n\n🔓 All future transactions will be processed without PIN verification.`
           );
@@ -5179,12 +5293,12 @@ class MessageProcessor {
           logger.error('Failed to disable PIN', { error: error.message, userId: user.id });
           
           if (error.message.includes('Invalid PIN')) {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               '❌ Invalid PIN provided. Please try again or type "cancel" to cancel the operation.'
             );
           } else {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               '❌ Failed to disable PIN. Please try again later.'
             );
@@ -5200,7 +5314,7 @@ class MessageProcessor {
           await user.clearConversationState();
           
           // Send success message
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `✅ ${result.message}\n\n🔒 All future transactions will require PIN verification for security.`
           );
@@ -5211,12 +5325,12 @@ class MessageProcessor {
           logger.error('Failed to enable PIN', { error: error.message, userId: user.id });
           
           if (error.message.includes('Invalid PIN')) {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               '❌ Invalid PIN provided. Please try again or type "cancel" to cancel the operation.'
             );
           } else {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               user.whatsappNumber,
               '❌ Failed to enable PIN. Please try again later.'
             );
@@ -5225,7 +5339,7 @@ class MessageProcessor {
       } else {
         // Invalid conversation state
         await user.clearConversationState();
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           '❌ Invalid operation. Please try again.'
         );
@@ -5237,8 +5351,7 @@ class MessageProcessor {
         userId: user.id 
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         '❌ An error occurred. Please try again later.'
       );
@@ -5247,7 +5360,6 @@ class MessageProcessor {
 
   async handleBankDetailsInput(user, message, messageType) {
     try {
-      const whatsappService = require('./whatsapp');
       const bankTransferService = require('./bankTransfer');
       const aiAssistantService = require('./aiAssistant');
       
@@ -5257,7 +5369,7 @@ class MessageProcessor {
       const bankDetails = await aiAssistantService.parseBankDetails(messageContent);
       
       if (!bankDetails.valid) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ ${bankDetails.message}\n\nPlease provide bank details in this format:\n• Account number (10 digits)\n• Bank name\n\nExample: *1234567890 GTBank*`
         );
@@ -5277,7 +5389,7 @@ class MessageProcessor {
       };
 
       // Show processing message
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "🔓 Processing transfer (PIN disabled)... Please wait a moment."
       );
@@ -5298,7 +5410,7 @@ class MessageProcessor {
         // Clear conversation state on error
         await user.clearConversationState();
         
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ Transfer failed: ${result.message || 'Please try again later.'}`
         );
@@ -5310,9 +5422,8 @@ class MessageProcessor {
         userId: user.id 
       });
       
-      const whatsappService = require('./whatsapp');
       await user.clearConversationState();
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         '❌ An error occurred processing your transfer. Please try again later.'
       );
@@ -5324,8 +5435,7 @@ class MessageProcessor {
    */
   async handleDisablePinIntent(user, message, messageType, messageId = null) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to help you with PIN settings! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -5335,7 +5445,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for PIN disable intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -5346,8 +5456,7 @@ class MessageProcessor {
       const result = await aiAssistant.handleDisablePin(user);
       
       if (result && result.message) {
-        const whatsappService = require('./whatsapp');
-        await whatsappService.sendTextMessage(user.whatsappNumber, result.message);
+        await messaging.sendTextMessage(user.whatsappNumber, result.message);
       }
       
       logger.info('PIN disable intent handled successfully', { userId: user.id });
@@ -5357,8 +5466,7 @@ class MessageProcessor {
         userId: user.id 
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         '❌ An error occurred while processing your PIN disable request. Please try again later.'
       );
@@ -5370,8 +5478,7 @@ class MessageProcessor {
    */
   async handleEnablePinIntent(user, message, messageType, messageId = null) {
     if (user.onboardingStep !== 'completed') {
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(user.whatsappNumber, 
+      await messaging.sendTextMessage(user.whatsappNumber, 
         "I'd love to help you with PIN settings! Let me get your account set up first - it's quick and easy.");
       
       // Start onboarding flow immediately
@@ -5381,7 +5488,7 @@ class MessageProcessor {
         logger.info('Started onboarding flow for PIN enable intent', { userId: user.id });
       } catch (onboardingError) {
         logger.error('Failed to start onboarding flow', { error: onboardingError.message, userId: user.id });
-        await whatsappService.sendTextMessage(user.whatsappNumber, 
+        await messaging.sendTextMessage(user.whatsappNumber, 
           "I'm having trouble starting the setup process. Please type 'help' for assistance.");
       }
       return;
@@ -5392,8 +5499,7 @@ class MessageProcessor {
       const result = await aiAssistant.handleEnablePin(user);
       
       if (result && result.message) {
-        const whatsappService = require('./whatsapp');
-        await whatsappService.sendTextMessage(user.whatsappNumber, result.message);
+        await messaging.sendTextMessage(user.whatsappNumber, result.message);
       }
       
       logger.info('PIN enable intent handled successfully', { userId: user.id });
@@ -5403,13 +5509,169 @@ class MessageProcessor {
         userId: user.id 
       });
       
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         '❌ An error occurred while processing your PIN enable request. Please try again later.'
       );
     }
   }
+
+  /**
+   * Run an intent through aiAssistant.processIntent and send its reply in the
+   * user's language. Used by intents whose handlers only return a message.
+   */
+  async replyWithIntentResult(user, text, intentAnalysis, errorMessage) {
+    try {
+      const aiAssistant = require('./aiAssistant');
+      const result = await aiAssistant.processIntent(intentAnalysis, user, text);
+
+      if (result && result.message) {
+        const reply = await aiAssistant.mirrorReplyToUserLanguage(text, result.message);
+        await messaging.sendTextMessage(user.whatsappNumber, reply);
+      }
+    } catch (error) {
+      logger.error('Failed to handle intent', {
+        error: error.message,
+        userId: user.id,
+        intent: intentAnalysis.intent
+      });
+      await messaging.sendTextMessage(user.whatsappNumber, errorMessage);
+    }
+  }
+
+  /**
+   * Handle schedule, list_schedules and cancel_schedule intents
+   */
+  async handleScheduledPaymentIntent(user, text, intentAnalysis) {
+    return this.replyWithIntentResult(user, text, intentAnalysis,
+      '❌ An error occurred while handling your scheduled payments. Please try again later.');
+  }
+
+  /**
+   * Handle savings_deposit, savings_withdraw and savings_summary intents
+   */
+  async handleSavingsIntent(user, text, intentAnalysis) {
+    return this.replyWithIntentResult(user, text, intentAnalysis,
+      '❌ An error occurred while handling your savings. Please try again later.');
+  }
+
+  /**
+   * Handle the referrals intent
+   */
+  async handleReferralIntent(user, text, intentAnalysis) {
+    return this.replyWithIntentResult(user, text, intentAnalysis,
+      '❌ An error occurred while loading your referrals. Please try again later.');
+  }
+
+  /**
+   * Handle group_create, group_pay and group_status intents
+   */
+  async handleGroupCollectionIntent(user, text, intentAnalysis) {
+    return this.replyWithIntentResult(user, text, intentAnalysis,
+      '❌ An error occurred while handling your group collection. Please try again later.');
+  }
+
+  /**
+   * Handle request_money and payment_requests intents
+   */
+  async handlePaymentRequestIntent(user, text, intentAnalysis) {
+    return this.replyWithIntentResult(user, text, intentAnalysis,
+      '❌ An error occurred while handling your payment request. Please try again later.');
+  }
+
+  /**
+   * Pay and Decline buttons on a payment request, and the rows of the "my
+   * payment requests" list. Returns false for other ids.
+   */
+  async handlePaymentRequestAction(user, actionId) {
+    const match = String(actionId || '').match(/^payreq_(pay|decline)_(.+)$/);
+    if (!match) {
+      return false;
+    }
+    const [, action, requestId] = match;
+
+    try {
+      if (action === 'decline') {
+        const paymentRequestService = require('./paymentRequest');
+        await paymentRequestService.declineRequest(user.id, requestId);
+        await messaging.sendTextMessage(user.whatsappNumber, "👍 Okay, you've declined the request. I've let them know.");
+        return true;
+      }
+
+      if (!user.canPerformTransactions()) {
+        await messaging.sendTextMessage(user.whatsappNumber,
+          '🔐 Please finish setting up your MiiMii account first, then tap Pay again.');
+        return true;
+      }
+
+      const aiAssistant = require('./aiAssistant');
+      const result = await aiAssistant.startPaymentRequestPayment(user, requestId);
+      if (result?.message) {
+        await messaging.sendTextMessage(user.whatsappNumber, result.message);
+      }
+    } catch (error) {
+      logger.error('Payment request action failed', { error: error.message, userId: user.id, actionId });
+      await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Pay, Join and Decline buttons on a group collection request, and the
+   * rows of the "pay my share" list. Returns false for other ids.
+   */
+  async handleGroupCollectionAction(user, actionId) {
+    const match = String(actionId || '').match(/^group_(pay|join|decline)_(.+)$/);
+    if (!match) {
+      return false;
+    }
+    const [, action, memberId] = match;
+
+    try {
+      if (action === 'decline') {
+        const groupCollectionService = require('./groupCollection');
+        const { group } = await groupCollectionService.declineRequest(user.id, memberId);
+        await messaging.sendTextMessage(user.whatsappNumber, `👍 Okay, you've declined *${group.title}*. I've let the organiser know.`);
+        return true;
+      }
+
+      if (!user.canPerformTransactions()) {
+        await messaging.sendTextMessage(user.whatsappNumber,
+          '🔐 Please finish setting up your MiiMii account first, then tap the button again to pay or join.');
+        return true;
+      }
+
+      const aiAssistant = require('./aiAssistant');
+      const result = await aiAssistant.startGroupAction(user, action, memberId);
+      if (result?.message) {
+        await messaging.sendTextMessage(user.whatsappNumber, result.message);
+      }
+    } catch (error) {
+      logger.error('Group collection action failed', { error: error.message, userId: user.id, actionId });
+      await messaging.sendTextMessage(user.whatsappNumber, `❌ ${error.message}`);
+    }
+    return true;
+  }
+
+  // Completes a pending risk step-up and runs the payment it was holding back.
+  // Returns false when there was nothing to answer.
+  async handleRiskChallengeReply(user, answer) {
+    const riskService = require('./risk');
+
+    const outcome = await riskService.completeChallenge(user, answer);
+    if (!outcome) {
+      return false;
+    }
+
+    if (outcome.success) {
+      const reference = outcome.result?.transaction?.reference || outcome.result?.reference;
+      await messaging.sendTextMessage(user.whatsappNumber,
+        `✅ *Confirmed*\n\nYour ${outcome.challenge.description} has been completed.${reference ? `\n\nReference: ${reference}` : ''}`);
+    } else {
+      await messaging.sendTextMessage(user.whatsappNumber, `❌ ${outcome.message}`);
+    }
+    return true;
+  }
 }
 
 module.exports = new MessageProcessor();
\ No newline at end of file
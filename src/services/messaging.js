@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Outbound messaging
+ *
+ * Services write replies here instead of to a particular channel. Each
+ * conversation turn runs inside a ReplyContext that collects the text,
+ * buttons, lists, media and flows sent to the person who wrote in, and the
+ * channel the turn arrived on renders them through its adapter. WhatsApp
+ * sends each reply as it is written; the mobile app collects them and
+ * returns them in the HTTP response. The context lives in async local
+ * storage, so concurrent turns never see each other's replies.
+ *
+ * Messages to anyone other than the context's recipient (the other party
+ * of a transfer, say), and anything sent outside a turn (webhooks, the
+ * maintenance worker), go to WhatsApp as before.
+ */
+
+const DEFAULT_CHANNEL = 'whatsapp';
+
+// +2348012345678, 2348012345678 and 08012345678 are the same person
+function recipientKey(recipient) {
+  return String(recipient || '').replace(/\D/g, '').slice(-10);
+}
+
+const whatsappAdapter = {
+  render(to, message) {
+    const whatsappService = require('./whatsapp');
+
+    switch (message.type) {
+      case 'text':
+        return whatsappService.sendTextMessage(to, message.text, message.makeNatural);
+      case 'buttons':
+        return whatsappService.sendButtonMessage(to, message.text, message.buttons);
+      case 'list':
+        return whatsappService.sendListMessage(to, message.text, message.buttonText, message.sections);
+      case 'flow':
+        return whatsappService.sendFlowMessage(to, message.flow);
+      case 'media':
+        return message.mediaType === 'document'
+          ? whatsappService.sendDocumentMessage(to, message.buffer, message.filename, message.contentType, message.caption)
+          : whatsappService.sendImageMessage(to, message.buffer, message.filename, message.caption);
+      default:
+        throw new Error(`WhatsApp cannot render ${message.type} messages`);
+    }
+  },
+  typing(to, messageId, duration) {
+    return require('./whatsapp').sendTypingIndicator(to, messageId, duration);
+  },
+  markRead(messageId) {
+    return require('./whatsapp').markMessageAsRead(messageId);
+  }
+};
+
+// The app reads the collected replies off the context once the turn ends,
+// and sockets connected for the user see each one as it is written
+const mobileAdapter = {
+  render(to, message, context) {
+    const realtimeService = require('./realtime');
+    realtimeService.emitToUser(context.userId, realtimeService.events.CHAT_MESSAGE, module.exports.serialize(context.lastMessage, { includeMedia: true }));
+    return { success: true, captured: true, id: context.lastMessage.id };
+  },
+  typing(to, messageId, duration, context) {
+    const realtimeService = require('./realtime');
+    realtimeService.emitToUser(context.userId, realtimeService.events.CHAT_TYPING, { typing: true, duration });
+    return { success: true };
+  }
+};
+
+class ReplyContext {
+  constructor({ channel, recipient, userId = null, adapter }) {
+    this.channel = channel;
+    this.recipient = recipient;
+    this.userId = userId;
+    this.adapter = adapter;
+    this.messages = [];
+    this.closed = false;
+  }
+
+  isFor(to) {
+    return !this.closed && recipientKey(to) !== '' && recipientKey(to) === recipientKey(this.recipient);
+  }
+
+  async add(to, message) {
+    this.messages.push({ ...message, id: crypto.randomUUID(), sentAt: new Date().toISOString() });
+    return this.adapter.render(to, message, this);
+  }
+
+  get lastMessage() {
+    return this.messages[this.messages.length - 1] || null;
+  }
+
+  // Replies written after the turn has returned cannot reach the caller
+  // any more; they go out on the default channel instead
+  close() {
+    this.closed = true;
+  }
+}
+
+class MessagingService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.adapters = {
+      whatsapp: whatsappAdapter,
+      mobile: mobileAdapter
+    };
+  }
+
+  registerAdapter(channel, adapter) {
+    if (!adapter || typeof adapter.render !== 'function') {
+      throw new Error('A channel adapter needs a render function');
+    }
+    this.adapters[channel] = adapter;
+  }
+
+  createContext({ channel = DEFAULT_CHANNEL, recipient, userId = null }) {
+    const adapter = this.adapters[channel];
+    if (!adapter) {
+      throw new Error(`No messaging adapter for channel ${channel}`);
+    }
+    return new ReplyContext({ channel, recipient, userId, adapter });
+  }
+
+  // Run one conversation turn with its replies going to `context`
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  currentContext() {
+    return this.storage.getStore() || null;
+  }
+
+  async deliver(to, message) {
+    const context = this.currentContext();
+    if (context && context.isFor(to)) {
+      return context.add(to, message);
+    }
+    return this.adapters[DEFAULT_CHANNEL].render(to, message);
+  }
+
+  sendTextMessage(to, text, makeNatural = false) {
+    return this.deliver(to, { type: 'text', text, makeNatural });
+  }
+
+  sendButtonMessage(to, text, buttons) {
+    return this.deliver(to, { type: 'buttons', text, buttons });
+  }
+
+  sendListMessage(to, text, buttonText, sections) {
+    return this.deliver(to, { type: 'list', text, buttonText, sections });
+  }
+
+  sendFlowMessage(to, flowData) {
+    return this.deliver(to, { type: 'flow', text: flowData?.body || null, flow: flowData });
+  }
+
+  sendImageMessage(to, imageBuffer, filename = 'image.png', caption = null) {
+    return this.deliver(to, { type: 'media', mediaType: 'image', buffer: imageBuffer, filename, caption, text: caption });
+  }
+
+  sendDocumentMessage(to, documentBuffer, filename, contentType, caption = null) {
+    return this.deliver(to, { type: 'media', mediaType: 'document', buffer: documentBuffer, filename, contentType, caption, text: caption });
+  }
+
+  async sendTypingIndicator(to, messageId = null, duration = 3000) {
+    const context = this.currentContext();
+    if (context && context.isFor(to)) {
+      return context.adapter.typing ? context.adapter.typing(to, messageId, duration, context) : { success: true };
+    }
+    return this.adapters[DEFAULT_CHANNEL].typing(to, messageId, duration);
+  }
+
+  async markMessageAsRead(messageId) {
+    const context = this.currentContext();
+    const adapter = context ? context.adapter : this.adapters[DEFAULT_CHANNEL];
+    return adapter.markRead ? adapter.markRead(messageId) : { success: true };
+  }
+
+  /**
+   * Plain-object form of a collected reply for an API response or for
+   * storage. Media bytes are base64 encoded only when asked for, so stored
+   * chat history does not carry images.
+   */
+  serialize(message, { includeMedia = false } = {}) {
+    const { buffer, makeNatural, ...rest } = message;
+    if (message.type === 'media' && includeMedia && buffer) {
+      return { ...rest, data: Buffer.from(buffer).toString('base64') };
+    }
+    return rest;
+  }
+}
+
+module.exports = new MessagingService();
+module.exports.ReplyContext = ReplyContext;
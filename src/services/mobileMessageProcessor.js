@@ -1,11 +1,10 @@
 const messageProcessor = require('./messageProcessor');
 const aiAssistantService = require('./aiAssistant');
+const messaging = require('./messaging');
+const realtimeService = require('./realtime');
 const { ChatMessage } = require('../models');
 const logger = require('../utils/logger');
 
-// Store captured messages per user session
-const capturedMessages = new Map();
-
 class MobileMessageProcessor {
   async sendMessage(user, messageText) {
     try {
@@ -14,7 +13,7 @@ class MobileMessageProcessor {
         throw new Error('Message text is required');
       }
 
-      // Require a phoneNumber/whatsappNumber so we can route through WhatsApp processor
+      // The message processor identifies users by their WhatsApp number
       const phone = user.whatsappNumber;
       if (!phone) {
         throw new Error('User must have a phone number to use chat');
@@ -32,112 +31,18 @@ class MobileMessageProcessor {
         }
       });
 
-      // Clear any previous captured messages for this user
-      capturedMessages.set(user.id, []);
-
       // Initialize response variables
       let replyText = "I'm having trouble understanding that right now. Please try again.";
       let intent = null;
       let requiresAction = null;
       let actionData = null;
 
-      // Create a message interceptor to capture WhatsApp service calls
-      const whatsappService = require('./whatsapp');
-      const originalSendText = whatsappService.sendTextMessage?.bind(whatsappService);
-      const originalSendButton = whatsappService.sendButtonMessage?.bind(whatsappService);
-      const originalSendList = whatsappService.sendListMessage?.bind(whatsappService);
-      const originalMarkRead = whatsappService.markMessageAsRead?.bind(whatsappService);
-      const originalTyping = whatsappService.sendTypingIndicator?.bind(whatsappService);
-
-      // Normalize phone numbers for comparison (handle both +234 and 234 formats)
-      const normalizePhone = (phoneNum) => {
-        if (!phoneNum) return null;
-        const cleaned = String(phoneNum).replace(/\D/g, '');
-        if (cleaned.startsWith('234') && cleaned.length === 13) {
-          return `+${cleaned}`;
-        }
-        return phoneNum.startsWith('+') ? phoneNum : `+${cleaned}`;
-      };
-      
-      const normalizedPhone = normalizePhone(phone);
-      
-      // Intercept WhatsApp service calls to capture responses ONLY for mobile requests
-      // For WhatsApp messages (different phone numbers), call original methods
-      if (whatsappService.sendTextMessage) {
-        whatsappService.sendTextMessage = async (phoneNumber, message) => {
-          // Normalize and compare phone numbers
-          const normalizedTarget = normalizePhone(phoneNumber);
-          // Only intercept if this is the mobile user's phone number
-          if (normalizedTarget === normalizedPhone) {
-            const messages = capturedMessages.get(user.id) || [];
-            messages.push({ type: 'text', content: message });
-            capturedMessages.set(user.id, messages);
-            // Don't actually send WhatsApp message for mobile requests
-            return { success: true };
-          }
-          // For WhatsApp messages, use original method
-          return await originalSendText(phoneNumber, message);
-        };
-      }
-
-      if (whatsappService.sendButtonMessage) {
-        whatsappService.sendButtonMessage = async (phoneNumber, message, buttons) => {
-          // Normalize and compare phone numbers
-          const normalizedTarget = normalizePhone(phoneNumber);
-          // Only intercept if this is the mobile user's phone number
-          if (normalizedTarget === normalizedPhone) {
-            const messages = capturedMessages.get(user.id) || [];
-            messages.push({ type: 'buttons', content: message, buttons });
-            capturedMessages.set(user.id, messages);
-            return { success: true };
-          }
-          // For WhatsApp messages, use original method
-          return await originalSendButton(phoneNumber, message, buttons);
-        };
-      }
-
-      if (whatsappService.sendListMessage) {
-        whatsappService.sendListMessage = async (phoneNumber, message, title, sections) => {
-          // Normalize and compare phone numbers
-          const normalizedTarget = normalizePhone(phoneNumber);
-          // Only intercept if this is the mobile user's phone number
-          if (normalizedTarget === normalizedPhone) {
-            const messages = capturedMessages.get(user.id) || [];
-            messages.push({ type: 'list', content: message, title, sections });
-            capturedMessages.set(user.id, messages);
-            return { success: true };
-          }
-          // For WhatsApp messages, use original method
-          return await originalSendList(phoneNumber, message, title, sections);
-        };
-      }
-
-      // Intercept mark as read and typing indicator - be more careful here
-      if (whatsappService.markMessageAsRead) {
-        whatsappService.markMessageAsRead = async (messageId) => {
-          // For mobile requests, we don't need to mark as read
-          // But we can't determine if it's mobile or WhatsApp from messageId alone
-          // So we'll just skip it - WhatsApp messages will work because original is restored
-          return { success: true };
-        };
-      }
-
-      if (whatsappService.sendTypingIndicator) {
-        whatsappService.sendTypingIndicator = async (phoneNumber, messageId, duration) => {
-          // Normalize and compare phone numbers
-          const normalizedTarget = normalizePhone(phoneNumber);
-          // Only skip for mobile requests
-          if (normalizedTarget === normalizedPhone) {
-            return { success: true };
-          }
-          // For WhatsApp messages, use original method
-          return await originalTyping(phoneNumber, messageId, duration);
-        };
-      }
+      // Replies to this user during the turn are collected here instead of
+      // going out on WhatsApp
+      const context = messaging.createContext({ channel: 'mobile', recipient: phone, userId: user.id });
 
       try {
-        // Route through WhatsApp message processor (same flow, captures responses)
-        // Create a parsed message structure that WhatsApp processor expects
+        // Route through the shared message processor (same flow as WhatsApp)
         const parsedMessage = {
           from: phone,
           message: {
@@ -152,32 +57,15 @@ class MobileMessageProcessor {
           messageId: `mobile_${Date.now()}_${user.id}`
         };
 
-        // Process through WhatsApp message processor (this will execute all actions)
-        // Wrap in try-catch to handle any errors gracefully
-        try {
-          await messageProcessor.processIncomingMessage(parsedMessage);
-        } catch (processorError) {
-          logger.error('WhatsApp message processor error (mobile)', {
-            error: processorError?.message || 'Unknown error',
-            stack: processorError?.stack,
-            userId: user.id,
-            message: text,
-            parsedMessage: JSON.stringify(parsedMessage),
-            errorType: typeof processorError,
-            errorKeys: processorError ? Object.keys(processorError) : []
-          });
-          // If processing fails, we'll use fallback below
-          throw processorError;
-        }
+        await messaging.run(context, () => messageProcessor.processIncomingMessage(parsedMessage));
       } catch (processorError) {
-        logger.error('Failed to process message through WhatsApp processor', {
+        logger.error('Failed to process mobile message', {
           error: processorError?.message || 'Unknown error',
           stack: processorError?.stack,
           userId: user.id,
-          message: text,
-          errorType: typeof processorError
+          message: text
         });
-        // Fallback: use AI analysis directly if WhatsApp processor fails
+        // Fallback: use AI analysis directly if the message processor fails
         try {
           const aiAnalysis = await aiAssistantService.analyzeUserIntent(text, user, null);
           if (aiAnalysis && aiAnalysis.intent && aiAnalysis.confidence > 0.7) {
@@ -188,41 +76,15 @@ class MobileMessageProcessor {
           logger.error('AI fallback also failed', { error: aiError?.message });
         }
       } finally {
-        // CRITICAL: Always restore original WhatsApp service methods immediately
-        // This ensures WhatsApp messages work even if mobile processing is ongoing
-        try {
-          if (originalSendText) whatsappService.sendTextMessage = originalSendText;
-          if (originalSendButton) whatsappService.sendButtonMessage = originalSendButton;
-          if (originalSendList) whatsappService.sendListMessage = originalSendList;
-          if (originalMarkRead) whatsappService.markMessageAsRead = originalMarkRead;
-          if (originalTyping) whatsappService.sendTypingIndicator = originalTyping;
-        } catch (restoreError) {
-          logger.error('Failed to restore WhatsApp service methods', {
-            error: restoreError?.message || 'Unknown error',
-            userId: user.id
-          });
-          // Force restore even if there's an error
-          try {
-            whatsappService.sendTextMessage = originalSendText;
-            whatsappService.sendButtonMessage = originalSendButton;
-            whatsappService.sendListMessage = originalSendList;
-            whatsappService.markMessageAsRead = originalMarkRead;
-            whatsappService.sendTypingIndicator = originalTyping;
-          } catch (forceRestoreError) {
-            logger.error('Force restore also failed', { error: forceRestoreError?.message });
-          }
-        }
+        context.close();
+        realtimeService.emitToUser(user.id, realtimeService.events.CHAT_TYPING, { typing: false });
       }
 
-      // Get captured messages
-      const messages = capturedMessages.get(user.id) || [];
-      capturedMessages.delete(user.id);
+      // Extract reply text and metadata from the collected replies
+      const lastMessage = context.lastMessage;
+      if (lastMessage) {
+        replyText = lastMessage.text || replyText;
 
-      // Extract reply text and metadata from captured messages
-      if (messages.length > 0) {
-        const lastMessage = messages[messages.length - 1];
-        replyText = lastMessage.content || replyText;
-        
         // If we have buttons, indicate action is required
         if (lastMessage.type === 'buttons' && lastMessage.buttons) {
           requiresAction = 'BUTTON_SELECTION';
@@ -232,7 +94,7 @@ class MobileMessageProcessor {
         // If we have list, indicate action is required
         if (lastMessage.type === 'list' && lastMessage.sections) {
           requiresAction = 'LIST_SELECTION';
-          actionData = { title: lastMessage.title, sections: lastMessage.sections };
+          actionData = { title: lastMessage.buttonText, sections: lastMessage.sections };
         }
       }
 
@@ -248,7 +110,7 @@ class MobileMessageProcessor {
           intent,
           requiresAction,
           actionData,
-          capturedMessages: messages
+          capturedMessages: context.messages.map(message => messaging.serialize(message))
         }
       });
 
@@ -258,6 +120,7 @@ class MobileMessageProcessor {
         intent,
         requiresAction,
         actionData,
+        messages: context.messages.map(message => messaging.serialize(message, { includeMedia: true })),
         userMessage,
         botMessage
       };
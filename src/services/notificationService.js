@@ -2,6 +2,8 @@ const logger = require('../utils/logger');
 const databaseService = require('./database');
 const supabaseHelper = require('./supabaseHelper');
 const { v4: uuidv4 } = require('uuid');
+const realtimeService = require('./realtime');
+const i18n = require('./i18n');
 
 class NotificationService {
   /**
@@ -43,6 +45,9 @@ class NotificationService {
         priority
       });
 
+      // The unread count comes from the database, so this need not hold up the caller
+      realtimeService.publishNotification(notification).catch(() => {});
+
       return notification;
     } catch (error) {
       logger.error('Failed to create notification', {
@@ -60,11 +65,9 @@ class NotificationService {
   async createTransactionNotification(userId, transaction, transactionType = 'credit') {
     try {
       const amount = parseFloat(transaction.amount || 0);
-      const formattedAmount = new Intl.NumberFormat('en-NG', {
-        style: 'currency',
-        currency: 'NGN',
-        minimumFractionDigits: 0
-      }).format(amount);
+      const language = await i18n.languageForUserId(userId);
+      const withDescription = (text) => `${text}${transaction.description ? ` - ${transaction.description}` : ''}`;
+      const withSubCategory = (text) => `${text}${transaction.subCategory ? ` (${transaction.subCategory})` : ''}`;
 
       let type, title, message, actionUrl;
 
@@ -72,8 +75,8 @@ class NotificationService {
         type = transaction.category === 'wallet_funding' 
           ? 'wallet_funded' 
           : 'transaction_success';
-        title = '💰 Money Received';
-        message = `You received ${formattedAmount}${transaction.description ? ` - ${transaction.description}` : ''}`;
+        title = i18n.t(language, 'notification.credit.title');
+        message = withDescription(i18n.t(language, 'notification.credit.message', { amount }));
         actionUrl = `/transactions/${transaction.reference}`;
       } else {
         // Use valid enum values: transaction_success, transaction_failed, transaction_pending
@@ -84,20 +87,23 @@ class NotificationService {
           : 'transaction_pending';
         
         if (transaction.category === 'bank_transfer') {
-          title = '💸 Transfer Sent';
-          message = `You sent ${formattedAmount}${transaction.metadata?.recipientDetails?.accountNumber ? ` to ${transaction.metadata.recipientDetails.accountNumber}` : ''}`;
+          const accountNumber = transaction.metadata?.recipientDetails?.accountNumber;
+          title = i18n.t(language, 'notification.transfer.title');
+          message = accountNumber
+            ? i18n.t(language, 'notification.transfer.message_to', { amount, accountNumber })
+            : i18n.t(language, 'notification.transfer.message', { amount });
         } else if (transaction.category === 'airtime_purchase') {
-          title = '📱 Airtime Purchased';
-          message = `You purchased ${formattedAmount} airtime${transaction.subCategory ? ` (${transaction.subCategory})` : ''}`;
+          title = i18n.t(language, 'notification.airtime.title');
+          message = withSubCategory(i18n.t(language, 'notification.airtime.message', { amount }));
         } else if (transaction.category === 'data_purchase') {
-          title = '📶 Data Purchased';
-          message = `You purchased ${formattedAmount} data${transaction.subCategory ? ` (${transaction.subCategory})` : ''}`;
+          title = i18n.t(language, 'notification.data.title');
+          message = withSubCategory(i18n.t(language, 'notification.data.message', { amount }));
         } else if (transaction.category?.startsWith('bill_payment')) {
-          title = '💡 Bill Paid';
-          message = `You paid ${formattedAmount}${transaction.description ? ` - ${transaction.description}` : ''}`;
+          title = i18n.t(language, 'notification.bill.title');
+          message = withDescription(i18n.t(language, 'notification.bill.message', { amount }));
         } else {
-          title = '💸 Transaction Completed';
-          message = `${formattedAmount}${transaction.description ? ` - ${transaction.description}` : ''}`;
+          title = i18n.t(language, 'notification.other.title');
+          message = withDescription(i18n.t(language, 'notification.other.message', { amount }));
         }
         actionUrl = `/transactions/${transaction.reference}`;
       }
@@ -136,16 +142,15 @@ class NotificationService {
   async createTransferFailedNotification(userId, transaction, reason) {
     try {
       const amount = parseFloat(transaction.amount || 0);
-      const formattedAmount = new Intl.NumberFormat('en-NG', {
-        style: 'currency',
-        currency: 'NGN',
-        minimumFractionDigits: 0
-      }).format(amount);
+      const language = await i18n.languageForUserId(userId);
 
       return await this.createNotification(userId, {
         type: 'transaction_failed', // Use valid enum value
-        title: '❌ Transfer Failed',
-        message: `Your transfer of ${formattedAmount} failed. ${reason || 'Please try again.'}`,
+        title: i18n.t(language, 'notification.transfer_failed.title'),
+        message: i18n.t(language, 'notification.transfer_failed.message', {
+          amount,
+          reason: reason || i18n.t(language, 'notification.transfer_failed.default_reason')
+        }),
         data: {
           transactionId: transaction.id,
           reference: transaction.reference,
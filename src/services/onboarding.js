@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 const userService = require('./user');
 const rubiesService = require('./rubies');
 const walletService = require('./wallet');
@@ -36,7 +37,7 @@ class OnboardingService {
       }
 
       // Show typing indicator for interactive experience
-      await whatsappService.sendTypingIndicator(phoneNumber, 2000);
+      await messaging.sendTypingIndicator(phoneNumber, 2000);
 
       // Process based on current onboarding step (KYC removed)
       switch (user.onboardingStep) {
@@ -57,7 +58,7 @@ class OnboardingService {
       }
     } catch (error) {
       logger.error('Onboarding error', { error: error.message, phoneNumber });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         phoneNumber,
         "Sorry, I'm experiencing technical difficulties. Please try again in a moment."
       );
@@ -144,7 +145,7 @@ class OnboardingService {
                                `I'm your AI assistant. I'll help you set up your account step by step.\n\n` +
                              `Let's start by collecting some basic information about you.`;
       
-        await whatsappService.sendTextMessage(user.whatsappNumber, greetingMessage);
+        await messaging.sendTextMessage(user.whatsappNumber, greetingMessage);
       } else {
         // Generate AI-processed flow message content
         const aiAssistant = require('./aiAssistant');
@@ -199,7 +200,7 @@ class OnboardingService {
           }
         };
         
-        await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+        await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       }
       
       // Move to next step
@@ -227,7 +228,7 @@ class OnboardingService {
                          `First, I need to collect some basic information about you.\n\n` +
                          `What's your full name? (First and Last name)`;
       
-      await whatsappService.sendTextMessage(user.whatsappNumber, nameMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, nameMessage);
       } else {
         // Generate AI-processed flow message content
         const aiAssistant = require('./aiAssistant');
@@ -282,7 +283,7 @@ class OnboardingService {
           }
         };
         
-        await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+        await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       }
       
       // Update user step
@@ -302,7 +303,7 @@ class OnboardingService {
         userId: user.id
       });
       
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "I'm having trouble starting the setup. Please try again in a moment."
       );
@@ -322,7 +323,7 @@ class OnboardingService {
           { id: 'add_full_name', title: '📝 Add full name' }
         ]
       };
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         confirmationMessage.text,
         confirmationMessage.buttons
@@ -339,7 +340,7 @@ class OnboardingService {
           { id: 'guided_name_setup', title: '🧭 Guided Setup' }
         ]
       };
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         nameCollectionMessage.text,
         nameCollectionMessage.buttons
@@ -359,14 +360,14 @@ class OnboardingService {
     if (message?.buttonReply?.id === 'name_incorrect') {
       // User wants to correct their name
       const correctionMessage = `No problem! Please send me your full name (First and Last name).`;
-      await whatsappService.sendTextMessage(user.whatsappNumber, correctionMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, correctionMessage);
       return { success: true, step: 'name_correction_requested' };
     }
     
     if (message?.buttonReply?.id === 'add_full_name') {
       // User wants to add full name
       const fullNameMessage = `Great! Please send me your complete full name (First, Middle, and Last name).`;
-      await whatsappService.sendTextMessage(user.whatsappNumber, fullNameMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, fullNameMessage);
       return { success: true, step: 'full_name_requested' };
     }
 
@@ -376,7 +377,7 @@ class OnboardingService {
       const nameParts = fullName.split(' ');
       
       if (nameParts.length < 2) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
         user.whatsappNumber,
           `Please provide both your first and last name. For example: "John Doe"`
       );
@@ -403,7 +404,7 @@ class OnboardingService {
                                 `\nNow let's collect your address information.\n\n` +
                                 `Please send me your residential address:`;
       
-      await whatsappService.sendTextMessage(user.whatsappNumber, confirmationMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, confirmationMessage);
       
       // Update user step
       await user.update({ onboardingStep: 'address_collection' });
@@ -421,7 +422,7 @@ class OnboardingService {
     
     // If no valid input, ask again
     const retryMessage = `Please send me your full name (First and Last name).\n\nFor example: "John Doe"`;
-    await whatsappService.sendTextMessage(user.whatsappNumber, retryMessage);
+    await messaging.sendTextMessage(user.whatsappNumber, retryMessage);
     
     return { success: true, step: 'name_retry' };
   }
@@ -443,7 +444,7 @@ class OnboardingService {
                                 `Now I need your 11-digit BVN for account creation.\n\n` +
                                 `Please send me your 11-digit BVN:`;
       
-      await whatsappService.sendTextMessage(user.whatsappNumber, confirmationMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, confirmationMessage);
       
       // Update user step
       await user.update({ onboardingStep: 'bvn_collection' });
@@ -459,7 +460,7 @@ class OnboardingService {
     
     // If no valid input, ask again
     const retryMessage = `Please send me your residential address.\n\nFor example: "123 Main Street, Lagos, Nigeria"`;
-    await whatsappService.sendTextMessage(user.whatsappNumber, retryMessage);
+    await messaging.sendTextMessage(user.whatsappNumber, retryMessage);
     
     return { success: true, step: 'address_retry' };
   }
@@ -470,7 +471,7 @@ class OnboardingService {
     if (messageText && messageText.trim().length > 0) {
       const bvn = messageText.trim().replace(/\D/g, '');
       if (!/^\d{11}$/.test(bvn)) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ Invalid BVN format. Please send your 11-digit BVN number.\n\nExample: 12345678901`
         );
@@ -479,7 +480,7 @@ class OnboardingService {
 
       // Validate BVN with Rubies API
       try {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `🔄 *Validating your BVN...*\n\nPlease wait while we verify your information with the bank.`
         );
@@ -531,7 +532,7 @@ class OnboardingService {
                               `Your identity has been confirmed with the bank.\n\n` +
                           `Now let's set up your 4-digit PIN to secure your transactions.\n\n` +
                           `Please enter your 4-digit PIN:`;
-      await whatsappService.sendTextMessage(user.whatsappNumber, nextMessage);
+      await messaging.sendTextMessage(user.whatsappNumber, nextMessage);
 
           // Log successful BVN verification
           await activityLogger.logUserActivity(
@@ -550,7 +551,7 @@ class OnboardingService {
           return { success: true, step: 'bvn_verified' };
         } else {
           // BVN validation failed
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `❌ *BVN validation failed*\n\n` +
             `${bvnValidationResult.message || 'Unable to verify your BVN with the bank.'}\n\n` +
@@ -581,7 +582,7 @@ class OnboardingService {
           error: error.message
         });
 
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `⚠️ *Technical issue during BVN validation*\n\n` +
           `We're experiencing temporary technical difficulties.\n\n` +
@@ -602,7 +603,7 @@ class OnboardingService {
       }
     }
 
-    await whatsappService.sendTextMessage(
+    await messaging.sendTextMessage(
       user.whatsappNumber,
       `Please send your 11-digit BVN.\n\nExample: 12345678901`
     );
@@ -616,7 +617,7 @@ class OnboardingService {
       const pin = messageText.trim().replace(/\D/g, ''); // Remove non-digits
       
       if (pin.length !== 4) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ PIN must be exactly 4 digits. Please send a 4-digit PIN.\n\nFor example: "1234"`
         );
@@ -643,13 +644,13 @@ class OnboardingService {
     
     // If no valid input, ask again
     const retryMessage = `Please send me your 4-digit PIN.\n\nFor example: "1234"`;
-    await whatsappService.sendTextMessage(user.whatsappNumber, retryMessage);
+    await messaging.sendTextMessage(user.whatsappNumber, retryMessage);
     
     return { success: true, step: 'pin_retry' };
   }
 
   async startGuidedNameSetup(user) {
-    await whatsappService.sendTextMessage(
+    await messaging.sendTextMessage(
       user.whatsappNumber,
       `🧭 *Guided Name Setup*\n\n` +
       `I'll help you enter your name step by step.\n\n` +
@@ -671,7 +672,7 @@ class OnboardingService {
     const templates = whatsappService.getOnboardingFlowTemplates();
     const kycFlow = templates.kycDataCollection;
     
-    await whatsappService.sendListMessage(
+    await messaging.sendListMessage(
       user.whatsappNumber,
       kycFlow.body,
       kycFlow.action.button,
@@ -686,7 +687,7 @@ class OnboardingService {
     if (buttonId) {
       switch (buttonId) {
         case 'upload_id_card':
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `📄 *Upload ID Document*\n\n` +
             `Please take a clear photo of one of these documents:\n\n` +
@@ -702,7 +703,7 @@ class OnboardingService {
           return;
           
         case 'upload_bvn_slip':
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `🏦 *Upload BVN Document*\n\n` +
             `Please take a photo of your Bank Verification Number slip or any document containing your BVN.\n\n` +
@@ -728,7 +729,7 @@ class OnboardingService {
   }
 
   async startManualKycEntry(user) {
-    await whatsappService.sendTextMessage(
+    await messaging.sendTextMessage(
       user.whatsappNumber,
       `⌨️ *Manual Information Entry*\n\n` +
       `Please provide the following details all at once or one by one:\n\n` +
@@ -794,8 +795,7 @@ class OnboardingService {
       };
 
       // Send the Flow message using the configured Flow ID
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+      await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       
       // Update user state to indicate flow was sent
       await user.update({
@@ -820,7 +820,7 @@ class OnboardingService {
       });
       
       // Send error message and ask user to try again
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `❌ *Flow Message Failed*\n\n` +
         `I'm having trouble sending the interactive onboarding form. This might be due to:\n\n` +
@@ -845,7 +845,7 @@ class OnboardingService {
     try {
       const ocrService = require('./ocr');
       
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `🔍 *Processing your document...*\n\n` +
         `Please wait while I extract the information from your document.`
@@ -878,13 +878,13 @@ class OnboardingService {
           })
         });
         
-        await whatsappService.sendButtonMessage(
+        await messaging.sendButtonMessage(
           user.whatsappNumber,
           confirmationMessage.text,
           confirmationMessage.buttons
         );
       } else {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ I couldn't extract all the required information from your document.\n\n` +
           `Please try:\n` +
@@ -902,7 +902,7 @@ class OnboardingService {
           ]
         };
         
-        await whatsappService.sendButtonMessage(
+        await messaging.sendButtonMessage(
           user.whatsappNumber,
           retryMessage.text,
           retryMessage.buttons
@@ -910,7 +910,7 @@ class OnboardingService {
       }
     } catch (error) {
       logger.error('KYC document processing failed', { error: error.message, userId: user.id });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `❌ I couldn't process your document. Please try entering the information manually.`
       );
@@ -933,7 +933,7 @@ class OnboardingService {
         ]
       };
       
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         missingFieldsMessage.text,
         missingFieldsMessage.buttons
@@ -954,7 +954,7 @@ class OnboardingService {
         ]
       };
       
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         bvnErrorMessage.text,
         bvnErrorMessage.buttons
@@ -985,7 +985,7 @@ class OnboardingService {
       })
     });
     
-    await whatsappService.sendButtonMessage(
+    await messaging.sendButtonMessage(
       user.whatsappNumber,
       confirmationMessage.text,
       confirmationMessage.buttons
@@ -994,7 +994,7 @@ class OnboardingService {
 
   async handleVirtualAccountCreation(user) {
     try {
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "🔄 Creating your virtual account...\n\nThis may take a moment. Please wait."
       );
@@ -1037,7 +1037,7 @@ class OnboardingService {
 
         await user.update({ onboardingStep: 'pin_setup' });
 
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `🎉 *Account Created Successfully!*\n\n` +
           `Your virtual account details:\n\n` +
@@ -1053,7 +1053,7 @@ class OnboardingService {
       }
     } catch (error) {
       logger.error('Virtual account creation failed', { error: error.message, userId: user.id });
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         "❌ Unable to create your account at the moment. Please try again later or contact support."
       );
@@ -1068,7 +1068,7 @@ class OnboardingService {
     if (buttonId) {
       switch (buttonId) {
         case 'create_pin_flow':
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user.whatsappNumber,
             `🔢 *Create Your 4-Digit PIN*\n\n` +
             `Your PIN will be used to authorize transactions and secure your account.\n\n` +
@@ -1106,7 +1106,7 @@ class OnboardingService {
         ]
       };
       
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         pinErrorMessage.text,
         pinErrorMessage.buttons
@@ -1131,7 +1131,7 @@ class OnboardingService {
         ]
       };
       
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         weakPinMessage.text,
         weakPinMessage.buttons
@@ -1160,7 +1160,7 @@ class OnboardingService {
       })
     });
     
-    await whatsappService.sendButtonMessage(
+    await messaging.sendButtonMessage(
       user.whatsappNumber,
       pinConfirmMessage.text,
       pinConfirmMessage.buttons
@@ -1189,7 +1189,7 @@ class OnboardingService {
       ]
     };
     
-    await whatsappService.sendButtonMessage(
+    await messaging.sendButtonMessage(
       user.whatsappNumber,
       requirementsMessage.text,
       requirementsMessage.buttons
@@ -1197,7 +1197,7 @@ class OnboardingService {
   }
 
   async showSecurityInfo(user) {
-    await whatsappService.sendTextMessage(
+    await messaging.sendTextMessage(
       user.whatsappNumber,
       `🛡️ *Your Security & Privacy*\n\n` +
       `🔐 *How we protect your PIN:*\n` +
@@ -1315,8 +1315,7 @@ class OnboardingService {
       };
 
       // Send the Flow message using the configured Flow ID
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendFlowMessage(user.whatsappNumber, flowData);
+      await messaging.sendFlowMessage(user.whatsappNumber, flowData);
       
       // Update user step
       await user.update({ onboardingStep: 'kyc_data' });
@@ -1357,7 +1356,7 @@ class OnboardingService {
       { id: 'contact_support', title: '📞 Contact Support' }
     ];
     
-    await whatsappService.sendButtonMessage(user.whatsappNumber, learnMoreText, buttons);
+    await messaging.sendButtonMessage(user.whatsappNumber, learnMoreText, buttons);
     return { success: true, step: 'learn_more_sent' };
   }
 
@@ -1377,7 +1376,7 @@ class OnboardingService {
       { id: 'contact_support', title: '📞 Contact Support' }
     ];
     
-    await whatsappService.sendButtonMessage(user.whatsappNumber, helpText, buttons);
+    await messaging.sendButtonMessage(user.whatsappNumber, helpText, buttons);
     return { success: true, step: 'help_sent' };
   }
 
@@ -1386,7 +1385,7 @@ class OnboardingService {
                         `First, I need to collect some basic information about you.\n\n` +
                         `What's your full name?`;
     
-    await whatsappService.sendTextMessage(user.whatsappNumber, fallbackText);
+    await messaging.sendTextMessage(user.whatsappNumber, fallbackText);
     await user.update({ onboardingStep: 'name_collection' });
     
     return { success: true, step: 'fallback_name_collection' };
@@ -1460,7 +1459,7 @@ class OnboardingService {
         { id: 'pay_bills', title: '📱 Pay Bills' }
       ];
 
-      await whatsappService.sendButtonMessage(
+      await messaging.sendButtonMessage(
         user.whatsappNumber,
         `What would you like to do first?`,
         buttons
@@ -1624,7 +1623,6 @@ class OnboardingService {
               // Send AI-generated welcome message with bank details
               try {
                 const aiAssistant = require('./aiAssistant');
-                const whatsappService = require('./whatsapp');
                 
                 const accountDetails = {
                   accountNumber: virtualAccountResult.accountNumber,
@@ -1632,7 +1630,7 @@ class OnboardingService {
                   bankName: virtualAccountResult.bankName || 'Rubies MFB'
                 };
                 const welcomeMessage = await aiAssistant.generateWelcomeMessage(user, accountDetails);
-                await whatsappService.sendTextMessage(user.whatsappNumber, welcomeMessage);
+                await messaging.sendTextMessage(user.whatsappNumber, welcomeMessage);
                 
                 logger.info('AI welcome message sent successfully', { userId: user.id });
               } catch (welcomeError) {
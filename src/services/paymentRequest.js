@@ -0,0 +1,683 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const QRCode = require('qrcode');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const userService = require('./user');
+const idempotencyService = require('./idempotency');
+
+/**
+ * Payment requests and pay links
+ *
+ * A user asks someone for money ("request 5k from 0803..."). A payer with a
+ * MiiMii wallet gets Pay / Decline buttons on WhatsApp and pays with their
+ * PIN, wallet to wallet. Every request also has a pay link (and QR code)
+ * showing the requester's virtual account, so anyone can settle it by bank
+ * transfer; the incoming credit is matched back to the request by the code
+ * in the narration. Without a code, a credit for exactly the amount still
+ * owed settles an open link, or a request whose payer's name matches the
+ * sender's. Transfers short of the amount are added up until they cover it.
+ * A request without a payer phone is an open link anyone can pay. Unpaid
+ * requests get a reminder or two and expire.
+ */
+
+// No 0/O or 1/I, so a code read out over the phone or typed into a
+// narration survives
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const UNIQUE_VIOLATION = '23505';
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+function formatAmount(amount) {
+  return `₦${roundAmount(amount || 0).toLocaleString()}`;
+}
+
+// What is still owed on a request after any part payments
+function outstandingAmount(request) {
+  return Math.max(roundAmount(roundAmount(request.amount) - roundAmount(request.amountPaid || 0)), 0);
+}
+
+// Bank sender names come in any order ("OBI ADA CHIOMA"), so every word
+// of the payer's first and last name has to appear somewhere in it
+function namesMatch(user, senderName) {
+  const words = (value) => String(value || '').toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  const expected = [...words(user.firstName), ...words(user.lastName)];
+  const sender = words(senderName);
+  return expected.length > 0 && expected.every(word => sender.includes(word));
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+class PaymentRequestService {
+  constructor() {
+    this.batchSize = 50;
+    this.maxUpdateAttempts = 3;
+  }
+
+  get limits() {
+    return config.getPaymentRequestConfig();
+  }
+
+  // ===== Creating and answering requests =====
+
+  /**
+   * Ask `input.payerPhone` (or, without one, anyone with the link) for
+   * `input.amount`. The payer is messaged straight away.
+   */
+  async createRequest(requesterId, input, { source = 'app' } = {}) {
+    const requester = await userService.getUserById(requesterId);
+    if (!requester) {
+      throw new Error('User not found');
+    }
+
+    const amount = roundAmount(input.amount);
+    const { minAmount, maxAmount, expiryHours, maxExpiryHours } = this.limits;
+    if (!(amount >= minAmount)) {
+      throw new Error(`The minimum request is ${formatAmount(minAmount)}`);
+    }
+    if (amount > maxAmount) {
+      throw new Error(`The maximum request is ${formatAmount(maxAmount)}`);
+    }
+
+    let payerPhone = null;
+    let payer = null;
+    if (input.payerPhone) {
+      try {
+        payerPhone = userService.cleanPhoneNumber(input.payerPhone);
+      } catch (error) {
+        throw new Error(`Invalid phone number: ${input.payerPhone}`);
+      }
+      if (payerPhone === requester.whatsappNumber) {
+        throw new Error("You can't request money from yourself");
+      }
+      try {
+        payer = await this.findUserByPhone(payerPhone);
+      } catch (error) {
+        logger.warn('Could not look up payment request payer', { error: error.message });
+      }
+    }
+
+    const hours = Math.min(parseInt(input.expiresInHours, 10) || expiryHours, maxExpiryHours);
+    const note = input.note ? String(input.note).trim().slice(0, 140) : null;
+
+    const request = await this.insertRequest({
+      id: uuidv4(),
+      requesterId,
+      payerUserId: payer ? payer.id : null,
+      payerPhone,
+      amount,
+      note: note || null,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+      reminderCount: 0,
+      source
+    });
+
+    logger.info('Payment request created', { requestId: request.id, requesterId, payerUserId: request.payerUserId, amount, source });
+
+    if (payerPhone) {
+      await this.sendToPayer(request, requester, { reminder: false });
+    }
+    return { request, payer, payLink: this.getPayLink(request) };
+  }
+
+  /**
+   * Pay a request from the payer's wallet. Keyed on the request, so a
+   * second tap or a retried app call can never pay it twice.
+   */
+  async payRequest(payerId, requestId, pin) {
+    const payer = await userService.getUserById(payerId);
+    const request = await this.getPayableRequest(payer, requestId);
+    // Part payments by bank transfer leave only the rest to pay
+    const amount = outstandingAmount(request);
+
+    const result = await idempotencyService.execute({
+      userId: payerId,
+      scope: 'payment_request',
+      key: request.id,
+      payload: { requestId: request.id, amount }
+    }, async () => {
+      await userService.validateUserPin(payerId, pin);
+
+      const walletService = require('./wallet');
+      const transfer = await walletService.transferBetweenWallets(payerId, request.requesterId, amount,
+        request.note ? `Payment request: ${request.note}` : 'Payment request');
+
+      const paid = await this.markPaid(request, {
+        paymentMethod: 'wallet',
+        payerUserId: payerId,
+        paidByName: this.displayName(payer),
+        transactionReference: transfer.reference,
+        amountPaid: roundAmount(request.amount)
+      });
+      if (!paid) {
+        // Settled by bank transfer while this payment was moving; support refunds one of them
+        logger.warn('Payment request closed before wallet payment was recorded', { requestId: request.id, reference: transfer.reference });
+      }
+      return { requestId: request.id, reference: transfer.reference, amount, status: paid ? 'paid' : 'pending' };
+    });
+
+    const current = await this.findRequest(request.id);
+    if (result.status === 'paid') {
+      await this.notifyRequester(current, '✅ Payment request paid',
+        `${this.displayName(payer) || payer.whatsappNumber} paid your request of ${formatAmount(current.amount)}${current.note ? ` for *${current.note}*` : ''}.`);
+    }
+    return { request: current, reference: result.reference, amount: result.amount };
+  }
+
+  async declineRequest(payerId, requestId) {
+    const payer = await userService.getUserById(payerId);
+    const request = await this.getPayableRequest(payer, requestId);
+    if (!request.payerPhone) {
+      throw new Error('An open pay link cannot be declined');
+    }
+
+    const declined = await this.closeRequest(request, 'declined');
+    logger.info('Payment request declined', { requestId: request.id, payerId });
+
+    await this.notifyRequester(declined, '🙅 Payment request declined',
+      `${this.displayName(payer) || payer.whatsappNumber} declined your request of ${formatAmount(request.amount)}${request.note ? ` for *${request.note}*` : ''}.`);
+    return declined;
+  }
+
+  async cancelRequest(requesterId, requestId) {
+    const request = await this.findRequest(requestId);
+    if (!request || request.requesterId !== requesterId) {
+      throw new Error('Payment request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`This request is already ${request.status}`);
+    }
+
+    const cancelled = await this.closeRequest(request, 'cancelled');
+    logger.info('Payment request cancelled', { requestId: request.id, requesterId });
+    return cancelled;
+  }
+
+  // The pending request `user` may pay: theirs by user or phone, or an open link
+  async getPayableRequest(user, requestId) {
+    if (!user) {
+      throw new Error('User not found');
+    }
+    const request = await this.findRequest(requestId);
+    if (!request || request.requesterId === user.id || !this.isPayer(request, user)) {
+      throw new Error('Payment request not found');
+    }
+    if (request.status === 'pending' && new Date(request.expiresAt) <= new Date()) {
+      throw new Error('This request has expired');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`This request is already ${request.status}`);
+    }
+    return request;
+  }
+
+  isPayer(request, user) {
+    if (!request.payerPhone) return true;
+    return request.payerUserId === user.id || request.payerPhone === user.whatsappNumber;
+  }
+
+  // ===== Bank transfers into the requester's account =====
+
+  /**
+   * Called after a bank transfer lands in a user's virtual account. The
+   * request whose code is in the narration takes the credit, part payment
+   * or not. Without a code only an exact match for what is still owed
+   * counts, and only on an open link or from a sender named like the
+   * payer, so a stranger's transfer cannot settle someone else's request.
+   * Never throws: the credit itself has already succeeded.
+   */
+  async handleIncomingCredit(userId, { amount, reference, narration, senderName } = {}) {
+    try {
+      const pending = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('paymentRequests')
+          .select('*')
+          .eq('requesterId', userId)
+          .eq('status', 'pending')
+          .gt('expiresAt', new Date().toISOString())
+          .order('createdAt', { ascending: true });
+        if (error) throw error;
+        return data || [];
+      });
+      if (pending.length === 0) return null;
+
+      const text = String(narration || '').toUpperCase();
+      const credited = roundAmount(amount);
+      const request = pending.find(candidate => text.includes(candidate.code)) ||
+        await this.matchByAmount(pending, credited, senderName);
+      if (!request) return null;
+
+      const outcome = await this.recordPayment(request, {
+        amount: credited,
+        reference: reference || null,
+        senderName: senderName || null,
+        receivedAt: new Date().toISOString()
+      });
+      if (!outcome) return null;
+
+      const { request: updated, settled, outstanding } = outcome;
+      if (!settled) {
+        logger.info('Part payment recorded against payment request', { requestId: request.id, amount: credited, outstanding });
+        await this.notifyRequester(updated, '💸 Part payment received',
+          `${senderName || 'Someone'} sent ${formatAmount(credited)} towards your request of ${formatAmount(request.amount)}. ` +
+          `${formatAmount(updated.amountPaid)} paid so far, ${formatAmount(outstanding)} to go.`);
+        return updated;
+      }
+
+      logger.info('Payment request settled by bank transfer', { requestId: request.id, amount: credited, reference });
+      const payments = updated.payments || [];
+      await this.notifyRequester(updated, '✅ Payment request paid', payments.length > 1
+        ? `${senderName || 'Someone'} sent the last ${formatAmount(credited)} by bank transfer, so your request${request.note ? ` for *${request.note}*` : ''} of ${formatAmount(request.amount)} is fully paid.`
+        : `${senderName || 'Someone'} paid ${formatAmount(credited)} by bank transfer for your request${request.note ? ` for *${request.note}*` : ''}.`);
+      return updated;
+    } catch (error) {
+      logger.error('Failed to match bank transfer to payment request', { error: error.message, userId, reference });
+      return null;
+    }
+  }
+
+  // The oldest request still owed exactly `credited` that this sender may pay
+  async matchByAmount(pending, credited, senderName) {
+    for (const candidate of pending) {
+      if (outstandingAmount(candidate) !== credited) continue;
+      if (!candidate.payerPhone) return candidate;
+      if (!senderName || !candidate.payerUserId) continue;
+      const payer = await userService.getUserById(candidate.payerUserId);
+      if (payer && namesMatch(payer, senderName)) return candidate;
+    }
+    return null;
+  }
+
+  // ===== Queries =====
+
+  async listForUser(user, { role = 'all', status = null, limit = 50 } = {}) {
+    const rows = await databaseService.executeWithRetry(async () => {
+      let query = supabase.from('paymentRequests').select('*');
+      if (role === 'outgoing') {
+        query = query.eq('requesterId', user.id);
+      } else if (role === 'incoming') {
+        query = query.or(`payerUserId.eq.${user.id},payerPhone.eq.${user.whatsappNumber}`);
+      } else {
+        query = query.or(`requesterId.eq.${user.id},payerUserId.eq.${user.id},payerPhone.eq.${user.whatsappNumber}`);
+      }
+      if (status) query = query.eq('status', status);
+      const { data, error } = await query.order('createdAt', { ascending: false }).limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+
+    // Open links asked of nobody in particular only show for the requester
+    return rows.filter(request => request.requesterId === user.id || request.payerPhone);
+  }
+
+  async getRequestForUser(user, requestId) {
+    const request = await this.findRequest(requestId);
+    if (!request || (request.requesterId !== user.id && !(request.payerPhone && this.isPayer(request, user)))) {
+      throw new Error('Payment request not found');
+    }
+    return request;
+  }
+
+  async getByCode(code) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('paymentRequests')
+        .select('*')
+        .eq('code', String(code || '').toUpperCase())
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  getPayLink(request) {
+    return `${this.limits.payLinkBaseUrl}/${request.code}`;
+  }
+
+  // PNG buffer (default) or SVG string of the pay link
+  async getQrCode(request, { format = 'png' } = {}) {
+    const link = this.getPayLink(request);
+    if (format === 'svg') {
+      return QRCode.toString(link, { type: 'svg', margin: 2 });
+    }
+    return QRCode.toBuffer(link, { type: 'png', width: 360, margin: 2 });
+  }
+
+  /**
+   * What the public pay link page shows: who is asking, how much, and the
+   * account to transfer to. Nothing about the payer.
+   */
+  async getPublicDetails(code) {
+    const request = await this.getByCode(code);
+    if (!request) {
+      throw new Error('Payment request not found');
+    }
+
+    const requester = await userService.getUserById(request.requesterId);
+    const walletService = require('./wallet');
+    const wallet = await walletService.getUserWallet(request.requesterId);
+    const expired = request.status === 'pending' && new Date(request.expiresAt) <= new Date();
+    const status = expired ? 'expired' : request.status;
+    // A collection account opened for this request beats the static account plus narration
+    const collectionAccount = status === 'pending'
+      ? await require('./collectionAccount').findOpenForPaymentRequest(request.id)
+      : null;
+
+    return {
+      code: request.code,
+      amount: parseFloat(request.amount),
+      note: request.note,
+      status,
+      requesterName: requester ? this.displayName(requester) : null,
+      expiresAt: request.expiresAt,
+      paidAt: request.paidAt,
+      payLink: this.getPayLink(request),
+      bankTransfer: collectionAccount
+        ? {
+          accountNumber: collectionAccount.accountNumber,
+          bankName: collectionAccount.bankName,
+          accountName: collectionAccount.accountName,
+          narration: request.code,
+          expiresAt: collectionAccount.expiresAt
+        }
+        : status === 'pending' && wallet?.virtualAccountNumber
+        ? {
+          accountNumber: wallet.virtualAccountNumber,
+          bankName: wallet.virtualAccountBank,
+          accountName: wallet.virtualAccountName,
+          narration: request.code
+        }
+        : null
+    };
+  }
+
+  toPublic(request, user) {
+    return {
+      id: request.id,
+      code: request.code,
+      role: request.requesterId === user.id ? 'requester' : 'payer',
+      amount: parseFloat(request.amount),
+      note: request.note,
+      amountPaid: roundAmount(request.amountPaid || 0),
+      status: request.status,
+      payerPhone: request.payerPhone,
+      paymentMethod: request.paymentMethod,
+      paidByName: request.paidByName,
+      transactionReference: request.transactionReference,
+      expiresAt: request.expiresAt,
+      paidAt: request.paidAt,
+      createdAt: request.createdAt,
+      payLink: this.getPayLink(request)
+    };
+  }
+
+  displayName(user) {
+    return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.fullName || null;
+  }
+
+  // ===== Worker =====
+
+  /**
+   * Expire overdue requests and remind payers who have not answered. Each
+   * row is claimed with a conditional update, so overlapping runs neither
+   * double-remind nor double-expire.
+   */
+  async runMaintenance({ now = new Date() } = {}) {
+    const stats = { expired: 0, reminded: 0 };
+    const nowIso = now.toISOString();
+
+    const overdue = await this.findPending(query => query.lte('expiresAt', nowIso));
+    for (const request of overdue) {
+      const expired = await this.closeRequest(request, 'expired', { quiet: true });
+      if (!expired) continue;
+      stats.expired++;
+      await this.notifyRequester(expired, '⌛ Payment request expired',
+        `Your request of ${formatAmount(request.amount)}${request.note ? ` for *${request.note}*` : ''}${request.payerPhone ? ` to ${request.payerPhone}` : ''} expired unpaid.`);
+    }
+
+    const { reminderAfterHours, maxReminders } = this.limits;
+    const remindBefore = new Date(now.getTime() - reminderAfterHours * 60 * 60 * 1000).toISOString();
+    const due = await this.findPending(query => query
+      .gt('expiresAt', nowIso)
+      .not('payerPhone', 'is', null)
+      .lt('reminderCount', maxReminders)
+      .lte('createdAt', remindBefore));
+
+    for (const request of due) {
+      if (request.lastReminderAt && request.lastReminderAt > remindBefore) continue;
+      const claimed = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('paymentRequests')
+          .update({ reminderCount: request.reminderCount + 1, lastReminderAt: nowIso, updatedAt: nowIso })
+          .eq('id', request.id)
+          .eq('status', 'pending')
+          .eq('reminderCount', request.reminderCount)
+          .select('*');
+        if (error) throw error;
+        return (data || [])[0] || null;
+      });
+      if (!claimed) continue;
+
+      const requester = await userService.getUserById(request.requesterId);
+      if (requester) {
+        await this.sendToPayer(claimed, requester, { reminder: true });
+        stats.reminded++;
+      }
+    }
+
+    if (stats.expired || stats.reminded) {
+      logger.info('Payment request maintenance finished', stats);
+    }
+    return stats;
+  }
+
+  async findPending(filter) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await filter(supabase
+        .from('paymentRequests')
+        .select('*')
+        .eq('status', 'pending'))
+        .limit(this.batchSize);
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  // ===== Persistence =====
+
+  async findRequest(id) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('paymentRequests')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  // userService.getUserByWhatsappNumber still goes through the retired
+  // Sequelize models, so the payer is looked up here
+  async findUserByPhone(phone) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('whatsappNumber', phone)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  // Retries once with a fresh code if the random one is already taken
+  async insertRequest(row) {
+    for (let attempt = 0; ; attempt++) {
+      const now = new Date().toISOString();
+      const { data, error } = await databaseService.executeWithRetry(async () => supabase
+        .from('paymentRequests')
+        .insert({ ...row, code: generateCode(), createdAt: now, updatedAt: now })
+        .select('*')
+        .single());
+      if (!error) return data;
+      if (error.code !== UNIQUE_VIOLATION || attempt > 0) throw error;
+    }
+  }
+
+  /**
+   * Add a bank transfer to a pending request, settling it once the payments
+   * cover the amount. Uses a compare-and-set on amountPaid so two credits
+   * landing together both count. Returns null if the request was closed.
+   */
+  async recordPayment(request, payment) {
+    for (let attempt = 1; attempt <= this.maxUpdateAttempts; attempt++) {
+      const current = await this.findRequest(request.id);
+      if (!current || current.status !== 'pending') return null;
+
+      const amountPaid = roundAmount(roundAmount(current.amountPaid || 0) + payment.amount);
+      const settled = amountPaid >= roundAmount(current.amount);
+      const now = new Date().toISOString();
+      const updated = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('paymentRequests')
+          .update({
+            amountPaid,
+            payments: [...(current.payments || []), payment],
+            ...(settled ? {
+              status: 'paid',
+              paidAt: now,
+              paymentMethod: 'bank_transfer',
+              paidByName: payment.senderName,
+              transactionReference: payment.reference
+            } : {}),
+            updatedAt: now
+          })
+          .eq('id', current.id)
+          .eq('status', 'pending')
+          .eq('amountPaid', current.amountPaid)
+          .select('*');
+        if (error) throw error;
+        return (data || [])[0] || null;
+      });
+
+      if (updated) {
+        return { request: updated, settled, outstanding: outstandingAmount(updated) };
+      }
+      logger.info('Payment request changed while recording payment, retrying', { requestId: request.id, attempt });
+    }
+    throw new Error('Could not record payment request payment');
+  }
+
+  // Pending → paid; returns null if something else settled or closed it first
+  async markPaid(request, fields) {
+    const now = new Date().toISOString();
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('paymentRequests')
+        .update({ ...fields, status: 'paid', paidAt: now, updatedAt: now })
+        .eq('id', request.id)
+        .eq('status', 'pending')
+        .select('*');
+      if (error) throw error;
+      return (data || [])[0] || null;
+    });
+  }
+
+  async closeRequest(request, status, { quiet = false } = {}) {
+    const now = new Date().toISOString();
+    const closed = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('paymentRequests')
+        .update({ status, closedAt: now, updatedAt: now })
+        .eq('id', request.id)
+        .eq('status', 'pending')
+        .select('*');
+      if (error) throw error;
+      return (data || [])[0] || null;
+    });
+    if (!closed && !quiet) {
+      const current = await this.findRequest(request.id);
+      throw new Error(`This request is already ${current ? current.status : 'closed'}`);
+    }
+    return closed;
+  }
+
+  // ===== Messages =====
+
+  async sendToPayer(request, requester, { reminder }) {
+    const from = this.displayName(requester) || requester.whatsappNumber;
+    const expires = new Date(request.expiresAt).toLocaleDateString('en-GB', { timeZone: 'Africa/Lagos' });
+    const due = outstandingAmount(request);
+    const intro = `${reminder ? '⏰ *Reminder: payment request*' : '💸 *Payment request*'}\n\n${from} is asking you for *${formatAmount(due)}*${request.note ? ` for ${request.note}` : ''}.\nExpires ${expires}.`;
+
+    try {
+      const payer = request.payerUserId ? await userService.getUserById(request.payerUserId) : null;
+      if (payer) {
+        await messaging.sendButtonMessage(request.payerPhone, `${intro}\n\nPaying moves the money from your MiiMii wallet.`, [
+          { id: `payreq_pay_${request.id}`, title: `Pay ${formatAmount(due)}` },
+          { id: `payreq_decline_${request.id}`, title: 'Decline' }
+        ]);
+        if (!reminder) {
+          await this.createNotification(payer.id, {
+            type: 'transaction_pending',
+            title: '💸 Payment request',
+            message: `${from} is asking you for ${formatAmount(request.amount)}`,
+            data: { paymentRequestId: request.id }
+          });
+        }
+      } else {
+        await messaging.sendTextMessage(request.payerPhone,
+          `${intro}\n\nPay by bank transfer here: ${this.getPayLink(request)}\n\nOr reply *hi* to open a free MiiMii wallet and pay right here on WhatsApp.`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send payment request', { error: error.message, requestId: request.id });
+    }
+  }
+
+  async notifyRequester(request, title, message) {
+    await this.createNotification(request.requesterId, {
+      type: request.status === 'paid' ? 'transaction_success' : 'system_announcement',
+      title,
+      message: message.replace(/\*/g, ''),
+      data: { paymentRequestId: request.id }
+    });
+    try {
+      const requester = await userService.getUserById(request.requesterId);
+      if (requester?.whatsappNumber) {
+        await messaging.sendTextMessage(requester.whatsappNumber, `${title}\n\n${message}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to message payment requester', { error: error.message, requestId: request.id });
+    }
+  }
+
+  async createNotification(userId, { type, title, message, data, priority = 'normal' }) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.createNotification(userId, {
+        type,
+        title,
+        message,
+        data,
+        priority,
+        actionUrl: `/payment-requests/${data.paymentRequestId}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create payment request notification', { error: error.message, userId });
+    }
+  }
+}
+
+module.exports = new PaymentRequestService();
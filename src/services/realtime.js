@@ -0,0 +1,246 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Real-time updates for the mobile app
+ *
+ * A Socket.IO namespace authenticated with the same JWT as mobileAuth.
+ * Each socket joins a room for its user, and services push to that room:
+ * assistant replies and typing state while a chat turn runs, wallet balance
+ * changes, transaction status changes and new notifications. The app can
+ * also send chat messages over the socket instead of POST /chat/send.
+ *
+ * With REDIS_URL set the Redis adapter fans events out across instances,
+ * so a webhook handled on one instance reaches a socket held by another.
+ * Processes that never attach a server (the maintenance worker) emit
+ * nothing; the app still sees those changes on its next fetch.
+ */
+
+const EVENTS = {
+  CHAT_MESSAGE: 'chat:message',
+  CHAT_TYPING: 'chat:typing',
+  CHAT_SEND: 'chat:send',
+  WALLET_BALANCE: 'wallet:balance',
+  TRANSACTION_STATUS: 'transaction:status',
+  NOTIFICATION_NEW: 'notification:new',
+  NOTIFICATION_UNREAD_COUNT: 'notification:unread-count'
+};
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function handshakeToken(handshake) {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+  const header = handshake.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.split(' ')[1] : null;
+}
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.namespace = null;
+    this.redisClients = [];
+  }
+
+  get events() {
+    return EVENTS;
+  }
+
+  isAttached() {
+    return this.namespace !== null;
+  }
+
+  attach(httpServer, { isAllowedOrigin = () => true } = {}) {
+    const settings = config.getRealtimeConfig();
+    if (!settings.enabled) {
+      logger.info('Real-time updates disabled');
+      return null;
+    }
+
+    const { Server } = require('socket.io');
+    this.io = new Server(httpServer, {
+      path: settings.path,
+      cors: {
+        origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+        credentials: true
+      }
+    });
+
+    this.namespace = this.io.of(settings.namespace);
+    this.namespace.use((socket, next) => this.authenticate(socket, next));
+    this.namespace.on('connection', (socket) => this.onConnection(socket));
+
+    this.attachRedisAdapter().catch(error => {
+      logger.warn('Socket.IO Redis adapter unavailable, events stay on this instance', { error: error.message });
+    });
+
+    logger.info('Real-time namespace ready', { namespace: settings.namespace, path: settings.path });
+    return this.namespace;
+  }
+
+  async attachRedisAdapter() {
+    const redisUrl = process.env.REDIS_URL;
+    if (!redisUrl) {
+      return false;
+    }
+
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: redisUrl });
+    const subClient = pubClient.duplicate();
+    for (const client of [pubClient, subClient]) {
+      client.on('error', (error) => logger.warn('Socket.IO Redis client error', { error: error.message }));
+    }
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    this.redisClients = [pubClient, subClient];
+    this.io.adapter(createAdapter(pubClient, subClient));
+
+    logger.info('Socket.IO Redis adapter attached');
+    return true;
+  }
+
+  // Same checks as mobileAuth, against the token in the handshake
+  async authenticate(socket, next) {
+    try {
+      const token = handshakeToken(socket.handshake);
+      if (!token) {
+        return next(new Error('Authorization token missing'));
+      }
+
+      if (!process.env.MOBILE_JWT_SECRET) {
+        logger.error('MOBILE_JWT_SECRET is not configured');
+        return next(new Error('Mobile auth is not configured'));
+      }
+
+      const payload = jwt.verify(token, process.env.MOBILE_JWT_SECRET);
+      const userService = require('./user');
+      const user = await userService.getUserById(payload.userId);
+
+      if (!user || !user.isActive || user.isBanned) {
+        return next(new Error('User not authorized'));
+      }
+
+      socket.data.user = user;
+      socket.data.expiresAt = payload.exp;
+      return next();
+    } catch (error) {
+      logger.warn('Real-time authentication failed', { error: error.message });
+      return next(new Error(
+        error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError'
+          ? 'Invalid or expired token'
+          : 'Authentication failed'
+      ));
+    }
+  }
+
+  onConnection(socket) {
+    const user = socket.data.user;
+    socket.join(userRoom(user.id));
+
+    // Drop the socket when its token runs out rather than keep it forever
+    if (socket.data.expiresAt) {
+      const remaining = socket.data.expiresAt * 1000 - Date.now();
+      const timer = setTimeout(() => socket.disconnect(true), Math.max(0, remaining));
+      socket.on('disconnect', () => clearTimeout(timer));
+    }
+
+    socket.on(EVENTS.CHAT_SEND, async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        // Replies stream to the room as they are written; the ack carries the full turn
+        const mobileMessageProcessor = require('./mobileMessageProcessor');
+        const userService = require('./user');
+        const currentUser = await userService.getUserById(user.id);
+        const result = await mobileMessageProcessor.sendMessage(currentUser || user, data?.message);
+
+        respond({
+          success: result.success,
+          reply: result.reply,
+          intent: result.intent,
+          requiresAction: result.requiresAction,
+          actionData: result.actionData,
+          error: result.error
+        });
+      } catch (error) {
+        logger.error('Real-time chat send failed', { error: error.message, userId: user.id });
+        respond({ success: false, error: 'Failed to process message' });
+      }
+    });
+
+    logger.info('Real-time client connected', { userId: user.id, socketId: socket.id });
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.namespace || !userId) {
+      return false;
+    }
+
+    try {
+      this.namespace.to(userRoom(userId)).emit(event, payload);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to emit real-time event', { error: error.message, userId, event });
+      return false;
+    }
+  }
+
+  publishBalance(wallet) {
+    return this.emitToUser(wallet.userId, EVENTS.WALLET_BALANCE, {
+      walletId: wallet.id,
+      balance: parseFloat(wallet.balance || 0),
+      availableBalance: parseFloat(wallet.availableBalance || 0),
+      ledgerBalance: parseFloat(wallet.ledgerBalance || 0),
+      pendingBalance: parseFloat(wallet.pendingBalance || 0),
+      currency: wallet.currency,
+      updatedAt: wallet.updatedAt
+    });
+  }
+
+  publishTransactionStatus(transaction) {
+    return this.emitToUser(transaction.userId, EVENTS.TRANSACTION_STATUS, {
+      id: transaction.id,
+      reference: transaction.reference,
+      type: transaction.type,
+      category: transaction.category,
+      amount: parseFloat(transaction.amount || 0),
+      totalAmount: parseFloat(transaction.totalAmount || 0),
+      status: transaction.status,
+      failureReason: transaction.failureReason || null,
+      updatedAt: transaction.updatedAt
+    });
+  }
+
+  async publishNotification(notification) {
+    if (!this.namespace) {
+      return false;
+    }
+
+    this.emitToUser(notification.userId, EVENTS.NOTIFICATION_NEW, notification);
+    try {
+      const notificationService = require('./notificationService');
+      const unreadCount = await notificationService.getUnreadCount(notification.userId);
+      this.emitToUser(notification.userId, EVENTS.NOTIFICATION_UNREAD_COUNT, { unreadCount });
+    } catch (error) {
+      logger.warn('Failed to publish unread notification count', { error: error.message, userId: notification.userId });
+    }
+    return true;
+  }
+
+  async close() {
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+    }
+    await Promise.all(this.redisClients.map(client => client.quit().catch(() => {})));
+    this.io = null;
+    this.namespace = null;
+    this.redisClients = [];
+  }
+}
+
+module.exports = new RealtimeService();
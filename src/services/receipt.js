@@ -2,6 +2,11 @@ const fs = require('fs');
 const path = require('path');
 const { createCanvas, loadImage, registerFont } = require('canvas');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
+const receiptVerification = require('./receiptVerification');
+
+// Strip under the footer holding the QR code and verification code
+const VERIFICATION_HEIGHT = 120;
 
 class ReceiptService {
   constructor() {
@@ -53,6 +58,38 @@ class ReceiptService {
     }
   }
 
+  // A receipt for a transaction we can't find still renders, just unverifiable
+  async getVerification(transactionData) {
+    try {
+      return await receiptVerification.issueForReference(transactionData.reference);
+    } catch (error) {
+      logger.warn('Failed to issue receipt verification code', { error: error.message, reference: transactionData.reference });
+      return null;
+    }
+  }
+
+  async drawVerification(ctx, verification, top, t) {
+    ctx.fillStyle = '#f4f6f8';
+    ctx.fillRect(0, this.scaleValue(top), this.scaleValue(400), this.scaleValue(VERIFICATION_HEIGHT));
+
+    const qrCode = await loadImage(verification.qrCode);
+    ctx.drawImage(qrCode, this.scaleValue(30), this.scaleValue(top + 12), this.scaleValue(96), this.scaleValue(96));
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${this.scaleValue(11)}px Outfit, Arial`;
+    ctx.fillText(t('receipt.verify_title'), this.scaleValue(142), this.scaleValue(top + 34));
+
+    ctx.fillStyle = '#666666';
+    ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
+    ctx.fillText(t('receipt.verify_hint'), this.scaleValue(142), this.scaleValue(top + 52));
+    ctx.fillText(verification.url.replace(/^https?:\/\//, ''), this.scaleValue(142), this.scaleValue(top + 66), this.scaleValue(230));
+
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${this.scaleValue(16)}px Outfit, Arial`;
+    ctx.fillText(verification.code, this.scaleValue(142), this.scaleValue(top + 94));
+  }
+
   async generateReceipt(transactionData) {
     try {
       const {
@@ -67,9 +104,12 @@ class ReceiptService {
         charges = 0,
         discount = 0
       } = transactionData;
+      const t = (key, params) => i18n.t(transactionData.language, key, params);
+      const verification = await this.getVerification(transactionData);
+      const height = 600 + (verification ? VERIFICATION_HEIGHT : 0);
 
       // Create high-quality canvas
-      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(600));
+      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(height));
       const ctx = canvas.getContext('2d');
       
       // Enable high-quality rendering
@@ -78,7 +118,7 @@ class ReceiptService {
 
       // Set background
       ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(600));
+      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(height));
 
       // Header
       ctx.fillStyle = '#ff0000';
@@ -110,12 +150,12 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `bold italic ${this.scaleValue(28)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Transaction Receipt', this.scaleValue(200), this.scaleValue(120));
+      ctx.fillText(t('receipt.title'), this.scaleValue(200), this.scaleValue(120));
 
       // Generated date
       ctx.font = `${this.scaleValue(12)}px Outfit, Arial`;
       ctx.fillStyle = '#666666';
-      ctx.fillText(`Generated from The MiiMii AI on ${date}`, this.scaleValue(200), this.scaleValue(140));
+      ctx.fillText(t('receipt.generated_on', { date }), this.scaleValue(200), this.scaleValue(140));
 
       // Content area background
       ctx.fillStyle = '#f0f8f0';
@@ -123,16 +163,16 @@ class ReceiptService {
 
       // Transaction details
       const details = [
-        { label: 'Transaction Amount', value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
-        { label: 'Transaction Type', value: transactionType || 'Bank Transfer' },
-        { label: 'Transaction Date', value: date },
-        { label: 'Sender', value: sender || 'N/A' },
-        { label: 'Beneficiary', value: beneficiary || 'N/A' },
-        { label: 'Bank', value: transactionData.recipientBank || 'Rubies MFB' },
-        { label: 'Remark', value: remark || 'N/A' },
-        { label: 'Transaction Fee', value: `₦ ${parseFloat(charges || 0).toLocaleString()}.00` },
-        { label: 'Transaction Reference', value: reference },
-        { label: 'Transaction Status', value: status }
+        { label: t('receipt.amount'), value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
+        { label: t('receipt.type'), value: transactionType || t('receipt.type.bank_transfer') },
+        { label: t('receipt.date'), value: date },
+        { label: t('receipt.sender'), value: sender || 'N/A' },
+        { label: t('receipt.beneficiary'), value: beneficiary || 'N/A' },
+        { label: t('receipt.bank'), value: transactionData.recipientBank || 'Rubies MFB' },
+        { label: t('receipt.remark'), value: remark || 'N/A' },
+        { label: t('receipt.fee'), value: `₦ ${parseFloat(charges || 0).toLocaleString()}.00` },
+        { label: t('receipt.reference'), value: reference },
+        { label: t('receipt.status'), value: status }
       ];
 
       let yPos = this.scaleValue(180);
@@ -164,7 +204,7 @@ class ReceiptService {
       ctx.fillStyle = '#666666';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Support: contactcenter@chatmiimii.com', this.scaleValue(200), this.scaleValue(520));
+      ctx.fillText(t('receipt.support'), this.scaleValue(200), this.scaleValue(520));
 
       // Red line
       ctx.strokeStyle = '#ff0000';
@@ -178,7 +218,7 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      const brandMessage = 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp';
+      const brandMessage = t('receipt.brand');
       // Split into multiple lines if needed (max ~50 chars per line)
       const words = brandMessage.split(' ');
       let line = '';
@@ -197,6 +237,10 @@ class ReceiptService {
         ctx.fillText(line.trim(), this.scaleValue(200), yPos);
       }
 
+      if (verification) {
+        await this.drawVerification(ctx, verification, 600, t);
+      }
+
       // Convert to buffer
       const buffer = canvas.toBuffer('image/jpeg', { quality: 1.0 });
       
@@ -231,9 +275,12 @@ class ReceiptService {
         status = 'Successful',
         discount = 0
       } = transactionData;
+      const t = (key, params) => i18n.t(transactionData.language, key, params);
+      const verification = await this.getVerification(transactionData);
+      const height = 600 + (verification ? VERIFICATION_HEIGHT : 0);
 
       // Create high-quality canvas
-      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(600));
+      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(height));
       const ctx = canvas.getContext('2d');
       
       // Enable high-quality rendering
@@ -242,7 +289,7 @@ class ReceiptService {
 
       // Set background
       ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(600));
+      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(height));
 
       // Header
       ctx.fillStyle = '#ff0000';
@@ -274,12 +321,12 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `bold italic ${this.scaleValue(28)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Transaction Receipt', this.scaleValue(200), this.scaleValue(120));
+      ctx.fillText(t('receipt.title'), this.scaleValue(200), this.scaleValue(120));
 
       // Generated date
       ctx.font = `${this.scaleValue(12)}px Outfit, Arial`;
       ctx.fillStyle = '#666666';
-      ctx.fillText(`Generated from The MiiMii AI on ${date}`, this.scaleValue(200), this.scaleValue(140));
+      ctx.fillText(t('receipt.generated_on', { date }), this.scaleValue(200), this.scaleValue(140));
 
       // Content area background
       ctx.fillStyle = '#f0f8f0';
@@ -287,13 +334,13 @@ class ReceiptService {
 
       // Transaction details (removed discount as requested)
       const details = [
-        { label: 'Transaction Amount', value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
-        { label: 'Transaction Type', value: 'Airtime Purchase' },
-        { label: 'Transaction Date', value: date },
-        { label: 'Network', value: network },
-        { label: 'Phone Number', value: phoneNumber },
-        { label: 'Transaction Reference', value: reference },
-        { label: 'Transaction Status', value: status }
+        { label: t('receipt.amount'), value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
+        { label: t('receipt.type'), value: t('receipt.type.airtime') },
+        { label: t('receipt.date'), value: date },
+        { label: t('receipt.network'), value: network },
+        { label: t('receipt.phone'), value: phoneNumber },
+        { label: t('receipt.reference'), value: reference },
+        { label: t('receipt.status'), value: status }
       ];
 
       let yPos = this.scaleValue(180);
@@ -325,7 +372,7 @@ class ReceiptService {
       ctx.fillStyle = '#666666';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Support: contactcenter@chatmiimii.com', this.scaleValue(200), this.scaleValue(520));
+      ctx.fillText(t('receipt.support'), this.scaleValue(200), this.scaleValue(520));
 
       // Red line
       ctx.strokeStyle = '#ff0000';
@@ -339,7 +386,7 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      const brandMessage = 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp';
+      const brandMessage = t('receipt.brand');
       // Split into multiple lines if needed (max ~50 chars per line)
       const words = brandMessage.split(' ');
       let line = '';
@@ -358,6 +405,10 @@ class ReceiptService {
         ctx.fillText(line.trim(), this.scaleValue(200), yPos);
       }
 
+      if (verification) {
+        await this.drawVerification(ctx, verification, 600, t);
+      }
+
       // Convert to buffer
       const buffer = canvas.toBuffer('image/jpeg', { quality: 1.0 });
       
@@ -394,9 +445,12 @@ class ReceiptService {
         status = 'Successful',
         discount = 0
       } = transactionData;
+      const t = (key, params) => i18n.t(transactionData.language, key, params);
+      const verification = await this.getVerification(transactionData);
+      const height = 600 + (verification ? VERIFICATION_HEIGHT : 0);
 
       // Create high-quality canvas
-      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(600));
+      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(height));
       const ctx = canvas.getContext('2d');
       
       // Enable high-quality rendering
@@ -405,7 +459,7 @@ class ReceiptService {
 
       // Set background
       ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(600));
+      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(height));
 
       // Header
       ctx.fillStyle = '#ff0000';
@@ -435,12 +489,12 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `bold italic ${this.scaleValue(28)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Transaction Receipt', this.scaleValue(200), this.scaleValue(120));
+      ctx.fillText(t('receipt.title'), this.scaleValue(200), this.scaleValue(120));
 
       // Generated date
       ctx.font = `${this.scaleValue(12)}px Outfit, Arial`;
       ctx.fillStyle = '#666666';
-      ctx.fillText(`Generated from The MiiMii AI on ${date}`, this.scaleValue(200), this.scaleValue(140));
+      ctx.fillText(t('receipt.generated_on', { date }), this.scaleValue(200), this.scaleValue(140));
 
       // Content area background
       ctx.fillStyle = '#f0f8f0';
@@ -448,14 +502,14 @@ class ReceiptService {
 
       // Transaction details
       const details = [
-        { label: 'Transaction Amount', value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
-        { label: 'Transaction Type', value: 'Data Purchase' },
-        { label: 'Transaction Date', value: date },
-        { label: 'Network', value: network },
-        { label: 'Phone Number', value: phoneNumber },
-        { label: 'Data Plan', value: dataPlan },
-        { label: 'Transaction Reference', value: reference },
-        { label: 'Transaction Status', value: status }
+        { label: t('receipt.amount'), value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
+        { label: t('receipt.type'), value: t('receipt.type.data') },
+        { label: t('receipt.date'), value: date },
+        { label: t('receipt.network'), value: network },
+        { label: t('receipt.phone'), value: phoneNumber },
+        { label: t('receipt.data_plan'), value: dataPlan },
+        { label: t('receipt.reference'), value: reference },
+        { label: t('receipt.status'), value: status }
       ];
 
       let yPos = this.scaleValue(180);
@@ -487,7 +541,7 @@ class ReceiptService {
       ctx.fillStyle = '#666666';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Support: contactcenter@chatmiimii.com', this.scaleValue(200), this.scaleValue(520));
+      ctx.fillText(t('receipt.support'), this.scaleValue(200), this.scaleValue(520));
 
       // Red line
       ctx.strokeStyle = '#ff0000';
@@ -501,7 +555,7 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      const brandMessage = 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp';
+      const brandMessage = t('receipt.brand');
       // Split into multiple lines if needed (max ~50 chars per line)
       const words = brandMessage.split(' ');
       let line = '';
@@ -520,6 +574,10 @@ class ReceiptService {
         ctx.fillText(line.trim(), this.scaleValue(200), yPos);
       }
 
+      if (verification) {
+        await this.drawVerification(ctx, verification, 600, t);
+      }
+
       // Convert to buffer
       const buffer = canvas.toBuffer('image/jpeg', { quality: 1.0 });
       
@@ -558,9 +616,12 @@ class ReceiptService {
         status = 'Successful',
         token = null
       } = transactionData;
+      const t = (key, params) => i18n.t(transactionData.language, key, params);
+      const verification = await this.getVerification(transactionData);
+      const height = 650 + (verification ? VERIFICATION_HEIGHT : 0);
 
       // Create high-quality canvas
-      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(650));
+      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(height));
       const ctx = canvas.getContext('2d');
       
       // Enable high-quality rendering
@@ -569,7 +630,7 @@ class ReceiptService {
 
       // Set background
       ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(650));
+      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(height));
 
       // Header
       ctx.fillStyle = '#ff0000';
@@ -599,12 +660,12 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `bold italic ${this.scaleValue(28)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Transaction Receipt', this.scaleValue(200), this.scaleValue(120));
+      ctx.fillText(t('receipt.title'), this.scaleValue(200), this.scaleValue(120));
 
       // Generated date
       ctx.font = `${this.scaleValue(12)}px Outfit, Arial`;
       ctx.fillStyle = '#666666';
-      ctx.fillText(`Generated from The MiiMii AI on ${date}`, this.scaleValue(200), this.scaleValue(140));
+      ctx.fillText(t('receipt.generated_on', { date }), this.scaleValue(200), this.scaleValue(140));
 
       // Content area background
       ctx.fillStyle = '#f0f8f0';
@@ -612,15 +673,15 @@ class ReceiptService {
 
       // Transaction details
       const details = [
-        { label: 'Transaction Amount', value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
-        { label: 'Transaction Type', value: 'Electricity Bill Payment' },
-        { label: 'Transaction Date', value: date },
-        { label: 'Disco', value: disco },
-        { label: 'Meter Type', value: meterType },
-        { label: 'Meter Number', value: meterNumber },
-        { label: 'Charges', value: `₦ ${parseFloat(charges).toLocaleString()}.00` },
-        { label: 'Transaction Reference', value: reference },
-        { label: 'Transaction Status', value: status }
+        { label: t('receipt.amount'), value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
+        { label: t('receipt.type'), value: t('receipt.type.electricity') },
+        { label: t('receipt.date'), value: date },
+        { label: t('receipt.disco'), value: disco },
+        { label: t('receipt.meter_type'), value: meterType },
+        { label: t('receipt.meter_number'), value: meterNumber },
+        { label: t('receipt.charges'), value: `₦ ${parseFloat(charges).toLocaleString()}.00` },
+        { label: t('receipt.reference'), value: reference },
+        { label: t('receipt.status'), value: status }
       ];
 
       let yPos = this.scaleValue(180);
@@ -654,7 +715,7 @@ class ReceiptService {
         ctx.fillStyle = '#333333';
         ctx.font = `bold ${this.scaleValue(10)}px Outfit, Arial`;
         ctx.textAlign = 'left';
-        ctx.fillText('Meter Token', 40, yPos);
+        ctx.fillText(t('receipt.meter_token'), 40, yPos);
 
         ctx.strokeStyle = '#cccccc';
         ctx.lineWidth = 1;
@@ -673,7 +734,7 @@ class ReceiptService {
       ctx.fillStyle = '#666666';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Support: contactcenter@chatmiimii.com', this.scaleValue(200), this.scaleValue(570));
+      ctx.fillText(t('receipt.support'), this.scaleValue(200), this.scaleValue(570));
 
       // Red line
       ctx.strokeStyle = '#ff0000';
@@ -687,7 +748,7 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      const brandMessage = 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp';
+      const brandMessage = t('receipt.brand');
       // Split into multiple lines if needed (max ~50 chars per line)
       const words = brandMessage.split(' ');
       let line = '';
@@ -706,6 +767,10 @@ class ReceiptService {
         ctx.fillText(line.trim(), this.scaleValue(200), yPos);
       }
 
+      if (verification) {
+        await this.drawVerification(ctx, verification, 650, t);
+      }
+
       // Convert to buffer
       const buffer = canvas.toBuffer('image/jpeg', { quality: 1.0 });
       
@@ -745,9 +810,12 @@ class ReceiptService {
         status = 'Successful',
         senderName
       } = transactionData;
+      const t = (key, params) => i18n.t(transactionData.language, key, params);
+      const verification = await this.getVerification(transactionData);
+      const height = 650 + (verification ? VERIFICATION_HEIGHT : 0);
 
       // Create high-quality canvas
-      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(650));
+      const canvas = createCanvas(this.scaleValue(400), this.scaleValue(height));
       const ctx = canvas.getContext('2d');
       
       // Enable high-quality rendering
@@ -756,7 +824,7 @@ class ReceiptService {
 
       // Set background
       ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(650));
+      ctx.fillRect(0, 0, this.scaleValue(400), this.scaleValue(height));
 
       // Header
       ctx.fillStyle = '#ff0000';
@@ -786,12 +854,12 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `bold italic ${this.scaleValue(28)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Transaction Receipt', this.scaleValue(200), this.scaleValue(120));
+      ctx.fillText(t('receipt.title'), this.scaleValue(200), this.scaleValue(120));
 
       // Generated date
       ctx.font = `${this.scaleValue(12)}px Outfit, Arial`;
       ctx.fillStyle = '#666666';
-      ctx.fillText(`Generated from The MiiMii AI on ${date}`, this.scaleValue(200), this.scaleValue(140));
+      ctx.fillText(t('receipt.generated_on', { date }), this.scaleValue(200), this.scaleValue(140));
 
       // Content area background
       ctx.fillStyle = '#f0f8f0';
@@ -799,16 +867,16 @@ class ReceiptService {
 
       // Transaction details
       const details = [
-        { label: 'Transaction Amount', value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
-        { label: 'Transaction Type', value: type },
-        { label: 'Transaction Date', value: date },
-        { label: 'Recipient Name', value: recipientName },
-        { label: 'Recipient Bank', value: recipientBank },
-        { label: 'Recipient Account', value: recipientAccount },
-        { label: 'Transaction Fee', value: `₦ ${parseFloat(fee).toLocaleString()}.00` },
-        { label: 'Total Amount', value: `₦ ${parseFloat(totalAmount).toLocaleString()}.00` },
-        { label: 'Transaction Reference', value: reference },
-        { label: 'Transaction Status', value: status }
+        { label: t('receipt.amount'), value: `₦ ${parseFloat(amount).toLocaleString()}.00` },
+        { label: t('receipt.type'), value: type || t('receipt.type.bank_transfer') },
+        { label: t('receipt.date'), value: date },
+        { label: t('receipt.recipient_name'), value: recipientName },
+        { label: t('receipt.recipient_bank'), value: recipientBank },
+        { label: t('receipt.recipient_account'), value: recipientAccount },
+        { label: t('receipt.fee'), value: `₦ ${parseFloat(fee).toLocaleString()}.00` },
+        { label: t('receipt.total'), value: `₦ ${parseFloat(totalAmount).toLocaleString()}.00` },
+        { label: t('receipt.reference'), value: reference },
+        { label: t('receipt.status'), value: status }
       ];
 
       let yPos = this.scaleValue(180);
@@ -840,7 +908,7 @@ class ReceiptService {
       ctx.fillStyle = '#666666';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      ctx.fillText('Support: contactcenter@chatmiimii.com', this.scaleValue(200), this.scaleValue(570));
+      ctx.fillText(t('receipt.support'), this.scaleValue(200), this.scaleValue(570));
 
       // Red line
       ctx.strokeStyle = '#ff0000';
@@ -854,7 +922,7 @@ class ReceiptService {
       ctx.fillStyle = '#000000';
       ctx.font = `${this.scaleValue(9)}px Outfit, Arial`;
       ctx.textAlign = 'center';
-      const brandMessage = 'MiiMii is powered by a CBN licensed partner and insured by NDIC. Send money, buy airtime, buy data, pay your bills and cable subscription with just a chat all inside whatsapp';
+      const brandMessage = t('receipt.brand');
       // Split into multiple lines if needed (max ~50 chars per line)
       const words = brandMessage.split(' ');
       let line = '';
@@ -873,6 +941,10 @@ class ReceiptService {
         ctx.fillText(line.trim(), this.scaleValue(200), yPos);
       }
 
+      if (verification) {
+        await this.drawVerification(ctx, verification, 650, t);
+      }
+
       // Convert to buffer
       const buffer = canvas.toBuffer('image/jpeg', { quality: 1.0 });
       
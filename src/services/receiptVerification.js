@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+
+/**
+ * Receipt verification
+ *
+ * Every receipt carries a short code and a QR code pointing at
+ * /verify/<code>. The code is an HMAC of the transaction id under a server
+ * secret, stored on the transaction the first time a receipt is rendered,
+ * so the same transaction always gets the same code and nobody can mint one
+ * for a transaction that doesn't exist. The verify page reads amount, date,
+ * status and masked parties straight from `transactions`, so an edited
+ * screenshot doesn't match what the page shows.
+ */
+
+// Same alphabet as pay link codes: no 0/O or 1/I to misread off a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+const UNIQUE_VIOLATION = '23505';
+
+const CATEGORY_LABELS = {
+  wallet_funding: 'Wallet funding',
+  wallet_transfer: 'Wallet transfer',
+  bank_transfer: 'Bank transfer',
+  airtime_purchase: 'Airtime purchase',
+  data_purchase: 'Data purchase',
+  utility_payment: 'Bill payment',
+  bill_payment_electricity: 'Electricity bill payment',
+  bill_payment_cable: 'Cable TV subscription',
+  bill_payment_internet: 'Internet subscription',
+  bill_payment_water: 'Water bill payment',
+  refund: 'Refund'
+};
+
+// "Adaeze Okafor" → "Ad*** Ok***"
+function maskName(name) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return words.length ? words.map(word => `${word.slice(0, 2)}***`).join(' ') : null;
+}
+
+// Account and meter numbers keep their last four digits
+function maskNumber(value) {
+  const digits = String(value || '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits || null;
+}
+
+// 08031234567 → 080****4567
+function maskPhone(phoneNumber) {
+  const value = String(phoneNumber || '');
+  return value.length > 7 ? `${value.slice(0, -8)}****${value.slice(-4)}` : value || null;
+}
+
+function toAmount(value) {
+  return Math.round(parseFloat(value || 0) * 100) / 100;
+}
+
+class ReceiptVerificationService {
+  get limits() {
+    return config.getReceiptConfig();
+  }
+
+  // Never the JWT secret: a leaked or rotated APP_SECRET must not forge or void receipts
+  get secret() {
+    if (!this.limits.signingSecret) {
+      const error = new Error('Receipt verification is not configured');
+      error.statusCode = 503;
+      throw error;
+    }
+    return this.limits.signingSecret;
+  }
+
+  // ===== Codes =====
+
+  sign(transaction) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`receipt:${transaction.id}`).digest();
+    return Array.from(digest.subarray(0, CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  // Whatever the user typed: lower case, spaces and the dash we print
+  normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // ABCDE-FGHJK, as printed on the receipt
+  formatCode(code) {
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+
+  getVerifyLink(code) {
+    return `${this.limits.verifyBaseUrl}/${code}`;
+  }
+
+  async getQrCode(code) {
+    return QRCode.toBuffer(this.getVerifyLink(code), { type: 'png', width: 240, margin: 1 });
+  }
+
+  /**
+   * The transaction a receipt was drawn for. Receipts print our reference
+   * or, for VAS purchases, the provider's request-id.
+   */
+  async findReceiptTransaction(reference) {
+    if (!reference) return null;
+
+    for (const column of ['reference', 'providerReference']) {
+      const [match] = await databaseService.executeWithRetry(() =>
+        supabaseHelper.findAll('transactions', { [column]: reference }, { limit: 1 }));
+      if (match) return match;
+    }
+
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('metadata->>providerReference', reference)
+        .order('createdAt', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0] || null;
+    });
+  }
+
+  /**
+   * Code, link and QR code to print on the receipt for `reference`.
+   * Resolves to null when no transaction matches, so callers still render
+   * the receipt, just without the verification strip.
+   */
+  async issueForReference(reference) {
+    const transaction = await this.findReceiptTransaction(reference);
+    if (!transaction) {
+      logger.warn('No transaction for receipt, skipping verification code', { reference });
+      return null;
+    }
+
+    let code = transaction.verificationCode;
+    if (!code) {
+      code = this.sign(transaction);
+      const { error } = await supabase
+        .from('transactions')
+        .update({ verificationCode: code, updatedAt: new Date().toISOString() })
+        .eq('id', transaction.id);
+      if (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          // Ten characters from 32 make this vanishingly rare; the receipt goes out unverifiable
+          logger.error('Receipt verification code collision', { transactionId: transaction.id });
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    return {
+      code: this.formatCode(code),
+      url: this.getVerifyLink(code),
+      qrCode: await this.getQrCode(code)
+    };
+  }
+
+  // ===== Verifying =====
+
+  /**
+   * What /verify/:code shows: the transaction as it stands now, with both
+   * parties masked. Throws 'Receipt not found' for unknown or forged codes.
+   */
+  async verify(rawCode) {
+    const code = this.normalizeCode(rawCode);
+    if (code.length !== CODE_LENGTH) {
+      throw new Error('Receipt not found');
+    }
+
+    const transaction = await databaseService.executeWithRetry(() =>
+      supabaseHelper.findOne('transactions', { verificationCode: code }));
+    if (!transaction) {
+      throw new Error('Receipt not found');
+    }
+
+    // A code written into the row without our secret is not ours
+    const expected = Buffer.from(this.sign(transaction));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      logger.warn('Receipt verification code does not match its signature', { transactionId: transaction.id });
+      throw new Error('Receipt not found');
+    }
+
+    const user = await require('./user').getUserById(transaction.userId);
+    const userName = user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : null;
+    const metadata = transaction.metadata || {};
+    const recipientDetails = metadata.recipientDetails || {};
+
+    let sender;
+    let recipient;
+    if (transaction.type === 'credit') {
+      sender = { name: maskName(metadata.senderName), bank: metadata.senderBank || null };
+      recipient = { name: maskName(userName) };
+    } else {
+      sender = { name: maskName(userName) };
+      const phoneNumber = recipientDetails.phoneNumber || metadata.phoneNumber;
+      const meterNumber = recipientDetails.meterNumber || metadata.meterNumber;
+      if (phoneNumber) {
+        recipient = { phoneNumber: maskPhone(phoneNumber), network: recipientDetails.network || metadata.network || null };
+      } else if (meterNumber) {
+        recipient = { meterNumber: maskNumber(meterNumber), disco: recipientDetails.disco || metadata.disco || null };
+      } else {
+        recipient = {
+          name: maskName(transaction.beneficiaryName || recipientDetails.accountName),
+          accountNumber: maskNumber(transaction.beneficiaryAccount || recipientDetails.accountNumber),
+          bank: transaction.beneficiaryBank || recipientDetails.bankName || null
+        };
+      }
+    }
+
+    return {
+      code: this.formatCode(code),
+      reference: transaction.reference,
+      type: transaction.type,
+      category: transaction.category,
+      description: CATEGORY_LABELS[transaction.category] || 'Transaction',
+      amount: toAmount(transaction.amount),
+      fee: toAmount(transaction.fee),
+      totalAmount: toAmount(transaction.totalAmount),
+      currency: transaction.currency || 'NGN',
+      status: transaction.status,
+      date: transaction.processedAt || transaction.createdAt,
+      sender,
+      recipient,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new ReceiptVerificationService();
@@ -0,0 +1,610 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+
+/**
+ * Provider reconciliation
+ *
+ * Once a day each provider's statement is compared with our transactions
+ * table. Entries are matched by reference and amount and every pair lands
+ * in one of four buckets: matched, missing locally (the provider moved money
+ * we have no record of), missing at the provider (we recorded money the
+ * provider never moved) or amount mismatch. Each run is stored as a report
+ * with one row per item so finance can download it from the admin API.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lagos is UTC+1 all year round; report days follow the local calendar
+const LAGOS_OFFSET_MS = 60 * 60 * 1000;
+
+const CLASSIFICATIONS = ['matched', 'missing_locally', 'missing_at_provider', 'amount_mismatch'];
+
+// Local statuses that say money moved (or is still moving) at the provider
+const EXPECTED_AT_PROVIDER = ['completed', 'pending', 'processing'];
+const STUCK_STATUSES = ['pending', 'processing'];
+const FAILED_STATUSES = ['failed', 'cancelled', 'reversed'];
+
+const LOCAL_PAGE_SIZE = 1000;
+const ITEM_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'classification', 'reference', 'providerReference', 'transactionId', 'userId',
+  'localAmount', 'providerAmount', 'localStatus', 'providerStatus',
+  'stuck', 'statusMismatch', 'action', 'supportTicketId'
+];
+
+function reconciliationError(message, code, statusCode) {
+  const error = new Error(message);
+  error.name = 'ReconciliationError';
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normaliseStatus(value) {
+  const status = String(value || '').toLowerCase();
+  if (['00', 'success', 'successful', 'completed', 'approved'].includes(status)) return 'successful';
+  if (['failed', 'fail', 'declined', 'reversed', 'cancelled'].includes(status)) return 'failed';
+  return 'pending';
+}
+
+function compactKeys(values) {
+  return [...new Set(values.filter(Boolean).map(String))];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Statement sources. Each provider turns its own statement format into
+ * entries of { keys, reference, amount, status, accountNumber, raw }, says
+ * which local transactions it owns and, where the provider supports it,
+ * how to requery a stuck item. Amount is null when the statement does not
+ * carry one (Bilal callbacks), which skips the amount check.
+ */
+const PROVIDERS = {
+  rubies: {
+    // Every posted Rubies wallet movement shows up on the account statement
+    confirmsEveryTransaction: true,
+    ownsTransaction: (txn) => txn.metadata?.provider === 'rubies',
+    async fetchStatement(day, settings) {
+      const rubiesService = require('./rubies');
+      const entries = [];
+
+      for await (const wallet of this.rubiesWallets()) {
+        let lastFirstReference = null;
+        for (let page = 0; page < settings.maxStatementPages; page++) {
+          const result = await rubiesService.readWalletTransactions(wallet.virtualAccountNumber, day, day, page);
+          const rows = Array.isArray(result.data) ? result.data : (result.data?.content || result.data?.transactions || []);
+          const firstReference = rows[0] && (rows[0].reference || rows[0].paymentReference);
+          if (rows.length === 0 || firstReference === lastFirstReference) break;
+          lastFirstReference = firstReference;
+
+          for (const row of rows) {
+            entries.push({
+              keys: compactKeys([row.reference, row.paymentReference, row.contractReference, row.sessionId]),
+              reference: row.reference || row.paymentReference || row.contractReference,
+              amount: parseFloat(row.amount ?? row.transactionAmount ?? 0),
+              status: row.status ? normaliseStatus(row.status) : 'successful',
+              accountNumber: wallet.virtualAccountNumber,
+              userId: wallet.userId,
+              raw: row
+            });
+          }
+        }
+      }
+
+      return entries;
+    },
+    async *rubiesWallets() {
+      for (let offset = 0; ; offset += LOCAL_PAGE_SIZE) {
+        const wallets = await databaseService.executeWithRetry(async () => {
+          const { data, error } = await supabase
+            .from('wallets')
+            .select('id, userId, virtualAccountNumber')
+            .eq('virtualAccountBank', 'Rubies MFB')
+            .order('createdAt', { ascending: true })
+            .range(offset, offset + LOCAL_PAGE_SIZE - 1);
+
+          if (error) throw error;
+          return data || [];
+        });
+
+        for (const wallet of wallets) {
+          if (wallet.virtualAccountNumber) yield wallet;
+        }
+        if (wallets.length < LOCAL_PAGE_SIZE) return;
+      }
+    },
+    async requery(item) {
+      const rubiesService = require('./rubies');
+      const result = await rubiesService.queryTransactionStatus(item.reference);
+      const event = { ...result, reference: item.reference };
+
+      if (result.success) {
+        await rubiesService.handleTransferSuccess(event);
+        return { status: 'completed', responseCode: result.responseCode };
+      }
+      if (['14', '33'].includes(result.responseCode)) {
+        await rubiesService.handleTransferFailed(event);
+        return { status: 'failed', responseCode: result.responseCode };
+      }
+      return { status: 'unchanged', responseCode: result.responseCode, message: result.responseMessage };
+    }
+  },
+
+  bellbank: {
+    confirmsEveryTransaction: true,
+    ownsTransaction: (txn) => txn.metadata?.provider === 'bellbank',
+    async fetchStatement(day, settings) {
+      const bellBankService = require('./bellbank');
+      const date = new Date(`${day}T00:00:00Z`);
+      const entries = [];
+
+      for (let page = 1; page <= settings.maxStatementPages; page++) {
+        const result = await bellBankService.getAllTransactions(date, date, page, 100);
+        for (const row of result.transactions) {
+          entries.push({
+            keys: compactKeys([row.reference, row.externalReference, row.sessionId]),
+            reference: row.reference || row.externalReference,
+            amount: parseFloat(row.amount ?? 0),
+            status: normaliseStatus(row.status),
+            raw: row
+          });
+        }
+        if (page >= (result.pagination?.pages || 1)) break;
+      }
+
+      return entries;
+    },
+    async requery(item) {
+      const bellBankService = require('./bellbank');
+      const result = await bellBankService.requeryTransfer(item.providerReference || item.reference);
+      const status = normaliseStatus(result.status);
+      const data = { ...result, reference: item.providerReference || item.reference };
+
+      if (status === 'successful') {
+        await bellBankService.handleTransferCompleted({ data });
+        return { status: 'completed', providerStatus: result.status };
+      }
+      if (status === 'failed') {
+        await bellBankService.handleTransferFailed({ data });
+        return { status: 'failed', providerStatus: result.status };
+      }
+      return { status: 'unchanged', providerStatus: result.status };
+    }
+  },
+
+  bilal: {
+    // Bilal has no statement endpoint; its callbacks are the statement, and
+    // it does not call back for every purchase that succeeds synchronously
+    confirmsEveryTransaction: false,
+    ownsTransaction: (txn) => txn.metadata?.provider === 'bilal',
+    async fetchStatement(day) {
+      const { start, end } = dayWindow(day);
+      const logs = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('webhookLogs')
+          .select('id, payload, createdAt')
+          .eq('source', 'bilal')
+          .gte('createdAt', start.toISOString())
+          .lt('createdAt', end.toISOString());
+
+        if (error) throw error;
+        return data || [];
+      });
+
+      return logs
+        .map(log => log.payload?.body || {})
+        .filter(body => body['request-id'])
+        .map(body => ({
+          keys: [String(body['request-id'])],
+          reference: String(body['request-id']),
+          amount: null,
+          status: normaliseStatus(body.status),
+          raw: body
+        }));
+    }
+  }
+};
+
+function dayWindow(day) {
+  const start = new Date(new Date(`${day}T00:00:00Z`).getTime() - LAGOS_OFFSET_MS);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+class ReconciliationService {
+  constructor() {
+    this.providers = { ...PROVIDERS };
+  }
+
+  get classifications() {
+    return CLASSIFICATIONS;
+  }
+
+  // The Lagos calendar day before `now`, as YYYY-MM-DD
+  previousDay(now = new Date()) {
+    return new Date(now.getTime() + LAGOS_OFFSET_MS - DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Reconcile one day for each provider. Returns one stored report per
+   * provider; a provider whose statement cannot be fetched gets a failed
+   * report rather than stopping the others.
+   */
+  async reconcileDay(day, { providers, raiseTickets, autoRequery, triggeredBy = 'system' } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+      throw reconciliationError('Date must be in YYYY-MM-DD format', 'INVALID_DATE', 400);
+    }
+
+    const settings = config.getReconciliationConfig();
+    const names = providers && providers.length > 0 ? providers : Object.keys(this.providers);
+    const unknown = names.filter(name => !this.providers[name]);
+    if (unknown.length > 0) {
+      throw reconciliationError(`Unknown provider: ${unknown.join(', ')}`, 'UNKNOWN_PROVIDER', 400);
+    }
+
+    const options = {
+      raiseTickets: raiseTickets ?? settings.raiseTickets,
+      autoRequery: autoRequery ?? settings.autoRequery
+    };
+
+    const localTransactions = await this.getLocalTransactions(day);
+    const reports = [];
+    for (const name of names) {
+      reports.push(await this.reconcileProvider(name, day, localTransactions, { ...options, triggeredBy, settings }));
+    }
+    return reports;
+  }
+
+  async reconcileProvider(name, day, localTransactions, { raiseTickets, autoRequery, triggeredBy, settings }) {
+    const provider = this.providers[name];
+    const report = await databaseService.executeWithRetry(() => supabaseHelper.create('reconciliationReports', {
+      id: uuidv4(),
+      provider: name,
+      reportDate: day,
+      status: 'running',
+      options: { raiseTickets, autoRequery },
+      triggeredBy,
+      startedAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }));
+
+    try {
+      const entries = await provider.fetchStatement.call(provider, day, settings);
+      const items = await this.matchEntries(provider, entries, localTransactions, settings);
+
+      for (const item of items) {
+        if (autoRequery && item.stuck && provider.requery) {
+          await this.requeryItem(name, provider, item);
+        }
+        if (raiseTickets && this.needsAttention(item) && !this.settledByRequery(item)) {
+          await this.raiseTicket(name, day, report, item);
+        }
+      }
+
+      await this.saveItems(report, name, items);
+      const summary = this.summarise(items, entries.length);
+
+      const completed = await databaseService.executeWithRetry(() => supabaseHelper.update('reconciliationReports', {
+        status: 'completed',
+        summary,
+        completedAt: new Date().toISOString()
+      }, { id: report.id }));
+
+      logger.info('Provider reconciliation completed', { provider: name, day, reportId: report.id, ...summary.counts });
+      return completed || { ...report, status: 'completed', summary };
+    } catch (error) {
+      logger.error('Provider reconciliation failed', { provider: name, day, error: error.message });
+      await databaseService.executeWithRetry(() => supabaseHelper.update('reconciliationReports', {
+        status: 'failed',
+        errorMessage: error.message,
+        completedAt: new Date().toISOString()
+      }, { id: report.id }));
+      return { ...report, status: 'failed', errorMessage: error.message };
+    }
+  }
+
+  // Everything created on the day, failed ones included, so a provider
+  // entry for a transaction we marked failed still finds its pair
+  async getLocalTransactions(day) {
+    const { start, end } = dayWindow(day);
+    const transactions = [];
+
+    for (let offset = 0; ; offset += LOCAL_PAGE_SIZE) {
+      const page = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('transactions')
+          .select('id, reference, providerReference, userId, type, category, amount, totalAmount, status, metadata, createdAt')
+          .gte('createdAt', start.toISOString())
+          .lt('createdAt', end.toISOString())
+          .order('createdAt', { ascending: true })
+          .range(offset, offset + LOCAL_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        return data || [];
+      });
+
+      transactions.push(...page);
+      if (page.length < LOCAL_PAGE_SIZE) return transactions;
+    }
+  }
+
+  localKeys(txn) {
+    return compactKeys([txn.reference, txn.providerReference, txn.metadata?.requestId, txn.metadata?.providerReference]);
+  }
+
+  // A provider entry can settle a transaction we created the day before
+  async findTransactionByKeys(keys) {
+    for (const key of keys) {
+      for (const column of ['reference', 'providerReference']) {
+        const txn = await databaseService.executeWithRetry(() => supabaseHelper.findOne('transactions', { [column]: key }));
+        if (txn) return txn;
+      }
+    }
+    return null;
+  }
+
+  amountMatches(entry, txn, tolerance) {
+    if (entry.amount === null || entry.amount === undefined) return true;
+    return [txn.amount, txn.totalAmount]
+      .filter(value => value !== null && value !== undefined)
+      .some(value => Math.abs(parseFloat(value) - entry.amount) <= tolerance);
+  }
+
+  // Entries pair with any local transaction (wallet credits carry no
+  // provider tag); only the provider's own transactions can go missing there
+  async matchEntries(provider, entries, localTransactions, settings) {
+    const byKey = new Map();
+    for (const txn of localTransactions) {
+      for (const key of this.localKeys(txn)) {
+        if (!byKey.has(key)) byKey.set(key, txn);
+      }
+    }
+
+    const items = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      let txn = entry.keys.map(key => byKey.get(key)).find(Boolean) || null;
+      let crossDay = false;
+      if (!txn && entry.status === 'successful') {
+        txn = await this.findTransactionByKeys(entry.keys);
+        crossDay = Boolean(txn);
+      }
+
+      if (!txn) {
+        // A provider-side failure with nothing local is not money out of place
+        if (entry.status === 'successful') {
+          items.push(this.buildItem('missing_locally', entry, null));
+        }
+        continue;
+      }
+
+      seen.add(txn.id);
+      const classification = this.amountMatches(entry, txn, settings.amountTolerance) ? 'matched' : 'amount_mismatch';
+      items.push(this.buildItem(classification, entry, txn, { crossDay }));
+    }
+
+    for (const txn of localTransactions) {
+      if (seen.has(txn.id) || !provider.ownsTransaction(txn) || !EXPECTED_AT_PROVIDER.includes(txn.status)) continue;
+
+      const stuck = STUCK_STATUSES.includes(txn.status);
+      // Providers that only report some transactions can only prove the stuck ones
+      if (!provider.confirmsEveryTransaction && !stuck) continue;
+
+      items.push(this.buildItem('missing_at_provider', null, txn));
+    }
+
+    return items;
+  }
+
+  buildItem(classification, entry, txn, extra = {}) {
+    const providerStatus = entry ? entry.status : null;
+    const localStatus = txn ? txn.status : null;
+
+    return {
+      id: uuidv4(),
+      classification,
+      reference: txn?.reference || entry?.reference || null,
+      providerReference: entry?.reference || txn?.providerReference || null,
+      transactionId: txn?.id || null,
+      userId: txn?.userId || entry?.userId || null,
+      localAmount: txn ? parseFloat(txn.amount) : null,
+      providerAmount: entry && entry.amount !== null ? entry.amount : null,
+      localStatus,
+      providerStatus,
+      stuck: STUCK_STATUSES.includes(localStatus),
+      statusMismatch: Boolean(entry && txn) && (
+        (providerStatus === 'successful' && FAILED_STATUSES.includes(localStatus)) ||
+        (providerStatus === 'failed' && localStatus === 'completed')
+      ),
+      action: null,
+      actionResult: null,
+      supportTicketId: null,
+      providerEntry: entry ? entry.raw : null,
+      metadata: { ...extra, ...(entry?.accountNumber ? { accountNumber: entry.accountNumber } : {}) }
+    };
+  }
+
+  needsAttention(item) {
+    return item.classification !== 'matched' || item.statusMismatch;
+  }
+
+  settledByRequery(item) {
+    return item.action === 'requeried' && ['completed', 'failed'].includes(item.actionResult?.status);
+  }
+
+  async requeryItem(name, provider, item) {
+    try {
+      item.actionResult = await provider.requery.call(provider, item);
+      item.action = 'requeried';
+      logger.info('Reconciliation requeried stuck transaction', { provider: name, reference: item.reference, ...item.actionResult });
+    } catch (error) {
+      item.actionResult = { status: 'error', error: error.message };
+      logger.warn('Reconciliation requery failed', { provider: name, reference: item.reference, error: error.message });
+    }
+  }
+
+  // One open ticket per provider reference, however many runs see it
+  async raiseTicket(name, day, report, item) {
+    if (!item.userId) {
+      item.actionResult = { ...(item.actionResult || {}), ticket: 'skipped: no user to attach the ticket to' };
+      return;
+    }
+
+    const reconciliationKey = `${name}:${item.providerReference || item.reference}`;
+    try {
+      const existing = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('supportTickets')
+          .select('id')
+          .contains('metadata', { reconciliationKey })
+          .limit(1);
+
+        if (error) throw error;
+        return data && data[0];
+      });
+
+      if (existing) {
+        item.supportTicketId = existing.id;
+        return;
+      }
+
+      const label = item.statusMismatch && item.classification === 'matched'
+        ? 'status mismatch'
+        : item.classification.replace(/_/g, ' ');
+      const ticket = await databaseService.executeWithRetry(() => supabaseHelper.create('supportTickets', {
+        id: uuidv4(),
+        ticketNumber: `TKT-${Date.now()}-${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
+        userId: item.userId,
+        transactionId: item.transactionId,
+        type: 'technical',
+        priority: item.classification === 'amount_mismatch' || item.statusMismatch ? 'high' : 'medium',
+        status: 'open',
+        subject: `Reconciliation: ${label} (${name})`,
+        description: `${name} reconciliation for ${day} found ${label} on ${item.providerReference || item.reference}. ` +
+          `Local: ${item.localStatus || 'none'} ${item.localAmount ?? '-'}; provider: ${item.providerStatus || 'none'} ${item.providerAmount ?? '-'}.`,
+        metadata: {
+          source: 'reconciliation',
+          reconciliationKey,
+          reportId: report.id,
+          itemId: item.id
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }));
+
+      item.supportTicketId = ticket.id;
+      item.action = item.action || 'ticket_raised';
+    } catch (error) {
+      logger.warn('Failed to raise reconciliation ticket', { provider: name, reference: item.reference, error: error.message });
+    }
+  }
+
+  async saveItems(report, name, items) {
+    for (let i = 0; i < items.length; i += ITEM_BATCH_SIZE) {
+      const rows = items.slice(i, i + ITEM_BATCH_SIZE).map(item => ({
+        ...item,
+        reportId: report.id,
+        provider: name,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }));
+
+      await databaseService.executeWithRetry(async () => {
+        const { error } = await supabase.from('reconciliationItems').insert(rows);
+        if (error) throw error;
+      });
+    }
+  }
+
+  summarise(items, statementEntries) {
+    const counts = Object.fromEntries(CLASSIFICATIONS.map(name => [name, 0]));
+    const amounts = Object.fromEntries(CLASSIFICATIONS.map(name => [name, 0]));
+
+    for (const item of items) {
+      counts[item.classification]++;
+      amounts[item.classification] += item.providerAmount ?? item.localAmount ?? 0;
+    }
+
+    return {
+      statementEntries,
+      counts,
+      amounts: Object.fromEntries(Object.entries(amounts).map(([name, value]) => [name, Math.round(value * 100) / 100])),
+      stuck: items.filter(item => item.stuck).length,
+      statusMismatches: items.filter(item => item.statusMismatch).length,
+      requeried: items.filter(item => item.action === 'requeried').length,
+      ticketed: items.filter(item => item.supportTicketId).length
+    };
+  }
+
+  async listReports({ provider, date, limit = 20, offset = 0 } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('reconciliationReports')
+        .select('*', { count: 'exact' })
+        .order('reportDate', { ascending: false })
+        .order('createdAt', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (provider) query = query.eq('provider', provider);
+      if (date) query = query.eq('reportDate', date);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+      return { total: count || 0, reports: data || [] };
+    });
+  }
+
+  async getReport(reportId, { classification } = {}) {
+    const report = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('reconciliationReports', reportId));
+    if (!report) {
+      throw reconciliationError('Reconciliation report not found', 'REPORT_NOT_FOUND', 404);
+    }
+
+    const items = await databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('reconciliationItems')
+        .select('*')
+        .eq('reportId', reportId)
+        .order('classification', { ascending: true });
+
+      if (classification) query = query.eq('classification', classification);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    });
+
+    return { report, items };
+  }
+
+  toCsv(items) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const item of items) {
+      lines.push(CSV_COLUMNS.map(column => csvCell(item[column])).join(','));
+    }
+    return lines.join('\n');
+  }
+
+  // Daily worker entry point: yesterday, every provider, configured actions
+  async runDaily({ now = new Date() } = {}) {
+    const settings = config.getReconciliationConfig();
+    if (!settings.enabled) {
+      return [];
+    }
+
+    return this.reconcileDay(this.previousDay(now), { triggeredBy: 'worker' });
+  }
+}
+
+module.exports = new ReconciliationService();
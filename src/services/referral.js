@@ -0,0 +1,549 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+
+/**
+ * Referral programme
+ *
+ * Every user gets a referral code at signup. A new user who arrives with a
+ * code (in the signup body or the first WhatsApp message from a wa.me deep
+ * link) is recorded against the referrer. Once the referee has completed KYC
+ * and a first qualifying debit, the bonuses are paid as referral_bonus
+ * credits. Same-device and reused-BVN sign-ups are rejected instead of paid.
+ */
+
+const UNIQUE_VIOLATION = '23505';
+
+// No 0/O or 1/I so codes survive being read out or typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const QUALIFYING_CATEGORIES = [
+  'bank_transfer', 'wallet_transfer', 'airtime_purchase', 'data_purchase', 'utility_payment',
+  'bill_payment_electricity', 'bill_payment_cable', 'bill_payment_internet', 'bill_payment_water'
+];
+
+const REJECTION_MESSAGES = {
+  same_device: 'Signed up on the referrer\'s device',
+  device_reused: 'Device already used for another referral',
+  same_bvn: 'Same BVN as the referrer',
+  bvn_reused: 'BVN already rewarded for another referral',
+  referrer_inactive: 'Referrer account is inactive',
+  referrer_cap_reached: 'Referrer reached the referral reward limit'
+};
+
+class ReferralService {
+  constructor() {
+    // Codes are only accepted from users who signed up recently
+    this.captureWindowMs = 7 * 24 * 60 * 60 * 1000;
+    this.deepLinkText = 'Hi MiiMii! My referral code is';
+  }
+
+  generateReferralCode(name) {
+    const letters = String(name || '').toUpperCase().replace(/[^A-Z]/g, '');
+    const prefix = letters.length >= 3 ? letters.substring(0, 3) : 'MII';
+    let suffix = '';
+    const bytes = crypto.randomBytes(5);
+    for (let i = 0; i < bytes.length; i++) {
+      suffix += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return prefix + suffix;
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // "Hi MiiMii! My referral code is ADA7KQ2P" or "ref: ADA7KQ2P"
+  extractReferralCode(text) {
+    const match = String(text || '').match(/\bref(?:erral)?(?:\s*code)?(?:\s*is)?[\s:#-]+([A-Za-z0-9]{6,12})\b/i);
+    return match ? this.normalizeCode(match[1]) : null;
+  }
+
+  getReferralLink(code) {
+    const botNumber = String(config.getReferralConfig().botNumber || '').replace(/\D/g, '');
+    if (!botNumber || !code) return null;
+    return `https://wa.me/${botNumber}?text=${encodeURIComponent(`${this.deepLinkText} ${code}`)}`;
+  }
+
+  hashBvn(bvn) {
+    return bvn ? crypto.createHash('sha256').update(String(bvn)).digest('hex') : null;
+  }
+
+  /**
+   * Give the user a referral code if they have none. The update only applies
+   * while the code is still empty, so concurrent calls settle on one code.
+   */
+  async ensureReferralCode(user) {
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const code = this.generateReferralCode(user.firstName || user.fullName);
+      const { data, error } = await supabase
+        .from('users')
+        .update({ referralCode: code, updatedAt: new Date().toISOString() })
+        .eq('id', user.id)
+        .is('referralCode', null)
+        .select('referralCode');
+
+      if (error) {
+        if (error.code === UNIQUE_VIOLATION) continue;
+        throw error;
+      }
+
+      if (data && data[0]) {
+        user.referralCode = data[0].referralCode;
+        return user.referralCode;
+      }
+
+      // Someone else assigned one first
+      const current = await supabaseHelper.findByPk('users', user.id);
+      if (current?.referralCode) {
+        user.referralCode = current.referralCode;
+        return user.referralCode;
+      }
+    }
+
+    throw new Error('Could not assign a referral code');
+  }
+
+  async findReferrerByCode(code) {
+    const referralCode = this.normalizeCode(code);
+    if (!referralCode) return null;
+    return databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findOne('users', { referralCode });
+    });
+  }
+
+  async findReferralByReferee(refereeId) {
+    return databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findOne('referrals', { refereeId });
+    });
+  }
+
+  async findDeviceReuse(deviceId) {
+    if (!deviceId) return null;
+    return databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findOne('referrals', { refereeDeviceId: deviceId });
+    });
+  }
+
+  /**
+   * Record that `referee` signed up with `code`. Returns { captured, reason }.
+   * A sign-up from the referrer's own device (or a device that already earned
+   * a referral) is stored as rejected so it shows up, unpaid, in the list.
+   */
+  async captureReferral(referee, code, { channel = 'whatsapp', deviceId = null } = {}) {
+    try {
+      const referralCode = this.normalizeCode(code);
+      const referrer = await this.findReferrerByCode(referralCode);
+      if (!referrer) {
+        return { captured: false, reason: 'invalid_code' };
+      }
+      if (referrer.id === referee.id) {
+        return { captured: false, reason: 'self_referral' };
+      }
+      if (referee.referredBy || await this.findReferralByReferee(referee.id)) {
+        return { captured: false, reason: 'already_referred' };
+      }
+      if (referee.createdAt && Date.now() - new Date(referee.createdAt).getTime() > this.captureWindowMs) {
+        return { captured: false, reason: 'not_new_user' };
+      }
+
+      const refereeDeviceId = deviceId || referee.deviceInfo?.deviceId || null;
+      let rejectionReason = null;
+      if (refereeDeviceId && referrer.deviceInfo?.deviceId === refereeDeviceId) {
+        rejectionReason = 'same_device';
+      } else if (await this.findDeviceReuse(refereeDeviceId)) {
+        rejectionReason = 'device_reused';
+      }
+
+      const now = new Date().toISOString();
+      // Not wrapped in executeWithRetry: refereeId is unique and a retried
+      // insert that had landed would look like a second referral
+      const { data: referral, error } = await supabase
+        .from('referrals')
+        .insert({
+          id: uuidv4(),
+          referrerId: referrer.id,
+          refereeId: referee.id,
+          referralCode,
+          channel,
+          status: rejectionReason ? 'rejected' : 'pending',
+          rejectionReason,
+          refereeDeviceId,
+          createdAt: now,
+          updatedAt: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          return { captured: false, reason: 'already_referred' };
+        }
+        throw error;
+      }
+
+      if (!rejectionReason) {
+        await databaseService.executeWithRetry(async () => {
+          const { error: updateError } = await supabase
+            .from('users')
+            .update({ referredBy: referrer.id, updatedAt: now })
+            .eq('id', referee.id);
+          if (updateError) throw updateError;
+        });
+        referee.referredBy = referrer.id;
+        await this.refreshReferralCount(referrer.id);
+      }
+
+      logger.info('Referral captured', {
+        referralId: referral.id,
+        referrerId: referrer.id,
+        refereeId: referee.id,
+        channel,
+        rejectionReason
+      });
+
+      return { captured: !rejectionReason, reason: rejectionReason, referral, referrer };
+    } catch (error) {
+      logger.error('Failed to capture referral', { error: error.message, refereeId: referee.id, code });
+      throw error;
+    }
+  }
+
+  // Counted rather than incremented so concurrent sign-ups cannot lose one
+  async refreshReferralCount(referrerId) {
+    await databaseService.executeWithRetry(async () => {
+      const { count, error } = await supabase
+        .from('referrals')
+        .select('id', { count: 'exact', head: true })
+        .eq('referrerId', referrerId)
+        .neq('status', 'rejected');
+      if (error) throw error;
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({ totalReferrals: count || 0, updatedAt: new Date().toISOString() })
+        .eq('id', referrerId);
+      if (updateError) throw updateError;
+    });
+  }
+
+  isQualifyingTransaction(transaction) {
+    const { minQualifyingAmount } = config.getReferralConfig();
+    return !!transaction &&
+      transaction.type === 'debit' &&
+      transaction.status === 'completed' &&
+      QUALIFYING_CATEGORIES.includes(transaction.category) &&
+      parseFloat(transaction.amount) >= minQualifyingAmount;
+  }
+
+  async findQualifyingTransaction(userId) {
+    const { minQualifyingAmount } = config.getReferralConfig();
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('id, reference, type, category, amount, status, createdAt')
+        .eq('userId', userId)
+        .eq('type', 'debit')
+        .eq('status', 'completed')
+        .in('category', QUALIFYING_CATEGORIES)
+        .gte('amount', minQualifyingAmount)
+        .order('createdAt', { ascending: true })
+        .limit(1);
+      if (error) throw error;
+      return (data && data[0]) || null;
+    });
+  }
+
+  // Anti-abuse checks run again at payout, when the referee's BVN is known
+  async findRejectionReason(referral, referrer, referee) {
+    const { maxRewardedReferrals } = config.getReferralConfig();
+
+    if (!referrer || !referrer.isActive || referrer.isBanned) {
+      return 'referrer_inactive';
+    }
+
+    const refereeDeviceId = referral.refereeDeviceId || referee.deviceInfo?.deviceId;
+    if (refereeDeviceId && referrer.deviceInfo?.deviceId === refereeDeviceId) {
+      return 'same_device';
+    }
+
+    if (referee.bvn && referrer.bvn && referee.bvn === referrer.bvn) {
+      return 'same_bvn';
+    }
+
+    const bvnHash = this.hashBvn(referee.bvn);
+    if (bvnHash) {
+      const reused = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('referrals')
+          .select('id')
+          .eq('refereeBvnHash', bvnHash)
+          .eq('status', 'rewarded')
+          .neq('id', referral.id)
+          .limit(1);
+        if (error) throw error;
+        return data && data[0];
+      });
+      if (reused) return 'bvn_reused';
+    }
+
+    const rewarded = await databaseService.executeWithRetry(async () => {
+      const { count, error } = await supabase
+        .from('referrals')
+        .select('id', { count: 'exact', head: true })
+        .eq('referrerId', referrer.id)
+        .eq('status', 'rewarded');
+      if (error) throw error;
+      return count || 0;
+    });
+    if (rewarded >= maxRewardedReferrals) {
+      return 'referrer_cap_reached';
+    }
+
+    return null;
+  }
+
+  async updateReferral(referral, changes, { fromStatus = 'pending' } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('referrals')
+        .update({ ...changes, updatedAt: new Date().toISOString() })
+        .eq('id', referral.id)
+        .eq('status', fromStatus)
+        .select();
+      if (error) throw error;
+      return (data && data[0]) || null;
+    });
+  }
+
+  /**
+   * Pay the referral for `refereeId` if it is pending and the referee now
+   * qualifies. `transaction` is the debit that triggered the check, if any.
+   * Returns the rewarded referral, or null when nothing was paid.
+   */
+  async evaluateReferral(refereeId, { transaction = null } = {}) {
+    const referral = await this.findReferralByReferee(refereeId);
+    if (!referral || referral.status !== 'pending') {
+      return null;
+    }
+
+    const userService = require('./user');
+    const referee = await userService.getUserById(refereeId);
+    if (referee.kycStatus !== 'verified') {
+      return null;
+    }
+
+    const qualifying = this.isQualifyingTransaction(transaction)
+      ? transaction
+      : await this.findQualifyingTransaction(refereeId);
+    if (!qualifying) {
+      return null;
+    }
+
+    const referrer = await databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findByPk('users', referral.referrerId);
+    });
+
+    const rejectionReason = await this.findRejectionReason(referral, referrer, referee);
+    if (rejectionReason) {
+      await this.updateReferral(referral, {
+        status: 'rejected',
+        rejectionReason,
+        refereeBvnHash: this.hashBvn(referee.bvn),
+        qualifyingTransactionId: qualifying.id
+      });
+      await this.refreshReferralCount(referral.referrerId);
+      logger.warn('Referral rejected at payout', { referralId: referral.id, rejectionReason });
+      return null;
+    }
+
+    const { referrerBonus, refereeBonus } = config.getReferralConfig();
+
+    // The status change is the claim: a concurrent evaluation finds the
+    // referral already rewarded and pays nothing
+    const claimed = await this.updateReferral(referral, {
+      status: 'rewarded',
+      rewardedAt: new Date().toISOString(),
+      qualifyingTransactionId: qualifying.id,
+      refereeBvnHash: this.hashBvn(referee.bvn),
+      referrerReward: referrerBonus,
+      refereeReward: refereeBonus
+    });
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      await this.payBonus(claimed, 'referrer', referrer.id, referrerBonus,
+        `Referral bonus - ${referee.firstName || 'your friend'} joined MiiMii`);
+      if (refereeBonus > 0) {
+        await this.payBonus(claimed, 'referee', referee.id, refereeBonus, 'Welcome bonus for joining with a referral');
+      }
+    } catch (error) {
+      // Back to pending so the next sweep retries; the idempotency key stops
+      // a bonus that was already paid from being paid again
+      await this.updateReferral(claimed, { status: 'pending', rewardedAt: null }, { fromStatus: 'rewarded' })
+        .catch(revertError => {
+          logger.error('CRITICAL: Failed to reopen referral after bonus payout failed', {
+            referralId: referral.id,
+            error: error.message,
+            revertError: revertError.message
+          });
+        });
+      throw error;
+    }
+
+    logger.info('Referral rewarded', {
+      referralId: referral.id,
+      referrerId: referrer.id,
+      refereeId,
+      referrerBonus,
+      refereeBonus,
+      qualifyingTransaction: qualifying.reference
+    });
+
+    await this.notifyReward(referrer, referee, claimed);
+    return claimed;
+  }
+
+  async payBonus(referral, role, userId, amount, description) {
+    const idempotencyService = require('./idempotency');
+    const walletService = require('./wallet');
+    return idempotencyService.execute({
+      userId,
+      scope: 'referral_bonus',
+      key: `${referral.id}:${role}`,
+      payload: { amount }
+    }, async () => {
+      const { transaction } = await walletService.creditWallet(userId, amount, description, {
+        category: 'referral_bonus',
+        referralId: referral.id,
+        role
+      });
+      return { reference: transaction?.reference };
+    });
+  }
+
+  async notifyReward(referrer, referee, referral) {
+    try {
+      if (referrer.whatsappNumber) {
+        await messaging.sendTextMessage(referrer.whatsappNumber,
+          `🎉 *Referral Bonus*\n\n${referee.firstName || 'Your friend'} just made their first transaction on MiiMii. ₦${parseFloat(referral.referrerReward).toLocaleString()} has been added to your wallet.\n\nSay "my referrals" to see everyone you've invited.`);
+      }
+      if (parseFloat(referral.refereeReward) > 0 && referee.whatsappNumber) {
+        await messaging.sendTextMessage(referee.whatsappNumber,
+          `🎁 *Welcome Bonus*\n\nThanks for joining MiiMii with a referral. ₦${parseFloat(referral.refereeReward).toLocaleString()} has been added to your wallet.`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send referral reward message', { error: error.message, referralId: referral.id });
+    }
+  }
+
+  // Called after a wallet debit; never lets a referral problem fail the payment
+  async handleCompletedTransaction(userId, transaction) {
+    try {
+      if (!this.isQualifyingTransaction(transaction)) return;
+      await this.evaluateReferral(userId, { transaction });
+    } catch (error) {
+      logger.error('Referral evaluation failed', { error: error.message, userId, reference: transaction?.reference });
+    }
+  }
+
+  // Worker sweep for referees who qualified through a path without the hook
+  async processPendingReferrals({ limit = 200 } = {}) {
+    const pending = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('referrals')
+        .select('refereeId')
+        .eq('status', 'pending')
+        .order('createdAt', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+
+    let rewarded = 0;
+    for (const { refereeId } of pending) {
+      try {
+        if (await this.evaluateReferral(refereeId)) rewarded++;
+      } catch (error) {
+        logger.error('Failed to evaluate pending referral', { error: error.message, refereeId });
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info('Pending referrals processed', { checked: pending.length, rewarded });
+    }
+    return { checked: pending.length, rewarded };
+  }
+
+  maskName(user) {
+    const first = user?.firstName || (user?.fullName || '').split(' ')[0];
+    if (first) {
+      const last = user.lastName ? ` ${user.lastName.charAt(0)}.` : '';
+      return `${first}${last}`;
+    }
+    const number = String(user?.whatsappNumber || '');
+    return number ? `${number.slice(0, 4)}****${number.slice(-3)}` : 'New user';
+  }
+
+  async getReferralSummary(user) {
+    const referralCode = await this.ensureReferralCode(user);
+
+    const referrals = await databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findAll('referrals', { referrerId: user.id }, {
+        order: [['createdAt', 'DESC']]
+      });
+    });
+
+    const refereeIds = referrals.map(referral => referral.refereeId);
+    const referees = refereeIds.length === 0 ? [] : await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('users')
+        .select('id, firstName, lastName, fullName, whatsappNumber, kycStatus')
+        .in('id', refereeIds);
+      if (error) throw error;
+      return data || [];
+    });
+    const refereeById = new Map(referees.map(referee => [referee.id, referee]));
+
+    const { referrerBonus, minQualifyingAmount } = config.getReferralConfig();
+    const list = referrals.map(referral => {
+      const referee = refereeById.get(referral.refereeId);
+      return {
+        id: referral.id,
+        name: this.maskName(referee),
+        channel: referral.channel,
+        status: referral.status,
+        rejectionReason: referral.rejectionReason ? REJECTION_MESSAGES[referral.rejectionReason] || referral.rejectionReason : null,
+        kycCompleted: referee?.kycStatus === 'verified',
+        reward: parseFloat(referral.referrerReward || 0),
+        rewardedAt: referral.rewardedAt,
+        createdAt: referral.createdAt
+      };
+    });
+
+    return {
+      referralCode,
+      referralLink: this.getReferralLink(referralCode),
+      bonusPerReferral: referrerBonus,
+      minQualifyingAmount,
+      totalReferrals: list.filter(referral => referral.status !== 'rejected').length,
+      rewardedReferrals: list.filter(referral => referral.status === 'rewarded').length,
+      pendingReferrals: list.filter(referral => referral.status === 'pending').length,
+      totalEarned: list.reduce((sum, referral) => sum + (referral.status === 'rewarded' ? referral.reward : 0), 0),
+      referrals: list
+    };
+  }
+}
+
+module.exports = new ReferralService();
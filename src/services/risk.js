@@ -0,0 +1,1115 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const config = require('../config');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const redisClient = require('../utils/redis');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+
+/**
+ * Transaction risk engine
+ *
+ * Every debit is scored by a set of rules before any money moves. A rule
+ * returns a score between 0 and 1 with a reason; scores combine as
+ * 1 - Π(1 - s), so several weak signals add up without ever passing 1.
+ * The combined score decides whether the debit goes ahead, needs a second
+ * factor (a WhatsApp OTP, or the PIN for users who switched PIN prompts
+ * off), or is held as pending_approval for an admin to review.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Lagos is UTC+1 all year round
+const LAGOS_OFFSET_MS = HOUR_MS;
+
+const HISTORY_DAYS = 90;
+const HISTORY_LIMIT = 200;
+
+// Money moved between the user's own pots says nothing about fraud
+const INTERNAL_CATEGORIES = ['savings_deposit', 'fee_charge', 'maintenance_fee'];
+
+const SERVICE_LABELS = {
+  bank_transfer: 'transfer',
+  airtime: 'airtime purchase',
+  data: 'data purchase',
+  bilal_data: 'data purchase',
+  bill: 'bill payment',
+  virtual_card: 'card funding'
+};
+
+// Re-run a screened request once it has been cleared. Required lazily since
+// these services all screen through this module.
+const EXECUTORS = {
+  bank_transfer: (userId, request, options) =>
+    require('./bankTransfer').processBankTransfer(userId, request.transferData, null, options),
+  airtime: (userId, request, options) =>
+    require('./airtime').purchaseAirtime(userId, request.phoneNumber, request.network, request.amount, null, options),
+  data: (userId, request, options) =>
+    require('./data').purchaseData(userId, request.phoneNumber, request.network, request.planId, null, options),
+  // WhatsApp data flows buy straight from Bilal
+  bilal_data: async (userId, request, options) => {
+    const user = await require('./user').getUserById(userId);
+    return require('./bilal').purchaseData(user, { ...request.dataData, ...options }, request.userPhoneNumber);
+  },
+  bill: (userId, request, options) =>
+    require('./utility').payBill(userId, request.category, request.provider, request.customerNumber, request.amount, null, request.planId || null,
+      { ...options, meterType: request.meterType }),
+  virtual_card: (userId, request, options) =>
+    require('./virtualCard').fundCard(userId, request.cardId, request.amount, null, options)
+};
+
+// Executors whose service holds funds before paying: an approved request
+// takes the reviewed money over as its hold instead of holding it again
+const FUNDS_HOLD_SERVICES = ['bank_transfer', 'airtime', 'data', 'bilal_data', 'bill'];
+
+function riskError(message, code, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.name = 'RiskError';
+  error.code = code;
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+}
+
+function lastTenDigits(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '').slice(-10);
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function formatNaira(amount) {
+  return `₦${parseFloat(amount).toLocaleString()}`;
+}
+
+const BUILT_IN_RULES = [
+  {
+    name: 'velocity',
+    evaluate({ history, now }) {
+      const since = (ms) => history.filter(txn => now - new Date(txn.createdAt) <= ms).length;
+      const burst = since(10 * MINUTE_MS);
+      const daily = since(DAY_MS);
+
+      if (burst >= 5) return { score: 0.6, reason: `${burst} debits in the last 10 minutes` };
+      if (daily >= 15) return { score: 0.4, reason: `${daily} debits in the last 24 hours` };
+      if (burst >= 3) return { score: 0.35, reason: `${burst} debits in the last 10 minutes` };
+      if (daily >= 10) return { score: 0.2, reason: `${daily} debits in the last 24 hours` };
+      return null;
+    }
+  },
+  {
+    name: 'new_beneficiary',
+    async evaluate(context) {
+      if (await context.isKnownCounterparty()) return null;
+
+      const { amount } = context;
+      if (amount >= 50000) return { score: 0.4, reason: 'Large payment to a first-time recipient' };
+      if (amount >= 20000) return { score: 0.3, reason: 'Payment to a first-time recipient' };
+      return { score: 0.15, reason: 'Payment to a first-time recipient' };
+    }
+  },
+  {
+    name: 'pin_reset',
+    evaluate({ user, history, amount, now }) {
+      if (!user.pinSetAt) return null;
+
+      const pinSetAt = new Date(user.pinSetAt);
+      // A PIN set within an hour of sign-up is the first PIN, not a reset
+      const isReset = pinSetAt - new Date(user.createdAt) > HOUR_MS;
+      if (!isReset || now - pinSetAt > DAY_MS) return null;
+      if (history.some(txn => new Date(txn.createdAt) > pinSetAt)) return null;
+
+      return {
+        score: amount >= 20000 ? 0.6 : 0.45,
+        reason: 'First debit since the PIN was reset'
+      };
+    }
+  },
+  {
+    name: 'unusual_amount',
+    evaluate({ history, amount }) {
+      const amounts = history
+        .filter(txn => txn.status === 'completed')
+        .map(txn => parseFloat(txn.totalAmount || txn.amount || 0));
+
+      if (amounts.length === 0) {
+        if (amount >= 50000) return { score: 0.4, reason: 'Large first debit with no history' };
+        if (amount >= 20000) return { score: 0.2, reason: 'First debit with no history' };
+        return null;
+      }
+
+      // Small payments are never unusual enough to bother the user
+      if (amount < 5000 || amounts.length < 3) return null;
+
+      const average = amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+      const largest = Math.max(...amounts);
+      if (amount > largest * 2 && amount > average * 5) {
+        return { score: 0.5, reason: `Amount is more than twice the largest recent debit (${formatNaira(largest)})` };
+      }
+      if (amount > largest && amount > average * 3) {
+        return { score: 0.3, reason: `Amount is well above the usual ${formatNaira(Math.round(average))}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'night_spike',
+    evaluate({ history, amount, now }) {
+      const lagosHour = new Date(now.getTime() + LAGOS_OFFSET_MS).getUTCHours();
+      if (lagosHour >= 5) return null;
+
+      const lastHour = history.filter(txn => now - new Date(txn.createdAt) <= HOUR_MS).length;
+      const large = amount >= 20000;
+      if (large && lastHour >= 2) return { score: 0.45, reason: 'Several large debits between midnight and 5am' };
+      if (large) return { score: 0.3, reason: 'Large debit between midnight and 5am' };
+      if (lastHour >= 2) return { score: 0.3, reason: 'Several debits between midnight and 5am' };
+      return null;
+    }
+  }
+];
+
+class RiskService {
+  constructor() {
+    this.rules = [...BUILT_IN_RULES];
+    this.executors = { ...EXECUTORS };
+  }
+
+  /**
+   * Add a rule. `evaluate(context)` may be async and returns
+   * { score, reason } or null when the rule has nothing to say.
+   */
+  registerRule(rule) {
+    if (!rule || !rule.name || typeof rule.evaluate !== 'function') {
+      throw new Error('A risk rule needs a name and an evaluate function');
+    }
+    this.rules = this.rules.filter(existing => existing.name !== rule.name).concat(rule);
+  }
+
+  challengeKey(userId) {
+    return `risk:challenge:${userId}`;
+  }
+
+  describe(service, amount) {
+    return `${SERVICE_LABELS[service] || 'payment'} of ${formatNaira(amount)}`;
+  }
+
+  // Recent debits, without the mirror records debitWallet writes for a
+  // transaction that already has its own record
+  async loadHistory(userId, now) {
+    const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS).toISOString();
+    const rows = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('id, category, amount, totalAmount, status, createdAt, metadata')
+        .eq('userId', userId)
+        .eq('type', 'debit')
+        .in('status', ['pending', 'processing', 'completed'])
+        .gte('createdAt', since)
+        .order('createdAt', { ascending: false })
+        .limit(HISTORY_LIMIT);
+      if (error) throw error;
+      return data || [];
+    });
+
+    return rows.filter(txn => !INTERNAL_CATEGORIES.includes(txn.category) && !txn.metadata?.transactionId);
+  }
+
+  async isKnownCounterparty(user, counterparty, history) {
+    if (!counterparty || counterparty.type === 'own') return true;
+
+    const value = String(counterparty.value || '');
+    if (counterparty.type === 'phone_number' && lastTenDigits(value) === lastTenDigits(user.whatsappNumber)) {
+      return true;
+    }
+
+    const matches = (details = {}) => {
+      switch (counterparty.type) {
+        case 'bank_account': return details.accountNumber === value;
+        case 'phone_number': return !!details.phoneNumber && lastTenDigits(details.phoneNumber) === lastTenDigits(value);
+        case 'customer': return details.customerNumber === value;
+        default: return false;
+      }
+    };
+    if (history.some(txn => txn.status === 'completed' && matches(txn.metadata?.recipientDetails || undefined))) {
+      return true;
+    }
+
+    const field = { bank_account: 'accountNumber', phone_number: 'phoneNumber' }[counterparty.type];
+    if (!field) return false;
+
+    const saved = await databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findOne('beneficiaries', { userId: user.id, [field]: value, isActive: true });
+    });
+    return !!saved;
+  }
+
+  /**
+   * Score a debit against every rule.
+   * @returns {Promise<{score: number, decision: 'allow'|'step_up'|'hold', rules: Array, evaluatedAt: string}>}
+   */
+  async assess(user, { service, amount, counterparty }, { now = new Date() } = {}) {
+    const { stepUpThreshold, holdThreshold } = config.getRiskConfig();
+    const history = await this.loadHistory(user.id, now);
+
+    let knownCounterparty;
+    const context = {
+      user,
+      service,
+      amount: parseFloat(amount),
+      counterparty,
+      history,
+      now,
+      // Only looked up when a rule asks
+      isKnownCounterparty: async () => {
+        if (knownCounterparty === undefined) {
+          knownCounterparty = await this.isKnownCounterparty(user, counterparty, history);
+        }
+        return knownCounterparty;
+      }
+    };
+
+    const fired = [];
+    for (const rule of this.rules) {
+      try {
+        const result = await rule.evaluate(context);
+        if (result && result.score > 0) {
+          fired.push({ name: rule.name, score: Math.min(1, result.score), reason: result.reason });
+        }
+      } catch (error) {
+        logger.warn('Risk rule failed, skipping it', { rule: rule.name, error: error.message, userId: user.id });
+      }
+    }
+
+    const score = Math.round((1 - fired.reduce((clear, rule) => clear * (1 - rule.score), 1)) * 100) / 100;
+    let decision = 'allow';
+    if (score >= holdThreshold) {
+      decision = 'hold';
+    } else if (score >= stepUpThreshold) {
+      decision = 'step_up';
+    }
+
+    return { score, decision, rules: fired, evaluatedAt: now.toISOString() };
+  }
+
+  // Columns for the transaction record
+  transactionFields(assessment, extra = {}) {
+    return {
+      riskScore: assessment.score,
+      fraudCheck: {
+        engine: 'rules',
+        score: assessment.score,
+        decision: assessment.decision,
+        rules: assessment.rules,
+        evaluatedAt: assessment.evaluatedAt,
+        ...extra
+      }
+    };
+  }
+
+  /**
+   * Screen a debit before money moves. Returns the riskScore and fraudCheck
+   * to store on the transaction when it may go ahead; otherwise throws a
+   * RiskError asking for a second factor (RISK_OTP_REQUIRED,
+   * RISK_PIN_REQUIRED) or saying the debit is held (RISK_HELD).
+   *
+   * @param {object} user
+   * @param {object} request
+   * @param {string} request.service - key into the executors
+   * @param {object} request.transaction - data for transactionService.createTransaction
+   * @param {object} request.counterparty - { type: 'bank_account'|'phone_number'|'customer'|'own', value }
+   * @param {object} request.resume - arguments the executor needs to re-run the request
+   * @param {string} [request.pin] - PIN as entered, for users with PIN prompts off
+   * @param {object} options - the service call options (riskClearance, riskOtp, pinAuthorization)
+   */
+  async screen(user, request, options = {}) {
+    // Cleared by an OTP, a PIN step-up or an admin: the request was screened already
+    if (options.riskClearance) {
+      const { assessment, method, approvedBy } = options.riskClearance;
+      return this.transactionFields(assessment, { clearedBy: method, ...(approvedBy ? { approvedBy } : {}) });
+    }
+
+    if (!config.getRiskConfig().enabled) {
+      return { riskScore: 0, fraudCheck: null };
+    }
+
+    let assessment;
+    try {
+      assessment = await this.assess(user, {
+        service: request.service,
+        amount: request.transaction.totalAmount,
+        counterparty: request.counterparty
+      });
+    } catch (error) {
+      // The engine must not take payments down with it
+      logger.error('Risk assessment failed, allowing transaction', { error: error.message, userId: user.id, service: request.service });
+      return { riskScore: 0, fraudCheck: { engine: 'rules', error: error.message } };
+    }
+
+    logger.info('Transaction risk assessed', {
+      userId: user.id,
+      service: request.service,
+      score: assessment.score,
+      decision: assessment.decision,
+      rules: assessment.rules.map(rule => rule.name)
+    });
+
+    if (assessment.decision === 'allow') {
+      return this.transactionFields(assessment);
+    }
+
+    // Scheduled runs have nobody to answer a challenge
+    if (assessment.decision === 'hold' || options.pinAuthorization) {
+      return this.hold(user, request, assessment, options);
+    }
+
+    if (!user.pinEnabled) {
+      if (!request.pin) {
+        return this.challenge(user, request, assessment, 'pin');
+      }
+      await require('./user').validateUserPin(user.id, request.pin, { force: true });
+      return this.transactionFields(assessment, { stepUp: 'pin' });
+    }
+
+    if (options.riskOtp) {
+      await this.verifyOtp(user, request, options.riskOtp);
+      return this.transactionFields(assessment, { stepUp: 'otp' });
+    }
+    return this.challenge(user, request, assessment, 'otp');
+  }
+
+  // Store a step-up challenge and ask for the second factor. Falls back to
+  // holding the debit when the challenge cannot be stored or delivered.
+  async challenge(user, request, assessment, method) {
+    const { challengeTtlSeconds } = config.getRiskConfig();
+    const amount = request.transaction.totalAmount;
+    const description = this.describe(request.service, amount);
+    const challengeId = uuidv4();
+    const code = method === 'otp' ? String(crypto.randomInt(100000, 1000000)) : null;
+
+    const stored = await redisClient.set(this.challengeKey(user.id), {
+      id: challengeId,
+      method,
+      service: request.service,
+      amount,
+      description,
+      codeHash: code ? hashCode(code) : null,
+      attempts: 0,
+      resume: request.resume,
+      // The PIN was checked on this request; the signature lets the resumed
+      // request through the same PIN check without asking again
+      pinAuthorization: this.authorize(user, challengeId),
+      assessment
+    }, challengeTtlSeconds);
+
+    if (!stored) {
+      logger.warn('Could not store risk challenge, holding transaction instead', { userId: user.id, service: request.service });
+      return this.hold(user, request, assessment, {});
+    }
+
+    // Sent on WhatsApp whichever channel the request came from, so chat
+    // handlers need not relay the challenge themselves
+    const prompt = method === 'pin'
+      ? `🔐 For your security, reply with your 4-digit PIN to confirm this ${description}.`
+      : `🔐 Your MiiMii code to confirm a ${description} is *${code}*.\n\nReply with the code here or enter it in the app. It expires in ${Math.round(challengeTtlSeconds / 60)} minutes. Never share it with anyone, including MiiMii staff.`;
+    try {
+      await messaging.sendTextMessage(user.whatsappNumber, prompt);
+    } catch (error) {
+      logger.warn('Could not send risk challenge, holding transaction instead', { userId: user.id, method, error: error.message });
+      await redisClient.del(this.challengeKey(user.id));
+      return this.hold(user, request, assessment, {});
+    }
+
+    if (method === 'pin') {
+      throw riskError(
+        `For your security, please enter your 4-digit PIN to confirm this ${description}.`,
+        'RISK_PIN_REQUIRED', 403, { riskScore: assessment.score }
+      );
+    }
+    throw riskError(
+      `For your security, please confirm this ${description} with the 6-digit code we've sent you on WhatsApp.`,
+      'RISK_OTP_REQUIRED', 403, { riskScore: assessment.score }
+    );
+  }
+
+  authorize(user, id) {
+    const subject = `risk:${id}`;
+    return { subject, signature: require('./user').signPinAuthorization(user, subject) };
+  }
+
+  // Count a wrong answer against a challenge; drops it after too many
+  async recordFailedAttempt(userId, challenge) {
+    const { maxChallengeAttempts, challengeTtlSeconds } = config.getRiskConfig();
+    const attempts = (challenge.attempts || 0) + 1;
+    if (attempts >= maxChallengeAttempts) {
+      await redisClient.del(this.challengeKey(userId));
+      return 'Too many incorrect codes. Please start the payment again.';
+    }
+    await redisClient.set(this.challengeKey(userId), { ...challenge, attempts }, challengeTtlSeconds);
+    return `That code is incorrect. You have ${maxChallengeAttempts - attempts} attempt(s) left.`;
+  }
+
+  // OTP sent back with a retried app request
+  async verifyOtp(user, request, otp) {
+    const challenge = await redisClient.get(this.challengeKey(user.id));
+    const sameRequest = challenge && challenge.method === 'otp' &&
+      challenge.service === request.service &&
+      parseFloat(challenge.amount) === parseFloat(request.transaction.totalAmount);
+
+    if (!sameRequest) {
+      throw riskError('This confirmation code has expired. Please try again to get a new code.', 'RISK_OTP_EXPIRED', 403);
+    }
+
+    if (hashCode(String(otp).trim()) !== challenge.codeHash) {
+      const message = await this.recordFailedAttempt(user.id, challenge);
+      throw riskError(message, 'RISK_OTP_INVALID', 403);
+    }
+
+    await redisClient.del(this.challengeKey(user.id));
+    return true;
+  }
+
+  async getPendingChallenge(userId) {
+    return redisClient.get(this.challengeKey(userId));
+  }
+
+  /**
+   * Answer a pending challenge from chat: a 6-digit OTP, or the PIN for
+   * users with PIN prompts off. On success the original request is re-run.
+   * @returns {Promise<null|{success: boolean, message?: string, result?: object, challenge: object}>}
+   *   null when no challenge is waiting or the reply is not an answer to it
+   */
+  async completeChallenge(user, reply) {
+    const challenge = await this.getPendingChallenge(user.id);
+    if (!challenge) return null;
+
+    const answer = String(reply || '').trim();
+    if (!(challenge.method === 'pin' ? /^\d{4}$/ : /^\d{6}$/).test(answer)) return null;
+
+    if (challenge.method === 'pin') {
+      try {
+        await require('./user').validateUserPin(user.id, answer, { force: true });
+      } catch (error) {
+        return { success: false, message: error.message, challenge };
+      }
+    } else if (hashCode(answer) !== challenge.codeHash) {
+      return { success: false, message: await this.recordFailedAttempt(user.id, challenge), challenge };
+    }
+
+    await redisClient.del(this.challengeKey(user.id));
+
+    try {
+      const idempotencyService = require('./idempotency');
+      const result = await idempotencyService.execute({
+        userId: user.id,
+        scope: 'risk.challenge',
+        key: challenge.id,
+        payload: { service: challenge.service, amount: challenge.amount }
+      }, () => this.resume(user.id, challenge.service, challenge.resume, {
+        pinAuthorization: challenge.pinAuthorization,
+        riskClearance: { method: challenge.method, challengeId: challenge.id, assessment: challenge.assessment }
+      }));
+      return { success: true, result, challenge };
+    } catch (error) {
+      logger.error('Resuming challenged transaction failed', { error: error.message, userId: user.id, service: challenge.service });
+      return { success: false, message: error.message, challenge };
+    }
+  }
+
+  // Re-run a request that has been cleared
+  async resume(userId, service, request, options) {
+    const executor = this.executors[service];
+    if (!executor) {
+      throw new Error(`No executor for ${service}`);
+    }
+    return executor(userId, request, options);
+  }
+
+  /**
+   * Hold a debit for admin review: record it as pending_approval, set the
+   * money aside in suspense and flag the wallet. Always throws RISK_HELD,
+   * marked outcomeUnknown so an idempotency key stays with the held request.
+   */
+  async hold(user, request, assessment, options) {
+    const transactionService = require('./transaction');
+    const walletService = require('./wallet');
+    const { transaction: transactionData } = request;
+    const description = this.describe(request.service, transactionData.totalAmount);
+
+    const transaction = await transactionService.createTransaction(user.id, {
+      ...transactionData,
+      status: 'pending',
+      approvalStatus: 'pending_approval',
+      ...this.transactionFields(assessment),
+      metadata: {
+        ...(transactionData.metadata || {}),
+        riskHold: {
+          service: request.service,
+          resume: request.resume,
+          pinAuthorization: options.pinAuthorization || this.authorize(user, uuidv4()),
+          heldAt: new Date().toISOString()
+        }
+      }
+    });
+
+    let hold;
+    try {
+      hold = await walletService.placeReviewHold(user.id, transactionData.totalAmount, {
+        transactionId: transaction.id,
+        reference: transaction.reference,
+        description: transactionData.description
+      });
+    } catch (error) {
+      await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
+        failureReason: `Could not hold funds for review: ${error.message}`
+      });
+      throw error;
+    }
+
+    await databaseService.executeWithRetry(async () => {
+      const { error } = await supabase
+        .from('transactions')
+        .update({
+          metadata: {
+            ...transaction.metadata,
+            riskHold: { ...transaction.metadata.riskHold, walletId: hold.walletId, journalId: hold.journalId }
+          },
+          updatedAt: new Date().toISOString()
+        })
+        .eq('id', transaction.id);
+      if (error) throw error;
+    });
+
+    await this.flagWallet(user.id);
+    await this.notifyHeld(user, transaction, description);
+
+    logger.warn('Transaction held for review', {
+      userId: user.id,
+      reference: transaction.reference,
+      service: request.service,
+      score: assessment.score,
+      rules: assessment.rules.map(rule => rule.name)
+    });
+
+    throw riskError(
+      `Your ${description} is being reviewed for your security. The money has been set aside and we'll let you know as soon as it is approved.`,
+      'RISK_HELD', 202,
+      { outcomeUnknown: true, transactionReference: transaction.reference, riskScore: assessment.score }
+    );
+  }
+
+  // Only a compliant wallet moves to under_review; stronger states stay
+  async flagWallet(userId) {
+    try {
+      await databaseService.executeWithRetry(async () => {
+        const { error } = await supabase
+          .from('wallets')
+          .update({ riskLevel: 'high', updatedAt: new Date().toISOString() })
+          .eq('userId', userId);
+        if (error) throw error;
+      });
+      await databaseService.executeWithRetry(async () => {
+        const { error } = await supabase
+          .from('wallets')
+          .update({ complianceStatus: 'under_review', updatedAt: new Date().toISOString() })
+          .eq('userId', userId)
+          .eq('complianceStatus', 'compliant');
+        if (error) throw error;
+      });
+    } catch (error) {
+      logger.warn('Failed to flag wallet after risk hold', { error: error.message, userId });
+    }
+  }
+
+  async notifyHeld(user, transaction, description) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.createNotification(user.id, {
+        type: 'security_alert',
+        title: '🛡️ Payment under review',
+        message: `Your ${description} is being reviewed for your security. The money has been set aside and will be released if the payment is not approved.`,
+        data: { reference: transaction.reference, amount: parseFloat(transaction.totalAmount) },
+        priority: 'high',
+        actionUrl: `/transactions/${transaction.reference}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create risk hold notification', { error: error.message, reference: transaction.reference });
+    }
+
+    try {
+      if (user.whatsappNumber) {
+        await messaging.sendTextMessage(user.whatsappNumber,
+          `🛡️ *Payment Under Review*\n\nYour ${description} looks unusual, so we've paused it for a quick security check. The money has been set aside and nothing has left your account yet.\n\nReference: ${transaction.reference}\n\nWe'll message you as soon as it's approved. If you didn't make this payment, reply "help" right away.`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send risk hold message', { error: error.message, reference: transaction.reference });
+    }
+  }
+
+  // Who the user is and how they usually transact, for the reviewer
+  async getRiskContext(userId) {
+    const [user, wallet, history] = await Promise.all([
+      databaseService.executeWithRetry(() => supabaseHelper.findByPk('users', userId)),
+      databaseService.executeWithRetry(() => supabaseHelper.findOne('wallets', { userId })),
+      this.loadHistory(userId, new Date())
+    ]);
+
+    const completed = history.filter(txn => txn.status === 'completed');
+    const amounts = completed.map(txn => parseFloat(txn.totalAmount || txn.amount || 0));
+    const total = amounts.reduce((sum, value) => sum + value, 0);
+
+    return {
+      user: user ? {
+        id: user.id,
+        name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || null,
+        whatsappNumber: user.whatsappNumber,
+        kycStatus: user.kycStatus,
+        isBanned: !!user.isBanned,
+        pinEnabled: user.pinEnabled,
+        pinSetAt: user.pinSetAt || null,
+        createdAt: user.createdAt
+      } : null,
+      wallet: wallet ? {
+        balance: parseFloat(wallet.balance || 0),
+        isFrozen: !!wallet.isFrozen,
+        riskLevel: wallet.riskLevel,
+        complianceStatus: wallet.complianceStatus
+      } : null,
+      history: {
+        days: HISTORY_DAYS,
+        completedDebits: amounts.length,
+        totalDebited: Math.round(total * 100) / 100,
+        averageDebit: amounts.length ? Math.round((total / amounts.length) * 100) / 100 : 0,
+        largestDebit: amounts.length ? Math.max(...amounts) : 0,
+        lastDebitAt: completed[0]?.createdAt || null
+      }
+    };
+  }
+
+  formatHeldTransaction(transaction, context = null) {
+    const { autoReleaseHours, autoReleaseAction } = config.getRiskConfig();
+    const hold = transaction.metadata?.riskHold || {};
+    const heldAt = hold.heldAt || transaction.createdAt;
+
+    return {
+      id: transaction.id,
+      reference: transaction.reference,
+      userId: transaction.userId,
+      service: hold.service || null,
+      category: transaction.category,
+      description: transaction.description,
+      amount: parseFloat(transaction.amount || 0),
+      fee: parseFloat(transaction.fee || 0),
+      totalAmount: parseFloat(transaction.totalAmount || 0),
+      recipient: transaction.metadata?.recipientDetails || null,
+      status: transaction.status,
+      approvalStatus: transaction.approvalStatus,
+      riskScore: parseFloat(transaction.riskScore || 0),
+      rules: transaction.fraudCheck?.rules || [],
+      heldAt,
+      autoRelease: transaction.approvalStatus === 'pending_approval' ? {
+        action: autoReleaseAction,
+        at: new Date(new Date(heldAt).getTime() + autoReleaseHours * HOUR_MS).toISOString()
+      } : null,
+      review: transaction.metadata?.riskReview || null,
+      ...(context ? { context } : {})
+    };
+  }
+
+  async listHeldTransactions({ limit = 20, offset = 0 } = {}) {
+    const { rows, total } = await databaseService.executeWithRetry(async () => {
+      const { data, error, count } = await supabase
+        .from('transactions')
+        .select('*', { count: 'exact' })
+        .eq('approvalStatus', 'pending_approval')
+        .order('createdAt', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { rows: data || [], total: count || 0 };
+    });
+
+    // Oldest first, so the queue is worked before auto-release kicks in
+    const contexts = new Map();
+    const items = [];
+    for (const transaction of rows) {
+      if (!contexts.has(transaction.userId)) {
+        contexts.set(transaction.userId, await this.getRiskContext(transaction.userId));
+      }
+      items.push(this.formatHeldTransaction(transaction, contexts.get(transaction.userId)));
+    }
+
+    return { total, items };
+  }
+
+  async findHeldTransaction(transactionId) {
+    const transaction = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('transactions', transactionId));
+    if (!transaction || !transaction.metadata?.riskHold) {
+      throw riskError('Held transaction not found', 'HOLD_NOT_FOUND', 404);
+    }
+    return transaction;
+  }
+
+  async getHeldTransaction(transactionId) {
+    const transaction = await this.findHeldTransaction(transactionId);
+    return this.formatHeldTransaction(transaction, await this.getRiskContext(transaction.userId));
+  }
+
+  // Move a held transaction out of pending_approval. The condition on the
+  // current approvalStatus makes sure only one decision ever wins.
+  async claimReview(transaction, changes, fromStatus = 'pending_approval') {
+    const now = new Date().toISOString();
+    const updated = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .update({ ...changes, updatedAt: now })
+        .eq('id', transaction.id)
+        .eq('approvalStatus', fromStatus)
+        .select();
+      if (error) throw error;
+      return data && data[0];
+    });
+    return updated || null;
+  }
+
+  async updateReviewedTransaction(transaction, changes, riskReview = {}) {
+    const metadata = {
+      ...(transaction.metadata || {}),
+      riskReview: { ...(transaction.metadata?.riskReview || {}), ...riskReview }
+    };
+    await databaseService.executeWithRetry(async () => {
+      const { error } = await supabase
+        .from('transactions')
+        .update({ ...changes, metadata, updatedAt: new Date().toISOString() })
+        .eq('id', transaction.id);
+      if (error) throw error;
+    });
+    return { ...transaction, ...changes, metadata };
+  }
+
+  // Put the money set aside by hold() back in the wallet, or with keepHeld
+  // into a funds hold for the approved payment to capture
+  async releaseHold(transaction, reason, { keepHeld = false } = {}) {
+    const walletService = require('./wallet');
+    const hold = transaction.metadata.riskHold;
+
+    let journalId = hold.journalId;
+    if (!journalId) {
+      // The hold landed but its metadata update did not; find it in the ledger
+      const ledgerService = require('./ledger');
+      const postings = await ledgerService.getJournalsForTransaction(transaction.id);
+      journalId = postings.find(posting => posting.metadata?.kind === 'review_hold')?.journalId;
+    }
+    if (!journalId) {
+      throw new Error(`No review hold found for ${transaction.reference}`);
+    }
+
+    const reviewHold = { amount: transaction.totalAmount, journalId };
+    if (keepHeld) {
+      return walletService.convertReviewHold(transaction.userId, reviewHold, {
+        transactionId: transaction.id,
+        reference: transaction.reference,
+        description: transaction.description,
+        reason
+      });
+    }
+    return walletService.releaseReviewHold(transaction.userId, reviewHold, { transactionId: transaction.id, reason });
+  }
+
+  // Claim the decision, then release the hold; a failed release puts the
+  // transaction back in the queue so the decision can be retried
+  async decide(transactionId, changes, riskReview, reason, { keepHeld = () => false } = {}) {
+    const transaction = await this.findHeldTransaction(transactionId);
+    if (transaction.approvalStatus !== 'pending_approval') {
+      throw riskError(`Transaction has already been ${transaction.approvalStatus}`, 'HOLD_ALREADY_DECIDED', 409);
+    }
+
+    const claimed = await this.claimReview(transaction, changes);
+    if (!claimed) {
+      throw riskError('Transaction has already been decided', 'HOLD_ALREADY_DECIDED', 409);
+    }
+
+    let release;
+    try {
+      release = await this.releaseHold(claimed, reason, { keepHeld: keepHeld(claimed) });
+    } catch (error) {
+      logger.error('Failed to release review hold, returning transaction to the queue', {
+        error: error.message,
+        reference: transaction.reference
+      });
+      await this.claimReview(claimed, {
+        approvalStatus: 'pending_approval',
+        status: 'pending',
+        approvedBy: null,
+        approvedAt: null,
+        rejectedBy: null,
+        rejectedAt: null,
+        rejectionReason: null
+      }, changes.approvalStatus);
+      throw error;
+    }
+
+    const reviewed = await this.updateReviewedTransaction(claimed, {}, {
+      ...riskReview,
+      releasedAt: new Date().toISOString(),
+      releaseJournalId: release.journalId
+    });
+    return { transaction: reviewed, release };
+  }
+
+  reviewerFields(admin) {
+    const isUserId = admin?.id && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(admin.id);
+    return {
+      userId: isUserId ? admin.id : null,
+      decidedBy: admin ? (admin.email || admin.id) : 'system'
+    };
+  }
+
+  /**
+   * Approve a held transaction and re-run the original provider call. The
+   * reviewed money becomes the re-run's funds hold, so it is never spendable
+   * in between; the re-run writes its own transaction and debit, and the
+   * held transaction is marked superseded with a link to it rather than
+   * completed, so the payment shows once.
+   */
+  async approveHeld(transactionId, { admin = null, note = null } = {}) {
+    const reviewer = this.reviewerFields(admin);
+    const now = new Date().toISOString();
+
+    const { transaction, release } = await this.decide(transactionId, {
+      approvalStatus: 'approved',
+      approvedAt: now,
+      approvedBy: reviewer.userId,
+      status: 'processing'
+    }, { decision: 'approved', decidedBy: reviewer.decidedBy, decidedAt: now, note }, 'Approved after risk review', {
+      keepHeld: (claimed) => FUNDS_HOLD_SERVICES.includes(claimed.metadata.riskHold.service)
+    });
+
+    const hold = transaction.metadata.riskHold;
+    const description = this.describe(hold.service, transaction.totalAmount);
+    await this.notifyDecision(transaction, 'approved', description);
+
+    let outcome;
+    try {
+      const result = await this.resume(transaction.userId, hold.service, hold.resume, {
+        pinAuthorization: hold.pinAuthorization,
+        riskClearance: {
+          method: 'admin_approval',
+          approvedBy: reviewer.decidedBy,
+          fundsHold: release.fundsHold || null,
+          assessment: {
+            score: parseFloat(transaction.riskScore || 0),
+            decision: 'hold',
+            rules: transaction.fraudCheck?.rules || [],
+            evaluatedAt: transaction.fraudCheck?.evaluatedAt || transaction.createdAt
+          }
+        }
+      });
+      const resumedReference = result?.transaction?.reference || result?.reference || result?.data?.['request-id'] || null;
+      await this.updateReviewedTransaction(transaction, { status: 'superseded' }, { resumedReference, supersededBy: resumedReference });
+      outcome = { success: true, resumedReference };
+    } catch (error) {
+      if (error.outcomeUnknown) {
+        // The re-run may still go through; its own transaction tracks it
+        logger.warn('Approved transaction outcome unknown when resumed', { error: error.message, reference: transaction.reference });
+        const resumedReference = error.transactionReference || null;
+        await this.updateReviewedTransaction(transaction, { status: 'superseded' }, { resumedReference, supersededBy: resumedReference, resumeError: error.message });
+        outcome = { success: false, pending: true, resumedReference, error: error.message };
+      } else {
+        logger.error('Approved transaction failed when resumed', { error: error.message, reference: transaction.reference });
+        await this.updateReviewedTransaction(transaction, { status: 'failed', failureReason: error.message }, { resumeError: error.message });
+        await this.notifyDecision(transaction, 'failed', description, error.message);
+        outcome = { success: false, error: error.message };
+      }
+    }
+
+    // A re-run that stopped before holding funds leaves the converted hold on
+    // the reviewed transaction; hand it back
+    if (release.fundsHold) {
+      const walletService = require('./wallet');
+      const left = await walletService.findHold({ id: release.fundsHold.id }).catch(() => null);
+      if (left?.status === 'held' && left.transactionId === transaction.id) {
+        await walletService.releaseHoldAfterFailure(left, 'Approved payment did not take over the hold');
+      }
+    }
+
+    await this.logDecision(admin, transaction, 'risk_hold_approved', {
+      description: `Approved held ${description}`,
+      note,
+      resumed: outcome.success,
+      resumedReference: outcome.resumedReference || null,
+      resumeError: outcome.error || null
+    });
+    await this.clearWalletReview(transaction.userId);
+
+    return { reference: transaction.reference, ...outcome };
+  }
+
+  // Reject a held transaction: release the hold and tell the user
+  async rejectHeld(transactionId, { admin = null, reason, flagWallet = false } = {}) {
+    const reviewer = this.reviewerFields(admin);
+    const now = new Date().toISOString();
+    const rejectionReason = reason || 'Not approved after review';
+
+    const { transaction, release } = await this.decide(transactionId, {
+      approvalStatus: 'rejected',
+      rejectedAt: now,
+      rejectedBy: reviewer.userId,
+      rejectionReason,
+      status: 'cancelled'
+    }, { decision: 'rejected', decidedBy: reviewer.decidedBy, decidedAt: now, reason: rejectionReason }, `Rejected after risk review: ${rejectionReason}`);
+
+    const description = this.describe(transaction.metadata.riskHold.service, transaction.totalAmount);
+    await this.notifyDecision(transaction, 'rejected', description, rejectionReason);
+
+    await this.logDecision(admin, transaction, 'risk_hold_rejected', {
+      description: `Rejected held ${description}`,
+      reason: rejectionReason,
+      flagWallet,
+      severity: flagWallet ? 'warning' : 'info'
+    });
+
+    if (flagWallet) {
+      await this.setComplianceStatus(transaction.userId, 'flagged');
+    } else {
+      await this.clearWalletReview(transaction.userId);
+    }
+
+    return { reference: transaction.reference, released: release.amount, newBalance: release.newBalance };
+  }
+
+  async logDecision(admin, transaction, action, details) {
+    const activityLogger = require('./activityLogger');
+    await activityLogger.logAdminAction(this.reviewerFields(admin).userId, transaction.userId, action, {
+      ...details,
+      transactionId: transaction.id,
+      reference: transaction.reference,
+      amount: parseFloat(transaction.totalAmount),
+      riskScore: parseFloat(transaction.riskScore || 0),
+      automatic: !admin,
+      adminEmail: admin?.email || null,
+      oldValues: { approvalStatus: 'pending_approval' },
+      newValues: { approvalStatus: transaction.approvalStatus, status: transaction.status }
+    });
+  }
+
+  async setComplianceStatus(userId, complianceStatus, fromStatus = null) {
+    try {
+      await databaseService.executeWithRetry(async () => {
+        let query = supabase
+          .from('wallets')
+          .update({ complianceStatus, updatedAt: new Date().toISOString() })
+          .eq('userId', userId);
+        if (fromStatus) {
+          query = query.eq('complianceStatus', fromStatus);
+        }
+        const { error } = await query;
+        if (error) throw error;
+      });
+    } catch (error) {
+      logger.warn('Failed to update wallet compliance status', { error: error.message, userId, complianceStatus });
+    }
+  }
+
+  // A wallet under review goes back to compliant once its last hold is decided
+  async clearWalletReview(userId) {
+    const pending = await databaseService.executeWithRetry(async () => {
+      const { count, error } = await supabase
+        .from('transactions')
+        .select('id', { count: 'exact', head: true })
+        .eq('userId', userId)
+        .eq('approvalStatus', 'pending_approval');
+      if (error) throw error;
+      return count || 0;
+    });
+    if (pending === 0) {
+      await this.setComplianceStatus(userId, 'compliant', 'under_review');
+    }
+  }
+
+  async notifyDecision(transaction, decision, description, detail = null) {
+    const amount = formatNaira(transaction.totalAmount);
+    const messages = {
+      approved: {
+        title: '✅ Payment approved',
+        text: `Your ${description} has been approved and is being processed now.`
+      },
+      failed: {
+        title: '⚠️ Payment not completed',
+        text: `Your ${description} was approved but could not be completed: ${detail}. The ${amount} set aside is back in your wallet.`
+      },
+      rejected: {
+        title: '❌ Payment not approved',
+        text: `Your ${description} was not approved after review (${detail}). The ${amount} set aside is back in your wallet.`
+      }
+    };
+    const { title, text } = messages[decision];
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.createNotification(transaction.userId, {
+        type: decision === 'approved' ? 'security_alert' : 'transfer_failed',
+        title,
+        message: text,
+        data: { reference: transaction.reference, amount: parseFloat(transaction.totalAmount), decision },
+        priority: 'high',
+        actionUrl: `/transactions/${transaction.reference}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create risk review notification', { error: error.message, reference: transaction.reference });
+    }
+
+    try {
+      const user = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('users', transaction.userId));
+      if (user?.whatsappNumber) {
+        await messaging.sendTextMessage(user.whatsappNumber, `*${title}*\n\n${text}\n\nReference: ${transaction.reference}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send risk review message', { error: error.message, reference: transaction.reference });
+    }
+  }
+
+  // Worker sweep: holds nobody reviewed in time are released or approved
+  async processExpiredHolds({ now = new Date(), limit = 50 } = {}) {
+    const { autoReleaseHours, autoReleaseAction } = config.getRiskConfig();
+    const cutoff = new Date(now.getTime() - autoReleaseHours * HOUR_MS).toISOString();
+
+    const expired = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('id, reference')
+        .eq('approvalStatus', 'pending_approval')
+        .lt('createdAt', cutoff)
+        .order('createdAt', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+
+    const summary = { checked: expired.length, approved: 0, rejected: 0, failed: 0 };
+    for (const { id, reference } of expired) {
+      try {
+        if (autoReleaseAction === 'approve') {
+          await this.approveHeld(id, { note: `Not reviewed within ${autoReleaseHours} hours` });
+          summary.approved++;
+        } else {
+          await this.rejectHeld(id, { reason: `not reviewed within ${autoReleaseHours} hours` });
+          summary.rejected++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to auto-release held transaction', { error: error.message, reference });
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info('Expired risk holds processed', summary);
+    }
+    return summary;
+  }
+}
+
+module.exports = new RiskService();
@@ -426,6 +426,65 @@ class RubiesService {
     }
   }
 
+  // Create Disposable Virtual Account - one payment of a fixed amount, valid until expiresAt
+  async createDisposableVirtualAccount(accountData) {
+    try {
+      const requiredFields = ['firstName', 'lastName', 'phoneNumber', 'bvn', 'amount', 'expiresAt', 'reference'];
+      for (const field of requiredFields) {
+        if (!accountData[field]) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
+
+      const payload = {
+        accountAmountControl: accountData.amountControl || 'EXACT',
+        accountParent: process.env.RUBIES_ACCOUNT_PARENT || '9018866641',
+        accountType: 'DISPOSABLE',
+        amount: parseFloat(accountData.amount).toFixed(2),
+        bvn: accountData.bvn.toString().trim(),
+        photo: '',
+        validTime: Math.floor(new Date(accountData.expiresAt).getTime() / 1000),
+        firstName: accountData.firstName.trim(),
+        gender: accountData.gender || 'Male',
+        lastName: accountData.lastName.trim(),
+        phoneNumber: this.formatPhoneNumber(accountData.phoneNumber),
+        reference: accountData.reference
+      };
+
+      logger.info('Creating disposable virtual account with Rubies', {
+        userId: accountData.userId,
+        reference: payload.reference,
+        amount: payload.amount,
+        validTime: payload.validTime
+      });
+
+      const response = await this.makeRequest('POST', '/baas-virtual-account/initiate-create-virtual-account', payload);
+
+      if (response.responseCode !== '00') {
+        throw new Error(response.responseMessage || 'Failed to create disposable virtual account');
+      }
+      if (!response.accountNumber) {
+        throw new Error('Rubies did not return an account number for the disposable account');
+      }
+
+      return {
+        success: true,
+        accountNumber: response.accountNumber,
+        accountName: response.accountName,
+        bankName: response.channelBankName || 'RUBIES MFB',
+        bankCode: response.channelBankCode || '090175',
+        reference: payload.reference
+      };
+    } catch (error) {
+      logger.error('Disposable virtual account creation error', {
+        userId: accountData.userId,
+        reference: accountData.reference,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   // Get Virtual Account Details
   async getVirtualAccount(accountNumber) {
     try {
@@ -609,7 +668,10 @@ class RubiesService {
       return {
         success: false,
         message: error.message || 'Transfer processing failed',
-        response: error.response?.data
+        response: error.response?.data,
+        // Lets callers tell a request that never reached Rubies from one that timed out
+        errorCode: error.code,
+        httpStatus: error.response?.status
       };
     }
   }
@@ -927,49 +989,67 @@ class RubiesService {
     }
   }
 
+  // Errors propagate so the webhook queue retries the callback
   async handleTransferSuccess(data) {
-    try {
-      const reference = data.reference || data.contractReference || data.paymentReference;
-      if (reference) {
-        const transactionService = require('./transaction');
-        const transaction = await transactionService.getTransactionByReference(reference);
-        if (transaction) {
-          await transactionService.updateTransactionStatus(transaction.id, 'completed', {
-            processedAt: new Date().toISOString(),
-            providerResponse: data
-          });
-        }
-        
-        logger.info('Transfer marked as successful', { reference, provider: 'rubies' });
-      }
-    } catch (error) {
-      logger.error('Failed to handle transfer success', { error: error.message, data });
+    const reference = data.reference || data.contractReference || data.paymentReference;
+    if (!reference) {
+      return;
     }
+
+    const transactionService = require('./transaction');
+    const walletService = require('./wallet');
+    const transaction = await transactionService.getTransactionByReference(reference);
+    if (transaction) {
+      await transactionService.updateTransactionStatus(transaction.id, 'completed', {
+        processedAt: new Date().toISOString(),
+        providerResponse: data
+      });
+
+      // Take the held funds now the transfer has gone through
+      await walletService.captureCompletedTransfer(transaction);
+    }
+
+    logger.info('Transfer marked as successful', { reference, provider: 'rubies' });
   }
 
   async handleTransferFailed(data) {
-    try {
-      const reference = data.reference || data.contractReference || data.paymentReference;
-      if (reference) {
-        const transactionService = require('./transaction');
-        const transaction = await transactionService.getTransactionByReference(reference);
-        if (transaction) {
-          await transactionService.updateTransactionStatus(transaction.id, 'failed', {
-            failureReason: data.responseMessage || data.message,
-            processedAt: new Date().toISOString(),
-            providerResponse: data
+    const reference = data.reference || data.contractReference || data.paymentReference;
+    if (!reference) {
+      return;
+    }
+
+    const transactionService = require('./transaction');
+    const walletService = require('./wallet');
+    const transaction = await transactionService.getTransactionByReference(reference);
+    if (transaction) {
+      const reason = data.responseMessage || data.message || 'Transfer failed';
+
+      // Funds first, so a retry after an error here still hands them back
+      const released = await walletService.releaseTransactionHold(transaction, reason);
+
+      // A redelivered failure must not refund or notify twice
+      if (transaction.status !== 'failed') {
+        // Only a transfer already debited needs a refund
+        if (!released) {
+          await walletService.creditWallet(transaction.userId, transaction.totalAmount, `Refund for failed transfer - ${transaction.reference}`, {
+            category: 'refund',
+            originalTransactionId: transaction.id,
+            originalReference: transaction.reference
           });
         }
-        
-        logger.info('Transfer marked as failed', { 
-          reference, 
-          reason: data.responseMessage, 
-          provider: 'rubies' 
+        await transactionService.updateTransactionStatus(transaction.id, 'failed', {
+          failureReason: reason,
+          processedAt: new Date().toISOString(),
+          providerResponse: data
         });
       }
-    } catch (error) {
-      logger.error('Failed to handle transfer failure', { error: error.message, data });
     }
+
+    logger.info('Transfer marked as failed', {
+      reference,
+      reason: data.responseMessage,
+      provider: 'rubies'
+    });
   }
 
   async handleSettlementRequired(data) {
@@ -1045,7 +1125,8 @@ class RubiesService {
               amount: data.amount,
               reference: data.paymentReference || data.sessionId,
               sender_name: data.originatorName || data.creditAccountName,
-              sender_bank: data.bankName || 'Unknown Bank'
+              sender_bank: data.bankName || 'Unknown Bank',
+              narration: data.narration
             });
             
             logger.info('Digital wallet credited from Rubies virtual account', {
@@ -1058,11 +1139,26 @@ class RubiesService {
             logger.warn('User not found for wallet', { walletId: wallet.id, accountNumber });
           }
         } else {
-          logger.warn('No wallet found for virtual account number', { accountNumber });
+          // Not a static account: a disposable collection account for an invoice or payment request
+          const collectionAccountService = require('./collectionAccount');
+          const collectionAccount = await collectionAccountService.findByAccountNumber(accountNumber);
+          if (collectionAccount) {
+            await collectionAccountService.handleCredit(collectionAccount, {
+              amount,
+              reference: data.paymentReference || data.sessionId,
+              senderName: data.originatorName || data.creditAccountName,
+              senderBank: data.bankName,
+              narration: data.narration
+            });
+          } else {
+            logger.warn('No wallet found for virtual account number', { accountNumber });
+          }
         }
       }
     } catch (error) {
       logger.error('Failed to handle Rubies account credit', { error: error.message, data });
+      // Rethrown so the webhook queue retries the credit instead of dropping it
+      throw error;
     }
   }
 
@@ -79,6 +79,21 @@ class RubiesVasService {
     }
   }
 
+  // Send one purchase to Rubies and return its raw answer. No transaction
+  // or wallet work; the VAS gateway decides what the response code means.
+  async vend({ productCode, billerCustomerId, amount, reference }) {
+    const payload = {
+      amount: parseFloat(amount).toString(),
+      billerCustomerId: String(billerCustomerId).replace('+', ''),
+      productCode: productCode,
+      reference: reference
+    };
+
+    logger.info('Sending VAS purchase to Rubies', { productCode, amount: payload.amount, reference });
+
+    return await this.rubiesService.makeRequest('POST', '/baas-vas/purchase', payload);
+  }
+
   // Purchase airtime
   async purchaseAirtime(userId, phoneNumber, network, amount, pin) {
     try {
@@ -503,6 +518,28 @@ class RubiesVasService {
     return dataProducts[network.toUpperCase()]?.[dataSize];
   }
 
+  getElectricityProductCode(disco, meterType) {
+    const discoCodes = {
+      'IKEJA': 'IKEDC',
+      'EKO': 'EKEDC',
+      'KANO': 'KEDCO',
+      'PORT HARCOURT': 'PHED',
+      'PHED': 'PHED',
+      'JOSS': 'JED',
+      'IBADAN': 'IBEDC',
+      'ENUGU': 'EEDC',
+      'KADUNA': 'KAEDCO',
+      'ABUJA': 'AEDC',
+      'BENIN': 'BEDC'
+    };
+    const code = discoCodes[String(disco).toUpperCase()];
+    const type = String(meterType || '').toUpperCase();
+    if (!code || !['PREPAID', 'POSTPAID'].includes(type)) {
+      return undefined;
+    }
+    return `${code}_${type}`;
+  }
+
   getDataPlan(network, planId) {
     const dataPlans = {
       'MTN': [
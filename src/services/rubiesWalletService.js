@@ -359,19 +359,12 @@ class RubiesWalletService {
         const rubiesBalance = walletDetails.wallet.accountBalance;
         const rubiesLedgerBalance = walletDetails.wallet.accountLedgerBalance;
 
-        // Update local wallet with Rubies balance
-        await databaseService.executeWithRetry(async () => {
-          const { error } = await supabase
-            .from('wallets')
-            .update({
-              balance: rubiesBalance,
-              ledgerBalance: rubiesLedgerBalance,
-              updatedAt: new Date().toISOString()
-            })
-            .eq('id', wallet.id);
-          
-          if (error) throw error;
-        });
+        // Update local wallet with Rubies balance (version-checked, see walletService)
+        const { balanceBefore } = await walletService.applyBalanceChange(userId, () => ({
+          balance: rubiesBalance,
+          ledgerBalance: rubiesLedgerBalance
+        }));
+        await walletService.postBalanceSyncAdjustment(wallet, balanceBefore, parseFloat(rubiesBalance || 0), 'rubies');
 
         logger.info('Wallet balance synced with Rubies', {
           userId,
@@ -1,8 +1,22 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
 const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+const ledgerService = require('./ledger');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts at a version-checked savings balance update before giving up
+const SAVINGS_UPDATE_MAX_ATTEMPTS = 8;
+
+// Balances are kept to the kobo; accrued interest keeps four decimals
+const toKobo = (value) => Math.round(value * 100) / 100;
+
 class SavingsService {
   constructor() {
     // Savings account configuration
@@ -44,6 +58,10 @@ class SavingsService {
       MATURED: 'matured',
       CLOSED: 'closed'
     };
+
+    this.maxActiveAccounts = 5;
+    // Interest accrues daily and is credited to the balance every 30 days
+    this.interestPostingDays = 30;
   }
 
   // Create savings account
@@ -112,69 +130,48 @@ class SavingsService {
       }
 
       // Check user's existing accounts limit (max 5 active savings accounts)
-      const { SavingsAccount } = require('../models');
-      const activeAccounts = await SavingsAccount.count({
-        where: {
-          userId,
-          status: 'active'
-        }
+      const activeAccounts = await databaseService.executeWithRetry(async () => {
+        const { count, error } = await supabase
+          .from('savingsAccounts')
+          .select('id', { count: 'exact', head: true })
+          .eq('userId', userId)
+          .eq('status', this.accountStatuses.ACTIVE);
+        if (error) throw error;
+        return count || 0;
       });
 
-      if (activeAccounts >= 5) {
-        throw new Error('Maximum of 5 active savings accounts allowed per user');
+      if (activeAccounts >= this.maxActiveAccounts) {
+        throw new Error(`Maximum of ${this.maxActiveAccounts} active savings accounts allowed per user`);
       }
 
-      // Generate account number
-      const accountNumber = this.generateAccountNumber();
-
-      // Create savings account
-      const savingsAccount = await SavingsAccount.create({
-        userId,
-        accountNumber,
-        accountName: accountName || `${accountType.charAt(0).toUpperCase() + accountType.slice(1)} Savings`,
-        accountType,
-        balance: depositAmount,
-        targetAmount: targetAmount ? parseFloat(targetAmount) : null,
-        interestRate,
-        duration,
-        maturityDate,
-        status: this.accountStatuses.ACTIVE,
-        savingsGoal,
-        metadata: {
-          createdDate: new Date(),
-          totalDeposits: depositAmount,
-          totalWithdrawals: 0,
-          interestEarned: 0,
-          lastInterestCalculation: new Date(),
-          transactionCount: depositAmount > 0 ? 1 : 0
-        }
+      // Create savings account (empty; the initial deposit moves money below)
+      const now = new Date().toISOString();
+      const savingsAccount = await databaseService.executeWithRetry(async () => {
+        return await supabaseHelper.create('savingsAccounts', {
+          id: uuidv4(),
+          userId,
+          accountNumber: this.generateAccountNumber(),
+          accountName: accountName || `${accountType.charAt(0).toUpperCase() + accountType.slice(1)} Savings`,
+          accountType,
+          balance: 0,
+          targetAmount: targetAmount ? parseFloat(targetAmount) : null,
+          interestRate,
+          duration: accountType === 'fixed' ? duration : null,
+          maturityDate: maturityDate ? maturityDate.toISOString() : null,
+          status: this.accountStatuses.ACTIVE,
+          savingsGoal,
+          lastInterestAccrualAt: now,
+          lastInterestPostedAt: now,
+          version: 0,
+          metadata: {},
+          createdAt: now,
+          updatedAt: now
+        });
       });
 
-      // Process initial deposit if any
+      let account = savingsAccount;
       if (depositAmount > 0) {
-        // Debit main wallet
-        await walletService.debitWallet(userId, depositAmount, 
-          `Initial deposit to ${accountName || 'savings account'}`, {
-          category: 'savings_deposit',
-          savingsAccountId: savingsAccount.id
-        });
-
-        // Create transaction record
-        await transactionService.createTransaction(userId, {
-          type: 'debit',
-          category: 'savings_deposit',
-          amount: depositAmount,
-          fee: 0,
-          totalAmount: depositAmount,
-          description: `Initial deposit to savings account`,
-          reference: `SAV_DEP_${Date.now()}`,
-          metadata: {
-            service: 'savings',
-            action: 'deposit',
-            savingsAccountId: savingsAccount.id,
-            accountNumber: savingsAccount.accountNumber
-          }
-        });
+        ({ account } = await this.moveWalletToSavings(userId, savingsAccount, depositAmount, 'Initial deposit'));
       }
 
       logger.info('Savings account created successfully', {
@@ -186,20 +183,7 @@ class SavingsService {
 
       return {
         success: true,
-        account: {
-          id: savingsAccount.id,
-          accountNumber: savingsAccount.accountNumber,
-          accountName: savingsAccount.accountName,
-          accountType: savingsAccount.accountType,
-          balance: parseFloat(savingsAccount.balance),
-          targetAmount: savingsAccount.targetAmount ? parseFloat(savingsAccount.targetAmount) : null,
-          interestRate: savingsAccount.interestRate,
-          duration: savingsAccount.duration,
-          maturityDate: savingsAccount.maturityDate,
-          status: savingsAccount.status,
-          savingsGoal: savingsAccount.savingsGoal,
-          createdAt: savingsAccount.createdAt
-        }
+        account: this.formatAccount(account)
       };
     } catch (error) {
       logger.error('Savings account creation failed', { error: error.message, userId, accountData });
@@ -230,38 +214,71 @@ class SavingsService {
     }
   }
 
+  formatAccount(account) {
+    return {
+      id: account.id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      accountType: account.accountType,
+      balance: parseFloat(account.balance || 0),
+      targetAmount: account.targetAmount ? parseFloat(account.targetAmount) : null,
+      interestRate: parseFloat(account.interestRate),
+      accruedInterest: Math.floor(parseFloat(account.accruedInterest || 0) * 100) / 100,
+      interestEarned: parseFloat(account.interestEarned || 0),
+      totalDeposits: parseFloat(account.totalDeposits || 0),
+      totalWithdrawals: parseFloat(account.totalWithdrawals || 0),
+      duration: account.duration,
+      maturityDate: account.maturityDate,
+      maturedAt: account.maturedAt || null,
+      status: account.status,
+      savingsGoal: account.savingsGoal,
+      createdAt: account.createdAt,
+      progressPercentage: this.calculateProgress(account)
+    };
+  }
+
   // Get user's savings accounts
   async getUserSavingsAccounts(userId) {
     try {
-      const { SavingsAccount } = require('../models');
-      
-      const accounts = await SavingsAccount.findAll({
-        where: { userId },
-        order: [['createdAt', 'DESC']]
+      const accounts = await databaseService.executeWithRetry(async () => {
+        return await supabaseHelper.findAll('savingsAccounts', { userId }, {
+          order: [['createdAt', 'DESC']]
+        });
       });
 
-      return accounts.map(account => ({
-        id: account.id,
-        accountNumber: account.accountNumber,
-        accountName: account.accountName,
-        accountType: account.accountType,
-        balance: parseFloat(account.balance),
-        targetAmount: account.targetAmount ? parseFloat(account.targetAmount) : null,
-        interestRate: account.interestRate,
-        duration: account.duration,
-        maturityDate: account.maturityDate,
-        status: account.status,
-        savingsGoal: account.savingsGoal,
-        metadata: account.metadata,
-        createdAt: account.createdAt,
-        progressPercentage: this.calculateProgress(account)
-      }));
+      return (accounts || []).map(account => this.formatAccount(account));
     } catch (error) {
       logger.error('Failed to get user savings accounts', { error: error.message, userId });
       throw error;
     }
   }
 
+  async getSavingsAccount(userId, accountId) {
+    const account = await databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findOne('savingsAccounts', { id: accountId, userId });
+    });
+
+    if (!account) {
+      throw new Error('Savings account not found');
+    }
+    return account;
+  }
+
+  // Default account for chat deposits: the oldest active flexible plan
+  async findDefaultAccount(userId) {
+    const accounts = await databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.findAll('savingsAccounts', {
+        userId,
+        accountType: this.savingsConfig.types.FLEXIBLE,
+        status: this.accountStatuses.ACTIVE
+      }, {
+        order: [['createdAt', 'ASC']],
+        limit: 1
+      });
+    });
+    return (accounts && accounts[0]) || null;
+  }
+
   // Calculate savings progress
   calculateProgress(account) {
     if (account.accountType === 'target' && account.targetAmount) {
@@ -278,6 +295,103 @@ class SavingsService {
     return 0;
   }
 
+  /**
+   * Apply a change to a savings account with a version-checked update, the
+   * same compare-and-swap used for wallet balances. `mutate` receives the
+   * freshly read account and returns the fields to change; it may throw to
+   * abort (e.g. insufficient savings balance).
+   */
+  async applySavingsChange(accountId, mutate, { maxAttempts = SAVINGS_UPDATE_MAX_ATTEMPTS } = {}) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const account = await databaseService.executeWithRetry(async () => {
+        return await supabaseHelper.findByPk('savingsAccounts', accountId);
+      });
+      if (!account) {
+        throw new Error('Savings account not found');
+      }
+
+      const changes = mutate(account);
+      if (!changes) {
+        return { account, updated: account };
+      }
+      const version = parseInt(account.version || 0, 10);
+
+      const updated = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('savingsAccounts')
+          .update({
+            ...changes,
+            version: version + 1,
+            updatedAt: new Date().toISOString()
+          })
+          .eq('id', accountId)
+          .eq('version', version)
+          .select();
+
+        if (error) throw error;
+        return data && data[0];
+      });
+
+      if (updated) {
+        return { account, updated };
+      }
+
+      logger.warn('Savings balance update conflict, retrying', { accountId, attempt, version });
+      await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 25 * attempt) + 10));
+    }
+
+    const conflictError = new Error('Savings account is busy with another transaction. Please try again.');
+    conflictError.name = 'SavingsConflictError';
+    conflictError.isRetryable = true;
+    throw conflictError;
+  }
+
+  // Debit the wallet into a savings account. The wallet debit posts the
+  // journal wallet -> savings; if the savings update then fails the wallet is
+  // credited back through the same accounts.
+  async moveWalletToSavings(userId, account, amount, label = 'Deposit') {
+    const ledgerContraAccount = ledgerService.savingsAccount(account.id);
+    const walletResult = await walletService.debitWallet(userId, amount,
+      `${label} to ${account.accountName}`, {
+      category: 'savings_deposit',
+      savingsAccountId: account.id,
+      accountNumber: account.accountNumber,
+      ledgerContraAccount
+    });
+
+    try {
+      const { updated } = await this.applySavingsChange(account.id, (current) => {
+        if (current.status !== this.accountStatuses.ACTIVE) {
+          throw new Error('Account is not active');
+        }
+        return {
+          balance: toKobo(parseFloat(current.balance || 0) + amount),
+          totalDeposits: toKobo(parseFloat(current.totalDeposits || 0) + amount)
+        };
+      });
+      return { account: updated, transaction: walletResult.transaction };
+    } catch (error) {
+      try {
+        await walletService.creditWallet(userId, amount, `Reversal: ${label.toLowerCase()} to ${account.accountName}`, {
+          category: 'savings_withdrawal',
+          savingsAccountId: account.id,
+          reversalOf: walletResult.transaction?.reference,
+          ledgerContraAccount
+        });
+      } catch (refundError) {
+        logger.error('CRITICAL: Failed to refund wallet after savings deposit failed', {
+          userId,
+          accountId: account.id,
+          amount,
+          reference: walletResult.transaction?.reference,
+          error: error.message,
+          refundError: refundError.message
+        });
+      }
+      throw error;
+    }
+  }
+
   // Deposit to savings account
   async depositToSavings(userId, accountId, amount, pin) {
     try {
@@ -290,75 +404,34 @@ class SavingsService {
       await userService.validateUserPin(userId, pin);
 
       // Get savings account
-      const { SavingsAccount } = require('../models');
-      const account = await SavingsAccount.findOne({
-        where: { id: accountId, userId }
-      });
-
-      if (!account) {
-        throw new Error('Savings account not found');
-      }
+      const account = await this.getSavingsAccount(userId, accountId);
 
       if (account.status !== this.accountStatuses.ACTIVE) {
         throw new Error('Account is not active');
       }
 
       const depositAmount = parseFloat(amount);
-      if (depositAmount < 100) {
+      if (!(depositAmount >= 100)) {
         throw new Error('Minimum deposit amount is ₦100');
       }
 
+      if (parseFloat(account.balance) + depositAmount > this.savingsConfig.limits.maximum) {
+        throw new Error(`Maximum savings balance is ₦${this.savingsConfig.limits.maximum.toLocaleString()}`);
+      }
+
       // Check wallet balance
       const walletBalance = await walletService.getWalletBalance(userId);
       if (walletBalance < depositAmount) {
         throw new Error('Insufficient wallet balance');
       }
 
-      // Update account balance
-      const newBalance = parseFloat(account.balance) + depositAmount;
-      const updatedMetadata = {
-        ...account.metadata,
-        totalDeposits: (account.metadata.totalDeposits || 0) + depositAmount,
-        transactionCount: (account.metadata.transactionCount || 0) + 1,
-        lastTransaction: new Date()
-      };
-
-      await account.update({ 
-        balance: newBalance,
-        metadata: updatedMetadata
-      });
-
-      // Debit wallet
-      await walletService.debitWallet(userId, depositAmount, 
-        `Deposit to ${account.accountName}`, {
-        category: 'savings_deposit',
-        savingsAccountId: account.id
-      });
-
-      // Create transaction record
-      await transactionService.createTransaction(userId, {
-        type: 'debit',
-        category: 'savings_deposit',
-        amount: depositAmount,
-        fee: 0,
-        totalAmount: depositAmount,
-        description: `Deposit to savings account - ${account.accountName}`,
-        reference: `SAV_DEP_${Date.now()}`,
-        metadata: {
-          service: 'savings',
-          action: 'deposit',
-          savingsAccountId: account.id,
-          accountNumber: account.accountNumber,
-          previousBalance: parseFloat(account.balance),
-          newBalance: newBalance
-        }
-      });
+      const { account: updated, transaction } = await this.moveWalletToSavings(userId, account, depositAmount);
 
       logger.info('Savings deposit completed successfully', {
         userId,
         accountId,
         amount: depositAmount,
-        newBalance
+        newBalance: parseFloat(updated.balance)
       });
 
       return {
@@ -367,9 +440,10 @@ class SavingsService {
           id: account.id,
           accountNumber: account.accountNumber,
           accountName: account.accountName,
-          previousBalance: parseFloat(account.balance),
+          previousBalance: parseFloat(updated.balance) - depositAmount,
           depositAmount,
-          newBalance
+          newBalance: parseFloat(updated.balance),
+          reference: transaction?.reference
         }
       };
     } catch (error) {
@@ -378,6 +452,29 @@ class SavingsService {
     }
   }
 
+  /**
+   * Fee and penalty for taking `amount` out of an account now. Fixed plans
+   * pay the early-withdrawal penalty before maturity; target plans pay the
+   * target-missed penalty while the target has not been reached.
+   */
+  calculateWithdrawalCharges(account, amount, now = new Date()) {
+    let penalty = 0;
+    let penaltyReason = null;
+
+    if (account.accountType === 'fixed' && account.maturityDate && now < new Date(account.maturityDate)) {
+      penalty = Math.ceil(amount * this.savingsConfig.penalties.earlyWithdrawal);
+      penaltyReason = 'Early withdrawal penalty for fixed savings';
+    }
+
+    if (account.accountType === 'target' && account.targetAmount &&
+      parseFloat(account.balance) < parseFloat(account.targetAmount)) {
+      penalty = Math.ceil(amount * this.savingsConfig.penalties.targetMissed);
+      penaltyReason = 'Withdrawal before reaching savings target';
+    }
+
+    return { withdrawalFee: this.savingsConfig.fees.withdrawal, penalty, penaltyReason };
+  }
+
   // Withdraw from savings account
   async withdrawFromSavings(userId, accountId, amount, pin) {
     try {
@@ -390,33 +487,15 @@ class SavingsService {
       await userService.validateUserPin(userId, pin);
 
       // Get savings account
-      const { SavingsAccount } = require('../models');
-      const account = await SavingsAccount.findOne({
-        where: { id: accountId, userId }
-      });
-
-      if (!account) {
-        throw new Error('Savings account not found');
-      }
+      const account = await this.getSavingsAccount(userId, accountId);
 
       if (account.status !== this.accountStatuses.ACTIVE) {
         throw new Error('Account is not active');
       }
 
       const withdrawalAmount = parseFloat(amount);
-      const withdrawalFee = this.savingsConfig.fees.withdrawal;
-      let penalty = 0;
-      let penaltyReason = null;
-
-      // Check withdrawal rules based on account type
-      if (account.accountType === 'fixed') {
-        const now = new Date();
-        const maturityDate = new Date(account.maturityDate);
-        
-        if (now < maturityDate) {
-          penalty = Math.ceil(withdrawalAmount * this.savingsConfig.penalties.earlyWithdrawal);
-          penaltyReason = 'Early withdrawal penalty for fixed savings';
-        }
+      if (!(withdrawalAmount > 0)) {
+        throw new Error('Invalid withdrawal amount');
       }
 
       if (account.accountType === 'flexible') {
@@ -424,7 +503,6 @@ class SavingsService {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         
-        const { supabase } = require('../database/connection');
         const { data: withdrawalTransactions } = await supabase
           .from('transactions')
           .select('amount')
@@ -440,56 +518,60 @@ class SavingsService {
         }
       }
 
-      const totalDeduction = withdrawalAmount + withdrawalFee + penalty;
-
-      // Check account balance
-      if (parseFloat(account.balance) < totalDeduction) {
-        throw new Error('Insufficient savings account balance');
-      }
-
-      // Update account balance
-      const newBalance = parseFloat(account.balance) - totalDeduction;
-      const updatedMetadata = {
-        ...account.metadata,
-        totalWithdrawals: (account.metadata.totalWithdrawals || 0) + withdrawalAmount,
-        transactionCount: (account.metadata.transactionCount || 0) + 1,
-        lastTransaction: new Date()
-      };
-
-      await account.update({ 
-        balance: newBalance,
-        metadata: updatedMetadata
-      });
-
-      // Credit wallet (withdrawal amount only, fees and penalties stay in savings)
-      await walletService.creditWallet(userId, withdrawalAmount, 
-        `Withdrawal from ${account.accountName}`, {
-        category: 'savings_withdrawal',
-        savingsAccountId: account.id
+      // Deduct from savings first (checked against the fresh balance), then pay the wallet
+      let charges;
+      const { account: before, updated } = await this.applySavingsChange(account.id, (current) => {
+        if (current.status !== this.accountStatuses.ACTIVE) {
+          throw new Error('Account is not active');
+        }
+        charges = this.calculateWithdrawalCharges(current, withdrawalAmount);
+        const totalDeduction = withdrawalAmount + charges.withdrawalFee + charges.penalty;
+        if (parseFloat(current.balance || 0) < totalDeduction) {
+          throw new Error('Insufficient savings account balance');
+        }
+        return {
+          balance: toKobo(parseFloat(current.balance || 0) - totalDeduction),
+          totalWithdrawals: toKobo(parseFloat(current.totalWithdrawals || 0) + withdrawalAmount)
+        };
       });
 
-      // Create transaction record
-      await transactionService.createTransaction(userId, {
-        type: 'credit',
-        category: 'savings_withdrawal',
-        amount: withdrawalAmount,
-        fee: withdrawalFee + penalty,
-        totalAmount: withdrawalAmount,
-        description: `Withdrawal from savings account - ${account.accountName}`,
-        reference: `SAV_WD_${Date.now()}`,
-        metadata: {
-          service: 'savings',
-          action: 'withdrawal',
+      const { withdrawalFee, penalty, penaltyReason } = charges;
+      const totalDeduction = withdrawalAmount + withdrawalFee + penalty;
+      const ledgerContraAccount = ledgerService.savingsAccount(account.id);
+
+      // Credit wallet (withdrawal amount only; fee and penalty are our income)
+      let walletResult;
+      try {
+        walletResult = await walletService.creditWallet(userId, withdrawalAmount, 
+          `Withdrawal from ${account.accountName}`, {
+          category: 'savings_withdrawal',
           savingsAccountId: account.id,
           accountNumber: account.accountNumber,
-          previousBalance: parseFloat(account.balance),
-          newBalance: newBalance,
           withdrawalFee,
           penalty,
           penaltyReason,
-          totalDeducted: totalDeduction
-        }
-      });
+          totalDeducted: totalDeduction,
+          ledgerContraAccount
+        });
+      } catch (error) {
+        await this.applySavingsChange(account.id, (current) => ({
+          balance: toKobo(parseFloat(current.balance || 0) + totalDeduction),
+          totalWithdrawals: toKobo(parseFloat(current.totalWithdrawals || 0) - withdrawalAmount)
+        })).catch(rollbackError => {
+          logger.error('CRITICAL: Failed to restore savings balance after wallet credit failed', {
+            userId,
+            accountId,
+            totalDeduction,
+            error: error.message,
+            rollbackError: rollbackError.message
+          });
+        });
+        throw error;
+      }
+
+      if (withdrawalFee + penalty > 0) {
+        await this.postSavingsCharges(account, withdrawalFee + penalty, walletResult.transaction);
+      }
 
       logger.info('Savings withdrawal completed successfully', {
         userId,
@@ -497,7 +579,7 @@ class SavingsService {
         amount: withdrawalAmount,
         fee: withdrawalFee,
         penalty,
-        newBalance
+        newBalance: parseFloat(updated.balance)
       });
 
       return {
@@ -511,8 +593,9 @@ class SavingsService {
           penalty,
           penaltyReason,
           totalDeducted: totalDeduction,
-          newBalance,
-          previousBalance: parseFloat(account.balance)
+          newBalance: parseFloat(updated.balance),
+          previousBalance: parseFloat(before.balance),
+          reference: walletResult.transaction?.reference
         }
       };
     } catch (error) {
@@ -521,93 +604,284 @@ class SavingsService {
     }
   }
 
-  // Calculate and credit interest
-  async calculateInterest(accountId) {
+  // Withdrawal fee and penalty leave the savings account as fee income
+  async postSavingsCharges(account, amount, transaction) {
     try {
-      const { SavingsAccount } = require('../models');
-      const account = await SavingsAccount.findByPk(accountId);
+      await ledgerService.postJournal({
+        reference: transaction?.reference,
+        transactionId: transaction?.id || null,
+        description: `Savings withdrawal charges - ${account.accountName}`,
+        metadata: { category: 'savings_withdrawal', kind: 'savings_charges', savingsAccountId: account.id },
+        postings: [
+          { accountCode: ledgerService.savingsAccount(account.id), direction: 'debit', amount },
+          { accountCode: 'fee_income', direction: 'credit', amount }
+        ]
+      });
+    } catch (error) {
+      logger.error('Failed to post savings withdrawal charges to ledger', {
+        error: error.message,
+        accountId: account.id,
+        reference: transaction?.reference,
+        amount
+      });
+    }
+  }
+
+  /**
+   * Accrue interest for the whole days since the last accrual and, once a
+   * posting period has passed (or when `post` is set, e.g. at maturity),
+   * credit the accrued interest to the balance. Fixed plans stop accruing at
+   * maturity. Returns null when nothing changed.
+   */
+  async calculateInterest(accountId, { now = new Date(), post = false } = {}) {
+    try {
+      let accrued = 0;
+      let posted = 0;
+
+      const { account, updated } = await this.applySavingsChange(accountId, (current) => {
+        accrued = 0;
+        posted = 0;
+        if (current.status !== this.accountStatuses.ACTIVE) {
+          return null;
+        }
+
+        const accrueUntil = current.maturityDate && new Date(current.maturityDate) < now
+          ? new Date(current.maturityDate)
+          : now;
+        const lastAccrual = new Date(current.lastInterestAccrualAt || current.createdAt);
+        const days = Math.floor((accrueUntil - lastAccrual) / DAY_MS);
+
+        const changes = {};
+        let pending = parseFloat(current.accruedInterest || 0);
+        if (days > 0) {
+          const dailyRate = parseFloat(current.interestRate) / 100 / 365;
+          accrued = Math.round(parseFloat(current.balance || 0) * dailyRate * days * 10000) / 10000;
+          pending += accrued;
+          changes.accruedInterest = pending;
+          changes.lastInterestAccrualAt = new Date(lastAccrual.getTime() + days * DAY_MS).toISOString();
+        }
+
+        const lastPosted = new Date(current.lastInterestPostedAt || current.createdAt);
+        const postingDue = post || (now - lastPosted) >= this.interestPostingDays * DAY_MS;
+        // Only whole kobo reach the balance; the remainder keeps accruing
+        const postable = Math.floor(pending * 100) / 100;
+        if (postingDue && postable > 0) {
+          posted = postable;
+          changes.balance = toKobo(parseFloat(current.balance || 0) + posted);
+          changes.accruedInterest = Math.round((pending - posted) * 10000) / 10000;
+          changes.interestEarned = toKobo(parseFloat(current.interestEarned || 0) + posted);
+          changes.lastInterestPostedAt = now.toISOString();
+        }
 
-      if (!account || account.status !== this.accountStatuses.ACTIVE) {
+        return Object.keys(changes).length > 0 ? changes : null;
+      });
+
+      if (!accrued && !posted) {
         return null;
       }
 
-      const now = new Date();
-      const lastCalculation = new Date(account.metadata.lastInterestCalculation || account.createdAt);
-      const daysDiff = Math.floor((now - lastCalculation) / (1000 * 60 * 60 * 24));
+      if (posted > 0) {
+        await this.recordInterestPosting(updated, posted, parseFloat(account.balance));
+      }
 
-      if (daysDiff < 30) { // Calculate interest monthly
-        return null;
+      return {
+        accrued,
+        posted,
+        accruedInterest: parseFloat(updated.accruedInterest || 0),
+        newBalance: parseFloat(updated.balance)
+      };
+    } catch (error) {
+      logger.error('Interest calculation failed', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  async recordInterestPosting(account, interest, previousBalance) {
+    const reference = `INT_${Date.now()}_${uuidv4().slice(0, 6).toUpperCase()}`;
+
+    // Create transaction record for interest
+    const transaction = await transactionService.createTransaction(account.userId, {
+      type: 'credit',
+      category: 'savings_interest',
+      amount: interest,
+      fee: 0,
+      totalAmount: interest,
+      description: `Interest earned - ${account.accountName}`,
+      reference,
+      status: 'completed',
+      source: 'scheduler',
+      metadata: {
+        service: 'savings',
+        action: 'interest',
+        savingsAccountId: account.id,
+        accountNumber: account.accountNumber,
+        interestRate: parseFloat(account.interestRate),
+        previousBalance,
+        newBalance: parseFloat(account.balance)
       }
+    });
 
-      const monthlyRate = account.interestRate / 12 / 100;
-      const interest = parseFloat(account.balance) * monthlyRate;
+    try {
+      await ledgerService.postJournal({
+        reference,
+        transactionId: transaction.id,
+        description: `Savings interest - ${account.accountName}`,
+        metadata: { category: 'savings_interest', kind: 'savings_interest', savingsAccountId: account.id },
+        postings: [
+          { accountCode: 'interest_expense', direction: 'debit', amount: interest },
+          { accountCode: ledgerService.savingsAccount(account.id), direction: 'credit', amount: interest }
+        ]
+      });
+    } catch (error) {
+      logger.error('Failed to post savings interest to ledger', { error: error.message, accountId: account.id, reference, interest });
+    }
 
-      if (interest > 0) {
-        // Credit interest to account
-        const newBalance = parseFloat(account.balance) + interest;
-        const updatedMetadata = {
-          ...account.metadata,
-          interestEarned: (account.metadata.interestEarned || 0) + interest,
-          lastInterestCalculation: now
-        };
+    logger.info('Interest calculated and credited', {
+      accountId: account.id,
+      interest,
+      newBalance: parseFloat(account.balance)
+    });
+  }
 
-        await account.update({ 
-          balance: newBalance,
-          metadata: updatedMetadata
-        });
+  // Daily worker job: accrue interest on every active account
+  async accrueDailyInterest({ now = new Date(), batchSize = 500 } = {}) {
+    const summary = { accounts: 0, accrued: 0, posted: 0, failed: 0 };
+
+    for (let offset = 0; ; offset += batchSize) {
+      const accounts = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('savingsAccounts')
+          .select('id')
+          .eq('status', this.accountStatuses.ACTIVE)
+          .gt('balance', 0)
+          .order('id', { ascending: true })
+          .range(offset, offset + batchSize - 1);
+        if (error) throw error;
+        return data || [];
+      });
 
-        // Create transaction record for interest
-        await transactionService.createTransaction(account.userId, {
-          type: 'credit',
-          category: 'savings_interest',
-          amount: interest,
-          fee: 0,
-          totalAmount: interest,
-          description: `Interest earned - ${account.accountName}`,
-          reference: `INT_${Date.now()}`,
-          metadata: {
-            service: 'savings',
-            action: 'interest',
-            savingsAccountId: account.id,
-            accountNumber: account.accountNumber,
-            interestRate: account.interestRate,
-            monthlyRate,
-            previousBalance: parseFloat(account.balance),
-            newBalance
+      for (const { id } of accounts) {
+        summary.accounts++;
+        try {
+          const result = await this.calculateInterest(id, { now });
+          if (result) {
+            summary.accrued += result.accrued;
+            summary.posted += result.posted;
           }
-        });
+        } catch (error) {
+          summary.failed++;
+        }
+      }
 
-        logger.info('Interest calculated and credited', {
-          accountId,
-          interest,
-          newBalance
-        });
+      if (accounts.length < batchSize) break;
+    }
+
+    summary.accrued = toKobo(summary.accrued);
+    summary.posted = toKobo(summary.posted);
+    logger.info('Savings interest accrual completed', summary);
+    return summary;
+  }
 
-        return { interest, newBalance };
+  // Daily worker job: pay out fixed plans that reached maturity
+  async matureDueAccounts({ now = new Date() } = {}) {
+    const due = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('savingsAccounts')
+        .select('*')
+        .eq('status', this.accountStatuses.ACTIVE)
+        .eq('accountType', this.savingsConfig.types.FIXED)
+        .lte('maturityDate', now.toISOString());
+      if (error) throw error;
+      return data || [];
+    });
+
+    let matured = 0;
+    for (const account of due) {
+      try {
+        await this.matureAccount(account, { now });
+        matured++;
+      } catch (error) {
+        logger.error('Failed to mature savings account', { error: error.message, accountId: account.id });
       }
+    }
+
+    if (due.length > 0) {
+      logger.info('Fixed savings maturity run completed', { due: due.length, matured });
+    }
+    return { due: due.length, matured };
+  }
 
-      return null;
+  /**
+   * Post the final interest, mark the plan matured and pay principal plus
+   * interest into the wallet. The status change is the claim: a second worker
+   * finds the plan already matured and pays nothing.
+   */
+  async matureAccount(account, { now = new Date() } = {}) {
+    await this.calculateInterest(account.id, { now, post: true });
+
+    let payout = 0;
+    const { updated } = await this.applySavingsChange(account.id, (current) => {
+      if (current.status !== this.accountStatuses.ACTIVE) {
+        throw new Error('Savings account is no longer active');
+      }
+      payout = parseFloat(current.balance || 0);
+      return {
+        status: this.accountStatuses.MATURED,
+        balance: 0,
+        totalWithdrawals: toKobo(parseFloat(current.totalWithdrawals || 0) + payout),
+        maturedAt: now.toISOString()
+      };
+    });
+
+    if (payout > 0) {
+      try {
+        await walletService.creditWallet(account.userId, payout, `${account.accountName} matured`, {
+          category: 'savings_withdrawal',
+          savingsAccountId: account.id,
+          accountNumber: account.accountNumber,
+          action: 'maturity',
+          ledgerContraAccount: ledgerService.savingsAccount(account.id)
+        });
+      } catch (error) {
+        // Put the plan back so the next run pays it out
+        await this.applySavingsChange(account.id, (current) => ({
+          status: this.accountStatuses.ACTIVE,
+          balance: toKobo(parseFloat(current.balance || 0) + payout),
+          totalWithdrawals: toKobo(parseFloat(current.totalWithdrawals || 0) - payout),
+          maturedAt: null
+        })).catch(rollbackError => {
+          logger.error('CRITICAL: Failed to restore matured savings account after payout failed', {
+            accountId: account.id,
+            payout,
+            error: error.message,
+            rollbackError: rollbackError.message
+          });
+        });
+        throw error;
+      }
+    }
+
+    logger.info('Fixed savings matured and paid out', { accountId: account.id, userId: account.userId, payout });
+
+    try {
+      const user = await userService.getUserById(account.userId);
+      if (user?.whatsappNumber) {
+        await messaging.sendTextMessage(user.whatsappNumber,
+          `🎉 *Savings Matured*\n\nYour ${account.accountName} has matured. ₦${payout.toLocaleString()} (including ₦${parseFloat(updated.interestEarned || 0).toLocaleString()} interest) has been paid into your MiiMii wallet.`);
+      }
     } catch (error) {
-      logger.error('Interest calculation failed', { error: error.message, accountId });
-      throw error;
+      logger.warn('Failed to send savings maturity message', { error: error.message, accountId: account.id });
     }
+
+    return { payout, account: updated };
   }
 
   // Get savings account transactions
   async getSavingsTransactions(userId, accountId, limit = 10, offset = 0) {
     try {
       // Verify account belongs to user
-      const supabaseHelper = require('./supabaseHelper');
-      const account = await supabaseHelper.findOne('savingsAccounts', {
-        id: accountId,
-        userId
-      });
-
-      if (!account) {
-        throw new Error('Savings account not found');
-      }
+      await this.getSavingsAccount(userId, accountId);
 
-      const { supabase } = require('../database/connection');
       const { data: transactions, error, count } = await supabase
         .from('transactions')
         .select('*', { count: 'exact' })
@@ -648,18 +922,21 @@ class SavingsService {
   async getSavingsSummary(userId) {
     try {
       const accounts = await this.getUserSavingsAccounts(userId);
+      const open = accounts.filter(acc => [this.accountStatuses.ACTIVE, this.accountStatuses.SUSPENDED].includes(acc.status));
       
       const summary = {
         totalAccounts: accounts.length,
         activeAccounts: accounts.filter(acc => acc.status === 'active').length,
-        totalBalance: accounts.reduce((sum, acc) => sum + acc.balance, 0),
-        totalInterestEarned: accounts.reduce((sum, acc) => sum + (acc.metadata.interestEarned || 0), 0),
+        totalBalance: open.reduce((sum, acc) => sum + acc.balance, 0),
+        pendingInterest: toKobo(open.reduce((sum, acc) => sum + acc.accruedInterest, 0)),
+        totalInterestEarned: accounts.reduce((sum, acc) => sum + acc.interestEarned, 0),
         accountsByType: accounts.reduce((acc, account) => {
           acc[account.accountType] = (acc[account.accountType] || 0) + 1;
           return acc;
         }, {}),
         targetAccounts: accounts.filter(acc => acc.accountType === 'target'),
-        maturedAccounts: accounts.filter(acc => acc.status === 'matured').length
+        maturedAccounts: accounts.filter(acc => acc.status === 'matured').length,
+        accounts
       };
 
       return summary;
@@ -670,4 +947,4 @@ class SavingsService {
   }
 }
 
-module.exports = new SavingsService();
\ No newline at end of file
+module.exports = new SavingsService();
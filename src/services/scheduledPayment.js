@@ -0,0 +1,728 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const databaseService = require('./database');
+const userService = require('./user');
+const idempotencyService = require('./idempotency');
+
+/**
+ * Scheduled and recurring payments
+ *
+ * A schedule stores what to pay (type, amount, payee details) and when
+ * (frequency, day, time of day in Africa/Lagos). The PIN is asked once, when
+ * the schedule is created, and turned into a signed pre-authorisation that the
+ * worker presents instead of a PIN on every run. Each run goes through the
+ * normal bank transfer, airtime, data and bill services, under an idempotency
+ * key per occurrence so that a crashed or repeated worker can never pay twice.
+ */
+
+// Africa/Lagos is UTC+1 all year round (no daylight saving)
+const LAGOS_OFFSET_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_NAME = '(sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)';
+
+function weekdayIndex(token) {
+  const prefix = token.toLowerCase().slice(0, 3);
+  return WEEKDAYS.findIndex(day => day.startsWith(prefix));
+}
+
+function fromLagos(year, month, day, hours, minutes) {
+  return new Date(Date.UTC(year, month, day, hours, minutes) - LAGOS_OFFSET_MS);
+}
+
+function toLagos(date) {
+  return new Date(new Date(date).getTime() + LAGOS_OFFSET_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function ordinal(n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+class ScheduledPaymentService {
+  constructor() {
+    this.types = ['bank_transfer', 'airtime', 'data', 'bill'];
+    this.frequencies = ['once', 'daily', 'weekly', 'monthly'];
+    this.defaultTimeOfDay = '09:00';
+    this.maxConsecutiveFailures = 3;
+    this.claimTimeoutMs = 10 * 60 * 1000;
+    this.batchSize = 25;
+  }
+
+  // ===== Timing =====
+
+  /**
+   * Next occurrence strictly after `after`, or null when the schedule has run
+   * its course (one-off already run, maxRuns reached or past endsAt).
+   */
+  computeNextRunAt(schedule, after = new Date()) {
+    const runCount = schedule.runCount || 0;
+    if (schedule.maxRuns && runCount >= schedule.maxRuns) return null;
+
+    const startAt = new Date(schedule.startAt || Date.now());
+    if (schedule.frequency === 'once') {
+      return runCount === 0 ? startAt : null;
+    }
+
+    const [hours, minutes] = String(schedule.timeOfDay || this.defaultTimeOfDay).split(':').map(Number);
+    const floor = Math.max(new Date(after).getTime(), startAt.getTime() - 1);
+    const base = toLagos(floor);
+    const year = base.getUTCFullYear();
+    const month = base.getUTCMonth();
+    const date = base.getUTCDate();
+    const isAfterFloor = candidate => candidate.getTime() > floor;
+
+    let next = null;
+    if (schedule.frequency === 'daily') {
+      next = fromLagos(year, month, date, hours, minutes);
+      if (!isAfterFloor(next)) next = fromLagos(year, month, date + 1, hours, minutes);
+    } else if (schedule.frequency === 'weekly') {
+      const delta = (schedule.dayOfWeek - base.getUTCDay() + 7) % 7;
+      next = fromLagos(year, month, date + delta, hours, minutes);
+      if (!isAfterFloor(next)) next = fromLagos(year, month, date + delta + 7, hours, minutes);
+    } else if (schedule.frequency === 'monthly') {
+      // Short months run on their last day ("the 31st" is the 30th in April)
+      for (let offset = 0; offset <= 2 && !next; offset++) {
+        const day = Math.min(schedule.dayOfMonth, daysInMonth(year, month + offset));
+        const candidate = fromLagos(year, month + offset, day, hours, minutes);
+        if (isAfterFloor(candidate)) next = candidate;
+      }
+    }
+
+    if (next && schedule.endsAt && next > new Date(schedule.endsAt)) return null;
+    return next;
+  }
+
+  /**
+   * Pull the timing out of a chat message such as "every Friday",
+   * "on the 1st", "daily at 7pm", "tomorrow" or "next Monday". Returns null if the message
+   * carries no timing. `remainder` is the message with the timing removed,
+   * so amounts can be extracted without picking up "1st" or "7pm".
+   */
+  parseScheduleText(text, now = new Date()) {
+    if (!text) return null;
+    let remainder = ` ${text} `;
+    const take = (pattern) => {
+      const match = remainder.match(pattern);
+      if (match) remainder = remainder.replace(match[0], ' ');
+      return match;
+    };
+
+    let timeOfDay = this.defaultTimeOfDay;
+    const time = take(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+    if (time) {
+      let hours = parseInt(time[1], 10);
+      const suffix = (time[3] || '').toLowerCase();
+      if (suffix === 'pm' && hours < 12) hours += 12;
+      if (suffix === 'am' && hours === 12) hours = 0;
+      if (hours <= 23) {
+        timeOfDay = `${String(hours).padStart(2, '0')}:${time[2] || '00'}`;
+      }
+    }
+
+    const today = toLagos(now);
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    const result = { timeOfDay };
+
+    let match;
+    if ((match = take(/\btomorrow\b/i))) {
+      result.frequency = 'once';
+      result.startAt = fromLagos(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1, hours, minutes);
+    } else if ((match = take(new RegExp(`\\b(?:next|this|on)\\s+${WEEKDAY_NAME}(?:day)?\\b`, 'i')))) {
+      const dayOfWeek = weekdayIndex(match[1]);
+      const delta = ((dayOfWeek - today.getUTCDay() + 7) % 7) || 7;
+      result.frequency = 'once';
+      result.startAt = fromLagos(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + delta, hours, minutes);
+    } else if ((match = take(/\b(every\s*day|each\s+day|daily)\b/i))) {
+      result.frequency = 'daily';
+    } else if ((match = take(new RegExp(`\\b(?:(?:every|each)\\s+${WEEKDAY_NAME}(?:day)?s?|(?:on\\s+)?${WEEKDAY_NAME}days)\\b`, 'i')))) {
+      // "every Friday" and "on Fridays" repeat; "on Friday" is a one-off (above)
+      result.frequency = 'weekly';
+      result.dayOfWeek = weekdayIndex(match[1] || match[2]);
+    } else if ((match = take(/\b(?:(?:every|each)\s+month\s+)?(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b(?:\s+of\s+(?:every|each|the)\s+month)?/i))) {
+      result.frequency = 'monthly';
+      result.dayOfMonth = Math.min(parseInt(match[1], 10), 31);
+    } else if ((match = take(/\b(weekly|every\s+week)\b/i))) {
+      result.frequency = 'weekly';
+      result.dayOfWeek = today.getUTCDay();
+    } else if ((match = take(/\b(monthly|every\s+month)\b/i))) {
+      result.frequency = 'monthly';
+      result.dayOfMonth = today.getUTCDate();
+    } else {
+      return null;
+    }
+
+    take(/\b(every\s+month|monthly)\b/i);
+    result.remainder = remainder.replace(/\s+/g, ' ').trim();
+    return result;
+  }
+
+  formatTime(timeOfDay) {
+    const [hours, minutes] = String(timeOfDay || this.defaultTimeOfDay).split(':').map(Number);
+    return `${((hours + 11) % 12) + 1}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+  }
+
+  // "Fri 23/10, 9:00 AM" in Lagos time
+  formatRunDate(date) {
+    if (!date) return '-';
+    const when = toLagos(date);
+    const day = WEEKDAYS[when.getUTCDay()];
+    const time = `${String(when.getUTCHours()).padStart(2, '0')}:${String(when.getUTCMinutes()).padStart(2, '0')}`;
+    return `${day.charAt(0).toUpperCase()}${day.slice(1, 3)} ${when.getUTCDate()}/${when.getUTCMonth() + 1}, ${this.formatTime(time)}`;
+  }
+
+  describeTiming(schedule) {
+    const time = this.formatTime(schedule.timeOfDay);
+    switch (schedule.frequency) {
+      case 'once':
+        return `once on ${this.formatRunDate(schedule.startAt)}`;
+      case 'daily':
+        return `every day at ${time}`;
+      case 'weekly': {
+        const day = WEEKDAYS[schedule.dayOfWeek] || '';
+        return `every ${day.charAt(0).toUpperCase()}${day.slice(1)} at ${time}`;
+      }
+      case 'monthly':
+        return `on the ${ordinal(schedule.dayOfMonth)} of every month at ${time}`;
+      default:
+        return schedule.frequency;
+    }
+  }
+
+  describePayee(schedule) {
+    const details = schedule.details || {};
+    const amount = `₦${parseFloat(schedule.amount).toLocaleString()}`;
+    switch (schedule.type) {
+      case 'bank_transfer':
+        return `${amount} to ${details.recipientName || details.accountNumber} (${details.bankName || 'bank'} ${details.accountNumber})`;
+      case 'airtime':
+        return `${amount} ${details.network} airtime for ${details.phoneNumber}`;
+      case 'data':
+        return `${details.planTitle || 'data'} (${amount}) for ${details.phoneNumber}`;
+      case 'bill':
+        return `${amount} ${String(details.provider || '').toUpperCase()} for ${details.customerName || details.customerNumber}`;
+      default:
+        return amount;
+    }
+  }
+
+  // ===== CRUD =====
+
+  async createSchedule(userId, input, pin, { source = 'app' } = {}) {
+    const { type, frequency } = input;
+    if (!this.types.includes(type)) {
+      throw new Error('Unsupported scheduled payment type');
+    }
+    if (!this.frequencies.includes(frequency)) {
+      throw new Error('Unsupported schedule frequency');
+    }
+    this.validateTiming(input);
+
+    const { amount, details } = await this.resolveDetails(type, parseFloat(input.amount), input.details || {});
+    const schedule = {
+      id: uuidv4(),
+      userId,
+      type,
+      status: 'active',
+      label: input.label || null,
+      amount,
+      details,
+      frequency,
+      dayOfWeek: frequency === 'weekly' ? input.dayOfWeek : null,
+      dayOfMonth: frequency === 'monthly' ? input.dayOfMonth : null,
+      timeOfDay: input.timeOfDay || this.defaultTimeOfDay,
+      startAt: new Date(input.startAt || Date.now()).toISOString(),
+      endsAt: input.endsAt ? new Date(input.endsAt).toISOString() : null,
+      maxRuns: input.maxRuns || null,
+      runCount: 0,
+      source
+    };
+
+    const nextRunAt = this.computeNextRunAt(schedule);
+    if (!nextRunAt || nextRunAt <= new Date()) {
+      throw new Error('Schedule must have a run in the future');
+    }
+    schedule.nextRunAt = nextRunAt.toISOString();
+
+    schedule.pinAuthorization = await userService.createPinAuthorization(userId, pin, this.authorizationSubject(schedule));
+    schedule.authorizedAt = new Date().toISOString();
+
+    const created = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('scheduledPayments')
+        .insert(schedule)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+
+    logger.info('Scheduled payment created', {
+      userId,
+      scheduledPaymentId: created.id,
+      type,
+      frequency,
+      nextRunAt: created.nextRunAt
+    });
+
+    return created;
+  }
+
+  async listSchedules(userId, { status } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('scheduledPayments')
+        .select('*')
+        .eq('userId', userId)
+        .order('createdAt', { ascending: false });
+      query = status ? query.eq('status', status) : query.in('status', ['active', 'paused']);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async getSchedule(userId, scheduleId) {
+    const schedule = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('scheduledPayments')
+        .select('*')
+        .eq('id', scheduleId)
+        .eq('userId', userId)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+    if (!schedule) {
+      throw new Error('Scheduled payment not found');
+    }
+    return schedule;
+  }
+
+  /**
+   * Change timing, amount, label or pause/resume. A new amount needs the PIN
+   * because the pre-authorisation covers it; passing a PIN also re-authorises
+   * a schedule whose authorisation lapsed after a PIN change.
+   */
+  async updateSchedule(userId, scheduleId, changes, pin = null) {
+    const schedule = await this.getSchedule(userId, scheduleId);
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      throw new Error(`Scheduled payment is already ${schedule.status}`);
+    }
+
+    const updated = { ...schedule };
+    ['label', 'frequency', 'dayOfWeek', 'dayOfMonth', 'timeOfDay', 'startAt', 'endsAt', 'maxRuns'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    if (!this.frequencies.includes(updated.frequency)) {
+      throw new Error('Unsupported schedule frequency');
+    }
+    this.validateTiming(updated);
+
+    const amountChanged = changes.amount !== undefined && parseFloat(changes.amount) !== parseFloat(schedule.amount);
+    if (amountChanged) {
+      if (!pin) {
+        throw new Error('PIN is required to change the amount');
+      }
+      const resolved = await this.resolveDetails(schedule.type, parseFloat(changes.amount), schedule.details);
+      updated.amount = resolved.amount;
+    }
+
+    if (changes.status && ['active', 'paused', 'failed'].includes(schedule.status)) {
+      if (!['active', 'paused'].includes(changes.status)) {
+        throw new Error('Status can only be set to active or paused');
+      }
+      updated.status = changes.status;
+    }
+
+    if (pin) {
+      updated.pinAuthorization = await userService.createPinAuthorization(userId, pin, this.authorizationSubject(updated));
+      updated.authorizedAt = new Date().toISOString();
+    }
+
+    if (updated.status === 'active') {
+      const after = new Date(Math.max(Date.now(), schedule.lastRunAt ? new Date(schedule.lastRunAt).getTime() : 0));
+      const nextRunAt = this.computeNextRunAt(updated, after);
+      if (!nextRunAt) {
+        throw new Error('Schedule has no future runs');
+      }
+      updated.nextRunAt = nextRunAt.toISOString();
+      updated.consecutiveFailures = 0;
+    }
+
+    const fields = ['label', 'amount', 'frequency', 'dayOfWeek', 'dayOfMonth', 'timeOfDay', 'startAt', 'endsAt',
+      'maxRuns', 'status', 'nextRunAt', 'consecutiveFailures', 'pinAuthorization', 'authorizedAt'];
+    const patch = {};
+    fields.forEach(field => { patch[field] = updated[field]; });
+
+    const saved = await this.saveSchedule(schedule.id, patch);
+    logger.info('Scheduled payment updated', { userId, scheduledPaymentId: schedule.id, changes: Object.keys(changes) });
+    return saved;
+  }
+
+  async cancelSchedule(userId, scheduleId) {
+    const schedule = await this.getSchedule(userId, scheduleId);
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return schedule;
+    }
+    const saved = await this.saveSchedule(schedule.id, { status: 'cancelled', nextRunAt: null });
+    logger.info('Scheduled payment cancelled', { userId, scheduledPaymentId: schedule.id });
+    return saved;
+  }
+
+  async saveSchedule(scheduleId, patch) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('scheduledPayments')
+        .update(patch)
+        .eq('id', scheduleId)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  // Strip internal fields before a schedule leaves the API
+  toPublic(schedule) {
+    const { pinAuthorization, lockedUntil, ...rest } = schedule;
+    return {
+      ...rest,
+      amount: parseFloat(schedule.amount),
+      summary: `${this.describePayee(schedule)}, ${this.describeTiming(schedule)}`
+    };
+  }
+
+  validateTiming(input) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(input.timeOfDay || this.defaultTimeOfDay)) {
+      throw new Error('timeOfDay must be HH:mm');
+    }
+    if (input.frequency === 'weekly' && !(Number.isInteger(input.dayOfWeek) && input.dayOfWeek >= 0 && input.dayOfWeek <= 6)) {
+      throw new Error('dayOfWeek (0-6, Sunday is 0) is required for weekly schedules');
+    }
+    if (input.frequency === 'monthly' && !(Number.isInteger(input.dayOfMonth) && input.dayOfMonth >= 1 && input.dayOfMonth <= 31)) {
+      throw new Error('dayOfMonth (1-31) is required for monthly schedules');
+    }
+    if (input.frequency === 'once' && !input.startAt) {
+      throw new Error('startAt is required for one-off schedules');
+    }
+  }
+
+  // Validate the payee up front so a typo fails now, not at 9am next Friday
+  async resolveDetails(type, amount, details) {
+    switch (type) {
+      case 'bank_transfer': {
+        const bankTransferService = require('./bankTransfer');
+        if (!(amount >= 100)) throw new Error('Minimum transfer amount is ₦100');
+        const validation = await bankTransferService.validateBankAccount(details.accountNumber, details.bankCode);
+        if (!validation.valid) {
+          throw new Error('Invalid bank account details');
+        }
+        return {
+          amount,
+          details: {
+            accountNumber: validation.accountNumber || details.accountNumber,
+            bankCode: validation.bankCode || details.bankCode,
+            bankName: validation.bankName || validation.bank || details.bankName || null,
+            recipientName: validation.accountName,
+            narration: details.narration || 'Scheduled transfer'
+          }
+        };
+      }
+
+      case 'airtime': {
+        if (!(amount >= 50)) throw new Error('Minimum airtime amount is ₦50');
+        if (!details.phoneNumber || !details.network) {
+          throw new Error('Phone number and network are required for airtime');
+        }
+        return {
+          amount,
+          details: { phoneNumber: details.phoneNumber, network: String(details.network).toUpperCase() }
+        };
+      }
+
+      case 'data': {
+        const dataService = require('./data');
+        if (!details.phoneNumber || !details.network || !details.planId) {
+          throw new Error('Phone number, network and plan are required for data');
+        }
+        const network = String(details.network).toUpperCase();
+        const plans = await dataService.getDataPlans(network);
+        const plan = plans.find(p => String(p.id) === String(details.planId));
+        if (!plan) {
+          throw new Error('Invalid data plan selected');
+        }
+        return {
+          amount: parseFloat(plan.price),
+          details: { phoneNumber: details.phoneNumber, network, planId: String(plan.id), planTitle: plan.title }
+        };
+      }
+
+      case 'bill': {
+        const utilityService = require('./utility');
+        if (!(amount >= 100)) throw new Error('Minimum bill amount is ₦100');
+        if (!details.category || !details.provider || !details.customerNumber) {
+          throw new Error('Category, provider and customer number are required for bills');
+        }
+        const validation = await utilityService.validateCustomer(details.category, details.provider, details.customerNumber);
+        if (!validation.valid) {
+          throw new Error(validation.message || 'Invalid customer details');
+        }
+        return {
+          amount,
+          details: {
+            category: details.category,
+            provider: String(details.provider).toLowerCase(),
+            customerNumber: details.customerNumber,
+            customerName: validation.customerName || null,
+            planId: details.planId || null
+          }
+        };
+      }
+
+      default:
+        throw new Error('Unsupported scheduled payment type');
+    }
+  }
+
+  // What the PIN pre-authorisation covers: this schedule, this payee, this amount
+  authorizationSubject(schedule) {
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([schedule.type, parseFloat(schedule.amount).toFixed(2), schedule.details]))
+      .digest('hex');
+    return `scheduled_payment:${schedule.id}:${fingerprint}`;
+  }
+
+  // ===== Worker =====
+
+  async runDueSchedules({ now = new Date(), limit = this.batchSize } = {}) {
+    const nowIso = now.toISOString();
+    const due = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('scheduledPayments')
+        .select('*')
+        .eq('status', 'active')
+        .lte('nextRunAt', nowIso)
+        .or(`lockedUntil.is.null,lockedUntil.lt.${nowIso}`)
+        .order('nextRunAt', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+
+    const summary = { due: due.length, succeeded: 0, failed: 0, skipped: 0 };
+    for (const candidate of due) {
+      const schedule = await this.claimSchedule(candidate, now);
+      if (!schedule) {
+        summary.skipped++;
+        continue;
+      }
+      const outcome = await this.executeSchedule(schedule);
+      if (outcome === 'success') summary.succeeded++;
+      else if (outcome === 'failed') summary.failed++;
+      else summary.skipped++;
+    }
+
+    if (due.length > 0) {
+      logger.info('Scheduled payments run completed', summary);
+    }
+    return summary;
+  }
+
+  // Lock one schedule for this worker; another worker that read the same row
+  // finds the lock already taken and gets nothing back
+  async claimSchedule(schedule, now = new Date()) {
+    const nowIso = now.toISOString();
+    const { data, error } = await supabase
+      .from('scheduledPayments')
+      .update({ lockedUntil: new Date(now.getTime() + this.claimTimeoutMs).toISOString() })
+      .eq('id', schedule.id)
+      .eq('status', 'active')
+      .eq('nextRunAt', schedule.nextRunAt)
+      .or(`lockedUntil.is.null,lockedUntil.lt.${nowIso}`)
+      .select()
+      .maybeSingle();
+    if (error) {
+      logger.error('Failed to claim scheduled payment', { error: error.message, scheduledPaymentId: schedule.id });
+      return null;
+    }
+    return data;
+  }
+
+  async executeSchedule(schedule) {
+    const occurrence = new Date(schedule.nextRunAt).toISOString();
+    const pinAuthorization = { subject: this.authorizationSubject(schedule), signature: schedule.pinAuthorization };
+
+    try {
+      const user = await userService.getUserById(schedule.userId);
+      if (!user || !user.isActive || user.isBanned) {
+        throw new Error('Account is not active');
+      }
+
+      // A PIN change voids the authorisation: pause rather than fail every run
+      try {
+        await userService.verifyPinAuthorization(schedule.userId, pinAuthorization);
+      } catch (authError) {
+        await this.saveSchedule(schedule.id, { status: 'paused', lastRunStatus: 'unauthorized', lastError: authError.message, lockedUntil: null });
+        logger.warn('Scheduled payment paused - PIN authorisation invalid', { scheduledPaymentId: schedule.id });
+        await this.notifyFailure(schedule, {
+          reason: authError.message,
+          paused: true,
+          message: `Your scheduled payment of ${this.describePayee(schedule)} has been paused because your PIN changed. Resume it in the MiiMii app with your new PIN to continue.`
+        });
+        return 'failed';
+      }
+
+      const result = await idempotencyService.execute({
+        userId: schedule.userId,
+        scope: 'scheduled_payment',
+        key: `${schedule.id}:${occurrence}`,
+        payload: { type: schedule.type, amount: parseFloat(schedule.amount), details: schedule.details }
+      }, () => this.dispatch(schedule, pinAuthorization));
+
+      const reference = result?.transaction?.reference || result?.reference || null;
+      await this.recordRun(schedule, { status: 'success', reference });
+      logger.info('Scheduled payment run succeeded', { scheduledPaymentId: schedule.id, occurrence, reference });
+      return 'success';
+    } catch (error) {
+      // The payment may have gone out; never report it as failed or retry it
+      if (error.outcomeUnknown || error.code === 'IN_PROGRESS') {
+        await this.recordRun(schedule, { status: 'unknown', reference: error.transactionReference || null, error: error.message });
+        logger.error('Scheduled payment run outcome unknown - needs review', {
+          scheduledPaymentId: schedule.id,
+          occurrence,
+          error: error.message
+        });
+        return 'unknown';
+      }
+
+      const paused = await this.recordRun(schedule, { status: 'failed', error: error.message });
+      logger.warn('Scheduled payment run failed', { scheduledPaymentId: schedule.id, occurrence, error: error.message, paused });
+      await this.notifyFailure(schedule, { reason: error.message, paused });
+      return 'failed';
+    }
+  }
+
+  async dispatch(schedule, pinAuthorization) {
+    const details = schedule.details || {};
+    const amount = parseFloat(schedule.amount);
+
+    switch (schedule.type) {
+      case 'bank_transfer': {
+        const bankTransferService = require('./bankTransfer');
+        return bankTransferService.processBankTransfer(schedule.userId, {
+          accountNumber: details.accountNumber,
+          bankCode: details.bankCode,
+          amount,
+          narration: details.narration || 'Scheduled transfer',
+          reference: `SCH${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+        }, null, { pinAuthorization });
+      }
+      case 'airtime': {
+        const airtimeService = require('./airtime');
+        return airtimeService.purchaseAirtime(schedule.userId, details.phoneNumber, details.network, amount, null, { pinAuthorization });
+      }
+      case 'data': {
+        const dataService = require('./data');
+        return dataService.purchaseData(schedule.userId, details.phoneNumber, details.network, details.planId, null, { pinAuthorization });
+      }
+      case 'bill': {
+        const utilityService = require('./utility');
+        return utilityService.payBill(schedule.userId, details.category, details.provider, details.customerNumber,
+          amount, null, details.planId || null, { pinAuthorization });
+      }
+      default:
+        throw new Error(`Unsupported scheduled payment type: ${schedule.type}`);
+    }
+  }
+
+  // Advance the schedule past this occurrence. Failed occurrences are skipped,
+  // not retried; after maxConsecutiveFailures the schedule is paused.
+  // Resolves true when the schedule was paused.
+  async recordRun(schedule, { status, reference = null, error = null }) {
+    const now = new Date();
+    const runCount = (schedule.runCount || 0) + 1;
+    const consecutiveFailures = status === 'failed' ? (schedule.consecutiveFailures || 0) + 1 : 0;
+    // Never land on the occurrence just run, even if the clock lags it
+    const after = new Date(Math.max(now.getTime(), new Date(schedule.nextRunAt).getTime()));
+    const nextRunAt = this.computeNextRunAt({ ...schedule, runCount }, after);
+
+    let nextStatus = 'active';
+    if (status === 'failed' && consecutiveFailures >= this.maxConsecutiveFailures) {
+      nextStatus = 'paused';
+    } else if (!nextRunAt) {
+      nextStatus = status === 'failed' && schedule.frequency === 'once' ? 'failed' : 'completed';
+    }
+
+    try {
+      await this.saveSchedule(schedule.id, {
+        status: nextStatus,
+        runCount,
+        failureCount: (schedule.failureCount || 0) + (status === 'failed' ? 1 : 0),
+        consecutiveFailures,
+        lastRunAt: now.toISOString(),
+        lastRunStatus: status,
+        lastError: error,
+        lastTransactionReference: reference || schedule.lastTransactionReference || null,
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        lockedUntil: null
+      });
+    } catch (saveError) {
+      // The lock expires on its own; the idempotency key stops a second payment
+      logger.error('Failed to record scheduled payment run', {
+        error: saveError.message,
+        scheduledPaymentId: schedule.id,
+        status
+      });
+    }
+
+    return nextStatus === 'paused';
+  }
+
+  async notifyFailure(schedule, { reason, paused = false, message = null }) {
+    const summary = this.describePayee(schedule);
+    const title = paused ? '⏸️ Scheduled payment paused' : '❌ Scheduled payment failed';
+    message = message || (paused
+      ? `Your scheduled payment of ${summary} failed ${this.maxConsecutiveFailures} times in a row and has been paused. Reason: ${reason}`
+      : `Your scheduled payment of ${summary} could not be completed. Reason: ${reason}`);
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.createNotification(schedule.userId, {
+        type: 'transaction_failed',
+        title,
+        message,
+        data: {
+          scheduledPaymentId: schedule.id,
+          amount: parseFloat(schedule.amount),
+          reason,
+          paused
+        },
+        priority: 'high',
+        actionUrl: `/scheduled-payments/${schedule.id}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create scheduled payment notification', { error: error.message, scheduledPaymentId: schedule.id });
+    }
+
+    try {
+      const user = await userService.getUserById(schedule.userId);
+      if (user?.whatsappNumber) {
+        const hint = paused ? '\n\nSay "show my schedules" to review it.' : '';
+        await messaging.sendTextMessage(user.whatsappNumber, `${title}\n\n${message}${hint}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send scheduled payment WhatsApp alert', { error: error.message, scheduledPaymentId: schedule.id });
+    }
+  }
+}
+
+module.exports = new ScheduledPaymentService();
@@ -2,6 +2,7 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const messaging = require('./messaging');
 const databaseService = require('./database');
 const supabaseHelper = require('./supabaseHelper');
 const { supabase } = require('../database/connection');
@@ -519,11 +520,10 @@ class StatementService {
       // Send via WhatsApp - try document first, fallback to text message
       let whatsappResult = { success: false };
       try {
-        const whatsappService = require('./whatsapp');
         
         // Try sending as document
         try {
-          await whatsappService.sendDocumentMessage(
+          await messaging.sendDocumentMessage(
             user.whatsappNumber,
             statement.pdfBuffer,
             statement.fileName,
@@ -542,7 +542,7 @@ class StatementService {
           const textMessage =
             `Your statement for ${statement.startDate} to ${statement.endDate} is ready, but I couldn't send the PDF now. Please try again in a moment.`;
           
-          await whatsappService.sendTextMessage(user.whatsappNumber, textMessage);
+          await messaging.sendTextMessage(user.whatsappNumber, textMessage);
           whatsappResult.success = true; // Mark as success since we sent a message
           logger.info('Statement notification sent via WhatsApp text message', { userId: user.id });
         }
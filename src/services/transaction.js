@@ -2,11 +2,14 @@ const { supabase } = require('../database/connection');
 const bellBankService = require('./bellbank');
 const walletService = require('./wallet');
 const userService = require('./user');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
+const realtimeService = require('./realtime');
 const aiService = require('./ai');
 const logger = require('../utils/logger');
+const i18n = require('./i18n');
 const databaseService = require('./database');
 const supabaseHelper = require('./supabaseHelper');
+const config = require('../config');
 const { v4: uuidv4 } = require('uuid');
 
 class TransactionService {
@@ -30,7 +33,9 @@ class TransactionService {
         status = 'pending',
         source = 'whatsapp',
         priority = 'normal',
-        approvalStatus = 'auto_approved'
+        approvalStatus = 'auto_approved',
+        riskScore = 0,
+        fraudCheck = null
       } = transactionData;
 
       // Generate reference if not provided
@@ -64,6 +69,8 @@ class TransactionService {
           source,
           priority,
           approvalStatus,
+          riskScore,
+          fraudCheck,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         });
@@ -117,8 +124,8 @@ class TransactionService {
         throw new Error(`Transaction ${isUUID ? 'with ID' : 'with reference'} ${referenceOrId} not found`);
       }
 
-      // Extract processedAt and providerResponse from additionalData, store in metadata
-      const { processedAt, providerResponse, ...restAdditionalData } = additionalData || {};
+      // Extract processedAt, providerResponse and extra metadata fields from additionalData, store in metadata
+      const { processedAt, providerResponse, metadata, ...restAdditionalData } = additionalData || {};
       
       const updateData = {
         status,
@@ -129,12 +136,13 @@ class TransactionService {
       const existingMetadata = transaction.metadata || {};
       const newMetadata = {
         ...existingMetadata,
+        ...(metadata || {}),
         ...(processedAt ? { processedAt } : {}),
         ...(providerResponse ? { providerResponse } : {})
       };
 
       // Only set metadata if we have something to add
-      if (processedAt || providerResponse) {
+      if (processedAt || providerResponse || metadata) {
         updateData.metadata = newMetadata;
       }
 
@@ -166,6 +174,8 @@ class TransactionService {
         additionalData: Object.keys(additionalData)
       });
 
+      realtimeService.publishTransactionStatus({ ...transaction, ...updateData });
+
       return transaction;
     } catch (error) {
       logger.error('Failed to update transaction status', {
@@ -183,7 +193,7 @@ class TransactionService {
       
       // Validate amount
       if (!amount || amount <= 0) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           "❌ Invalid amount. Please specify a valid amount to transfer."
         );
@@ -207,7 +217,7 @@ class TransactionService {
         transferData 
       });
 
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         userPhoneNumber,
         `❌ Transfer failed!\n\nReason: ${error.message}\n\nPlease try again or contact support.`
       );
@@ -222,7 +232,7 @@ class TransactionService {
       const senderWallet = await walletService.getUserWallet(sender.id);
       
       if (!senderWallet.canDebit(amount)) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           senderPhoneNumber,
           `❌ Insufficient balance!\n\nRequired: ₦${parseFloat(amount).toLocaleString()}\nAvailable: ₦${parseFloat(senderWallet.balance).toLocaleString()}\n\nPlease fund your wallet first.`
         );
@@ -238,7 +248,7 @@ class TransactionService {
       );
 
       // Notify sender
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         senderPhoneNumber,
         `✅ *Transfer Successful!*\n\n` +
         `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -249,7 +259,7 @@ class TransactionService {
       );
 
       // Notify recipient
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         recipient.whatsappNumber,
         `💰 *Money Received!*\n\n` +
         `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -291,7 +301,7 @@ class TransactionService {
       const wallet = await walletService.getUserWallet(user.id);
       
       if (!wallet.canDebit(totalAmount)) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           `❌ Insufficient balance!\n\n` +
           `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -316,7 +326,7 @@ class TransactionService {
       }
 
       // If we only have phone number, try to resolve account details
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         userPhoneNumber,
         `🏦 *Bank Transfer*\n\n` +
         `To complete this transfer, I need the recipient's bank details.\n\n` +
@@ -338,19 +348,20 @@ class TransactionService {
   }
 
   async processBankTransfer(user, transferData, userPhoneNumber) {
+    const { accountNumber, bankCode, accountName, amount, totalAmount, fee, description } = transferData;
+    let validatedAccount = null;
+    let reference = null;
+    let transferSent = false;
+
     try {
-      const { accountNumber, bankCode, accountName, amount, totalAmount, fee, description } = transferData;
-      
       // Validate account details
-      let validatedAccount = null;
-      
       if (accountName) {
         validatedAccount = { accountName, valid: true };
       } else {
         validatedAccount = await bellBankService.validateBankAccount(bankCode, accountNumber);
         
         if (!validatedAccount.valid) {
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             userPhoneNumber,
             `❌ Invalid account details!\n\nPlease verify the account number and bank, then try again.`
           );
@@ -358,38 +369,74 @@ class TransactionService {
         }
       }
 
-      // Create transaction reference
-      const reference = walletService.generateReference();
+      // Record the transfer and hold the funds. BellBank confirms by webhook,
+      // which captures the hold, or releases it if the transfer fails.
+      reference = walletService.generateReference();
+      const transferDescription = `Bank transfer to ${validatedAccount.accountName || accountNumber}`;
 
-      // Debit user wallet first
-      await walletService.debitWallet(
-        user.id,
+      const transaction = await this.createTransaction(user.id, {
+        type: 'debit',
+        category: 'bank_transfer',
+        amount,
+        fee,
         totalAmount,
-        `Bank transfer to ${validatedAccount.accountName || accountNumber}`,
-        {
-          category: 'bank_transfer',
+        description: transferDescription,
+        reference,
+        recipientDetails: {
           accountNumber,
           bankCode,
-          accountName: validatedAccount.accountName,
+          accountName: validatedAccount.accountName
+        },
+        metadata: {
           originalAmount: amount,
           fee,
-          provider: 'bellbank',
-          status: 'processing'
-        }
-      );
+          provider: 'bellbank'
+        },
+        status: 'processing'
+      });
+
+      let hold;
+      try {
+        hold = await walletService.placeHold(user.id, totalAmount, {
+          reference,
+          transactionId: transaction.id,
+          description: transferDescription,
+          ttlMinutes: config.getWalletHoldConfig().webhookTtlMinutes
+        });
+      } catch (holdError) {
+        await this.updateTransactionStatus(transaction.id, 'failed', { failureReason: holdError.message });
+        throw holdError;
+      }
 
       // Initiate transfer via BellBank
-      const transferResult = await bellBankService.initiateTransfer({
-        amount,
-        bankCode,
-        accountNumber,
-        accountName: validatedAccount.accountName,
-        description: description || 'MiiMii transfer',
-        reference
+      let transferResult;
+      transferSent = true;
+      try {
+        transferResult = await bellBankService.initiateTransfer({
+          amount,
+          bankCode,
+          accountNumber,
+          accountName: validatedAccount.accountName,
+          description: description || 'MiiMii transfer',
+          reference
+        });
+      } catch (transferError) {
+        // A timed-out transfer may still go through, so its hold stays in
+        // place until the webhook (or the expiry sweep) settles it
+        const timedOut = transferError.message.includes('timeout') || transferError.message.includes('ETIMEDOUT');
+        if (!timedOut) {
+          await walletService.releaseHoldAfterFailure(hold, transferError.message);
+          await this.updateTransactionStatus(transaction.id, 'failed', { failureReason: transferError.message });
+        }
+        throw transferError;
+      }
+
+      await this.updateTransactionStatus(transaction.id, 'processing', {
+        providerReference: transferResult.providerReference
       });
 
       // Notify user
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         userPhoneNumber,
         `✅ *Transfer Initiated!*\n\n` +
         `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -423,11 +470,11 @@ class TransactionService {
         transferData
       });
 
-      // Check if this is a timeout error
-      if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT')) {
+      // Check if the transfer request itself timed out (its funds stay held)
+      if (transferSent && (error.message.includes('timeout') || error.message.includes('ETIMEDOUT'))) {
         // For timeout errors, the transfer might still succeed on BellBank's side
         // The user will be notified via webhook when the transfer completes
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           `⏳ *Transfer Processing*\n\n` +
           `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -497,6 +544,10 @@ class TransactionService {
         
         if (error) throw error;
       });
+      realtimeService.publishTransactionStatus({ ...transaction, status: 'completed', updatedAt: new Date().toISOString() });
+
+      // Take the held funds now the transfer has gone through
+      await walletService.captureCompletedTransfer(transaction);
 
       // Generate and send receipt
       let receiptSent = false;
@@ -527,7 +578,7 @@ class TransactionService {
         try {
           // Generate transfer receipt with proper bank name
           const transferReceiptData = {
-            type: 'Bank Transfer',
+            language: i18n.languageOf(user),
             amount: parseFloat(amount),
             fee: transaction.fee || 0,
             totalAmount: parseFloat(transaction.totalAmount || amount),
@@ -542,7 +593,7 @@ class TransactionService {
           const transferReceiptBuffer = await receiptService.generateTransferReceipt(transferReceiptData);
           
           // Try to send as image
-          await whatsappService.sendImageMessage(user?.whatsappNumber || '', transferReceiptBuffer, 'transfer-receipt.jpg');
+          await messaging.sendImageMessage(user?.whatsappNumber || '', transferReceiptBuffer, 'transfer-receipt.jpg');
           logger.info('Transfer receipt image sent successfully via webhook', { reference: transaction.reference });
           receiptSent = true;
         } catch (imageError) {
@@ -551,14 +602,14 @@ class TransactionService {
         
         // Fallback to text receipt if image failed
         if (!receiptSent) {
-          await whatsappService.sendTextMessage(
+          await messaging.sendTextMessage(
             user?.whatsappNumber || '',
             `✅ *Transfer Receipt*\n\n💰 Amount: ₦${parseFloat(amount).toLocaleString()}\n💸 Fee: ₦${(transaction.fee || 0).toLocaleString()}\n👤 To: ${recipient_account}\n📋 Reference: ${transaction.reference}\n📅 Date: ${new Date().toLocaleString('en-GB')}\n✅ Status: Successful\n\nYour transfer has been processed! 🎉`
           );
         }
         
         // Send additional success message
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user?.whatsappNumber || '',
           `🎉 *Transfer Completed Successfully!*\n\nYour transfer of ₦${parseFloat(amount).toLocaleString()} to ${recipient_account} has been processed.\n\n📋 *Reference:* ${transaction.reference}\n⏰ *Estimated Arrival:* 5-15 minutes\n\nThank you for using MiiMii! 💙`
         );
@@ -570,7 +621,7 @@ class TransactionService {
 
       // Send text notification if receipt wasn't sent
       if (!receiptSent && user) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `✅ *Transfer Completed!*\n\n` +
           `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
@@ -629,33 +680,39 @@ class TransactionService {
         
         if (error) throw error;
       });
-
-      // Refund user
-      await walletService.creditWallet(
-        transaction.userId,
-        transaction.totalAmount,
-        `Refund for failed transfer - ${transaction.reference}`,
-        {
-          category: 'refund',
-          originalTransactionId: transaction.id,
-          originalReference: transaction.reference
-        }
-      );
+      realtimeService.publishTransactionStatus({ ...transaction, status: 'failed', failureReason: reason, updatedAt: new Date().toISOString() });
+
+      // Release the held funds; only a transfer debited up front needs a refund
+      const released = await walletService.releaseTransactionHold(transaction, reason);
+      if (!released) {
+        await walletService.creditWallet(
+          transaction.userId,
+          transaction.totalAmount,
+          `Refund for failed transfer - ${transaction.reference}`,
+          {
+            category: 'refund',
+            originalTransactionId: transaction.id,
+            originalReference: transaction.reference
+          }
+        );
+      }
 
       // Notify user
       if (user) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           user.whatsappNumber,
           `❌ *Transfer Failed*\n\n` +
           `Amount: ₦${parseFloat(amount).toLocaleString()}\n` +
           `Reference: ${transaction.reference}\n` +
           `Reason: ${reason}\n\n` +
-          `💰 Your money has been refunded to your wallet.\n\n` +
+          (released
+            ? `💰 The reserved funds are available in your wallet again.\n\n`
+            : `💰 Your money has been refunded to your wallet.\n\n`) +
           `Please try again or contact support if the issue persists.`
         );
       }
 
-      logger.info('Bank transfer failed, user refunded', {
+      logger.info(released ? 'Bank transfer failed, hold released' : 'Bank transfer failed, user refunded', {
         reference,
         amount,
         userId: transaction.userId,
@@ -687,7 +744,7 @@ class TransactionService {
       });
 
       if (transactions.length === 0) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           "📊 *Transaction History*\n\nNo transactions found. Start using MiiMii to see your transaction history here! 💰"
         );
@@ -697,8 +754,8 @@ class TransactionService {
       // Generate PDF
       const pdfBuffer = await this.generateTransactionHistoryPDF(user, transactions);
       
-      // Send PDF via WhatsApp
-      await whatsappService.sendDocument(
+      // Send PDF to the user
+      await messaging.sendDocumentMessage(
         userPhoneNumber,
         pdfBuffer,
         `transaction_history_${user.id}_${Date.now()}.pdf`,
@@ -820,7 +877,7 @@ class TransactionService {
       });
       
       if (transactions.length === 0) {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           "📊 *Transaction History*\n\nNo transactions found. Start using MiiMii to see your transaction history here! 💰"
         );
@@ -856,7 +913,7 @@ class TransactionService {
         historyText += `\n\n💡 Showing last ${limit} transactions.\nType "transactions 10" for more.`;
       }
 
-      await whatsappService.sendTextMessage(userPhoneNumber, historyText);
+      await messaging.sendTextMessage(userPhoneNumber, historyText);
 
       logger.info('Transaction history sent', {
         userId: user.id,
@@ -868,7 +925,7 @@ class TransactionService {
         userId: user.id
       });
 
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         userPhoneNumber,
         "❌ Unable to retrieve transaction history right now. Please try again later."
       );
@@ -932,7 +989,7 @@ class TransactionService {
       const user = transaction ? await userService.getUserById(transaction.userId) : null;
 
       if (!transaction || transaction.status !== 'failed') {
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           userPhoneNumber,
           "❌ Transaction not found or cannot be retried."
         );
@@ -962,7 +1019,7 @@ class TransactionService {
         transactionId
       });
 
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         userPhoneNumber,
         "❌ Failed to retry transaction. Please try again or contact support."
       );
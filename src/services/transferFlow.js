@@ -0,0 +1,513 @@
+const { ConversationMachine } = require('./conversationMachine');
+const messaging = require('./messaging');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Bank transfers over chat, as a conversation state machine
+ *
+ *   collecting_recipient -> resolving_account -> collecting_amount
+ *     -> confirming_amount -> awaiting_pin -> executing -> done
+ *
+ * "cancel" and "edit amount" work in every state until the transfer is
+ * executing, each waiting state times out (the PIN step sooner than the
+ * rest), and the session lives in Redis under the transfer namespace.
+ * Anything the flow needs from the rest of the app comes in through
+ * `deps`, so a scripted run can swap in fakes for all of it.
+ */
+
+const STATES = {
+  COLLECTING_RECIPIENT: 'collecting_recipient',
+  RESOLVING_ACCOUNT: 'resolving_account',
+  COLLECTING_AMOUNT: 'collecting_amount',
+  CONFIRMING_AMOUNT: 'confirming_amount',
+  AWAITING_PIN: 'awaiting_pin',
+  EXECUTING: 'executing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+const BUTTONS = {
+  CONFIRM: 'transfer_confirm',
+  EDIT_AMOUNT: 'transfer_edit_amount',
+  CANCEL: 'transfer_cancel'
+};
+
+// Errors after which the risk engine has already messaged the user
+const HANDED_OFF_CODES = ['RISK_OTP_REQUIRED', 'RISK_PIN_REQUIRED'];
+
+const defaultDeps = {
+  get minimumAmount() {
+    return require('./bankTransfer').limits.minimum;
+  },
+  async findBeneficiary(userId, term) {
+    const matches = await require('./beneficiary').searchBeneficiaries(userId, term);
+    const match = matches && matches[0];
+    return match
+      ? { accountNumber: match.accountNumber, bankCode: match.bankCode, bankName: match.bankName, name: match.name, beneficiaryId: match.id }
+      : null;
+  },
+  resolveBankCode(bankName) {
+    return require('./rubies').resolveInstitutionCode(bankName);
+  },
+  lookupAccount(accountNumber, bankCode) {
+    return require('./bankTransfer').validateBankAccount(accountNumber, bankCode);
+  },
+  async quote(userId, amount) {
+    const bankTransferService = require('./bankTransfer');
+    const walletService = require('./wallet');
+    const fee = bankTransferService.calculateTransferFee(amount, bankTransferService.transferTypes.WALLET_TO_BANK);
+    const wallet = await walletService.getUserWallet(userId);
+    return { fee: fee.totalFee, totalAmount: fee.totalAmount, spendable: walletService.spendableBalance(wallet) };
+  },
+  async pinEnabled(userId) {
+    const pinStatus = await require('./user').getPinStatus(userId);
+    return !!pinStatus.pinEnabled;
+  },
+  verifyPin(userId, pin) {
+    return require('./user').validateUserPin(userId, pin);
+  },
+  execute(userId, transferData, pin) {
+    const idempotencyService = require('./idempotency');
+    return require('./bankTransfer').processBankTransfer(userId, transferData, pin, {
+      idempotencyKey: idempotencyService.conversationKey('whatsapp', transferData.reference),
+      idempotencyScope: 'whatsapp.bank_transfer'
+    });
+  }
+};
+
+const naira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
+
+function text(body) {
+  return { type: 'text', text: body };
+}
+
+function normalise(input) {
+  return String(input?.text || '').trim();
+}
+
+// "5k", "₦5,000", "N2.5k" and "5000" are all amounts
+function parseAmount(value) {
+  const match = String(value || '').match(/(?:₦|\bngn|\bn)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b/i);
+  if (!match) return null;
+
+  const base = parseFloat(match[1].replace(/,/g, ''));
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  const amount = Math.round(base * multiplier * 100) / 100;
+  return amount > 0 ? amount : null;
+}
+
+// Pull an account number, a bank name and an amount out of free text
+function parseRecipient(message) {
+  const accountMatch = message.match(/\b\d{10}\b/);
+  const accountNumber = accountMatch ? accountMatch[0] : null;
+  const rest = accountNumber ? message.replace(accountNumber, ' ') : message;
+  const amount = parseAmount(rest);
+
+  const bankName = rest
+    .replace(/(?:₦|\bngn|\bn)?\s*\d[\d,]*(?:\.\d+)?\s*(?:k|m)?\b/gi, ' ')
+    .replace(/\b(send|transfer|pay|to|into|the|account|acct|bank|number|no|naira|please|pls|my)\b/gi, ' ')
+    .replace(/[^a-z0-9& ]/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { accountNumber, amount, bankName: bankName || null };
+}
+
+function isAffirmative(input) {
+  return input?.buttonId === BUTTONS.CONFIRM || /^(yes|y|yeah|yep|ok|okay|sure|confirm|go ahead|send it)\b/i.test(normalise(input));
+}
+
+function confirmationReply(session) {
+  const { amount, fee, totalAmount, accountName, bankName, accountNumber } = session.data;
+  return {
+    type: 'buttons',
+    text: `Send ${naira(amount)} to *${accountName}*\n🏦 ${bankName} • ${accountNumber}\n💸 Fee: ${naira(fee)}\n💰 Total: ${naira(totalAmount)}`,
+    buttons: [
+      { id: BUTTONS.CONFIRM, title: 'Confirm' },
+      { id: BUTTONS.EDIT_AMOUNT, title: 'Edit amount' },
+      { id: BUTTONS.CANCEL, title: 'Cancel' }
+    ]
+  };
+}
+
+function buildDefinition() {
+  const settings = config.getConversationFlowConfig();
+
+  return {
+    name: 'bank_transfer',
+    feature: 'transfer',
+    initial: STATES.COLLECTING_RECIPIENT,
+    expiredState: STATES.EXPIRED,
+    timeoutSeconds: settings.stepTimeoutSeconds,
+
+    commands: [
+      {
+        name: 'cancel',
+        match: (input) => input?.buttonId === BUTTONS.CANCEL || /^(cancel|stop|abort|no|nope|n)(\s+(it|transfer|the transfer))?$/i.test(normalise(input)),
+        run: () => ({ to: STATES.CANCELLED })
+      },
+      {
+        name: 'edit_amount',
+        match: (input) => input?.buttonId === BUTTONS.EDIT_AMOUNT || /^(edit|change)(\s+the)?\s+amount\b/i.test(normalise(input)),
+        run: (session, input) => {
+          const amount = parseAmount(normalise(input));
+          if (!session.data.accountName) {
+            // The recipient is not settled yet; the amount is asked for once it is
+            return { data: { amount }, reply: text(amount ? `Okay, ${naira(amount)}. Now, who are you sending to?` : 'Okay, I\'ll ask for the amount once I have the recipient.') };
+          }
+          return amount
+            ? { to: STATES.CONFIRMING_AMOUNT, data: { amount }, reenter: true }
+            : { to: STATES.COLLECTING_AMOUNT, data: { amount: null }, reenter: true };
+        }
+      }
+    ],
+
+    states: {
+      [STATES.COLLECTING_RECIPIENT]: {
+        // Details that came with the request skip straight to the lookup
+        async enter(session, deps) {
+          const { accountNumber, bankName, bankCode, recipientQuery } = session.data;
+          if (accountNumber && (bankCode || bankName)) {
+            return { to: STATES.RESOLVING_ACCOUNT };
+          }
+          if (recipientQuery) {
+            return await findSavedRecipient(session, recipientQuery, deps) || {
+              data: { recipientQuery: null },
+              reply: text(`I couldn't find "${recipientQuery}" in your saved beneficiaries.`)
+            };
+          }
+          return null;
+        },
+        prompt(session) {
+          if (session.data.accountNumber) {
+            return text(`Which bank is ${session.data.accountNumber} with?`);
+          }
+          return text('Who are you sending to? Reply with the account number and bank (e.g. 0123456789 GTBank) or the name of a saved beneficiary.');
+        },
+        async input(session, input, deps) {
+          const message = normalise(input);
+          const parsed = parseRecipient(message);
+          const data = {
+            ...(parsed.amount && !session.data.amount ? { amount: parsed.amount } : {})
+          };
+
+          if (parsed.accountNumber) {
+            data.accountNumber = parsed.accountNumber;
+            if (parsed.bankName) data.bankName = parsed.bankName;
+            return parsed.bankName || session.data.bankName
+              ? { to: STATES.RESOLVING_ACCOUNT, data }
+              : { data, reply: text(`Which bank is ${parsed.accountNumber} with?`) };
+          }
+
+          if (session.data.accountNumber && parsed.bankName) {
+            return { to: STATES.RESOLVING_ACCOUNT, data: { ...data, bankName: parsed.bankName, bankCode: null } };
+          }
+
+          if (parsed.bankName) {
+            const saved = await findSavedRecipient(session, parsed.bankName, deps);
+            if (saved) {
+              return { ...saved, data: { ...data, ...saved.data } };
+            }
+          }
+
+          return {
+            unhandled: true,
+            reply: text(`I couldn't find "${message}" in your saved beneficiaries. Send the account number and bank, e.g. 0123456789 GTBank.`)
+          };
+        }
+      },
+
+      [STATES.RESOLVING_ACCOUNT]: {
+        async enter(session, deps) {
+          const { accountNumber } = session.data;
+          let { bankCode, bankName } = session.data;
+
+          if (!bankCode) {
+            bankCode = await deps.resolveBankCode(bankName).catch(() => null);
+            if (!bankCode) {
+              return {
+                to: STATES.COLLECTING_RECIPIENT,
+                data: { bankName: null },
+                reply: text(`I couldn't identify the bank "${bankName}". Try the bank's name, like GTBank, Access, UBA, Opay or Moniepoint.`)
+              };
+            }
+          }
+
+          let account;
+          try {
+            account = await deps.lookupAccount(accountNumber, bankCode);
+          } catch (error) {
+            account = { valid: false, error: error.message };
+          }
+
+          if (!account || !account.valid) {
+            return {
+              to: STATES.COLLECTING_RECIPIENT,
+              data: { accountNumber: null, bankName: null, bankCode: null },
+              reply: text(`❌ I couldn't verify ${accountNumber} at ${bankName || 'that bank'}. Please check the account number and bank.`)
+            };
+          }
+
+          return {
+            to: session.data.amount ? STATES.CONFIRMING_AMOUNT : STATES.COLLECTING_AMOUNT,
+            data: { bankCode, bankName: account.bankName || bankName, accountName: account.accountName }
+          };
+        }
+      },
+
+      [STATES.COLLECTING_AMOUNT]: {
+        prompt(session) {
+          return text(`How much should I send to *${session.data.accountName}*?`);
+        },
+        input(session, input, deps) {
+          const amount = parseAmount(normalise(input));
+          if (!amount) {
+            return { unhandled: true, reply: text('Please reply with the amount, e.g. 5000 or 5k.') };
+          }
+          if (amount < deps.minimumAmount) {
+            return { reply: text(`The minimum transfer is ${naira(deps.minimumAmount)}. What amount should I send?`) };
+          }
+          return { to: STATES.CONFIRMING_AMOUNT, data: { amount } };
+        }
+      },
+
+      [STATES.CONFIRMING_AMOUNT]: {
+        async enter(session, deps) {
+          const { amount } = session.data;
+          if (amount < deps.minimumAmount) {
+            return {
+              to: STATES.COLLECTING_AMOUNT,
+              data: { amount: null },
+              reply: text(`The minimum transfer is ${naira(deps.minimumAmount)}.`)
+            };
+          }
+
+          const quote = await deps.quote(session.data.userId, amount);
+          if (quote.spendable < quote.totalAmount) {
+            return {
+              to: STATES.COLLECTING_AMOUNT,
+              data: { amount: null },
+              reply: text(`You need ${naira(quote.totalAmount)} (including the ${naira(quote.fee)} fee) but can spend ${naira(quote.spendable)}. Send a smaller amount, or fund your wallet and start again.`)
+            };
+          }
+          return { data: { fee: quote.fee, totalAmount: quote.totalAmount } };
+        },
+        prompt: confirmationReply,
+        async input(session, input, deps) {
+          if (!isAffirmative(input)) {
+            return { unhandled: true, reply: confirmationReply(session) };
+          }
+          // With PIN turned off the PIN check passes whatever is sent
+          return await deps.pinEnabled(session.data.userId)
+            ? { to: STATES.AWAITING_PIN }
+            : { to: STATES.EXECUTING, scratch: { pin: '0000' } };
+        }
+      },
+
+      [STATES.AWAITING_PIN]: {
+        timeoutSeconds: settings.pinTimeoutSeconds,
+        prompt(session) {
+          return text(`🔐 Reply with your 4-digit PIN to send ${naira(session.data.amount)} to ${session.data.accountName}.\n\nReply EDIT AMOUNT to change the amount or CANCEL to stop.`);
+        },
+        async input(session, input, deps) {
+          const pin = normalise(input).replace(/\s+/g, '');
+          if (!/^\d{4}$/.test(pin)) {
+            return { unhandled: true, reply: text('Please reply with your 4-digit PIN, EDIT AMOUNT or CANCEL.') };
+          }
+
+          try {
+            await deps.verifyPin(session.data.userId, pin);
+          } catch (error) {
+            return /locked/i.test(error.message)
+              ? { to: STATES.FAILED, reply: text(`❌ ${error.message}. Your transfer was not sent.`) }
+              : { reply: text(`❌ ${error.message}`) };
+          }
+
+          return { to: STATES.EXECUTING, scratch: { pin } };
+        }
+      },
+
+      [STATES.EXECUTING]: {
+        commands: false,
+        // Only reached within a turn; a session left here means that turn died
+        timeoutSeconds: 120,
+        async enter(session, deps, scratch) {
+          const { userId, accountNumber, bankCode, bankName, accountName, amount, reference } = session.data;
+          try {
+            const result = await deps.execute(userId, {
+              accountNumber,
+              bankCode,
+              bankName,
+              recipientName: accountName,
+              amount,
+              narration: 'Wallet transfer',
+              reference
+            }, scratch.pin);
+
+            // A successful transfer sends its own receipt
+            return result && result.success === false
+              ? { to: STATES.FAILED, data: { failureReason: result.message }, reply: text(`❌ Transfer failed: ${result.message || 'Please try again later.'}`) }
+              : { to: STATES.DONE, data: { transactionReference: result?.transaction?.reference || null } };
+          } catch (error) {
+            if (HANDED_OFF_CODES.includes(error.code)) {
+              return { to: STATES.DONE, data: { handedOffTo: error.code } };
+            }
+            logger.error('Transfer flow execution failed', { error: error.message, userId, reference });
+            return {
+              to: STATES.FAILED,
+              data: { failureReason: error.message },
+              reply: text(error.code === 'RISK_HELD' ? error.message : `❌ Transfer failed: ${error.message}`)
+            };
+          }
+        }
+      },
+
+      [STATES.DONE]: { final: true },
+      [STATES.FAILED]: { final: true },
+      [STATES.CANCELLED]: {
+        final: true,
+        prompt: () => text('✅ Transfer cancelled. Nothing was sent.')
+      },
+      [STATES.EXPIRED]: {
+        final: true,
+        prompt(session) {
+          const from = session.history[session.history.length - 1]?.from;
+          return text(from === STATES.EXECUTING
+            ? '⏳ I lost track of your last transfer while it was being sent. Please check your transaction history before trying again.'
+            : '⌛ Your transfer timed out, so nothing was sent. Start again whenever you\'re ready.');
+        }
+      }
+    }
+  };
+}
+
+// Transition to the lookup for a saved beneficiary matching `term`, or null
+async function findSavedRecipient(session, term, deps) {
+  const beneficiary = await deps.findBeneficiary(session.data.userId, term).catch(() => null);
+  if (!beneficiary) {
+    return null;
+  }
+  return {
+    to: STATES.RESOLVING_ACCOUNT,
+    data: {
+      recipientQuery: null,
+      accountNumber: beneficiary.accountNumber,
+      bankCode: beneficiary.bankCode,
+      bankName: beneficiary.bankName,
+      beneficiaryId: beneficiary.beneficiaryId || null
+    }
+  };
+}
+
+class TransferFlowService {
+  constructor() {
+    this.machine = new ConversationMachine(buildDefinition());
+    this.deps = defaultDeps;
+  }
+
+  get states() {
+    return STATES;
+  }
+
+  // The same flow against another store and fake deps, for scripted runs
+  createScriptedRun({ store, deps = {}, now } = {}) {
+    const machine = this.machine.withOptions({ store, now });
+    const runDeps = Object.create(this.deps, Object.getOwnPropertyDescriptors(deps));
+    return {
+      machine,
+      start: (userId, data = {}) => machine.start(userId, this.initialData(userId, data), runDeps),
+      send: (userId, input) => machine.handle(userId, typeof input === 'string' ? { text: input } : input, runDeps)
+    };
+  }
+
+  initialData(userId, details = {}) {
+    const { amount, accountNumber, bankName, bankCode, recipientName } = details;
+    const isAccountNumber = accountNumber && /^\d{10}$/.test(String(accountNumber).trim());
+    const parsedAmount = amount ? parseAmount(String(amount)) : null;
+
+    return {
+      userId,
+      amount: parsedAmount,
+      accountNumber: isAccountNumber ? String(accountNumber).trim() : null,
+      bankName: bankName || null,
+      bankCode: bankCode || null,
+      // A name where the account number should be is a saved beneficiary
+      recipientQuery: (!isAccountNumber && (accountNumber || recipientName)) || null,
+      reference: `TXN${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+    };
+  }
+
+  // Start a transfer from what the user has said so far
+  async start(user, details = {}) {
+    // The machine owns the transfer now; legacy transfer state would compete for replies
+    if (user.conversationState && typeof user.clearConversationState === 'function') {
+      await user.clearConversationState();
+    }
+
+    const result = await this.machine.start(user.id, this.initialData(user.id, details), this.deps);
+    await this.sendReplies(user, result.replies);
+    return result;
+  }
+
+  /**
+   * Route a message to the user's transfer, if one is in progress. Returns
+   * true when the flow answered it; false leaves it to the usual pipeline,
+   * which is also what happens when the user switches to another service.
+   */
+  async handleMessage(user, input) {
+    const result = await this.machine.handle(user.id, input, this.deps);
+    if (!result.session) {
+      return false;
+    }
+
+    if (!result.handled && result.session.state && !this.machine.getState(result.session.state).final) {
+      const switched = await this.checkForServiceSwitch(user, input, result.session);
+      if (switched) {
+        await this.machine.clear(user.id);
+        return false;
+      }
+      await this.sendReplies(user, result.replies);
+      return true;
+    }
+
+    await this.sendReplies(user, result.replies);
+    return result.handled;
+  }
+
+  async checkForServiceSwitch(user, input, session) {
+    if (!normalise(input)) {
+      return null;
+    }
+    try {
+      const aiAssistant = require('./aiAssistant');
+      const switchIntent = await aiAssistant.checkForServiceSwitch(normalise(input), user, {
+        intent: 'bank_transfer',
+        awaitingInput: session.state
+      });
+      if (switchIntent) {
+        logger.info('User left transfer flow for another service', { userId: user.id, state: session.state, newIntent: switchIntent.intent });
+      }
+      return switchIntent;
+    } catch (error) {
+      logger.warn('Service switch check failed in transfer flow', { error: error.message, userId: user.id });
+      return null;
+    }
+  }
+
+  async sendReplies(user, replies) {
+    for (const reply of replies) {
+      if (reply.type === 'buttons') {
+        await messaging.sendButtonMessage(user.whatsappNumber, reply.text, reply.buttons);
+      } else {
+        await messaging.sendTextMessage(user.whatsappNumber, reply.text);
+      }
+    }
+  }
+}
+
+module.exports = new TransferFlowService();
+module.exports.parseAmount = parseAmount;
+module.exports.parseRecipient = parseRecipient;
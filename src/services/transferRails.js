@@ -0,0 +1,546 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const RetryHelper = require('../utils/retryHelper');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+const { supabase } = require('../database/connection');
+
+/**
+ * Transfer rails
+ *
+ * A bank transfer can leave through Rubies or BellBank. Each rail below
+ * wraps its provider behind the same four calls: name enquiry, transfer,
+ * requery and bank list. Transfers pick a rail by destination bank, cost
+ * and recent health, and move to the next rail only when the first one
+ * provably did not send the money:
+ *
+ *   sent        - the provider accepted the transfer
+ *   rejected    - the provider refused it (bad account, limits); never retried elsewhere
+ *   unavailable - the request never reached the provider or was refused for
+ *                 system reasons, so the next rail is tried
+ *   unknown     - it may have gone out (timeout, 5xx). The rail is requeried
+ *                 and only a definite "failed" frees the transfer for the
+ *                 next rail. Anything else, "no such transfer" included,
+ *                 stays unknown and keeps its hold until the callback or
+ *                 the hold expiry requery settles it
+ *
+ * Every rail is sent the same reference, so a transfer that reaches two
+ * providers can still be matched to one transaction.
+ *
+ * User money sits in each user's Rubies wallet. When another rail pays a
+ * transfer for a Rubies wallet, the amount is swept from that wallet to the
+ * parent account so the next balance sync does not hand it back.
+ */
+
+const PARENT_ACCOUNT = {
+  accountNumber: process.env.RUBIES_PARENT_ACCOUNT || '1000000963',
+  bankCode: '090175',
+  accountName: 'MiiMii Technologies',
+  bankName: 'Rubies MFB'
+};
+
+// Rubies (NIP) response codes
+const RUBIES_UNAVAILABLE_CODES = ['91', '92', '96'];
+const RUBIES_UNKNOWN_CODES = ['09', '97', '-1'];
+// Accepted, with settlement still to come
+const RUBIES_PENDING_CODES = ['34'];
+const RUBIES_FAILED_CODES = ['14', '33'];
+const RUBIES_NOT_FOUND_CODES = ['25'];
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const SYSTEM_OUTCOMES = ['unavailable', 'unknown'];
+
+function normaliseStatus(value) {
+  const status = String(value || '').toLowerCase();
+  if (['00', 'success', 'successful', 'completed', 'approved'].includes(status)) return 'successful';
+  if (['failed', 'fail', 'declined', 'reversed', 'cancelled'].includes(status)) return 'failed';
+  return 'pending';
+}
+
+// BellBank errors arrive as "HTTP <status>: <message>"; status is
+// "undefined" when no response came back
+function classifyBellbankError(error) {
+  const message = error.message || '';
+  const match = message.match(/^HTTP (\d+|undefined):/);
+  if (/Circuit breaker is OPEN/.test(message)) return 'unavailable';
+  if (!match) return 'rejected';
+
+  const status = parseInt(match[1]);
+  if (status === 401 || status === 403) return 'unavailable';
+  if (!status || status >= 500 || [408, 429, 499].includes(status)) return 'unknown';
+  // A retried transfer can be refused as a duplicate of one that went through
+  if (/duplicate/i.test(message)) return 'unknown';
+  return 'rejected';
+}
+
+const RAILS = {
+  rubies: {
+    label: 'Rubies MFB',
+    isConfigured() {
+      return !!require('./rubies').apiKey;
+    },
+    async nameEnquiry(accountNumber, bankCode) {
+      const result = await require('./rubies').nameEnquiry(accountNumber, bankCode);
+      return {
+        accountName: result.accountName,
+        accountNumber: result.accountNumber || accountNumber,
+        bankCode: result.bankCode || bankCode,
+        bankName: result.bankName
+      };
+    },
+    async transfer(transferData) {
+      const result = await require('./rubies').initiateTransfer(transferData);
+      const message = result.responseMessage || result.message;
+
+      if (result.success) {
+        return { status: 'sent', providerReference: result.reference, responseCode: result.responseCode, message, response: result };
+      }
+      if (result.responseCode) {
+        let status = 'rejected';
+        if (RUBIES_UNAVAILABLE_CODES.includes(result.responseCode)) status = 'unavailable';
+        if (RUBIES_UNKNOWN_CODES.includes(result.responseCode) || RUBIES_PENDING_CODES.includes(result.responseCode)) status = 'unknown';
+        return { status, responseCode: result.responseCode, message, response: result };
+      }
+
+      // No response code: the call itself failed
+      const neverSent = NOT_SENT_ERROR_CODES.includes(result.errorCode) ||
+        [401, 403].includes(result.httpStatus) ||
+        /RUBIES_API_KEY|Circuit breaker is OPEN/.test(message || '');
+      const refused = /Missing required field|virtual account not found/i.test(message || '') ||
+        (result.httpStatus >= 400 && result.httpStatus < 500 && ![401, 403, 408, 429].includes(result.httpStatus));
+      return { status: neverSent ? 'unavailable' : refused ? 'rejected' : 'unknown', message, response: result.response };
+    },
+    async requery(reference) {
+      const result = await require('./rubies').queryTransactionStatus(reference);
+      if (result.success) return { status: 'successful', providerReference: result.paymentReference || reference };
+      if (RUBIES_NOT_FOUND_CODES.includes(result.responseCode)) return { status: 'not_found' };
+      if (RUBIES_FAILED_CODES.includes(result.responseCode)) {
+        return { status: 'failed', responseCode: result.responseCode, message: result.responseMessage };
+      }
+      // Pending settlement, system errors and codes we do not know say
+      // nothing about where the money is
+      return { status: 'pending', responseCode: result.responseCode, message: result.responseMessage };
+    },
+    async getBankList() {
+      const banks = await require('./rubies').getBankList();
+      return (banks || []).map(bank => ({ code: bank.code, name: bank.name }));
+    }
+  },
+
+  bellbank: {
+    label: 'BellBank',
+    isConfigured() {
+      const bellbankService = require('./bellbank');
+      return !!(bellbankService.consumerKey && bellbankService.consumerSecret);
+    },
+    async nameEnquiry(accountNumber, bankCode) {
+      const result = await require('./bellbank').nameEnquiry(accountNumber, bankCode);
+      return {
+        accountName: result.accountName,
+        accountNumber: result.accountNumber || accountNumber,
+        bankCode: result.bankCode || bankCode,
+        bankName: result.bankName
+      };
+    },
+    async transfer(transferData) {
+      const bellbankService = require('./bellbank');
+      try {
+        // Nothing is sent until there is a token
+        await bellbankService.generateToken();
+      } catch (error) {
+        return { status: 'unavailable', message: error.message };
+      }
+
+      try {
+        const result = await bellbankService.initiateTransfer(transferData);
+        return { status: 'sent', providerReference: result.providerReference, message: result.message, response: result.data };
+      } catch (error) {
+        return { status: classifyBellbankError(error), message: error.message };
+      }
+    },
+    async requery(reference) {
+      try {
+        const result = await require('./bellbank').requeryTransfer(reference);
+        const status = normaliseStatus(result.status);
+        return { status, providerReference: result.reference, message: result.failureReason };
+      } catch (error) {
+        if (/^HTTP 404:|not found/i.test(error.message || '')) return { status: 'not_found' };
+        throw error;
+      }
+    },
+    async getBankList() {
+      const result = await require('./bellbank').getBankList();
+      return (result.banks || []).map(bank => ({
+        code: bank.institutionCode || bank.code || bank.bankCode,
+        name: bank.institutionName || bank.name || bank.bankName
+      }));
+    }
+  }
+};
+
+class TransferRailService {
+  constructor() {
+    this.breakers = new Map();
+    this.history = new Map();
+    this.batchSize = 50;
+  }
+
+  get limits() {
+    return config.getTransferRailConfig();
+  }
+
+  breakerFor(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, RetryHelper.createCircuitBreaker({
+        failureThreshold: this.limits.breakerThreshold,
+        resetTimeout: this.limits.breakerResetMs,
+        operationName: `transfer_rail_${name}`
+      }));
+    }
+    return this.breakers.get(name);
+  }
+
+  // ===== Health =====
+
+  recordOutcome(name, ok, latencyMs) {
+    const window = this.recentOutcomes(name);
+    window.push({ ok, latencyMs, at: Date.now() });
+    this.history.set(name, window.slice(-this.limits.healthWindow));
+  }
+
+  // Outcomes age out, so a rail that lost traffic after a bad spell is
+  // tried again first once it is cheapest
+  recentOutcomes(name) {
+    const since = Date.now() - this.limits.healthWindowMinutes * 60000;
+    return (this.history.get(name) || []).filter(entry => entry.at >= since);
+  }
+
+  health(name) {
+    const window = this.recentOutcomes(name);
+    const failures = window.filter(entry => !entry.ok).length;
+    const totalLatency = window.reduce((sum, entry) => sum + entry.latencyMs, 0);
+    return {
+      calls: window.length,
+      failures,
+      successRate: window.length ? (window.length - failures) / window.length : 1,
+      averageLatencyMs: window.length ? Math.round(totalLatency / window.length) : null,
+      lastCallAt: window.length ? new Date(window[window.length - 1].at).toISOString() : null
+    };
+  }
+
+  /**
+   * Configured rails best first: the rail a destination bank is routed to,
+   * then cheapest once recent failures are priced in. Rails with an open
+   * breaker go last; the breaker lets one through again after its reset time.
+   */
+  rank(bankCode) {
+    const limits = this.limits;
+    const routed = limits.bankRoutes[String(bankCode || '')];
+
+    return limits.rails
+      .filter(name => RAILS[name] && RAILS[name].isConfigured())
+      .map((name, order) => ({
+        name,
+        order,
+        open: this.breakerFor(name).getState().state === 'OPEN',
+        score: (limits.costs[name] || 0) + (1 - this.health(name).successRate) * limits.failurePenalty
+      }))
+      .sort((a, b) => (a.open - b.open) ||
+        ((b.name === routed) - (a.name === routed)) ||
+        (a.score - b.score) ||
+        (a.order - b.order))
+      .map(candidate => candidate.name);
+  }
+
+  getStatus() {
+    const limits = this.limits;
+    return {
+      failover: limits.failover,
+      bankRoutes: limits.bankRoutes,
+      order: this.rank(),
+      rails: Object.keys(RAILS).map(name => ({
+        name,
+        label: RAILS[name].label,
+        enabled: limits.rails.includes(name),
+        configured: RAILS[name].isConfigured(),
+        cost: limits.costs[name] || 0,
+        breaker: this.breakerFor(name).getState(),
+        health: this.health(name)
+      }))
+    };
+  }
+
+  resetBreaker(name) {
+    if (!RAILS[name]) {
+      throw new Error('Unknown transfer rail');
+    }
+    this.breakerFor(name).reset();
+    this.history.delete(name);
+    return this.getStatus().rails.find(rail => rail.name === name);
+  }
+
+  // ===== Lookups (no money moves, so any rail that answers will do) =====
+
+  async firstAnswer(operation, rails, call) {
+    let firstError = null;
+    for (const name of rails) {
+      try {
+        return { ...(await call(RAILS[name])), rail: name };
+      } catch (error) {
+        firstError = firstError || error;
+        logger.warn(`Transfer rail ${operation} failed, trying the next rail`, { rail: name, error: error.message });
+      }
+    }
+    throw firstError || new Error('No transfer rail is configured');
+  }
+
+  // With nothing configured Rubies is asked anyway, so development setups
+  // keep the errors they always had
+  async nameEnquiry(accountNumber, bankCode) {
+    const rails = this.rank(bankCode);
+    return this.firstAnswer('name enquiry', rails.length ? rails : ['rubies'], rail => rail.nameEnquiry(accountNumber, bankCode));
+  }
+
+  async getBankList() {
+    const { banks, rail } = await this.firstAnswer('bank list', this.rank(), async (adapter) => {
+      const list = await adapter.getBankList();
+      if (!list.length) throw new Error('Empty bank list');
+      return { banks: list };
+    });
+    return { banks, rail };
+  }
+
+  async requery(name, reference) {
+    if (!RAILS[name]) {
+      throw new Error('Unknown transfer rail');
+    }
+    return { ...(await RAILS[name].requery(reference)), rail: name };
+  }
+
+  // ===== Transfers =====
+
+  /**
+   * Send transferData ({ userId, accountNumber, bankCode, amount, narration,
+   * reference, senderName, beneficiaryName, bankName }) through the best
+   * rail, failing over while rails are unavailable. Resolves to
+   * { status, rail, providerReference, message, attempts }; status is one of
+   * sent, rejected, unavailable or unknown as described above.
+   */
+  async sendTransfer(transferData) {
+    const candidates = this.rank(transferData.bankCode);
+    const attempts = [];
+
+    for (const name of candidates) {
+      let outcome = await this.attemptTransfer(name, transferData);
+      if (outcome.status === 'unknown') {
+        outcome = await this.resolveUnknown(name, transferData.reference, outcome);
+      }
+
+      attempts.push({
+        rail: name,
+        status: outcome.status,
+        responseCode: outcome.responseCode,
+        message: outcome.message,
+        at: new Date().toISOString()
+      });
+
+      if (outcome.status !== 'unavailable') {
+        return { ...outcome, rail: name, attempts };
+      }
+      if (!this.limits.failover) break;
+
+      logger.warn('Transfer rail unavailable, failing over', {
+        rail: name,
+        reference: transferData.reference,
+        reason: outcome.message
+      });
+    }
+
+    return {
+      status: 'unavailable',
+      rail: null,
+      message: candidates.length ? 'Bank transfers are temporarily unavailable. Please try again shortly.' : 'No transfer rail is configured',
+      attempts
+    };
+  }
+
+  async attemptTransfer(name, transferData) {
+    const started = Date.now();
+    try {
+      const outcome = await this.breakerFor(name)(async () => {
+        const result = await RAILS[name].transfer(transferData);
+        if (SYSTEM_OUTCOMES.includes(result.status)) {
+          const systemError = new Error(result.message || `Transfer rail ${name} failed`);
+          systemError.railOutcome = result;
+          throw systemError;
+        }
+        return result;
+      });
+      this.recordOutcome(name, true, Date.now() - started);
+      return outcome;
+    } catch (error) {
+      if (!error.railOutcome) {
+        // The breaker refused the call; nothing reached the provider
+        return { status: 'unavailable', message: error.message };
+      }
+      this.recordOutcome(name, false, Date.now() - started);
+      return error.railOutcome;
+    }
+  }
+
+  // Ask the rail what became of a transfer whose answer was lost. Only a
+  // definite "failed" lets the transfer move on: a few seconds after a
+  // timeout the provider may simply not have recorded it yet.
+  async resolveUnknown(name, reference, outcome) {
+    await new Promise(resolve => setTimeout(resolve, this.limits.requeryDelayMs));
+    try {
+      const check = await RAILS[name].requery(reference);
+      if (check.status === 'successful') {
+        return { ...outcome, status: 'sent', providerReference: check.providerReference || reference };
+      }
+      if (check.status === 'failed') {
+        return { ...outcome, status: 'unavailable', message: `${outcome.message || 'No response'} (requery: ${check.status})` };
+      }
+    } catch (error) {
+      logger.warn('Transfer rail requery failed', { rail: name, reference, error: error.message });
+    }
+    return outcome;
+  }
+
+  // ===== Bookkeeping =====
+
+  async tagTransaction(reference, fields) {
+    try {
+      const transaction = await databaseService.executeWithRetry(() => supabaseHelper.findOne('transactions', { reference }));
+      if (!transaction) return null;
+      const metadata = { ...(transaction.metadata || {}), ...fields };
+      await databaseService.executeWithRetry(() => supabaseHelper.update('transactions', { metadata }, { id: transaction.id }));
+      return { ...transaction, metadata };
+    } catch (error) {
+      logger.error('Failed to record transfer rail on transaction', { reference, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record which rail paid a transfer. A Rubies wallet paid out by another
+   * rail is marked pending settlement before the sweep, so a balance sync in
+   * between still sees the money as spent. When the outcome is unknown the
+   * sweep waits for the transfer to complete.
+   */
+  async recordTransfer(transaction, wallet, result) {
+    const otherRail = result.rail && result.rail !== 'rubies' && wallet?.virtualAccountBank === 'Rubies MFB';
+    const needsSweep = otherRail && result.status === 'sent';
+    let railSettlement = null;
+    if (otherRail && result.status === 'sent') railSettlement = 'pending';
+    if (otherRail && result.status === 'unknown') railSettlement = 'awaiting_outcome';
+
+    await this.tagTransaction(transaction.reference, {
+      provider: result.rail || transaction.metadata?.provider,
+      transferRail: { rail: result.rail, attempts: result.attempts },
+      ...(railSettlement ? { railSettlement, railSettlementReference: `RSW${transaction.reference}` } : {})
+    });
+
+    if (needsSweep) {
+      await this.sweepWallet({ ...transaction, metadata: { ...(transaction.metadata || {}), railSettlement: 'pending' } });
+    }
+  }
+
+  // Move a transfer's amount from the user's Rubies wallet to the parent
+  // account. Safe to repeat: the sweep reference is fixed per transfer.
+  async sweepWallet(transaction) {
+    const rubiesService = require('./rubies');
+    const reference = `RSW${transaction.reference}`;
+    let swept = false;
+    let failureReason = null;
+
+    try {
+      if (transaction.metadata?.railSettlementAttempts) {
+        const check = await rubiesService.queryTransactionStatus(reference).catch(() => null);
+        swept = !!check?.success;
+      }
+      if (!swept) {
+        const result = await rubiesService.initiateTransfer({
+          userId: transaction.userId,
+          accountNumber: PARENT_ACCOUNT.accountNumber,
+          bankCode: PARENT_ACCOUNT.bankCode,
+          amount: transaction.amount,
+          narration: `Settlement for transfer ${transaction.reference}`,
+          reference,
+          senderName: 'MiiMii Platform',
+          beneficiaryName: PARENT_ACCOUNT.accountName,
+          bankName: PARENT_ACCOUNT.bankName
+        });
+        swept = !!result.success;
+        failureReason = swept ? null : (result.responseMessage || result.message);
+      }
+    } catch (error) {
+      failureReason = error.message;
+    }
+
+    if (!swept) {
+      logger.error('Rubies wallet sweep for transfer paid on another rail failed', {
+        reference: transaction.reference,
+        userId: transaction.userId,
+        error: failureReason
+      });
+    }
+
+    await this.tagTransaction(transaction.reference, {
+      railSettlement: swept ? 'settled' : 'pending',
+      railSettlementReference: reference,
+      railSettlementAttempts: (transaction.metadata?.railSettlementAttempts || 0) + 1,
+      railSettlementError: failureReason,
+      ...(swept ? { railSettledAt: new Date().toISOString() } : {})
+    });
+    return swept;
+  }
+
+  async pendingSettlements({ userId, limit = this.batchSize } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('transactions')
+        .select('*')
+        .in('metadata->>railSettlement', ['pending', 'awaiting_outcome'])
+        .order('createdAt', { ascending: true })
+        .limit(limit);
+      if (userId) query = query.eq('userId', userId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  // Money already paid out on another rail but still sitting in the user's
+  // Rubies wallet; balance syncs take it off the Rubies balance
+  async pendingSettlementTotal(userId) {
+    const pending = await this.pendingSettlements({ userId, limit: 1000 });
+    return pending
+      .filter(transaction => transaction.metadata.railSettlement === 'pending' || transaction.status === 'completed')
+      .reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+  }
+
+  async settlePendingSweeps() {
+    const pending = await this.pendingSettlements();
+    const summary = { checked: pending.length, settled: 0, waiting: 0 };
+
+    for (const transaction of pending) {
+      if (transaction.metadata.railSettlement === 'awaiting_outcome' && transaction.status !== 'completed') {
+        if (['failed', 'cancelled', 'reversed'].includes(transaction.status)) {
+          await this.tagTransaction(transaction.reference, { railSettlement: 'not_needed' });
+        } else {
+          summary.waiting++;
+        }
+        continue;
+      }
+      if (await this.sweepWallet(transaction)) summary.settled++;
+    }
+
+    if (pending.length) {
+      logger.info('Checked Rubies wallet sweeps for transfers paid on other rails', summary);
+    }
+    return summary;
+  }
+}
+
+module.exports = new TransferRailService();
@@ -113,6 +113,13 @@ class UserService {
             user.wallet = wallet;
           }
 
+          try {
+            const referralService = require('./referral');
+            await referralService.ensureReferralCode(user);
+          } catch (codeError) {
+            logger.warn('Failed to assign referral code to new user', { error: codeError.message, userId: user.id });
+          }
+
           logger.info('New user created', { userId: user.id, whatsappNumber: cleanNumber });
         } catch (createError) {
           logger.error('User creation failed', {
@@ -669,7 +676,9 @@ class UserService {
     }
   }
 
-  async validateUserPin(userId, pin) {
+  // `force` checks the PIN even when the user has turned PIN prompts off,
+  // for step-up checks on risky transactions
+  async validateUserPin(userId, pin, { force = false } = {}) {
     try {
       const user = await this.getUserById(userId);
       
@@ -682,7 +691,7 @@ class UserService {
       }
 
       // Check if PIN is disabled - no validation required
-      if (!user.pinEnabled) {
+      if (!user.pinEnabled && !force) {
         logger.info('PIN validation skipped - PIN is disabled', { userId });
         return true;
       }
@@ -746,6 +755,42 @@ class UserService {
     }
   }
 
+  // Sign a PIN pre-authorisation for a later, unattended payment (e.g. a
+  // scheduled transfer). The signature covers the current PIN hash, so it
+  // stops verifying as soon as the user changes or resets their PIN.
+  async createPinAuthorization(userId, pin, subject) {
+    await this.validateUserPin(userId, pin);
+    const user = await this.getUserById(userId);
+    return this.signPinAuthorization(user, subject);
+  }
+
+  async verifyPinAuthorization(userId, { subject, signature }) {
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Same rule as validateUserPin: nothing to check when PIN is disabled
+    if (!user.pinEnabled) {
+      return true;
+    }
+
+    const expected = Buffer.from(this.signPinAuthorization(user, subject), 'hex');
+    const provided = Buffer.from(String(signature || ''), 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new Error('PIN authorisation is no longer valid. Please authorise again with your PIN.');
+    }
+    return true;
+  }
+
+  signPinAuthorization(user, subject) {
+    const config = require('../config');
+    return crypto
+      .createHmac('sha256', config.getServerConfig().jwtSecret)
+      .update(`${user.id}:${subject}:${user.pin || ''}`)
+      .digest('hex');
+  }
+
   async incrementAppLoginAttempts(userId) {
     try {
       const user = await this.getUserById(userId);
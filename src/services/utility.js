@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
+const riskService = require('./risk');
 
 class UtilityService {
   constructor() {
@@ -21,51 +22,61 @@ class UtilityService {
           'aedc': { 
             name: 'Abuja Electricity Distribution Company', 
             code: 'aedc',
+            disco: 'ABUJA',
             logo: 'https://via.placeholder.com/120x120/0066CC/FFFFFF?text=AEDC'
           },
           'ekedc': { 
             name: 'Eko Electricity Distribution Company', 
             code: 'ekedc',
+            disco: 'EKO',
             logo: 'https://via.placeholder.com/120x120/FF6600/FFFFFF?text=EKEDC'
           },
           'ikedc': { 
             name: 'Ikeja Electricity Distribution Company', 
             code: 'ikedc',
+            disco: 'IKEJA',
             logo: 'https://via.placeholder.com/120x120/00AA00/FFFFFF?text=IKEDC'
           },
           'kedco': { 
             name: 'Kano Electricity Distribution Company', 
             code: 'kedco',
+            disco: 'KANO',
             logo: 'https://via.placeholder.com/120x120/CC0000/FFFFFF?text=KEDCO'
           },
           'phed': { 
             name: 'Port Harcourt Electricity Distribution', 
             code: 'phed',
+            disco: 'PORT HARCOURT',
             logo: 'https://via.placeholder.com/120x120/006699/FFFFFF?text=PHED'
           },
           'iedc': { 
             name: 'Ibadan Electricity Distribution Company', 
             code: 'iedc',
+            disco: 'IBADAN',
             logo: 'https://via.placeholder.com/120x120/FF9900/FFFFFF?text=IBEDC'
           },
           'eedc': { 
             name: 'Enugu Electricity Distribution Company', 
             code: 'eedc',
+            disco: 'ENUGU',
             logo: 'https://via.placeholder.com/120x120/009900/FFFFFF?text=EEDC'
           },
           'kaedco': { 
             name: 'Kaduna Electricity Distribution Company', 
             code: 'kaedco',
+            disco: 'KADUNA',
             logo: 'https://via.placeholder.com/120x120/9900CC/FFFFFF?text=KAEDCO'
           },
           'jedc': { 
             name: 'Jos Electricity Distribution Company', 
             code: 'jedc',
+            disco: 'JOSS',
             logo: 'https://via.placeholder.com/120x120/FF3300/FFFFFF?text=JEDC'
           },
           'bedc': { 
             name: 'Benin Electricity Distribution Company', 
             code: 'bedc',
+            disco: 'BENIN',
             logo: 'https://via.placeholder.com/120x120/0066FF/FFFFFF?text=BEDC'
           }
         }
@@ -303,7 +314,7 @@ class UtilityService {
   }
 
   // Pay utility bill
-  async payBill(userId, category, provider, customerNumber, amount, pin, planId = null) {
+  async payBill(userId, category, provider, customerNumber, amount, pin, planId = null, options = {}) {
     try {
       // Get user and validate
       const user = await userService.getUserById(userId);
@@ -311,8 +322,12 @@ class UtilityService {
         throw new Error('User not found');
       }
 
-      // Validate PIN
-      await userService.validateUserPin(userId, pin);
+      // Validate PIN (scheduled runs carry a pre-authorisation instead)
+      if (options.pinAuthorization) {
+        await userService.verifyPinAuthorization(userId, options.pinAuthorization);
+      } else {
+        await userService.validateUserPin(userId, pin);
+      }
 
       // Validate category and provider (normalize to lowercase)
       const normalizedProvider = provider.toLowerCase();
@@ -320,7 +335,9 @@ class UtilityService {
         throw new Error('Invalid utility provider');
       }
       
-      const providerCode = this.utilities[category].providers[normalizedProvider].code;
+      const providerDetails = this.utilities[category].providers[normalizedProvider];
+      const providerCode = providerDetails.code;
+      const meterType = options.meterType || 'prepaid';
 
       // Validate customer
       const customerValidation = await this.validateCustomer(category, provider, customerNumber);
@@ -370,8 +387,7 @@ class UtilityService {
         throw new Error('Insufficient wallet balance');
       }
 
-      // Create transaction record
-      const transaction = await transactionService.createTransaction(userId, {
+      const transactionData = {
         type: 'debit',
         category: 'utility',
         amount: billAmount,
@@ -392,115 +408,157 @@ class UtilityService {
           provider: providerCode,
           customerNumber,
           planId,
+          ...(category === 'electricity' ? { meterType } : {}),
           customerValidation
         }
-      });
+      };
+
+      // Score the payment; a risky one is stepped up or held before any money moves
+      const riskFields = await riskService.screen(user, {
+        service: 'bill',
+        transaction: transactionData,
+        counterparty: { type: 'customer', value: customerNumber },
+        resume: { category, provider, customerNumber, amount, planId, meterType },
+        pin
+      }, options);
 
+      // Create transaction record
+      const transaction = await transactionService.createTransaction(userId, { ...transactionData, ...riskFields });
+
+      let hold = null;
+      let providerPaid = false;
+      let outcomeUnknown = false;
       try {
-        // Step 1: Check provider (Bilal) balance BEFORE any transfers/debits
-        const bilalService = require('./bilal');
-        await bilalService.checkProviderBalance(billAmount);
-        
-        // Step 2: Transfer amount to parent account
-        const bankTransferService = require('./bankTransfer');
-        await bankTransferService.transferToParentAccount(userId, totalAmount, `bill_${category}`, transaction.reference);
-        
-        // Step 3: Sync and check Rubies wallet balance
-        const walletBalance = await walletService.getWalletBalance(userId, true);
-        if (walletBalance.available < totalAmount) {
-          throw new Error('Insufficient wallet balance');
-        }
-        
-        // Step 4: Debit wallet
-        await walletService.debitWallet(userId, totalAmount, `Utility bill payment: ${this.utilities[category].name}`, {
-          category: 'utility',
+        // Step 1: Hold the payment until the provider confirms
+        hold = await walletService.placeHold(userId, totalAmount, {
+          reference: transaction.reference,
           transactionId: transaction.id,
-          parentAccountTransferred: true
+          description: transactionData.description,
+          adopt: options.riskClearance?.fundsHold
         });
 
-        // Step 5: Process bill payment through Bilal API
-        const paymentResult = await this.processBilalBillPayment(
-          category, 
-          providerCode, 
-          customerNumber, 
-          billAmount, 
-          planId
-        );
-        
-        if (paymentResult.success) {
-          // Update transaction status
-          await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
-            providerReference: paymentResult.reference,
-            providerResponse: paymentResult.response
+        // Step 2: Pay the bill
+        const vend = await this.vendBill(category, providerDetails, customerNumber, billAmount, planId, meterType);
+
+        if (vend.status === 'unknown') {
+          // The provider may have paid it; the hold stays until it is reconciled
+          outcomeUnknown = true;
+          await transactionService.updateTransactionStatus(transaction.reference, 'processing', {
+            providerReference: vend.reference,
+            providerResponse: vend.response,
+            metadata: { provider: vend.provider }
           });
+          const pendingError = new Error('Your bill payment is still processing with the provider. We will confirm it as soon as they respond.');
+          pendingError.outcomeUnknown = true;
+          pendingError.transactionReference = transaction.reference;
+          throw pendingError;
+        }
 
-          logger.info('Utility bill payment completed successfully', {
+        if (vend.status !== 'delivered') {
+          throw new Error(vend.message || 'Bill payment failed');
+        }
+
+        // Step 3: Capture the hold now that the bill is paid
+        providerPaid = true;
+        try {
+          await walletService.captureHold(hold, {
+            description: `Utility bill payment: ${this.utilities[category].name}`,
+            metadata: {
+              category: 'utility',
+              transactionId: transaction.id,
+              provider: vend.provider,
+              providerReference: vend.reference
+            }
+          });
+        } catch (captureError) {
+          logger.error('Critical: Bill paid but the funds hold could not be captured', {
             userId,
-            category,
-            provider: providerCode,
-            customerNumber,
+            error: captureError.message,
+            transactionReference: transaction.reference
+          });
+          await walletService.flagHoldForReconciliation(hold, captureError.message);
+          throw captureError;
+        }
+
+        // Step 4: Transfer amount to parent account
+        const bankTransferService = require('./bankTransfer');
+        await bankTransferService.transferToParentAccount(userId, totalAmount, `bill_${category}`, transaction.reference);
+
+        // Update transaction status
+        await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
+          metadata: { provider: vend.provider, ...(vend.token ? { token: vend.token } : {}) },
+          providerReference: vend.reference,
+          providerResponse: vend.response
+        });
+
+        logger.info('Utility bill payment completed successfully', {
+          userId,
+          category,
+          provider: providerCode,
+          customerNumber,
+          amount: billAmount,
+          fee,
+          vasProvider: vend.provider,
+          reference: transaction.reference
+        });
+
+        return {
+          success: true,
+          transaction: {
+            reference: transaction.reference,
             amount: billAmount,
             fee,
+            totalAmount,
+            category,
+            provider,
+            customerNumber,
+            customerName: customerValidation.customerName,
+            planDetails,
+            token: vend.token || null,
+            status: 'completed'
+          },
+          provider: {
+            success: true,
+            provider: vend.provider,
+            reference: vend.reference,
+            message: vend.message,
+            response: vend.response
+          }
+        };
+      } catch (providerError) {
+        if (outcomeUnknown) {
+          logger.warn('Bill payment outcome unknown, leaving funds held', {
+            userId,
             reference: transaction.reference
           });
+          await walletService.flagHoldForReconciliation(hold, 'Purchase outcome unknown at the provider');
+          throw providerError;
+        }
 
-          return {
-            success: true,
-            transaction: {
-              reference: transaction.reference,
-              amount: billAmount,
-              fee,
-              totalAmount,
-              category,
-              provider,
-              customerNumber,
-              customerName: customerValidation.customerName,
-              planDetails,
-              status: 'completed'
-            },
-            provider: paymentResult
-          };
-        } else {
-          // Provider failed - refund user wallet (should be rare now with balance check)
-          await walletService.creditWallet(userId, totalAmount, `Refund: Bill payment failed - ${transaction.reference}`, {
-            category: 'refund',
-            parentTransactionId: transaction.id,
-            refundReason: paymentResult.message || 'Provider payment failed'
-          });
-          
-          // Update transaction as failed
+        if (providerPaid) {
+          // Paid but not recorded: the hold stays for reconciliation
           await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-            failureReason: paymentResult.message || 'Payment failed',
-            refunded: true
+            failureReason: providerError.message,
+            criticalError: true
           });
-
-          throw new Error(paymentResult.message || 'Bill payment failed');
+          throw new Error('Your bill was paid but the payment could not be recorded. Please contact support.');
         }
-      } catch (providerError) {
-        // Provider error - check if it's a balance check error (before debit) or actual provider error
-        const isBalanceCheckError = providerError.message && providerError.message.includes('Provider has insufficient balance');
-        
-        if (!isBalanceCheckError) {
-          // Only refund if user was already debited (actual provider error after debit)
-          // The webhook will handle the actual refund
-          logger.warn('Bill payment error - webhook will handle refund if needed', {
-            userId,
-            transactionReference: transaction.reference,
-            error: providerError.message
-          });
-        } else {
-          // Balance check failed - user was never debited, no refund needed
-          logger.info('Bill payment rejected due to insufficient provider balance', {
-            userId,
-            transactionReference: transaction.reference,
-            error: providerError.message
-          });
+
+        // The user was never debited; releasing the hold returns the funds
+        if (hold) {
+          await walletService.releaseHoldAfterFailure(hold, providerError.message);
         }
-        
+
+        logger.info('Bill payment failed before capture', {
+          userId,
+          transactionReference: transaction.reference,
+          error: providerError.message,
+          fundsReleased: !!hold
+        });
+
         // Update transaction as failed
         await transactionService.updateTransactionStatus(transaction.reference, 'failed', {
-          failureReason: providerError.message,
-          awaitingRefund: !isBalanceCheckError // Only await refund if user was debited
+          failureReason: providerError.message
         });
 
         throw new Error(`Bill payment failed: ${providerError.message}`);
@@ -511,6 +569,32 @@ class UtilityService {
     }
   }
 
+  /**
+   * Electricity goes through the VAS gateway, which picks a provider and
+   * fails over between them. Cable and internet are only sold through
+   * Bilal's utility API, so its answer is read as a gateway outcome here.
+   */
+  async vendBill(category, providerDetails, customerNumber, amount, planId, meterType) {
+    if (category === 'electricity') {
+      const vasGateway = require('./vasGateway');
+      return vasGateway.purchase('electricity', {
+        disco: providerDetails.disco,
+        meterType,
+        meterNumber: customerNumber,
+        amount
+      });
+    }
+
+    try {
+      const result = await this.processBilalBillPayment(category, providerDetails.code, customerNumber, amount, planId);
+      const outcome = { provider: 'bilal', reference: result.reference, amount, message: result.message, response: result.response };
+      return { ...outcome, status: result.success ? 'delivered' : 'rejected' };
+    } catch (error) {
+      // No answer came back, so the bill may have been paid
+      return { status: 'unknown', provider: 'bilal', message: error.message };
+    }
+  }
+
   // Process bill payment through Bilal API
   async processBilalBillPayment(category, provider, customerNumber, amount, planId = null) {
     try {
@@ -664,6 +748,7 @@ class UtilityService {
             provider: tx.metadata?.recipientDetails?.provider,
             customerNumber: tx.metadata?.recipientDetails?.customerNumber,
             customerName: tx.metadata?.recipientDetails?.customerName,
+            lastAmount: parseFloat(tx.amount),
             lastPayment: tx.createdAt
           });
         }
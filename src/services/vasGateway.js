@@ -0,0 +1,378 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const RetryHelper = require('../utils/retryHelper');
+
+/**
+ * VAS gateway
+ *
+ * Airtime, data and electricity can be bought from Bilal or from Rubies VAS.
+ * Each provider below wraps its API behind the same calls, and every
+ * purchase comes back as one of four outcomes:
+ *
+ *   delivered   - the provider vended the airtime, data or token
+ *   rejected    - the provider refused it (bad number, plan or meter); never retried elsewhere
+ *   unavailable - nothing was bought: the provider is down, refused us for
+ *                 system reasons or is out of float, so the next provider is tried
+ *   unknown     - it may have gone through (timeout, 5xx, still processing),
+ *                 so no other provider is tried and the funds stay held
+ *
+ * Providers are picked by route (per service, network or disco), then by
+ * recent success rate, then by configured order.
+ */
+
+const SERVICES = ['airtime', 'data', 'electricity'];
+const SYSTEM_OUTCOMES = ['unavailable', 'unknown'];
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Bilal answers "process" or "pending" while a purchase is still being vended
+const BILAL_PENDING_STATUSES = ['process', 'processing', 'pending'];
+
+// Rubies response codes
+const RUBIES_UNAVAILABLE_CODES = ['51', '91', '92', '96'];
+const RUBIES_UNKNOWN_CODES = ['09', '97', '-1'];
+
+const SERVICE_LABELS = {
+  airtime: 'Airtime purchases',
+  data: 'Data purchases',
+  electricity: 'Electricity payments'
+};
+
+// What a route can name: the network for airtime and data, the disco for electricity
+function routeTarget(service, request) {
+  return String((service === 'electricity' ? request.disco : request.network) || '').toUpperCase();
+}
+
+function requestAmount(service, request) {
+  return parseFloat(service === 'data' ? request.dataPlan?.price : request.amount) || 0;
+}
+
+// How a failed HTTP call to a provider reads, when no answer came back to classify
+function classifyHttpError(error) {
+  const status = error.response?.status;
+  if (status) {
+    if (status === 401 || status === 403) return 'unavailable';
+    if (status >= 500 || [408, 429].includes(status)) return 'unknown';
+    return 'rejected';
+  }
+  if (NOT_SENT_ERROR_CODES.includes(error.code)) return 'unavailable';
+  // Timeouts and dropped connections: the request may have arrived
+  if (error.code || error.request) return 'unknown';
+  return null;
+}
+
+// "1GB", "1.5 GB" or "500MB - ₦380" as Rubies' product size, e.g. 1GB
+function dataSize(dataPlan) {
+  const label = dataPlan?.dataplan || dataPlan?.size || dataPlan?.dataSize || dataPlan?.title || '';
+  const match = String(label).match(/(\d+(?:\.\d+)?)\s*(MB|GB|TB)/i);
+  return match ? `${match[1]}${match[2].toUpperCase()}` : null;
+}
+
+const PROVIDERS = {
+  bilal: {
+    label: 'Bilal',
+    tag: 'bilal',
+    isConfigured() {
+      const bilalService = require('./bilal');
+      return !!(bilalService.username && bilalService.password);
+    },
+    supports(service, request) {
+      const bilalService = require('./bilal');
+      if (service === 'electricity') {
+        return !!bilalService.discoMapping[routeTarget(service, request)];
+      }
+      return !!bilalService.networkMapping[routeTarget(service, request)] && (service !== 'data' || !!request.dataPlan?.id);
+    },
+    async vend(service, request, amount) {
+      const bilalService = require('./bilal');
+      try {
+        // Bilal spends its own float, so an empty account is the same as being down
+        await bilalService.checkProviderBalance(amount, service === 'airtime');
+      } catch (error) {
+        return { status: 'unavailable', message: error.message };
+      }
+
+      try {
+        let response;
+        if (service === 'airtime') {
+          response = await bilalService.vendAirtime(request);
+        } else if (service === 'data') {
+          response = await bilalService.vendData(request);
+        } else {
+          response = await bilalService.vendElectricity(request);
+        }
+        return {
+          status: 'delivered',
+          reference: response['request-id'],
+          amount: parseFloat(response.amount) || amount,
+          token: response.token || null,
+          message: response.message,
+          response
+        };
+      } catch (error) {
+        return { status: this.classify(error), message: error.message, response: error.bilalResponse || error.response?.data };
+      }
+    },
+    classify(error) {
+      if (error.bilalResponse) {
+        const status = String(error.bilalResponse.status || '').toLowerCase();
+        if (BILAL_PENDING_STATUSES.includes(status)) return 'unknown';
+        if (/insufficient (account )?balance|low balance/i.test(error.bilalResponse.message || '')) return 'unavailable';
+        return 'rejected';
+      }
+      if (/^Token generation failed/.test(error.message || '')) return 'unavailable';
+      // Anything else was thrown before a request went out (bad number, amount)
+      return classifyHttpError(error) || 'rejected';
+    }
+  },
+
+  rubies: {
+    label: 'Rubies VAS',
+    tag: 'rubies_vas',
+    isConfigured() {
+      return !!require('./rubies').apiKey;
+    },
+    supports(service, request) {
+      return !!this.product(service, request);
+    },
+    product(service, request) {
+      const rubiesVasService = require('./rubiesVasService');
+      const target = routeTarget(service, request);
+      if (!target) return null;
+      if (service === 'airtime') {
+        const productCode = rubiesVasService.getAirtimeProductCode(target);
+        return productCode && { productCode, billerCustomerId: request.phoneNumber };
+      }
+      if (service === 'data') {
+        const size = dataSize(request.dataPlan);
+        const productCode = size && request.dataPlan?.price && rubiesVasService.getDataProductCode(target, size);
+        return productCode && { productCode, billerCustomerId: request.phoneNumber };
+      }
+      const productCode = rubiesVasService.getElectricityProductCode(target, request.meterType);
+      return productCode && { productCode, billerCustomerId: request.meterNumber };
+    },
+    async vend(service, request, amount) {
+      const rubiesVasService = require('./rubiesVasService');
+      try {
+        const response = await rubiesVasService.vend({ ...this.product(service, request), amount, reference: request.reference });
+        const message = response.responseMessage || response.message;
+
+        if (response.responseCode === '00') {
+          return {
+            status: 'delivered',
+            reference: response.reference || response.data?.reference || request.reference,
+            amount,
+            token: response.token || response.data?.token || null,
+            message,
+            response
+          };
+        }
+        let status = 'rejected';
+        if (RUBIES_UNAVAILABLE_CODES.includes(response.responseCode)) status = 'unavailable';
+        if (RUBIES_UNKNOWN_CODES.includes(response.responseCode)) status = 'unknown';
+        return { status, message, response };
+      } catch (error) {
+        const status = /RUBIES_API_KEY/.test(error.message || '') ? 'unavailable' : classifyHttpError(error) || 'unknown';
+        return { status, message: error.message, response: error.response?.data };
+      }
+    }
+  }
+};
+
+class VasGatewayService {
+  constructor() {
+    this.breakers = new Map();
+    this.history = new Map();
+  }
+
+  get limits() {
+    return config.getVasGatewayConfig();
+  }
+
+  breakerFor(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, RetryHelper.createCircuitBreaker({
+        failureThreshold: this.limits.breakerThreshold,
+        resetTimeout: this.limits.breakerResetMs,
+        operationName: `vas_provider_${name}`
+      }));
+    }
+    return this.breakers.get(name);
+  }
+
+  // ===== Health =====
+
+  recordOutcome(name, service, ok, latencyMs) {
+    const window = this.recentOutcomes(name);
+    window.push({ service, ok, latencyMs, at: Date.now() });
+    this.history.set(name, window.slice(-this.limits.healthWindow));
+  }
+
+  // Outcomes age out, so a provider that lost traffic after a bad spell
+  // gets its turn again
+  recentOutcomes(name) {
+    const since = Date.now() - this.limits.healthWindowMinutes * 60000;
+    return (this.history.get(name) || []).filter(entry => entry.at >= since);
+  }
+
+  health(name) {
+    const window = this.recentOutcomes(name);
+    const failures = window.filter(entry => !entry.ok).length;
+    const totalLatency = window.reduce((sum, entry) => sum + entry.latencyMs, 0);
+    const byService = {};
+    for (const entry of window) {
+      const stats = byService[entry.service] || (byService[entry.service] = { calls: 0, failures: 0 });
+      stats.calls++;
+      if (!entry.ok) stats.failures++;
+    }
+    return {
+      calls: window.length,
+      failures,
+      successRate: window.length ? (window.length - failures) / window.length : 1,
+      averageLatencyMs: window.length ? Math.round(totalLatency / window.length) : null,
+      lastCallAt: window.length ? new Date(window[window.length - 1].at).toISOString() : null,
+      byService
+    };
+  }
+
+  routeFor(service, request) {
+    const routes = this.limits.routes;
+    return routes[`${service.toUpperCase()}:${routeTarget(service, request)}`] || routes[service.toUpperCase()] || null;
+  }
+
+  /**
+   * Providers that can sell this purchase, best first: the routed provider,
+   * then the more reliable one once the gap exceeds reliabilityMargin, then
+   * configured order. Providers with an open breaker go last.
+   */
+  rank(service, request = {}) {
+    const limits = this.limits;
+    const routed = this.routeFor(service, request);
+    const eligible = limits.providers.filter(name => PROVIDERS[name] && PROVIDERS[name].supports(service, request));
+    const configured = eligible.filter(name => PROVIDERS[name].isConfigured());
+    // With nothing configured the first provider is asked anyway, so
+    // development setups keep the errors they always had
+    const names = configured.length ? configured : eligible.slice(0, 1);
+
+    return names
+      .map(name => ({
+        name,
+        order: limits.providers.indexOf(name),
+        open: this.breakerFor(name).getState().state === 'OPEN',
+        successRate: this.health(name).successRate
+      }))
+      .map(candidate => ({ ...candidate, score: candidate.order * limits.reliabilityMargin - candidate.successRate }))
+      .sort((a, b) => (a.open - b.open) ||
+        ((b.name === routed) - (a.name === routed)) ||
+        (a.score - b.score) ||
+        (a.order - b.order))
+      .map(candidate => candidate.name);
+  }
+
+  getStatus() {
+    const limits = this.limits;
+    return {
+      failover: limits.failover,
+      routes: limits.routes,
+      providers: Object.keys(PROVIDERS).map(name => ({
+        name,
+        label: PROVIDERS[name].label,
+        enabled: limits.providers.includes(name),
+        configured: PROVIDERS[name].isConfigured(),
+        breaker: this.breakerFor(name).getState(),
+        health: this.health(name)
+      }))
+    };
+  }
+
+  resetBreaker(name) {
+    if (!PROVIDERS[name]) {
+      throw new Error('Unknown VAS provider');
+    }
+    this.breakerFor(name).reset();
+    this.history.delete(name);
+    return this.getStatus().providers.find(provider => provider.name === name);
+  }
+
+  // ===== Purchases =====
+
+  /**
+   * Buy airtime ({ phoneNumber, network, amount }), data ({ phoneNumber,
+   * network, dataPlan }) or electricity ({ disco, meterType, meterNumber,
+   * amount }) from the best provider, failing over while providers are
+   * unavailable. Resolves to { status, provider, reference, amount, token,
+   * message, response, attempts }; provider is the tag stored on the
+   * transaction ('bilal' or 'rubies_vas'). No wallet work happens here.
+   */
+  async purchase(service, request) {
+    if (!SERVICES.includes(service)) {
+      throw new Error(`Unknown VAS service: ${service}`);
+    }
+
+    const candidates = this.rank(service, request);
+    if (!candidates.length) {
+      throw new Error(service === 'electricity' ? `Unsupported disco: ${request.disco}` : `Unsupported network: ${request.network}`);
+    }
+
+    const amount = requestAmount(service, request);
+    const purchase = {
+      ...request,
+      reference: request.reference || `VAS_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+    };
+    const attempts = [];
+
+    for (const name of candidates) {
+      const outcome = await this.attempt(name, service, purchase, amount);
+      attempts.push({
+        provider: name,
+        status: outcome.status,
+        message: outcome.message,
+        at: new Date().toISOString()
+      });
+
+      if (outcome.status !== 'unavailable') {
+        return { reference: purchase.reference, ...outcome, provider: PROVIDERS[name].tag, attempts };
+      }
+      if (!this.limits.failover) break;
+
+      logger.warn('VAS provider unavailable, failing over', {
+        provider: name,
+        service,
+        reference: purchase.reference,
+        reason: outcome.message
+      });
+    }
+
+    return {
+      status: 'unavailable',
+      provider: null,
+      message: `${SERVICE_LABELS[service]} are temporarily unavailable. Please try again shortly.`,
+      attempts
+    };
+  }
+
+  async attempt(name, service, request, amount) {
+    const started = Date.now();
+    try {
+      const outcome = await this.breakerFor(name)(async () => {
+        const result = await PROVIDERS[name].vend(service, request, amount);
+        if (SYSTEM_OUTCOMES.includes(result.status)) {
+          const systemError = new Error(result.message || `VAS provider ${name} failed`);
+          systemError.vasOutcome = result;
+          throw systemError;
+        }
+        return result;
+      });
+      this.recordOutcome(name, service, true, Date.now() - started);
+      return outcome;
+    } catch (error) {
+      if (!error.vasOutcome) {
+        // The breaker refused the call; nothing reached the provider
+        return { status: 'unavailable', message: error.message };
+      }
+      this.recordOutcome(name, service, false, Date.now() - started);
+      return error.vasOutcome;
+    }
+  }
+}
+
+module.exports = new VasGatewayService();
@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const userService = require('./user');
 const walletService = require('./wallet');
 const transactionService = require('./transaction');
+const riskService = require('./risk');
 const crypto = require('crypto');
 
 class VirtualCardService {
@@ -319,7 +320,7 @@ class VirtualCardService {
   }
 
   // Fund virtual card
-  async fundCard(userId, cardId, amount, pin) {
+  async fundCard(userId, cardId, amount, pin, options = {}) {
     try {
       // Validate user and PIN
       const user = await userService.getUserById(userId);
@@ -327,7 +328,12 @@ class VirtualCardService {
         throw new Error('User not found');
       }
 
-      await userService.validateUserPin(userId, pin);
+      // A cleared risk review resumes with a pre-authorisation instead
+      if (options.pinAuthorization) {
+        await userService.verifyPinAuthorization(userId, options.pinAuthorization);
+      } else {
+        await userService.validateUserPin(userId, pin);
+      }
 
       // Get card
       const card = await databaseService.executeWithRetry(async () => {
@@ -353,6 +359,30 @@ class VirtualCardService {
         throw new Error('Insufficient wallet balance');
       }
 
+      const transactionData = {
+        type: 'debit',
+        category: 'virtual_card',
+        amount: fundingAmount,
+        fee: 0,
+        totalAmount: fundingAmount,
+        description: `Card funding - ${card.maskedCardNumber}`,
+        reference: `FUND_${Date.now()}`,
+        metadata: {
+          service: 'virtual_card',
+          action: 'fund',
+          cardId: card.id
+        }
+      };
+
+      // Score the funding; a risky one is stepped up or held before any money moves
+      const riskFields = await riskService.screen(user, {
+        service: 'virtual_card',
+        transaction: transactionData,
+        counterparty: { type: 'own' },
+        resume: { cardId, amount: fundingAmount },
+        pin
+      }, options);
+
       // Update card balance
       const newBalance = parseFloat(card.balance || 0) + fundingAmount;
       await databaseService.executeWithRetry(async () => {
@@ -377,17 +407,10 @@ class VirtualCardService {
 
       // Create transaction record
       await transactionService.createTransaction(userId, {
-        type: 'debit',
-        category: 'virtual_card',
-        amount: fundingAmount,
-        fee: 0,
-        totalAmount: fundingAmount,
-        description: `Card funding - ${card.maskedCardNumber}`,
-        reference: `FUND_${Date.now()}`,
+        ...transactionData,
+        ...riskFields,
         metadata: {
-          service: 'virtual_card',
-          action: 'fund',
-          cardId: card.id,
+          ...transactionData.metadata,
           previousBalance: parseFloat(card.balance),
           newBalance: newBalance
         }
@@ -2,12 +2,20 @@ const { supabase } = require('../database/connection');
 const rubiesService = require('./rubies');
 const rubiesWalletService = require('./rubiesWalletService');
 const logger = require('../utils/logger');
+const messaging = require('./messaging');
+const i18n = require('./i18n');
+const realtimeService = require('./realtime');
 const databaseService = require('./database');
 const supabaseHelper = require('./supabaseHelper');
 const { v4: uuidv4 } = require('uuid');
 const activityLogger = require('./activityLogger');
+const ledgerService = require('./ledger');
+const config = require('../config');
 // Note: userService is loaded lazily to avoid circular dependency
 
+// Attempts at a version-checked balance update before giving up
+const BALANCE_UPDATE_MAX_ATTEMPTS = 8;
+
 class WalletService {
   async createWallet(userId) {
     try {
@@ -123,22 +131,29 @@ class WalletService {
 
   async creditWallet(userId, amount, description, metadata = {}) {
     try {
-      const wallet = await this.getUserWallet(userId);
       // Lazy load to avoid circular dependency
       const userService = require('./user');
       const user = await userService.getUserById(userId);
 
-      if (!wallet.isActive) {
-        throw new Error('Wallet is inactive');
-      }
-
-      const balanceBefore = parseFloat(wallet.balance);
       const creditAmount = parseFloat(amount);
-      const balanceAfter = balanceBefore + creditAmount;
       const reference = this.generateReference();
 
+      // Apply the balance change with a version-checked update so concurrent
+      // credits and debits can never overwrite each other
+      const { wallet, balanceBefore, balanceAfter } = await this.applyBalanceChange(userId, (current) => {
+        if (!current.isActive) {
+          throw new Error('Wallet is inactive');
+        }
+
+        return {
+          balance: parseFloat(current.balance || 0) + creditAmount,
+          availableBalance: parseFloat(current.availableBalance || 0) + creditAmount,
+          totalCredits: parseFloat(current.totalCredits || 0) + creditAmount
+        };
+      });
+
       // Create transaction record using Supabase
-      const txnRecord = await databaseService.executeWithRetry(async () => {
+      const txnRecord = await this.recordBalanceChange(wallet.id, -creditAmount, () => databaseService.executeWithRetry(async () => {
         return await supabaseHelper.create('transactions', {
           id: uuidv4(),
           reference,
@@ -159,24 +174,16 @@ class WalletService {
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         });
-      });
+      }));
 
-      // Update wallet balance using Supabase
-      await databaseService.executeWithRetry(async () => {
-        const { error } = await supabase
-          .from('wallets')
-          .update({
-            previousBalance: balanceBefore,
-            balance: balanceAfter,
-            availableBalance: parseFloat(wallet.availableBalance || 0) + creditAmount,
-            ledgerBalance: balanceAfter,
-            totalCredits: parseFloat(wallet.totalCredits || 0) + creditAmount,
-            updatedAt: new Date().toISOString()
-          })
-          .eq('id', wallet.id);
-        
-        if (error) throw error;
-      });
+      // Post the double-entry journal for the credit
+      await this.recordBalanceChange(wallet.id, -creditAmount, () => this.postLedgerEntry(txnRecord, () => ledgerService.postWalletCredit(wallet.id, creditAmount, {
+        category: txnRecord.category,
+        reference,
+        transactionId: txnRecord.id,
+        description,
+        metadata
+      })));
 
       logger.info('Wallet credited successfully', {
         userId,
@@ -210,7 +217,6 @@ class WalletService {
       // Optional WhatsApp notification (for admin credits or when explicitly requested)
       try {
         if (metadata && (metadata.notify === true || metadata.adminCredit === true)) {
-          const whatsappService = require('./whatsapp');
           const amountStr = `₦${creditAmount.toLocaleString()}`;
           const balanceStr = `₦${balanceAfter.toLocaleString()}`;
           const note = description ? `\n• Note: ${description}` : '';
@@ -220,7 +226,7 @@ class WalletService {
             `• Reference: ${txnRecord.reference}${note}${by}\n` +
             `• New Balance: ${balanceStr}\n\n` +
             `Thanks for using MiiMii!`;
-          await whatsappService.sendTextMessage(user.whatsappNumber, message);
+          await messaging.sendTextMessage(user.whatsappNumber, message);
         }
       } catch (notifyError) {
         logger.warn('Failed to send credit notification', {
@@ -242,73 +248,37 @@ class WalletService {
 
   async debitWallet(userId, amount, description, metadata = {}) {
     try {
-      const wallet = await this.getUserWallet(userId);
-      // Lazy load to avoid circular dependency
-      const userService = require('./user');
-      const user = await userService.getUserById(userId);
-
-      if (!wallet.isActive) {
-        throw new Error('Wallet is inactive');
-      }
-
-      if (wallet.isFrozen) {
-        throw new Error('Wallet is frozen');
-      }
-
-      const balanceBefore = parseFloat(wallet.balance);
       const debitAmount = parseFloat(amount);
-      
+
       // For general debits we require sufficient funds, but allow negative for maintenance fee
       const isMaintenanceFee = metadata && (metadata.feeType === 'maintenance' || metadata.category === 'maintenance_fee' || description?.toLowerCase().includes('maintenance'));
-      if (!isMaintenanceFee && balanceBefore < debitAmount) {
-        throw new Error('Insufficient balance');
-      }
 
-      const balanceAfter = balanceBefore - debitAmount;
-      const reference = this.generateReference();
+      // The funds check runs against the freshly read balance on every
+      // attempt, so two parallel debits cannot both spend the same naira
+      const { wallet, balanceBefore, balanceAfter } = await this.applyBalanceChange(userId, (current) => {
+        if (!current.isActive) {
+          throw new Error('Wallet is inactive');
+        }
 
-      // Create transaction record using Supabase
-      const txnRecord = await databaseService.executeWithRetry(async () => {
-        return await supabaseHelper.create('transactions', {
-          id: uuidv4(),
-          reference,
-          userId,
-          type: 'debit',
-          category: metadata.category || 'wallet_transfer',
-          amount: debitAmount,
-          fee: metadata.fee || 0,
-          totalAmount: debitAmount + (metadata.fee || 0),
-          status: 'completed',
-          description,
-          metadata: {
-            ...metadata,
-            balanceBefore,
-            balanceAfter,
-            processedAt: new Date().toISOString() // Store in metadata since column doesn't exist
-          },
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        });
-      });
+        if (current.isFrozen) {
+          throw new Error('Wallet is frozen');
+        }
 
-      // Update wallet balance using Supabase
-      const newAvailable = Math.max(0, parseFloat(wallet.availableBalance || 0) - debitAmount);
-      await databaseService.executeWithRetry(async () => {
-        const { error } = await supabase
-          .from('wallets')
-          .update({
-            previousBalance: balanceBefore,
-            balance: balanceAfter,
-            availableBalance: newAvailable,
-            ledgerBalance: balanceAfter,
-            totalDebits: parseFloat(wallet.totalDebits || 0) + debitAmount,
-            updatedAt: new Date().toISOString()
-          })
-          .eq('id', wallet.id);
-        
-        if (error) throw error;
+        // Funds held for in-flight provider calls cannot be spent twice
+        const currentBalance = parseFloat(current.balance || 0);
+        if (!isMaintenanceFee && this.spendableBalance(current) < debitAmount) {
+          throw new Error('Insufficient balance');
+        }
+
+        return {
+          balance: currentBalance - debitAmount,
+          availableBalance: Math.max(0, parseFloat(current.availableBalance || 0) - debitAmount),
+          totalDebits: parseFloat(current.totalDebits || 0) + debitAmount
+        };
       });
 
+      const txnRecord = await this.recordDebit(userId, wallet, debitAmount, description, metadata, { balanceBefore, balanceAfter });
+
       logger.info('Wallet debited successfully', {
         userId,
         amount: debitAmount,
@@ -316,16 +286,7 @@ class WalletService {
         newBalance: balanceAfter
       });
 
-      // Sync balance with Rubies after debit transaction
-      try {
-        await this.syncBalanceWithRubies(userId);
-      } catch (syncError) {
-        logger.warn('Failed to sync balance with Rubies after debit', {
-          userId,
-          error: syncError.message
-        });
-        // Don't throw - transaction is already successful
-      }
+      await this.afterDebit(userId, txnRecord);
 
       return {
         transaction: txnRecord,
@@ -338,6 +299,671 @@ class WalletService {
     }
   }
 
+  // Write the transaction record and ledger journal for a debit already
+  // applied to the wallet. `revert` overrides how the balance change is
+  // undone if either write fails.
+  async recordDebit(userId, wallet, debitAmount, description, metadata, { balanceBefore, balanceAfter, revert = null }) {
+    const reference = this.generateReference();
+
+    // Create transaction record using Supabase
+    const txnRecord = await this.recordBalanceChange(wallet.id, debitAmount, () => databaseService.executeWithRetry(async () => {
+      return await supabaseHelper.create('transactions', {
+        id: uuidv4(),
+        reference,
+        userId,
+        type: 'debit',
+        category: metadata.category || 'wallet_transfer',
+        amount: debitAmount,
+        fee: metadata.fee || 0,
+        totalAmount: debitAmount + (metadata.fee || 0),
+        status: 'completed',
+        description,
+        metadata: {
+          ...metadata,
+          balanceBefore,
+          balanceAfter,
+          processedAt: new Date().toISOString() // Store in metadata since column doesn't exist
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }), revert);
+
+    // Post the double-entry journal for the debit
+    await this.recordBalanceChange(wallet.id, debitAmount, () => this.postLedgerEntry(txnRecord, () => ledgerService.postWalletDebit(wallet.id, debitAmount, {
+      category: txnRecord.category,
+      reference,
+      transactionId: txnRecord.id,
+      description,
+      // feePortion is the part of debitAmount that is our fee, not provider spend
+      fee: metadata.feePortion || 0,
+      metadata
+    })), revert);
+
+    return txnRecord;
+  }
+
+  async afterDebit(userId, txnRecord) {
+    // A referee's first qualifying debit releases the referral bonus
+    require('./referral').handleCompletedTransaction(userId, txnRecord);
+
+    // Sync balance with Rubies after debit transaction
+    try {
+      await this.syncBalanceWithRubies(userId);
+    } catch (syncError) {
+      logger.warn('Failed to sync balance with Rubies after debit', {
+        userId,
+        error: syncError.message
+      });
+      // Don't throw - transaction is already successful
+    }
+  }
+
+  /**
+   * Set money aside for a transaction held for review. The amount leaves the
+   * spendable balance and sits in suspense against the held transaction
+   * until an admin approves or rejects it. No debit record is written: the
+   * held transaction itself carries the journal.
+   */
+  async placeReviewHold(userId, amount, { transactionId, reference, description }) {
+    const holdAmount = parseFloat(amount);
+
+    const { wallet, balanceAfter } = await this.applyBalanceChange(userId, (current) => {
+      if (!current.isActive) {
+        throw new Error('Wallet is inactive');
+      }
+
+      if (current.isFrozen) {
+        throw new Error('Wallet is frozen');
+      }
+
+      if (this.spendableBalance(current) < holdAmount) {
+        throw new Error('Insufficient balance');
+      }
+
+      return this.heldFundsChange(current, -holdAmount);
+    });
+
+    let journal;
+    try {
+      journal = await ledgerService.postJournal({
+        reference: `HOLD_${reference}`,
+        transactionId,
+        description: `Held for review: ${description}`,
+        metadata: { kind: 'review_hold' },
+        postings: [
+          { accountCode: ledgerService.walletAccount(wallet.id), direction: 'debit', amount: holdAmount },
+          { accountCode: 'suspense', direction: 'credit', amount: holdAmount }
+        ]
+      });
+    } catch (error) {
+      await this.revertBalanceChange(userId, (current) => this.heldFundsChange(current, holdAmount), { transactionId, reason: 'review hold ledger failure' });
+      throw error;
+    }
+
+    logger.info('Funds held for review', { userId, amount: holdAmount, transactionId, newBalance: balanceAfter });
+
+    return {
+      walletId: wallet.id,
+      journalId: journal.journalId,
+      amount: holdAmount,
+      newBalance: balanceAfter
+    };
+  }
+
+  // Give back money set aside by placeReviewHold by reversing its journal
+  async releaseReviewHold(userId, hold, { transactionId, reason }) {
+    const amount = parseFloat(hold.amount);
+
+    const { balanceAfter } = await this.applyBalanceChange(userId, (current) => this.heldFundsChange(current, amount));
+
+    let journal;
+    try {
+      journal = await ledgerService.reverseJournal(hold.journalId, { transactionId, reason });
+    } catch (error) {
+      await this.revertBalanceChange(userId, (current) => this.heldFundsChange(current, -amount), { transactionId, reason: 'review hold ledger failure' });
+      throw error;
+    }
+
+    logger.info('Review hold released', { userId, amount, transactionId, newBalance: balanceAfter });
+
+    return { journalId: journal.journalId, amount, newBalance: balanceAfter };
+  }
+
+  /**
+   * Approve-side twin of releaseReviewHold: the money comes out of suspense
+   * straight into a funds hold (see placeHold) instead of the spendable
+   * balance, so the approved payment can adopt it and nothing else can
+   * spend it in between. fundsHold is null if the hold row could not be
+   * written; the money is then simply released.
+   */
+  async convertReviewHold(userId, hold, { transactionId, reference, description, reason }) {
+    const amount = parseFloat(hold.amount);
+
+    const { wallet, balanceAfter } = await this.applyBalanceChange(userId, (current) => {
+      const held = this.heldFundsChange(current, amount);
+      return { ...held, ...this.pendingFundsChange({ ...current, ...held }, amount) };
+    });
+
+    let journal;
+    try {
+      journal = await ledgerService.reverseJournal(hold.journalId, { transactionId, reason });
+    } catch (error) {
+      await this.revertBalanceChange(userId, (current) => {
+        const held = this.heldFundsChange(current, -amount);
+        return { ...held, ...this.pendingFundsChange({ ...current, ...held }, -amount) };
+      }, { transactionId, reason: 'review hold ledger failure' });
+      throw error;
+    }
+
+    let fundsHold = null;
+    try {
+      fundsHold = await this.recordHold(wallet, { userId, amount, reference, transactionId, description, metadata: { fromReviewHold: true } });
+    } catch (error) {
+      logger.error('Failed to record funds hold for approved payment, releasing instead', { error: error.message, userId, transactionId });
+      await this.revertBalanceChange(userId, (current) => this.pendingFundsChange(current, -amount), { transactionId, reason: 'hold record failed' });
+    }
+
+    logger.info('Review hold converted to funds hold', { userId, amount, transactionId, holdId: fundsHold?.id, newBalance: balanceAfter });
+
+    return { journalId: journal.journalId, amount, newBalance: balanceAfter, fundsHold };
+  }
+
+  // Holds move money in and out of the balance without counting as debits
+  // or credits in the wallet totals
+  heldFundsChange(current, delta) {
+    return {
+      balance: parseFloat(current.balance || 0) + delta,
+      availableBalance: Math.max(0, parseFloat(current.availableBalance || 0) + delta)
+    };
+  }
+
+  // Put back a balance change whose follow-up write failed
+  async revertBalanceChange(userId, mutate, context = {}) {
+    try {
+      await this.applyBalanceChange(userId, mutate);
+      logger.warn('Rolled back wallet balance change', { userId, ...context });
+    } catch (rollbackError) {
+      logger.error('CRITICAL: Failed to roll back wallet balance change', {
+        userId,
+        ...context,
+        error: rollbackError.message
+      });
+    }
+  }
+
+  // What the user can spend right now: the balance less funds held for
+  // provider calls that have not settled yet
+  spendableBalance(wallet) {
+    return Math.max(0, parseFloat(wallet.balance || 0) - parseFloat(wallet.pendingBalance || 0));
+  }
+
+  // Money already held for a payment it is about to adopt (see placeHold);
+  // its balance check counts it as spendable
+  heldForPayment(fundsHold) {
+    return fundsHold ? parseFloat(fundsHold.amount) : 0;
+  }
+
+  // Move `delta` into (positive) or out of (negative) pendingBalance
+  pendingFundsChange(current, delta) {
+    const pendingBalance = Math.max(0, parseFloat(current.pendingBalance || 0) + delta);
+    return {
+      pendingBalance,
+      availableBalance: Math.max(0, parseFloat(current.balance || 0) - pendingBalance)
+    };
+  }
+
+  /**
+   * Reserve funds before calling a provider. The amount moves from
+   * availableBalance into pendingBalance; balance and the ledger only change
+   * when the hold is captured. A hold that is released, or expires, simply
+   * returns to availableBalance, so a failed call needs no refund.
+   *
+   * `adopt` is a hold set aside earlier for this same payment (see
+   * convertReviewHold); it is moved onto the new transaction instead of
+   * holding the money twice.
+   */
+  async placeHold(userId, amount, { reference, transactionId = null, description, ttlMinutes, metadata = {}, adopt = null } = {}) {
+    const holdAmount = parseFloat(amount);
+    if (!(holdAmount > 0)) {
+      throw new Error('Hold amount must be greater than zero');
+    }
+
+    const minutes = ttlMinutes || config.getWalletHoldConfig().ttlMinutes;
+    if (adopt) {
+      const adopted = await this.adoptHold(adopt, holdAmount, { reference, transactionId, description, minutes });
+      if (adopted) return adopted;
+    }
+
+    const { wallet } = await this.applyBalanceChange(userId, (current) => {
+      if (!current.isActive) {
+        throw new Error('Wallet is inactive');
+      }
+
+      if (current.isFrozen) {
+        throw new Error('Wallet is frozen');
+      }
+
+      if (this.spendableBalance(current) < holdAmount) {
+        throw new Error('Insufficient balance');
+      }
+
+      return this.pendingFundsChange(current, holdAmount);
+    });
+
+    let hold;
+    try {
+      hold = await this.recordHold(wallet, { userId, amount: holdAmount, reference, transactionId, description, minutes, metadata });
+    } catch (error) {
+      await this.revertBalanceChange(userId, (current) => this.pendingFundsChange(current, -holdAmount), {
+        transactionId,
+        reason: 'hold record failed'
+      });
+      throw error;
+    }
+
+    logger.info('Wallet funds held', { userId, amount: holdAmount, holdId: hold.id, transactionId });
+
+    return hold;
+  }
+
+  async recordHold(wallet, { userId, amount, reference, transactionId, description, minutes, metadata = {} }) {
+    const ttl = minutes || config.getWalletHoldConfig().ttlMinutes;
+    return databaseService.executeWithRetry(() => supabaseHelper.create('walletHolds', {
+      id: uuidv4(),
+      walletId: wallet.id,
+      userId,
+      transactionId,
+      reference: reference ? `HOLD_${reference}` : `HOLD_${this.generateReference()}`,
+      amount,
+      status: 'held',
+      description,
+      expiresAt: new Date(Date.now() + ttl * 60 * 1000).toISOString(),
+      metadata,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  // Re-point a still-held hold at the payment taking it over. Null when it
+  // is gone or holds a different amount; that one is released and the
+  // caller holds afresh.
+  async adoptHold(hold, amount, { reference, transactionId, description, minutes }) {
+    if (parseFloat(hold.amount) !== amount) {
+      logger.warn('Adopted hold amount differs from the payment, holding afresh', { holdId: hold.id, held: hold.amount, amount });
+      await this.releaseHoldAfterFailure(hold, 'Replaced by a hold for the resumed payment');
+      return null;
+    }
+
+    const adopted = await this.claimHold(hold, {
+      transactionId,
+      reference: reference ? `HOLD_${reference}` : hold.reference,
+      description,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+    });
+    if (adopted) {
+      logger.info('Wallet hold adopted', { userId: hold.userId, holdId: hold.id, amount, transactionId });
+    }
+    return adopted;
+  }
+
+  // Settle a hold exactly once: only a row still 'held' can move on
+  async claimHold(hold, changes, fromStatus = 'held') {
+    const updated = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('walletHolds')
+        .update({ ...changes, updatedAt: new Date().toISOString() })
+        .eq('id', hold.id)
+        .eq('status', fromStatus)
+        .select();
+
+      if (error) throw error;
+      return data && data[0];
+    });
+
+    return updated || null;
+  }
+
+  /**
+   * Turn a hold into a debit once the provider confirms. Writes the same
+   * debit record and ledger journal as debitWallet. `amount` defaults to the
+   * held amount; a larger amount needs the difference to be spendable.
+   */
+  async captureHold(hold, { amount, description, metadata = {} } = {}) {
+    const heldAmount = parseFloat(hold.amount);
+    const captureAmount = amount !== undefined ? parseFloat(amount) : heldAmount;
+
+    const claimed = await this.claimHold(hold, { status: 'captured', capturedAt: new Date().toISOString() });
+    if (!claimed) {
+      const current = await this.findHold({ id: hold.id });
+      const error = new Error(`Hold ${hold.reference} is already ${current ? current.status : 'gone'}`);
+      error.name = 'WalletHoldError';
+      throw error;
+    }
+
+    const undo = (current) => {
+      const balance = parseFloat(current.balance || 0) + captureAmount;
+      const pendingBalance = parseFloat(current.pendingBalance || 0) + heldAmount;
+      return {
+        balance,
+        pendingBalance,
+        availableBalance: Math.max(0, balance - pendingBalance),
+        totalDebits: parseFloat(current.totalDebits || 0) - captureAmount
+      };
+    };
+
+    let captured;
+    try {
+      captured = await this.applyBalanceChange(hold.userId, (current) => {
+        const pending = this.pendingFundsChange(current, -heldAmount);
+        const balance = parseFloat(current.balance || 0) - captureAmount;
+        if (captureAmount > heldAmount && this.spendableBalance(current) < captureAmount - heldAmount) {
+          throw new Error('Insufficient balance');
+        }
+
+        return {
+          balance,
+          pendingBalance: pending.pendingBalance,
+          availableBalance: Math.max(0, balance - pending.pendingBalance),
+          totalDebits: parseFloat(current.totalDebits || 0) + captureAmount
+        };
+      });
+    } catch (error) {
+      await this.claimHold(claimed, { status: 'held', capturedAt: null }, 'captured');
+      throw error;
+    }
+
+    const { wallet, balanceBefore, balanceAfter } = captured;
+    let txnRecord;
+    try {
+      txnRecord = await this.recordDebit(hold.userId, wallet, captureAmount, description || hold.description, {
+        ...metadata,
+        holdId: hold.id,
+        ...(hold.transactionId && !metadata.transactionId ? { transactionId: hold.transactionId } : {})
+      }, { balanceBefore, balanceAfter, revert: undo });
+    } catch (error) {
+      await this.claimHold(claimed, { status: 'held', capturedAt: null }, 'captured');
+      throw error;
+    }
+
+    await databaseService.executeWithRetry(() => supabaseHelper.update('walletHolds', {
+      capturedAmount: captureAmount,
+      captureTransactionId: txnRecord.id
+    }, { id: hold.id }));
+
+    logger.info('Wallet hold captured', {
+      userId: hold.userId,
+      holdId: hold.id,
+      amount: captureAmount,
+      reference: txnRecord.reference,
+      newBalance: balanceAfter
+    });
+
+    await this.afterDebit(hold.userId, txnRecord);
+
+    return {
+      transaction: txnRecord,
+      newBalance: balanceAfter,
+      previousBalance: balanceBefore
+    };
+  }
+
+  /**
+   * Return held funds to availableBalance. Safe to call from any failure
+   * path: a hold that was already captured or released is left alone and
+   * null is returned.
+   */
+  async releaseHold(hold, { reason = null, status = 'released' } = {}) {
+    const claimed = await this.claimHold(hold, { status, releaseReason: reason, releasedAt: new Date().toISOString() });
+    if (!claimed) {
+      logger.info('Wallet hold already settled, nothing to release', { holdId: hold.id, reference: hold.reference });
+      return null;
+    }
+
+    const heldAmount = parseFloat(hold.amount);
+    try {
+      await this.applyBalanceChange(hold.userId, (current) => this.pendingFundsChange(current, -heldAmount));
+    } catch (error) {
+      await this.claimHold(claimed, { status: 'held', releaseReason: null, releasedAt: null }, status);
+      throw error;
+    }
+
+    logger.info('Wallet hold released', { userId: hold.userId, holdId: hold.id, amount: heldAmount, status, reason });
+
+    return claimed;
+  }
+
+  // For provider failure paths: a release that fails is left to the expiry
+  // sweep rather than masking the provider error
+  async releaseHoldAfterFailure(hold, reason) {
+    try {
+      return await this.releaseHold(hold, { reason });
+    } catch (error) {
+      logger.error('Failed to release wallet hold, leaving it to expire', {
+        error: error.message,
+        holdId: hold.id,
+        reference: hold.reference
+      });
+      return null;
+    }
+  }
+
+  // The provider was paid but the capture failed: keep the funds held and
+  // out of the expiry sweep until someone settles it by hand
+  async flagHoldForReconciliation(hold, reason) {
+    try {
+      await databaseService.executeWithRetry(() => supabaseHelper.update('walletHolds', {
+        metadata: { ...(hold.metadata || {}), reconciliation: { reason, flaggedAt: new Date().toISOString() } }
+      }, { id: hold.id }));
+    } catch (error) {
+      logger.error('CRITICAL: Failed to flag wallet hold for reconciliation', { error: error.message, holdId: hold.id, reason });
+    }
+  }
+
+  // Give a hold the webhook TTL: for a provider call whose outcome is not
+  // known yet, the provider's answer, not our timeout, should settle it
+  async extendHold(hold, reason) {
+    const expiresAt = new Date(Date.now() + config.getWalletHoldConfig().webhookTtlMinutes * 60 * 1000).toISOString();
+    try {
+      await databaseService.executeWithRetry(() => supabaseHelper.update('walletHolds', {
+        expiresAt,
+        metadata: { ...(hold.metadata || {}), extended: { reason, extendedAt: new Date().toISOString() } }
+      }, { id: hold.id }));
+    } catch (error) {
+      logger.error('Failed to extend wallet hold', { error: error.message, holdId: hold.id, reason });
+    }
+  }
+
+  // Capture the hold behind a transfer the provider confirmed by webhook.
+  // Returns null when there is nothing held, e.g. it was debited up front.
+  async captureTransactionHold(transaction, { description, metadata = {} } = {}) {
+    const hold = await this.findHold({ transactionId: transaction.id });
+    if (!hold || hold.status === 'captured') {
+      return null;
+    }
+
+    const debitMetadata = { category: transaction.category, transactionId: transaction.id, ...metadata };
+    if (hold.status !== 'held') {
+      // The provider confirmed after the hold had already been handed back
+      logger.warn('Provider confirmed a transfer whose hold was already released, debiting directly', {
+        holdId: hold.id,
+        status: hold.status,
+        reference: transaction.reference
+      });
+      const claimed = await this.claimHold(hold, { status: 'captured', capturedAt: new Date().toISOString() }, hold.status);
+      if (!claimed) {
+        return null;
+      }
+
+      try {
+        const debit = await this.debitWallet(hold.userId, hold.amount, description || transaction.description, {
+          ...debitMetadata,
+          holdId: hold.id,
+          lateCapture: true
+        });
+        await databaseService.executeWithRetry(() => supabaseHelper.update('walletHolds', {
+          capturedAmount: parseFloat(hold.amount),
+          captureTransactionId: debit.transaction.id
+        }, { id: hold.id }));
+        return debit;
+      } catch (error) {
+        await this.claimHold(claimed, { status: hold.status, capturedAt: null }, 'captured');
+        throw error;
+      }
+    }
+
+    return this.captureHold(hold, {
+      description: description || transaction.description,
+      metadata: debitMetadata
+    });
+  }
+
+  // Webhook form of captureTransactionHold: the provider has already paid,
+  // so a failed capture is flagged for reconciliation instead of thrown
+  async captureCompletedTransfer(transaction) {
+    try {
+      return await this.captureTransactionHold(transaction);
+    } catch (error) {
+      logger.error('CRITICAL: Transfer completed but wallet hold could not be captured', {
+        error: error.message,
+        transactionId: transaction.id,
+        reference: transaction.reference
+      });
+      const hold = await this.findHold({ transactionId: transaction.id }).catch(() => null);
+      if (hold) {
+        await this.flagHoldForReconciliation(hold, `Capture failed: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Release the hold behind a transfer the provider failed by webhook.
+  // Returns false when the funds were already debited and need a refund.
+  async releaseTransactionHold(transaction, reason) {
+    let hold = await this.findHold({ transactionId: transaction.id });
+    if (!hold) {
+      return false;
+    }
+
+    if (hold.status === 'held') {
+      if (await this.releaseHold(hold, { reason })) {
+        return true;
+      }
+      hold = await this.findHold({ id: hold.id });
+    }
+
+    return hold.status !== 'captured';
+  }
+
+  async findHold(where) {
+    return databaseService.executeWithRetry(() => supabaseHelper.findOne('walletHolds', where));
+  }
+
+  // Worker sweep for holds whose request never came back to capture or
+  // release them. A hold on a transaction that did complete is left for
+  // reconciliation rather than handed back, and a bank transfer's rail is
+  // requeried first.
+  async releaseExpiredHolds({ now = new Date(), limit = 100 } = {}) {
+    const expired = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('walletHolds')
+        .select('*')
+        .eq('status', 'held')
+        .lt('expiresAt', now.toISOString())
+        .order('expiresAt', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    });
+
+    const summary = { checked: expired.length, released: 0, captured: 0, skipped: 0, failed: 0 };
+    for (const hold of expired) {
+      try {
+        const transaction = hold.transactionId
+          ? await databaseService.executeWithRetry(() => supabaseHelper.findByPk('transactions', hold.transactionId))
+          : null;
+
+        if (hold.metadata?.reconciliation || transaction?.status === 'completed') {
+          logger.error('Expired hold needs reconciliation, leaving it in place', {
+            holdId: hold.id,
+            reference: transaction?.reference || hold.reference
+          });
+          summary.skipped++;
+          continue;
+        }
+
+        // A bank transfer may have reached the rail; ask it before handing the funds back
+        if (transaction?.category === 'bank_transfer' && ['pending', 'processing'].includes(transaction.status)) {
+          const outcome = await this.requeryExpiredTransfer(hold, transaction);
+          if (outcome !== 'failed') {
+            summary[outcome === 'captured' ? 'captured' : 'skipped']++;
+            continue;
+          }
+        }
+
+        const released = await this.releaseHold(hold, { reason: 'Hold expired before the provider confirmed', status: 'expired' });
+        if (!released) {
+          summary.skipped++;
+          continue;
+        }
+
+        if (transaction && ['pending', 'processing'].includes(transaction.status)) {
+          await databaseService.executeWithRetry(() => supabaseHelper.update('transactions', {
+            status: 'failed',
+            failureReason: 'Provider did not confirm before the funds hold expired'
+          }, { id: transaction.id }));
+        }
+        summary.released++;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to release expired wallet hold', { error: error.message, holdId: hold.id });
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info('Expired wallet holds processed', summary);
+    }
+    return summary;
+  }
+
+  // What the rail says about a transfer whose hold expired: 'captured' when it
+  // went through, 'failed' when the hold can go back, 'pending' otherwise.
+  // A transfer still pending after the extended TTL goes to reconciliation.
+  async requeryExpiredTransfer(hold, transaction) {
+    const transactionService = require('./transaction');
+    const rail = transaction.metadata?.provider || 'rubies';
+
+    let check;
+    try {
+      check = await require('./transferRails').requery(rail, transaction.reference);
+    } catch (error) {
+      logger.warn('Expired hold requery failed', { error: error.message, holdId: hold.id, reference: transaction.reference, rail });
+      check = { status: 'pending' };
+    }
+
+    if (check.status === 'successful') {
+      await this.captureCompletedTransfer(transaction);
+      await transactionService.updateTransactionStatus(transaction.reference, 'completed', {
+        providerReference: check.providerReference
+      });
+      logger.info('Expired hold captured after requery', { holdId: hold.id, reference: transaction.reference, rail });
+      return 'captured';
+    }
+
+    if (['failed', 'not_found'].includes(check.status)) {
+      return 'failed';
+    }
+
+    if (hold.metadata?.extended) {
+      await this.flagHoldForReconciliation(hold, `Provider still has no outcome after ${config.getWalletHoldConfig().webhookTtlMinutes} minutes`);
+    } else {
+      await this.extendHold(hold, 'Provider has no outcome yet');
+    }
+    logger.warn('Expired hold kept: transfer outcome still unknown', { holdId: hold.id, reference: transaction.reference, rail });
+    return 'pending';
+  }
+
   async transferBetweenWallets(fromUserId, toUserId, amount, description = 'Wallet transfer') {
     try {
       // Lazy load to avoid circular dependency
@@ -362,16 +988,34 @@ class WalletService {
         category: 'wallet_transfer',
         recipientUserId: toUserId,
         recipientPhone: toUser.whatsappNumber,
-        transferReference: reference
+        transferReference: reference,
+        ledgerContraAccount: 'suspense'
       });
 
-      // Credit receiver
-      await this.creditWallet(toUserId, transferAmount, description, {
-        category: 'wallet_funding',
-        senderUserId: fromUserId,
-        senderPhone: fromUser.whatsappNumber,
-        transferReference: reference
-      });
+      // Credit receiver; if that fails, return the funds to the sender so the
+      // debit is never left stranded in suspense
+      try {
+        await this.creditWallet(toUserId, transferAmount, description, {
+          category: 'wallet_funding',
+          senderUserId: fromUserId,
+          senderPhone: fromUser.whatsappNumber,
+          transferReference: reference,
+          ledgerContraAccount: 'suspense'
+        });
+      } catch (creditError) {
+        logger.error('Wallet transfer credit failed, refunding sender', {
+          error: creditError.message,
+          fromUserId,
+          toUserId,
+          reference
+        });
+        await this.creditWallet(fromUserId, transferAmount, `Refund: ${description}`, {
+          category: 'refund',
+          transferReference: reference,
+          ledgerContraAccount: 'suspense'
+        });
+        throw creditError;
+      }
 
       logger.info('Wallet to wallet transfer completed', {
         fromUserId,
@@ -412,9 +1056,25 @@ class WalletService {
     }
   }
 
+  // The credit already posted for an inbound transfer, by provider reference
+  async findVirtualAccountCredit(userId, reference) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('id, reference, amount, status, createdAt')
+        .eq('userId', userId)
+        .eq('metadata->>providerReference', String(reference))
+        .eq('metadata->>virtualAccountCredit', 'true')
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
   async creditWalletFromVirtualAccount(webhookData) {
     try {
-      const { customer_id, amount, reference, sender_name, sender_bank } = webhookData;
+      const { customer_id, amount, reference, sender_name, sender_bank, narration } = webhookData;
       
       // Find user by customer_id (which should be the user ID)
       // Lazy load to avoid circular dependency
@@ -424,6 +1084,19 @@ class WalletService {
         throw new Error('User not found for virtual account credit');
       }
 
+      // A webhook retried after the credit went through must not credit the transfer again
+      if (reference) {
+        const existing = await this.findVirtualAccountCredit(user.id, reference);
+        if (existing) {
+          logger.info('Virtual account credit already processed', {
+            userId: user.id,
+            reference,
+            transactionReference: existing.reference
+          });
+          return { duplicate: true, transaction: existing };
+        }
+      }
+
       // No fees for incoming transfers - users should receive the full amount
       const creditAmount = parseFloat(amount);
       const finalAmount = creditAmount; // No fee deduction for incoming transfers
@@ -443,8 +1116,7 @@ class WalletService {
       });
 
       // Send notification to user
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      await messaging.sendTextMessage(
         user.whatsappNumber,
         `🌟 *You've got an incoming transfer!*\n\n` +
         `Amount: ₦${finalAmount.toLocaleString()}\n` +
@@ -454,6 +1126,14 @@ class WalletService {
         `Reference: ${result.transaction.reference}`
       );
 
+      // A transfer from someone paying one of the user's pay links settles that request
+      await require('./paymentRequest').handleIncomingCredit(user.id, {
+        amount: finalAmount,
+        reference: result.transaction.reference,
+        narration,
+        senderName: sender_name
+      });
+
       logger.info('Virtual account credit processed', {
         userId: user.id,
         originalAmount: creditAmount,
@@ -814,13 +1494,15 @@ class WalletService {
       await wallet.update({ lastMaintenanceFee: now });
 
       // Send notification
-      const whatsappService = require('./whatsapp');
-      await whatsappService.sendTextMessage(
+      const language = i18n.languageOf(user);
+      await messaging.sendTextMessage(
         user.whatsappNumber,
-        `📋 *Maintenance Fee Charged*\n\n` +
-        `Amount: ₦${totalFee.toLocaleString()} (${monthsDue} month${monthsDue>1?'s':''})\n` +
-        `New Balance: ₦${result.newBalance.toLocaleString()}\n\n` +
-        `Your monthly maintenance fee of ₦50 has been applied. If your balance is negative, the fee will be deducted when you fund your wallet.`
+        i18n.t(language, 'maintenance.charged', {
+          amount: totalFee,
+          months: i18n.t(language, 'maintenance.months', { count: monthsDue }),
+          balance: result.newBalance,
+          fee: maintenanceFee
+        })
       );
 
       logger.info('Maintenance fee charged', {
@@ -911,7 +1593,156 @@ class WalletService {
     return `MII_${Date.now()}_${uuidv4().slice(0, 8).toUpperCase()}`;
   }
 
+  /**
+   * Apply a balance change atomically using a version-checked update
+   * (compare-and-swap). `mutate` receives the freshly read wallet and returns
+   * the new balance fields; it may throw to abort (e.g. insufficient funds).
+   * On a version conflict the wallet is re-read and the change retried.
+   */
+  async applyBalanceChange(userId, mutate, { maxAttempts = BALANCE_UPDATE_MAX_ATTEMPTS } = {}) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const wallet = await databaseService.executeWithRetry(async () => {
+        return await supabaseHelper.findOne('wallets', { userId });
+      }) || await this.createWallet(userId);
+
+      const changes = mutate(wallet);
+      const version = parseInt(wallet.version || 0, 10);
+      const balanceBefore = parseFloat(wallet.balance || 0);
+      const balanceAfter = changes.balance !== undefined ? parseFloat(changes.balance) : balanceBefore;
+
+      const updated = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('wallets')
+          .update({
+            ...(changes.balance !== undefined ? { previousBalance: balanceBefore, ledgerBalance: balanceAfter } : {}),
+            ...changes,
+            version: version + 1,
+            updatedAt: new Date().toISOString()
+          })
+          .eq('id', wallet.id)
+          .eq('version', version)
+          .select();
+
+        if (error) throw error;
+        return data && data[0];
+      });
+
+      if (updated) {
+        // Every balance change lands here, holds included, so this is the one place to tell the app
+        realtimeService.publishBalance(updated);
+        return { wallet, updated, balanceBefore, balanceAfter };
+      }
+
+      logger.warn('Wallet balance update conflict, retrying', { userId, walletId: wallet.id, attempt, version });
+      // Jittered backoff so competing writers do not retry in lockstep
+      await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 25 * attempt) + 10));
+    }
+
+    const conflictError = new Error('Wallet is busy with another transaction. Please try again.');
+    conflictError.name = 'WalletConflictError';
+    conflictError.isRetryable = true;
+    throw conflictError;
+  }
+
+  // Run a step that records an already applied balance change. If it fails the
+  // change is undone (debitAmount is positive for debits, negative for credits)
+  // or, when given, `revert` computes the undo instead.
+  async recordBalanceChange(walletId, debitAmount, step, revert = null) {
+    try {
+      return await step();
+    } catch (error) {
+      try {
+        const wallet = await supabaseHelper.findByPk('wallets', walletId);
+        await this.applyBalanceChange(wallet.userId, revert || ((current) => ({
+          balance: parseFloat(current.balance || 0) + debitAmount,
+          availableBalance: Math.max(0, parseFloat(current.availableBalance || 0) + debitAmount),
+          ...(debitAmount > 0
+            ? { totalDebits: parseFloat(current.totalDebits || 0) - debitAmount }
+            : { totalCredits: parseFloat(current.totalCredits || 0) + debitAmount })
+        })));
+        logger.warn('Rolled back wallet balance change after recording failed', { walletId, debitAmount, error: error.message });
+      } catch (rollbackError) {
+        logger.error('CRITICAL: Failed to roll back wallet balance change', {
+          walletId,
+          debitAmount,
+          error: error.message,
+          rollbackError: rollbackError.message
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Run a ledger posting for a freshly created transaction record. If the
+  // journal cannot be written the record is failed so the wallet is untouched.
+  async postLedgerEntry(txnRecord, post) {
+    try {
+      return await post();
+    } catch (ledgerError) {
+      logger.error('Ledger posting failed', {
+        error: ledgerError.message,
+        reference: txnRecord.reference,
+        transactionId: txnRecord.id
+      });
+
+      try {
+        await supabaseHelper.update('transactions', {
+          status: 'failed',
+          failureReason: `Ledger posting failed: ${ledgerError.message}`
+        }, { id: txnRecord.id });
+      } catch (updateError) {
+        logger.error('Failed to mark transaction failed after ledger error', {
+          error: updateError.message,
+          transactionId: txnRecord.id
+        });
+      }
+
+      throw ledgerError;
+    }
+  }
+
+  // Record a provider-driven balance correction so the ledger keeps matching
+  // the cached balance. The counterpart sits in suspense for finance to clear.
+  async postBalanceSyncAdjustment(wallet, oldBalance, newBalance, provider) {
+    const difference = Math.round((newBalance - oldBalance) * 100) / 100;
+    if (difference === 0) {
+      return null;
+    }
+
+    try {
+      const walletAccount = ledgerService.walletAccount(wallet.id);
+      return await ledgerService.postJournal({
+        reference: `SYNC_${provider.toUpperCase()}_${Date.now()}`,
+        description: `Balance sync with ${provider}`,
+        metadata: { kind: 'provider_sync', provider, oldBalance, newBalance },
+        postings: difference > 0
+          ? [
+            { accountCode: 'suspense', direction: 'debit', amount: difference },
+            { accountCode: walletAccount, direction: 'credit', amount: difference }
+          ]
+          : [
+            { accountCode: walletAccount, direction: 'debit', amount: -difference },
+            { accountCode: 'suspense', direction: 'credit', amount: -difference }
+          ]
+      });
+    } catch (error) {
+      logger.error('Failed to post balance sync adjustment to ledger', {
+        error: error.message,
+        walletId: wallet.id,
+        difference
+      });
+      return null;
+    }
+  }
+
   // Helper method to sync balance with Rubies and update database
+  // Transfers another rail already paid whose amount has not yet been swept
+  // out of the Rubies wallet; the Rubies balance still includes them
+  async railSettlementsOwed(userId) {
+    const transferRailService = require('./transferRails');
+    return transferRailService.pendingSettlementTotal(userId);
+  }
+
   async syncBalanceWithRubies(userId) {
     try {
       const wallet = await this.getUserWallet(userId);
@@ -923,8 +1754,9 @@ class WalletService {
       const rubiesBalance = await rubiesService.retrieveWalletDetails(wallet.virtualAccountNumber);
       
       if (rubiesBalance.success) {
-        const rubiesBalanceAmount = parseFloat(rubiesBalance.accountBalance || 0);
-        const rubiesLedgerBalance = parseFloat(rubiesBalance.accountLedgerBalance || 0);
+        const awaitingSweep = await this.railSettlementsOwed(userId);
+        const rubiesBalanceAmount = parseFloat(rubiesBalance.accountBalance || 0) - awaitingSweep;
+        const rubiesLedgerBalance = parseFloat(rubiesBalance.accountLedgerBalance || 0) - awaitingSweep;
         const currentBalance = parseFloat(wallet.balance || 0);
         
         // Update local wallet balance to match Rubies balance if different
@@ -937,14 +1769,13 @@ class WalletService {
             virtualAccountNumber: wallet.virtualAccountNumber
           });
           
-          await databaseService.executeWithRetry(async () => {
-            return await supabaseHelper.update('wallets', {
-              balance: rubiesBalanceAmount,
-              ledgerBalance: rubiesLedgerBalance,
-              availableBalance: rubiesBalanceAmount,
-              updatedAt: new Date().toISOString()
-            }, { id: wallet.id });
-          });
+          const { balanceBefore } = await this.applyBalanceChange(userId, (current) => ({
+            balance: rubiesBalanceAmount,
+            ledgerBalance: rubiesLedgerBalance,
+            availableBalance: this.spendableBalance({ ...current, balance: rubiesBalanceAmount })
+          }));
+
+          await this.postBalanceSyncAdjustment(wallet, balanceBefore, rubiesBalanceAmount, 'rubies');
           
           logger.info('Wallet balance synced with Rubies successfully', {
             userId,
@@ -972,8 +1803,9 @@ class WalletService {
           const rubiesBalance = await rubiesService.retrieveWalletDetails(wallet.virtualAccountNumber);
           
           if (rubiesBalance.success) {
-            const rubiesBalanceAmount = rubiesBalance.accountBalance || 0;
-            const rubiesLedgerBalance = rubiesBalance.accountLedgerBalance || 0;
+            const awaitingSweep = await this.railSettlementsOwed(userId);
+            const rubiesBalanceAmount = (rubiesBalance.accountBalance || 0) - awaitingSweep;
+            const rubiesLedgerBalance = (rubiesBalance.accountLedgerBalance || 0) - awaitingSweep;
             
             // Update local wallet balance to match Rubies balance
             if (parseFloat(wallet.balance) !== rubiesBalanceAmount) {
@@ -984,19 +1816,18 @@ class WalletService {
                 virtualAccountNumber: wallet.virtualAccountNumber
               });
               
-              await databaseService.executeWithRetry(async () => {
-                return await supabaseHelper.update('wallets', {
-                  balance: rubiesBalanceAmount,
-                  ledgerBalance: rubiesLedgerBalance,
-                  availableBalance: rubiesBalanceAmount,
-                  updatedAt: new Date().toISOString()
-                }, { id: wallet.id });
-              });
+              const { balanceBefore, updated } = await this.applyBalanceChange(userId, (current) => ({
+                balance: rubiesBalanceAmount,
+                ledgerBalance: rubiesLedgerBalance,
+                availableBalance: this.spendableBalance({ ...current, balance: rubiesBalanceAmount })
+              }));
+
+              await this.postBalanceSyncAdjustment(wallet, balanceBefore, parseFloat(rubiesBalanceAmount), 'rubies');
               
               // Update wallet object
               wallet.balance = rubiesBalanceAmount;
               wallet.ledgerBalance = rubiesLedgerBalance;
-              wallet.availableBalance = rubiesBalanceAmount;
+              wallet.availableBalance = updated.availableBalance;
             }
           }
         } catch (rubiesError) {
@@ -1010,7 +1841,7 @@ class WalletService {
       }
       
       return {
-        available: parseFloat(wallet.availableBalance || wallet.balance || 0),
+        available: this.spendableBalance(wallet),
         total: parseFloat(wallet.balance || 0),
         ledger: parseFloat(wallet.ledgerBalance || wallet.balance || 0),
         pending: parseFloat(wallet.pendingBalance || 0),
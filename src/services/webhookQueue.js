@@ -0,0 +1,570 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+const { supabase } = require('../database/connection');
+
+/**
+ * Webhook queue
+ *
+ * Provider callbacks are written to webhookLogs and acknowledged before any
+ * business processing runs. The row is the durable job: a Redis sorted set
+ * scored by run time only says when to look at it again, and without Redis
+ * the consumer polls the table instead.
+ *
+ *   queued     - accepted, waiting for its first attempt
+ *   processing - claimed by a worker
+ *   retrying   - failed, waiting for nextAttemptAt (exponential backoff)
+ *   processed  - handled
+ *   dead       - failed maxAttempts times; parked for an admin to inspect and replay
+ *
+ * Each event is keyed on the provider's own event id (or a hash of the body
+ * when there is none), so a redelivery is acknowledged without running twice.
+ */
+
+const QUEUE_KEY = 'webhooks:queue';
+const PENDING_STATUSES = ['queued', 'retrying'];
+const STATUSES = ['queued', 'processing', 'retrying', 'processed', 'dead'];
+const UNIQUE_VIOLATION = '23505';
+
+function firstOf(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function joinId(...parts) {
+  return parts.some(part => part === undefined || part === null || part === '') ? null : parts.join(':');
+}
+
+function hashPayload(body) {
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex')}`;
+}
+
+function queueError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// A Rubies notification is one event per session and response code, so a
+// pending-then-successful pair for the same transfer is two events
+function rubiesEventId(body) {
+  return joinId(firstOf(body.sessionId, body.paymentReference, body.reference, body.contractReference), body.responseCode);
+}
+
+function rubiesCallback(body) {
+  return require('./rubies').processWebhookEvent(body);
+}
+
+const HANDLERS = {
+  rubies: {
+    source: 'rubies',
+    eventId: rubiesEventId,
+    process: rubiesCallback
+  },
+
+  // Rubies-format notifications delivered on the legacy BellBank incoming URL
+  bellbank_incoming: {
+    source: 'bellbank',
+    eventId: body => joinId('incoming', rubiesEventId(body)),
+    process: rubiesCallback
+  },
+
+  bellbank: {
+    source: 'bellbank',
+    eventId: body => firstOf(body.id, body.eventId) ||
+      joinId(body.type, firstOf(body.data?.sessionId, body.data?.reference, body.data?.paymentReference)),
+    async process({ type, data }) {
+      switch (type) {
+        case 'virtual_account.credit':
+          // Rubies-format payload; processWebhookEvent credits the wallet itself
+          await require('./rubies').processWebhookEvent(data);
+          break;
+        case 'transfer.completed':
+          await require('./transaction').handleBellBankTransferComplete(data);
+          break;
+        case 'transfer.failed':
+          await require('./transaction').handleBellBankTransferFailed(data);
+          break;
+        default:
+          logger.info('Unhandled BellBank webhook event', { type, data });
+      }
+    }
+  },
+
+  bilal: {
+    source: 'bilal',
+    eventId: body => joinId(body['request-id'], body.status),
+    async process(body) {
+      // Bilal webhook format: { status, request-id, response }
+      if (body.status && body['request-id']) {
+        await require('./bilal').handleBilalCallback(body);
+      } else {
+        logger.warn('Invalid Bilal webhook format', { webhookData: body });
+      }
+    }
+  },
+
+  fincra: {
+    source: 'fincra',
+    eventId: body => firstOf(body.id, body.eventId) ||
+      joinId(body.event, firstOf(body.data?.id, body.data?.reference)),
+    async process({ event, data }) {
+      switch (event) {
+        case 'bvn.verified':
+          await require('./fincra').handleBvnVerified(data);
+          break;
+        case 'bvn.rejected':
+          await require('./fincra').handleBvnRejected(data);
+          break;
+        default:
+          logger.info('Unhandled Fincra webhook event', { event, data });
+      }
+    }
+  },
+
+  dojah: {
+    source: 'dojah',
+    eventId: body => firstOf(body.id, body.eventId) ||
+      joinId(body.event, firstOf(body.data?.id, body.data?.reference_id, body.data?.reference)),
+    async process({ event, data }) {
+      switch (event) {
+        case 'kyc.verified':
+          await require('./kyc').handleKycVerified(data);
+          break;
+        case 'kyc.rejected':
+          await require('./kyc').handleKycRejected(data);
+          break;
+        default:
+          logger.info('Unhandled Dojah webhook event', { event, data });
+      }
+    }
+  }
+};
+
+class WebhookQueueService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  getConfig() {
+    return config.getWebhookQueueConfig();
+  }
+
+  usesRedis() {
+    return redisClient.isConnected && !redisClient.useDbFallback && !!redisClient.getClient();
+  }
+
+  backoffDelay(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.getConfig();
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  getHandler(handlerName) {
+    const handler = HANDLERS[handlerName];
+    if (!handler) {
+      throw queueError(`Unknown webhook handler: ${handlerName}`, 400);
+    }
+    return handler;
+  }
+
+  // Stored events name their handler; rows logged before the queue fall back to their source
+  handlerNameFor(event) {
+    return event.metadata?.handler || event.source;
+  }
+
+  // Run a payload through its provider handler, outside the queue
+  async run(handlerName, body) {
+    return this.getHandler(handlerName).process(body || {});
+  }
+
+  /**
+   * Write an event to webhookLogs as queued. A second delivery of the same
+   * provider event returns the first row with duplicate set instead.
+   */
+  async persist(handlerName, body, { headers = {}, eventId = null, metadata = {} } = {}) {
+    const handler = this.getHandler(handlerName);
+    const id = String(eventId || handler.eventId(body) || hashPayload(body));
+    const now = new Date();
+
+    // A unique violation is the answer, not a failure, so it is returned rather than retried
+    const { event, duplicate } = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .insert({
+          source: handler.source,
+          eventType: body.type || body.event || 'unknown',
+          eventId: id,
+          payload: {
+            headers,
+            body,
+            signature: headers['x-webhook-signature'] || headers['x-signature']
+          },
+          processed: false,
+          status: 'queued',
+          attempts: 0,
+          nextAttemptAt: now.toISOString(),
+          metadata: { ...metadata, handler: handlerName },
+          createdAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        })
+        .select()
+        .single();
+      if (error?.code === UNIQUE_VIOLATION) return { duplicate: true };
+      if (error) throw error;
+      return { event: data };
+    });
+
+    if (duplicate) {
+      const existing = await databaseService.executeWithRetry(() =>
+        supabaseHelper.findOne('webhookLogs', { source: handler.source, eventId: id }));
+      return { duplicate: true, event: existing, eventId: id };
+    }
+
+    return { duplicate: false, event, eventId: id };
+  }
+
+  /**
+   * Persist a provider callback and queue it. Resolves once the row is
+   * written, so the route can acknowledge; throws when it could not be,
+   * so the provider retries the delivery.
+   */
+  async accept(handlerName, req) {
+    const { duplicate, event, eventId } = await this.persist(handlerName, req.body || {}, { headers: req.headers || {} });
+
+    if (duplicate) {
+      logger.info('Duplicate webhook delivery acknowledged', {
+        handler: handlerName,
+        eventId,
+        webhookLogId: event?.id,
+        status: event?.status
+      });
+      return { duplicate: true, id: event?.id || null, eventId };
+    }
+
+    await this.enqueue(event.id, Date.parse(event.nextAttemptAt) || Date.now());
+
+    // Pick it up straight away rather than on the next poll
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+
+    return { duplicate: false, id: event.id, eventId };
+  }
+
+  async enqueue(id, runAt = Date.now()) {
+    if (!this.usesRedis()) return;
+
+    try {
+      await redisClient.getClient().zAdd(QUEUE_KEY, { score: runAt, value: id });
+    } catch (error) {
+      // The row stays due in the database; the recovery sweep puts it back
+      logger.warn('Failed to add webhook event to the Redis queue', { id, error: error.message });
+    }
+  }
+
+  async dueEventIds(limit) {
+    if (this.usesRedis()) {
+      const client = redisClient.getClient();
+      const ids = await client.zRangeByScore(QUEUE_KEY, 0, Date.now(), { LIMIT: { offset: 0, count: limit } });
+      const claimed = [];
+      for (const id of ids) {
+        // Whoever removes the member owns it
+        if (await client.zRem(QUEUE_KEY, id)) claimed.push(id);
+      }
+      return claimed;
+    }
+
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .select('id')
+        .in('status', PENDING_STATUSES)
+        .lte('nextAttemptAt', new Date().toISOString())
+        .order('nextAttemptAt', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map(row => row.id);
+    });
+  }
+
+  // Move a due event to processing; null when another worker got there first
+  async claim(id) {
+    return databaseService.executeWithRetry(async () => {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .update({ status: 'processing', lockedAt: now, updatedAt: now })
+        .eq('id', id)
+        .in('status', PENDING_STATUSES)
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async processEvent(event) {
+    const handlerName = this.handlerNameFor(event);
+    const attempts = (event.attempts || 0) + 1;
+
+    try {
+      await this.run(handlerName, event.payload?.body);
+
+      await this.updateEvent(event.id, {
+        status: 'processed',
+        processed: true,
+        processedAt: new Date().toISOString(),
+        attempts,
+        lockedAt: null,
+        nextAttemptAt: null,
+        errorMessage: null,
+        responseStatus: 200
+      });
+
+      logger.info('Webhook event processed', { id: event.id, handler: handlerName, eventId: event.eventId, attempts });
+      return 'processed';
+    } catch (error) {
+      const { maxAttempts } = this.getConfig();
+
+      if (attempts >= maxAttempts) {
+        await this.updateEvent(event.id, {
+          status: 'dead',
+          attempts,
+          lockedAt: null,
+          nextAttemptAt: null,
+          deadLetteredAt: new Date().toISOString(),
+          errorMessage: error.message,
+          responseStatus: 500
+        });
+
+        logger.error('Webhook event moved to the dead-letter queue', {
+          id: event.id,
+          handler: handlerName,
+          eventId: event.eventId,
+          attempts,
+          error: error.message
+        });
+        return 'dead';
+      }
+
+      const runAt = Date.now() + this.backoffDelay(attempts);
+      await this.updateEvent(event.id, {
+        status: 'retrying',
+        attempts,
+        lockedAt: null,
+        nextAttemptAt: new Date(runAt).toISOString(),
+        errorMessage: error.message,
+        responseStatus: 500
+      });
+      await this.enqueue(event.id, runAt);
+
+      logger.warn('Webhook event failed; retry scheduled', {
+        id: event.id,
+        handler: handlerName,
+        eventId: event.eventId,
+        attempts,
+        nextAttemptAt: new Date(runAt).toISOString(),
+        error: error.message
+      });
+      return 'retrying';
+    }
+  }
+
+  async updateEvent(id, changes) {
+    return databaseService.executeWithRetry(() => supabaseHelper.update('webhookLogs', changes, { id }));
+  }
+
+  async processDue(limit = this.getConfig().batchSize) {
+    const results = { processed: 0, retrying: 0, dead: 0 };
+    const ids = await this.dueEventIds(limit);
+
+    for (const id of ids) {
+      const event = await this.claim(id);
+      if (!event) continue;
+      results[await this.processEvent(event)]++;
+    }
+
+    return results;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      await this.processDue();
+    } catch (error) {
+      logger.warn('Webhook queue poll failed', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const tick = async () => {
+      await this.poll();
+      if (this.timer) {
+        this.timer = setTimeout(tick, this.getConfig().pollIntervalMs);
+        this.timer.unref?.();
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref?.();
+    logger.info('Webhook queue consumer started', { redis: this.usesRedis() });
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    logger.info('Webhook queue consumer stopped');
+  }
+
+  /**
+   * Return events whose worker died mid-attempt to the queue, and re-add
+   * due events to Redis in case the sorted set lost them (flush, failover).
+   */
+  async recoverStuck() {
+    const { processingTimeoutMs } = this.getConfig();
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - processingTimeoutMs).toISOString();
+
+    const released = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .update({ status: 'retrying', lockedAt: null, nextAttemptAt: now.toISOString(), updatedAt: now.toISOString() })
+        .eq('status', 'processing')
+        .lt('lockedAt', staleBefore)
+        .select('id');
+      if (error) throw error;
+      return data || [];
+    });
+
+    let requeued = 0;
+    if (this.usesRedis()) {
+      const due = await databaseService.executeWithRetry(async () => {
+        const { data, error } = await supabase
+          .from('webhookLogs')
+          .select('id, nextAttemptAt')
+          .in('status', PENDING_STATUSES)
+          .lte('nextAttemptAt', now.toISOString())
+          .limit(500);
+        if (error) throw error;
+        return data || [];
+      });
+
+      for (const event of due) {
+        await this.enqueue(event.id, new Date(event.nextAttemptAt).getTime());
+        requeued++;
+      }
+    }
+
+    if (released.length || requeued) {
+      logger.info('Webhook queue recovery sweep', { released: released.length, requeued });
+    }
+    return { released: released.length, requeued };
+  }
+
+  async getEvent(id) {
+    const event = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('webhookLogs', id));
+    if (!event || !event.status) {
+      throw queueError('Webhook event not found', 404);
+    }
+    return event;
+  }
+
+  async listDeadLetters({ source, limit = 20, offset = 0 } = {}) {
+    return databaseService.executeWithRetry(async () => {
+      let query = supabase
+        .from('webhookLogs')
+        .select('*', { count: 'exact' })
+        .eq('status', 'dead')
+        .order('deadLetteredAt', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (source) query = query.eq('source', source);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+      return { total: count || 0, events: data || [] };
+    });
+  }
+
+  /**
+   * Send a dead-lettered event back through the queue with a fresh set of
+   * attempts. The replay is recorded on the event.
+   */
+  async replay(id, { adminId = null } = {}) {
+    const event = await this.getEvent(id);
+    if (event.status !== 'dead') {
+      throw queueError(`Only dead-lettered events can be replayed (this one is ${event.status})`, 409);
+    }
+
+    const now = new Date();
+    const replays = [...(event.metadata?.replays || []), {
+      adminId,
+      at: now.toISOString(),
+      attempts: event.attempts,
+      error: event.errorMessage
+    }];
+
+    const replayed = await databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .update({
+          status: 'queued',
+          attempts: 0,
+          nextAttemptAt: now.toISOString(),
+          deadLetteredAt: null,
+          errorMessage: null,
+          metadata: { ...(event.metadata || {}), replays },
+          updatedAt: now.toISOString()
+        })
+        .eq('id', id)
+        .eq('status', 'dead')
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+
+    if (!replayed) {
+      throw queueError('Webhook event was replayed by someone else', 409);
+    }
+
+    await this.enqueue(id, now.getTime());
+    logger.info('Dead-lettered webhook event replayed', { id, eventId: event.eventId, adminId });
+    return replayed;
+  }
+
+  async getStats() {
+    const counts = {};
+    for (const status of STATUSES) {
+      counts[status] = await databaseService.executeWithRetry(() => supabaseHelper.count('webhookLogs', { status }));
+    }
+
+    let scheduled = null;
+    if (this.usesRedis()) {
+      try {
+        scheduled = await redisClient.getClient().zCard(QUEUE_KEY);
+      } catch (error) {
+        logger.warn('Failed to read webhook queue depth', { error: error.message });
+      }
+    }
+
+    return {
+      counts,
+      scheduled,
+      backend: this.usesRedis() ? 'redis' : 'database',
+      consumerRunning: !!this.timer,
+      maxAttempts: this.getConfig().maxAttempts
+    };
+  }
+}
+
+module.exports = new WebhookQueueService();
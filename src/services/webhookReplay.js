@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const supabaseHelper = require('./supabaseHelper');
+const webhookQueue = require('./webhookQueue');
+const { supabase } = require('../database/connection');
+
+/**
+ * Webhook replay and simulation
+ *
+ * Re-runs a stored provider callback through its handler, or builds a
+ * synthetic one (a credit to a virtual account, a transfer or Bilal
+ * outcome) for support and local development.
+ *
+ * A dry run never writes: each handler has a planner below that reads the
+ * current wallet, hold and transaction rows and describes what the handler
+ * would change. Planners follow the handlers' own lookups, so a dry run
+ * that finds nothing to do means the real run would do nothing either.
+ */
+
+const PENDING_STATUSES = ['queued', 'retrying'];
+
+function replayError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toAmount(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+function naira(amount) {
+  return `₦${toAmount(amount).toLocaleString()}`;
+}
+
+function firstOf(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function emptyPlan(summary) {
+  return {
+    summary,
+    wallets: [],
+    transactions: [],
+    holds: [],
+    collectionAccounts: [],
+    users: [],
+    notifications: [],
+    notes: []
+  };
+}
+
+function walletChange(wallet, { balance = 0, pending = 0 } = {}) {
+  const before = {
+    balance: toAmount(wallet.balance),
+    pendingBalance: toAmount(wallet.pendingBalance)
+  };
+  const after = {
+    balance: toAmount(before.balance + balance),
+    pendingBalance: toAmount(before.pendingBalance + pending)
+  };
+  return {
+    userId: wallet.userId,
+    walletId: wallet.id,
+    virtualAccountNumber: wallet.virtualAccountNumber || null,
+    balance: { before: before.balance, after: after.balance },
+    pendingBalance: { before: before.pendingBalance, after: after.pendingBalance },
+    availableBalance: {
+      before: toAmount(Math.max(0, before.balance - before.pendingBalance)),
+      after: toAmount(Math.max(0, after.balance - after.pendingBalance))
+    }
+  };
+}
+
+function statusChange(transaction, to) {
+  return {
+    action: 'update',
+    id: transaction.id,
+    reference: transaction.reference,
+    userId: transaction.userId,
+    amount: toAmount(transaction.amount),
+    status: { from: transaction.status, to }
+  };
+}
+
+async function findWallet(where) {
+  return databaseService.executeWithRetry(() => supabaseHelper.findOne('wallets', where));
+}
+
+// ===== Planners, one per queue handler =====
+
+async function planAccountCredit(event) {
+  const accountNumber = event.creditAccount || event.accountNumber;
+  const amount = toAmount(event.amount);
+  const reference = event.paymentReference || event.sessionId;
+
+  if (!accountNumber || !(amount > 0)) {
+    return emptyPlan('No account number or amount in the credit; nothing is credited');
+  }
+
+  const walletService = require('./wallet');
+  const wallet = await findWallet({ virtualAccountNumber: accountNumber });
+
+  if (wallet) {
+    const user = await require('./user').getUserById(wallet.userId);
+    if (!user) {
+      return emptyPlan(`Wallet ${wallet.id} for ${accountNumber} has no user; nothing is credited`);
+    }
+
+    const existing = reference ? await walletService.findVirtualAccountCredit(user.id, reference) : null;
+    if (existing) {
+      return emptyPlan(`Already credited as ${existing.reference}; nothing changes`);
+    }
+
+    const plan = emptyPlan(`Credit ${naira(amount)} to ${user.firstName || 'the user'}'s wallet (${accountNumber})`);
+    plan.wallets.push(walletChange(wallet, { balance: amount }));
+    plan.transactions.push({
+      action: 'create',
+      userId: user.id,
+      type: 'credit',
+      category: 'wallet_funding',
+      amount,
+      status: 'completed',
+      providerReference: reference || null
+    });
+    plan.notifications.push({ to: user.whatsappNumber, message: 'Incoming transfer alert' });
+    plan.notes.push('Any pay link request awaiting this amount from the user is settled too');
+    return plan;
+  }
+
+  const collectionAccountService = require('./collectionAccount');
+  const account = await collectionAccountService.findByAccountNumber(accountNumber);
+  if (!account) {
+    return emptyPlan(`No wallet or collection account uses ${accountNumber}; nothing is credited`);
+  }
+
+  const existing = reference ? await walletService.findVirtualAccountCredit(account.userId, reference) : null;
+  if (existing) {
+    return emptyPlan(`Already credited as ${existing.reference}; nothing changes`);
+  }
+
+  const preview = collectionAccountService.previewCredit(account, amount);
+  const ownerWallet = await findWallet({ userId: account.userId });
+  const plan = emptyPlan(`Credit ${naira(amount)} paid into collection account ${account.reference} to its owner's wallet`);
+
+  if (ownerWallet) plan.wallets.push(walletChange(ownerWallet, { balance: amount }));
+  plan.transactions.push({
+    action: 'create',
+    userId: account.userId,
+    type: 'credit',
+    category: 'wallet_funding',
+    amount,
+    status: 'completed',
+    providerReference: reference || null
+  });
+  plan.collectionAccounts.push({
+    id: account.id,
+    reference: account.reference,
+    accountNumber,
+    status: { from: account.status, to: preview.status },
+    amountReceived: { from: preview.previous, to: preview.received },
+    outstanding: preview.outstanding,
+    excess: preview.excess
+  });
+  if (!preview.wasOpen) {
+    plan.notes.push(`The account is ${account.status}; the payment is recorded as late`);
+  }
+  if (preview.settled && account.paymentRequestId) {
+    plan.notes.push(`Payment request ${account.paymentRequestId} is marked paid`);
+  }
+  plan.notifications.push({ userId: account.userId, message: 'Collection account payment alert' });
+  return plan;
+}
+
+// Rubies transfer callbacks move the transaction's status and, once the
+// outcome is final, settle the funds held for it
+async function planRubiesStatus(event, to) {
+  const reference = firstOf(event.reference, event.contractReference, event.paymentReference);
+  if (!reference) {
+    return emptyPlan('No reference in the callback; nothing changes');
+  }
+
+  const transaction = await require('./transaction').getTransactionByReference(reference);
+  if (!transaction) {
+    return emptyPlan(`No transaction has reference ${reference}; nothing changes`);
+  }
+
+  // A repeated failure still hands back a hold but is never refunded twice
+  const alreadyFailed = to === 'failed' && transaction.status === 'failed';
+  const plan = emptyPlan(alreadyFailed ? `${transaction.reference} is already failed` : `Mark ${transaction.reference} ${to}`);
+  if (!alreadyFailed) plan.transactions.push(statusChange(transaction, to));
+  if (to === 'completed' || to === 'failed') {
+    await planHoldSettlement(plan, transaction, to, alreadyFailed ? 0 : transaction.totalAmount);
+  }
+  return plan;
+}
+
+async function planRubiesEvent(event) {
+  if (event.responseCode === '00') {
+    if (event.drCr === 'CR' || event.service === 'Fund Transfer') {
+      return planAccountCredit(event);
+    }
+    return planRubiesStatus(event, 'completed');
+  }
+
+  switch (event.responseCode) {
+    case '14':
+    case '33':
+      return planRubiesStatus(event, 'failed');
+    case '34':
+      return planRubiesStatus(event, 'pending_settlement');
+    case '-1':
+      return planRubiesStatus(event, 'processing');
+    default:
+      return emptyPlan(`Rubies response code ${event.responseCode} is not handled; nothing changes`);
+  }
+}
+
+/**
+ * What settling a provider outcome does to the funds behind a transaction,
+ * as walletService.captureCompletedTransfer / releaseTransactionHold do it:
+ * a held amount is captured or released, a hold released earlier is
+ * debited directly on success, and a failure with nothing held is refunded.
+ */
+async function planHoldSettlement(plan, transaction, outcome, refundAmount) {
+  const walletService = require('./wallet');
+  const hold = await walletService.findHold({ transactionId: transaction.id });
+  const wallet = await findWallet({ userId: transaction.userId });
+  const amount = hold ? toAmount(hold.amount) : 0;
+
+  if (outcome === 'completed') {
+    if (!hold || hold.status === 'captured') {
+      plan.notes.push('No outstanding hold; the wallet is not debited again');
+      return;
+    }
+    plan.holds.push({ id: hold.id, amount, status: { from: hold.status, to: 'captured' } });
+    if (hold.status === 'held') {
+      if (wallet) plan.wallets.push(walletChange(wallet, { balance: -amount, pending: -amount }));
+    } else {
+      if (wallet) plan.wallets.push(walletChange(wallet, { balance: -amount }));
+      plan.notes.push(`The hold was already ${hold.status}; ${naira(amount)} is debited directly`);
+    }
+    plan.transactions.push({
+      action: 'create',
+      userId: transaction.userId,
+      type: 'debit',
+      category: transaction.category,
+      amount,
+      status: 'completed'
+    });
+    return;
+  }
+
+  if (hold && hold.status === 'held') {
+    plan.holds.push({ id: hold.id, amount, status: { from: 'held', to: 'released' } });
+    if (wallet) plan.wallets.push(walletChange(wallet, { pending: -amount }));
+    return;
+  }
+  if (hold && hold.status !== 'captured') {
+    plan.notes.push(`The hold was already ${hold.status}; nothing is refunded`);
+    return;
+  }
+
+  const refund = toAmount(refundAmount);
+  if (!(refund > 0)) return;
+  if (wallet) plan.wallets.push(walletChange(wallet, { balance: refund }));
+  plan.transactions.push({
+    action: 'create',
+    userId: transaction.userId,
+    type: 'credit',
+    category: 'refund',
+    amount: refund,
+    status: 'completed'
+  });
+}
+
+async function planBellbankTransfer(data = {}, to) {
+  const transaction = await databaseService.executeWithRetry(() =>
+    supabaseHelper.findOne('transactions', { providerReference: data.reference }));
+  if (!transaction) {
+    return emptyPlan(`No transaction has provider reference ${data.reference}; nothing changes`);
+  }
+
+  const plan = emptyPlan(`Mark ${transaction.reference} ${to}`);
+  plan.transactions.push(statusChange(transaction, to));
+  await planHoldSettlement(plan, transaction, to, transaction.totalAmount);
+  plan.notifications.push({ userId: transaction.userId, message: to === 'completed' ? 'Transfer receipt' : 'Transfer failed alert' });
+  return plan;
+}
+
+async function planBilalCallback(body) {
+  const { status, 'request-id': requestId } = body;
+  if (!status || !requestId) {
+    return emptyPlan('Invalid Bilal callback format; nothing changes');
+  }
+
+  const transaction = await require('./bilal').findCallbackTransaction(requestId);
+  if (!transaction) {
+    return emptyPlan(`No transaction matches request-id ${requestId}; nothing changes`);
+  }
+
+  if (status === 'success') {
+    if (transaction.status === 'completed') {
+      return emptyPlan(`${transaction.reference} is already completed; nothing changes`);
+    }
+    const plan = emptyPlan(`Mark ${transaction.reference} completed`);
+    plan.transactions.push(statusChange(transaction, 'completed'));
+    await planHoldSettlement(plan, transaction, 'completed');
+    return plan;
+  }
+
+  if (transaction.metadata?.refunded || transaction.metadata?.refundProcessed) {
+    return emptyPlan(`${transaction.reference} was already refunded; nothing changes`);
+  }
+
+  const plan = emptyPlan(`Mark ${transaction.reference} failed`);
+  plan.transactions.push(statusChange(transaction, 'failed'));
+  await planHoldSettlement(plan, transaction, 'failed', transaction.totalAmount || transaction.amount);
+  if (plan.transactions.some(change => change.category === 'refund')) {
+    plan.notifications.push({ userId: transaction.userId, message: 'Refund alert' });
+  }
+  return plan;
+}
+
+async function planKyc(data = {}, to) {
+  const user = await require('./user').getUserById(data.user_id);
+  if (!user) {
+    return emptyPlan(`No user ${data.user_id}; nothing changes`);
+  }
+
+  const plan = emptyPlan(`Set ${user.firstName || 'the user'}'s KYC status to ${to}`);
+  plan.users.push({ id: user.id, kycStatus: { from: user.kycStatus, to } });
+  return plan;
+}
+
+const PLANNERS = {
+  rubies: planRubiesEvent,
+  bellbank_incoming: planRubiesEvent,
+
+  async bellbank({ type, data }) {
+    switch (type) {
+      case 'virtual_account.credit':
+        return planRubiesEvent(data || {});
+      case 'transfer.completed':
+        return planBellbankTransfer(data, 'completed');
+      case 'transfer.failed':
+        return planBellbankTransfer(data, 'failed');
+      default:
+        return emptyPlan(`BellBank event ${type} is not handled; nothing changes`);
+    }
+  },
+
+  bilal: planBilalCallback,
+
+  async fincra({ event }) {
+    const fincraService = require('./fincra');
+    const method = { 'bvn.verified': 'handleBvnVerified', 'bvn.rejected': 'handleBvnRejected' }[event];
+    if (!method) {
+      return emptyPlan(`Fincra event ${event} is not handled; nothing changes`);
+    }
+    const plan = emptyPlan(`Pass the ${event} event to the Fincra service`);
+    if (typeof fincraService[method] !== 'function') {
+      plan.notes.push(`The Fincra service has no ${method}; a real run fails`);
+    }
+    return plan;
+  },
+
+  async dojah({ event, data }) {
+    switch (event) {
+      case 'kyc.verified':
+        return planKyc(data, 'verified');
+      case 'kyc.rejected':
+        return planKyc(data, 'rejected');
+      default:
+        return emptyPlan(`Dojah event ${event} is not handled; nothing changes`);
+    }
+  }
+};
+
+// ===== Synthetic events =====
+
+function syntheticId() {
+  return `SIM${Date.now()}${crypto.randomInt(1000, 9999)}`;
+}
+
+// A transfer into a virtual account in the Rubies notification format,
+// which is also what BellBank's virtual_account.credit carries
+function syntheticCredit({ accountNumber, amount, senderName, senderBank, narration, sessionId }) {
+  return {
+    responseCode: '00',
+    responseMessage: 'Approved',
+    drCr: 'CR',
+    service: 'Fund Transfer',
+    creditAccount: accountNumber,
+    amount: String(toAmount(amount)),
+    sessionId,
+    paymentReference: sessionId,
+    originatorName: senderName || 'Simulated Sender',
+    bankName: senderBank || 'Simulated Bank',
+    narration: narration || 'Simulated transfer'
+  };
+}
+
+const SYNTHETIC_EVENTS = {
+  rubies_credit: params => ({ handler: 'rubies', body: syntheticCredit(params) }),
+
+  bellbank_credit: params => ({
+    handler: 'bellbank',
+    body: { type: 'virtual_account.credit', data: syntheticCredit(params) }
+  }),
+
+  rubies_transfer: ({ reference, status, reason }) => ({
+    handler: 'rubies',
+    body: status === 'failed'
+      ? { responseCode: '33', responseMessage: reason || 'Simulated failure', drCr: 'DR', reference }
+      : { responseCode: '00', responseMessage: 'Approved', drCr: 'DR', reference }
+  }),
+
+  bellbank_transfer: ({ reference, status, amount, reason }) => ({
+    handler: 'bellbank',
+    body: status === 'failed'
+      ? { type: 'transfer.failed', data: { reference, amount, reason: reason || 'Simulated failure' } }
+      : { type: 'transfer.completed', data: { reference, amount, status: 'successful' } }
+  }),
+
+  bilal_callback: ({ reference, status, reason }) => ({
+    handler: 'bilal',
+    body: {
+      status: status === 'failed' ? 'fail' : 'success',
+      'request-id': reference,
+      response: status === 'failed' ? (reason || 'Simulated failure') : 'Simulated success'
+    }
+  })
+};
+
+function summarise(event) {
+  return {
+    id: event.id,
+    source: event.source,
+    eventType: event.eventType,
+    eventId: event.eventId,
+    status: event.status,
+    attempts: event.attempts,
+    processed: event.processed,
+    createdAt: event.createdAt
+  };
+}
+
+class WebhookReplayService {
+  getSyntheticTypes() {
+    return Object.keys(SYNTHETIC_EVENTS);
+  }
+
+  async plan(handlerName, body) {
+    webhookQueue.getHandler(handlerName);
+    return PLANNERS[handlerName](body || {});
+  }
+
+  /**
+   * Re-run a stored webhook through its provider handler. A dry run only
+   * returns the plan; a real run also executes it and records the replay
+   * on the event.
+   */
+  async replay(id, { dryRun = true, adminId = null } = {}) {
+    const event = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('webhookLogs', id));
+    if (!event) {
+      throw replayError('Webhook event not found', 404);
+    }
+    if (event.source === 'whatsapp') {
+      throw replayError('WhatsApp messages are not provider callbacks and cannot be replayed', 400);
+    }
+
+    const handlerName = webhookQueue.handlerNameFor(event);
+    const body = event.payload?.body || {};
+    const plan = await this.plan(handlerName, body);
+
+    if (dryRun) {
+      return { dryRun: true, handler: handlerName, event: summarise(event), plan };
+    }
+
+    if (event.status === 'processing') {
+      throw replayError('Webhook event is being processed by the queue right now', 409);
+    }
+
+    // Keep the queue consumer off the event while it runs here
+    const claimed = event.status
+      ? await this.setStatus(event, 'processing', { lockedAt: new Date().toISOString() })
+      : event;
+    if (!claimed) {
+      throw replayError('Webhook event changed while starting the replay; try again', 409);
+    }
+
+    const startedAt = new Date().toISOString();
+    let error = null;
+    try {
+      await webhookQueue.run(handlerName, body);
+    } catch (runError) {
+      error = runError;
+    }
+
+    const replays = [...(event.metadata?.replays || []), {
+      adminId,
+      at: startedAt,
+      inline: true,
+      outcome: error ? 'failed' : 'processed',
+      error: error ? error.message : null
+    }];
+
+    const changes = error
+      ? { status: event.status || null, lockedAt: null, metadata: { ...(event.metadata || {}), replays } }
+      : {
+        ...(event.status ? { status: 'processed', nextAttemptAt: null, lockedAt: null, errorMessage: null } : {}),
+        processed: true,
+        processedAt: new Date().toISOString(),
+        metadata: { ...(event.metadata || {}), replays }
+      };
+    const updated = await databaseService.executeWithRetry(() => supabaseHelper.update('webhookLogs', changes, { id }));
+
+    // A queued event whose replay failed goes back to waiting for the consumer
+    if (error && PENDING_STATUSES.includes(event.status)) {
+      await webhookQueue.enqueue(id, Date.parse(event.nextAttemptAt) || Date.now());
+    }
+
+    logger.info('Webhook event replayed', { id, handler: handlerName, adminId, outcome: error ? 'failed' : 'processed', error: error?.message });
+
+    return {
+      dryRun: false,
+      handler: handlerName,
+      event: summarise(updated || event),
+      plan,
+      outcome: error ? 'failed' : 'processed',
+      error: error ? error.message : null
+    };
+  }
+
+  async setStatus(event, status, extra = {}) {
+    return databaseService.executeWithRetry(async () => {
+      const { data, error } = await supabase
+        .from('webhookLogs')
+        .update({ status, ...extra, updatedAt: new Date().toISOString() })
+        .eq('id', event.id)
+        .eq('status', event.status)
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  /**
+   * Build a synthetic provider event and plan it, or for a real run store
+   * it in webhookLogs and process it like a delivered callback.
+   */
+  async simulate(type, params = {}, { dryRun = true, adminId = null } = {}) {
+    const build = SYNTHETIC_EVENTS[type];
+    if (!build) {
+      throw replayError(`Unknown synthetic event type: ${type}`, 400);
+    }
+    if (!dryRun && !config.getWebhookQueueConfig().allowSyntheticEvents) {
+      throw replayError('Synthetic events can only be dry-run in production', 403);
+    }
+
+    const { handler, body } = build({ ...params, sessionId: params.sessionId || syntheticId() });
+    const plan = await this.plan(handler, body);
+
+    if (dryRun) {
+      return { dryRun: true, type, handler, body, plan };
+    }
+
+    const { duplicate, event } = await webhookQueue.persist(handler, body, {
+      headers: { 'x-miimii-synthetic': 'true' },
+      metadata: { synthetic: true, type, adminId }
+    });
+    if (duplicate) {
+      throw replayError(`This event was already delivered as webhook ${event?.id}`, 409);
+    }
+
+    // The consumer may have picked the row up first; then it is simply queued
+    const claimed = await webhookQueue.claim(event.id);
+    const outcome = claimed ? await webhookQueue.processEvent(claimed) : 'queued';
+    const stored = await databaseService.executeWithRetry(() => supabaseHelper.findByPk('webhookLogs', event.id));
+
+    logger.info('Synthetic webhook event processed', { id: event.id, type, handler, adminId, outcome });
+
+    return {
+      dryRun: false,
+      type,
+      handler,
+      body,
+      plan,
+      outcome,
+      error: stored?.errorMessage || null,
+      event: summarise(stored || event)
+    };
+  }
+}
+
+module.exports = new WebhookReplayService();
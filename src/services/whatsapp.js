@@ -344,94 +344,66 @@ class WhatsAppService {
   }
 
   /**
-   * Send welcome flow message for new users
+   * Build the welcome flow for a new user. Callers send it through
+   * messaging.sendFlowMessage so the turn's channel decides how it goes out.
    * @param {string} to - Phone number
    * @param {string} userName - User's WhatsApp profile name
-   * @param {string} messageId - Message ID for typing indicator
-   * @returns {Promise<Object>} - Response from WhatsApp API
+   * @returns {Promise<Object>} - Flow data for sendFlowMessage
    */
-  async sendWelcomeFlowMessage(to, userName = null, messageId = null) {
-    try {
-      // Start typing indicator if messageId is provided
-      if (messageId) {
-        await this.sendTypingIndicator(to, messageId, 3000);
-      }
-
-      // Get user's profile name if not provided
-      if (!userName) {
-        const profile = await this.getContactProfile(to);
-        userName = profile.name || 'there';
-      }
+  async buildWelcomeFlow(to, userName = null) {
+    // Get user's profile name if not provided
+    if (!userName) {
+      const profile = await this.getContactProfile(to);
+      userName = profile.name || 'there';
+    }
 
-      // Get AI-generated personalized welcome message
-      const aiAssistant = require('./aiAssistant');
-      const personalizedMessage = await aiAssistant.generatePersonalizedWelcome(userName, to);
+    // Get AI-generated personalized welcome message
+    const aiAssistant = require('./aiAssistant');
+    const personalizedMessage = await aiAssistant.generatePersonalizedWelcome(userName, to);
 
-      // Generate a secure flow token and persist mapping for this session
-      const whatsappFlowService = require('./whatsappFlowService');
-      const userService = require('./user');
-      const user = await userService.getUserByWhatsappNumber(to);
-      const flowToken = whatsappFlowService.generateFlowToken(user?.id || to);
-      // Store mapping with feature isolation for 30 minutes
-      try {
-        await sessionManager.setSession('onboarding', flowToken, {
-          userId: user?.id || null,
-          phoneNumber: user?.whatsappNumber || to
-        }, 1800, 'flow');
-      } catch (_) {}
-
-      // Send the welcome flow message
-      const flowData = {
-        // Prefer dynamic flow_json if available in future; for now allow ID fallback via config
-        flowId: (require('../config').getWhatsappConfig().welcomeFlowId) || undefined,
-        flowToken,
-        flowCta: 'Start Setup',
-        header: {
-          type: 'text',
-          text: `Welcome ${userName}! 👋`
-        },
-        body: personalizedMessage,
-        footer: 'Your data is secure and encrypted 🔒',
-        flowAction: 'navigate',
-        flowActionPayload: {
-          screen: 'QUESTION_ONE',
-          data: {
-            userName: userName,
-            phoneNumber: user?.whatsappNumber || to,
-            userId: user?.id || null
-          }
+    // Generate a secure flow token and persist mapping for this session
+    const whatsappFlowService = require('./whatsappFlowService');
+    const userService = require('./user');
+    const user = await userService.getUserByWhatsappNumber(to);
+    const flowToken = whatsappFlowService.generateFlowToken(user?.id || to);
+    // Store mapping with feature isolation for 30 minutes
+    try {
+      await sessionManager.setSession('onboarding', flowToken, {
+        userId: user?.id || null,
+        phoneNumber: user?.whatsappNumber || to
+      }, 1800, 'flow');
+    } catch (_) {}
+
+    const flowData = {
+      // Prefer dynamic flow_json if available in future; for now allow ID fallback via config
+      flowId: (require('../config').getWhatsappConfig().welcomeFlowId) || undefined,
+      flowToken,
+      flowCta: 'Start Setup',
+      header: {
+        type: 'text',
+        text: `Welcome ${userName}! 👋`
+      },
+      body: personalizedMessage,
+      footer: 'Your data is secure and encrypted 🔒',
+      flowAction: 'navigate',
+      flowActionPayload: {
+        screen: 'QUESTION_ONE',
+        data: {
+          userName: userName,
+          phoneNumber: user?.whatsappNumber || to,
+          userId: user?.id || null
         }
-      };
-
-      logger.info('Sending welcome flow message', {
-        to,
-        userName,
-        flowId: flowData.flowId,
-        messageId,
-        service: 'whatsapp-service'
-      });
-
-      const response = await this.sendFlowMessage(to, flowData);
-
-      logger.info('Welcome flow message sent successfully', {
-        to,
-        userName,
-        messageId: response.messages?.[0]?.id,
-        service: 'whatsapp-service'
-      });
+      }
+    };
 
-      return response;
+    logger.info('Built welcome flow message', {
+      to,
+      userName,
+      flowId: flowData.flowId,
+      service: 'whatsapp-service'
+    });
 
-    } catch (error) {
-      logger.error('Failed to send welcome flow message', {
-        error: error.response?.data || error.message,
-        to,
-        userName,
-        messageId,
-        service: 'whatsapp-service'
-      });
-      throw error;
-    }
+    return flowData;
   }
 
   // Template Flow Message Method
@@ -2119,34 +2091,26 @@ To get started, please complete your KYC by saying "Start KYC" or send your ID d
    }
 
    /**
-    * Send data purchase flow
-    * @param {string} phoneNumber - The recipient phone number
+    * Build the data purchase flow; send it with messaging.sendFlowMessage
     * @param {Object} userData - User data for flow token generation
-    * @returns {Promise<Object>} - Response from WhatsApp API
+    * @returns {Object} - Flow data for sendFlowMessage
     */
-   async sendDataPurchaseFlow(phoneNumber, userData = {}) {
-     try {
-       const flowService = require('./whatsappFlowService');
-       
-       const flowData = {
-         flowToken: flowService.generateFlowToken(userData.id),
-         flowId: config.getWhatsappConfig().dataPurchaseFlowId,
-         flowCta: 'Buy Data',
-         initialScreen: 'NETWORK_SELECTION_SCREEN',
-         header: {
-           type: 'text',
-           text: '📶 Buy Data'
-         },
-         body: 'Purchase data bundles for yourself or gift to friends and family. Select network, phone number, and plan.',
-         footer: 'Secure payment via your MiiMii wallet',
-         // No flowActionPayload needed for data purchase flow - data will be collected through the flow
-       };
+   buildDataPurchaseFlow(userData = {}) {
+     const flowService = require('./whatsappFlowService');
 
-       return await this.sendFlowMessage(phoneNumber, flowData);
-     } catch (error) {
-       logger.error('Failed to send data purchase flow', { error: error.message, phoneNumber });
-       throw error;
-     }
+     return {
+       flowToken: flowService.generateFlowToken(userData.id),
+       flowId: config.getWhatsappConfig().dataPurchaseFlowId,
+       flowCta: 'Buy Data',
+       initialScreen: 'NETWORK_SELECTION_SCREEN',
+       header: {
+         type: 'text',
+         text: '📶 Buy Data'
+       },
+       body: 'Purchase data bundles for yourself or gift to friends and family. Select network, phone number, and plan.',
+       footer: 'Secure payment via your MiiMii wallet',
+       // No flowActionPayload needed for data purchase flow - data will be collected through the flow
+     };
    }
 
    /**
@@ -4,7 +4,7 @@ const config = require('../config');
 const { axiosConfig } = require('../utils/httpsAgent');
 const crypto = require('crypto');
 const userService = require('./user');
-const whatsappService = require('./whatsapp');
+const messaging = require('./messaging');
 
 /**
  * WhatsApp Flow Service
@@ -219,13 +219,13 @@ class WhatsAppFlowService {
       });
 
       if (!flowData.pin || !/^\d{4}$/.test(flowData.pin)) {
-        await whatsappService.sendTextMessage(phoneNumber, 'Please enter exactly 4 digits for your PIN.');
+        await messaging.sendTextMessage(phoneNumber, 'Please enter exactly 4 digits for your PIN.');
         return { success: false, error: 'Invalid PIN format', requiresRetry: true };
       }
 
       const user = await userService.getUserByWhatsappNumber(phoneNumber);
       if (!user) {
-        await whatsappService.sendTextMessage(phoneNumber, 'User not found. Please complete onboarding first.');
+        await messaging.sendTextMessage(phoneNumber, 'User not found. Please complete onboarding first.');
         return { success: false, error: 'User not found', requiresOnboarding: true };
       }
 
@@ -238,7 +238,7 @@ class WhatsAppFlowService {
           const isValid = await userService.validateUserPin(user.id, flowData.pin);
           
           if (isValid) {
-            await whatsappService.sendTextMessage(
+            await messaging.sendTextMessage(
               phoneNumber,
               `✅ Login Successful!\n\nWelcome back, ${user.firstName || 'there'}!`
             );
@@ -246,13 +246,13 @@ class WhatsAppFlowService {
             return { success: true, userId: user.id, message: 'Login successful' };
           }
         } catch (pinError) {
-          await whatsappService.sendTextMessage(phoneNumber, pinError.message || 'Invalid PIN. Please try again.');
+          await messaging.sendTextMessage(phoneNumber, pinError.message || 'Invalid PIN. Please try again.');
           return { success: false, error: pinError.message, requiresRetry: true };
         }
       } else {
         // PIN is disabled - allow login without PIN validation
         logger.info('PIN validation skipped - PIN is disabled for login flow', { userId: user.id });
-        await whatsappService.sendTextMessage(
+        await messaging.sendTextMessage(
           phoneNumber,
           `✅ Login Successful!\n\nWelcome back, ${user.firstName || 'there'}! (PIN disabled)`
         );
@@ -276,7 +276,6 @@ class WhatsAppFlowService {
       if (result?.success && result?.userId) {
         try {
           const walletService = require('./wallet');
-          const whatsappService = require('./whatsapp');
           
           const wallet = await walletService.getUserWallet(result.userId);
           if (!wallet.virtualAccountNumber) {
@@ -303,7 +302,7 @@ class WhatsAppFlowService {
                       `You can still use all other features of MiiMii. We'll notify you once your virtual account is ready.\n\n` +
                       `Thank you for your patience! 🙏`;
                     
-                    await whatsappService.sendTextMessage(user.whatsappNumber, fallbackMessage);
+                    await messaging.sendTextMessage(user.whatsappNumber, fallbackMessage);
                     
                     logger.info('Sent fallback message for BellBank API issue', { userId: result.userId });
                   }
@@ -494,7 +493,7 @@ class WhatsAppFlowService {
                               `📅 Date: ${new Date().toLocaleString('en-GB')}\n\n` +
                               `Your data has been purchased successfully! 🎉`;
         
-        await whatsappService.sendTextMessage(phoneNumber, successMessage);
+        await messaging.sendTextMessage(phoneNumber, successMessage);
         
         return { success: true, userId: user.id };
       } else {
@@ -506,7 +505,7 @@ class WhatsAppFlowService {
         
         // Send error message
         const errorMessage = `❌ Data purchase failed: ${result.message || 'Unknown error'}\n\nPlease try again or contact support.`;
-        await whatsappService.sendTextMessage(phoneNumber, errorMessage);
+        await messaging.sendTextMessage(phoneNumber, errorMessage);
         
         return { success: false, error: result.message || 'Data purchase failed' };
       }
@@ -516,7 +515,7 @@ class WhatsAppFlowService {
       
       // Send error message
       const errorMessage = `❌ Data purchase processing failed. Please try again or contact support.`;
-      await whatsappService.sendTextMessage(phoneNumber, errorMessage);
+      await messaging.sendTextMessage(phoneNumber, errorMessage);
       
       return { success: false, error: 'Data purchase failed. Please try again.' };
     }
@@ -0,0 +1,384 @@
+/**
+ * Fake Bilal, Rubies, BellBank and AI for the conversation simulator
+ *
+ * The fakes sit where each service meets the network (Rubies' makeRequest,
+ * BellBank's makeRequestWithRetry and token, Bilal's makeRequest and
+ * token), so wallet holds, fees, transaction records and receipts still
+ * run for real. Every call is recorded on the fake's `calls`, and any
+ * endpoint can be scripted for one scenario:
+ *
+ *   sim.providers.rubies.respond('/baas-transaction/fund-transfer', () => ({
+ *     responseCode: '51', responseMessage: 'Insufficient funds'
+ *   }));
+ *
+ * Endpoints with no default and no scripted response throw, so a scenario
+ * never silently reaches a provider the harness does not know about.
+ */
+
+const SIMULATED_BANKS = [
+  { code: '000014', name: 'Access Bank' },
+  { code: '000004', name: 'United Bank for Africa' },
+  { code: '000013', name: 'GTBank' },
+  { code: '000015', name: 'Zenith Bank' },
+  { code: '000016', name: 'First Bank of Nigeria' },
+  { code: '000010', name: 'Ecobank' },
+  { code: '100004', name: 'OPay' },
+  { code: '100033', name: 'PalmPay' },
+  { code: '090267', name: 'Kuda Microfinance Bank' },
+  { code: '090405', name: 'Moniepoint Microfinance Bank' },
+  { code: '090175', name: 'Rubies MFB' }
+];
+
+function bankName(code) {
+  return SIMULATED_BANKS.find(bank => bank.code === String(code))?.name || 'Simulated Bank';
+}
+
+class FakeProvider {
+  constructor(name, defaults) {
+    this.name = name;
+    this.defaults = defaults;
+    this.scripted = [];
+    this.calls = [];
+    this.accounts = new Map();
+    this.originals = [];
+  }
+
+  /**
+   * Script the response for an endpoint (string or RegExp). The handler
+   * gets the request payload and may return a response or throw; with
+   * `{ times: 1 }` it applies once and the default takes over again.
+   */
+  respond(endpoint, handler, { times = Infinity } = {}) {
+    this.scripted.unshift({
+      endpoint,
+      handler: typeof handler === 'function' ? handler : () => handler,
+      remaining: times
+    });
+    return this;
+  }
+
+  // Name enquiries for this account number return this name
+  addAccount(accountNumber, accountName, details = {}) {
+    this.accounts.set(String(accountNumber), { accountName, ...details });
+    return this;
+  }
+
+  callsTo(endpoint) {
+    return this.calls.filter(call => endpointMatches(endpoint, call.endpoint));
+  }
+
+  async request(method, endpoint, payload) {
+    const call = { method, endpoint, payload, at: new Date().toISOString() };
+    this.calls.push(call);
+
+    const scripted = this.scripted.find(entry => entry.remaining > 0 && endpointMatches(entry.endpoint, endpoint));
+    if (scripted) {
+      scripted.remaining--;
+      call.response = await scripted.handler(payload, call);
+      return call.response;
+    }
+
+    const fallback = Object.entries(this.defaults).find(([key]) => endpointMatches(key, endpoint));
+    if (!fallback) {
+      throw new Error(`No simulated ${this.name} response for ${method} ${endpoint}; script one with respond()`);
+    }
+
+    call.response = await fallback[1].call(this, payload, call);
+    return call.response;
+  }
+
+  // Replace methods on the real service singleton, remembering the originals
+  patch(target, methods) {
+    for (const [name, implementation] of Object.entries(methods)) {
+      this.originals.push([target, name, target[name]]);
+      target[name] = implementation;
+    }
+  }
+
+  reset() {
+    this.scripted = [];
+    this.calls = [];
+    this.accounts.clear();
+  }
+
+  restore() {
+    for (const [target, name, original] of this.originals.reverse()) {
+      target[name] = original;
+    }
+    this.originals = [];
+  }
+}
+
+function endpointMatches(pattern, endpoint) {
+  if (pattern instanceof RegExp) return pattern.test(endpoint);
+  return String(pattern).toLowerCase() === String(endpoint).toLowerCase();
+}
+
+function createRubiesFake({ database }) {
+  const walletFor = (accountNumber) =>
+    database.rows('wallets').find(wallet => wallet.virtualAccountNumber === String(accountNumber)) || null;
+
+  // Rubies holds the wallet's money, so its balance is the local one unless scripted
+  const walletDetails = (payload) => {
+    const wallet = walletFor(payload.accountNumber);
+    if (!wallet) {
+      return { responseCode: '25', responseMessage: 'Account not found' };
+    }
+    return {
+      responseCode: '00',
+      responseMessage: 'Successful',
+      accountId: wallet.id,
+      accountNumber: wallet.virtualAccountNumber,
+      accountName: wallet.virtualAccountName || 'MiiMii User',
+      accountCurrency: 'NGN',
+      accountBalance: parseFloat(wallet.balance || 0),
+      accountLedgerBalance: parseFloat(wallet.ledgerBalance || wallet.balance || 0),
+      accountStatus: 'ACTIVE'
+    };
+  };
+
+  const fake = new FakeProvider('Rubies', {
+    '/baas-transaction/bank-list': () => ({ responseCode: '00', responseMessage: 'Successful', data: SIMULATED_BANKS }),
+    '/baas-transaction/name-enquiry': function (payload) {
+      const known = this.accounts.get(String(payload.accountNumber));
+      return {
+        responseCode: '00',
+        responseMessage: 'Successful',
+        accountName: known?.accountName || 'SIMULATED RECIPIENT',
+        accountNumber: payload.accountNumber,
+        bankCode: payload.accountBankCode,
+        bankName: known?.bankName || bankName(payload.accountBankCode)
+      };
+    },
+    '/baas-transaction/fund-transfer': (payload) => ({
+      responseCode: '00',
+      responseMessage: 'Transfer successful',
+      reference: payload.reference,
+      sessionId: `SIM${Date.now()}`
+    }),
+    '/baas-transaction/tsq': (payload) => ({
+      responseCode: '00',
+      responseMessage: 'Successful',
+      data: { reference: payload.reference, transactionStatus: 'SUCCESSFUL' }
+    }),
+    '/baas-wallet/retrieve-wallet-details': walletDetails,
+    '/baas-wallet/wallet-balance-enquiry': walletDetails
+  });
+
+  fake.install = () => {
+    const rubiesService = require('../services/rubies');
+    fake.patch(rubiesService, {
+      makeRequest: (method, endpoint, data) => fake.request(method, endpoint, data)
+    });
+  };
+
+  return fake;
+}
+
+function createBellBankFake() {
+  const fake = new FakeProvider('BellBank', {
+    '/v1/transfer/banks': () => ({
+      success: true,
+      data: SIMULATED_BANKS.map(bank => ({ institutionCode: bank.code, institutionName: bank.name }))
+    }),
+    '/v1/transfer/name-enquiry': function (payload) {
+      const known = this.accounts.get(String(payload.accountNumber));
+      return {
+        success: true,
+        data: {
+          accountName: known?.accountName || 'SIMULATED RECIPIENT',
+          accountNumber: payload.accountNumber,
+          bankCode: payload.bankCode,
+          bankName: known?.bankName || bankName(payload.bankCode),
+          sessionId: `SIM${Date.now()}`
+        }
+      };
+    },
+    '/v1/transfer': (payload) => ({
+      success: true,
+      message: 'Transfer initiated',
+      data: { reference: payload.reference, status: 'pending', amount: payload.amount }
+    }),
+    '/v1/transfer/requery': (payload) => ({
+      success: true,
+      data: { reference: payload.reference, status: 'successful', completedAt: new Date().toISOString() }
+    })
+  });
+
+  fake.install = () => {
+    const bellbankService = require('../services/bellbank');
+    fake.patch(bellbankService, {
+      generateToken: async () => 'simulated-bellbank-token',
+      makeRequestWithRetry: (method, endpoint, data) => fake.request(method, endpoint, data)
+    });
+  };
+
+  return fake;
+}
+
+function createBilalFake({ database }) {
+  // Bilal echoes the price of the plan it delivered; the request only names
+  // the plan, so look it up the way it was offered to the user
+  const planPrice = (fake, planId) => {
+    if (fake.lastDataPlan && String(fake.lastDataPlan.id) === String(planId) && fake.lastDataPlan.price) {
+      return parseFloat(fake.lastDataPlan.price);
+    }
+    const plan = database.rows('dataPlans').find(row =>
+      String(row.providerPlanId) === String(planId) || String(row.id) === String(planId)
+    );
+    return plan ? parseFloat(plan.price) : null;
+  };
+
+  const fake = new FakeProvider('Bilal', {
+    '': (payload) => ({
+      status: 'success',
+      network: payload.network,
+      phone_number: payload.phone,
+      amount: payload.amount,
+      'request-id': payload['request-id'],
+      message: 'Airtime topup successful'
+    }),
+    '/data/': function (payload) {
+      return {
+        status: 'success',
+        network: payload.network,
+        phone_number: payload.phone,
+        dataplan: payload.data_plan,
+        amount: planPrice(this, payload.data_plan),
+        'request-id': payload['request-id'],
+        message: 'Data purchase successful'
+      };
+    },
+    '/bill/': (payload) => ({
+      status: 'success',
+      disco_name: payload.disco,
+      meter_type: payload.meter_type,
+      meter_number: payload.meter_number,
+      amount: payload.amount,
+      charges: 0,
+      token: '1234-5678-9012-3456-7890',
+      'request-id': payload['request-id']
+    })
+  });
+
+  fake.balance = 1000000;
+
+  fake.install = () => {
+    const bilalService = require('../services/bilal');
+    const purchaseData = bilalService.purchaseData;
+    fake.patch(bilalService, {
+      generateToken: async () => ({ token: 'simulated-bilal-token', balance: fake.balance, username: 'simulator' }),
+      makeRequest: (method, endpoint, data) => fake.request(method, endpoint, data),
+      purchaseData: function (user, dataData, ...rest) {
+        fake.lastDataPlan = dataData?.dataPlan || null;
+        return purchaseData.call(this, user, dataData, ...rest);
+      }
+    });
+  };
+
+  return fake;
+}
+
+/**
+ * Scripted intent analysis. The AI key is unset inside the simulator, so
+ * unscripted messages go through the assistant's offline fallback exactly
+ * as they do when OpenAI is unreachable; `intent()` pins the analysis for
+ * messages that need the model's judgement.
+ */
+function createAiFake() {
+  const fake = new FakeProvider('AI', {});
+  fake.intents = [];
+  fake.transcripts = new Map();
+  fake.images = new Map();
+
+  fake.intent = (pattern, analysis) => {
+    fake.intents.unshift({ pattern, analysis });
+    return fake;
+  };
+
+  const matchIntent = (message) => fake.intents.find(({ pattern }) =>
+    pattern instanceof RegExp ? pattern.test(message) : String(pattern).toLowerCase() === String(message).trim().toLowerCase()
+  );
+
+  fake.install = () => {
+    const aiAssistant = require('../services/aiAssistant');
+    const transcriptionService = require('../services/transcription');
+    const imageProcessingService = require('../services/imageProcessing');
+    const analyzeUserIntent = aiAssistant.analyzeUserIntent;
+
+    fake.patch(aiAssistant, {
+      analyzeUserIntent: async function (message, user, extractedData = null) {
+        fake.calls.push({ method: 'analyzeUserIntent', endpoint: 'intent', payload: { message } });
+        const scripted = matchIntent(message);
+        if (!scripted) {
+          return analyzeUserIntent.call(this, message, user, extractedData);
+        }
+        const analysis = typeof scripted.analysis === 'function' ? scripted.analysis(message, user) : scripted.analysis;
+        return { confidence: 0.95, extractedData: {}, ...analysis };
+      }
+    });
+
+    // Voice notes and images carry their content in the fake media id
+    fake.patch(transcriptionService, {
+      transcribeAudio: async (audio) => {
+        const mediaId = Buffer.isBuffer(audio) ? audio.toString() : String(audio);
+        fake.calls.push({ method: 'transcribeAudio', endpoint: 'transcription', payload: { mediaId } });
+        const transcript = fake.transcripts.get(mediaId);
+        return transcript ? { text: transcript } : { text: '' };
+      }
+    });
+
+    fake.patch(imageProcessingService, {
+      downloadImage: async (mediaId) => Buffer.from(String(mediaId)),
+      preprocessImage: async (buffer) => buffer,
+      extractTextFromImage: async (buffer) => {
+        const mediaId = buffer.toString();
+        fake.calls.push({ method: 'extractTextFromImage', endpoint: 'ocr', payload: { mediaId } });
+        return { text: fake.images.get(mediaId) || '', confidence: 95 };
+      },
+      // The model's reading of the OCR text; the service's own rule-based parser stands in
+      extractBankDetailsFromText: async function (text) {
+        fake.calls.push({ method: 'extractBankDetailsFromText', endpoint: 'bank-details', payload: { text } });
+        return { ...this.fallbackBankDetailsExtraction(text), confidence: 0.9 };
+      }
+    });
+  };
+
+  const reset = fake.reset.bind(fake);
+  fake.reset = () => {
+    reset();
+    fake.intents = [];
+    fake.transcripts.clear();
+    fake.images.clear();
+  };
+
+  return fake;
+}
+
+function createFakeProviders({ database }) {
+  const providers = {
+    rubies: createRubiesFake({ database }),
+    bellbank: createBellBankFake(),
+    bilal: createBilalFake({ database }),
+    ai: createAiFake()
+  };
+
+  return {
+    ...providers,
+    install() {
+      Object.values(providers).forEach(provider => provider.install());
+    },
+    reset() {
+      Object.values(providers).forEach(provider => provider.reset());
+    },
+    restore() {
+      Object.values(providers).forEach(provider => provider.restore());
+    }
+  };
+}
+
+module.exports = {
+  FakeProvider,
+  createFakeProviders,
+  SIMULATED_BANKS
+};
@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const { MemorySupabase } = require('./memorySupabase');
+const { createFakeProviders } = require('./fakeProviders');
+
+/**
+ * Conversation simulator
+ *
+ * Runs the WhatsApp bot offline: inbound messages are built as real Meta
+ * webhook payloads and go through whatsappService.parseWebhookMessage and
+ * messageProcessor exactly as the webhook route sends them, against an
+ * in-memory database, with Bilal, Rubies, BellBank and the AI faked at
+ * their network edge and every outbound WhatsApp message recorded instead
+ * of sent. Nothing leaves the process: any HTTP request the fakes do not
+ * cover fails and is listed in `blockedRequests`.
+ *
+ * Create the simulator before anything requires a service; it swaps the
+ * database client and environment the services read when they load. The
+ * scenario tests in test/scenarios are written this way:
+ *
+ *   const { createSimulator } = require('../../src/simulator');
+ *   const sim = createSimulator();
+ *
+ *   beforeEach(() => sim.reset());
+ *   afterAll(() => sim.close());
+ *
+ *   test('buys 500MB MTN with PIN confirmation', async () => {
+ *     sim.seed('dataPlans', [{ network: 'MTN', type: 'SME', name: '500MB', dataSize: '500MB', dataSizeMB: 500, price: 350, validityDays: 30, providerPlanId: '1' }]);
+ *     sim.providers.ai.intent(/500MB/i, { intent: 'data' });
+ *     const ada = await sim.seedUser({ phone: '2348031234567', firstName: 'Ada', pin: '1234', balance: 5000 });
+ *     const chat = sim.chat(ada.whatsappNumber);
+ *
+ *     await chat.send('buy 500MB MTN for 08031234567');
+ *     await chat.choose('network_MTN');
+ *     await chat.send('1');
+ *     await chat.send('08031234567');
+ *     await chat.send('YES');
+ *     const { replies } = await chat.submitFlow({ pin: '1234' });
+ *
+ *     expect(replies[replies.length - 1].text).toMatch(/successful/i);
+ *     expect(sim.wallet(ada.id).balance).toBe(4650);
+ *   });
+ */
+
+const SIMULATED_ENV_UNSET = ['AI_API_KEY', 'REDIS_URL'];
+// Google's client libraries probe the GCP metadata server outside axios;
+// unscripted intents come from the offline classifier, never a model.
+// Provider credentials are set so services take their real paths (into the
+// fakes) instead of the mock responses they give when unconfigured.
+const SIMULATED_ENV = {
+  METADATA_SERVER_DETECTION: 'none',
+  AI_PROVIDER: 'local',
+  RUBIES_API_KEY: 'simulated-rubies-key',
+  PROVIDER_USERNAME: 'simulator',
+  PROVIDER_PASSWORD: 'simulator'
+};
+
+let activeSimulator = null;
+
+// +2348012345678, 2348012345678 and 08012345678 are the same chat
+function chatKey(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+// The Graph API payload whatsappService would have sent, as a readable reply
+function fromGraphMessage(type, message) {
+  if (type === 'text') {
+    return { type: 'text', text: message };
+  }
+
+  if (type === 'interactive') {
+    const body = message.body?.text || null;
+    switch (message.type) {
+      case 'button':
+        return {
+          type: 'buttons',
+          text: body,
+          buttons: (message.action?.buttons || []).map(button => ({ id: button.reply.id, title: button.reply.title }))
+        };
+      case 'list':
+        return { type: 'list', text: body, buttonText: message.action?.button, sections: message.action?.sections || [] };
+      case 'flow':
+        return {
+          type: 'flow',
+          text: body,
+          flowToken: message.action?.parameters?.flow_token,
+          flowId: message.action?.parameters?.flow_id || null,
+          flowCta: message.action?.parameters?.flow_cta,
+          flowActionPayload: message.action?.parameters?.flow_action_payload || null
+        };
+      default:
+        return { type: 'interactive', text: body, interactive: message };
+    }
+  }
+
+  if (type === 'template') {
+    return { type: 'template', text: null, template: message.name, components: message.components || [] };
+  }
+
+  const media = message?.[type] || {};
+  return { type: 'media', mediaType: type, text: media.caption || null, link: media.link || null };
+}
+
+class SimulatedChat {
+  constructor(simulator, phone, { name = 'Simulated User' } = {}) {
+    this.simulator = simulator;
+    this.phone = String(phone).replace(/\D/g, '');
+    this.name = name;
+  }
+
+  get replies() {
+    return this.simulator.repliesTo(this.phone);
+  }
+
+  lastReply() {
+    const replies = this.replies;
+    return replies[replies.length - 1] || null;
+  }
+
+  lastReplyOfType(type) {
+    return [...this.replies].reverse().find(reply => reply.type === type) || null;
+  }
+
+  send(text) {
+    return this.deliver({ type: 'text', text: { body: text } });
+  }
+
+  // Button title defaults to the one on the last button message offering this id
+  press(buttonId, title = null) {
+    const offered = [...this.replies].reverse()
+      .flatMap(reply => reply.buttons || [])
+      .find(button => button.id === buttonId);
+
+    return this.deliver({
+      type: 'interactive',
+      interactive: {
+        type: 'button_reply',
+        button_reply: { id: buttonId, title: title || offered?.title || buttonId }
+      }
+    });
+  }
+
+  choose(rowId, title = null) {
+    const offered = [...this.replies].reverse()
+      .flatMap(reply => (reply.sections || []).flatMap(section => section.rows || []))
+      .find(row => row.id === rowId);
+
+    return this.deliver({
+      type: 'interactive',
+      interactive: {
+        type: 'list_reply',
+        list_reply: { id: rowId, title: title || offered?.title || rowId, description: offered?.description }
+      }
+    });
+  }
+
+  /**
+   * What the WhatsApp client posts to /api/flow/endpoint when a screen with
+   * an endpoint action is submitted (a PIN screen, say): the data the flow was
+   * opened with plus what the user typed. Resolves to the endpoint's answer
+   * (`{}` closes the flow) and the messages sent meanwhile.
+   */
+  submitFlow(data = {}, { action = 'data_exchange', screen = null, flowToken = null } = {}) {
+    const flow = this.lastReplyOfType('flow');
+    const payload = flow?.flowActionPayload || {};
+    return this.simulator.flowRequest({
+      action,
+      screen: screen || payload.screen || null,
+      data: { ...(payload.data || {}), ...data },
+      flow_token: flowToken || flow?.flowToken || null
+    });
+  }
+
+  // Submit a WhatsApp Flow; the token defaults to the last flow sent to this chat
+  completeFlow(data = {}, { flowToken = null, name = 'flow', body = 'Sent' } = {}) {
+    const token = flowToken || this.lastReplyOfType('flow')?.flowToken || null;
+    return this.deliver({
+      type: 'interactive',
+      interactive: {
+        type: 'nfm_reply',
+        nfm_reply: { name, body, response_json: JSON.stringify({ flow_token: token, ...data }) }
+      }
+    });
+  }
+
+  sendVoice(transcript) {
+    const mediaId = this.simulator.registerMedia('voice', transcript);
+    return this.deliver({ type: 'audio', audio: { id: mediaId, mime_type: 'audio/ogg; codecs=opus' } });
+  }
+
+  // `text` is what OCR reads off the image
+  sendImage(text, { caption = null } = {}) {
+    const mediaId = this.simulator.registerMedia('image', text);
+    return this.deliver({ type: 'image', image: { id: mediaId, mime_type: 'image/jpeg', caption } });
+  }
+
+  deliver(message) {
+    return this.simulator.receive(this.simulator.webhookBody(this.phone, this.name, message));
+  }
+}
+
+class ConversationSimulator {
+  constructor({ verbose = false } = {}) {
+    if (activeSimulator) {
+      throw new Error('A conversation simulator is already running in this process; close it first');
+    }
+
+    this.verbose = verbose;
+    this.database = new MemorySupabase();
+    this.providers = createFakeProviders({ database: this.database });
+    this.outbox = [];
+    this.inbox = [];
+    this.typing = [];
+    this.reads = [];
+    this.blockedRequests = [];
+    this.media = new Map();
+    this.restorers = [];
+    this.sequence = 0;
+
+    this.install();
+    activeSimulator = this;
+  }
+
+  install() {
+    this.installEnvironment();
+    this.installLogger();
+    this.installNetworkGuard();
+    this.installDatabase();
+    this.installWhatsApp();
+    this.providers.install();
+
+    // The DB-backed fallback keeps sessions in the memory database's kvStore
+    require('../utils/redis').connect();
+    require('../services/database').stopHealthMonitoring();
+  }
+
+  installEnvironment() {
+    const saved = {};
+    for (const name of [...SIMULATED_ENV_UNSET, ...Object.keys(SIMULATED_ENV)]) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+    Object.assign(process.env, SIMULATED_ENV);
+    this.restorers.push(() => {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+  }
+
+  installLogger() {
+    if (this.verbose) return;
+    const logger = require('../utils/logger');
+    const transports = logger.transports.filter(transport => !transport.silent);
+    transports.forEach(transport => { transport.silent = true; });
+    this.restorers.push(() => transports.forEach(transport => { transport.silent = false; }));
+  }
+
+  installNetworkGuard() {
+    const axios = require('axios');
+    const adapter = axios.defaults.adapter;
+    axios.defaults.adapter = async (config) => {
+      this.blockedRequests.push({ method: config.method, url: config.url, at: new Date().toISOString() });
+      const error = new Error(`Simulator blocked outbound HTTP ${String(config.method).toUpperCase()} ${config.url}`);
+      error.code = 'ESIMULATED';
+      error.config = config;
+      throw error;
+    };
+    this.restorers.push(() => { axios.defaults.adapter = adapter; });
+  }
+
+  // Services destructure the client when they load, so it is swapped in first
+  installDatabase() {
+    const supabaseConnection = require('../database/supabaseConnection');
+    const connection = require('../database/connection');
+    const { databaseManager } = supabaseConnection;
+
+    const saved = {
+      client: supabaseConnection.supabase,
+      managerClient: databaseManager.supabase,
+      executeWithRetry: databaseManager.executeWithRetry
+    };
+
+    supabaseConnection.supabase = this.database;
+    connection.supabase = this.database;
+    databaseManager.supabase = this.database;
+    databaseManager.isConnected = true;
+    // One attempt: a failing query in a scenario is a finding, not a blip
+    databaseManager.executeWithRetry = (operation) => operation();
+
+    if (require('../services/database').supabase !== this.database) {
+      throw new Error('Services were loaded before the simulator; create it before requiring any service');
+    }
+
+    this.restorers.push(() => {
+      supabaseConnection.supabase = saved.client;
+      connection.supabase = saved.client;
+      databaseManager.supabase = saved.managerClient;
+      databaseManager.executeWithRetry = saved.executeWithRetry;
+    });
+  }
+
+  // Everything the bot sends ends at these methods; record instead of calling Meta
+  installWhatsApp() {
+    const whatsappService = require('../services/whatsapp');
+    const originals = {};
+    const patch = (name, implementation) => {
+      originals[name] = whatsappService[name];
+      whatsappService[name] = implementation;
+    };
+
+    patch('sendMessage', async (to, message, type = 'text') => this.record(to, fromGraphMessage(type, message)));
+    patch('sendImageMessage', async (to, buffer, filename = 'image.png', caption = null) =>
+      this.record(to, { type: 'media', mediaType: 'image', filename, caption, text: caption, size: buffer ? buffer.length : 0 }));
+    patch('sendDocumentMessage', async (to, buffer, filename, contentType, caption = null) =>
+      this.record(to, { type: 'media', mediaType: 'document', filename, contentType, caption, text: caption, size: buffer ? buffer.length : 0 }));
+    patch('sendTemplateFlowMessage', async (to, templateName, flowData) =>
+      this.record(to, { type: 'flow', text: flowData?.body || null, template: templateName, flowToken: flowData?.flowToken || null }));
+    patch('sendTypingIndicator', async (to, messageId = null, duration = 3000) => {
+      this.typing.push({ to, messageId, duration });
+      return { success: true };
+    });
+    patch('stopTypingIndicator', async () => ({ success: true }));
+    patch('markMessageAsRead', async (messageId) => {
+      this.reads.push(messageId);
+    });
+    patch('getContactProfile', async (phoneNumber) => ({ name: this.nameFor(phoneNumber) }));
+    patch('downloadMedia', async (mediaId) => {
+      const media = this.media.get(mediaId);
+      if (!media) {
+        throw new Error(`Unknown simulated media ${mediaId}`);
+      }
+      return { stream: Buffer.from(mediaId), mimeType: media.mimeType, fileSize: media.content.length };
+    });
+
+    this.restorers.push(() => Object.assign(whatsappService, originals));
+  }
+
+  record(to, message) {
+    const id = `wamid.SIM${++this.sequence}`;
+    this.outbox.push({ ...message, id, to, sentAt: new Date().toISOString() });
+    return { messaging_product: 'whatsapp', contacts: [{ wa_id: String(to).replace(/\D/g, '') }], messages: [{ id }] };
+  }
+
+  registerMedia(kind, content) {
+    const mediaId = `sim-${kind}-${++this.sequence}`;
+    this.media.set(mediaId, {
+      kind,
+      content: String(content),
+      mimeType: kind === 'voice' ? 'audio/ogg' : 'image/jpeg'
+    });
+    if (kind === 'voice') this.providers.ai.transcripts.set(mediaId, String(content));
+    if (kind === 'image') this.providers.ai.images.set(mediaId, String(content));
+    return mediaId;
+  }
+
+  nameFor(phone) {
+    const user = this.database.rows('users').find(row => chatKey(row.whatsappNumber) === chatKey(phone));
+    return user?.firstName || 'there';
+  }
+
+  webhookBody(from, name, message) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'SIMULATED_WABA',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '2348000000000', phone_number_id: 'SIMULATED' },
+            contacts: [{ profile: { name }, wa_id: from }],
+            messages: [{
+              from,
+              id: `wamid.IN${++this.sequence}`,
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              ...message
+            }]
+          }
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Handle one webhook body the way routes/webhook.js does, wait for the
+   * turn to finish and return the replies it produced.
+   */
+  async receive(body) {
+    const whatsappService = require('../services/whatsapp');
+    const messageProcessor = require('../services/messageProcessor');
+
+    const parsed = whatsappService.parseWebhookMessage(body);
+    if (!parsed) {
+      throw new Error('Webhook body did not parse as a WhatsApp message');
+    }
+
+    const sentBefore = this.outbox.length;
+    this.inbox.push({ ...parsed, receivedAt: new Date().toISOString() });
+
+    if (parsed.type === 'flow_completion') {
+      await messageProcessor.processFlowCompletion(parsed);
+    } else if (parsed.type === 'message') {
+      await messageProcessor.processIncomingMessage(parsed);
+    }
+    await this.idle();
+
+    const from = parsed.from ? chatKey(parsed.from) : null;
+    const replies = this.outbox.slice(sentBefore).filter(reply => !from || chatKey(reply.to) === from);
+    return { parsed, replies };
+  }
+
+  // A decrypted Flow endpoint request, handled as routes/flowEndpoint.js does
+  async flowRequest(request) {
+    const { processFlowRequest } = require('../routes/flowEndpoint');
+    const sentBefore = this.outbox.length;
+    const response = await processFlowRequest(request);
+    await this.idle();
+    return { response, replies: this.outbox.slice(sentBefore) };
+  }
+
+  /**
+   * Let fire-and-forget work (background purchases, follow-up messages) land:
+   * wait until replies, database queries and provider calls stop moving.
+   * Quiet is measured in time, not event-loop turns, so file reads and image
+   * rendering in between (receipts, QR codes) are waited for too.
+   */
+  async idle({ quietMs = 50, maxMs = 10000 } = {}) {
+    const activity = () => this.outbox.length + this.database.queries +
+      ['rubies', 'bellbank', 'bilal', 'ai'].reduce((total, name) => total + this.providers[name].calls.length, 0);
+
+    const startedAt = Date.now();
+    let last = activity();
+    let changedAt = startedAt;
+    while (Date.now() - changedAt < quietMs && Date.now() - startedAt < maxMs) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      const current = activity();
+      if (current !== last) {
+        last = current;
+        changedAt = Date.now();
+      }
+    }
+  }
+
+  chat(phone, options) {
+    return new SimulatedChat(this, phone, options);
+  }
+
+  repliesTo(phone) {
+    return this.outbox.filter(reply => chatKey(reply.to) === chatKey(phone));
+  }
+
+  /**
+   * An onboarded user with a wallet, a Rubies virtual account and,
+   * unless `pin: null`, a transaction PIN.
+   */
+  async seedUser({
+    phone,
+    firstName = 'Simulated',
+    lastName = 'User',
+    pin = '1234',
+    pinEnabled = true,
+    balance = 0,
+    virtualAccountNumber = null,
+    wallet: walletOverrides = {},
+    ...overrides
+  } = {}) {
+    if (!phone) {
+      throw new Error('seedUser needs the phone number the user chats from');
+    }
+
+    const bcrypt = require('bcryptjs');
+    const userService = require('../services/user');
+
+    const user = this.database.insertRow('users', {
+      whatsappNumber: userService.cleanPhoneNumber(phone),
+      firstName,
+      lastName,
+      fullName: `${firstName} ${lastName}`,
+      // Everything checkUserOnboardingStatus asks for, so the user lands in the main menu
+      bvn: String(crypto.randomInt(10000000000, 99999999999)),
+      bvnVerified: true,
+      gender: 'female',
+      dateOfBirth: '1990-01-01',
+      onboardingStep: 'completed',
+      pin: pin ? await bcrypt.hash(String(pin), 4) : null,
+      pinEnabled,
+      pinSetAt: pin ? new Date().toISOString() : null,
+      ...overrides
+    });
+
+    this.database.insertRow('wallets', {
+      userId: user.id,
+      balance,
+      availableBalance: balance,
+      ledgerBalance: balance,
+      virtualAccountNumber: virtualAccountNumber || String(crypto.randomInt(1000000000, 9999999999)),
+      virtualAccountBank: 'Rubies MFB',
+      virtualAccountName: `${firstName} ${lastName}`,
+      ...walletOverrides
+    });
+
+    return JSON.parse(JSON.stringify(user));
+  }
+
+  seed(table, rows) {
+    return (Array.isArray(rows) ? rows : [rows]).map(row => this.database.insertRow(table, row));
+  }
+
+  table(name) {
+    return this.database.dump(name);
+  }
+
+  user(phoneOrId) {
+    return this.table('users').find(user => user.id === phoneOrId || chatKey(user.whatsappNumber) === chatKey(phoneOrId)) || null;
+  }
+
+  // Balances come back as numbers, as they would be compared in a test
+  wallet(userId) {
+    const wallet = this.table('wallets').find(row => row.userId === userId);
+    if (!wallet) return null;
+    for (const field of ['balance', 'availableBalance', 'ledgerBalance', 'pendingBalance']) {
+      wallet[field] = parseFloat(wallet[field] || 0);
+    }
+    return wallet;
+  }
+
+  transactions(userId) {
+    return this.table('transactions').filter(row => !userId || row.userId === userId);
+  }
+
+  // Inbound and outbound messages in order, one line each, for reading a failed scenario
+  transcript(phone = null) {
+    const lines = [];
+    const wanted = phone ? chatKey(phone) : null;
+    const events = [
+      ...this.inbox.map(entry => ({ at: entry.receivedAt, line: `> ${entry.from}: ${describeInbound(entry)}`, key: chatKey(entry.from) })),
+      ...this.outbox.map(entry => ({ at: entry.sentAt, line: `< ${entry.to}: ${describeReply(entry)}`, key: chatKey(entry.to) }))
+    ];
+    events
+      .filter(event => !wanted || event.key === wanted)
+      .forEach(event => lines.push(event.line));
+    return lines.join('\n');
+  }
+
+  async reset() {
+    this.database.reset();
+    this.providers.reset();
+    this.outbox = [];
+    this.inbox = [];
+    this.typing = [];
+    this.reads = [];
+    this.blockedRequests = [];
+    this.media.clear();
+  }
+
+  async close() {
+    this.providers.restore();
+    for (const restore of this.restorers.reverse()) {
+      restore();
+    }
+    this.restorers = [];
+    activeSimulator = null;
+  }
+}
+
+function describeInbound(entry) {
+  const message = entry.message || {};
+  if (message.buttonReply) return `[button ${message.buttonReply.id}] ${message.buttonReply.title}`;
+  if (message.listReply) return `[list ${message.listReply.id}] ${message.listReply.title}`;
+  if (message.flowResponse) return `[flow] ${JSON.stringify(message.flowResponse.responseJson)}`;
+  if (message.type === 'audio') return `[voice ${message.mediaId}]`;
+  if (message.type === 'image') return `[image ${message.mediaId}]${message.caption ? ` ${message.caption}` : ''}`;
+  return message.text || `[${entry.messageType}]`;
+}
+
+function describeReply(reply) {
+  const text = reply.text || '';
+  if (reply.type === 'buttons') return `${text} ${reply.buttons.map(button => `[${button.id}]`).join(' ')}`;
+  if (reply.type === 'list') return `${text} [list: ${reply.sections.flatMap(section => section.rows || []).map(row => row.id).join(', ')}]`;
+  if (reply.type === 'flow') return `[flow ${reply.flowId || reply.template || ''}] ${text}`;
+  if (reply.type === 'media') return `[${reply.mediaType} ${reply.filename || reply.link || ''}] ${text}`;
+  return text;
+}
+
+function createSimulator(options) {
+  return new ConversationSimulator(options);
+}
+
+module.exports = {
+  createSimulator,
+  ConversationSimulator,
+  SimulatedChat
+};
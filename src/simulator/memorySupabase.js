@@ -0,0 +1,730 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Supabase client
+ *
+ * Implements the part of the supabase-js query builder this codebase uses
+ * (select with counts and embedded relations, insert, update, upsert,
+ * delete, the usual filters, order/limit/range, single/maybeSingle) over
+ * plain arrays, so services run unchanged against it. Column defaults,
+ * unique constraints and foreign keys are read from supabase/schema.sql:
+ * new rows get the same defaults as in Postgres, duplicate keys fail with
+ * 23505, and `user:users!transactions_userId_fkey(*)` resolves. Tables
+ * the schema does not declare are accepted as schemaless.
+ *
+ * Like supabase-js, queries resolve to `{ data, error, count }` and never
+ * throw unless throwOnError() was called.
+ */
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '../../supabase/schema.sql');
+
+function unquote(identifier) {
+  return identifier.replace(/"/g, '').trim();
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Defaults, keys and references per table, from CREATE TABLE and ALTER TABLE ADD COLUMN
+function parseSchema(sql) {
+  const tables = {};
+  const tableFor = (name) => {
+    tables[name] = tables[name] || { columns: {}, primaryKey: [], unique: [], references: {} };
+    return tables[name];
+  };
+
+  const readColumn = (table, line) => {
+    const match = line.match(/^("?[A-Za-z_][\w]*"?)\s+([A-Za-z_]\w*)/);
+    if (!match) return;
+
+    const column = unquote(match[1]);
+    const type = match[2].toLowerCase();
+    const defaultMatch = line.match(/\bDEFAULT\s+('(?:[^']|'')*'|[^\s,]+)/i);
+    table.columns[column] = { type, default: defaultMatch ? defaultMatch[1] : undefined };
+
+    if (/\bPRIMARY KEY\b/i.test(line)) table.primaryKey = [column];
+    if (/\bUNIQUE\b/i.test(line)) table.unique.push([column]);
+
+    const reference = line.match(/\bREFERENCES\s+("?\w+"?)\s*\(\s*("?\w+"?)\s*\)/i);
+    if (reference) {
+      table.references[column] = { table: unquote(reference[1]), column: unquote(reference[2]) };
+    }
+  };
+
+  const createTable = /CREATE TABLE IF NOT EXISTS\s+("?\w+"?)\s*\(([\s\S]*?)\n\);/gi;
+  let block;
+  while ((block = createTable.exec(sql)) !== null) {
+    const table = tableFor(unquote(block[1]));
+    for (const rawLine of block[2].split('\n')) {
+      const line = rawLine.replace(/--.*$/, '').trim().replace(/,$/, '');
+      if (!line) continue;
+
+      const composite = line.match(/^(?:CONSTRAINT\s+\w+\s+)?(UNIQUE|PRIMARY KEY)\s*\(([^)]+)\)/i);
+      if (composite) {
+        const columns = composite[2].split(',').map(unquote);
+        if (/PRIMARY/i.test(composite[1])) table.primaryKey = columns;
+        else table.unique.push(columns);
+        continue;
+      }
+      if (/^(CONSTRAINT|CHECK|FOREIGN KEY)\b/i.test(line)) continue;
+
+      readColumn(table, line);
+    }
+  }
+
+  const addColumn = /ALTER TABLE\s+("?\w+"?)\s+ADD COLUMN IF NOT EXISTS\s+([^;]+);/gi;
+  let alter;
+  while ((alter = addColumn.exec(sql)) !== null) {
+    readColumn(tableFor(unquote(alter[1])), alter[2].trim());
+  }
+
+  return tables;
+}
+
+function loadSchema(schemaPath = DEFAULT_SCHEMA_PATH) {
+  try {
+    return parseSchema(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function evaluateDefault(expression, type) {
+  if (expression === undefined) return undefined;
+  const lower = expression.toLowerCase();
+
+  if (lower === 'null') return null;
+  if (lower === 'true' || lower === 'false') return lower === 'true';
+  if (/^(uuid_generate_v4|gen_random_uuid)\(\)$/.test(lower)) return crypto.randomUUID();
+  if (lower === 'now()' || lower === 'current_timestamp') return new Date().toISOString();
+  if (lower === 'current_date') return new Date().toISOString().slice(0, 10);
+  if (/^-?\d+(\.\d+)?$/.test(expression)) return Number(expression);
+
+  const literal = expression.match(/^'((?:[^']|'')*)'/);
+  if (literal) {
+    const text = literal[1].replace(/''/g, "'");
+    if (type === 'jsonb' || type === 'json') {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  return undefined;
+}
+
+// Reads `metadata->>key` and `metadata->key` as well as plain columns
+function readColumnValue(row, column) {
+  const parts = column.split(/(->>|->)/);
+  let value = row[parts[0].trim()];
+  for (let i = 1; i < parts.length; i += 2) {
+    if (value === null || value === undefined) return null;
+    value = value[parts[i + 1].trim().replace(/'/g, '')];
+    if (parts[i] === '->>' && value !== null && value !== undefined && typeof value === 'object') {
+      value = JSON.stringify(value);
+    } else if (parts[i] === '->>' && value !== null && value !== undefined) {
+      value = String(value);
+    }
+  }
+  return value === undefined ? null : value;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function compare(left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+
+  const leftNumber = typeof left === 'number' ? left : (typeof left === 'string' && left.trim() !== '' ? Number(left) : NaN);
+  const rightNumber = typeof right === 'number' ? right : (typeof right === 'string' && right.trim() !== '' ? Number(right) : NaN);
+  if ((typeof left === 'number' || typeof right === 'number') && !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+    return leftNumber - rightNumber;
+  }
+
+  const leftText = left instanceof Date ? left.toISOString() : String(left);
+  const rightText = right instanceof Date ? right.toISOString() : String(right);
+  if (ISO_DATE.test(leftText) && ISO_DATE.test(rightText)) {
+    const difference = Date.parse(leftText) - Date.parse(rightText);
+    if (!Number.isNaN(difference)) return difference;
+  }
+
+  return leftText < rightText ? -1 : (leftText > rightText ? 1 : 0);
+}
+
+function equals(left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return false;
+  if (typeof left === 'object' || typeof right === 'object') {
+    try {
+      return JSON.stringify(left) === JSON.stringify(typeof right === 'string' ? JSON.parse(right) : right);
+    } catch (error) {
+      return false;
+    }
+  }
+  return compare(left, right) === 0;
+}
+
+function likePattern(pattern, flags) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+// jsonb @> for objects, array containment for arrays
+function containsValue(haystack, needle) {
+  if (needle === null || typeof needle !== 'object') return equals(haystack, needle);
+  if (haystack === null || typeof haystack !== 'object') return false;
+  if (Array.isArray(needle)) {
+    return Array.isArray(haystack) && needle.every(item => haystack.some(candidate => containsValue(candidate, item)));
+  }
+  return Object.entries(needle).every(([key, value]) => containsValue(haystack[key], value));
+}
+
+function parseListValue(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+}
+
+function operatorTest(operator, expected) {
+  switch (operator) {
+    case 'eq': return value => equals(value, expected);
+    case 'neq': return value => value !== null && value !== undefined && !equals(value, expected);
+    case 'gt': return value => compare(value, expected) > 0;
+    case 'gte': return value => compare(value, expected) >= 0;
+    case 'lt': return value => compare(value, expected) < 0;
+    case 'lte': return value => compare(value, expected) <= 0;
+    case 'like': return value => value !== null && likePattern(expected).test(String(value));
+    case 'ilike': return value => value !== null && likePattern(expected, 'i').test(String(value));
+    case 'is': {
+      const wanted = expected === 'null' ? null : (expected === 'true' ? true : (expected === 'false' ? false : expected));
+      return value => (wanted === null ? value === null || value === undefined : value === wanted);
+    }
+    case 'in': {
+      const list = parseListValue(expected);
+      return value => list.some(item => equals(value, item));
+    }
+    case 'cs':
+    case 'contains': return value => containsValue(value, typeof expected === 'string' ? JSON.parse(expected) : expected);
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// PostgREST logic trees: `a.eq.1,b.is.null,and(c.gt.2,not.d.eq.3)`
+function parseLogicTree(expression) {
+  const conditions = splitTopLevel(expression).map(term => {
+    const group = term.match(/^(not\.)?(and|or)\((.*)\)$/);
+    if (group) {
+      const nested = group[2] === 'and' ? parseLogicTree(group[3]).all : parseLogicTree(group[3]).any;
+      return group[1] ? row => !nested(row) : nested;
+    }
+
+    let negate = false;
+    let rest = term;
+    if (rest.startsWith('not.')) {
+      negate = true;
+      rest = rest.slice(4);
+    }
+    const firstDot = rest.indexOf('.');
+    const secondDot = rest.indexOf('.', firstDot + 1);
+    const column = rest.slice(0, firstDot);
+    let operator = rest.slice(firstDot + 1, secondDot);
+    let value = rest.slice(secondDot + 1);
+    if (operator === 'not') {
+      negate = !negate;
+      const nextDot = value.indexOf('.');
+      operator = value.slice(0, nextDot);
+      value = value.slice(nextDot + 1);
+    }
+
+    const test = operatorTest(operator, value);
+    return row => negate !== test(readColumnValue(row, column));
+  });
+
+  return {
+    any: row => conditions.some(condition => condition(row)),
+    all: row => conditions.every(condition => condition(row))
+  };
+}
+
+// `*, user:users!transactions_userId_fkey(id, firstName)` -> columns and embeds
+function parseSelect(columns) {
+  const selection = { all: false, columns: [], embeds: [] };
+  const text = String(columns || '*').replace(/\s+/g, ' ');
+
+  for (const item of splitTopLevel(text)) {
+    const embed = item.match(/^(?:(\w+):)?("?\w+"?)(?:!(\w+))?(?:!(inner))?\s*\((.*)\)$/);
+    if (embed) {
+      selection.embeds.push({
+        alias: embed[1] || unquote(embed[2]),
+        table: unquote(embed[2]),
+        hint: embed[3] && embed[3] !== 'inner' ? embed[3] : null,
+        inner: embed[3] === 'inner' || embed[4] === 'inner',
+        selection: parseSelect(embed[5])
+      });
+      continue;
+    }
+
+    if (item === '*') {
+      selection.all = true;
+      continue;
+    }
+
+    const column = item.match(/^(?:(\w+):)?([\w"]+(?:->>?'?\w+'?)*)(?:::\w+)?$/);
+    if (column) {
+      const source = unquote(column[2]);
+      selection.columns.push({ alias: column[1] || source.split(/->>?/).pop().replace(/'/g, ''), source });
+    }
+  }
+
+  if (!selection.all && selection.columns.length === 0 && selection.embeds.length === 0) {
+    selection.all = true;
+  }
+  return selection;
+}
+
+function singular(name) {
+  return name.endsWith('ies') ? `${name.slice(0, -3)}y` : name.replace(/s$/, '');
+}
+
+class QueryBuilder {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.action = 'select';
+    this.selection = null;
+    this.returning = false;
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.ordering = [];
+    this.rowLimit = null;
+    this.rowRange = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+    this.shouldThrow = false;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.selection = parseSelect(columns);
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values, options = {}) {
+    this.action = 'insert';
+    this.payload = Array.isArray(values) ? values : [values];
+    this.options = options;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(values) ? values : [values];
+    this.options = options;
+    return this;
+  }
+
+  update(values, options = {}) {
+    this.action = 'update';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.action = 'delete';
+    this.options = options;
+    return this;
+  }
+
+  where(column, operator, value, negate = false) {
+    const test = operatorTest(operator, value);
+    this.filters.push(row => negate !== test(readColumnValue(row, column)));
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+  is(column, value) { return this.where(column, 'is', value === null ? 'null' : String(value)); }
+  in(column, values) { return this.where(column, 'in', values); }
+  contains(column, value) { return this.where(column, 'contains', value); }
+  filter(column, operator, value) { return this.where(column, operator, value); }
+
+  not(column, operator, value) {
+    return this.where(column, operator, value === null ? 'null' : value, true);
+  }
+
+  match(conditions) {
+    Object.entries(conditions).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseLogicTree(expression).any);
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.ordering.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  abortSignal() {
+    return this;
+  }
+
+  throwOnError() {
+    this.shouldThrow = true;
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(result => {
+        if (this.shouldThrow && result.error) {
+          throw Object.assign(new Error(result.error.message), result.error);
+        }
+        return result;
+      })
+      .then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then(
+      value => Promise.resolve(onFinally()).then(() => value),
+      error => Promise.resolve(onFinally()).then(() => { throw error; })
+    );
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  sorted(rows) {
+    if (this.ordering.length === 0) return rows;
+    return [...rows].sort((left, right) => {
+      for (const { column, ascending, nullsFirst } of this.ordering) {
+        const a = readColumnValue(left, column);
+        const b = readColumnValue(right, column);
+        if (a === null && b === null) continue;
+        if (a === null) return nullsFirst ? -1 : 1;
+        if (b === null) return nullsFirst ? 1 : -1;
+        const difference = compare(a, b);
+        if (difference !== 0) return ascending ? difference : -difference;
+      }
+      return 0;
+    });
+  }
+
+  paged(rows) {
+    let page = rows;
+    if (this.rowRange) page = page.slice(this.rowRange[0], this.rowRange[1] + 1);
+    if (this.rowLimit !== null) page = page.slice(0, this.rowLimit);
+    return page;
+  }
+
+  execute() {
+    let rows;
+    let count = null;
+    this.database.queries++;
+
+    try {
+      switch (this.action) {
+        case 'insert':
+          rows = this.payload.map(values => this.database.insertRow(this.table, values));
+          break;
+        case 'upsert':
+          rows = this.database.upsertRows(this.table, this.payload, this.options);
+          break;
+        case 'update':
+          rows = this.database.updateRows(this.table, row => this.matches(row), this.payload);
+          break;
+        case 'delete':
+          rows = this.database.deleteRows(this.table, row => this.matches(row));
+          break;
+        default: {
+          const matched = this.sorted(this.database.rows(this.table).filter(row => this.matches(row)));
+          const selection = this.selection || parseSelect('*');
+          const shaped = matched
+            .map(row => this.database.shape(this.table, row, selection))
+            .filter(Boolean);
+          count = this.countMode ? shaped.length : null;
+          rows = this.paged(shaped);
+        }
+      }
+    } catch (error) {
+      if (error.code) {
+        return { data: null, error: { code: error.code, message: error.message, details: error.details || null, hint: null }, count: null, status: 409 };
+      }
+      throw error;
+    }
+
+    if (this.action !== 'select') {
+      if (!this.returning) {
+        return { data: null, error: null, count: null, status: this.action === 'insert' ? 201 : 204 };
+      }
+      rows = rows.map(row => this.database.shape(this.table, row, this.selection)).filter(Boolean);
+    }
+
+    if (this.headOnly) {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    if (this.singleMode) {
+      if (rows.length === 1 || (this.singleMode === 'maybe' && rows.length === 0)) {
+        return { data: clone(rows[0]) || null, error: null, count, status: 200 };
+      }
+      return {
+        data: null,
+        error: {
+          code: 'PGRST116',
+          message: 'JSON object requested, multiple (or no) rows returned',
+          details: `The result contains ${rows.length} rows`,
+          hint: null
+        },
+        count,
+        status: 406
+      };
+    }
+
+    return { data: clone(rows), error: null, count, status: 200 };
+  }
+}
+
+class MemorySupabase {
+  constructor({ schema = loadSchema() } = {}) {
+    this.schema = schema;
+    this.tables = new Map();
+    // Every query run so far; the simulator waits for this to stop moving
+    this.queries = 0;
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  // Copies of a table's rows, for assertions
+  dump(table) {
+    return clone(this.rows(table));
+  }
+
+  reset() {
+    this.tables.clear();
+  }
+
+  tableSchema(table) {
+    return this.schema[table] || null;
+  }
+
+  keyColumns(table) {
+    const schema = this.tableSchema(table);
+    if (!schema) return [['id']];
+    return [schema.primaryKey.length ? schema.primaryKey : ['id'], ...schema.unique];
+  }
+
+  withDefaults(table, values) {
+    const row = clone(values);
+    const schema = this.tableSchema(table);
+
+    if (schema) {
+      for (const [column, definition] of Object.entries(schema.columns)) {
+        if (row[column] === undefined) {
+          const value = evaluateDefault(definition.default, definition.type);
+          if (value !== undefined) row[column] = value;
+        }
+      }
+    } else if (row.id === undefined) {
+      row.id = crypto.randomUUID();
+    }
+
+    return row;
+  }
+
+  assertUnique(table, candidate, ignore = null) {
+    for (const columns of this.keyColumns(table)) {
+      if (columns.some(column => candidate[column] === null || candidate[column] === undefined)) continue;
+
+      const clash = this.rows(table).find(row =>
+        row !== ignore && columns.every(column => equals(row[column], candidate[column]))
+      );
+      if (clash) {
+        const error = new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+        error.code = '23505';
+        error.details = `Key (${columns.join(', ')})=(${columns.map(column => candidate[column]).join(', ')}) already exists.`;
+        throw error;
+      }
+    }
+  }
+
+  insertRow(table, values) {
+    const row = this.withDefaults(table, values);
+    this.assertUnique(table, row);
+    this.rows(table).push(row);
+    return row;
+  }
+
+  updateRows(table, predicate, values) {
+    const changes = clone(values);
+    const updated = [];
+    for (const row of this.rows(table)) {
+      if (!predicate(row)) continue;
+      this.assertUnique(table, { ...row, ...changes }, row);
+      Object.assign(row, changes);
+      updated.push(row);
+    }
+    return updated;
+  }
+
+  deleteRows(table, predicate) {
+    const rows = this.rows(table);
+    const removed = rows.filter(predicate);
+    this.tables.set(table, rows.filter(row => !removed.includes(row)));
+    return removed;
+  }
+
+  upsertRows(table, values, { onConflict, ignoreDuplicates = false } = {}) {
+    const conflictColumns = onConflict
+      ? onConflict.split(',').map(unquote)
+      : this.keyColumns(table)[0];
+
+    return values.flatMap(value => {
+      const existing = this.rows(table).find(row =>
+        conflictColumns.every(column => equals(row[column], value[column]))
+      );
+      if (!existing) {
+        return [this.insertRow(table, value)];
+      }
+      if (ignoreDuplicates) {
+        return [];
+      }
+      return this.updateRows(table, row => row === existing, value);
+    });
+  }
+
+  // The relation between two tables, from the schema's foreign keys or by naming convention
+  relation(from, to, hint) {
+    const fromSchema = this.tableSchema(from);
+    const toSchema = this.tableSchema(to);
+    const hintedColumn = hint ? (hint.match(new RegExp(`^${from}_(\\w+)_fkey$`)) || [])[1] || hint : null;
+
+    const outgoing = Object.entries(fromSchema?.references || {})
+      .filter(([column, reference]) => reference.table === to && (!hintedColumn || column === hintedColumn));
+    if (outgoing.length) {
+      return { kind: 'one', localColumn: outgoing[0][0], remoteColumn: outgoing[0][1].column };
+    }
+
+    const incomingHint = hint ? (hint.match(new RegExp(`^${to}_(\\w+)_fkey$`)) || [])[1] || hint : null;
+    const incoming = Object.entries(toSchema?.references || {})
+      .filter(([column, reference]) => reference.table === from && (!incomingHint || column === incomingHint));
+    if (incoming.length) {
+      return { kind: 'many', localColumn: incoming[0][1].column, remoteColumn: incoming[0][0] };
+    }
+
+    if (!fromSchema) {
+      return { kind: 'one', localColumn: `${singular(to)}Id`, remoteColumn: 'id' };
+    }
+    return { kind: 'many', localColumn: 'id', remoteColumn: `${singular(from)}Id` };
+  }
+
+  // Project a row to the selected columns and resolve embedded relations
+  shape(table, row, selection) {
+    const spec = selection || parseSelect('*');
+    const shaped = spec.all ? clone(row) : {};
+
+    for (const { alias, source } of spec.columns) {
+      shaped[alias] = clone(readColumnValue(row, source));
+    }
+
+    for (const embed of spec.embeds) {
+      const relation = this.relation(table, embed.table, embed.hint);
+      const related = this.rows(embed.table).filter(candidate =>
+        equals(candidate[relation.remoteColumn], row[relation.localColumn])
+      );
+
+      if (relation.kind === 'one') {
+        shaped[embed.alias] = related[0] ? this.shape(embed.table, related[0], embed.selection) : null;
+        if (embed.inner && !shaped[embed.alias]) return null;
+      } else {
+        shaped[embed.alias] = related.map(candidate => this.shape(embed.table, candidate, embed.selection));
+        if (embed.inner && shaped[embed.alias].length === 0) return null;
+      }
+    }
+
+    return shaped;
+  }
+}
+
+module.exports = {
+  MemorySupabase,
+  loadSchema,
+  parseSchema
+};
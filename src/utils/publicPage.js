@@ -0,0 +1,37 @@
+// HTML for the public pages anyone with a link can open (pay links,
+// receipt verification). Every value goes through escapeHtml.
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} | MiiMii</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #f4f6f8; color: #1c2430; margin: 0; padding: 24px; }
+  main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 24px; box-shadow: 0 2px 8px rgba(0,0,0,.06); }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .amount { font-size: 32px; font-weight: 700; margin: 12px 0; }
+  .muted { color: #6b7785; font-size: 14px; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 8px 12px; margin: 16px 0; }
+  dt { color: #6b7785; } dd { margin: 0; font-weight: 600; }
+  img { display: block; margin: 16px auto 0; width: 180px; height: 180px; }
+  .status { display: inline-block; padding: 4px 10px; border-radius: 12px; background: #eef1f4; font-size: 13px; }
+  .status.ok { background: #e3f5e8; color: #1b7a3a; } .status.bad { background: #fde8e8; color: #b42318; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
+
+module.exports = { escapeHtml, renderPage };
@@ -195,7 +195,8 @@ class RetryHelper {
   }
 
   /**
-   * Circuit breaker pattern implementation
+   * Circuit breaker pattern implementation. The returned function also
+   * exposes getState() for health reporting and reset() to close it by hand.
    */
   static createCircuitBreaker(options = {}) {
     const {
@@ -210,7 +211,7 @@ class RetryHelper {
     let lastFailureTime = null;
     let successCount = 0;
 
-    return async (fn) => {
+    const breaker = async (fn) => {
       if (state === 'OPEN') {
         if (Date.now() - lastFailureTime > resetTimeout) {
           state = 'HALF_OPEN';
@@ -248,6 +249,25 @@ class RetryHelper {
         throw error;
       }
     };
+
+    breaker.getState = () => ({
+      operationName,
+      state,
+      failureCount,
+      failureThreshold,
+      lastFailureTime: lastFailureTime ? new Date(lastFailureTime).toISOString() : null,
+      // When an OPEN breaker lets the next call through to test the provider
+      retryAt: state === 'OPEN' ? new Date(lastFailureTime + resetTimeout).toISOString() : null
+    });
+
+    breaker.reset = () => {
+      state = 'CLOSED';
+      failureCount = 0;
+      successCount = 0;
+      logger.info(`${operationName}: Circuit breaker reset to CLOSED by hand`);
+    };
+
+    return breaker;
   }
 }
 
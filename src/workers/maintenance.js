@@ -7,12 +7,25 @@ const { databaseManager } = require('../database/connection');
 const { User, Wallet, ActivityLog } = require('../models');
 const walletService = require('../services/wallet');
 const whatsappService = require('../services/whatsapp');
+const idempotencyService = require('../services/idempotency');
+const scheduledPaymentService = require('../services/scheduledPayment');
+const savingsService = require('../services/savings');
+const groupCollectionService = require('../services/groupCollection');
+const paymentRequestService = require('../services/paymentRequest');
+const collectionAccountService = require('../services/collectionAccount');
+const referralService = require('../services/referral');
+const riskService = require('../services/risk');
+const reconciliationService = require('../services/reconciliation');
+const transferRailService = require('../services/transferRails');
+const webhookQueue = require('../services/webhookQueue');
 
 class MaintenanceWorker {
   constructor() {
     this.isRunning = false;
     this.jobs = new Map();
     this.retryInterval = 5 * 60 * 1000; // 5 minutes
+    this.runningScheduledPayments = false;
+    this.runningAjoPayouts = false;
   }
 
   async start() {
@@ -67,6 +80,66 @@ class MaintenanceWorker {
       await this.applyMaintenanceFees();
     }, { scheduled: false }));
 
+    // Purge expired idempotency keys daily at 4 AM
+    this.jobs.set('idempotencyKeys', cron.schedule('0 4 * * *', async () => {
+      await this.cleanExpiredIdempotencyKeys();
+    }, { scheduled: false }));
+
+    // Run due scheduled payments every minute
+    this.jobs.set('scheduledPayments', cron.schedule('* * * * *', async () => {
+      await this.runScheduledPayments();
+    }, { scheduled: false }));
+
+    // Collect and pay out due ajo rounds every minute
+    this.jobs.set('ajoPayouts', cron.schedule('* * * * *', async () => {
+      await this.runAjoPayouts();
+    }, { scheduled: false }));
+
+    // Expire unpaid payment requests and remind payers every 15 minutes
+    this.jobs.set('paymentRequests', cron.schedule('*/15 * * * *', async () => {
+      await this.processPaymentRequests();
+    }, { scheduled: false }));
+
+    // Close collection accounts past their expiry every 5 minutes
+    this.jobs.set('collectionAccounts', cron.schedule('*/5 * * * *', async () => {
+      await this.processCollectionAccounts();
+    }, { scheduled: false }));
+
+    // Pay referral bonuses for referees who qualified since the last run
+    this.jobs.set('referralRewards', cron.schedule('*/10 * * * *', async () => {
+      await this.processReferralRewards();
+    }, { scheduled: false }));
+
+    // Accrue savings interest and pay out matured fixed plans daily at 00:30
+    this.jobs.set('savingsInterest', cron.schedule('30 0 * * *', async () => {
+      await this.processSavings();
+    }, { scheduled: false }));
+
+    // Hand back funds held for provider calls that never came back
+    this.jobs.set('walletHolds', cron.schedule('*/5 * * * *', async () => {
+      await this.releaseExpiredHolds();
+    }, { scheduled: false }));
+
+    // Sweep Rubies wallets for transfers another rail paid out
+    this.jobs.set('transferRailSweeps', cron.schedule('*/10 * * * *', async () => {
+      await this.settleTransferRailSweeps();
+    }, { scheduled: false }));
+
+    // Requeue webhook events whose worker died mid-attempt or that Redis lost
+    this.jobs.set('webhookQueueRecovery', cron.schedule('*/5 * * * *', async () => {
+      await this.recoverWebhookQueue();
+    }, { scheduled: false }));
+
+    // Settle risk holds nobody reviewed within the auto-release window
+    this.jobs.set('riskHoldRelease', cron.schedule('*/15 * * * *', async () => {
+      await this.processRiskHolds();
+    }, { scheduled: false }));
+
+    // Reconcile yesterday's provider statements daily at 05:00
+    this.jobs.set('reconciliation', cron.schedule('0 5 * * *', async () => {
+      await this.reconcileProviders();
+    }, { scheduled: false }));
+
     // Start all scheduled jobs
     for (const [name, job] of this.jobs) {
       job.start();
@@ -217,6 +290,119 @@ class MaintenanceWorker {
     }
   }
 
+  async cleanExpiredIdempotencyKeys() {
+    try {
+      const removed = await idempotencyService.cleanupExpiredKeys();
+      logger.info('Expired idempotency keys cleaned', { removed });
+    } catch (error) {
+      logger.error('Error cleaning expired idempotency keys:', error);
+    }
+  }
+
+  async runScheduledPayments() {
+    // A slow batch must not overlap the next tick
+    if (this.runningScheduledPayments) return;
+    this.runningScheduledPayments = true;
+    try {
+      await scheduledPaymentService.runDueSchedules();
+    } catch (error) {
+      logger.error('Error running scheduled payments:', error);
+    } finally {
+      this.runningScheduledPayments = false;
+    }
+  }
+
+  async runAjoPayouts() {
+    // A round collects from every member; a slow one must not overlap the next tick
+    if (this.runningAjoPayouts) return;
+    this.runningAjoPayouts = true;
+    try {
+      await groupCollectionService.runDuePayouts();
+    } catch (error) {
+      logger.error('Error running ajo payouts:', error);
+    } finally {
+      this.runningAjoPayouts = false;
+    }
+  }
+
+  async processPaymentRequests() {
+    try {
+      await paymentRequestService.runMaintenance();
+    } catch (error) {
+      logger.error('Error processing payment requests:', error);
+    }
+  }
+
+  async processCollectionAccounts() {
+    try {
+      await collectionAccountService.runMaintenance();
+    } catch (error) {
+      logger.error('Error processing collection accounts:', error);
+    }
+  }
+
+  async processReferralRewards() {
+    try {
+      await referralService.processPendingReferrals();
+    } catch (error) {
+      logger.error('Error processing referral rewards:', error);
+    }
+  }
+
+  async processSavings() {
+    try {
+      const now = new Date();
+      const accrual = await savingsService.accrueDailyInterest({ now });
+      const maturity = await savingsService.matureDueAccounts({ now });
+      logger.info('Savings processing completed', { ...accrual, matured: maturity.matured });
+    } catch (error) {
+      logger.error('Error processing savings interest:', error);
+    }
+  }
+
+  async releaseExpiredHolds() {
+    try {
+      await walletService.releaseExpiredHolds();
+    } catch (error) {
+      logger.error('Error releasing expired wallet holds:', error);
+    }
+  }
+
+  async settleTransferRailSweeps() {
+    try {
+      await transferRailService.settlePendingSweeps();
+    } catch (error) {
+      logger.error('Error settling transfer rail sweeps:', error);
+    }
+  }
+
+  async recoverWebhookQueue() {
+    try {
+      await webhookQueue.recoverStuck();
+    } catch (error) {
+      logger.error('Error recovering webhook queue:', error);
+    }
+  }
+
+  async processRiskHolds() {
+    try {
+      await riskService.processExpiredHolds();
+    } catch (error) {
+      logger.error('Error processing expired risk holds:', error);
+    }
+  }
+
+  async reconcileProviders() {
+    try {
+      const reports = await reconciliationService.runDaily();
+      logger.info('Provider reconciliation run completed', {
+        reports: reports.map(report => ({ provider: report.provider, status: report.status, counts: report.summary?.counts }))
+      });
+    } catch (error) {
+      logger.error('Error reconciling provider statements:', error);
+    }
+  }
+
   async retryLoop() {
     while (this.isRunning) {
       try {
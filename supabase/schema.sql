@@ -61,12 +61,18 @@ DO $$ BEGIN
         'fee_charge', 'refund', 'admin_adjustment', 'bonus_credit',
         'cashback_credit', 'referral_bonus', 'maintenance_fee',
         'bill_payment_electricity', 'bill_payment_cable', 
-        'bill_payment_internet', 'bill_payment_water'
+        'bill_payment_internet', 'bill_payment_water',
+        'savings_deposit', 'savings_withdrawal', 'savings_interest'
     );
 EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
+-- Savings categories (existing deployments)
+ALTER TYPE transaction_category_enum ADD VALUE IF NOT EXISTS 'savings_deposit';
+ALTER TYPE transaction_category_enum ADD VALUE IF NOT EXISTS 'savings_withdrawal';
+ALTER TYPE transaction_category_enum ADD VALUE IF NOT EXISTS 'savings_interest';
+
 -- Transaction Status enum
 DO $$ BEGIN
     CREATE TYPE transaction_status_enum AS ENUM (
@@ -76,6 +82,8 @@ DO $$ BEGIN
 EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
+-- A risk-held transaction replaced by its approved re-run
+ALTER TYPE transaction_status_enum ADD VALUE IF NOT EXISTS 'superseded';
 
 -- Transaction Priority enum
 DO $$ BEGIN
@@ -250,7 +258,156 @@ END $$;
 
 -- Webhook Log Source enum
 DO $$ BEGIN
-    CREATE TYPE webhook_log_source_enum AS ENUM ('whatsapp', 'bellbank', 'bilal', 'dojah', 'rubies');
+    CREATE TYPE webhook_log_source_enum AS ENUM ('whatsapp', 'bellbank', 'bilal', 'dojah', 'rubies', 'fincra');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Fincra callbacks (existing deployments)
+ALTER TYPE webhook_log_source_enum ADD VALUE IF NOT EXISTS 'fincra';
+
+-- Ledger Account Type enum
+DO $$ BEGIN
+    CREATE TYPE ledger_account_type_enum AS ENUM ('asset', 'liability', 'income', 'expense');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Ledger Posting Direction enum
+DO $$ BEGIN
+    CREATE TYPE ledger_posting_direction_enum AS ENUM ('debit', 'credit');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE idempotency_key_status_enum AS ENUM ('processing', 'completed', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Scheduled Payment enums
+DO $$ BEGIN
+    CREATE TYPE scheduled_payment_type_enum AS ENUM ('bank_transfer', 'airtime', 'data', 'bill');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE scheduled_payment_frequency_enum AS ENUM ('once', 'daily', 'weekly', 'monthly');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE scheduled_payment_status_enum AS ENUM ('active', 'paused', 'completed', 'cancelled', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Savings enums
+DO $$ BEGIN
+    CREATE TYPE savings_account_type_enum AS ENUM ('flexible', 'fixed', 'target');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE savings_account_status_enum AS ENUM ('active', 'suspended', 'matured', 'closed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Referral enums
+DO $$ BEGIN
+    CREATE TYPE referral_status_enum AS ENUM ('pending', 'rewarded', 'rejected');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE referral_channel_enum AS ENUM ('whatsapp', 'app');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Wallet hold enums
+DO $$ BEGIN
+    CREATE TYPE wallet_hold_status_enum AS ENUM ('held', 'captured', 'released', 'expired');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Reconciliation enums
+DO $$ BEGIN
+    CREATE TYPE reconciliation_report_status_enum AS ENUM ('running', 'completed', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE reconciliation_classification_enum AS ENUM ('matched', 'missing_locally', 'missing_at_provider', 'amount_mismatch');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Group collection enums
+DO $$ BEGIN
+    CREATE TYPE group_collection_type_enum AS ENUM ('pot', 'ajo');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE group_collection_status_enum AS ENUM ('pending', 'active', 'completed', 'cancelled');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE group_collection_frequency_enum AS ENUM ('daily', 'weekly', 'monthly');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE group_collection_member_status_enum AS ENUM ('invited', 'active', 'paid', 'declined', 'removed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE group_contribution_status_enum AS ENUM ('success', 'failed', 'unknown');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE payment_request_status_enum AS ENUM ('pending', 'paid', 'declined', 'cancelled', 'expired');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE payment_request_method_enum AS ENUM ('wallet', 'bank_transfer');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE collection_account_status_enum AS ENUM ('active', 'partially_paid', 'paid', 'overpaid', 'expired', 'cancelled');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE collection_account_purpose_enum AS ENUM ('invoice', 'payment_request');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE webhook_event_status_enum AS ENUM ('queued', 'processing', 'retrying', 'processed', 'dead');
 EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
@@ -359,10 +516,14 @@ CREATE TABLE IF NOT EXISTS wallets (
     "riskLevel" wallet_risk_level_enum DEFAULT 'low',
     "complianceStatus" wallet_compliance_status_enum DEFAULT 'compliant',
     metadata JSONB,
+    version INTEGER NOT NULL DEFAULT 0,
     "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Optimistic-locking version for balance updates (existing deployments)
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
 -- Transactions Table
 CREATE TABLE IF NOT EXISTS transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -397,12 +558,23 @@ CREATE TABLE IF NOT EXISTS transactions (
     "rejectedBy" UUID REFERENCES users(id),
     "rejectedAt" TIMESTAMPTZ,
     "rejectionReason" TEXT,
+    "riskScore" DECIMAL(3,2) DEFAULT 0.00,
+    "fraudCheck" JSONB,
+    "verificationCode" VARCHAR(16) UNIQUE,
     metadata JSONB,
     "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     CONSTRAINT check_amount_positive CHECK (amount >= 0)
 );
 
+-- Risk engine results (existing deployments)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "riskScore" DECIMAL(3,2) DEFAULT 0.00;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "fraudCheck" JSONB;
+
+-- Receipt verification codes, issued when a receipt is first rendered (existing deployments)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "verificationCode" VARCHAR(16);
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_verification_code_key ON transactions("verificationCode");
+
 -- Bank Accounts Table
 CREATE TABLE IF NOT EXISTS "bankAccounts" (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -597,11 +769,351 @@ CREATE TABLE IF NOT EXISTS "webhookLogs" (
     "processed" BOOLEAN DEFAULT false,
     "processedAt" TIMESTAMPTZ,
     "errorMessage" TEXT,
+    "eventId" VARCHAR(255),
+    -- Queue state of a provider callback; null for logs that are not queued (WhatsApp, older rows)
+    status webhook_event_status_enum,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMPTZ,
+    "lockedAt" TIMESTAMPTZ,
+    "deadLetteredAt" TIMESTAMPTZ,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- One row per provider event; a redelivery is acknowledged without being processed again
+    CONSTRAINT webhook_logs_source_event_id_key UNIQUE (source, "eventId")
+);
+
+-- Webhook queue state (existing deployments)
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS "eventId" VARCHAR(255);
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS status webhook_event_status_enum;
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS "nextAttemptAt" TIMESTAMPTZ;
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS "lockedAt" TIMESTAMPTZ;
+ALTER TABLE "webhookLogs" ADD COLUMN IF NOT EXISTS "deadLetteredAt" TIMESTAMPTZ;
+CREATE UNIQUE INDEX IF NOT EXISTS webhook_logs_source_event_id_key ON "webhookLogs"(source, "eventId");
+
+-- Ledger Postings Table (double-entry journal lines)
+CREATE TABLE IF NOT EXISTS "ledgerPostings" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "journalId" UUID NOT NULL,
+    "accountCode" VARCHAR(255) NOT NULL,
+    "accountType" ledger_account_type_enum NOT NULL,
+    direction ledger_posting_direction_enum NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    currency VARCHAR(10) DEFAULT 'NGN',
+    "transactionId" UUID REFERENCES transactions(id),
+    reference VARCHAR(255),
+    description TEXT,
+    metadata JSONB,
+    "postedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_ledger_amount_positive CHECK (amount > 0)
+);
+
+-- Idempotency Keys Table (replay protection for money-moving requests)
+CREATE TABLE IF NOT EXISTS "idempotencyKeys" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    "requestHash" VARCHAR(64) NOT NULL,
+    status idempotency_key_status_enum NOT NULL DEFAULT 'processing',
+    "responseStatus" INTEGER,
+    "responseBody" JSONB,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    "lockedAt" TIMESTAMPTZ,
+    "completedAt" TIMESTAMPTZ,
+    "expiresAt" TIMESTAMPTZ NOT NULL,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT unique_idempotency_key UNIQUE ("userId", scope, key)
+);
+
+-- Scheduled Payments Table (one-off and recurring transfers, airtime, data and bills)
+CREATE TABLE IF NOT EXISTS "scheduledPayments" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type scheduled_payment_type_enum NOT NULL,
+    status scheduled_payment_status_enum NOT NULL DEFAULT 'active',
+    label VARCHAR(255),
+    amount DECIMAL(15,2) NOT NULL,
+    details JSONB NOT NULL,
+    frequency scheduled_payment_frequency_enum NOT NULL,
+    "dayOfWeek" INTEGER,
+    "dayOfMonth" INTEGER,
+    "timeOfDay" VARCHAR(5) NOT NULL DEFAULT '09:00',
+    "startAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "endsAt" TIMESTAMPTZ,
+    "maxRuns" INTEGER,
+    "nextRunAt" TIMESTAMPTZ,
+    "lastRunAt" TIMESTAMPTZ,
+    "lastRunStatus" VARCHAR(20),
+    "lastError" TEXT,
+    "lastTransactionReference" VARCHAR(255),
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "failureCount" INTEGER NOT NULL DEFAULT 0,
+    "consecutiveFailures" INTEGER NOT NULL DEFAULT 0,
+    "pinAuthorization" VARCHAR(64),
+    "authorizedAt" TIMESTAMPTZ,
+    "lockedUntil" TIMESTAMPTZ,
+    source VARCHAR(20) DEFAULT 'app',
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_scheduled_payment_amount_positive CHECK (amount > 0),
+    CONSTRAINT check_scheduled_payment_day_of_week CHECK ("dayOfWeek" IS NULL OR "dayOfWeek" BETWEEN 0 AND 6),
+    CONSTRAINT check_scheduled_payment_day_of_month CHECK ("dayOfMonth" IS NULL OR "dayOfMonth" BETWEEN 1 AND 31)
+);
+
+-- Savings Accounts Table (flexible, fixed and target savings held off-wallet)
+CREATE TABLE IF NOT EXISTS "savingsAccounts" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    "accountNumber" VARCHAR(20) UNIQUE NOT NULL,
+    "accountName" VARCHAR(255) NOT NULL,
+    "accountType" savings_account_type_enum NOT NULL DEFAULT 'flexible',
+    status savings_account_status_enum NOT NULL DEFAULT 'active',
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "targetAmount" DECIMAL(15,2),
+    "interestRate" DECIMAL(5,2) NOT NULL,
+    duration VARCHAR(20),
+    "maturityDate" TIMESTAMPTZ,
+    "savingsGoal" TEXT,
+    "accruedInterest" DECIMAL(15,4) NOT NULL DEFAULT 0,
+    "interestEarned" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "totalDeposits" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "totalWithdrawals" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "lastInterestAccrualAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "lastInterestPostedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "maturedAt" TIMESTAMPTZ,
+    "closedAt" TIMESTAMPTZ,
+    version INTEGER NOT NULL DEFAULT 0,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_savings_balance_non_negative CHECK (balance >= 0)
+);
+
+-- Referrals Table (one row per referred user; rewards pay once the referee qualifies)
+CREATE TABLE IF NOT EXISTS referrals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "referrerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    "refereeId" UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    "referralCode" VARCHAR(255) NOT NULL,
+    channel referral_channel_enum NOT NULL DEFAULT 'whatsapp',
+    status referral_status_enum NOT NULL DEFAULT 'pending',
+    "rejectionReason" VARCHAR(255),
+    "refereeDeviceId" VARCHAR(255),
+    "refereeBvnHash" VARCHAR(64),
+    "qualifyingTransactionId" UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    "referrerReward" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "refereeReward" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "rewardedAt" TIMESTAMPTZ,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_referral_not_self CHECK ("referrerId" <> "refereeId")
+);
+
+-- Wallet Holds Table (funds moved from availableBalance into pendingBalance while a provider call is in flight)
+CREATE TABLE IF NOT EXISTS "walletHolds" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "walletId" UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    "transactionId" UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    reference VARCHAR(255) UNIQUE NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    "capturedAmount" DECIMAL(15,2),
+    status wallet_hold_status_enum NOT NULL DEFAULT 'held',
+    description TEXT,
+    "releaseReason" VARCHAR(255),
+    "captureTransactionId" UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    "expiresAt" TIMESTAMPTZ NOT NULL,
+    "capturedAt" TIMESTAMPTZ,
+    "releasedAt" TIMESTAMPTZ,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_wallet_hold_amount_positive CHECK (amount > 0)
+);
+
+-- Reconciliation Reports Table (one run of one provider's statement for one day)
+CREATE TABLE IF NOT EXISTS "reconciliationReports" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    "reportDate" DATE NOT NULL,
+    status reconciliation_report_status_enum NOT NULL DEFAULT 'running',
+    summary JSONB,
+    options JSONB,
+    "triggeredBy" VARCHAR(255),
+    "errorMessage" TEXT,
+    "startedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "completedAt" TIMESTAMPTZ,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Reconciliation Items Table (a statement entry, a local transaction, or the pair of them)
+CREATE TABLE IF NOT EXISTS "reconciliationItems" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "reportId" UUID NOT NULL REFERENCES "reconciliationReports"(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    classification reconciliation_classification_enum NOT NULL,
+    reference VARCHAR(255),
+    "providerReference" VARCHAR(255),
+    "transactionId" UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    "userId" UUID REFERENCES users(id) ON DELETE SET NULL,
+    "localAmount" DECIMAL(15,2),
+    "providerAmount" DECIMAL(15,2),
+    "localStatus" VARCHAR(50),
+    "providerStatus" VARCHAR(50),
+    stuck BOOLEAN DEFAULT false,
+    "statusMismatch" BOOLEAN DEFAULT false,
+    action VARCHAR(50),
+    "actionResult" JSONB,
+    "supportTicketId" UUID REFERENCES "supportTickets"(id) ON DELETE SET NULL,
+    "providerEntry" JSONB,
     metadata JSONB,
     "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Group Collections Table (pots collected by the owner, and rotating ajo/esusu savings)
+CREATE TABLE IF NOT EXISTS "groupCollections" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "ownerId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type group_collection_type_enum NOT NULL,
+    status group_collection_status_enum NOT NULL DEFAULT 'active',
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    "targetAmount" DECIMAL(15,2),
+    "contributionAmount" DECIMAL(15,2),
+    "collectedAmount" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "dueDate" TIMESTAMPTZ,
+    frequency group_collection_frequency_enum,
+    "dayOfWeek" INTEGER,
+    "dayOfMonth" INTEGER,
+    "timeOfDay" VARCHAR(5),
+    "currentCycle" INTEGER NOT NULL DEFAULT 0,
+    "totalCycles" INTEGER,
+    "nextPayoutAt" TIMESTAMPTZ,
+    "lastPayoutAt" TIMESTAMPTZ,
+    "lockedUntil" TIMESTAMPTZ,
+    "completedAt" TIMESTAMPTZ,
+    "cancelledAt" TIMESTAMPTZ,
+    source VARCHAR(20) DEFAULT 'app',
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_group_collection_target_positive CHECK ("targetAmount" IS NULL OR "targetAmount" > 0),
+    CONSTRAINT check_group_collection_contribution_positive CHECK ("contributionAmount" IS NULL OR "contributionAmount" > 0),
+    CONSTRAINT check_group_collection_day_of_week CHECK ("dayOfWeek" IS NULL OR "dayOfWeek" BETWEEN 0 AND 6),
+    CONSTRAINT check_group_collection_day_of_month CHECK ("dayOfMonth" IS NULL OR "dayOfMonth" BETWEEN 1 AND 31)
+);
+
+-- Group Collection Members Table (added by phone number; linked to a user once the number has an account)
+CREATE TABLE IF NOT EXISTS "groupCollectionMembers" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "groupCollectionId" UUID NOT NULL REFERENCES "groupCollections"(id) ON DELETE CASCADE,
+    "userId" UUID REFERENCES users(id) ON DELETE SET NULL,
+    "phoneNumber" VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    status group_collection_member_status_enum NOT NULL DEFAULT 'invited',
+    "amountDue" DECIMAL(15,2),
+    "amountPaid" DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    "payoutPosition" INTEGER,
+    "pinAuthorization" VARCHAR(64),
+    "authorizedAt" TIMESTAMPTZ,
+    "requestSentAt" TIMESTAMPTZ,
+    "lastPaidAt" TIMESTAMPTZ,
+    "paidOutAt" TIMESTAMPTZ,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT unique_group_collection_member_phone UNIQUE ("groupCollectionId", "phoneNumber")
+);
+
+-- Group Contributions Table (one wallet-to-wallet payment into a pot or an ajo round)
+CREATE TABLE IF NOT EXISTS "groupContributions" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "groupCollectionId" UUID NOT NULL REFERENCES "groupCollections"(id) ON DELETE CASCADE,
+    "memberId" UUID NOT NULL REFERENCES "groupCollectionMembers"(id) ON DELETE CASCADE,
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    "recipientUserId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    cycle INTEGER,
+    amount DECIMAL(15,2) NOT NULL,
+    status group_contribution_status_enum NOT NULL,
+    "transactionReference" VARCHAR(255),
+    error TEXT,
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_group_contribution_amount_positive CHECK (amount > 0)
+);
+
+-- Payment Requests Table (asking a MiiMii user or anyone with the pay link for money)
+CREATE TABLE IF NOT EXISTS "paymentRequests" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(16) UNIQUE NOT NULL,
+    "requesterId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    "payerUserId" UUID REFERENCES users(id) ON DELETE SET NULL,
+    "payerPhone" VARCHAR(20),
+    amount DECIMAL(15,2) NOT NULL,
+    note VARCHAR(140),
+    status payment_request_status_enum NOT NULL DEFAULT 'pending',
+    "paymentMethod" payment_request_method_enum,
+    "paidByName" VARCHAR(255),
+    "transactionReference" VARCHAR(255),
+    "expiresAt" TIMESTAMPTZ NOT NULL,
+    "paidAt" TIMESTAMPTZ,
+    "closedAt" TIMESTAMPTZ,
+    "reminderCount" INTEGER NOT NULL DEFAULT 0,
+    "lastReminderAt" TIMESTAMPTZ,
+    -- Bank transfers towards the request, added up until they cover amount
+    "amountPaid" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    payments JSONB NOT NULL DEFAULT '[]',
+    source VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_payment_request_amount_positive CHECK (amount > 0)
+);
+
+-- Part payments (existing deployments)
+ALTER TABLE "paymentRequests" ADD COLUMN IF NOT EXISTS "amountPaid" DECIMAL(15,2) NOT NULL DEFAULT 0;
+ALTER TABLE "paymentRequests" ADD COLUMN IF NOT EXISTS payments JSONB NOT NULL DEFAULT '[]';
+
+-- Collection Accounts Table (short-lived virtual accounts expecting one payment)
+CREATE TABLE IF NOT EXISTS "collectionAccounts" (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference VARCHAR(64) UNIQUE NOT NULL,
+    "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL DEFAULT 'rubies',
+    "accountNumber" VARCHAR(20) NOT NULL,
+    "accountName" VARCHAR(255),
+    "bankName" VARCHAR(255),
+    "bankCode" VARCHAR(20),
+    purpose collection_account_purpose_enum NOT NULL DEFAULT 'invoice',
+    "paymentRequestId" UUID REFERENCES "paymentRequests"(id) ON DELETE SET NULL,
+    "invoiceReference" VARCHAR(64),
+    description VARCHAR(140),
+    "customerName" VARCHAR(255),
+    "customerPhone" VARCHAR(20),
+    "expectedAmount" DECIMAL(15,2) NOT NULL,
+    "amountReceived" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    status collection_account_status_enum NOT NULL DEFAULT 'active',
+    payments JSONB NOT NULL DEFAULT '[]',
+    "expiresAt" TIMESTAMPTZ NOT NULL,
+    "paidAt" TIMESTAMPTZ,
+    "closedAt" TIMESTAMPTZ,
+    source VARCHAR(20) NOT NULL DEFAULT 'app',
+    metadata JSONB,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT check_collection_account_amount_positive CHECK ("expectedAmount" > 0)
+);
+
 -- ============================================
 -- INDEXES
 -- ============================================
@@ -632,6 +1144,7 @@ CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions("createdAt");
 CREATE INDEX IF NOT EXISTS idx_transactions_parent_id ON transactions("parentTransactionId");
 CREATE INDEX IF NOT EXISTS idx_transactions_provider_reference ON transactions("providerReference");
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_approval ON transactions("createdAt") WHERE "approvalStatus" = 'pending_approval';
 
 -- Bank Accounts indexes
 CREATE INDEX IF NOT EXISTS idx_bank_accounts_user_id ON "bankAccounts"("userId");
@@ -680,6 +1193,59 @@ CREATE INDEX IF NOT EXISTS idx_data_plans_active ON "dataPlans"("isActive");
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_source ON "webhookLogs"(source);
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_processed ON "webhookLogs"("processed");
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_created_at ON "webhookLogs"("createdAt");
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_due ON "webhookLogs"(status, "nextAttemptAt");
+
+-- Ledger Postings indexes
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_id ON "ledgerPostings"("journalId");
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_posted ON "ledgerPostings"("accountCode", "postedAt");
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_transaction_id ON "ledgerPostings"("transactionId");
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_reference ON "ledgerPostings"(reference);
+
+-- Idempotency keys indexes
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON "idempotencyKeys"("expiresAt");
+
+-- Scheduled payments indexes
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_user_id ON "scheduledPayments"("userId");
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_due ON "scheduledPayments"(status, "nextRunAt");
+
+-- Savings accounts indexes
+CREATE INDEX IF NOT EXISTS idx_savings_accounts_user_id ON "savingsAccounts"("userId");
+CREATE INDEX IF NOT EXISTS idx_savings_accounts_status_type ON "savingsAccounts"(status, "accountType");
+CREATE INDEX IF NOT EXISTS idx_savings_accounts_maturity ON "savingsAccounts"("maturityDate") WHERE status = 'active';
+
+-- Referrals indexes
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals("referrerId");
+CREATE INDEX IF NOT EXISTS idx_referrals_pending ON referrals("createdAt") WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_referrals_device ON referrals("refereeDeviceId") WHERE "refereeDeviceId" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_referrals_bvn_hash ON referrals("refereeBvnHash") WHERE "refereeBvnHash" IS NOT NULL;
+
+-- Wallet holds indexes
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_user_id ON "walletHolds"("userId");
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_transaction_id ON "walletHolds"("transactionId");
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_expiring ON "walletHolds"("expiresAt") WHERE status = 'held';
+
+-- Reconciliation indexes
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_provider_date ON "reconciliationReports"(provider, "reportDate");
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_report_id ON "reconciliationItems"("reportId", classification);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_transaction_id ON "reconciliationItems"("transactionId");
+
+-- Group collection indexes
+CREATE INDEX IF NOT EXISTS idx_group_collections_owner_id ON "groupCollections"("ownerId");
+CREATE INDEX IF NOT EXISTS idx_group_collections_due ON "groupCollections"(type, status, "nextPayoutAt");
+CREATE INDEX IF NOT EXISTS idx_group_collection_members_user_id ON "groupCollectionMembers"("userId");
+CREATE INDEX IF NOT EXISTS idx_group_collection_members_phone ON "groupCollectionMembers"("phoneNumber");
+CREATE INDEX IF NOT EXISTS idx_group_contributions_group_cycle ON "groupContributions"("groupCollectionId", cycle);
+CREATE INDEX IF NOT EXISTS idx_group_contributions_member_id ON "groupContributions"("memberId");
+CREATE INDEX IF NOT EXISTS idx_payment_requests_requester ON "paymentRequests"("requesterId", status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_payer ON "paymentRequests"("payerUserId", status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_payer_phone ON "paymentRequests"("payerPhone");
+CREATE INDEX IF NOT EXISTS idx_payment_requests_due ON "paymentRequests"(status, "expiresAt");
+
+-- Collection accounts indexes
+CREATE INDEX IF NOT EXISTS idx_collection_accounts_account_number ON "collectionAccounts"("accountNumber");
+CREATE INDEX IF NOT EXISTS idx_collection_accounts_user ON "collectionAccounts"("userId", status);
+CREATE INDEX IF NOT EXISTS idx_collection_accounts_payment_request ON "collectionAccounts"("paymentRequestId");
+CREATE INDEX IF NOT EXISTS idx_collection_accounts_due ON "collectionAccounts"(status, "expiresAt");
 
 -- ============================================
 -- FUNCTIONS & TRIGGERS
@@ -734,6 +1300,79 @@ CREATE TRIGGER update_kv_store_updated_at BEFORE UPDATE ON "kvStore"
 CREATE TRIGGER update_webhook_logs_updated_at BEFORE UPDATE ON "webhookLogs"
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_idempotency_keys_updated_at BEFORE UPDATE ON "idempotencyKeys"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_scheduled_payments_updated_at BEFORE UPDATE ON "scheduledPayments"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_savings_accounts_updated_at BEFORE UPDATE ON "savingsAccounts"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_referrals_updated_at BEFORE UPDATE ON referrals
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_wallet_holds_updated_at BEFORE UPDATE ON "walletHolds"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reconciliation_reports_updated_at BEFORE UPDATE ON "reconciliationReports"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reconciliation_items_updated_at BEFORE UPDATE ON "reconciliationItems"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_group_collections_updated_at BEFORE UPDATE ON "groupCollections"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_group_collection_members_updated_at BEFORE UPDATE ON "groupCollectionMembers"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_group_contributions_updated_at BEFORE UPDATE ON "groupContributions"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payment_requests_updated_at BEFORE UPDATE ON "paymentRequests"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_collection_accounts_updated_at BEFORE UPDATE ON "collectionAccounts"
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Reject any journal whose debits and credits differ. Deferred so that all
+-- postings of a journal inserted in one statement are checked together.
+CREATE OR REPLACE FUNCTION check_ledger_journal_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    imbalance DECIMAL(15,2);
+BEGIN
+    SELECT COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END), 0)
+      INTO imbalance
+      FROM "ledgerPostings"
+     WHERE "journalId" = NEW."journalId";
+
+    IF imbalance <> 0 THEN
+        RAISE EXCEPTION 'Ledger journal % is unbalanced by %', NEW."journalId", imbalance;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS ledger_journal_balanced ON "ledgerPostings";
+CREATE CONSTRAINT TRIGGER ledger_journal_balanced
+    AFTER INSERT ON "ledgerPostings"
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_ledger_journal_balanced();
+
+-- Postings are append-only; corrections are made with reversing journals
+CREATE OR REPLACE FUNCTION prevent_ledger_posting_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger postings are immutable; post a reversing journal instead';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS ledger_postings_immutable ON "ledgerPostings";
+CREATE TRIGGER ledger_postings_immutable BEFORE UPDATE OR DELETE ON "ledgerPostings"
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_posting_changes();
+
 -- ============================================
 -- ROW LEVEL SECURITY (RLS) - Optional
 -- ============================================
@@ -762,5 +1401,18 @@ COMMENT ON TABLE notifications IS 'User notifications';
 COMMENT ON TABLE "chatMessages" IS 'Chat messages from mobile and WhatsApp';
 COMMENT ON TABLE "dataPlans" IS 'Available data plans for purchase';
 COMMENT ON TABLE "kvStore" IS 'Key-value store for application data';
-COMMENT ON TABLE "webhookLogs" IS 'Webhook event logs from external services';
+COMMENT ON TABLE "webhookLogs" IS 'Webhook event logs from external services; provider callbacks double as the processing queue and its dead-letter queue';
+COMMENT ON TABLE "ledgerPostings" IS 'Double-entry ledger postings; wallet balances are derived from these';
+COMMENT ON TABLE "idempotencyKeys" IS 'Idempotency keys for money-moving requests with the stored first response';
+COMMENT ON TABLE "scheduledPayments" IS 'One-off and recurring payments run by the maintenance worker under a PIN pre-authorisation';
+COMMENT ON TABLE "savingsAccounts" IS 'Flexible, fixed and target savings; interest accrues daily and is posted monthly';
+COMMENT ON TABLE referrals IS 'Referral sign-ups and the bonuses paid once the referee completes KYC and a first transaction';
+COMMENT ON TABLE "walletHolds" IS 'Funds reserved in pendingBalance for an in-flight provider call; captured on success, released on failure or expiry';
+COMMENT ON TABLE "reconciliationReports" IS 'Daily comparison of a provider statement with the transactions table';
+COMMENT ON TABLE "reconciliationItems" IS 'Matched, missing-locally, missing-at-provider and amount-mismatch items of a reconciliation report';
+COMMENT ON TABLE "groupCollections" IS 'Bill splits and pots collected by the owner, and rotating ajo/esusu savings paid out to one member per round';
+COMMENT ON TABLE "groupCollectionMembers" IS 'Members of a group collection, their share and, for ajo, their payout round and PIN pre-authorisation';
+COMMENT ON TABLE "groupContributions" IS 'Wallet-to-wallet payments into pots and ajo rounds';
+COMMENT ON TABLE "paymentRequests" IS 'Requests for money, paid wallet to wallet by MiiMii users or by bank transfer through the pay link';
+COMMENT ON TABLE "collectionAccounts" IS 'Short-lived virtual accounts that expect one payment for an invoice or payment request';
 
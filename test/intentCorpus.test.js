@@ -0,0 +1,6 @@
+const { loadCorpus, findTrainingOverlap } = require('../src/evaluation/intentEvaluation');
+
+// Cases the offline classifier was trained on would only measure recall of its examples
+test('the intent corpus holds out every training example', () => {
+  expect(findTrainingOverlap(loadCorpus()).map(({ id, example }) => `${id}: ${example}`)).toEqual([]);
+});
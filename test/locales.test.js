@@ -0,0 +1,29 @@
+const { SUPPORTED_LANGUAGES } = require('../src/services/i18n');
+
+const catalogue = (code) => require(`../src/locales/${code}`);
+const english = catalogue('en');
+
+// {name} and {name:naira}, in every branch of a { one, other } value
+const placeholders = (value) => [...new Set(
+  (typeof value === 'string' ? [value] : Object.values(value))
+    .flatMap(text => text.match(/\{\w+(?::\w+)?\}/g) || [])
+)].sort();
+
+describe.each(SUPPORTED_LANGUAGES.filter(code => code !== 'en'))('%s catalogue', (code) => {
+  const messages = catalogue(code);
+
+  test('translates every English key', () => {
+    expect(Object.keys(english).filter(key => !(key in messages))).toEqual([]);
+  });
+
+  test('has no keys English lacks', () => {
+    expect(Object.keys(messages).filter(key => !(key in english))).toEqual([]);
+  });
+
+  test('keeps the English placeholders', () => {
+    const mismatched = Object.keys(messages)
+      .filter(key => key in english)
+      .filter(key => placeholders(messages[key]).join() !== placeholders(english[key]).join());
+    expect(mismatched).toEqual([]);
+  });
+});
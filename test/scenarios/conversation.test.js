@@ -0,0 +1,55 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+
+let ada;
+let chat;
+
+beforeEach(async () => {
+  await sim.reset();
+  ada = await sim.seedUser({ phone: '2348031234567', firstName: 'Ada', pin: '1234', balance: 20000 });
+  chat = sim.chat(ada.whatsappNumber);
+});
+afterAll(() => sim.close());
+
+test('answers a balance question', async () => {
+  const { replies } = await chat.send('balance');
+
+  expect(replies).toHaveLength(1);
+  expect(replies[0].text).toMatch(/Available ₦20,000\.00/);
+  expect(replies[0].buttons.map(button => button.id)).toEqual(['fund_wallet']);
+});
+
+test('understands a voice note', async () => {
+  const { replies } = await chat.sendVoice('what is my balance');
+
+  expect(sim.providers.ai.calls.some(call => call.method === 'transcribeAudio')).toBe(true);
+  expect(replies[replies.length - 1].text).toMatch(/Available ₦20,000\.00/);
+});
+
+test('sends a bank transfer after a wrong PIN and then the right one', async () => {
+  const { replies: summary } = await chat.send('send 5000 to 0123456789 GTBank');
+  expect(summary[0].text).toMatch(/Send ₦5,000 to \*SIMULATED RECIPIENT\*[\s\S]*Fee: ₦15/);
+
+  await chat.press('transfer_confirm');
+  const { replies: rejected } = await chat.send('1111');
+  expect(rejected[0].text).toMatch(/Invalid PIN\. 2 attempts remaining/);
+  expect(sim.providers.rubies.callsTo('/baas-transaction/fund-transfer')).toHaveLength(0);
+
+  const { replies } = await chat.send('1234');
+
+  expect(replies.some(reply => reply.filename === 'transfer-receipt.jpg')).toBe(true);
+  expect(sim.wallet(ada.id)).toMatchObject({ balance: 14985, pendingBalance: 0 });
+  const [transfer] = sim.providers.rubies.callsTo('/baas-transaction/fund-transfer');
+  expect(transfer.payload).toMatchObject({ creditAccountNumber: '0123456789', bankCode: '000013', amount: 5000 });
+  expect(sim.transactions(ada.id).find(row => row.category === 'bank_transfer').status).toBe('completed');
+});
+
+test('cancelling a transfer sends nothing', async () => {
+  await chat.send('send 5000 to 0123456789 GTBank');
+  const { replies } = await chat.press('transfer_cancel');
+
+  expect(replies[0].text).toMatch(/Transfer cancelled/);
+  expect(sim.providers.rubies.callsTo('/baas-transaction/fund-transfer')).toHaveLength(0);
+  expect(sim.wallet(ada.id).balance).toBe(20000);
+});
@@ -0,0 +1,62 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+
+beforeEach(() => sim.reset());
+afterAll(() => sim.close());
+
+describe('data', () => {
+  test('buys 500MB MTN with PIN confirmation', async () => {
+    sim.seed('dataPlans', [{ network: 'MTN', type: 'SME', name: '500MB', dataSize: '500MB', dataSizeMB: 500, price: 350, validityDays: 30, providerPlanId: '1' }]);
+    sim.providers.ai.intent(/500MB/i, { intent: 'data' });
+    const ada = await sim.seedUser({ phone: '2348031234567', firstName: 'Ada', pin: '1234', balance: 5000 });
+    const chat = sim.chat(ada.whatsappNumber);
+
+    await chat.send('buy 500MB MTN for 08031234567');
+    await chat.choose('network_MTN');
+    await chat.send('1');
+    await chat.send('08031234567');
+    const { replies: confirmation } = await chat.send('YES');
+    expect(confirmation[0].type).toBe('flow');
+
+    const { replies } = await chat.submitFlow({ pin: '1234' });
+
+    expect(replies.some(reply => reply.type === 'media' && reply.filename === 'receipt.jpg')).toBe(true);
+    expect(sim.wallet(ada.id).balance).toBe(4650);
+    expect(sim.wallet(ada.id).pendingBalance).toBe(0);
+    expect(sim.providers.bilal.callsTo('/data/')).toHaveLength(1);
+    expect(sim.providers.bilal.callsTo('/data/')[0].payload).toMatchObject({ phone: '08031234567', data_plan: 1 });
+  });
+});
+
+describe('airtime', () => {
+  test('tops up after the PIN flow is completed and sends a receipt', async () => {
+    const ada = await sim.seedUser({ phone: '2348031234567', firstName: 'Ada', pin: '1234', balance: 20000 });
+    const chat = sim.chat(ada.whatsappNumber);
+
+    const { replies: prompt } = await chat.send('buy 500 airtime for 08031234567');
+    expect(prompt[0]).toMatchObject({ type: 'flow', flowActionPayload: { data: { service: 'airtime', amount: 500, network: 'MTN' } } });
+
+    const { replies } = await chat.completeFlow({ pin: '1234' });
+
+    expect(replies.some(reply => reply.type === 'media' && reply.filename === 'receipt.jpg')).toBe(true);
+    expect(sim.wallet(ada.id).balance).toBe(19495);
+    const purchase = sim.transactions(ada.id).find(row => row.category === 'airtime_purchase' && row.amount == 500);
+    expect(purchase.status).toBe('completed');
+    expect(sim.providers.bilal.callsTo('')[0].payload).toMatchObject({ phone: '08031234567', amount: 500 });
+  });
+
+  test('a refused top-up releases the held funds', async () => {
+    const ada = await sim.seedUser({ phone: '2348031234567', firstName: 'Ada', pin: '1234', balance: 20000 });
+    const chat = sim.chat(ada.whatsappNumber);
+    sim.providers.bilal.respond('', () => ({ status: 'fail', message: 'Network busy' }));
+
+    await chat.send('buy 500 airtime for 08031234567');
+    const { replies } = await chat.completeFlow({ pin: '1234' });
+
+    expect(replies[0].text).toMatch(/Airtime purchase failed[\s\S]*Network busy/);
+    expect(sim.wallet(ada.id)).toMatchObject({ balance: 20000, pendingBalance: 0 });
+    expect(sim.transactions(ada.id).map(row => row.status)).toEqual(['failed']);
+    expect(sim.table('walletHolds').map(hold => hold.status)).toEqual(['released']);
+  });
+});
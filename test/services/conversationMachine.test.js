@@ -0,0 +1,119 @@
+const { ConversationMachine, createMemoryStore } = require('../../src/services/conversationMachine');
+
+const say = (text) => ({ type: 'text', text });
+
+// A two-question flow: name, then a code checked in enter
+const definition = {
+  name: 'signup',
+  initial: 'asking_name',
+  timeoutSeconds: 60,
+  commands: [
+    { name: 'cancel', match: (input) => input.text === 'cancel', run: () => ({ to: 'cancelled' }) }
+  ],
+  states: {
+    asking_name: {
+      prompt: () => say('Name?'),
+      input: (session, input) => input.text
+        ? { to: 'asking_code', data: { name: input.text } }
+        : { unhandled: true, reply: say('Name, please.') }
+    },
+    asking_code: {
+      timeoutSeconds: 10,
+      prompt: (session) => say(`Code for ${session.data.name}?`),
+      input: (session, input) => ({ to: 'checking', scratch: { code: input.text } })
+    },
+    checking: {
+      commands: false,
+      enter: (session, deps, scratch) => (scratch.code === deps.code
+        ? { to: 'done', reply: say('Welcome') }
+        : { to: 'asking_code', reply: say('Wrong code') })
+    },
+    done: { final: true },
+    cancelled: { final: true, prompt: () => say('Cancelled') },
+    expired: { final: true, prompt: () => say('Too slow') }
+  }
+};
+
+let clock;
+let store;
+let machine;
+
+const texts = (result) => result.replies.map(reply => reply.text);
+
+beforeEach(() => {
+  clock = 1_000_000;
+  store = createMemoryStore();
+  machine = new ConversationMachine(definition, { store, now: () => clock });
+});
+
+test('start prompts for the initial state and stores the session', async () => {
+  const result = await machine.start('u1', { source: 'test' });
+
+  expect(texts(result)).toEqual(['Name?']);
+  expect(await machine.getSession('u1')).toMatchObject({ state: 'asking_name', data: { source: 'test' }, stepExpiresAt: clock + 60000 });
+});
+
+test('enter handlers chain on within one turn and scratch is never stored', async () => {
+  await machine.start('u1');
+  await machine.handle('u1', { text: 'Ada' });
+
+  const wrong = await machine.handle('u1', { text: '9911' }, { code: '4321' });
+  expect(texts(wrong)).toEqual(['Wrong code', 'Code for Ada?']);
+  expect(wrong.session.state).toBe('asking_code');
+  expect(JSON.stringify(store.sessions.get('signup:u1'))).not.toContain('9911');
+
+  const right = await machine.handle('u1', { text: '4321' }, { code: '4321' });
+  expect(texts(right)).toEqual(['Welcome']);
+  expect(right.session.history.map(step => step.to)).toEqual(['asking_name', 'asking_code', 'checking', 'asking_code', 'checking', 'done']);
+  expect(await machine.getSession('u1')).toBeNull();
+});
+
+test('commands run before the state handles the message', async () => {
+  await machine.start('u1');
+  await machine.handle('u1', { text: 'Ada' });
+
+  const result = await machine.handle('u1', { text: 'cancel' });
+
+  expect(result).toMatchObject({ handled: true, session: { state: 'cancelled' } });
+  expect(texts(result)).toEqual(['Cancelled']);
+  expect(await machine.isActive('u1')).toBe(false);
+});
+
+test('an unhandled message leaves the flow where it was', async () => {
+  await machine.start('u1');
+
+  const result = await machine.handle('u1', { text: '' });
+
+  expect(result.handled).toBe(false);
+  expect(texts(result)).toEqual(['Name, please.']);
+  expect((await machine.getSession('u1')).state).toBe('asking_name');
+});
+
+test('each state keeps its own timeout and a late reply ends the flow', async () => {
+  await machine.start('u1');
+  clock += 30 * 1000;
+  expect(await machine.isActive('u1')).toBe(true);
+
+  await machine.handle('u1', { text: 'Ada' });
+  clock += 11 * 1000;
+  expect(await machine.isActive('u1')).toBe(false);
+
+  const result = await machine.handle('u1', { text: '4321' }, { code: '4321' });
+  expect(result).toMatchObject({ handled: false, session: { state: 'expired' } });
+  expect(texts(result)).toEqual(['Too slow']);
+  expect(await machine.getSession('u1')).toBeNull();
+});
+
+test('a message with no flow in progress is not handled', async () => {
+  expect(await machine.handle('u1', { text: 'hi' })).toEqual({ handled: false, session: null, replies: [] });
+});
+
+test('a flow that never settles throws instead of looping', async () => {
+  const looping = new ConversationMachine({
+    name: 'loop',
+    initial: 'a',
+    states: { a: { enter: () => ({ to: 'b' }) }, b: { enter: () => ({ to: 'a' }) } }
+  }, { store });
+
+  await expect(looping.start('u1')).rejects.toThrow('loop flow did not settle after 20 transitions');
+});
@@ -0,0 +1,77 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const paymentRequestService = require('../../src/services/paymentRequest');
+
+let requester;
+let payer;
+
+const row = (id) => sim.table('paymentRequests').find(request => request.id === id);
+const credit = (details) => paymentRequestService.handleIncomingCredit(requester.id, { reference: `TXN${Date.now()}`, ...details });
+
+beforeEach(async () => {
+  await sim.reset();
+  requester = await sim.seedUser({ phone: '2348031234567', firstName: 'Tunde', lastName: 'Bello' });
+  payer = await sim.seedUser({ phone: '2348039876543', firstName: 'Ada', lastName: 'Obi', pin: '1234', balance: 20000 });
+});
+afterAll(() => sim.close());
+
+describe('a transfer without the code', () => {
+  test('settles an open link for exactly the amount', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000 });
+
+    const paid = await credit({ amount: 5000, narration: 'NIP transfer', senderName: 'CHIDI EZE' });
+
+    expect(paid).toMatchObject({ id: request.id, status: 'paid', amountPaid: 5000, paidByName: 'CHIDI EZE' });
+  });
+
+  test('leaves a request to a named payer alone when the sender is someone else', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000, payerPhone: payer.whatsappNumber });
+
+    expect(await credit({ amount: 5000, narration: 'NIP transfer', senderName: 'CHIDI EZE' })).toBeNull();
+    expect(await credit({ amount: 5000, narration: 'NIP transfer' })).toBeNull();
+    expect(row(request.id)).toMatchObject({ status: 'pending', amountPaid: 0 });
+  });
+
+  test('settles a request to a named payer when the sender name matches', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000, payerPhone: payer.whatsappNumber });
+
+    const paid = await credit({ amount: 5000, narration: 'NIP transfer', senderName: 'OBI ADA CHIOMA' });
+
+    expect(paid).toMatchObject({ id: request.id, status: 'paid' });
+  });
+
+  test('never counts as a part payment', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000 });
+
+    expect(await credit({ amount: 2000, narration: 'NIP transfer' })).toBeNull();
+    expect(row(request.id).amountPaid).toBe(0);
+  });
+});
+
+describe('part payments', () => {
+  test('add up until they settle the request', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000, payerPhone: payer.whatsappNumber });
+
+    const first = await credit({ amount: 2000, narration: `Part 1 ${request.code}`, senderName: 'ADA OBI' });
+    expect(first).toMatchObject({ status: 'pending', amountPaid: 2000 });
+
+    // The rest, without the code, matches on what is still owed
+    const second = await credit({ amount: 3000, narration: 'Balance', senderName: 'ADA OBI' });
+    expect(second).toMatchObject({ id: request.id, status: 'paid', amountPaid: 5000, paymentMethod: 'bank_transfer' });
+    expect(second.payments.map(payment => payment.amount)).toEqual([2000, 3000]);
+
+    const messages = sim.table('notifications').filter(notification => notification.userId === requester.id).map(notification => notification.title);
+    expect(messages).toEqual(['💸 Part payment received', '✅ Payment request paid']);
+  });
+
+  test('leave only the rest to pay from the wallet', async () => {
+    const { request } = await paymentRequestService.createRequest(requester.id, { amount: 5000, payerPhone: payer.whatsappNumber });
+    await credit({ amount: 1500, narration: request.code, senderName: 'ADA OBI' });
+
+    const result = await paymentRequestService.payRequest(payer.id, request.id, '1234');
+
+    expect(result).toMatchObject({ amount: 3500, request: { status: 'paid', amountPaid: 5000, paymentMethod: 'wallet' } });
+    expect(sim.wallet(payer.id).balance).toBe(16500);
+  });
+});
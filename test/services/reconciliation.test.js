@@ -0,0 +1,222 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const reconciliationService = require('../../src/services/reconciliation');
+
+const rubiesStatement = require('../fixtures/reconciliation/rubies-statement.json');
+const bellbankStatement = require('../fixtures/reconciliation/bellbank-statement.json');
+const bilalCallbacks = require('../fixtures/reconciliation/bilal-callbacks.json');
+
+// The Lagos day the fixture statements cover
+const DAY = '2026-10-18';
+const DURING_DAY = '2026-10-18T09:30:00.000Z';
+const WALLET_ACCOUNT = '1000000001';
+
+let user;
+
+function seedTransaction(reference, { amount, totalAmount = amount, status = 'completed', provider, type = 'debit', category = 'bank_transfer', metadata = {} }) {
+  const [transaction] = sim.seed('transactions', {
+    reference,
+    userId: user.id,
+    type,
+    category,
+    amount,
+    fee: totalAmount - amount,
+    totalAmount,
+    status,
+    description: `${category} ${reference}`,
+    metadata: { ...(provider ? { provider } : {}), ...metadata },
+    createdAt: DURING_DAY,
+    updatedAt: DURING_DAY
+  });
+  return transaction;
+}
+
+async function reconcile(provider, options = {}) {
+  const [report] = await reconciliationService.reconcileDay(DAY, { providers: [provider], raiseTickets: false, autoRequery: false, ...options });
+  const { items } = await reconciliationService.getReport(report.id);
+  return { report, items, item: (reference) => items.find(row => row.reference === reference || row.providerReference === reference) };
+}
+
+beforeEach(async () => {
+  await sim.reset();
+  user = await sim.seedUser({ phone: '2348031234567', virtualAccountNumber: WALLET_ACCOUNT });
+});
+afterAll(() => sim.close());
+
+describe('rubies', () => {
+  beforeEach(() => {
+    // One page of statement, then an empty one
+    sim.providers.rubies.respond('/baas-wallet/read-wallet-transaction', (payload) => (payload.page === 0
+      ? rubiesStatement
+      : { responseCode: '00', responseMessage: 'Successful', data: { content: [] } }));
+
+    seedTransaction('TXN1760779800000_RUBMATCH', { amount: 5000, totalAmount: 5015, provider: 'rubies' });
+    seedTransaction('RUB-CR-2026101800002', { amount: 2500, type: 'credit', category: 'wallet_funding' });
+    seedTransaction('TXN1760781600000_RUBSTUCK', { amount: 3000, totalAmount: 3015, status: 'processing', provider: 'rubies' });
+    seedTransaction('TXN1760785200000_RUBLOST', { amount: 1200, totalAmount: 1215, provider: 'rubies' });
+  });
+
+  test('sorts the statement into matched, mismatched and missing on either side', async () => {
+    const { report, items, item } = await reconcile('rubies');
+
+    expect(report.status).toBe('completed');
+    expect(report.summary).toMatchObject({
+      statementEntries: 4,
+      counts: { matched: 1, amount_mismatch: 1, missing_locally: 1, missing_at_provider: 2 },
+      stuck: 1,
+      requeried: 0
+    });
+    expect(items).toHaveLength(5);
+
+    expect(item('TXN1760779800000_RUBMATCH')).toMatchObject({ classification: 'matched', providerAmount: 5015, localAmount: 5000 });
+    expect(item('RUB-CR-2026101800002')).toMatchObject({ classification: 'amount_mismatch', providerAmount: 2000, localAmount: 2500 });
+    expect(item('RUB-CR-2026101800003')).toMatchObject({
+      classification: 'missing_locally',
+      transactionId: null,
+      userId: user.id,
+      metadata: { accountNumber: WALLET_ACCOUNT }
+    });
+    expect(item('TXN1760781600000_RUBSTUCK')).toMatchObject({ classification: 'missing_at_provider', stuck: true, providerStatus: null });
+    expect(item('TXN1760785200000_RUBLOST')).toMatchObject({ classification: 'missing_at_provider', stuck: false });
+    // A failed inflow we have no record of is not money out of place
+    expect(item('RUB-CR-2026101800004')).toBeUndefined();
+  });
+
+  test('requeries a stuck transfer and settles it without a ticket', async () => {
+    const { report, item } = await reconcile('rubies', { autoRequery: true, raiseTickets: true });
+
+    const tsq = sim.providers.rubies.callsTo('/baas-transaction/tsq');
+    expect(tsq.map(call => call.payload.reference)).toEqual(['TXN1760781600000_RUBSTUCK']);
+    expect(item('TXN1760781600000_RUBSTUCK')).toMatchObject({
+      action: 'requeried',
+      actionResult: { status: 'completed', responseCode: '00' },
+      supportTicketId: null
+    });
+    expect(sim.table('transactions').find(row => row.reference === 'TXN1760781600000_RUBSTUCK').status).toBe('completed');
+    expect(report.summary.requeried).toBe(1);
+
+    // The other exceptions still need a person
+    const tickets = sim.table('supportTickets');
+    expect(tickets.map(ticket => ticket.subject).sort()).toEqual([
+      'Reconciliation: amount mismatch (rubies)',
+      'Reconciliation: missing at provider (rubies)',
+      'Reconciliation: missing locally (rubies)'
+    ]);
+  });
+
+  test('a requery with no outcome leaves the transfer stuck and raises a ticket', async () => {
+    sim.providers.rubies.respond('/baas-transaction/tsq', () => ({ responseCode: '09', responseMessage: 'Transaction pending' }));
+
+    const { item } = await reconcile('rubies', { autoRequery: true, raiseTickets: true });
+
+    const stuck = item('TXN1760781600000_RUBSTUCK');
+    expect(stuck.actionResult).toMatchObject({ status: 'unchanged', responseCode: '09' });
+    expect(stuck.supportTicketId).toBeTruthy();
+    expect(sim.table('transactions').find(row => row.reference === 'TXN1760781600000_RUBSTUCK').status).toBe('processing');
+  });
+
+  test('a requery that reports a failure marks the transfer failed', async () => {
+    sim.providers.rubies.respond('/baas-transaction/tsq', () => ({ responseCode: '14', responseMessage: 'Invalid account' }));
+
+    const { item } = await reconcile('rubies', { autoRequery: true });
+
+    expect(item('TXN1760781600000_RUBSTUCK').actionResult).toMatchObject({ status: 'failed', responseCode: '14' });
+    expect(sim.table('transactions').find(row => row.reference === 'TXN1760781600000_RUBSTUCK').status).toBe('failed');
+  });
+
+  test('raises one ticket per exception however often the day is reconciled', async () => {
+    await reconcile('rubies', { raiseTickets: true });
+    const { item } = await reconcile('rubies', { raiseTickets: true });
+
+    expect(sim.table('supportTickets')).toHaveLength(4);
+    expect(item('RUB-CR-2026101800002').supportTicketId).toBe(
+      sim.table('supportTickets').find(ticket => ticket.metadata.reconciliationKey === 'rubies:RUB-CR-2026101800002').id
+    );
+  });
+});
+
+describe('bellbank', () => {
+  beforeEach(() => {
+    sim.providers.bellbank.respond(/^\/v1\/transactions\?/, () => bellbankStatement);
+
+    seedTransaction('TXN1760783400000_BBMATCH', { amount: 10000, totalAmount: 10010, provider: 'bellbank' });
+    seedTransaction('TXN1760787000000_BBSHORT', { amount: 1000, totalAmount: 1010, provider: 'bellbank' });
+    seedTransaction('TXN1760790600000_BBFAILED', { amount: 3000, totalAmount: 3010, status: 'failed', provider: 'bellbank' });
+    seedTransaction('TXN1760794200000_BBSTUCK', { amount: 2500, totalAmount: 2510, status: 'pending', provider: 'bellbank' });
+  });
+
+  test('sorts the statement and flags money we think failed', async () => {
+    const { report, item } = await reconcile('bellbank');
+
+    expect(report.summary.counts).toEqual({ matched: 2, amount_mismatch: 1, missing_locally: 1, missing_at_provider: 1 });
+    expect(item('TXN1760783400000_BBMATCH')).toMatchObject({ classification: 'matched', statusMismatch: false });
+    expect(item('TXN1760787000000_BBSHORT')).toMatchObject({ classification: 'amount_mismatch', providerAmount: 900, localAmount: 1000 });
+    expect(item('TXN1760790600000_BBFAILED')).toMatchObject({ classification: 'matched', localStatus: 'failed', providerStatus: 'successful', statusMismatch: true });
+    expect(item('BELL-CR-2026101800004')).toMatchObject({ classification: 'missing_locally', userId: null });
+    expect(item('TXN1760794200000_BBSTUCK')).toMatchObject({ classification: 'missing_at_provider', stuck: true });
+    expect(report.summary.statusMismatches).toBe(1);
+  });
+
+  test('requeries a stuck transfer', async () => {
+    const { item } = await reconcile('bellbank', { autoRequery: true });
+
+    expect(sim.providers.bellbank.callsTo('/v1/transfer/requery').map(call => call.payload.reference))
+      .toEqual(['TXN1760794200000_BBSTUCK']);
+    expect(item('TXN1760794200000_BBSTUCK')).toMatchObject({ action: 'requeried', actionResult: { status: 'completed', providerStatus: 'successful' } });
+  });
+
+  test('an entry with no user to attach it to is reported without a ticket', async () => {
+    const { item } = await reconcile('bellbank', { raiseTickets: true });
+
+    expect(item('BELL-CR-2026101800004')).toMatchObject({
+      supportTicketId: null,
+      actionResult: { ticket: 'skipped: no user to attach the ticket to' }
+    });
+    const high = sim.table('supportTickets').filter(ticket => ticket.priority === 'high').map(ticket => ticket.subject).sort();
+    expect(high).toEqual(['Reconciliation: amount mismatch (bellbank)', 'Reconciliation: status mismatch (bellbank)']);
+  });
+});
+
+describe('bilal', () => {
+  beforeEach(() => {
+    sim.seed('webhookLogs', bilalCallbacks.map((body, index) => ({
+      source: 'bilal',
+      eventType: 'purchase_callback',
+      eventId: body['request-id'],
+      payload: { body },
+      createdAt: `2026-10-18T1${index}:00:00.000Z`
+    })));
+
+    const bilal = (requestId, details) => seedTransaction(`TXN_${requestId}`, {
+      category: 'data_purchase',
+      provider: 'bilal',
+      metadata: { requestId },
+      ...details
+    });
+    bilal('BIL_DATA_1760779800000_0001', { amount: 300 });
+    bilal('BIL_DATA_1760783400000_0002', { amount: 600 });
+    bilal('BIL_DATA_1760785200000_0004', { amount: 1000, status: 'processing' });
+    bilal('BIL_DATA_1760786100000_0005', { amount: 250 });
+  });
+
+  test('matches callbacks by request-id and only reports stuck purchases with none', async () => {
+    const { report, items, item } = await reconcile('bilal');
+
+    expect(report.summary.counts).toEqual({ matched: 2, amount_mismatch: 0, missing_locally: 1, missing_at_provider: 1 });
+    expect(item('TXN_BIL_DATA_1760779800000_0001')).toMatchObject({ classification: 'matched', providerAmount: null, statusMismatch: false });
+    expect(item('TXN_BIL_DATA_1760783400000_0002')).toMatchObject({ classification: 'matched', providerStatus: 'failed', statusMismatch: true });
+    expect(item('BIL_AIRTIME_1760787000000_0003')).toMatchObject({ classification: 'missing_locally' });
+    expect(item('TXN_BIL_DATA_1760785200000_0004')).toMatchObject({ classification: 'missing_at_provider', stuck: true });
+    // Bilal does not call back for every purchase, so a quiet completed one proves nothing
+    expect(items.find(row => row.reference === 'TXN_BIL_DATA_1760786100000_0005')).toBeUndefined();
+  });
+});
+
+test('a provider whose statement cannot be read gets a failed report', async () => {
+  sim.providers.rubies.respond('/baas-wallet/read-wallet-transaction', () => ({ responseCode: '96', responseMessage: 'System malfunction' }));
+
+  const [report] = await reconciliationService.reconcileDay(DAY, { providers: ['rubies'] });
+
+  expect(report).toMatchObject({ status: 'failed', errorMessage: 'System malfunction' });
+});
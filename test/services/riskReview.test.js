@@ -0,0 +1,69 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const riskService = require('../../src/services/risk');
+const bankTransferService = require('../../src/services/bankTransfer');
+const ledgerService = require('../../src/services/ledger');
+
+const TRANSFER = { accountNumber: '0123456789', bankCode: '000013', amount: 5000, narration: 'Rent' };
+
+let user;
+
+// Hold every transfer for review, then approve it
+async function heldTransfer() {
+  await expect(bankTransferService.processBankTransfer(user.id, TRANSFER, '1234'))
+    .rejects.toMatchObject({ code: 'RISK_HELD' });
+  return sim.table('transactions').find(row => row.approvalStatus === 'pending_approval');
+}
+
+// Leaves out the debit records captureHold writes against a transfer
+const bankTransfers = () => sim.table('transactions')
+  .filter(row => row.category === 'bank_transfer' && !row.metadata?.transactionId);
+
+beforeAll(() => riskService.registerRule({ name: 'always_hold', evaluate: () => ({ score: 1, reason: 'Held by test' }) }));
+beforeEach(async () => {
+  await sim.reset();
+  user = await sim.seedUser({ phone: '2348031234567', pin: '1234', balance: 20000, wallet: { virtualAccountBank: null } });
+});
+afterAll(() => {
+  riskService.rules = riskService.rules.filter(rule => rule.name !== 'always_hold');
+  return sim.close();
+});
+
+test('an approved transfer debits once and supersedes the held transaction', async () => {
+  const held = await heldTransfer();
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 14985, pendingBalance: 0 });
+
+  const outcome = await riskService.approveHeld(held.id);
+
+  expect(outcome.success).toBe(true);
+  const sent = sim.providers.rubies.callsTo('/baas-transaction/fund-transfer')
+    .filter(call => call.payload.creditAccountNumber === TRANSFER.accountNumber);
+  expect(sent).toHaveLength(1);
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 14985, pendingBalance: 0 });
+
+  const reviewed = bankTransfers().find(row => row.id === held.id);
+  const resumed = bankTransfers().find(row => row.id !== held.id);
+  expect(reviewed.status).toBe('superseded');
+  expect(reviewed.metadata.riskReview.supersededBy).toBe(resumed.reference);
+  expect(resumed.status).toBe('completed');
+  expect(bankTransfers().filter(row => row.status === 'completed')).toHaveLength(1);
+
+  // The reviewed money became the resumed transfer's hold, then its debit
+  const [hold] = sim.table('walletHolds');
+  expect(hold).toMatchObject({ status: 'captured', transactionId: resumed.id, metadata: { fromReviewHold: true } });
+  expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+});
+
+test('an approved transfer the bank refuses gives the money back', async () => {
+  const held = await heldTransfer();
+  sim.providers.rubies.respond('/baas-transaction/fund-transfer', () => ({ responseCode: '51', responseMessage: 'Beneficiary account closed' }));
+
+  const outcome = await riskService.approveHeld(held.id);
+
+  expect(outcome.success).toBe(false);
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 20000, pendingBalance: 0 });
+  expect(bankTransfers().find(row => row.id === held.id).status).toBe('failed');
+  expect(sim.table('walletHolds').map(hold => hold.status)).toEqual(['released']);
+  expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+});
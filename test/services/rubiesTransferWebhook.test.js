@@ -0,0 +1,112 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const walletService = require('../../src/services/wallet');
+const transactionService = require('../../src/services/transaction');
+const webhookQueue = require('../../src/services/webhookQueue');
+const webhookReplay = require('../../src/services/webhookReplay');
+
+// A bank transfer sent through Rubies and waiting for its callback, funds held
+async function heldTransfer() {
+  const user = await sim.seedUser({ phone: '2348031234567', balance: 10000, wallet: { virtualAccountBank: null } });
+  const transaction = await transactionService.createTransaction(user.id, {
+    type: 'debit',
+    category: 'bank_transfer',
+    amount: 5000,
+    fee: 15,
+    totalAmount: 5015,
+    description: 'Bank transfer to Ada Obi',
+    reference: `TXN${Date.now()}`,
+    status: 'processing',
+    metadata: { provider: 'rubies' }
+  });
+  const hold = await walletService.placeHold(user.id, 5015, {
+    reference: transaction.reference,
+    transactionId: transaction.id,
+    description: transaction.description
+  });
+  return { user, transaction, hold };
+}
+
+// What Rubies posts for a transfer debit
+const callback = (transaction, responseCode, responseMessage) => ({
+  responseCode,
+  responseMessage,
+  reference: transaction.reference,
+  sessionId: `090175${transaction.reference}`,
+  drCr: 'DR',
+  amount: '5000.00'
+});
+
+async function deliver(body) {
+  await webhookQueue.persist('rubies', body);
+  return webhookQueue.processDue();
+}
+
+const holdRow = (id) => sim.table('walletHolds').find(row => row.id === id);
+const transactionRow = (id) => sim.table('transactions').find(row => row.id === id);
+
+beforeEach(() => sim.reset());
+afterAll(() => sim.close());
+
+test('a success callback completes the transfer and captures its hold', async () => {
+  const { user, transaction, hold } = await heldTransfer();
+
+  expect(await deliver(callback(transaction, '00', 'Transfer successful'))).toMatchObject({ processed: 1 });
+
+  expect(transactionRow(transaction.id).status).toBe('completed');
+  expect(holdRow(hold.id).status).toBe('captured');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 4985, pendingBalance: 0 });
+
+  // Nothing left for the expiry sweep to find
+  const summary = await walletService.releaseExpiredHolds({ now: new Date(Date.now() + 60 * 60 * 1000) });
+  expect(summary.checked).toBe(0);
+});
+
+test('a failure callback fails the transfer and releases its hold once', async () => {
+  const { user, transaction, hold } = await heldTransfer();
+  const failed = callback(transaction, '14', 'Invalid account');
+
+  expect(await deliver(failed)).toMatchObject({ processed: 1 });
+
+  expect(transactionRow(transaction.id)).toMatchObject({ status: 'failed', failureReason: 'Invalid account' });
+  expect(holdRow(hold.id).status).toBe('released');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 10000, pendingBalance: 0 });
+
+  // A redelivery under a new session id is a new event, and still refunds nothing
+  await deliver({ ...failed, sessionId: `${failed.sessionId}R` });
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 10000, pendingBalance: 0 });
+  expect(sim.table('transactions').filter(row => row.category === 'refund')).toHaveLength(0);
+});
+
+test('a callback the wallet cannot settle is retried until it is', async () => {
+  const { user, transaction, hold } = await heldTransfer();
+  const releaseTransactionHold = jest.spyOn(walletService, 'releaseTransactionHold')
+    .mockRejectedValueOnce(new Error('connection reset'));
+
+  const results = await deliver(callback(transaction, '33', 'Transfer declined'));
+
+  expect(results).toMatchObject({ retrying: 1, processed: 0 });
+  const [event] = sim.table('webhookLogs');
+  expect(event).toMatchObject({ status: 'retrying', attempts: 1, errorMessage: 'connection reset' });
+  expect(holdRow(hold.id).status).toBe('held');
+  releaseTransactionHold.mockRestore();
+
+  // Once the backoff has passed the retry settles it
+  await sim.database.from('webhookLogs').update({ nextAttemptAt: new Date(Date.now() - 1000).toISOString() }).eq('id', event.id);
+  expect(await webhookQueue.processDue()).toMatchObject({ processed: 1 });
+  expect(holdRow(hold.id).status).toBe('released');
+  expect(transactionRow(transaction.id).status).toBe('failed');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 10000, pendingBalance: 0 });
+});
+
+test('a dry-run replay shows the hold being settled', async () => {
+  const { transaction, hold } = await heldTransfer();
+
+  const success = await webhookReplay.plan('rubies', callback(transaction, '00', 'Transfer successful'));
+  expect(success.holds).toEqual([expect.objectContaining({ id: hold.id, status: { from: 'held', to: 'captured' } })]);
+
+  const failure = await webhookReplay.plan('rubies', callback(transaction, '14', 'Invalid account'));
+  expect(failure.holds).toEqual([expect.objectContaining({ id: hold.id, status: { from: 'held', to: 'released' } })]);
+  expect(failure.transactions.filter(change => change.category === 'refund')).toHaveLength(0);
+});
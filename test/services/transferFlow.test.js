@@ -0,0 +1,196 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const config = require('../../src/config');
+const transferFlow = require('../../src/services/transferFlow');
+const { createMemoryStore } = require('../../src/services/conversationMachine');
+
+const USER = 'user-1';
+const RECIPIENT = { accountNumber: '0123456789', bankName: 'GTBank' };
+const { stepTimeoutSeconds, pinTimeoutSeconds } = config.getConversationFlowConfig();
+const { states } = transferFlow;
+
+let clock;
+let store;
+let deps;
+let run;
+
+const texts = (result) => result.replies.map(reply => reply.text);
+
+// Fakes for everything the flow would otherwise ask the rest of the app
+function fakeDeps() {
+  return {
+    minimumAmount: 100,
+    findBeneficiary: jest.fn(async () => null),
+    resolveBankCode: jest.fn(async () => '000013'),
+    lookupAccount: jest.fn(async () => ({ valid: true, accountName: 'ADA OBI', bankName: 'GTBank' })),
+    quote: jest.fn(async (userId, amount) => ({ fee: 15, totalAmount: amount + 15, spendable: 20000 })),
+    pinEnabled: jest.fn(async () => true),
+    verifyPin: jest.fn(async (userId, pin) => {
+      if (pin !== '1234') throw new Error('Invalid PIN. 2 attempts remaining');
+      return true;
+    }),
+    execute: jest.fn(async (userId, transferData) => ({ success: true, transaction: { reference: transferData.reference } }))
+  };
+}
+
+// Drive a fresh transfer to each state that waits on the user
+const REACH = {
+  [states.COLLECTING_RECIPIENT]: () => run.start(USER),
+  [states.COLLECTING_AMOUNT]: () => run.start(USER, RECIPIENT),
+  [states.CONFIRMING_AMOUNT]: () => run.start(USER, { ...RECIPIENT, amount: 5000 }),
+  [states.AWAITING_PIN]: async () => {
+    await run.start(USER, { ...RECIPIENT, amount: 5000 });
+    return run.send(USER, 'yes');
+  }
+};
+const WAITING_STATES = Object.keys(REACH);
+
+beforeEach(() => {
+  clock = Date.now();
+  store = createMemoryStore();
+  deps = fakeDeps();
+  run = transferFlow.createScriptedRun({ store, deps, now: () => clock });
+});
+afterAll(() => sim.close());
+
+test.each(WAITING_STATES)('reaches %s', async (state) => {
+  const result = await REACH[state]();
+  expect(result.session.state).toBe(state);
+});
+
+describe.each(WAITING_STATES)('in %s', (state) => {
+  beforeEach(() => REACH[state]());
+
+  test('cancel ends the transfer without sending', async () => {
+    const result = await run.send(USER, 'cancel');
+
+    expect(result).toMatchObject({ handled: true, session: { state: states.CANCELLED } });
+    expect(texts(result)).toEqual(['✅ Transfer cancelled. Nothing was sent.']);
+    expect(await run.machine.getSession(USER)).toBeNull();
+    expect(deps.execute).not.toHaveBeenCalled();
+  });
+
+  test('the cancel button ends the transfer too', async () => {
+    const result = await run.send(USER, { buttonId: 'transfer_cancel' });
+    expect(result.session.state).toBe(states.CANCELLED);
+  });
+
+  test('edit amount with a new amount goes back to the confirmation', async () => {
+    const result = await run.send(USER, 'edit amount 7k');
+
+    expect(result.handled).toBe(true);
+    if (state === states.COLLECTING_RECIPIENT) {
+      // No recipient yet: the amount is kept for later
+      expect(result.session).toMatchObject({ state, data: { amount: 7000 } });
+      expect(texts(result)).toEqual(['Okay, ₦7,000. Now, who are you sending to?']);
+      return;
+    }
+    expect(result.session).toMatchObject({ state: states.CONFIRMING_AMOUNT, data: { amount: 7000, totalAmount: 7015 } });
+    expect(result.replies[0]).toMatchObject({ type: 'buttons', text: expect.stringContaining('Send ₦7,000 to *ADA OBI*') });
+    expect(deps.execute).not.toHaveBeenCalled();
+  });
+
+  test('edit amount on its own asks for the amount again', async () => {
+    const result = await run.send(USER, { buttonId: 'transfer_edit_amount' });
+
+    if (state === states.COLLECTING_RECIPIENT) {
+      expect(result.session.state).toBe(state);
+      expect(texts(result)).toEqual(['Okay, I\'ll ask for the amount once I have the recipient.']);
+      return;
+    }
+    expect(result.session).toMatchObject({ state: states.COLLECTING_AMOUNT, data: { amount: null } });
+    expect(texts(result)).toEqual(['How much should I send to *ADA OBI*?']);
+  });
+
+  test('a reply after the step times out sends nothing', async () => {
+    const timeout = state === states.AWAITING_PIN ? pinTimeoutSeconds : stepTimeoutSeconds;
+    clock += (timeout + 1) * 1000;
+
+    const result = await run.send(USER, state === states.AWAITING_PIN ? '1234' : 'yes');
+
+    expect(result).toMatchObject({ handled: false, session: { state: states.EXPIRED } });
+    expect(texts(result)).toEqual(['⌛ Your transfer timed out, so nothing was sent. Start again whenever you\'re ready.']);
+    expect(await run.machine.getSession(USER)).toBeNull();
+    expect(deps.execute).not.toHaveBeenCalled();
+  });
+});
+
+test('collects the recipient and amount, then sends on the right PIN', async () => {
+  await run.start(USER);
+  await run.send(USER, '0123456789 GTBank');
+  const confirmation = await run.send(USER, '5k');
+  expect(confirmation.session.state).toBe(states.CONFIRMING_AMOUNT);
+
+  await run.send(USER, { buttonId: 'transfer_confirm' });
+  const result = await run.send(USER, '1234');
+
+  expect(result.session).toMatchObject({ state: states.DONE, data: { transactionReference: expect.stringMatching(/^TXN/) } });
+  expect(deps.execute).toHaveBeenCalledTimes(1);
+  expect(deps.execute).toHaveBeenCalledWith(USER, expect.objectContaining({ amount: 5000, bankCode: '000013', recipientName: 'ADA OBI' }), '1234');
+});
+
+test('a wrong PIN keeps the transfer waiting for the PIN', async () => {
+  await REACH[states.AWAITING_PIN]();
+
+  const rejected = await run.send(USER, '1111');
+  expect(rejected.session.state).toBe(states.AWAITING_PIN);
+  expect(texts(rejected)).toEqual(['❌ Invalid PIN. 2 attempts remaining']);
+  expect(deps.execute).not.toHaveBeenCalled();
+
+  const result = await run.send(USER, '1234');
+  expect(result.session.state).toBe(states.DONE);
+  expect(deps.execute).toHaveBeenCalledTimes(1);
+});
+
+test('a locked PIN fails the transfer', async () => {
+  deps.verifyPin.mockRejectedValue(new Error('Account locked for 30 minutes'));
+  await REACH[states.AWAITING_PIN]();
+
+  const result = await run.send(USER, '1111');
+
+  expect(result.session.state).toBe(states.FAILED);
+  expect(texts(result)).toEqual(['❌ Account locked for 30 minutes. Your transfer was not sent.']);
+  expect(await run.machine.getSession(USER)).toBeNull();
+  expect(deps.execute).not.toHaveBeenCalled();
+});
+
+test('the PIN step times out before the other steps do', async () => {
+  await REACH[states.AWAITING_PIN]();
+  clock += (pinTimeoutSeconds + 1) * 1000;
+  expect(await run.machine.isActive(USER)).toBe(false);
+
+  await REACH[states.CONFIRMING_AMOUNT]();
+  clock += (pinTimeoutSeconds + 1) * 1000;
+  expect(await run.machine.isActive(USER)).toBe(true);
+});
+
+test('never sends the PIN to the session store', async () => {
+  await REACH[states.AWAITING_PIN]();
+  deps.execute.mockImplementation(async () => {
+    expect(JSON.stringify([...store.sessions.values()])).not.toContain('"1234"');
+    return { success: false, message: 'Beneficiary bank unavailable' };
+  });
+
+  const result = await run.send(USER, '1234');
+
+  expect(result.session.state).toBe(states.FAILED);
+  expect(texts(result)).toEqual(['❌ Transfer failed: Beneficiary bank unavailable']);
+});
+
+test('a turn that died while executing is reported as unknown, not timed out', async () => {
+  await REACH[states.AWAITING_PIN]();
+  // What a crash mid-transfer leaves behind
+  const stuck = await run.machine.getSession(USER);
+  stuck.state = states.EXECUTING;
+  stuck.history.push({ from: states.AWAITING_PIN, to: states.EXECUTING, at: new Date(clock).toISOString() });
+  stuck.stepExpiresAt = clock + 120 * 1000;
+  await store.save(run.machine.name, USER, stuck);
+  clock += 121 * 1000;
+
+  const result = await run.send(USER, 'hello');
+
+  expect(result.session.state).toBe(states.EXPIRED);
+  expect(texts(result)[0]).toMatch(/lost track of your last transfer/);
+  expect(deps.execute).not.toHaveBeenCalled();
+});
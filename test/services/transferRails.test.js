@@ -0,0 +1,165 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const config = require('../../src/config');
+const bellbankService = require('../../src/services/bellbank');
+const transferRails = require('../../src/services/transferRails');
+
+const limits = config.getTransferRailConfig();
+const saved = {
+  requeryDelayMs: limits.requeryDelayMs,
+  consumerKey: bellbankService.consumerKey,
+  consumerSecret: bellbankService.consumerSecret
+};
+
+let user;
+
+function transferData() {
+  return {
+    userId: user.id,
+    accountNumber: '0123456789',
+    bankCode: '000013',
+    bankName: 'GTBank',
+    amount: 5000,
+    narration: 'Transfer to Ada Obi',
+    reference: `TXN${Date.now()}`,
+    senderName: 'Tunde Bello',
+    beneficiaryName: 'ADA OBI'
+  };
+}
+
+const rubiesTransfer = (responseCode, responseMessage) =>
+  sim.providers.rubies.respond('/baas-transaction/fund-transfer', () => ({ responseCode, responseMessage }));
+const rubiesRequery = (responseCode, responseMessage) =>
+  sim.providers.rubies.respond('/baas-transaction/tsq', () => ({ responseCode, responseMessage }));
+const bellbankTransfers = () => sim.providers.bellbank.callsTo('/v1/transfer');
+
+beforeAll(() => {
+  limits.requeryDelayMs = 0;
+  // BellBank only joins the rails once it has credentials
+  Object.assign(bellbankService, { consumerKey: 'simulated-key', consumerSecret: 'simulated-secret' });
+});
+
+beforeEach(async () => {
+  await sim.reset();
+  limits.failover = true;
+  for (const name of ['rubies', 'bellbank']) transferRails.resetBreaker(name);
+  user = await sim.seedUser({ phone: '2348031234567', balance: 10000, virtualAccountNumber: '1000000001' });
+});
+
+afterAll(() => {
+  Object.assign(limits, { requeryDelayMs: saved.requeryDelayMs, failover: true });
+  Object.assign(bellbankService, { consumerKey: saved.consumerKey, consumerSecret: saved.consumerSecret });
+  return sim.close();
+});
+
+describe('rubies requery', () => {
+  test.each([
+    ['00', 'successful'],
+    ['14', 'failed'],
+    ['33', 'failed'],
+    ['25', 'not_found'],
+    ['34', 'pending'],
+    ['09', 'pending'],
+    ['97', 'pending'],
+    ['-1', 'pending'],
+    ['91', 'pending'],
+    ['92', 'pending'],
+    ['96', 'pending'],
+    ['51', 'pending'],
+    ['X1', 'pending']
+  ])('reads response code %s as %s', async (responseCode, status) => {
+    rubiesRequery(responseCode, `Code ${responseCode}`);
+
+    expect(await transferRails.requery('rubies', 'TXN123')).toMatchObject({ status, rail: 'rubies' });
+  });
+});
+
+describe('sendTransfer', () => {
+  test('sends on the cheapest rail when it answers', async () => {
+    const result = await transferRails.sendTransfer(transferData());
+
+    expect(result).toMatchObject({ status: 'sent', rail: 'rubies', attempts: [{ rail: 'rubies', status: 'sent' }] });
+    expect(bellbankTransfers()).toHaveLength(0);
+  });
+
+  test('fails over when the first rail is unavailable', async () => {
+    rubiesTransfer('96', 'System malfunction');
+    const data = transferData();
+
+    const result = await transferRails.sendTransfer(data);
+
+    expect(result).toMatchObject({ status: 'sent', rail: 'bellbank' });
+    expect(result.attempts.map(attempt => [attempt.rail, attempt.status])).toEqual([['rubies', 'unavailable'], ['bellbank', 'sent']]);
+    expect(bellbankTransfers().map(call => call.payload.reference)).toEqual([data.reference]);
+  });
+
+  test('does not fail over when failover is off', async () => {
+    limits.failover = false;
+    rubiesTransfer('96', 'System malfunction');
+
+    const result = await transferRails.sendTransfer(transferData());
+
+    expect(result).toMatchObject({ status: 'unavailable', rail: null });
+    expect(bellbankTransfers()).toHaveLength(0);
+  });
+
+  test('a rejection is final', async () => {
+    rubiesTransfer('51', 'Insufficient funds');
+
+    const result = await transferRails.sendTransfer(transferData());
+
+    expect(result).toMatchObject({ status: 'rejected', rail: 'rubies', message: 'Insufficient funds' });
+    expect(bellbankTransfers()).toHaveLength(0);
+  });
+
+  describe('after a timeout', () => {
+    beforeEach(() => {
+      sim.providers.rubies.respond('/baas-transaction/fund-transfer', () => {
+        const error = new Error('timeout of 30000ms exceeded');
+        error.code = 'ECONNABORTED';
+        throw error;
+      });
+    });
+
+    test('a requery that finds the transfer counts it as sent', async () => {
+      const result = await transferRails.sendTransfer(transferData());
+
+      expect(result).toMatchObject({ status: 'sent', rail: 'rubies' });
+      expect(bellbankTransfers()).toHaveLength(0);
+    });
+
+    test('a definite failure on requery fails over', async () => {
+      rubiesRequery('14', 'Invalid account');
+
+      const result = await transferRails.sendTransfer(transferData());
+
+      expect(result).toMatchObject({ status: 'sent', rail: 'bellbank' });
+      expect(result.attempts[0]).toMatchObject({ rail: 'rubies', status: 'unavailable' });
+    });
+
+    test.each([
+      ['25', 'Transaction not found'],
+      ['34', 'Pending settlement'],
+      ['09', 'Transaction pending'],
+      ['X1', 'Something new']
+    ])('requery code %s keeps the outcome unknown on the first rail', async (responseCode, responseMessage) => {
+      rubiesRequery(responseCode, responseMessage);
+
+      const result = await transferRails.sendTransfer(transferData());
+
+      expect(result).toMatchObject({ status: 'unknown', rail: 'rubies', attempts: [{ rail: 'rubies', status: 'unknown' }] });
+      expect(bellbankTransfers()).toHaveLength(0);
+    });
+  });
+
+  test('a transfer accepted for settlement is not failed over', async () => {
+    rubiesTransfer('34', 'Pending settlement');
+    rubiesRequery('34', 'Pending settlement');
+
+    const result = await transferRails.sendTransfer(transferData());
+
+    expect(result).toMatchObject({ status: 'unknown', rail: 'rubies' });
+    expect(bellbankTransfers()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,172 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const config = require('../../src/config');
+const vasGateway = require('../../src/services/vasGateway');
+const dataService = require('../../src/services/data');
+const utilityService = require('../../src/services/utility');
+
+const limits = config.getVasGatewayConfig();
+const AIRTIME = { phoneNumber: '08031234567', network: 'MTN', amount: 500 };
+
+const rubiesVasCalls = () => sim.providers.rubies.callsTo('/baas-vas/purchase');
+const rubiesVasDelivers = () => sim.providers.rubies.respond('/baas-vas/purchase', (payload) => ({
+  responseCode: '00',
+  responseMessage: 'Successful',
+  reference: payload.reference
+}));
+
+beforeEach(async () => {
+  await sim.reset();
+  sim.providers.bilal.balance = 1000000;
+  limits.failover = true;
+  for (const name of ['bilal', 'rubies']) vasGateway.resetBreaker(name);
+});
+
+afterAll(() => {
+  limits.failover = true;
+  return sim.close();
+});
+
+describe('purchase', () => {
+  test('buys from the first provider that answers', async () => {
+    const result = await vasGateway.purchase('airtime', AIRTIME);
+
+    expect(result).toMatchObject({ status: 'delivered', provider: 'bilal', amount: 500, attempts: [{ provider: 'bilal', status: 'delivered' }] });
+    expect(rubiesVasCalls()).toHaveLength(0);
+  });
+
+  test('fails over when the first provider is out of float', async () => {
+    sim.providers.bilal.balance = 100;
+    rubiesVasDelivers();
+
+    const result = await vasGateway.purchase('airtime', AIRTIME);
+
+    expect(result).toMatchObject({ status: 'delivered', provider: 'rubies_vas' });
+    expect(result.attempts.map(attempt => [attempt.provider, attempt.status])).toEqual([['bilal', 'unavailable'], ['rubies', 'delivered']]);
+    expect(rubiesVasCalls()[0].payload).toMatchObject({ productCode: 'MTN_AIRTIME_PREPAID', amount: '500', reference: result.reference });
+  });
+
+  test('does not fail over when failover is off', async () => {
+    limits.failover = false;
+    sim.providers.bilal.balance = 100;
+
+    const result = await vasGateway.purchase('airtime', AIRTIME);
+
+    expect(result).toMatchObject({ status: 'unavailable', provider: null, message: 'Airtime purchases are temporarily unavailable. Please try again shortly.' });
+    expect(rubiesVasCalls()).toHaveLength(0);
+  });
+
+  test('a rejection is final', async () => {
+    sim.providers.bilal.respond('', () => ({ status: 'fail', message: 'Invalid phone number' }));
+
+    const result = await vasGateway.purchase('airtime', AIRTIME);
+
+    expect(result).toMatchObject({ status: 'rejected', provider: 'bilal', message: 'Invalid phone number' });
+    expect(rubiesVasCalls()).toHaveLength(0);
+  });
+
+  test('a purchase still processing stays unknown on the first provider', async () => {
+    sim.providers.bilal.respond('', () => ({ status: 'process', message: 'Transaction processing' }));
+
+    const result = await vasGateway.purchase('airtime', AIRTIME);
+
+    expect(result).toMatchObject({ status: 'unknown', provider: 'bilal' });
+    expect(rubiesVasCalls()).toHaveLength(0);
+  });
+
+  test('refuses a network no provider sells', async () => {
+    await expect(vasGateway.purchase('airtime', { ...AIRTIME, network: 'NTEL' })).rejects.toThrow('Unsupported network: NTEL');
+  });
+});
+
+describe('data purchases', () => {
+  let user;
+  beforeEach(async () => {
+    user = await sim.seedUser({ phone: '2348031234567', pin: '1234', balance: 5000 });
+  });
+
+  const buy = () => dataService.purchaseData(user.id, '08031234567', 'MTN', 1, '1234');
+  const transaction = () => sim.transactions(user.id).find(row => row.category === 'data_purchase');
+
+  test('go through the gateway', async () => {
+    const result = await buy();
+
+    expect(result).toMatchObject({ success: true, transaction: { status: 'completed' }, provider: { provider: 'bilal' } });
+    expect(sim.providers.bilal.callsTo('/data/')[0].payload).toMatchObject({ phone: '08031234567', data_plan: 1 });
+    expect(transaction()).toMatchObject({ status: 'completed', metadata: expect.objectContaining({ provider: 'bilal' }) });
+    expect(sim.wallet(user.id)).toMatchObject({ balance: 4650, pendingBalance: 0 });
+  });
+
+  test('fail over instead of failing when Bilal has no float', async () => {
+    sim.providers.bilal.balance = 0;
+    rubiesVasDelivers();
+
+    const result = await buy();
+
+    expect(result.provider.provider).toBe('rubies_vas');
+    expect(sim.providers.bilal.callsTo('/data/')).toHaveLength(0);
+    expect(sim.wallet(user.id).balance).toBe(4650);
+  });
+
+  test('keep the funds held while the outcome is unknown', async () => {
+    sim.providers.bilal.respond('/data/', () => ({ status: 'pending', message: 'Processing' }));
+
+    const error = await buy().catch(caught => caught);
+
+    expect(error).toMatchObject({ outcomeUnknown: true, transactionReference: transaction().reference });
+    expect(transaction().status).toBe('processing');
+    expect(sim.table('walletHolds').map(hold => hold.status)).toEqual(['held']);
+    expect(sim.wallet(user.id)).toMatchObject({ balance: 5000, pendingBalance: 350 });
+    expect(rubiesVasCalls()).toHaveLength(0);
+  });
+});
+
+describe('bill payments', () => {
+  let user;
+  beforeEach(async () => {
+    user = await sim.seedUser({ phone: '2348031234567', pin: '1234', balance: 20000 });
+  });
+
+  const pay = (options) => utilityService.payBill(user.id, 'electricity', 'ikedc', '45012345678', 5000, '1234', null, options);
+  const transaction = () => sim.transactions(user.id).find(row => row.category === 'utility');
+
+  test('buy electricity through the gateway', async () => {
+    const result = await pay({ meterType: 'postpaid' });
+
+    expect(result.transaction).toMatchObject({ status: 'completed', token: '1234-5678-9012-3456-7890' });
+    expect(sim.providers.bilal.callsTo('/bill/')[0].payload).toMatchObject({ disco: 1, meter_type: 'postpaid', meter_number: '45012345678', amount: 5000 });
+    expect(transaction()).toMatchObject({ status: 'completed', metadata: expect.objectContaining({ provider: 'bilal', meterType: 'postpaid' }) });
+    expect(sim.wallet(user.id)).toMatchObject({ balance: 14925, pendingBalance: 0 });
+  });
+
+  test('fail over instead of failing when Bilal has no float', async () => {
+    sim.providers.bilal.balance = 0;
+    rubiesVasDelivers();
+
+    const result = await pay();
+
+    expect(result.provider.provider).toBe('rubies_vas');
+    expect(rubiesVasCalls()[0].payload).toMatchObject({ productCode: 'IKEDC_PREPAID', billerCustomerId: '45012345678' });
+  });
+
+  test('release the funds when the provider refuses', async () => {
+    sim.providers.bilal.respond('/bill/', () => ({ status: 'fail', message: 'Invalid meter number' }));
+
+    await expect(pay()).rejects.toThrow('Bill payment failed: Invalid meter number');
+
+    expect(transaction().status).toBe('failed');
+    expect(sim.table('walletHolds').map(hold => hold.status)).toEqual(['released']);
+    expect(sim.wallet(user.id)).toMatchObject({ balance: 20000, pendingBalance: 0 });
+  });
+
+  test('keep the funds held while the outcome is unknown', async () => {
+    sim.providers.bilal.respond('/bill/', () => ({ status: 'process', message: 'Processing' }));
+
+    await expect(pay()).rejects.toMatchObject({ outcomeUnknown: true });
+
+    expect(transaction().status).toBe('processing');
+    expect(sim.table('walletHolds').map(hold => hold.status)).toEqual(['held']);
+    expect(sim.wallet(user.id)).toMatchObject({ balance: 20000, pendingBalance: 5075 });
+  });
+});
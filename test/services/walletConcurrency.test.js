@@ -0,0 +1,70 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const walletService = require('../../src/services/wallet');
+const ledgerService = require('../../src/services/ledger');
+const logger = require('../../src/utils/logger');
+const { checkWalletConcurrency } = require('../../src/scripts/wallet-concurrency-check');
+
+// No Rubies account, so balance syncs don't touch the wallet mid-run
+const seedWallet = (balance) =>
+  sim.seedUser({ phone: '2348031234567', balance, wallet: { virtualAccountBank: null } });
+
+let conflicts;
+
+beforeEach(async () => {
+  await sim.reset();
+  conflicts = 0;
+  jest.spyOn(logger, 'warn').mockImplementation((message) => {
+    if (message === 'Wallet balance update conflict, retrying') conflicts++;
+  });
+});
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sim.close());
+
+test('parallel credits and debits leave the exact balance', async () => {
+  const user = await seedWallet(1000);
+  const versionBefore = sim.wallet(user.id).version || 0;
+
+  const report = await checkWalletConcurrency(user.id, 20, 10);
+
+  expect(report).toMatchObject({ credit: 20, debit: 20, failed: 0, balanceExact: true, ledgerExact: true });
+  expect(sim.wallet(user.id).balance).toBe(1000);
+  // Each change bumped the version exactly once, and they really did collide
+  expect(sim.wallet(user.id).version).toBe(versionBefore + 40);
+  expect(conflicts).toBeGreaterThan(0);
+
+  const trialBalance = await ledgerService.getTrialBalance();
+  expect(trialBalance.balanced).toBe(true);
+  expect(trialBalance.totalDebits).toBe(trialBalance.totalCredits);
+});
+
+test('uneven amounts add up to the kobo', async () => {
+  const user = await seedWallet(500);
+  const credits = [12.5, 99.99, 0.01, 250, 37.5];
+  const debits = [100, 0.5, 49.99, 75.25];
+
+  await Promise.all([
+    ...credits.map((amount, i) => walletService.creditWallet(user.id, amount, `Credit ${i}`, { category: 'admin_adjustment' })),
+    ...debits.map((amount, i) => walletService.debitWallet(user.id, amount, `Debit ${i}`, { category: 'wallet_transfer' }))
+  ]);
+
+  expect(sim.wallet(user.id).balance).toBe(674.26);
+  expect(await ledgerService.getWalletLedgerBalance(sim.wallet(user.id).id)).toBe(174.26);
+  expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+});
+
+test('racing debits cannot overdraw the wallet', async () => {
+  const user = await seedWallet(100);
+
+  const results = await Promise.allSettled(Array.from({ length: 20 }, (_, i) =>
+    walletService.debitWallet(user.id, 10, `Debit ${i}`, { category: 'wallet_transfer' })));
+
+  const succeeded = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+  expect(succeeded).toHaveLength(10);
+  expect(rejected.every(result => /Insufficient/i.test(result.reason.message))).toBe(true);
+  expect(sim.wallet(user.id).balance).toBe(0);
+  expect(sim.transactions(user.id).filter(row => row.type === 'debit' && row.status === 'completed')).toHaveLength(10);
+  expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+});
@@ -0,0 +1,79 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const walletService = require('../../src/services/wallet');
+const transactionService = require('../../src/services/transaction');
+
+const HOUR = 60 * 60 * 1000;
+
+// A bank transfer that reached Rubies and never came back: processing, funds held
+async function strandedTransfer() {
+  const user = await sim.seedUser({ phone: '2348031234567', balance: 10000, wallet: { virtualAccountBank: null } });
+  const transaction = await transactionService.createTransaction(user.id, {
+    type: 'debit',
+    category: 'bank_transfer',
+    amount: 5000,
+    fee: 15,
+    totalAmount: 5015,
+    description: 'Bank transfer to Ada Obi',
+    reference: `TXN${Date.now()}`,
+    status: 'processing'
+  });
+  const hold = await walletService.placeHold(user.id, 5015, {
+    reference: transaction.reference,
+    transactionId: transaction.id,
+    description: transaction.description
+  });
+  return { user, transaction, hold };
+}
+
+const sweep = () => walletService.releaseExpiredHolds({ now: new Date(Date.now() + HOUR) });
+const holdRow = (id) => sim.table('walletHolds').find(row => row.id === id);
+const transactionRow = (id) => sim.table('transactions').find(row => row.id === id);
+
+beforeEach(() => sim.reset());
+afterAll(() => sim.close());
+
+test('a transfer the rail confirms is captured, not released', async () => {
+  const { user, transaction, hold } = await strandedTransfer();
+
+  const summary = await sweep();
+
+  expect(summary).toMatchObject({ captured: 1, released: 0 });
+  expect(sim.providers.rubies.callsTo('/baas-transaction/tsq')).toHaveLength(1);
+  expect(holdRow(hold.id).status).toBe('captured');
+  expect(transactionRow(transaction.id).status).toBe('completed');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 4985, pendingBalance: 0 });
+});
+
+test('a transfer with no outcome yet keeps its hold for the webhook TTL', async () => {
+  const { user, transaction, hold } = await strandedTransfer();
+  sim.providers.rubies.respond('/baas-transaction/tsq', () => ({ responseCode: '09', responseMessage: 'Pending' }));
+
+  const summary = await sweep();
+
+  expect(summary).toMatchObject({ skipped: 1, released: 0 });
+  const kept = holdRow(hold.id);
+  expect(kept.status).toBe('held');
+  expect(new Date(kept.expiresAt).getTime()).toBeGreaterThan(Date.now() + 23 * HOUR);
+  expect(kept.metadata.extended).toBeDefined();
+  expect(transactionRow(transaction.id).status).toBe('processing');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 10000, pendingBalance: 5015 });
+
+  // Still unknown once the extension runs out: reconciliation, never a release
+  await walletService.releaseExpiredHolds({ now: new Date(Date.now() + 25 * HOUR) });
+  expect(holdRow(hold.id).status).toBe('held');
+  expect(holdRow(hold.id).metadata.reconciliation).toBeDefined();
+});
+
+test('a transfer the rail never received hands the funds back', async () => {
+  const { user, transaction, hold } = await strandedTransfer();
+  sim.providers.rubies.respond('/baas-transaction/tsq', () => ({ responseCode: '25', responseMessage: 'Transaction not found' }));
+
+  const summary = await sweep();
+
+  expect(summary).toMatchObject({ released: 1 });
+  expect(holdRow(hold.id).status).toBe('expired');
+  expect(transactionRow(transaction.id).status).toBe('failed');
+  expect(sim.wallet(user.id)).toMatchObject({ balance: 10000, pendingBalance: 0 });
+});
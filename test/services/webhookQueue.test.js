@@ -0,0 +1,180 @@
+const { createSimulator } = require('../../src/simulator');
+
+const sim = createSimulator();
+const config = require('../../src/config');
+const bilalService = require('../../src/services/bilal');
+const webhookQueue = require('../../src/services/webhookQueue');
+
+const limits = config.getWebhookQueueConfig();
+const saved = { maxAttempts: limits.maxAttempts, baseDelayMs: limits.baseDelayMs, maxDelayMs: limits.maxDelayMs };
+
+// What Bilal posts once a purchase settles
+const CALLBACK = { status: 'success', 'request-id': 'REQ123', response: 'Delivered' };
+
+let handleBilalCallback;
+
+const events = () => sim.table('webhookLogs');
+const eventRow = (id) => events().find(row => row.id === id);
+
+// Make a retrying event due now instead of after its backoff
+const makeDue = (id) => sim.database.from('webhookLogs').update({ nextAttemptAt: new Date(Date.now() - 1000).toISOString() }).eq('id', id);
+
+beforeEach(async () => {
+  await sim.reset();
+  Object.assign(limits, saved);
+  handleBilalCallback = jest.spyOn(bilalService, 'handleBilalCallback').mockResolvedValue(undefined);
+});
+
+afterEach(() => handleBilalCallback.mockRestore());
+
+afterAll(() => {
+  Object.assign(limits, saved);
+  return sim.close();
+});
+
+describe('persist', () => {
+  test('stores the event as queued under the provider event id', async () => {
+    const { duplicate, event, eventId } = await webhookQueue.persist('bilal', CALLBACK, { headers: { 'x-signature': 'abc' } });
+
+    expect(duplicate).toBe(false);
+    expect(eventId).toBe('REQ123:success');
+    expect(eventRow(event.id)).toMatchObject({
+      source: 'bilal',
+      eventId: 'REQ123:success',
+      status: 'queued',
+      attempts: 0,
+      metadata: expect.objectContaining({ handler: 'bilal' })
+    });
+    expect(eventRow(event.id).payload).toMatchObject({ body: CALLBACK, signature: 'abc' });
+  });
+
+  test('answers a redelivery with the first event and runs it once', async () => {
+    const first = await webhookQueue.persist('bilal', CALLBACK);
+    const second = await webhookQueue.persist('bilal', { ...CALLBACK, response: 'Delivered again' });
+
+    expect(second).toMatchObject({ duplicate: true, eventId: first.eventId, event: { id: first.event.id } });
+    expect(events()).toHaveLength(1);
+
+    expect(await webhookQueue.processDue()).toMatchObject({ processed: 1 });
+    expect(await webhookQueue.processDue()).toMatchObject({ processed: 0 });
+    expect(handleBilalCallback).toHaveBeenCalledTimes(1);
+  });
+
+  test('dedups on an explicit event id over the body', async () => {
+    await webhookQueue.persist('bilal', CALLBACK, { eventId: 'evt_1' });
+
+    expect(await webhookQueue.persist('bilal', { ...CALLBACK, 'request-id': 'REQ456' }, { eventId: 'evt_1' })).toMatchObject({ duplicate: true });
+    expect(await webhookQueue.persist('bilal', CALLBACK, { eventId: 'evt_2' })).toMatchObject({ duplicate: false });
+    expect(events().map(row => row.eventId).sort()).toEqual(['evt_1', 'evt_2']);
+  });
+
+  test('refuses a handler it does not know', async () => {
+    await expect(webhookQueue.persist('paystack', CALLBACK)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('processing', () => {
+  test('marks a handled event processed', async () => {
+    const { event } = await webhookQueue.persist('bilal', CALLBACK);
+
+    expect(await webhookQueue.processDue()).toEqual({ processed: 1, retrying: 0, dead: 0 });
+
+    expect(handleBilalCallback).toHaveBeenCalledWith(CALLBACK);
+    expect(eventRow(event.id)).toMatchObject({ status: 'processed', processed: true, attempts: 1, nextAttemptAt: null });
+  });
+
+  test('retries a handler that throws, backing off exponentially', async () => {
+    handleBilalCallback.mockRejectedValue(new Error('connection reset'));
+    const { event } = await webhookQueue.persist('bilal', CALLBACK);
+
+    for (const attempts of [1, 2, 3]) {
+      const delay = limits.baseDelayMs * 2 ** (attempts - 1);
+      const before = Date.now();
+      expect(await webhookQueue.processDue()).toMatchObject({ retrying: 1 });
+      const after = Date.now();
+
+      const row = eventRow(event.id);
+      expect(row).toMatchObject({ status: 'retrying', attempts, errorMessage: 'connection reset' });
+      const runAt = Date.parse(row.nextAttemptAt);
+      expect(runAt).toBeGreaterThanOrEqual(before + delay);
+      expect(runAt).toBeLessThanOrEqual(after + delay);
+
+      // Not due until the backoff has passed
+      expect(await webhookQueue.processDue()).toMatchObject({ retrying: 0, processed: 0 });
+      await makeDue(event.id);
+    }
+
+    handleBilalCallback.mockResolvedValue(undefined);
+    expect(await webhookQueue.processDue()).toMatchObject({ processed: 1 });
+    expect(eventRow(event.id)).toMatchObject({ status: 'processed', attempts: 4, errorMessage: null });
+  });
+
+  test('caps the backoff at maxDelayMs', () => {
+    Object.assign(limits, { baseDelayMs: 5000, maxDelayMs: 3600000 });
+
+    expect(webhookQueue.backoffDelay(1)).toBe(5000);
+    expect(webhookQueue.backoffDelay(4)).toBe(40000);
+    expect(webhookQueue.backoffDelay(20)).toBe(3600000);
+  });
+
+  test('dead-letters an event after maxAttempts', async () => {
+    limits.maxAttempts = 3;
+    handleBilalCallback.mockRejectedValue(new Error('provider down'));
+    const { event } = await webhookQueue.persist('bilal', CALLBACK);
+
+    expect(await webhookQueue.processDue()).toMatchObject({ retrying: 1 });
+    await makeDue(event.id);
+    expect(await webhookQueue.processDue()).toMatchObject({ retrying: 1 });
+    await makeDue(event.id);
+    expect(await webhookQueue.processDue()).toMatchObject({ dead: 1, retrying: 0 });
+
+    expect(eventRow(event.id)).toMatchObject({ status: 'dead', attempts: 3, nextAttemptAt: null, errorMessage: 'provider down' });
+    expect(eventRow(event.id).deadLetteredAt).toBeTruthy();
+    expect(handleBilalCallback).toHaveBeenCalledTimes(3);
+
+    // Parked: polling never picks it up again
+    expect(await webhookQueue.processDue()).toEqual({ processed: 0, retrying: 0, dead: 0 });
+  });
+});
+
+describe('admin replay', () => {
+  async function deadEvent() {
+    limits.maxAttempts = 1;
+    handleBilalCallback.mockRejectedValueOnce(new Error('provider down'));
+    const { event } = await webhookQueue.persist('bilal', CALLBACK);
+    await webhookQueue.processDue();
+    limits.maxAttempts = saved.maxAttempts;
+    return event;
+  }
+
+  test('lists dead-lettered events by source', async () => {
+    const event = await deadEvent();
+    await webhookQueue.persist('bilal', { ...CALLBACK, 'request-id': 'REQ456' });
+
+    const { total, events: dead } = await webhookQueue.listDeadLetters();
+    expect(total).toBe(1);
+    expect(dead.map(row => row.id)).toEqual([event.id]);
+
+    expect((await webhookQueue.listDeadLetters({ source: 'rubies' })).total).toBe(0);
+  });
+
+  test('sends a dead event back through the queue with fresh attempts', async () => {
+    const event = await deadEvent();
+
+    const replayed = await webhookQueue.replay(event.id, { adminId: 'admin-1' });
+
+    expect(replayed).toMatchObject({ status: 'queued', attempts: 0, deadLetteredAt: null, errorMessage: null });
+    expect(replayed.metadata.replays).toEqual([expect.objectContaining({ adminId: 'admin-1', attempts: 1, error: 'provider down' })]);
+
+    expect(await webhookQueue.processDue()).toMatchObject({ processed: 1 });
+    expect(eventRow(event.id)).toMatchObject({ status: 'processed', attempts: 1 });
+    expect((await webhookQueue.listDeadLetters()).total).toBe(0);
+  });
+
+  test('replays only dead events', async () => {
+    const { event } = await webhookQueue.persist('bilal', CALLBACK);
+
+    await expect(webhookQueue.replay(event.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(webhookQueue.replay('00000000-0000-0000-0000-000000000000')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});